@@ -1,6 +1,7 @@
+#!/usr/bin/env node
 import { Competition } from '../src/index.js'
 import { readFile } from 'node:fs/promises'
-import { sep as pathSep} from 'node:path'
+import { sep as pathSep } from 'node:path'
 import { pathToFileURL } from 'node:url'
 
 if (process.argv.length !== 3) {
@@ -9,16 +10,17 @@ if (process.argv.length !== 3) {
 }
 
 async function main (filename) {
-  const filePath = new URL(filename, pathToFileURL(process.cwd() + pathSep));
-  const competitionJson = await readFile(filePath, { encoding: 'utf8' })
+  const filePath = new URL(filename, pathToFileURL(process.cwd() + pathSep))
   try {
-    const competition = Competition.loadFromCompetitionJSON(competitionJson)
+    const competitionJson = await readFile(filePath, { encoding: 'utf8' })
+    await Competition.loadFromCompetitionJSON(competitionJson)
   } catch (error) {
     console.error('Errors found in file:')
     console.error(error.toString())
+    return 1
   }
+  console.log('File is valid')
+  return 0
 }
 
-main(process.argv[2]).then(
-  console.log('File is valid')
-)
+process.exitCode = await main(process.argv[2])
@@ -0,0 +1,399 @@
+#!/usr/bin/env node
+import { readdir, readFile, stat, writeFile } from 'node:fs/promises'
+import path from 'node:path'
+import { parseArgs } from 'node:util'
+
+import { Competition, CompetitionValidationError, CSVExporter, GroupBreak, HTMLRenderer, ICSExporter, Knockout, League, MatchType } from '../src/index.js'
+
+const USAGE = `Usage: vbc <command> [options]
+
+Commands:
+  validate [--json] <file|glob>...
+      Validate competition files, exiting with a non-zero code if any are invalid
+  table [--stage <id>] [--group <id>] <file>
+      Print the league tables
+  fixtures [--team <id>] [--from <YYYY-MM-DD>] [--until <YYYY-MM-DD>] <file>
+      Print the matches, optionally only those for one team or between two dates
+  result [--incomplete] <file> <stage> <group> <match> <home scores> <away scores>
+      Record a match score, e.g. "25,20,15" for a match played in sets, and write the file back
+  export --format <ics|csv|csv-tables|html> [--team <id>] [--court <court>] [--output <file>] <file>
+      Export the competition as a calendar, as CSV matches or league tables, or as HTML
+`
+
+/**
+ * An error in the command line arguments
+ */
+class UsageError extends Error {}
+
+/**
+ * Convert a glob pattern for a single path segment into a regular expression
+ *
+ * @param {string} pattern The pattern, where "*" matches any characters and "?" matches a single character
+ * @returns {RegExp} The regular expression
+ */
+function segmentRegExp (pattern) {
+  const source = pattern.split('').map(char => {
+    if (char === '*') {
+      return '[^/]*'
+    }
+    if (char === '?') {
+      return '[^/]'
+    }
+    return char.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+  }).join('')
+  return new RegExp(`^${source}$`)
+}
+
+/**
+ * Expand a glob pattern into the matching files.  A path segment of "**" matches any number of directories
+ *
+ * @param {string} pattern The pattern
+ * @returns {Promise<Array<string>>} The matching files, sorted
+ */
+async function expandGlob (pattern) {
+  if (!/[*?]/.test(pattern)) {
+    return [pattern]
+  }
+
+  const segments = pattern.split(/[\\/]/)
+  const root = path.isAbsolute(pattern) ? segments.shift() + path.sep : ''
+  const matches = []
+
+  async function walk (dir, remaining) {
+    if (remaining.length === 0) {
+      const stats = await stat(dir || '.')
+      if (stats.isFile()) {
+        matches.push(dir)
+      }
+      return
+    }
+    const [segment, ...rest] = remaining
+    if (!/[*?]/.test(segment)) {
+      await walk(path.join(dir, segment), rest)
+      return
+    }
+
+    let entries
+    try {
+      entries = await readdir(dir || '.', { withFileTypes: true })
+    } catch (_) {
+      return
+    }
+    if (segment === '**') {
+      await walk(dir, rest)
+      for (const entry of entries.filter(entry => entry.isDirectory())) {
+        await walk(path.join(dir, entry.name), remaining)
+      }
+      return
+    }
+    const regexp = segmentRegExp(segment)
+    for (const entry of entries.filter(entry => regexp.test(entry.name))) {
+      await walk(path.join(dir, entry.name), rest)
+    }
+  }
+
+  await walk(root, segments)
+  return [...new Set(matches)].sort()
+}
+
+/**
+ * Load a competition from a file
+ *
+ * @param {string} file The file name
+ * @returns {Promise<Competition>} The competition
+ */
+async function loadCompetition (file) {
+  return Competition.loadFromCompetitionJSON(await readFile(file, { encoding: 'utf8' }))
+}
+
+/**
+ * Pad the cells of a table so that each column lines up
+ *
+ * @param {Array<Array<string>>} rows The rows of the table, starting with the heading row
+ * @param {Array<boolean>} rightAlign Whether each column is right aligned
+ * @returns {string} The table text
+ */
+function formatTable (rows, rightAlign) {
+  const widths = rows[0].map((_, i) => Math.max(...rows.map(row => row[i].length)))
+  return rows.map(row => row.map((cell, i) => rightAlign[i] ? cell.padStart(widths[i]) : cell.padEnd(widths[i])).join('  ').trimEnd()).join('\n') + '\n'
+}
+
+/**
+ * Get the score of a match as text, or an empty string if it has no scores
+ *
+ * @param {GroupMatch} match The match
+ * @returns {string} The score
+ */
+function scoreText (match) {
+  const homeScores = match.getHomeTeamScores()
+  if (homeScores.length === 0) {
+    return ''
+  }
+  const awayScores = match.getAwayTeamScores()
+  const setScores = homeScores.map((score, i) => `${score}-${awayScores[i]}`).join(', ')
+  if (match.getGroup().getMatchType() === MatchType.SETS) {
+    return `${match.getHomeTeamSets()}-${match.getAwayTeamSets()} (${setScores})`
+  }
+  return setScores
+}
+
+/**
+ * Validate competition files
+ *
+ * @param {Array<string>} args The command arguments
+ * @returns {Promise<number>} The exit code
+ */
+async function validate (args) {
+  const { values, positionals } = parseArgs({ args, allowPositionals: true, options: { json: { type: 'boolean', default: false } } })
+  if (positionals.length === 0) {
+    throw new UsageError('validate: no files given')
+  }
+
+  const results = []
+  for (const pattern of positionals) {
+    const files = await expandGlob(pattern)
+    if (files.length === 0) {
+      results.push({ file: pattern, valid: false, message: 'No files match the pattern', issues: [{ pointer: '', message: 'No files match the pattern' }] })
+    }
+    for (const file of files) {
+      try {
+        const competition = await loadCompetition(file)
+        results.push({ file, valid: true, version: competition.getVersion(), issues: [] })
+      } catch (err) {
+        const issues = err instanceof CompetitionValidationError
+          ? err.getIssues().map(issue => ({ pointer: issue.pointer, message: issue.message, suggestion: issue.suggestion }))
+          : [{ pointer: '', message: err.message }]
+        results.push({ file, valid: false, message: err.message, issues })
+      }
+    }
+  }
+
+  if (values.json) {
+    process.stdout.write(JSON.stringify(results, null, 2) + '\n')
+  } else {
+    results.forEach(result => {
+      if (result.valid) {
+        process.stdout.write(`${result.file}: valid\n`)
+      } else {
+        process.stdout.write(`${result.file}: invalid\n`)
+        result.issues.forEach(issue => {
+          const suggestion = issue.suggestion ? ` (${issue.suggestion})` : ''
+          process.stdout.write(`  ${issue.pointer === '' ? '/' : issue.pointer}: ${issue.message}${suggestion}\n`)
+        })
+      }
+    })
+  }
+
+  return results.every(result => result.valid) ? 0 : 1
+}
+
+/**
+ * Print the league tables
+ *
+ * @param {Array<string>} args The command arguments
+ * @returns {Promise<number>} The exit code
+ */
+async function table (args) {
+  const { values, positionals } = parseArgs({ args, allowPositionals: true, options: { stage: { type: 'string' }, group: { type: 'string' } } })
+  if (positionals.length !== 1) {
+    throw new UsageError('table: expected one file')
+  }
+
+  const competition = await loadCompetition(positionals[0])
+  const leagues = competition.getStages()
+    .filter(stage => values.stage === undefined || stage.getID() === values.stage)
+    .flatMap(stage => stage.getGroups())
+    .filter(group => group instanceof League && (values.group === undefined || group.getID() === values.group))
+  if (leagues.length === 0) {
+    process.stderr.write('No matching leagues found\n')
+    return 1
+  }
+
+  process.stdout.write(leagues.map(league => {
+    const leagueTable = league.getLeagueTable()
+    const columns = [['Pos', (entry, i) => i + 1], ['Team', entry => entry.getTeam()], ['P', entry => entry.getPlayed()], ['W', entry => entry.getWins()], ['L', entry => entry.getLosses()]]
+    if (leagueTable.hasDraws()) {
+      columns.push(['D', entry => entry.getDraws()])
+    }
+    if (leagueTable.hasSets()) {
+      columns.push(['SF', entry => entry.getSF()], ['SA', entry => entry.getSA()], ['SD', entry => entry.getSD()])
+    }
+    columns.push(['PF', entry => entry.getPF()], ['PA', entry => entry.getPA()], ['PD', entry => entry.getPD()], ['BP', entry => entry.getBP()], ['PP', entry => entry.getPP()], ['PTS', entry => entry.getPTS()])
+
+    const rows = [columns.map(([heading]) => heading)].concat(leagueTable.entries.map((entry, i) => columns.map(([, value]) => String(value(entry, i)))))
+    const title = `${league.getStage().getName() ?? league.getStage().getID()}: ${league.getName() ?? league.getID()}`
+    return `${title}\n${formatTable(rows, columns.map(([heading]) => heading !== 'Team'))}`
+  }).join('\n'))
+  return 0
+}
+
+/**
+ * Print the matches
+ *
+ * @param {Array<string>} args The command arguments
+ * @returns {Promise<number>} The exit code
+ */
+async function fixtures (args) {
+  const { values, positionals } = parseArgs({ args, allowPositionals: true, options: { team: { type: 'string' }, from: { type: 'string' }, until: { type: 'string' } } })
+  if (positionals.length !== 1) {
+    throw new UsageError('fixtures: expected one file')
+  }
+
+  const competition = await loadCompetition(positionals[0])
+  if (values.team !== undefined && !competition.hasTeam(values.team)) {
+    process.stderr.write(`Team with ID "${values.team}" not found in the competition\n`)
+    return 1
+  }
+
+  const rows = [['Date', 'Start', 'Court', 'Stage', 'Group', 'Match', 'Home', 'Away', 'Score']]
+  competition.getStages().forEach(stage => {
+    stage.getMatches(values.team ?? null, Competition.VBC_MATCH_PLAYING).forEach(match => {
+      if (match instanceof GroupBreak) {
+        return
+      }
+      const date = match.getDate() ?? ''
+      if ((values.from !== undefined && date < values.from) || (values.until !== undefined && date > values.until)) {
+        return
+      }
+      rows.push([
+        date,
+        match.getStart() ?? '',
+        match.getCourt() ?? '',
+        stage.getID(),
+        match.getGroup().getID(),
+        match.getID(),
+        competition.getTeamDisplayName(match.getHomeTeam().getID()),
+        competition.getTeamDisplayName(match.getAwayTeam().getID()),
+        scoreText(match)
+      ])
+    })
+  })
+  process.stdout.write(formatTable(rows, rows[0].map(() => false)))
+  return 0
+}
+
+/**
+ * Record a match score and write the competition file back
+ *
+ * @param {Array<string>} args The command arguments
+ * @returns {Promise<number>} The exit code
+ */
+async function recordResult (args) {
+  const { values, positionals } = parseArgs({ args, allowPositionals: true, options: { incomplete: { type: 'boolean', default: false } } })
+  if (positionals.length !== 6) {
+    throw new UsageError('result: expected a file, a stage ID, a group ID, a match ID and the home and away scores')
+  }
+
+  const [file, stageID, groupID, matchID, homeScores, awayScores] = positionals
+  const parseScores = scores => scores.split(',').map(score => {
+    if (!/^[0-9]+$/.test(score.trim())) {
+      throw new UsageError(`result: invalid score "${score}"`)
+    }
+    return parseInt(score)
+  })
+
+  const competition = await loadCompetition(file)
+  const match = competition.getStage(stageID).getGroup(groupID).getMatch(matchID)
+  // Sets matches work out their own completeness from the sets, unless they have a time limit
+  const needsComplete = match.getGroup().getMatchType() === MatchType.CONTINUOUS || match.hasDuration()
+  match.setScores(parseScores(homeScores), parseScores(awayScores), needsComplete ? !values.incomplete : null)
+
+  await writeFile(file, JSON.stringify(competition.serialize(), null, 2) + '\n', { encoding: 'utf8' })
+  process.stdout.write(`${matchID}: ${competition.getTeamDisplayName(match.getHomeTeam().getID())} ${scoreText(match)} ${competition.getTeamDisplayName(match.getAwayTeam().getID())}\n`)
+  return 0
+}
+
+/**
+ * Export the competition
+ *
+ * @param {Array<string>} args The command arguments
+ * @returns {Promise<number>} The exit code
+ */
+async function exportCompetition (args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: { format: { type: 'string' }, team: { type: 'string' }, court: { type: 'string' }, output: { type: 'string' } }
+  })
+  if (positionals.length !== 1) {
+    throw new UsageError('export: expected one file')
+  }
+  if (!['ics', 'csv', 'csv-tables', 'html'].includes(values.format)) {
+    throw new UsageError('export: --format must be one of ics, csv, csv-tables or html')
+  }
+
+  const competition = await loadCompetition(positionals[0])
+  let output
+  switch (values.format) {
+    case 'ics': {
+      const exporter = new ICSExporter(competition)
+      if (values.team !== undefined) {
+        output = exporter.getTeamCalendar(values.team)
+      } else if (values.court !== undefined) {
+        output = exporter.getCourtCalendar(values.court)
+      } else {
+        output = exporter.getCompetitionCalendar()
+      }
+      break
+    }
+    case 'csv':
+      output = new CSVExporter(competition).exportMatches()
+      break
+    case 'csv-tables':
+      output = new CSVExporter(competition).exportLeagueTables()
+      break
+    case 'html': {
+      const renderer = new HTMLRenderer()
+      output = competition.getStages().flatMap(stage => stage.getGroups()).map(group => {
+        if (group instanceof League) {
+          return renderer.renderLeagueTable(group) + '\n' + renderer.renderMatches(group)
+        }
+        if (group instanceof Knockout) {
+          return renderer.renderKnockout(group)
+        }
+        return renderer.renderMatches(group)
+      }).join('\n') + '\n'
+      break
+    }
+  }
+
+  if (values.output !== undefined) {
+    await writeFile(values.output, output, { encoding: 'utf8' })
+  } else {
+    process.stdout.write(output)
+  }
+  return 0
+}
+
+const COMMANDS = { validate, table, fixtures, result: recordResult, export: exportCompetition }
+
+/**
+ * Run a command
+ *
+ * @param {Array<string>} argv The command line arguments, starting with the command name
+ * @returns {Promise<number>} The exit code: 0 on success, 1 on failure, and 2 when the arguments are invalid
+ */
+async function main (argv) {
+  const [command, ...args] = argv
+  if (command === undefined || command === '--help' || command === 'help') {
+    process.stdout.write(USAGE)
+    return command === undefined ? 2 : 0
+  }
+  if (!Object.hasOwn(COMMANDS, command)) {
+    process.stderr.write(`Unknown command "${command}"\n\n${USAGE}`)
+    return 2
+  }
+
+  try {
+    return await COMMANDS[command](args)
+  } catch (err) {
+    if (err instanceof UsageError || err.code?.startsWith('ERR_PARSE_ARGS')) {
+      process.stderr.write(`${err.message}\n\n${USAGE}`)
+      return 2
+    }
+    process.stderr.write(`${err.message}\n`)
+    return 1
+  }
+}
+
+process.exitCode = await main(process.argv.slice(2))
@@ -0,0 +1,216 @@
+/**
+ * A record of the changes made to a competition, so that they can be undone and redone.  Each change records the state of the one object
+ * that changed (a match, a team, a stage and so on) before and after the change, rather than a copy of the whole competition.
+ *
+ * Changes are grouped into transactions, which are undone and redone as a whole.  A transaction is either named and made with
+ * transaction(), e.g. "Enter result for M12", or is the single unnamed change made by calling a method such as GroupMatch.setScores()
+ * outside of a named transaction.  Any changes that a method makes to other objects, such as Competition.deleteTeam() removing the team
+ * from its club, are part of the same transaction.
+ *
+ * Undoing and redoing changes emits the competition's events, such as CompetitionEventType.MATCH_COMPLETED and
+ * CompetitionEventType.TEAM_RENAMED, for the results and team names that they change, so that anything following the events stays up
+ * to date.
+ *
+ * History is opt-in: see Competition.enableHistory()
+ */
+class ChangeHistory {
+  /**
+   * The transactions that can be undone, with the most recent last
+   * @type {Array<{name: string|null, changes: Array<{undo: function(): void, redo: function(): void}>}>}
+   * @private
+   */
+  #undoStack
+
+  /**
+   * The transactions that can be redone, with the most recently undone last
+   * @type {Array<{name: string|null, changes: Array<{undo: function(): void, redo: function(): void}>}>}
+   * @private
+   */
+  #redoStack
+
+  /**
+   * The transaction that changes are currently being recorded in, or null when there is none
+   * @type {{name: string|null, changes: Array<{undo: function(): void, redo: function(): void}>}|null}
+   * @private
+   */
+  #transaction
+
+  /**
+   * Called to undo or redo a transaction
+   * @type {function(function(): void): void}
+   * @private
+   */
+  #replay
+
+  /**
+   * Constructs an empty change history
+   *
+   * @param {function(function(): void): void} [replay] A function that is called with a function that undoes or redoes a transaction,
+   *                                                    and must call it.  A competition uses this to emit the events for what an undo or
+   *                                                    redo changes
+   */
+  constructor (replay = change => change()) {
+    this.#undoStack = []
+    this.#redoStack = []
+    this.#transaction = null
+    this.#replay = replay
+  }
+
+  /**
+   * Make a change to part of the competition, recording how to undo and redo it.  This is called by the methods that change a
+   * competition, and is not normally called directly
+   *
+   * @param {function(): any} snapshot Get the state of the object being changed
+   * @param {function(any): void} restore Restore the object to a state returned by snapshot
+   * @param {function(): any} change Make the change
+   * @returns {any} The value returned by the change
+   */
+  record (snapshot, restore, change) {
+    if (this.#transaction === null) {
+      return this.transaction(null, () => this.record(snapshot, restore, change))
+    }
+
+    const before = snapshot()
+    const result = change()
+    const after = snapshot()
+    this.#transaction.changes.push({ undo: () => restore(before), redo: () => restore(after) })
+    return result
+  }
+
+  /**
+   * Make a set of changes as a single named transaction, so that they are undone and redone together.  If the function throws then the
+   * changes it made are undone before the error is rethrown.  A transaction started inside another transaction is part of the outer one
+   *
+   * @param {string|null} name The name of the transaction, e.g. "Enter result for M12"
+   * @param {function(): any} changes A function that makes the changes
+   * @returns {any} The value returned by the function
+   */
+  transaction (name, changes) {
+    if (this.#transaction !== null) {
+      return changes()
+    }
+
+    const transaction = { name, changes: [] }
+    this.#transaction = transaction
+    let result
+    try {
+      result = changes()
+    } catch (err) {
+      this.#transaction = null
+      ChangeHistory.#undoChanges(transaction.changes)
+      throw err
+    }
+    this.#transaction = null
+
+    if (transaction.changes.length > 0) {
+      this.#undoStack.push(transaction)
+      this.#redoStack = []
+    }
+    return result
+  }
+
+  /**
+   * Undo the most recent transaction
+   *
+   * @returns {string|null} The name of the transaction that was undone
+   * @throws {Error} If there is nothing to undo, or a transaction is in progress
+   */
+  undo () {
+    this.#assertNotInTransaction()
+    if (!this.canUndo()) {
+      throw new Error('Nothing to undo')
+    }
+    const transaction = this.#undoStack.pop()
+    this.#replay(() => ChangeHistory.#undoChanges(transaction.changes))
+    this.#redoStack.push(transaction)
+    return transaction.name
+  }
+
+  /**
+   * Redo the most recently undone transaction
+   *
+   * @returns {string|null} The name of the transaction that was redone
+   * @throws {Error} If there is nothing to redo, or a transaction is in progress
+   */
+  redo () {
+    this.#assertNotInTransaction()
+    if (!this.canRedo()) {
+      throw new Error('Nothing to redo')
+    }
+    const transaction = this.#redoStack.pop()
+    this.#replay(() => transaction.changes.forEach(change => change.redo()))
+    this.#undoStack.push(transaction)
+    return transaction.name
+  }
+
+  /**
+   * Check whether there is a transaction to undo
+   *
+   * @returns {boolean} Whether there is a transaction to undo
+   */
+  canUndo () {
+    return this.#undoStack.length > 0
+  }
+
+  /**
+   * Check whether there is a transaction to redo
+   *
+   * @returns {boolean} Whether there is a transaction to redo
+   */
+  canRedo () {
+    return this.#redoStack.length > 0
+  }
+
+  /**
+   * Get the names of the transactions that can be undone, with the next one to be undone first.  An unnamed transaction has the name null
+   *
+   * @returns {Array<string|null>} The names of the transactions
+   */
+  getUndoNames () {
+    return this.#undoStack.map(transaction => transaction.name).reverse()
+  }
+
+  /**
+   * Get the names of the transactions that can be redone, with the next one to be redone first.  An unnamed transaction has the name null
+   *
+   * @returns {Array<string|null>} The names of the transactions
+   */
+  getRedoNames () {
+    return this.#redoStack.map(transaction => transaction.name).reverse()
+  }
+
+  /**
+   * Forget all of the recorded transactions
+   *
+   * @returns {ChangeHistory} This change history
+   */
+  clear () {
+    this.#undoStack = []
+    this.#redoStack = []
+    return this
+  }
+
+  /**
+   * Undo a list of changes, starting with the most recent
+   *
+   * @param {Array<{undo: function(): void, redo: function(): void}>} changes The changes
+   * @private
+   */
+  static #undoChanges (changes) {
+    [...changes].reverse().forEach(change => change.undo())
+  }
+
+  /**
+   * Check that no transaction is in progress
+   *
+   * @throws {Error} If a transaction is in progress
+   * @private
+   */
+  #assertNotInTransaction () {
+    if (this.#transaction !== null) {
+      throw new Error('Cannot undo or redo during a transaction')
+    }
+  }
+}
+
+export default ChangeHistory
@@ -0,0 +1,7 @@
+class ClinchStatus {
+  static GUARANTEED = 'guaranteed'
+  static IMPOSSIBLE = 'impossible'
+  static UNDETERMINED = 'undetermined'
+}
+
+export default ClinchStatus
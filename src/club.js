@@ -61,9 +61,10 @@ class Club {
 
     this.#competition = competition
     this.#id = id
-    this.setName(clubName)
     this.#notes = null
     this.#teamLookup = {}
+    // The name is set directly so that creating a club does not add a step to the competition's change history
+    this.#name = Club.#checkName(clubName)
   }
 
   /**
@@ -124,11 +125,11 @@ class Club {
    * @throws {Error} When the provided club name is invalid
    */
   setName (name) {
-    if (name.length > 1000 || name.length < 1) {
-      throw new Error('Invalid club name: must be between 1 and 1000 characters long')
-    }
-    this.#name = name
-    return this
+    Club.#checkName(name)
+    return this.#record(() => {
+      this.#name = name
+      return this
+    })
   }
 
   /**
@@ -147,8 +148,10 @@ class Club {
    * @returns {Club} this Club
    */
   setNotes (notes) {
-    this.#notes = notes
-    return this
+    return this.#record(() => {
+      this.#notes = notes
+      return this
+    })
   }
 
   /**
@@ -179,9 +182,11 @@ class Club {
     if (this.hasTeam(team.getID())) {
       return this
     }
-    this.#teamLookup[team.getID()] = team
-    team.setClubID(this.getID())
-    return this
+    return this.#record(() => {
+      this.#teamLookup[team.getID()] = team
+      team.setClubID(this.getID())
+      return this
+    })
   }
 
   /**
@@ -210,12 +215,67 @@ class Club {
    * @returns void
    */
   deleteTeam (id) {
-    if (this.hasTeam(id)) {
+    if (!this.hasTeam(id)) {
+      return this
+    }
+    return this.#record(() => {
       const team = this.#teamLookup[id]
       delete this.#teamLookup[id]
       team.setClubID(null)
+      return this
+    })
+  }
+
+  /**
+   * Check that a club name is valid
+   *
+   * @param {string} name The name to check
+   * @returns {string} The name
+   * @throws {Error} If the name is invalid
+   * @private
+   */
+  static #checkName (name) {
+    if (name.length > 1000 || name.length < 1) {
+      throw new Error('Invalid club name: must be between 1 and 1000 characters long')
     }
-    return this
+    return name
+  }
+
+  /**
+   * Make a change to this club, recording it in the competition's change history
+   *
+   * @param {function(): any} change Make the change
+   * @returns {any} The value returned by the change
+   * @private
+   */
+  #record (change) {
+    return this.#competition.recordChange(() => this.#snapshot(), snapshot => this.#restore(snapshot), change)
+  }
+
+  /**
+   * Get the state of this club, for the change history
+   *
+   * @returns {object} The state
+   * @private
+   */
+  #snapshot () {
+    return {
+      name: this.#name,
+      notes: this.#notes,
+      teamLookup: { ...this.#teamLookup }
+    }
+  }
+
+  /**
+   * Restore this club to a state from the change history
+   *
+   * @param {object} snapshot The state to restore
+   * @private
+   */
+  #restore (snapshot) {
+    this.#name = snapshot.name
+    this.#notes = snapshot.notes
+    this.#teamLookup = { ...snapshot.teamLookup }
   }
 }
 
@@ -2,10 +2,20 @@ import Ajv from 'ajv'
 import addFormats from 'ajv-formats'
 
 import { competitionSchema } from './schema.js'
+import ChangeHistory from './changeHistory.js'
+import CompetitionChangeType from './competitionChangeType.js'
+import CompetitionDiff from './competitionDiff.js'
+import CompetitionEventType from './competitionEventType.js'
 import CompetitionTeam from './competitionTeam.js'
+import CompetitionValidationError from './competitionValidationError.js'
 import Club from './club.js'
+import GroupBreak from './groupBreak.js'
+import MigrationRegistry from './migrationRegistry.js'
 import Player from './player.js'
+import PlayerTeam from './playerTeam.js'
+import ScheduleConflictType from './scheduleConflictType.js'
 import Stage from './stage.js'
+import { timeToMinutes } from './time.js'
 
 /**
  * The Ajv schema validator
@@ -14,16 +24,75 @@ import Stage from './stage.js'
  */
 let validator = null
 
+/**
+ * Get the edit distance between two strings, as the number of single character insertions, deletions and substitutions
+ *
+ * @param {string} a The first string
+ * @param {string} b The second string
+ * @returns {number} The edit distance
+ */
+function editDistance (a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1))
+    }
+    previous = current
+  }
+  return previous[b.length]
+}
+
+/**
+ * Get a hint for how to fix a schema validation error
+ *
+ * @param {object} error The Ajv validation error
+ * @returns {string|null} The hint, or null if there is none
+ */
+function suggestFix (error) {
+  switch (error.keyword) {
+    case 'required':
+      return `Add the "${error.params.missingProperty}" property`
+    case 'additionalProperties':
+      return `Remove the "${error.params.additionalProperty}" property`
+    case 'type':
+      return `Use a value of type ${error.params.type}`
+    case 'enum': {
+      const allowed = error.params.allowedValues
+      if (typeof error.data === 'string') {
+        const closest = allowed.filter(value => typeof value === 'string' && (value.toLowerCase() === error.data.toLowerCase() || editDistance(value, error.data) <= 2))
+        if (closest.length > 0) {
+          return `Did you mean "${closest[0]}"?`
+        }
+      }
+      return `Use one of ${allowed.map(value => JSON.stringify(value)).join(', ')}`
+    }
+    case 'pattern':
+      return `Use a value matching the pattern ${error.params.pattern}`
+    case 'format':
+      return `Use a value in the "${error.params.format}" format`
+    case 'minLength':
+      return `Use a value whose length is at least ${error.params.limit}`
+    case 'maxLength':
+      return `Use a value whose length is at most ${error.params.limit}`
+    case 'minItems':
+      return `Use a list whose length is at least ${error.params.limit}`
+    case 'minimum':
+      return `Use a value of at least ${error.params.limit}`
+  }
+  return null
+}
+
 /**
  * Perform schema validation on the JSON data
  *
  * @param {object} competitionData The object representation of the parsed JSON data
  *
- * @throws Error An exception containing a list of schema validation errors
+ * @throws {CompetitionValidationError} An exception containing a list of schema validation errors
  */
 async function validateJSON (competitionData) {
   if (validator === null) {
-    const ajv = new Ajv()
+    const ajv = new Ajv({ allErrors: true, verbose: true })
     addFormats(ajv)
     validator = ajv.compile(competitionSchema)
   }
@@ -33,8 +102,136 @@ async function validateJSON (competitionData) {
     validator.errors.forEach(e => {
       errors += `[${e.schemaPath}] [${e.instancePath}] ${e.message}\n`
     })
-    throw new Error(`Competition data failed schema validation:\n${errors}`)
+    const issues = validator.errors.map(e => ({
+      pointer: e.instancePath,
+      schemaPath: e.schemaPath,
+      message: e.message,
+      value: e.data,
+      suggestion: suggestFix(e)
+    }))
+    throw new CompetitionValidationError(`Competition data failed schema validation:\n${errors}`, issues)
+  }
+}
+
+/**
+ * Load each item in a list from the competition document, pointing any error at the item that caused it
+ *
+ * @param {string} pointer The JSON pointer to the list
+ * @param {Array<object>} list The list of items
+ * @param {function(object): void} loadItem The function to load a single item
+ * @throws {CompetitionValidationError} If an item fails to load
+ */
+function loadList (pointer, list, loadItem) {
+  list.forEach((itemData, i) => {
+    try {
+      loadItem(itemData)
+    } catch (err) {
+      throw CompetitionValidationError.fromError(err, `${pointer}/${i}`, itemData)
+    }
+  })
+}
+
+/**
+ * Get the English ordinal for a number, e.g. "1st", "2nd", "3rd", "11th"
+ *
+ * @param {number} n The number
+ * @returns {string} The ordinal
+ */
+function ordinal (n) {
+  const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' }
+  return `${n}${suffixes[new Intl.PluralRules('en-GB', { type: 'ordinal' }).select(n)]}`
+}
+
+/**
+ * The change types for adding and removing each kind of entity, keyed by the last property of a CompetitionDiff change target
+ * @type {object}
+ * @private
+ */
+const ENTITY_CHANGE_TYPES = {
+  key: [CompetitionChangeType.METADATA_ADDED, CompetitionChangeType.METADATA_REMOVED],
+  club: [CompetitionChangeType.CLUB_ADDED, CompetitionChangeType.CLUB_REMOVED],
+  team: [CompetitionChangeType.TEAM_ADDED, CompetitionChangeType.TEAM_REMOVED],
+  player: [CompetitionChangeType.PLAYER_ADDED, CompetitionChangeType.PLAYER_REMOVED],
+  stage: [CompetitionChangeType.STAGE_ADDED, CompetitionChangeType.STAGE_REMOVED],
+  group: [CompetitionChangeType.GROUP_ADDED, CompetitionChangeType.GROUP_REMOVED],
+  match: [CompetitionChangeType.MATCH_ADDED, CompetitionChangeType.MATCH_REMOVED]
+}
+
+/**
+ * Check whether a CompetitionDiff change target is, or contains, another target, e.g. a stage contains its groups and their matches
+ *
+ * @param {object} outer The target that may contain the other
+ * @param {object} inner The target that may be contained
+ * @returns {boolean} Whether the outer target is or contains the inner target
+ */
+function targetContains (outer, inner) {
+  return Object.keys(outer).every(key => outer[key] === inner[key])
+}
+
+/**
+ * Find the entity identified by a CompetitionDiff change target in some serialized competition data
+ *
+ * @param {object} data The serialized competition data
+ * @param {object} target The change target
+ * @returns {{entity: object|null, index: number}} The serialized entity and its position in its list, or null and -1 if it is not found
+ */
+function findTargetEntity (data, target) {
+  const steps = [
+    ['key', 'metadata', 'key'],
+    ['club', 'clubs', 'id'],
+    ['team', 'teams', 'id'],
+    ['player', 'players', 'id'],
+    ['stage', 'stages', 'id'],
+    ['group', 'groups', 'id'],
+    ['match', 'matches', 'id']
+  ]
+  let found = { entity: data, index: -1 }
+  for (const [targetKey, listKey, idKey] of steps.filter(([targetKey]) => Object.hasOwn(target, targetKey))) {
+    const list = found.entity[listKey] ?? []
+    const index = list.findIndex(item => item[idKey] === target[targetKey])
+    if (index === -1) {
+      return { entity: null, index }
+    }
+    found = { entity: list[index], index }
   }
+  return found
+}
+
+/**
+ * Get the breaks in a group's data, each with the ID of the match before it so that it can be put back in the same place among the matches
+ *
+ * @param {object} groupData The group data
+ * @returns {Array<{after: string|null, break: object}>} The breaks, in order, with "after" null for a break before the first match
+ */
+function groupBreaks (groupData) {
+  let after = null
+  const breaks = []
+  groupData.matches.forEach(item => {
+    if (item.type === 'match') {
+      after = item.id
+    } else {
+      breaks.push({ after, break: item })
+    }
+  })
+  return breaks
+}
+
+/**
+ * Replace the breaks in a group's data, putting each one after the match it followed.  A break that followed a match that is no longer
+ * in the group goes at the end
+ *
+ * @param {object} groupData The group data, which is changed
+ * @param {Array<{after: string|null, break: object}>} breaks The breaks, as returned by groupBreaks()
+ */
+function setGroupBreaks (groupData, breaks) {
+  const matches = groupData.matches.filter(item => item.type === 'match')
+  const breaksAfter = id => breaks.filter(groupBreak => groupBreak.after === id).map(groupBreak => groupBreak.break)
+  groupData.matches = breaksAfter(null)
+  matches.forEach(match => {
+    groupData.matches.push(match, ...breaksAfter(match.id))
+  })
+  groupData.matches.push(...breaks.filter(groupBreak => groupBreak.after !== null && !matches.some(match => match.id === groupBreak.after))
+    .map(groupBreak => groupBreak.break))
 }
 
 class Competition {
@@ -130,6 +327,36 @@ class Competition {
    */
   #unknownTeam
 
+  /**
+   * The migrations registry that the competition was loaded with, used to downgrade the competition when serializing
+   * @type {MigrationRegistry}
+   * @private
+   */
+  #migrations
+
+  /**
+   * The migrations that were run to upgrade the competition document when it was loaded
+   * @type {Array<{from: string, to: string}>}
+   * @private
+   */
+  #appliedMigrations
+
+  /**
+   * The record of changes made to the competition, or null when history is not enabled
+   * @type {ChangeHistory|null}
+   * @private
+   */
+  #history
+
+  /**
+   * The functions listening for each type of event, keyed by event type
+   * @type {Object.<string, Array<function(object): void>>}
+   * @private
+   */
+  #listeners
+
+  static SCHEMA_VERSION = '1.0.0'
+
   static VBC_MATCH_ALL_IN_GROUP = 1
   static VBC_MATCH_ALL = 2
   static VBC_MATCH_PLAYING = 4
@@ -155,7 +382,7 @@ class Competition {
     }
 
     this.#name = name
-    this.#version = '1.0.0'
+    this.#version = Competition.SCHEMA_VERSION
     this.#metadata = []
     this.#notes = null
     this.#clubs = []
@@ -166,41 +393,69 @@ class Competition {
     this.#playerLookup = {}
     this.#stageLookup = {}
     this.#clubLookup = {}
+    this.#migrations = MigrationRegistry.getDefault()
+    this.#appliedMigrations = []
+    this.#history = null
+    this.#listeners = {}
 
     this.#unknownTeam = new CompetitionTeam(this, CompetitionTeam.UNKNOWN_TEAM_ID, CompetitionTeam.UNKNOWN_TEAM_NAME)
   }
 
   /**
-   * Loads a Competition object from competition JSON data
+   * Loads a Competition object from competition JSON data.  A document at an older version of the schema is upgraded to the current
+   * version, Competition.SCHEMA_VERSION, using the migrations in the registry before it is validated
    *
    * @param {string} competitionJSON The competition JSON data
+   * @param {object} options The load options
+   * @param {MigrationRegistry} [options.migrations=MigrationRegistry.getDefault()] The registry of migrations to upgrade the document with
    *
-   * @returns {Promise<Competition>} a loaded Competition, rejects when the JSON data is invalid
+   * @returns {Promise<Competition>} a loaded Competition, rejects with a CompetitionValidationError when the JSON data is invalid
    */
-  static async loadFromCompetitionJSON (competitionJSON) {
+  static async loadFromCompetitionJSON (competitionJSON, options = {}) {
     let competitionData
     try {
       competitionData = JSON.parse(competitionJSON)
-    } catch (_) {
-      throw new Error('Document does not contain valid JSON')
+    } catch (err) {
+      throw new CompetitionValidationError('Document does not contain valid JSON', [{ pointer: '', schemaPath: null, message: err.message, value: competitionJSON, suggestion: null }])
     }
 
-    if (typeof competitionData.version === 'string') {
-      // This supports only version 1.0.0 (and all documents without an explicit version are assumed to be at version 1.0.0)
-      if (competitionData.version !== '1.0.0') {
-        throw new Error(`Document version ${competitionData.version} not supported`)
-      }
-    } else {
+    // All documents without an explicit version are assumed to be at version 1.0.0
+    if (typeof competitionData.version !== 'string') {
       competitionData.version = '1.0.0'
     }
 
+    const migrations = options.migrations ?? MigrationRegistry.getDefault()
+    let upgraded
+    try {
+      upgraded = migrations.upgrade(competitionData, Competition.SCHEMA_VERSION)
+    } catch (err) {
+      throw CompetitionValidationError.fromError(err, '/version', competitionData.version)
+    }
+    competitionData = upgraded.data
+
     await validateJSON(competitionData)
 
+    const competition = Competition.#loadFromData(competitionData)
+    competition.#migrations = migrations
+    competition.#appliedMigrations = upgraded.applied
+
+    return competition
+  }
+
+  /**
+   * Build a Competition from competition data that is already at the current schema version and known to be valid against the schema
+   *
+   * @param {object} competitionData The competition data
+   * @returns {Competition} The loaded Competition
+   * @throws {CompetitionValidationError} If the competition data breaks one of the rules checked while loading, such as duplicate IDs
+   * @private
+   */
+  static #loadFromData (competitionData) {
     const competition = new Competition(competitionData.name)
     competition.setVersion(competitionData.version)
 
     if (Array.isArray(competitionData.metadata)) {
-      competitionData.metadata.forEach(kv => {
+      loadList('/metadata', competitionData.metadata, kv => {
         if (competition.hasMetadataByKey(kv.key)) {
           throw new Error(`Metadata with key "${kv.key}" already exists in the competition`)
         }
@@ -213,36 +468,43 @@ class Competition {
     }
 
     if (Array.isArray(competitionData.clubs)) {
-      competitionData.clubs.forEach(clubData => {
+      loadList('/clubs', competitionData.clubs, clubData => {
         competition.addClub(new Club(competition, clubData.id, clubData.name).loadFromData(clubData))
       })
     }
 
-    competitionData.teams.forEach(teamData => {
+    loadList('/teams', competitionData.teams, teamData => {
       competition.addTeam(new CompetitionTeam(competition, teamData.id, teamData.name).loadFromData(teamData))
     })
 
     if (Array.isArray(competitionData.players)) {
-      competitionData.players.forEach(playerData => {
+      loadList('/players', competitionData.players, playerData => {
         competition.addPlayer(new Player(competition, playerData.id, playerData.name).loadFromData(playerData))
       })
     }
 
-    competitionData.stages.forEach(stageData => {
+    loadList('/stages', competitionData.stages, stageData => {
       const stage = new Stage(competition, stageData.id)
       competition.addStage(stage)
       stage.loadFromData(stageData)
     })
 
+    // Process the results now, before anything can listen for the events that processing them emits
+    competition.#processMatches()
+
     return competition
   }
 
   /**
-   * Return the competition definition in a form suitable for serializing
+   * Return the competition definition in a form suitable for serializing.  When a version is given, the competition is downgraded
+   * to that version using the migrations registry that the competition was loaded with
+   *
+   * @param {string|null} version The version of the schema to serialize to, or null for the competition's own version
    *
    * @returns {object} The competition as an object suitable for serializing into JSON
+   * @throws {Error} If the competition cannot be downgraded to the requested version
    */
-  serialize () {
+  serialize (version = null) {
     const competition = {
       version: this.#version
     }
@@ -281,9 +543,524 @@ class Competition {
       competition.stages.push(stage.serialize())
     })
 
+    if (version !== null && version !== this.#version) {
+      return this.#migrations.downgrade(competition, version).data
+    }
+
     return competition
   }
 
+  /**
+   * Get a deep copy of this competition.  The copy has its own teams, players, stages, groups and matches, so changing it does not change
+   * this competition.  Unlike loading the serialized competition, the copy is made synchronously and without schema validation
+   *
+   * @returns {Competition} The copy of this competition
+   */
+  clone () {
+    const competition = Competition.#loadFromData(structuredClone(this.serialize()))
+    competition.#migrations = this.#migrations
+    competition.#appliedMigrations = [...this.#appliedMigrations]
+    return competition
+  }
+
+  /**
+   * Check whether this competition is structurally equal to another, i.e. whether they would serialize to the same competition document
+   *
+   * @param {Competition} other The competition to compare with
+   * @returns {boolean} Whether the competitions are equal
+   */
+  equals (other) {
+    return other instanceof Competition && JSON.stringify(this.serialize()) === JSON.stringify(other.serialize())
+  }
+
+  /**
+   * Get a copy of this competition with some hypothetical results applied, e.g. to see what the league table would look like if one team
+   * beats another next week.  Each result is applied to the copy with GroupMatch.setScores(), and every league table, match winner and
+   * team reference in the copy reflects the hypothetical results.  This competition is not changed.
+   *
+   * The copy is made with clone(), which does not need to wait for anything.  This still returns a Promise, as it did when the copy was
+   * made by reloading the competition, so that existing callers keep working and a later version can do asynchronous work here without
+   * changing the API
+   *
+   * @param {Array<{stage: string, group: string, match: string, homeTeamScores: Array<number>, awayTeamScores: Array<number>, complete: boolean|null}>} results
+   *        The results to apply, giving the IDs of the stage, group and match, the scores for each team and, optionally, whether the
+   *        match is complete (see GroupMatch.setScores() for when this is required)
+   * @returns {Promise<Competition>} The copy of this competition with the results applied
+   * @throws {Error} If a match cannot be found or its scores are invalid
+   */
+  async withHypotheticalResults (results) {
+    const competition = this.clone()
+
+    results.forEach(result => {
+      const match = competition.getStage(result.stage).getGroup(result.group).getMatch(result.match)
+      match.setScores(result.homeTeamScores, result.awayTeamScores, result.complete ?? null)
+    })
+
+    // Results in one group can change the teams in later groups, so every group is processed again when it is next needed
+    competition.getStages().forEach(stage => {
+      stage.getGroups().forEach(group => {
+        group.invalidateResults()
+      })
+    })
+
+    return competition
+  }
+
+  /**
+   * Merge two competitions that were edited separately from a common ancestor, e.g. when matches are scored on two laptops at a venue
+   * with no network.  The edits made in each copy are found with CompetitionDiff and combined, so matches scored, teams edited and stages
+   * added in either copy all appear in the merged competition.  An edit made identically in both copies is only applied once.
+   *
+   * A conflict is when both copies change the same field of the same entity to different values, or when one copy removes something (a
+   * team, player, stage, group, match and so on) that the other copy changes, or both copies add something with the same ID but different
+   * data.  A match's teams, scores and completeness are its result and conflict as one, so that a result is never made up of the scores
+   * from one copy and the completeness or other scores from the other.  The breaks in a group also conflict as one when both copies change
+   * them differently; a break is kept in place by the match that it follows.  The order of the matches in a group is not merged.  Each
+   * conflict has the form:
+   * <ul>
+   *   <li>target - the IDs identifying what conflicts, as in a CompetitionDiff change target</li>
+   *   <li>field - the field that conflicts, e.g. "name"; "result" for a match's result; "breaks" for a group's breaks; or null when the
+   *       whole entity conflicts</li>
+   *   <li>base, ours, theirs - the value in each competition, with null meaning absent.  This is the field's value, the entity's
+   *       serialized data, the result's changed fields keyed by field name as in a CompetitionDiff change (e.g. {"homeTeam.scores": [25]}),
+   *       or the group's breaks as an array of objects of the form {after, break}, with the ID of the match the break follows (null
+   *       before the first match) and the break's serialized data</li>
+   * </ul>
+   *
+   * Each conflict is passed to the resolve callback, which returns the value to use: typically conflict.ours or conflict.theirs, but any
+   * value is allowed, with null meaning the field, entity or breaks are removed, or for a result that the match keeps its base result.
+   * When there is no callback, or it returns undefined, the conflict is left unresolved: the value from "ours" is used and the conflict is
+   * returned to the caller.  None of the competitions are changed
+   *
+   * @param {Competition} base The competition that both copies started from
+   * @param {Competition} ours One edited copy, whose value is used for an unresolved conflict
+   * @param {Competition} theirs The other edited copy
+   * @param {function(object): any} [resolve] A function, which may be async, returning the value to use for a conflict, or undefined to
+   *                                          leave the conflict unresolved
+   * @returns {Promise<{competition: Competition, conflicts: Array<{target: object, field: string|null, base: any, ours: any, theirs: any}>}>}
+   *          The merged competition and the unresolved conflicts, rejecting with a CompetitionValidationError if the merged edits do not
+   *          make a valid competition
+   */
+  static async merge (base, ours, theirs, resolve = null) {
+    const key = target => JSON.stringify(target)
+    const isAdded = change => change.before === null
+    const isRemoved = change => change.after === null
+    const ourChanges = structuredClone(new CompetitionDiff(base, ours).getChanges())
+    let theirChanges = structuredClone(new CompetitionDiff(base, theirs).getChanges())
+
+    // Removing or adding exactly the same thing in both copies only needs doing once, as does removing something that "ours" removed
+    // along with whatever contains it
+    theirChanges = theirChanges.filter(theirChange => !ourChanges.some(ourChange => {
+      if (isRemoved(theirChange)) {
+        return isRemoved(ourChange) && targetContains(ourChange.target, theirChange.target)
+      }
+      return isAdded(theirChange) && isAdded(ourChange) && key(ourChange.target) === key(theirChange.target) &&
+        JSON.stringify(ourChange.after) === JSON.stringify(theirChange.after)
+    }))
+
+    // Find the entities that conflict as a whole.  The side that removes an entity has no other changes inside it, so these never nest
+    const entityTargets = new Map()
+    ourChanges.forEach(ourChange => {
+      theirChanges.forEach(theirChange => {
+        if (isRemoved(ourChange) && !isRemoved(theirChange) && targetContains(ourChange.target, theirChange.target)) {
+          entityTargets.set(key(ourChange.target), ourChange.target)
+        } else if (isRemoved(theirChange) && !isRemoved(ourChange) && targetContains(theirChange.target, ourChange.target)) {
+          entityTargets.set(key(theirChange.target), theirChange.target)
+        } else if (isAdded(ourChange) && isAdded(theirChange) && key(ourChange.target) === key(theirChange.target)) {
+          entityTargets.set(key(ourChange.target), ourChange.target)
+        }
+      })
+    })
+    const conflictTargets = [...entityTargets.values()]
+
+    const data = [base.serialize(), ours.serialize(), theirs.serialize()]
+    const conflicts = []
+    const resolutions = []
+    conflictTargets.forEach(target => {
+      const [baseFound, ourFound, theirFound] = data.map(competitionData => findTargetEntity(competitionData, target))
+      conflicts.push({ target, field: null, base: baseFound.entity, ours: ourFound.entity, theirs: theirFound.entity })
+      resolutions.push(value => {
+        const [addedType, removedType] = ENTITY_CHANGE_TYPES[Object.keys(target).at(-1)]
+        const changes = []
+        if (baseFound.entity !== null) {
+          changes.push({ type: removedType, target, before: baseFound.entity, after: null })
+        }
+        if (value !== null) {
+          changes.push({ type: addedType, target, before: null, after: value, index: baseFound.entity !== null ? baseFound.index : ourFound.index })
+        }
+        return changes
+      })
+    })
+
+    // Everything inside a conflicting entity is replaced by the resolved entity, so the separate changes to it are dropped
+    const outsideConflicts = change => !conflictTargets.some(target => targetContains(target, change.target))
+    const changes = ourChanges.filter(outsideConflicts)
+    theirChanges = theirChanges.filter(outsideConflicts)
+
+    // Where both copies change the same field, "ours" makes the change and it is a conflict if "theirs" has a different value
+    theirChanges.filter(theirChange => !isAdded(theirChange) && !isRemoved(theirChange)).forEach(theirChange => {
+      if (theirChange.type === CompetitionChangeType.MATCH_SCORE_CHANGED) {
+        const ourChange = changes.find(ourChange => ourChange.type === theirChange.type && key(ourChange.target) === key(theirChange.target))
+        if (ourChange !== undefined) {
+          const fields = [...new Set([...Object.keys(ourChange.after), ...Object.keys(theirChange.after)])]
+          const before = { ...ourChange.before, ...theirChange.before }
+          const result = change => Object.fromEntries(fields.map(field => [field, Object.hasOwn(change.after, field) ? change.after[field] : before[field]]))
+          const baseResult = Object.fromEntries(fields.map(field => [field, before[field]]))
+          if (JSON.stringify(result(ourChange)) !== JSON.stringify(result(theirChange))) {
+            conflicts.push({ target: theirChange.target, field: 'result', base: baseResult, ours: result(ourChange), theirs: result(theirChange) })
+            resolutions.push(value => {
+              ourChange.before = baseResult
+              ourChange.after = value ?? baseResult
+              return []
+            })
+          }
+          theirChange.before = {}
+          theirChange.after = {}
+        }
+        return
+      }
+      changes.filter(ourChange => !isAdded(ourChange) && !isRemoved(ourChange) && key(ourChange.target) === key(theirChange.target)).forEach(ourChange => {
+        Object.keys(theirChange.after).filter(field => Object.hasOwn(ourChange.after, field)).forEach(field => {
+          if (JSON.stringify(ourChange.after[field]) !== JSON.stringify(theirChange.after[field])) {
+            conflicts.push({ target: theirChange.target, field, base: theirChange.before[field], ours: ourChange.after[field], theirs: theirChange.after[field] })
+            resolutions.push(value => {
+              ourChange.after[field] = value
+              return []
+            })
+          }
+          delete theirChange.before[field]
+          delete theirChange.after[field]
+        })
+      })
+    })
+    changes.push(...theirChanges.filter(theirChange => isAdded(theirChange) || isRemoved(theirChange) || Object.keys(theirChange.after).length > 0))
+
+    // CompetitionDiff does not compare breaks, so the breaks in each group that is in all three competitions are merged here
+    const mergedBreaks = []
+    data[0].stages.forEach(stage => {
+      stage.groups.forEach(group => {
+        const target = { stage: stage.id, group: group.id }
+        const found = data.map(competitionData => findTargetEntity(competitionData, target).entity)
+        if (found.includes(null) || conflictTargets.some(conflictTarget => targetContains(conflictTarget, target))) {
+          return
+        }
+        const [baseBreaks, ourBreaks, theirBreaks] = found.map(groupBreaks)
+        const [baseKey, ourKey, theirKey] = [baseBreaks, ourBreaks, theirBreaks].map(breaks => JSON.stringify(breaks))
+        if (ourKey === theirKey || theirKey === baseKey) {
+          mergedBreaks.push({ target, breaks: ourBreaks })
+        } else if (ourKey === baseKey) {
+          mergedBreaks.push({ target, breaks: theirBreaks })
+        } else {
+          conflicts.push({ target, field: 'breaks', base: baseBreaks, ours: ourBreaks, theirs: theirBreaks })
+          resolutions.push(value => {
+            mergedBreaks.push({ target, breaks: value ?? [] })
+            return []
+          })
+        }
+      })
+    })
+
+    const unresolved = []
+    for (const [i, conflict] of conflicts.entries()) {
+      let value = resolve === null ? undefined : await resolve(conflict)
+      if (value === undefined) {
+        unresolved.push(conflict)
+        value = conflict.ours
+      }
+      changes.push(...resolutions[i](value))
+    }
+
+    const competition = await CompetitionDiff.apply(base, changes)
+    const breaksChanged = mergedBreaks.filter(({ target, breaks }) => JSON.stringify(breaks) !== JSON.stringify(groupBreaks(findTargetEntity(data[0], target).entity)))
+    if (breaksChanged.length === 0) {
+      return { competition, conflicts: unresolved }
+    }
+
+    const mergedData = competition.serialize()
+    breaksChanged.forEach(({ target, breaks }) => setGroupBreaks(findTargetEntity(mergedData, target).entity, breaks))
+    return { competition: await Competition.loadFromCompetitionJSON(JSON.stringify(mergedData)), conflicts: unresolved }
+  }
+
+  /**
+   * Start recording the changes made to this competition, so that they can be undone and redone.  Changes made through the methods of
+   * the competition and of its clubs, teams, players, stages, groups, matches and breaks are recorded.  Calling this again returns the
+   * existing history
+   *
+   * @returns {ChangeHistory} The change history
+   */
+  enableHistory () {
+    if (this.#history === null) {
+      this.#history = new ChangeHistory(change => this.#changeFromHistory(change))
+    }
+    return this.#history
+  }
+
+  /**
+   * Get the record of changes made to this competition
+   *
+   * @returns {ChangeHistory|null} The change history, or null if history has not been enabled
+   */
+  getHistory () {
+    return this.#history
+  }
+
+  /**
+   * Make a change to part of this competition, recording it in the change history when history is enabled.  This is called by the methods
+   * that change the competition, and is not normally called directly
+   *
+   * @param {function(): any} snapshot Get the state of the object being changed
+   * @param {function(any): void} restore Restore the object to a state returned by snapshot
+   * @param {function(): any} change Make the change
+   * @returns {any} The value returned by the change
+   */
+  recordChange (snapshot, restore, change) {
+    if (this.#history === null) {
+      return change()
+    }
+    return this.#history.record(snapshot, restore, change)
+  }
+
+  /**
+   * Make a change to this competition's own fields, recording it in the change history
+   *
+   * @param {function(): any} change Make the change
+   * @returns {any} The value returned by the change
+   * @private
+   */
+  #record (change) {
+    return this.recordChange(() => this.#snapshot(), snapshot => this.#restore(snapshot), change)
+  }
+
+  /**
+   * Get the state of this competition's own fields, for the change history
+   *
+   * @returns {object} The state
+   * @private
+   */
+  #snapshot () {
+    return {
+      name: this.#name,
+      notes: this.#notes,
+      metadata: this.#metadata.map(kv => ({ ...kv })),
+      clubs: [...this.#clubs],
+      teams: [...this.#teams],
+      players: [...this.#players],
+      stages: [...this.#stages],
+      clubLookup: { ...this.#clubLookup },
+      teamLookup: { ...this.#teamLookup },
+      playerLookup: { ...this.#playerLookup },
+      stageLookup: { ...this.#stageLookup }
+    }
+  }
+
+  /**
+   * Restore this competition's own fields to a state from the change history
+   *
+   * @param {object} snapshot The state to restore
+   * @private
+   */
+  #restore (snapshot) {
+    this.#name = snapshot.name
+    this.#notes = snapshot.notes
+    this.#metadata = snapshot.metadata.map(kv => ({ ...kv }))
+    this.#clubs = [...snapshot.clubs]
+    this.#teams = [...snapshot.teams]
+    this.#players = [...snapshot.players]
+    this.#stages = [...snapshot.stages]
+    this.#clubLookup = { ...snapshot.clubLookup }
+    this.#teamLookup = { ...snapshot.teamLookup }
+    this.#playerLookup = { ...snapshot.playerLookup }
+    this.#stageLookup = { ...snapshot.stageLookup }
+  }
+
+  /**
+   * Listen for events of the given type.  The listener is called with an event object with a "type" field and fields holding the affected
+   * entities:
+   * <ul>
+   *   <li>{@link CompetitionEventType.MATCH_SCORE_CHANGED} and {@link CompetitionEventType.MATCH_COMPLETED} - match</li>
+   *   <li>{@link CompetitionEventType.GROUP_COMPLETED} - group</li>
+   *   <li>{@link CompetitionEventType.STAGE_COMPLETED} - stage</li>
+   *   <li>{@link CompetitionEventType.LEAGUE_TABLE_UPDATED} - group, table</li>
+   *   <li>{@link CompetitionEventType.TEAM_RESOLVED} - reference, team</li>
+   *   <li>{@link CompetitionEventType.TEAM_RENAMED} - team, previousName</li>
+   * </ul>
+   *
+   * @param {string} type The type of event, from CompetitionEventType
+   * @param {function(object): void} listener The function to call when the event happens
+   * @returns {Competition} This competition
+   */
+  on (type, listener) {
+    if (!Object.hasOwn(this.#listeners, type)) {
+      this.#listeners[type] = []
+    }
+    this.#listeners[type].push(listener)
+    return this
+  }
+
+  /**
+   * Stop listening for events of the given type
+   *
+   * @param {string} type The type of event, from CompetitionEventType
+   * @param {function(object): void} listener The function that was passed to on()
+   * @returns {Competition} This competition
+   */
+  off (type, listener) {
+    if (Object.hasOwn(this.#listeners, type)) {
+      this.#listeners[type] = this.#listeners[type].filter(l => l !== listener)
+    }
+    return this
+  }
+
+  /**
+   * Check whether anything is listening for events of the given type
+   *
+   * @param {string} type The type of event, from CompetitionEventType
+   * @returns {boolean} Whether there are any listeners
+   */
+  hasListeners (type) {
+    return Object.hasOwn(this.#listeners, type) && this.#listeners[type].length > 0
+  }
+
+  /**
+   * Call the listeners for an event.  This is called by the methods that change a competition, and is not normally called directly
+   *
+   * @param {string} type The type of event, from CompetitionEventType
+   * @param {object} event The affected entities
+   * @returns {Competition} This competition
+   */
+  emit (type, event) {
+    if (this.hasListeners(type)) {
+      const listenerEvent = { type, ...event }
+      this.#listeners[type].forEach(listener => listener(listenerEvent))
+    }
+    return this
+  }
+
+  /**
+   * Make a change to a match's result, emitting the events for the match and for anything that the new result completes or resolves.
+   * This is called by the methods that change a match's result, and is not normally called directly
+   *
+   * @param {GroupMatch} match The match whose result is changing
+   * @param {function(): any} change Make the change
+   * @returns {any} The value returned by the change
+   */
+  changeResult (match, change) {
+    const wasComplete = match.isComplete()
+    return this.#emitResultEvents(() => {
+      const result = change()
+      if (!wasComplete && match.isComplete()) {
+        this.emit(CompetitionEventType.MATCH_COMPLETED, { match })
+      }
+      return result
+    })
+  }
+
+  /**
+   * Undo or redo changes from the change history, emitting the events for the match results and team names that it changes, as if the
+   * changes had been made again
+   *
+   * @param {function(): void} change Undo or redo the changes
+   * @private
+   */
+  #changeFromHistory (change) {
+    if (!Object.values(CompetitionEventType).some(type => this.hasListeners(type))) {
+      change()
+      return
+    }
+
+    const getMatches = () => this.#stages.flatMap(stage => stage.getGroups()).flatMap(group => group.getMatches())
+      .filter(match => !(match instanceof GroupBreak))
+    const resultOf = match => JSON.stringify([match.getHomeTeamScores(), match.getAwayTeamScores(), match.isComplete()])
+    const results = new Map(getMatches().map(match => [match, { result: resultOf(match), complete: match.isComplete() }]))
+    const names = new Map(this.#teams.map(team => [team, team.getName()]))
+
+    this.#emitResultEvents(() => {
+      change()
+      getMatches().filter(match => results.has(match) && results.get(match).result !== resultOf(match)).forEach(match => {
+        this.emit(CompetitionEventType.MATCH_SCORE_CHANGED, { match })
+        if (!results.get(match).complete && match.isComplete()) {
+          this.emit(CompetitionEventType.MATCH_COMPLETED, { match })
+        }
+      })
+    })
+
+    this.#teams.filter(team => names.has(team) && names.get(team) !== team.getName()).forEach(team => {
+      this.emit(CompetitionEventType.TEAM_RENAMED, { team, previousName: names.get(team) })
+    })
+  }
+
+  /**
+   * Make a change that can change match results, emitting the events for anything that the change completes or resolves
+   *
+   * @param {function(): any} change Make the change
+   * @returns {any} The value returned by the change
+   * @private
+   */
+  #emitResultEvents (change) {
+    const watching = [
+      CompetitionEventType.GROUP_COMPLETED,
+      CompetitionEventType.STAGE_COMPLETED,
+      CompetitionEventType.LEAGUE_TABLE_UPDATED,
+      CompetitionEventType.TEAM_RESOLVED
+    ].some(type => this.hasListeners(type))
+    const before = watching ? this.#resultState() : null
+
+    const result = change()
+
+    if (watching) {
+      const after = this.#resultState()
+      after.groups.filter(group => !before.groups.includes(group)).forEach(group => {
+        this.emit(CompetitionEventType.GROUP_COMPLETED, { group })
+      })
+      after.stages.filter(stage => !before.stages.includes(stage)).forEach(stage => {
+        this.emit(CompetitionEventType.STAGE_COMPLETED, { stage })
+      })
+      Object.entries(after.teams).forEach(([reference, team]) => {
+        // A reference that was not in the matches before, e.g. in a stage that an undo puts back, is reported when it resolves
+        const previousID = Object.hasOwn(before.teams, reference) ? before.teams[reference].getID() : CompetitionTeam.UNKNOWN_TEAM_ID
+        if (previousID === CompetitionTeam.UNKNOWN_TEAM_ID && team.getID() !== CompetitionTeam.UNKNOWN_TEAM_ID) {
+          this.emit(CompetitionEventType.TEAM_RESOLVED, { reference, team })
+        }
+      })
+    }
+    return result
+  }
+
+  /**
+   * Get the results that change as matches are played: the complete groups and stages, and the team that each team reference in the
+   * matches resolves to.  Getting these processes the matches, which updates any league tables
+   *
+   * @returns {{groups: Array<Group>, stages: Array<Stage>, teams: Object.<string, CompetitionTeam>}} The results
+   * @private
+   */
+  #resultState () {
+    this.#processMatches()
+    const state = { groups: [], stages: [], teams: {} }
+    this.#stages.forEach(stage => {
+      stage.getGroups().forEach(group => {
+        group.getMatches().forEach(match => {
+          if (match instanceof GroupBreak) {
+            return
+          }
+          const ids = [match.getHomeTeam().getID(), match.getAwayTeam().getID()]
+          if (match.hasOfficials() && match.getOfficials().isTeam()) {
+            ids.push(match.getOfficials().getTeamID())
+          }
+          ids.filter(id => id.startsWith('{')).forEach(id => {
+            state.teams[id] = this.getTeam(id)
+          })
+        })
+        if (group.isComplete()) {
+          state.groups.push(group)
+        }
+      })
+      if (stage.isComplete()) {
+        state.stages.push(stage)
+      }
+    })
+    return state
+  }
+
   /**
    * Process matches for all stages in the competition
    */
@@ -306,6 +1083,16 @@ class Competition {
     return this.#version
   }
 
+  /**
+   * Get the migrations that were run to upgrade the competition document to the current schema version when it was loaded, in the
+   * order that they ran
+   *
+   * @returns {Array<{from: string, to: string}>} the migrations, as the versions that each migrated from and to
+   */
+  getAppliedMigrations () {
+    return this.#appliedMigrations
+  }
+
   /**
    * Set the competition version
    *
@@ -338,8 +1125,10 @@ class Competition {
     if (name.length > 1000 || name.length < 1) {
       throw new Error('Invalid competition name: must be between 1 and 1000 characters long')
     }
-    this.#name = name
-    return this
+    return this.#record(() => {
+      this.#name = name
+      return this
+    })
   }
 
   /**
@@ -361,16 +1150,18 @@ class Competition {
       throw new Error('Invalid metadata value: must be between 1 and 1000 characters long')
     }
 
-    for (let i = 0; i < this.#metadata.length; i++) {
-      if (this.#metadata[i].key === key) {
-        this.#metadata[i].value = value
-        return this
+    return this.#record(() => {
+      for (let i = 0; i < this.#metadata.length; i++) {
+        if (this.#metadata[i].key === key) {
+          this.#metadata[i].value = value
+          return this
+        }
       }
-    }
 
-    const kv = { key, value }
-    this.#metadata.push(kv)
-    return this
+      const kv = { key, value }
+      this.#metadata.push(kv)
+      return this
+    })
   }
 
   /**
@@ -439,8 +1230,10 @@ class Competition {
    * @returns {Competition} Returns the current Competition instance for method chaining
    */
   deleteMetadataByKey (key) {
-    this.#metadata = this.#metadata.filter(el => el.key !== key)
-    return this
+    return this.#record(() => {
+      this.#metadata = this.#metadata.filter(el => el.key !== key)
+      return this
+    })
   }
 
   /**
@@ -463,8 +1256,10 @@ class Competition {
     if (notes.length < 1) {
       throw new Error('Invalid competition notes: must be at least 1 character long')
     }
-    this.#notes = notes
-    return this
+    return this.#record(() => {
+      this.#notes = notes
+      return this
+    })
   }
 
   /**
@@ -483,9 +1278,11 @@ class Competition {
     if (this.hasTeam(team.getID())) {
       return this
     }
-    this.#teams.push(team)
-    this.#teamLookup[team.getID()] = team
-    return this
+    return this.#record(() => {
+      this.#teams.push(team)
+      this.#teamLookup[team.getID()] = team
+      return this
+    })
   }
 
   /**
@@ -551,6 +1348,40 @@ class Competition {
     return this.#unknownTeam
   }
 
+  /**
+   * Get a name for a team that is suitable for displaying to people.  When the team ID or reference resolves to a team then this is
+   * the team's name, otherwise an unresolved reference is described in words, e.g. "{L:RL:league:1}" becomes "1st in Recreational League",
+   * "{F:LF:SF1:winner}" becomes "Winner of SF1", and a ternary reference becomes the two possible teams, e.g. "Winner of SF1 or Loser of SF2"
+   *
+   * @param {string} id The ID of the team, or a team reference
+   * @returns {string} The name to display for the team
+   */
+  getTeamDisplayName (id) {
+    const team = this.getTeam(id)
+    if (team.getID() !== CompetitionTeam.UNKNOWN_TEAM_ID) {
+      return team.getName()
+    }
+
+    const lrMatches = id.match(/^([^=]*)==([^?]*)\?(.*)/)
+    if (lrMatches !== null) {
+      const tfMatches = lrMatches[3].match(/^({[^}]*}):(.*)/) ?? lrMatches[3].match(/^([^:]*):(.*)/)
+      if (tfMatches !== null) {
+        return `${this.getTeamDisplayName(tfMatches[1])} or ${this.getTeamDisplayName(tfMatches[2])}`
+      }
+    }
+
+    const teamRefParts = id.match(/^{([^:]*):([^:]*):([^:]*):([^:]*)}$/)
+    if (teamRefParts !== null && this.hasStage(teamRefParts[1]) && this.getStage(teamRefParts[1]).hasGroup(teamRefParts[2])) {
+      if (teamRefParts[3] === 'league') {
+        const group = this.getStage(teamRefParts[1]).getGroup(teamRefParts[2])
+        return `${ordinal(parseInt(teamRefParts[4]))} in ${group.getName() ?? group.getID()}`
+      }
+      return `${teamRefParts[4].charAt(0).toUpperCase()}${teamRefParts[4].slice(1)} of ${teamRefParts[3]}`
+    }
+
+    return team.getName()
+  }
+
   /**
    * Check if a team with the given ID exists in the competition
    *
@@ -585,16 +1416,18 @@ class Competition {
       throw new Error(`Team still has matches with IDs: ${teamMatches.map(collapseMatches).join(', ')}`)
     }
 
-    // Also remove team from any club's list
-    this.#clubs.forEach(club => {
-      club.deleteTeam(id)
-    })
+    return this.#record(() => {
+      // Also remove team from any club's list
+      this.#clubs.forEach(club => {
+        club.deleteTeam(id)
+      })
 
-    // Then delete the team
-    delete this.#teamLookup[id]
-    this.#teams = this.#teams.filter(team => team.getID() !== id)
+      // Then delete the team
+      delete this.#teamLookup[id]
+      this.#teams = this.#teams.filter(team => team.getID() !== id)
 
-    return this
+      return this
+    })
   }
 
   /**
@@ -611,9 +1444,11 @@ class Competition {
       throw new Error('players with duplicate IDs within a competition not allowed')
     }
 
-    this.#players.push(player)
-    this.#playerLookup[player.getID()] = player
-    return this
+    return this.#record(() => {
+      this.#players.push(player)
+      this.#playerLookup[player.getID()] = player
+      return this
+    })
   }
 
   /**
@@ -708,9 +1543,73 @@ class Competition {
       return this
     }
 
-    delete this.#playerLookup[id]
-    this.#players = this.#players.filter(el => el.getID() !== id)
-    return this
+    return this.#record(() => {
+      delete this.#playerLookup[id]
+      this.#players = this.#players.filter(el => el.getID() !== id)
+      return this
+    })
+  }
+
+  /**
+   * Transfer a player to a team from a date.  The player's current team entry, if it has no "until" date, is closed on the day before the
+   * transfer and a new team entry is added for the new team starting on the date of the transfer.  The transfer must come after every
+   * existing team entry, so a transfer is rejected if any of the player's team entries starts on or after the transfer date, or ends on
+   * or after it.  Only the current team entry is closed, so a transfer is also rejected if any earlier team entry has no "until" date
+   *
+   * @param {string} playerID The ID of the player to transfer
+   * @param {string} toTeamID The ID of the team the player is transferring to
+   * @param {string} date The date of the transfer, in the format YYYY-MM-DD
+   * @param {string|null} notes Notes about the transfer, which are added to the new team entry
+   * @returns {Competition} This Competition instance
+   * @throws {Error} If the player or team does not exist, the date is invalid, or the transfer overlaps the player's existing team entries
+   */
+  transferPlayer (playerID, toTeamID, date, notes = null) {
+    const player = this.getPlayer(playerID)
+    if (!this.hasTeam(toTeamID)) {
+      throw new Error(`Team with ID "${toTeamID}" not found`)
+    }
+
+    if (!/^[0-9]{4}-(0[0-9]|1[0-2])-(0[1-9]|[12][0-9]|3[01])$/.test(date)) {
+      throw new Error(`Invalid date "${date}": must contain a value of the form "YYYY-MM-DD"`)
+    }
+
+    const d = new Date(date)
+    if (`${d.getFullYear()}-${(d.getMonth() + 1).toString().padStart(2, '0')}-${(d.getDate()).toString().padStart(2, '0')}` !== date) {
+      throw new Error(`Invalid date "${date}": date does not exist`)
+    }
+
+    const prefix = `Cannot transfer player {${playerID}} to team "${toTeamID}" on ${date}`
+    const latestEntry = player.getLatestTeamEntry()
+    const openEntry = latestEntry !== null && latestEntry.getUntil() === null ? latestEntry : null
+    if (openEntry !== null && openEntry.getID() === toTeamID) {
+      throw new Error(`${prefix}: the player is already registered to the team`)
+    }
+
+    player.getTeamEntries().forEach(entry => {
+      if (entry !== latestEntry && entry.getUntil() === null) {
+        throw new Error(`${prefix}: the player's registration to team "${entry.getID()}" has no end date`)
+      }
+      if (entry.getFrom() !== null && entry.getFrom() >= date) {
+        throw new Error(`${prefix}: the player's registration to team "${entry.getID()}" starts on ${entry.getFrom()}`)
+      }
+      if (entry.getUntil() !== null && entry.getUntil() >= date) {
+        throw new Error(`${prefix}: the player's registration to team "${entry.getID()}" runs until ${entry.getUntil()}`)
+      }
+    })
+
+    return this.#record(() => {
+      if (openEntry !== null) {
+        const dayBefore = new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate() - 1))
+        openEntry.setUntil(dayBefore.toISOString().substring(0, 10))
+      }
+
+      const teamEntry = new PlayerTeam(player, toTeamID).setFrom(date)
+      if (notes !== null) {
+        teamEntry.setNotes(notes)
+      }
+      player.appendTeamEntry(teamEntry)
+      return this
+    })
   }
 
   /**
@@ -726,9 +1625,11 @@ class Competition {
     if (stage.getCompetition() !== this) {
       throw new Error('Stage was initialised with a different Competition')
     }
-    this.#stages.push(stage)
-    this.#stageLookup[stage.getID()] = stage
-    return this
+    return this.#record(() => {
+      this.#stages.push(stage)
+      this.#stageLookup[stage.getID()] = stage
+      return this
+    })
   }
 
   /**
@@ -808,10 +1709,11 @@ class Competition {
       return this
     }
 
-    delete this.#stageLookup[id]
-    this.#stages = this.#stages.filter(el => el.getID() !== id)
-
-    return this
+    return this.#record(() => {
+      delete this.#stageLookup[id]
+      this.#stages = this.#stages.filter(el => el.getID() !== id)
+      return this
+    })
   }
 
   /**
@@ -827,9 +1729,11 @@ class Competition {
     if (club.getCompetition() !== this) {
       throw new Error('Club was initialised with a different Competition')
     }
-    this.#clubs.push(club)
-    this.#clubLookup[club.getID()] = club
-    return this
+    return this.#record(() => {
+      this.#clubs.push(club)
+      this.#clubLookup[club.getID()] = club
+      return this
+    })
   }
 
   /**
@@ -895,10 +1799,11 @@ class Competition {
       throw new Error(`Club still contains teams with IDs: ${teamsInClub.map(t => `{${t.getID()}}`).join(', ')}`)
     }
 
-    delete this.#clubLookup[id]
-    this.#clubs = this.#clubs.filter(club => club.getID() !== id)
-
-    return this
+    return this.#record(() => {
+      delete this.#clubLookup[id]
+      this.#clubs = this.#clubs.filter(club => club.getID() !== id)
+      return this
+    })
   }
 
   /**
@@ -1083,6 +1988,76 @@ class Competition {
     return [...new Set(references)]
   }
 
+  /**
+   * Find any scheduling conflicts between matches in the competition, where two matches take place at the same time on the same date
+   * and either a team is playing in both, a team is playing in one and officiating the other, a team is officiating both, or both
+   * matches are on the same court at the same venue.  Matches are considered to run from their start time for their duration, and
+   * matches without a start time are ignored.  Team references are resolved where possible, so a team that is referenced in
+   * different ways is still found, but unresolved references only match the same reference
+   *
+   * @returns {Array<{type: string, teamIDs: Array<string>, court: string|null, date: string|null, matches: Array<{stageID: string, groupID: string, matchID: string}>}>} The conflicts found, where type is one of the ScheduleConflictType values
+   */
+  findScheduleConflicts () {
+    const teamKey = teamID => {
+      const team = this.getTeam(teamID)
+      return team.getID() === CompetitionTeam.UNKNOWN_TEAM_ID ? teamID : team.getID()
+    }
+
+    const entries = []
+    this.#stages.forEach(stage => {
+      stage.getGroups().forEach(group => {
+        group.getMatches().forEach(match => {
+          if (match instanceof GroupBreak || !match.hasStart()) {
+            return
+          }
+          const start = timeToMinutes(match.getStart())
+          entries.push({
+            match,
+            ids: { stageID: stage.getID(), groupID: group.getID(), matchID: match.getID() },
+            start,
+            // A match with no duration is treated as lasting one minute so that matches with the same start time still overlap
+            end: start + (match.hasDuration() ? timeToMinutes(match.getDuration()) : 1),
+            playing: [teamKey(match.getHomeTeam().getID()), teamKey(match.getAwayTeam().getID())],
+            officiating: match.hasOfficials() && match.getOfficials().isTeam() ? [teamKey(match.getOfficials().getTeamID())] : []
+          })
+        })
+      })
+    })
+
+    const conflicts = []
+    for (let i = 0; i < entries.length; i++) {
+      for (let j = i + 1; j < entries.length; j++) {
+        const a = entries[i]
+        const b = entries[j]
+        if (a.match.getDate() !== b.match.getDate() || a.start >= b.end || b.start >= a.end) {
+          continue
+        }
+
+        const addConflict = (type, teamIDs, court) => {
+          conflicts.push({ type, teamIDs, court, date: a.match.getDate(), matches: [a.ids, b.ids] })
+        }
+
+        const playingTwice = a.playing.filter(teamID => b.playing.includes(teamID))
+        if (playingTwice.length > 0) {
+          addConflict(ScheduleConflictType.TEAM_PLAYING_TWICE, playingTwice, null)
+        }
+        const playingAndOfficiating = a.playing.filter(teamID => b.officiating.includes(teamID)).concat(b.playing.filter(teamID => a.officiating.includes(teamID)))
+        if (playingAndOfficiating.length > 0) {
+          addConflict(ScheduleConflictType.TEAM_PLAYING_AND_OFFICIATING, playingAndOfficiating, null)
+        }
+        const officiatingTwice = a.officiating.filter(teamID => b.officiating.includes(teamID))
+        if (officiatingTwice.length > 0) {
+          addConflict(ScheduleConflictType.TEAM_OFFICIATING_TWICE, officiatingTwice, null)
+        }
+        if (a.match.hasCourt() && a.match.getCourt() === b.match.getCourt() && a.match.getVenue() === b.match.getVenue()) {
+          addConflict(ScheduleConflictType.COURT_DOUBLE_BOOKED, [], a.match.getCourt())
+        }
+      }
+    }
+
+    return conflicts
+  }
+
   /**
    * Check whether all stages are complete, i.e. all matches in all stages have results
    * and the competition results can be fully calculated
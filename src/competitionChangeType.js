@@ -0,0 +1,31 @@
+class CompetitionChangeType {
+  static COMPETITION_CHANGED = 'competitionChanged'
+  static METADATA_ADDED = 'metadataAdded'
+  static METADATA_REMOVED = 'metadataRemoved'
+  static METADATA_CHANGED = 'metadataChanged'
+  static CLUB_ADDED = 'clubAdded'
+  static CLUB_REMOVED = 'clubRemoved'
+  static CLUB_CHANGED = 'clubChanged'
+  static TEAM_ADDED = 'teamAdded'
+  static TEAM_REMOVED = 'teamRemoved'
+  static TEAM_RENAMED = 'teamRenamed'
+  static TEAM_CHANGED = 'teamChanged'
+  static PLAYER_ADDED = 'playerAdded'
+  static PLAYER_REMOVED = 'playerRemoved'
+  static PLAYER_MOVED_TEAM = 'playerMovedTeam'
+  static PLAYER_CHANGED = 'playerChanged'
+  static STAGE_ADDED = 'stageAdded'
+  static STAGE_REMOVED = 'stageRemoved'
+  static STAGE_CHANGED = 'stageChanged'
+  static GROUP_ADDED = 'groupAdded'
+  static GROUP_REMOVED = 'groupRemoved'
+  static GROUP_CHANGED = 'groupChanged'
+  static MATCH_ADDED = 'matchAdded'
+  static MATCH_REMOVED = 'matchRemoved'
+  static MATCH_SCORE_CHANGED = 'matchScoreChanged'
+  static MATCH_RESCHEDULED = 'matchRescheduled'
+  static MATCH_OFFICIALS_CHANGED = 'matchOfficialsChanged'
+  static MATCH_CHANGED = 'matchChanged'
+}
+
+export default CompetitionChangeType
@@ -0,0 +1,576 @@
+import Competition from './competition.js'
+import CompetitionChangeType from './competitionChangeType.js'
+
+/**
+ * Get the value of a field in some competition data, where a field in a nested object is named as "key.subKey"
+ *
+ * @param {object} data The data to get the field from
+ * @param {string} field The name of the field
+ * @returns {any} The value of the field, or null if the field is not set
+ */
+function getField (data, field) {
+  return field.split('.').reduce((object, key) => object[key], data) ?? null
+}
+
+/**
+ * Set the value of a field in some competition data, where a field in a nested object is named as "key.subKey"
+ *
+ * @param {object} data The data to set the field in
+ * @param {string} field The name of the field
+ * @param {any} value The new value of the field, or null to remove the field
+ */
+function setField (data, field, value) {
+  const keys = field.split('.')
+  const lastKey = keys.pop()
+  const object = keys.reduce((object, key) => object[key], data)
+  if (value === null) {
+    delete object[lastKey]
+  } else {
+    object[lastKey] = structuredClone(value)
+  }
+}
+
+/**
+ * Get the names of the fields set in either of two versions of some competition data
+ *
+ * @param {object} before The data before the change
+ * @param {object} after The data after the change
+ * @param {Array<string>} excluded The fields to leave out
+ * @param {Array<string>} nested The fields holding nested objects, whose own fields are named instead as "key.subKey"
+ * @returns {Array<string>} The names of the fields
+ */
+function fieldNames (before, after, excluded, nested = []) {
+  const names = new Set()
+  for (const data of [before, after]) {
+    Object.keys(data).forEach(key => {
+      if (nested.includes(key)) {
+        Object.keys(data[key]).forEach(subKey => names.add(`${key}.${subKey}`))
+      } else if (!excluded.includes(key)) {
+        names.add(key)
+      }
+    })
+  }
+  return [...names]
+}
+
+/**
+ * Compare fields in two versions of some competition data
+ *
+ * @param {object} before The data before the change
+ * @param {object} after The data after the change
+ * @param {Array<string>} fields The fields to compare
+ * @returns {{before: object, after: object}|null} The values of the fields that differ, before and after the change and keyed by field name,
+ *                                                 or null if none of the fields differ
+ */
+function compareFields (before, after, fields) {
+  const changed = { before: {}, after: {} }
+  fields.forEach(field => {
+    if (JSON.stringify(getField(before, field)) !== JSON.stringify(getField(after, field))) {
+      changed.before[field] = getField(before, field)
+      changed.after[field] = getField(after, field)
+    }
+  })
+  return Object.keys(changed.after).length > 0 ? changed : null
+}
+
+/**
+ * Match up the items in two versions of a list by their IDs
+ *
+ * @param {Array<object>} before The list before the change
+ * @param {Array<object>} after The list after the change
+ * @param {string} idKey The name of the field holding each item's ID
+ * @returns {{removed: Array<object>, added: Array<{item: object, index: number}>, common: Array<Array<object>>}} The items only in the
+ *          list before the change, the items only in the list after the change with their position in that list, and the pairs of
+ *          items in both lists
+ */
+function matchByID (before, after, idKey) {
+  const afterIDs = after.map(item => item[idKey])
+  const beforeIDs = before.map(item => item[idKey])
+  return {
+    removed: before.filter(item => !afterIDs.includes(item[idKey])),
+    added: after.map((item, index) => ({ item, index })).filter(({ item }) => !beforeIDs.includes(item[idKey])),
+    common: before.filter(item => afterIDs.includes(item[idKey])).map(item => [item, after[afterIDs.indexOf(item[idKey])]])
+  }
+}
+
+/**
+ * Describe a value in a change description
+ *
+ * @param {any} value The value
+ * @returns {string} The description of the value
+ */
+function describeValue (value) {
+  return value === null ? 'none' : JSON.stringify(value)
+}
+
+/**
+ * Describe the fields that changed, giving the old and new values where they are simple values
+ *
+ * @param {{before: object, after: object}} changed The values of the fields that changed
+ * @returns {string} The description of the changes
+ */
+function describeFields (changed) {
+  const isSimple = value => value === null || typeof value !== 'object'
+  return Object.keys(changed.after).map(field => {
+    if (isSimple(changed.before[field]) && isSimple(changed.after[field])) {
+      return `${field} from ${describeValue(changed.before[field])} to ${describeValue(changed.after[field])}`
+    }
+    return `${field} changed`
+  }).join(', ')
+}
+
+/**
+ * Describe a match's scores
+ *
+ * @param {object} match The match data
+ * @returns {string} The description of the scores
+ */
+function describeScores (match) {
+  if (match.homeTeam.scores.length === 0) {
+    return 'no score'
+  }
+  return match.homeTeam.scores.map((score, i) => `${score}-${match.awayTeam.scores[i]}`).join(', ')
+}
+
+/**
+ * Describe a match's officials
+ *
+ * @param {object|null} officials The officials data
+ * @returns {string} The description of the officials
+ */
+function describeOfficials (officials) {
+  if (officials === null) {
+    return 'none'
+  }
+  if (Object.hasOwn(officials, 'team')) {
+    return `team ${officials.team}`
+  }
+  return Object.hasOwn(officials, 'second') ? `${officials.first} and ${officials.second}` : officials.first
+}
+
+/**
+ * Find an item in a list in some competition data, when applying a change
+ *
+ * @param {Array<object>} list The list to search
+ * @param {string} id The ID of the item
+ * @param {string} label A description of the item for the error message
+ * @returns {object} The item
+ * @throws {Error} If the item is not in the list
+ */
+function findItem (list, id, label) {
+  const item = list.find(item => item.id === id)
+  if (item === undefined) {
+    throw new Error(`Cannot apply change: ${label} not found`)
+  }
+  return item
+}
+
+/**
+ * The differences between two versions of a competition, as a list of change records.  Each record has the form:
+ * <ul>
+ *   <li>type - the type of change, one of the CompetitionChangeType values</li>
+ *   <li>target - the IDs identifying what changed: {} for the competition itself, {key} for metadata, {club}, {team}, {player},
+ *       {stage}, {stage, group} or {stage, group, match}</li>
+ *   <li>before - the data before the change, or null when something was added</li>
+ *   <li>after - the data after the change, or null when something was removed</li>
+ *   <li>index - only when something was added, its position in the list it was added to</li>
+ *   <li>description - a human-readable description of the change</li>
+ * </ul>
+ *
+ * When something is added or removed, "before" or "after" is its full serialized data.  For any other change they are objects holding
+ * just the fields that changed, keyed by field name, where a field in a match team is named e.g. "homeTeam.scores" and a field that is
+ * not set has the value null.  A match's teams, scores and completeness are reported as a score change, its court, venue, date, warmup,
+ * start and duration as a rescheduling, and a player's team entries as the player moving team.
+ *
+ * The descriptions make a changelog, and the records themselves are a patch that can be applied to a competition.  Breaks between matches
+ * and changes to the order of items in a list are not compared.
+ */
+class CompetitionDiff {
+  /**
+   * The fields of a match that are reported as a score change
+   * @type {Array<string>}
+   * @private
+   */
+  static #MATCH_SCORE_FIELDS = ['complete', 'homeTeam.id', 'homeTeam.scores', 'awayTeam.id', 'awayTeam.scores']
+
+  /**
+   * The fields of a match that are reported as a rescheduling
+   * @type {Array<string>}
+   * @private
+   */
+  static #MATCH_SCHEDULE_FIELDS = ['court', 'venue', 'date', 'warmup', 'start', 'duration']
+
+  /**
+   * The change types that add something
+   * @type {Array<string>}
+   * @private
+   */
+  static #ADDED_TYPES = [
+    CompetitionChangeType.METADATA_ADDED,
+    CompetitionChangeType.CLUB_ADDED,
+    CompetitionChangeType.TEAM_ADDED,
+    CompetitionChangeType.PLAYER_ADDED,
+    CompetitionChangeType.STAGE_ADDED,
+    CompetitionChangeType.GROUP_ADDED,
+    CompetitionChangeType.MATCH_ADDED
+  ]
+
+  /**
+   * The change types that remove something
+   * @type {Array<string>}
+   * @private
+   */
+  static #REMOVED_TYPES = [
+    CompetitionChangeType.METADATA_REMOVED,
+    CompetitionChangeType.CLUB_REMOVED,
+    CompetitionChangeType.TEAM_REMOVED,
+    CompetitionChangeType.PLAYER_REMOVED,
+    CompetitionChangeType.STAGE_REMOVED,
+    CompetitionChangeType.GROUP_REMOVED,
+    CompetitionChangeType.MATCH_REMOVED
+  ]
+
+  /**
+   * The changes from the first competition to the second
+   * @type {Array<object>}
+   * @private
+   */
+  #changes
+
+  /**
+   * Compares two versions of a competition
+   *
+   * @param {Competition} before The competition before the changes
+   * @param {Competition} after The competition after the changes
+   */
+  constructor (before, after) {
+    this.#changes = []
+
+    const beforeData = before.serialize()
+    const afterData = after.serialize()
+
+    const competitionChange = compareFields(beforeData, afterData, ['name', 'notes'])
+    if (competitionChange !== null) {
+      this.#record(CompetitionChangeType.COMPETITION_CHANGED, {}, competitionChange, `Competition changed: ${describeFields(competitionChange)}`)
+    }
+
+    this.#compareLists(beforeData.metadata ?? [], afterData.metadata ?? [], {
+      idKey: 'key',
+      types: [CompetitionChangeType.METADATA_ADDED, CompetitionChangeType.METADATA_REMOVED],
+      target: kv => ({ key: kv.key }),
+      label: kv => `Metadata "${kv.key}"`,
+      compare: (before, after, target, label) => {
+        const changed = compareFields(before, after, ['value'])
+        if (changed !== null) {
+          this.#record(CompetitionChangeType.METADATA_CHANGED, target, changed, `${label} changed from ${describeValue(changed.before.value)} to ${describeValue(changed.after.value)}`)
+        }
+      }
+    })
+
+    this.#compareLists(beforeData.clubs ?? [], afterData.clubs ?? [], {
+      types: [CompetitionChangeType.CLUB_ADDED, CompetitionChangeType.CLUB_REMOVED],
+      target: club => ({ club: club.id }),
+      label: club => `Club "${club.name}" (${club.id})`,
+      compare: (before, after, target, label) => {
+        this.#recordFields(CompetitionChangeType.CLUB_CHANGED, target, before, after, fieldNames(before, after, ['id']), label)
+      }
+    })
+
+    this.#compareLists(beforeData.teams, afterData.teams, {
+      types: [CompetitionChangeType.TEAM_ADDED, CompetitionChangeType.TEAM_REMOVED],
+      target: team => ({ team: team.id }),
+      label: team => `Team "${team.name}" (${team.id})`,
+      compare: (before, after, target, label) => {
+        const renamed = compareFields(before, after, ['name'])
+        if (renamed !== null) {
+          this.#record(CompetitionChangeType.TEAM_RENAMED, target, renamed, `Team ${before.id} renamed from "${before.name}" to "${after.name}"`)
+        }
+        this.#recordFields(CompetitionChangeType.TEAM_CHANGED, target, before, after, fieldNames(before, after, ['id', 'name']), label)
+      }
+    })
+
+    this.#compareLists(beforeData.players ?? [], afterData.players ?? [], {
+      types: [CompetitionChangeType.PLAYER_ADDED, CompetitionChangeType.PLAYER_REMOVED],
+      target: player => ({ player: player.id }),
+      label: player => `Player "${player.name}" (${player.id})`,
+      compare: (before, after, target, label) => {
+        const moved = compareFields(before, after, ['teams'])
+        if (moved !== null) {
+          const teamIDs = player => (player.teams ?? []).map(entry => entry.id).join(', ') || 'no team'
+          const description = teamIDs(before) === teamIDs(after)
+            ? `${label} team entries changed`
+            : `${label} moved from ${teamIDs(before)} to ${teamIDs(after)}`
+          this.#record(CompetitionChangeType.PLAYER_MOVED_TEAM, target, moved, description)
+        }
+        this.#recordFields(CompetitionChangeType.PLAYER_CHANGED, target, before, after, fieldNames(before, after, ['id', 'teams']), label)
+      }
+    })
+
+    this.#compareLists(beforeData.stages, afterData.stages, {
+      types: [CompetitionChangeType.STAGE_ADDED, CompetitionChangeType.STAGE_REMOVED],
+      target: stage => ({ stage: stage.id }),
+      label: stage => `Stage ${stage.id}`,
+      compare: (before, after, target, label) => {
+        this.#recordFields(CompetitionChangeType.STAGE_CHANGED, target, before, after, fieldNames(before, after, ['id', 'groups']), label)
+        this.#compareGroups(before, after)
+      }
+    })
+  }
+
+  /**
+   * Get the changes from the first competition to the second
+   *
+   * @returns {Array<{type: string, target: object, before: object|null, after: object|null, index: number, description: string}>} The changes
+   */
+  getChanges () {
+    return this.#changes
+  }
+
+  /**
+   * Get a human-readable changelog, with one line describing each change
+   *
+   * @returns {string} The changelog
+   */
+  toChangelog () {
+    return this.#changes.map(change => change.description).join('\n')
+  }
+
+  /**
+   * Apply changes to a competition, returning a new competition with the changes made.  The changes are typically those from
+   * CompetitionDiff.getChanges(), possibly from comparing other versions of the same competition.  A change to a field only applies when
+   * the field still has the value it had before the change
+   *
+   * @param {Competition} competition The competition to apply the changes to, which is not modified
+   * @param {Array<object>} changes The changes to apply
+   * @returns {Promise<Competition>} The competition with the changes applied, rejecting with an Error if a change cannot be applied or a
+   *                                 CompetitionValidationError if the result is not a valid competition
+   */
+  static async apply (competition, changes) {
+    const data = structuredClone(competition.serialize())
+    changes.forEach(change => CompetitionDiff.#applyChange(data, change))
+    for (const key of ['metadata', 'clubs', 'players']) {
+      if (Array.isArray(data[key]) && data[key].length === 0) {
+        delete data[key]
+      }
+    }
+    return Competition.loadFromCompetitionJSON(JSON.stringify(data))
+  }
+
+  /**
+   * Compare the groups in two versions of a stage
+   *
+   * @param {object} beforeStage The stage data before the change
+   * @param {object} afterStage The stage data after the change
+   * @private
+   */
+  #compareGroups (beforeStage, afterStage) {
+    this.#compareLists(beforeStage.groups, afterStage.groups, {
+      types: [CompetitionChangeType.GROUP_ADDED, CompetitionChangeType.GROUP_REMOVED],
+      target: group => ({ stage: beforeStage.id, group: group.id }),
+      label: group => `Group {${beforeStage.id}:${group.id}}`,
+      compare: (before, after, target, label) => {
+        this.#recordFields(CompetitionChangeType.GROUP_CHANGED, target, before, after, fieldNames(before, after, ['id', 'matches']), label)
+        this.#compareMatches(beforeStage.id, before, after)
+      }
+    })
+  }
+
+  /**
+   * Compare the matches in two versions of a group
+   *
+   * @param {string} stageID The ID of the stage the group is in
+   * @param {object} beforeGroup The group data before the change
+   * @param {object} afterGroup The group data after the change
+   * @private
+   */
+  #compareMatches (stageID, beforeGroup, afterGroup) {
+    const isMatch = item => item.type === 'match'
+    this.#compareLists(beforeGroup.matches.filter(isMatch), afterGroup.matches.filter(isMatch), {
+      types: [CompetitionChangeType.MATCH_ADDED, CompetitionChangeType.MATCH_REMOVED],
+      target: match => ({ stage: stageID, group: beforeGroup.id, match: match.id }),
+      label: match => `Match {${stageID}:${beforeGroup.id}:${match.id}}`,
+      indexOf: match => afterGroup.matches.indexOf(match),
+      compare: (before, after, target, label) => {
+        const fields = fieldNames(before, after, ['id'], ['homeTeam', 'awayTeam'])
+
+        const scoreChange = compareFields(before, after, fields.filter(field => CompetitionDiff.#MATCH_SCORE_FIELDS.includes(field)))
+        if (scoreChange !== null) {
+          const description = describeScores(before) === describeScores(after)
+            ? `${label} result changed: ${describeFields(scoreChange)}`
+            : `${label} score changed from ${describeScores(before)} to ${describeScores(after)}`
+          this.#record(CompetitionChangeType.MATCH_SCORE_CHANGED, target, scoreChange, description)
+        }
+
+        const scheduleChange = compareFields(before, after, fields.filter(field => CompetitionDiff.#MATCH_SCHEDULE_FIELDS.includes(field)))
+        if (scheduleChange !== null) {
+          this.#record(CompetitionChangeType.MATCH_RESCHEDULED, target, scheduleChange, `${label} rescheduled: ${describeFields(scheduleChange)}`)
+        }
+
+        const officialsChange = compareFields(before, after, ['officials'])
+        if (officialsChange !== null) {
+          this.#record(CompetitionChangeType.MATCH_OFFICIALS_CHANGED, target, officialsChange,
+            `${label} officials changed from ${describeOfficials(officialsChange.before.officials)} to ${describeOfficials(officialsChange.after.officials)}`)
+        }
+
+        const otherFields = fields.filter(field => ![...CompetitionDiff.#MATCH_SCORE_FIELDS, ...CompetitionDiff.#MATCH_SCHEDULE_FIELDS, 'officials'].includes(field))
+        this.#recordFields(CompetitionChangeType.MATCH_CHANGED, target, before, after, otherFields, label)
+      }
+    })
+  }
+
+  /**
+   * Compare two versions of a list, recording the items removed and added and comparing the items in both
+   *
+   * @param {Array<object>} before The list before the change
+   * @param {Array<object>} after The list after the change
+   * @param {object} options How to compare the list
+   * @param {string} [options.idKey] The name of the field holding each item's ID (default 'id')
+   * @param {Array<string>} options.types The change types for an item being added and an item being removed
+   * @param {function(object): object} options.target Get the target of a change to an item
+   * @param {function(object): string} options.label Get the label for an item in a change description
+   * @param {function(object): number} [options.indexOf] Get the position of an added item, when it is not its position in the list
+   * @param {function(object, object, object, string): void} options.compare Compare an item in both lists, given the item before and
+   *                                                                         after the change, the target and the label
+   * @private
+   */
+  #compareLists (before, after, options) {
+    const { removed, added, common } = matchByID(before, after, options.idKey ?? 'id')
+    removed.forEach(item => {
+      this.#changes.push({ type: options.types[1], target: options.target(item), before: item, after: null, description: `${options.label(item)} removed` })
+    })
+    added.forEach(({ item, index }) => {
+      this.#changes.push({
+        type: options.types[0],
+        target: options.target(item),
+        before: null,
+        after: item,
+        index: options.indexOf === undefined ? index : options.indexOf(item),
+        description: `${options.label(item)} added`
+      })
+    })
+    common.forEach(([beforeItem, afterItem]) => {
+      options.compare(beforeItem, afterItem, options.target(afterItem), options.label(afterItem))
+    })
+  }
+
+  /**
+   * Record a change
+   *
+   * @param {string} type The type of change
+   * @param {object} target The IDs identifying what changed
+   * @param {{before: object, after: object}} changed The values of the fields that changed
+   * @param {string} description The description of the change
+   * @private
+   */
+  #record (type, target, changed, description) {
+    this.#changes.push({ type, target, before: changed.before, after: changed.after, description })
+  }
+
+  /**
+   * Record a change to some fields, if any of them changed, with a description listing the fields
+   *
+   * @param {string} type The type of change
+   * @param {object} target The IDs identifying what changed
+   * @param {object} before The data before the change
+   * @param {object} after The data after the change
+   * @param {Array<string>} fields The fields to compare
+   * @param {string} label The label for what changed
+   * @private
+   */
+  #recordFields (type, target, before, after, fields, label) {
+    const changed = compareFields(before, after, fields)
+    if (changed !== null) {
+      this.#record(type, target, changed, `${label} changed: ${describeFields(changed)}`)
+    }
+  }
+
+  /**
+   * Apply a change to some competition data
+   *
+   * @param {object} data The competition data, which is modified
+   * @param {object} change The change to apply
+   * @throws {Error} If the change cannot be applied
+   * @private
+   */
+  static #applyChange (data, change) {
+    const target = change.target
+    let list = null
+    let idKey = 'id'
+    let id = null
+    let label = 'competition'
+
+    if (Object.hasOwn(target, 'key')) {
+      data.metadata = data.metadata ?? []
+      list = data.metadata
+      idKey = 'key'
+      id = target.key
+      label = `metadata "${id}"`
+    } else if (Object.hasOwn(target, 'club')) {
+      data.clubs = data.clubs ?? []
+      list = data.clubs
+      id = target.club
+      label = `club ${id}`
+    } else if (Object.hasOwn(target, 'team')) {
+      list = data.teams
+      id = target.team
+      label = `team ${id}`
+    } else if (Object.hasOwn(target, 'player')) {
+      data.players = data.players ?? []
+      list = data.players
+      id = target.player
+      label = `player ${id}`
+    } else if (Object.hasOwn(target, 'match')) {
+      const stage = findItem(data.stages, target.stage, `stage ${target.stage}`)
+      list = findItem(stage.groups, target.group, `group {${target.stage}:${target.group}}`).matches
+      id = target.match
+      label = `match {${target.stage}:${target.group}:${id}}`
+    } else if (Object.hasOwn(target, 'group')) {
+      list = findItem(data.stages, target.stage, `stage ${target.stage}`).groups
+      id = target.group
+      label = `group {${target.stage}:${id}}`
+    } else if (Object.hasOwn(target, 'stage')) {
+      list = data.stages
+      id = target.stage
+      label = `stage ${id}`
+    }
+
+    if (list === null) {
+      CompetitionDiff.#applyFields(data, change, label)
+      return
+    }
+
+    const index = list.findIndex(item => item[idKey] === id)
+    if (CompetitionDiff.#ADDED_TYPES.includes(change.type)) {
+      if (index !== -1) {
+        throw new Error(`Cannot apply change: ${label} already exists`)
+      }
+      list.splice(Math.min(change.index, list.length), 0, structuredClone(change.after))
+    } else if (index === -1) {
+      throw new Error(`Cannot apply change: ${label} not found`)
+    } else if (CompetitionDiff.#REMOVED_TYPES.includes(change.type)) {
+      list.splice(index, 1)
+    } else {
+      CompetitionDiff.#applyFields(list[index], change, label)
+    }
+  }
+
+  /**
+   * Apply a change to the fields of an item in some competition data, checking that each field still has its value from before the change
+   *
+   * @param {object} item The item data, which is modified
+   * @param {object} change The change to apply
+   * @param {string} label The label for the item in an error message
+   * @throws {Error} If a field does not have its value from before the change
+   * @private
+   */
+  static #applyFields (item, change, label) {
+    Object.keys(change.after).forEach(field => {
+      if (JSON.stringify(getField(item, field)) !== JSON.stringify(change.before[field])) {
+        throw new Error(`Cannot apply change: ${label} has ${field} ${describeValue(getField(item, field))}, expected ${describeValue(change.before[field])}`)
+      }
+      setField(item, field, change.after[field])
+    })
+  }
+}
+
+export default CompetitionDiff
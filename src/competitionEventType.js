@@ -0,0 +1,11 @@
+class CompetitionEventType {
+  static MATCH_SCORE_CHANGED = 'matchScoreChanged'
+  static MATCH_COMPLETED = 'matchCompleted'
+  static GROUP_COMPLETED = 'groupCompleted'
+  static STAGE_COMPLETED = 'stageCompleted'
+  static LEAGUE_TABLE_UPDATED = 'leagueTableUpdated'
+  static TEAM_RESOLVED = 'teamResolved'
+  static TEAM_RENAMED = 'teamRenamed'
+}
+
+export default CompetitionEventType
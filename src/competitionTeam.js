@@ -1,3 +1,4 @@
+import CompetitionEventType from './competitionEventType.js'
 import Contact from './contact.js'
 import ContactRole from './contactRole.js'
 
@@ -76,11 +77,12 @@ class CompetitionTeam {
 
     this.#competition = competition
     this.#id = id
-    this.setName(name)
     this.#contacts = []
     this.#club = null
     this.#notes = null
     this.#contactLookup = {}
+    // The name is set directly so that creating a team does not add a step to the competition's change history
+    this.#name = CompetitionTeam.#checkName(name)
   }
 
   /**
@@ -161,6 +163,16 @@ class CompetitionTeam {
     return team
   }
 
+  /**
+   * Check whether this team is structurally equal to another, i.e. whether they would serialize to the same data
+   *
+   * @param {CompetitionTeam} other The team to compare with
+   * @returns {boolean} Whether the teams are equal
+   */
+  equals (other) {
+    return other instanceof CompetitionTeam && JSON.stringify(this.serialize()) === JSON.stringify(other.serialize())
+  }
+
   /**
    * Get the competition this team is in
    *
@@ -187,10 +199,14 @@ class CompetitionTeam {
    * @returns {CompetitionTeam} This CompetitionTeam
    */
   setName (name) {
-    if (name.length > 1000 || name.length < 1) {
-      throw new Error('Invalid team name: must be between 1 and 1000 characters long')
+    CompetitionTeam.#checkName(name)
+    const previousName = this.#name
+    this.#record(() => {
+      this.#name = name
+    })
+    if (name !== previousName && this.#competition.hasTeam(this.#id)) {
+      this.#competition.emit(CompetitionEventType.TEAM_RENAMED, { team: this, previousName })
     }
-    this.#name = name
     return this
   }
 
@@ -212,11 +228,13 @@ class CompetitionTeam {
    */
   setClubID (id) {
     if (id === null) {
-      if (this.#club.hasTeam(this.#id)) {
-        this.#club.deleteTeam(this.#id)
-      }
-      this.#club = null
-      return this
+      return this.#record(() => {
+        if (this.#club.hasTeam(this.#id)) {
+          this.#club.deleteTeam(this.#id)
+        }
+        this.#club = null
+        return this
+      })
     }
 
     if (this.#club !== null && id === this.#club.getID()) {
@@ -227,10 +245,11 @@ class CompetitionTeam {
       throw new Error(`No club with ID "${id}" exists`)
     }
 
-    this.#club = this.#competition.getClub(id)
-    this.#club.addTeam(this)
-
-    return this
+    return this.#record(() => {
+      this.#club = this.#competition.getClub(id)
+      this.#club.addTeam(this)
+      return this
+    })
   }
 
   /**
@@ -268,8 +287,10 @@ class CompetitionTeam {
    * @returns {CompetitionTeam} This competition team
    */
   setNotes (notes) {
-    this.#notes = notes
-    return this
+    return this.#record(() => {
+      this.#notes = notes
+      return this
+    })
   }
 
   /**
@@ -294,9 +315,11 @@ class CompetitionTeam {
     if (this.hasContact(contact.getID())) {
       throw new Error('team contacts with duplicate IDs within a team not allowed')
     }
-    this.#contacts.push(contact)
-    this.#contactLookup[contact.getID()] = contact
-    return this
+    return this.#record(() => {
+      this.#contacts.push(contact)
+      this.#contactLookup[contact.getID()] = contact
+      return this
+    })
   }
 
   /**
@@ -356,9 +379,11 @@ class CompetitionTeam {
       return this
     }
 
-    delete this.#contactLookup[id]
-    this.#contacts = this.#contacts.filter(el => el.getID() !== id)
-    return this
+    return this.#record(() => {
+      delete this.#contactLookup[id]
+      this.#contacts = this.#contacts.filter(el => el.getID() !== id)
+      return this
+    })
   }
 
   /**
@@ -389,6 +414,62 @@ class CompetitionTeam {
   hasPlayers () {
     return this.#competition.hasPlayersInTeam(this.#id)
   }
+
+  /**
+   * Check that a team name is valid
+   *
+   * @param {string} name The name to check
+   * @returns {string} The name
+   * @throws {Error} If the name is invalid
+   * @private
+   */
+  static #checkName (name) {
+    if (name.length > 1000 || name.length < 1) {
+      throw new Error('Invalid team name: must be between 1 and 1000 characters long')
+    }
+    return name
+  }
+
+  /**
+   * Make a change to this team, recording it in the competition's change history
+   *
+   * @param {function(): any} change Make the change
+   * @returns {any} The value returned by the change
+   * @private
+   */
+  #record (change) {
+    return this.#competition.recordChange(() => this.#snapshot(), snapshot => this.#restore(snapshot), change)
+  }
+
+  /**
+   * Get the state of this team, for the change history
+   *
+   * @returns {object} The state
+   * @private
+   */
+  #snapshot () {
+    return {
+      name: this.#name,
+      club: this.#club,
+      notes: this.#notes,
+      contacts: [...this.#contacts],
+      contactLookup: { ...this.#contactLookup }
+    }
+  }
+
+  /**
+   * Restore this team to a state from the change history
+   *
+   * @param {object} snapshot The state to restore
+   * @private
+   */
+  #restore (snapshot) {
+    this.#name = snapshot.name
+    this.#club = snapshot.club
+    this.#notes = snapshot.notes
+    this.#contacts = [...snapshot.contacts]
+    this.#contactLookup = { ...snapshot.contactLookup }
+  }
 }
 
 export default CompetitionTeam
@@ -0,0 +1,61 @@
+/**
+ * The error thrown when competition data fails to load, either because it does not match the schema or because it breaks one of the
+ * rules checked while loading, such as duplicate IDs or invalid team references.  The message is the same as a plain Error would
+ * have, and each problem found is also described by an issue:
+ * <ul>
+ *   <li>pointer - a JSON pointer (RFC 6901) to the part of the document with the problem, e.g. "/stages/0/groups/1/matches/3"</li>
+ *   <li>schemaPath - the path to the schema rule that failed, or null when the problem was found while loading</li>
+ *   <li>message - a description of the problem</li>
+ *   <li>value - the value at the pointer</li>
+ *   <li>suggestion - a hint for how to fix the problem, or null if there is none</li>
+ * </ul>
+ */
+class CompetitionValidationError extends Error {
+  /**
+   * The problems found in the competition data
+   * @type {Array<{pointer: string, schemaPath: string|null, message: string, value: any, suggestion: string|null}>}
+   * @private
+   */
+  #issues
+
+  /**
+   * Constructs a new CompetitionValidationError
+   *
+   * @param {string} message The error message
+   * @param {Array<{pointer: string, schemaPath: string|null, message: string, value: any, suggestion: string|null}>} issues The problems found in the competition data
+   * @param {object} options The error options
+   * @param {Error} [options.cause] The error that caused this one
+   */
+  constructor (message, issues, options = {}) {
+    super(message, options)
+    this.name = 'CompetitionValidationError'
+    this.#issues = issues
+  }
+
+  /**
+   * Create a CompetitionValidationError for an error thrown while loading part of a competition document.  When the error is already a
+   * CompetitionValidationError, found further down the document, the pointer is prepended to the pointers of its issues
+   *
+   * @param {Error} err The error thrown while loading
+   * @param {string} pointer The JSON pointer to the part of the document being loaded, relative to the caller
+   * @param {any} value The part of the document being loaded
+   * @returns {CompetitionValidationError} The error, with its issues pointing at the part of the document being loaded
+   */
+  static fromError (err, pointer, value) {
+    if (err instanceof CompetitionValidationError) {
+      return new CompetitionValidationError(err.message, err.getIssues().map(issue => ({ ...issue, pointer: `${pointer}${issue.pointer}` })), { cause: err.cause })
+    }
+    return new CompetitionValidationError(err.message, [{ pointer, schemaPath: null, message: err.message, value, suggestion: null }], { cause: err })
+  }
+
+  /**
+   * Get the problems found in the competition data
+   *
+   * @returns {Array<{pointer: string, schemaPath: string|null, message: string, value: any, suggestion: string|null}>} The issues
+   */
+  getIssues () {
+    return this.#issues
+  }
+}
+
+export default CompetitionValidationError
@@ -68,34 +68,15 @@ class Contact {
     this.#team = team
     this.#id = id
     this.#roles = []
-    roles.forEach(role => {
-      switch (role) {
-        case ContactRole.TREASURER:
-          this.addRole(ContactRole.TREASURER)
-          break
-        case ContactRole.SECRETARY:
-          this.addRole(ContactRole.SECRETARY)
-          break
-        case ContactRole.MANAGER:
-          this.addRole(ContactRole.MANAGER)
-          break
-        case ContactRole.CAPTAIN:
-          this.addRole(ContactRole.CAPTAIN)
-          break
-        case ContactRole.COACH:
-          this.addRole(ContactRole.COACH)
-          break
-        case ContactRole.ASSISTANT_COACH:
-          this.addRole(ContactRole.ASSISTANT_COACH)
-          break
-        case ContactRole.MEDIC:
-          this.addRole(ContactRole.MEDIC)
-          break
-      }
-    })
     this.#name = null
     this.#emails = []
     this.#phones = []
+    // The roles are set directly so that creating a contact does not add a step to the competition's change history
+    roles.filter(role => Object.values(ContactRole).includes(role)).forEach(role => {
+      if (!this.#roles.includes(role)) {
+        this.#roles.push(role)
+      }
+    })
   }
 
   /**
@@ -184,8 +165,10 @@ class Contact {
     if (name.length > 1000 || name.length < 1) {
       throw new Error('Invalid contact name: must be between 1 and 1000 characters long')
     }
-    this.#name = name
-    return this
+    return this.#record(() => {
+      this.#name = name
+      return this
+    })
   }
 
   /**
@@ -210,10 +193,13 @@ class Contact {
    * @returns {Contact} Returns this contact for method chaining
    */
   addRole (role) {
-    if (!this.hasRole(role)) {
-      this.#roles.push(role)
+    if (this.hasRole(role)) {
+      return this
     }
-    return this
+    return this.#record(() => {
+      this.#roles.push(role)
+      return this
+    })
   }
 
   /**
@@ -255,8 +241,10 @@ class Contact {
       }
     }
 
-    this.#roles = newRoles
-    return this
+    return this.#record(() => {
+      this.#roles = newRoles
+      return this
+    })
   }
 
   /**
@@ -277,10 +265,13 @@ class Contact {
     if (email.length < 3) {
       throw new Error('Invalid contact email address: must be at least 3 characters long')
     }
-    if (!this.#emails.includes(email)) {
-      this.#emails.push(email)
+    if (this.#emails.includes(email)) {
+      return this
     }
-    return this
+    return this.#record(() => {
+      this.#emails.push(email)
+      return this
+    })
   }
 
   /**
@@ -293,8 +284,10 @@ class Contact {
    */
   setEmails (emails) {
     if (emails === null) {
-      this.#emails = []
-      return this
+      return this.#record(() => {
+        this.#emails = []
+        return this
+      })
     }
 
     const newEmails = []
@@ -306,8 +299,10 @@ class Contact {
         newEmails.push(email)
       }
     }
-    this.#emails = newEmails
-    return this
+    return this.#record(() => {
+      this.#emails = newEmails
+      return this
+    })
   }
 
   /**
@@ -328,10 +323,13 @@ class Contact {
     if (phone.length > 50 || phone.length < 1) {
       throw new Error('Invalid contact phone number: must be between 1 and 50 characters long')
     }
-    if (!this.#phones.includes(phone)) {
-      this.#phones.push(phone)
+    if (this.#phones.includes(phone)) {
+      return this
     }
-    return this
+    return this.#record(() => {
+      this.#phones.push(phone)
+      return this
+    })
   }
 
   /**
@@ -344,8 +342,10 @@ class Contact {
    */
   setPhones (phones) {
     if (phones === null) {
-      this.#phones = []
-      return this
+      return this.#record(() => {
+        this.#phones = []
+        return this
+      })
     }
 
     const newPhones = []
@@ -357,8 +357,49 @@ class Contact {
         newPhones.push(phone)
       }
     }
-    this.#phones = newPhones
-    return this
+    return this.#record(() => {
+      this.#phones = newPhones
+      return this
+    })
+  }
+
+  /**
+   * Make a change to this contact, recording it in the competition's change history
+   *
+   * @param {function(): any} change Make the change
+   * @returns {any} The value returned by the change
+   * @private
+   */
+  #record (change) {
+    return this.#team.getCompetition().recordChange(() => this.#snapshot(), snapshot => this.#restore(snapshot), change)
+  }
+
+  /**
+   * Get the state of this contact, for the change history
+   *
+   * @returns {object} The state
+   * @private
+   */
+  #snapshot () {
+    return {
+      name: this.#name,
+      roles: [...this.#roles],
+      emails: [...this.#emails],
+      phones: [...this.#phones]
+    }
+  }
+
+  /**
+   * Restore this contact to a state from the change history
+   *
+   * @param {object} snapshot The state to restore
+   * @private
+   */
+  #restore (snapshot) {
+    this.#name = snapshot.name
+    this.#roles = [...snapshot.roles]
+    this.#emails = [...snapshot.emails]
+    this.#phones = [...snapshot.phones]
   }
 }
 
@@ -0,0 +1,225 @@
+import GroupBreak from './groupBreak.js'
+import League from './league.js'
+import MatchType from './matchType.js'
+
+/**
+ * Exports match results and league tables as CSV (or TSV, or any other delimiter), e.g. for pasting into a spreadsheet.  The first
+ * line is a header line naming the columns, each line ends with CRLF, and fields containing the delimiter, a double quote or a line
+ * break are quoted as defined by RFC 4180.
+ *
+ * The columns in each export, and their order, can be chosen from the column names in CSVExporter.MATCH_COLUMNS and
+ * CSVExporter.LEAGUE_TABLE_COLUMNS
+ */
+class CSVExporter {
+  /**
+   * The columns available in the match export, in their default order.  These are:
+   * <ul>
+   *   <li>stage - the stage ID</li>
+   *   <li>group - the group ID</li>
+   *   <li>match - the match ID</li>
+   *   <li>date, start, court, venue - when and where the match is played</li>
+   *   <li>homeTeam, awayTeam - the team names, with unresolved team references described, e.g. "1st in League"</li>
+   *   <li>scores - the score, e.g. "25-20" for a continuous match, or the score of each set, e.g. "25-20, 18-25, 15-10"</li>
+   *   <li>homeSets, awaySets - the number of sets won by each team, in a match played in sets</li>
+   *   <li>winner - the name of the winning team, when the match is complete and not drawn</li>
+   *   <li>officials - the name of the officiating team, or the names of the referees</li>
+   *   <li>mvp - the name of the most valuable player</li>
+   * </ul>
+   * @type {Array<string>}
+   */
+  static MATCH_COLUMNS = ['stage', 'group', 'match', 'date', 'start', 'court', 'venue', 'homeTeam', 'awayTeam', 'scores', 'homeSets', 'awaySets', 'winner', 'officials', 'mvp']
+
+  /**
+   * The columns available in the league table export, in their default order.  These are "stage" and "group" (the IDs of the league),
+   * "position" (the position in the table, starting at 1), "teamID", "team" (the team name), and the league table entry values "played",
+   * "wins", "losses", "draws", "sf", "sa", "sd", "pf", "pa", "pd", "bp", "pp" and "pts"
+   * @type {Array<string>}
+   */
+  static LEAGUE_TABLE_COLUMNS = ['stage', 'group', 'position', 'teamID', 'team', 'played', 'wins', 'losses', 'draws', 'sf', 'sa', 'sd', 'pf', 'pa', 'pd', 'bp', 'pp', 'pts']
+
+  /**
+   * The competition to export
+   * @type {Competition}
+   * @private
+   */
+  #competition
+
+  /**
+   * The field delimiter
+   * @type {string}
+   * @private
+   */
+  #delimiter
+
+  /**
+   * The columns to include in the match export
+   * @type {Array<string>}
+   * @private
+   */
+  #matchColumns
+
+  /**
+   * The columns to include in the league table export
+   * @type {Array<string>}
+   * @private
+   */
+  #leagueTableColumns
+
+  /**
+   * Constructs a new CSVExporter
+   *
+   * @param {Competition} competition The competition to export
+   * @param {object} options The exporter options
+   * @param {string} [options.delimiter=','] The field delimiter, e.g. "\t" for TSV
+   * @param {Array<string>} [options.matchColumns=CSVExporter.MATCH_COLUMNS] The columns to include in the match export, in order
+   * @param {Array<string>} [options.leagueTableColumns=CSVExporter.LEAGUE_TABLE_COLUMNS] The columns to include in the league table export, in order
+   * @throws {Error} If the delimiter is not a single character that can be used as a delimiter, or if an unknown column is requested
+   */
+  constructor (competition, options = {}) {
+    this.#competition = competition
+    this.#delimiter = options.delimiter ?? ','
+    this.#matchColumns = options.matchColumns ?? CSVExporter.MATCH_COLUMNS
+    this.#leagueTableColumns = options.leagueTableColumns ?? CSVExporter.LEAGUE_TABLE_COLUMNS
+
+    if (this.#delimiter.length !== 1 || ['"', '\r', '\n'].includes(this.#delimiter)) {
+      throw new Error(`Invalid delimiter "${this.#delimiter}": must be a single character other than a double quote or a line break`)
+    }
+    this.#matchColumns.forEach(column => {
+      if (!CSVExporter.MATCH_COLUMNS.includes(column)) {
+        throw new Error(`Unknown match column "${column}"`)
+      }
+    })
+    this.#leagueTableColumns.forEach(column => {
+      if (!CSVExporter.LEAGUE_TABLE_COLUMNS.includes(column)) {
+        throw new Error(`Unknown league table column "${column}"`)
+      }
+    })
+  }
+
+  /**
+   * Export every match in the competition, one line per match, in stage, group and match order.  Breaks are not included
+   *
+   * @returns {string} The CSV text
+   */
+  exportMatches () {
+    const rows = []
+    this.#competition.getStages().forEach(stage => {
+      stage.getGroups().forEach(group => {
+        group.getMatches().forEach(match => {
+          if (!(match instanceof GroupBreak)) {
+            const values = this.#matchValues(match)
+            rows.push(this.#matchColumns.map(column => values[column]))
+          }
+        })
+      })
+    })
+    return this.#toCSV(this.#matchColumns, rows)
+  }
+
+  /**
+   * Export the league table of every league in the competition, one line per team, in stage and group order
+   *
+   * @returns {string} The CSV text
+   */
+  exportLeagueTables () {
+    const rows = []
+    this.#competition.getStages().forEach(stage => {
+      stage.getGroups().forEach(group => {
+        if (group instanceof League) {
+          group.getLeagueTable().entries.forEach((entry, i) => {
+            const values = {
+              stage: stage.getID(),
+              group: group.getID(),
+              position: i + 1,
+              teamID: entry.getTeamID(),
+              team: entry.getTeam(),
+              played: entry.getPlayed(),
+              wins: entry.getWins(),
+              losses: entry.getLosses(),
+              draws: entry.getDraws(),
+              sf: entry.getSF(),
+              sa: entry.getSA(),
+              sd: entry.getSD(),
+              pf: entry.getPF(),
+              pa: entry.getPA(),
+              pd: entry.getPD(),
+              bp: entry.getBP(),
+              pp: entry.getPP(),
+              pts: entry.getPTS()
+            }
+            rows.push(this.#leagueTableColumns.map(column => values[column]))
+          })
+        }
+      })
+    })
+    return this.#toCSV(this.#leagueTableColumns, rows)
+  }
+
+  /**
+   * Get the value of every match column for a match
+   *
+   * @param {GroupMatch} match The match
+   * @returns {object} A map of column name to value, where null is an empty field
+   */
+  #matchValues (match) {
+    const group = match.getGroup()
+    const isSets = group.getMatchType() === MatchType.SETS
+    const hasScores = match.getHomeTeamScores().length > 0
+    const awayScores = match.getAwayTeamScores()
+
+    let officials = null
+    if (match.hasOfficials()) {
+      const matchOfficials = match.getOfficials()
+      if (matchOfficials.isTeam()) {
+        officials = this.#competition.getTeamDisplayName(matchOfficials.getTeamID())
+      } else {
+        officials = matchOfficials.hasSecondRef() ? `${matchOfficials.getFirstRef()}, ${matchOfficials.getSecondRef()}` : matchOfficials.getFirstRef()
+      }
+    }
+
+    return {
+      stage: group.getStage().getID(),
+      group: group.getID(),
+      match: match.getID(),
+      date: match.getDate(),
+      start: match.getStart(),
+      court: match.getCourt(),
+      venue: match.getVenue(),
+      homeTeam: this.#competition.getTeamDisplayName(match.getHomeTeam().getID()),
+      awayTeam: this.#competition.getTeamDisplayName(match.getAwayTeam().getID()),
+      scores: match.getHomeTeamScores().map((score, i) => `${score}-${awayScores[i]}`).join(', '),
+      homeSets: isSets && hasScores ? match.getHomeTeamSets() : null,
+      awaySets: isSets && hasScores ? match.getAwayTeamSets() : null,
+      winner: match.isComplete() && !match.isDraw() ? this.#competition.getTeamDisplayName(match.getWinnerTeamID()) : null,
+      officials,
+      mvp: match.hasMVP() ? match.getMVP().getName() : null
+    }
+  }
+
+  /**
+   * Build the CSV text from a header and rows of values
+   *
+   * @param {Array<string>} header The column names
+   * @param {Array<Array<string|number|null>>} rows The rows of values, where null is an empty field
+   * @returns {string} The CSV text
+   */
+  #toCSV (header, rows) {
+    return [header].concat(rows).map(row => row.map(value => this.#field(value)).join(this.#delimiter) + '\r\n').join('')
+  }
+
+  /**
+   * Format a single field, quoting it when it contains the delimiter, a double quote or a line break
+   *
+   * @param {string|number|null} value The value of the field
+   * @returns {string} The field text
+   */
+  #field (value) {
+    const text = value === null ? '' : String(value)
+    if (text.includes(this.#delimiter) || /["\r\n]/.test(text)) {
+      return `"${text.replace(/"/g, '""')}"`
+    }
+    return text
+  }
+}
+
+export default CSVExporter
@@ -0,0 +1,353 @@
+import Club from './club.js'
+import Competition from './competition.js'
+import CompetitionTeam from './competitionTeam.js'
+import Contact from './contact.js'
+import GroupMatch from './groupMatch.js'
+import MatchOfficials from './matchOfficials.js'
+import MatchTeam from './matchTeam.js'
+import MatchType from './matchType.js'
+import Player from './player.js'
+import PlayerTeam from './playerTeam.js'
+
+/**
+ * Parse CSV text as defined by RFC 4180.  Fields may be quoted, quoted fields may contain commas, newlines and doubled quotes, and
+ * lines may end in CRLF or LF.  Blank lines are skipped
+ *
+ * @param {string} text The CSV text
+ * @returns {{records: Array<{line: number, fields: Array<string>}>, error: {line: number, message: string}|null}} The records, each with
+ * the line number that the record starts on, and an error if the CSV could not be parsed
+ */
+function parseCSV (text) {
+  const records = []
+  let fields = []
+  let field = ''
+  let line = 1
+  let recordLine = 1
+  let quoteLine = 0
+  let inQuotes = false
+  let hasContent = false
+
+  const input = text.replace(/^\uFEFF/, '')
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        if (char === '\n') {
+          line++
+        }
+        field += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+      hasContent = true
+      quoteLine = line
+    } else if (char === ',') {
+      fields.push(field)
+      field = ''
+      hasContent = true
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++
+      }
+      if (hasContent || field !== '') {
+        fields.push(field)
+        records.push({ line: recordLine, fields })
+      }
+      fields = []
+      field = ''
+      hasContent = false
+      line++
+      recordLine = line
+    } else {
+      field += char
+    }
+  }
+
+  if (inQuotes) {
+    return { records, error: { line: quoteLine, message: `Unterminated quoted field starting on line ${quoteLine}` } }
+  }
+  if (hasContent || field !== '') {
+    fields.push(field)
+    records.push({ line: recordLine, fields })
+  }
+
+  return { records, error: null }
+}
+
+/**
+ * Split a field holding a list of values separated by semicolons
+ *
+ * @param {string} value The field value
+ * @returns {Array<string>} The values, with surrounding whitespace removed
+ */
+function splitList (value) {
+  return value.split(';').map(item => item.trim()).filter(item => item !== '')
+}
+
+/**
+ * Imports clubs, teams, players and fixtures into a competition from CSV text, such as a spreadsheet export.  The first line of the
+ * CSV must be a header line naming the columns, in any order, and columns that are not recognised are ignored.  An empty field is
+ * treated as a missing value.  Fields that hold a list, such as a contact's roles, separate the values with semicolons.
+ *
+ * Each line is imported on its own: when a line is invalid it is skipped and the error is recorded against the line number, and the
+ * rest of the CSV is still imported.  A line that fails leaves the competition unchanged.
+ */
+class CSVImporter {
+  /**
+   * The competition to import into
+   * @type {Competition}
+   * @private
+   */
+  #competition
+
+  /**
+   * Constructs a new CSVImporter
+   *
+   * @param {Competition} competition The competition to import into
+   */
+  constructor (competition) {
+    this.#competition = competition
+  }
+
+  /**
+   * Import clubs.  The columns are "id" and "name", which are required, and "notes"
+   *
+   * @param {string} csv The CSV text
+   * @returns {{imported: number, errors: Array<{line: number, message: string}>}} The number of lines imported, and an error for each line that was not
+   */
+  importClubs (csv) {
+    return this.#importRows(csv, ['id', 'name'], ['notes'], row => {
+      const club = new Club(this.#competition, row.id, row.name)
+      if (row.notes !== '') {
+        club.setNotes(row.notes)
+      }
+      this.#competition.addClub(club)
+    })
+  }
+
+  /**
+   * Import teams and their contacts.  The columns are "id" and "name", which are required, "club" (the ID of a club already in the
+   * competition), "notes", and the contact columns "contactID", "contactName", "contactRoles", "contactEmails" and "contactPhones".
+   * The contact roles are values of ContactRole, such as "secretary" or "assistantCoach".
+   *
+   * A team can have more than one contact by repeating the team on another line with the details of the next contact.  When a line
+   * names a team that already exists, only the contact on that line is imported
+   *
+   * @param {string} csv The CSV text
+   * @returns {{imported: number, errors: Array<{line: number, message: string}>}} The number of lines imported, and an error for each line that was not
+   */
+  importTeams (csv) {
+    return this.#importRows(csv, ['id', 'name'], ['club', 'notes', 'contactID', 'contactName', 'contactRoles', 'contactEmails', 'contactPhones'], row => {
+      const isNewTeam = !this.#competition.hasTeam(row.id)
+      if (!isNewTeam && row.contactID === '') {
+        throw new Error(`Team with ID "${row.id}" already exists in the competition`)
+      }
+
+      const team = isNewTeam ? new CompetitionTeam(this.#competition, row.id, row.name) : this.#competition.getTeam(row.id)
+      if (isNewTeam) {
+        if (row.club !== '' && !this.#competition.hasClub(row.club)) {
+          throw new Error(`No club with ID "${row.club}" exists`)
+        }
+        if (row.notes !== '') {
+          team.setNotes(row.notes)
+        }
+      }
+
+      if (row.contactID !== '') {
+        const contact = new Contact(team, row.contactID, [])
+        contact.setRoles(splitList(row.contactRoles))
+        if (row.contactName !== '') {
+          contact.setName(row.contactName)
+        }
+        contact.setEmails(splitList(row.contactEmails))
+        contact.setPhones(splitList(row.contactPhones))
+        team.addContact(contact)
+      }
+
+      if (isNewTeam) {
+        this.#competition.addTeam(team)
+        if (row.club !== '') {
+          team.setClubID(row.club)
+        }
+      }
+    })
+  }
+
+  /**
+   * Import players and the teams they are registered with.  The columns are "id" and "name", which are required, "number", "notes",
+   * and the registration columns "team" (the ID of a team already in the competition), "from", "until" and "teamNotes".
+   *
+   * A player's registration history is built by repeating the player on further lines, one for each team they have been registered
+   * with, in date order.  When a line names a player that already exists, only the registration on that line is imported
+   *
+   * @param {string} csv The CSV text
+   * @returns {{imported: number, errors: Array<{line: number, message: string}>}} The number of lines imported, and an error for each line that was not
+   */
+  importPlayers (csv) {
+    return this.#importRows(csv, ['id', 'name'], ['number', 'notes', 'team', 'from', 'until', 'teamNotes'], row => {
+      const isNewPlayer = !this.#competition.hasPlayer(row.id)
+      if (!isNewPlayer && row.team === '') {
+        throw new Error(`Player with ID "${row.id}" already exists in the competition`)
+      }
+
+      const player = isNewPlayer ? new Player(this.#competition, row.id, row.name) : this.#competition.getPlayer(row.id)
+      if (isNewPlayer) {
+        if (row.number !== '') {
+          if (!/^[0-9]+$/.test(row.number)) {
+            throw new Error(`Invalid player number "${row.number}": must be a whole number`)
+          }
+          player.setNumber(parseInt(row.number))
+        }
+        if (row.notes !== '') {
+          player.setNotes(row.notes)
+        }
+      }
+
+      if (row.team !== '') {
+        if (!this.#competition.hasTeam(row.team)) {
+          throw new Error(`Team with ID "${row.team}" not found in the competition`)
+        }
+        const teamEntry = new PlayerTeam(player, row.team)
+        if (row.from !== '') {
+          teamEntry.setFrom(row.from)
+        }
+        if (row.until !== '') {
+          teamEntry.setUntil(row.until)
+        }
+        if (row.teamNotes !== '') {
+          teamEntry.setNotes(row.teamNotes)
+        }
+        player.appendTeamEntry(teamEntry)
+      }
+
+      if (isNewPlayer) {
+        this.#competition.addPlayer(player)
+      }
+    })
+  }
+
+  /**
+   * Import fixtures into a group.  The columns are "id", "homeTeam" and "awayTeam", which are required, and "date", "warmup",
+   * "start", "duration", "court", "venue", "officials" (the ID of the officiating team), "referee" (the name of the first referee,
+   * when the match is not officiated by a team) and "notes".  Team IDs can be team references, such as "{L:RL:league:1}"
+   *
+   * @param {string} csv The CSV text
+   * @param {Group} group The group to add the matches to
+   * @returns {{imported: number, errors: Array<{line: number, message: string}>}} The number of lines imported, and an error for each line that was not
+   */
+  importFixtures (csv, group) {
+    return this.#importRows(csv, ['id', 'homeTeam', 'awayTeam'], ['date', 'warmup', 'start', 'duration', 'court', 'venue', 'officials', 'referee', 'notes'], row => {
+      const match = new GroupMatch(group, row.id)
+      this.#competition.validateTeamID(row.homeTeam, row.id, 'homeTeam')
+      this.#competition.validateTeamID(row.awayTeam, row.id, 'awayTeam')
+      match.setHomeTeam(new MatchTeam(match, row.homeTeam)).setAwayTeam(new MatchTeam(match, row.awayTeam))
+
+      if (group.getMatchType() === MatchType.CONTINUOUS) {
+        match.setComplete(false)
+      }
+      if (row.date !== '') {
+        match.setDate(row.date)
+      }
+      if (row.warmup !== '') {
+        match.setWarmup(row.warmup)
+      }
+      if (row.start !== '') {
+        match.setStart(row.start)
+      }
+      if (row.duration !== '') {
+        match.setDuration(row.duration)
+      }
+      if (row.court !== '') {
+        match.setCourt(row.court)
+      }
+      if (row.venue !== '') {
+        match.setVenue(row.venue)
+      }
+      if (row.officials !== '' && row.referee !== '') {
+        throw new Error(`Match with ID "${row.id}" cannot have both an officiating team and a referee`)
+      }
+      if (row.officials !== '') {
+        this.#competition.validateTeamID(row.officials, row.id, 'officials')
+        match.setOfficials(new MatchOfficials(match, row.officials))
+      }
+      if (row.referee !== '') {
+        match.setOfficials(new MatchOfficials(match, null, row.referee))
+      }
+      if (row.notes !== '') {
+        match.setNotes(row.notes)
+      }
+
+      // A team cannot play in two groups in the same stage, and the group cannot take the match back out once it is added
+      group.getStage().getGroups().forEach(otherGroup => {
+        if (otherGroup !== group) {
+          const otherTeamIDs = otherGroup.getTeamIDs(Competition.VBC_TEAMS_PLAYING)
+          const clashingIDs = [row.homeTeam, row.awayTeam].filter(teamID => otherTeamIDs.includes(teamID))
+          if (clashingIDs.length > 0) {
+            throw new Error(`Team with ID "${clashingIDs[0]}" is already playing in group {${otherGroup.getStage().getID()}:${otherGroup.getID()}}, and groups in the same stage cannot contain the same team`)
+          }
+        }
+      })
+
+      group.addMatch(match)
+    })
+  }
+
+  /**
+   * Parse the CSV and import each line in turn, collecting the errors
+   *
+   * @param {string} csv The CSV text
+   * @param {Array<string>} required The columns that must be present and have a value on every line
+   * @param {Array<string>} optional The other columns that the import understands
+   * @param {function(object): void} importRow The function to import a single line, given an object mapping each column name to its value
+   * @returns {{imported: number, errors: Array<{line: number, message: string}>}} The number of lines imported, and an error for each line that was not
+   */
+  #importRows (csv, required, optional, importRow) {
+    const result = { imported: 0, errors: [] }
+
+    const { records, error } = parseCSV(csv)
+    if (error !== null) {
+      result.errors.push(error)
+      return result
+    }
+
+    if (records.length === 0) {
+      result.errors.push({ line: 1, message: 'Missing header line' })
+      return result
+    }
+
+    const header = records[0].fields.map(name => name.trim())
+    const missing = required.filter(name => !header.includes(name))
+    if (missing.length > 0) {
+      result.errors.push({ line: records[0].line, message: `Missing required column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}` })
+      return result
+    }
+
+    records.slice(1).forEach(record => {
+      const row = {}
+      required.concat(optional).forEach(name => {
+        const index = header.indexOf(name)
+        row[name] = index === -1 ? '' : (record.fields[index] ?? '').trim()
+      })
+
+      try {
+        const empty = required.filter(name => row[name] === '')
+        if (empty.length > 0) {
+          throw new Error(`Missing value for required column${empty.length > 1 ? 's' : ''}: ${empty.join(', ')}`)
+        }
+        importRow(row)
+        result.imported++
+      } catch (err) {
+        result.errors.push({ line: record.line, message: err.message })
+      }
+    })
+
+    return result
+  }
+}
+
+export default CSVImporter
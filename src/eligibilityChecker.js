@@ -0,0 +1,220 @@
+import CompetitionTeam from './competitionTeam.js'
+import GroupMatch from './groupMatch.js'
+import Player from './player.js'
+
+/**
+ * Checks the players in each team's line-up for the matches in a competition against a set of eligibility rules.
+ *
+ * A rule is a function that is given a line-up and returns the rule violations in it.  The line-up is an object with the properties:
+ * <ul>
+ *   <li>competition - the competition</li>
+ *   <li>match - the GroupMatch being played</li>
+ *   <li>matchTeam - the MatchTeam whose line-up is being checked</li>
+ *   <li>teamID - the ID of the team, or the team reference when the team is not yet known</li>
+ *   <li>players - the players in the line-up, from MatchTeam.getPlayers()</li>
+ * </ul>
+ * and each violation it returns is an object with the IDs of the players that break the rule, which may be empty when the rule is
+ * about the line-up as a whole, and a message describing the violation.  Rules for common league regulations are available from the
+ * static methods, and any other rule can be added as a function.
+ */
+class EligibilityChecker {
+  /**
+   * The competition whose matches are checked
+   * @type {Competition}
+   * @private
+   */
+  #competition
+
+  /**
+   * The rules to check, in the order they were added
+   * @type {Array<{name: string, check: function(object): Array<{playerIDs: Array<string>, message: string}>}>}
+   * @private
+   */
+  #rules
+
+  /**
+   * Constructs a new EligibilityChecker with no rules
+   *
+   * @param {Competition} competition The competition whose matches are checked
+   */
+  constructor (competition) {
+    this.#competition = competition
+    this.#rules = []
+  }
+
+  /**
+   * Get the competition whose matches are checked
+   *
+   * @returns {Competition} The competition
+   */
+  getCompetition () {
+    return this.#competition
+  }
+
+  /**
+   * Add a rule to check
+   *
+   * @param {string} name The name of the rule, which is given in each of its violations
+   * @param {function(object): Array<{playerIDs: Array<string>, message: string}>} check The function that checks a line-up against the rule
+   * @returns {EligibilityChecker} This checker
+   * @throws {Error} If a rule with the same name has already been added
+   */
+  addRule (name, check) {
+    if (this.hasRule(name)) {
+      throw new Error(`Eligibility rule "${name}" already added`)
+    }
+    this.#rules.push({ name, check })
+    return this
+  }
+
+  /**
+   * Check whether a rule has been added
+   *
+   * @param {string} name The name of the rule
+   * @returns {boolean} Whether the rule has been added
+   */
+  hasRule (name) {
+    return this.#rules.some(rule => rule.name === name)
+  }
+
+  /**
+   * Remove a rule
+   *
+   * @param {string} name The name of the rule
+   * @returns {EligibilityChecker} This checker
+   */
+  removeRule (name) {
+    this.#rules = this.#rules.filter(rule => rule.name !== name)
+    return this
+  }
+
+  /**
+   * Get the names of the rules, in the order they were added
+   *
+   * @returns {Array<string>} The rule names
+   */
+  getRuleNames () {
+    return this.#rules.map(rule => rule.name)
+  }
+
+  /**
+   * Check the line-ups for every match in the competition against the rules
+   *
+   * @returns {Array<{rule: string, stageID: string, groupID: string, matchID: string, teamID: string, playerIDs: Array<string>, message: string}>} The violations found
+   */
+  check () {
+    return this.#competition.getStages().flatMap(stage => stage.getGroups()).flatMap(group => group.getMatches())
+      .filter(match => match instanceof GroupMatch)
+      .flatMap(match => this.checkMatch(match))
+  }
+
+  /**
+   * Check the line-ups for a match against the rules
+   *
+   * @param {GroupMatch} match The match to check
+   * @returns {Array<{rule: string, stageID: string, groupID: string, matchID: string, teamID: string, playerIDs: Array<string>, message: string}>} The violations found
+   */
+  checkMatch (match) {
+    const ids = { stageID: match.getGroup().getStage().getID(), groupID: match.getGroup().getID(), matchID: match.getID() }
+    return [match.getHomeTeam(), match.getAwayTeam()].flatMap(matchTeam => {
+      const lineup = {
+        competition: this.#competition,
+        match,
+        matchTeam,
+        teamID: EligibilityChecker.#teamKey(this.#competition, matchTeam.getID()),
+        players: matchTeam.getPlayers()
+      }
+      return this.#rules.flatMap(rule => rule.check(lineup).map(violation => ({
+        rule: rule.name,
+        ...ids,
+        teamID: lineup.teamID,
+        playerIDs: violation.playerIDs,
+        message: violation.message
+      })))
+    })
+  }
+
+  /**
+   * A rule that a registered player may only play for one team in the competition.  A player breaks the rule in every line-up for a
+   * team other than the first team they played for, with matches taken in the order they appear in the competition.  Line-ups for
+   * teams that are not yet known are not checked, and do not count towards the first team a player played for
+   *
+   * @returns {function(object): Array<{playerIDs: Array<string>, message: string}>} The rule
+   */
+  static oneTeamPerCompetition () {
+    return lineup => {
+      if (!lineup.competition.hasTeam(lineup.teamID)) {
+        return []
+      }
+      const matches = lineup.competition.getStages().flatMap(stage => stage.getGroups()).flatMap(group => group.getMatches())
+        .filter(match => match instanceof GroupMatch)
+      return lineup.players.filter(player => player.getID() !== Player.UNREGISTERED_PLAYER_ID).flatMap(player => {
+        const firstTeamID = matches.flatMap(match => [match.getHomeTeam(), match.getAwayTeam()])
+          .filter(matchTeam => matchTeam.getPlayers().includes(player))
+          .map(matchTeam => EligibilityChecker.#teamKey(lineup.competition, matchTeam.getID()))
+          .find(teamID => lineup.competition.hasTeam(teamID))
+        if (firstTeamID === lineup.teamID) {
+          return []
+        }
+        return [{ playerIDs: [player.getID()], message: `Player {${player.getID()}} has already played for team "${firstTeamID}"` }]
+      })
+    }
+  }
+
+  /**
+   * A rule that a registered player must have been registered to the team they are playing for a number of days before the match,
+   * following the "from" and "until" dates of their team entries.  A team entry without a "from" date counts as being registered from
+   * the start of the competition.  Line-ups for matches without a date, or for teams that are not yet known, are not checked
+   *
+   * @param {number} days The number of days before the match that a player must be registered by
+   * @returns {function(object): Array<{playerIDs: Array<string>, message: string}>} The rule
+   */
+  static registeredDaysBefore (days) {
+    return lineup => {
+      const date = lineup.match.getDate()
+      if (date === null || !lineup.competition.hasTeam(lineup.teamID)) {
+        return []
+      }
+      return lineup.players.filter(player => player.getID() !== Player.UNREGISTERED_PLAYER_ID).flatMap(player => {
+        const registered = player.getTeamEntries().some(entry => entry.getID() === lineup.teamID &&
+          (entry.getUntil() === null || entry.getUntil() >= date) &&
+          (entry.getFrom() === null || (Date.parse(date) - Date.parse(entry.getFrom())) / 86400000 >= days))
+        if (registered) {
+          return []
+        }
+        return [{ playerIDs: [player.getID()], message: `Player {${player.getID()}} was not registered to team "${lineup.teamID}" at least ${days} days before the match` }]
+      })
+    }
+  }
+
+  /**
+   * A rule limiting the number of guest players, i.e. players without a player ID, in a line-up
+   *
+   * @param {number} max The maximum number of guest players in a line-up
+   * @returns {function(object): Array<{playerIDs: Array<string>, message: string}>} The rule
+   */
+  static maxGuestPlayers (max) {
+    return lineup => {
+      const guests = lineup.players.filter(player => player.getID() === Player.UNREGISTERED_PLAYER_ID)
+      if (guests.length <= max) {
+        return []
+      }
+      return [{ playerIDs: [], message: `Team "${lineup.teamID}" has ${guests.length} guest players but at most ${max} are allowed` }]
+    }
+  }
+
+  /**
+   * Get the ID that a team is known by, which is the resolved team ID when the team is known and the team reference otherwise
+   *
+   * @param {Competition} competition The competition
+   * @param {string} teamID The team ID or reference
+   * @returns {string} The ID the team is known by
+   * @private
+   */
+  static #teamKey (competition, teamID) {
+    const team = competition.getTeam(teamID)
+    return team.getID() === CompetitionTeam.UNKNOWN_TEAM_ID ? teamID : team.getID()
+  }
+}
+
+export default EligibilityChecker
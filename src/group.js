@@ -1,5 +1,6 @@
 import Competition from './competition.js'
 import CompetitionTeam from './competitionTeam.js'
+import CompetitionValidationError from './competitionValidationError.js'
 import GroupBreak from './groupBreak.js'
 import GroupMatch from './groupMatch.js'
 import GroupType from './groupType.js'
@@ -336,13 +337,17 @@ class Group {
       leagueConfig.loadFromData(groupData.league)
     }
 
-    for (const matchData of groupData.matches) {
-      if (matchData.type === 'match') {
-        this.addMatch((new GroupMatch(this, matchData.id)).loadFromData(matchData))
-      } else if (matchData.type === 'break') {
-        this.addBreak((new GroupBreak(this)).loadFromData(matchData))
+    groupData.matches.forEach((matchData, i) => {
+      try {
+        if (matchData.type === 'match') {
+          this.addMatch((new GroupMatch(this, matchData.id)).loadFromData(matchData))
+        } else if (matchData.type === 'break') {
+          this.addBreak((new GroupBreak(this)).loadFromData(matchData))
+        }
+      } catch (err) {
+        throw CompetitionValidationError.fromError(err, `/matches/${i}`, matchData)
       }
-    }
+    })
 
     return this
   }
@@ -395,6 +400,16 @@ class Group {
     return group
   }
 
+  /**
+   * Check whether this group is structurally equal to another, i.e. whether they would serialize to the same data
+   *
+   * @param {Group} other The group to compare with
+   * @returns {boolean} Whether the groups are equal
+   */
+  equals (other) {
+    return other instanceof Group && JSON.stringify(this.serialize()) === JSON.stringify(other.serialize())
+  }
+
   /**
    * Get the stage this group is in
    *
@@ -429,8 +444,10 @@ class Group {
    * @returns {Group} The Group instance
    */
   setName (name) {
-    this._name = name
-    return this
+    return this.#record(() => {
+      this._name = name
+      return this
+    })
   }
 
   /**
@@ -449,8 +466,10 @@ class Group {
    * @returns {Group} The Group instance
    */
   setNotes (notes) {
-    this._notes = notes
-    return this
+    return this.#record(() => {
+      this._notes = notes
+      return this
+    })
   }
 
   /**
@@ -469,8 +488,10 @@ class Group {
    * @returns {Group} The Group instance
    */
   setDescription (description) {
-    this._description = description
-    return this
+    return this.#record(() => {
+      this._description = description
+      return this
+    })
   }
 
   /**
@@ -480,8 +501,10 @@ class Group {
    * @returns {Group} The Group instance
    */
   setKnockoutConfig (knockoutConfig) {
-    this._knockoutConfig = knockoutConfig
-    return this
+    return this.#record(() => {
+      this._knockoutConfig = knockoutConfig
+      return this
+    })
   }
 
   /**
@@ -491,8 +514,10 @@ class Group {
    * @returns {Group} The Group instance
    */
   setLeagueConfig (leagueConfig) {
-    this._leagueConfig = leagueConfig
-    return this
+    return this.#record(() => {
+      this._leagueConfig = leagueConfig
+      return this
+    })
   }
 
   /**
@@ -529,8 +554,10 @@ class Group {
    * @returns {Group} The Group instance
    */
   setSetConfig (sets) {
-    this._sets = sets
-    return this
+    return this.#record(() => {
+      this._sets = sets
+      return this
+    })
   }
 
   /**
@@ -550,8 +577,10 @@ class Group {
    */
   setDrawsAllowed (drawsAllowed) {
     // TODO - check if there are any draws already when this is set to false, and throw
-    this._drawsAllowed = drawsAllowed
-    return this
+    return this.#record(() => {
+      this._drawsAllowed = drawsAllowed
+      return this
+    })
   }
 
   /**
@@ -570,66 +599,68 @@ class Group {
    * @returns {Group} The Group instance
    */
   addMatch (match) {
-    this._matchesProcessed = false
-
     this._competition.validateTeamID(match.getHomeTeam().getID(), match.getID(), 'homeTeam')
     this._competition.validateTeamID(match.getAwayTeam().getID(), match.getID(), 'awayTeam')
 
-    this._matches.push(match)
-    this.#matchLookup[match.getID()] = match
+    return this.#record(() => {
+      this._matches.push(match)
+      this.#matchLookup[match.getID()] = match
+      // Validating the team IDs can process this group's results, so they are only invalidated once the match has been added
+      this.invalidateResults()
 
-    if (match.hasCourt()) {
-      this.#matchesHaveCourts = true
-    }
-    if (match.hasDate()) {
-      this.#matchesHaveDates = true
-    }
-    if (match.hasDuration()) {
-      this.#matchesHaveDurations = true
-    }
-    if (match.hasMVP()) {
-      this.#matchesHaveMVPs = true
-    }
-    if (match.hasManager()) {
-      this.#matchesHaveManagers = true
-    }
-    if (match.hasNotes()) {
-      this.#matchesHaveNotes = true
-    }
-    if (match.hasOfficials()) {
-      this.#matchesHaveOfficials = true
-    }
-    if (match.hasStart()) {
-      this.#matchesHaveStarts = true
-    }
-    if (match.hasVenue()) {
-      this.#matchesHaveVenues = true
-    }
-    if (match.hasWarmup()) {
-      this.#matchesHaveWarmups = true
-    }
+      if (match.hasCourt()) {
+        this.#matchesHaveCourts = true
+      }
+      if (match.hasDate()) {
+        this.#matchesHaveDates = true
+      }
+      if (match.hasDuration()) {
+        this.#matchesHaveDurations = true
+      }
+      if (match.hasMVP()) {
+        this.#matchesHaveMVPs = true
+      }
+      if (match.hasManager()) {
+        this.#matchesHaveManagers = true
+      }
+      if (match.hasNotes()) {
+        this.#matchesHaveNotes = true
+      }
+      if (match.hasOfficials()) {
+        this.#matchesHaveOfficials = true
+      }
+      if (match.hasStart()) {
+        this.#matchesHaveStarts = true
+      }
+      if (match.hasVenue()) {
+        this.#matchesHaveVenues = true
+      }
+      if (match.hasWarmup()) {
+        this.#matchesHaveWarmups = true
+      }
 
-    if (match.getHomeTeam().getID().charAt(0) === '{') {
-      this.#teamReferences.push(match.getHomeTeam().getID())
-    }
-    if (match.getAwayTeam().getID().charAt(0) === '{') {
-      this.#teamReferences.push(match.getAwayTeam().getID())
-    }
+      if (match.getHomeTeam().getID().charAt(0) === '{') {
+        this.#teamReferences.push(match.getHomeTeam().getID())
+      }
+      if (match.getAwayTeam().getID().charAt(0) === '{') {
+        this.#teamReferences.push(match.getAwayTeam().getID())
+      }
 
-    this.#playingTeamIDs[match.getHomeTeam().getID()] = true
-    this.#playingTeamIDs[match.getAwayTeam().getID()] = true
-    this.#teamIDs[match.getHomeTeam().getID()] = true
-    this.#teamIDs[match.getAwayTeam().getID()] = true
-    if (match.hasOfficials() && match.getOfficials().isTeam()) {
-      this.#teamIDs[match.getOfficials().getTeamID()] = true
-      this.#officiatingTeamIDs[match.getOfficials().getTeamID()] = true
-    }
+      this.#playingTeamIDs[match.getHomeTeam().getID()] = true
+      this.#playingTeamIDs[match.getAwayTeam().getID()] = true
+      this.#teamIDs[match.getHomeTeam().getID()] = true
+      this.#teamIDs[match.getAwayTeam().getID()] = true
+      if (match.hasOfficials() && match.getOfficials().isTeam()) {
+        this.#teamIDs[match.getOfficials().getTeamID()] = true
+        this.#officiatingTeamIDs[match.getOfficials().getTeamID()] = true
+      }
 
-    this._isCompleteKnown = false
+      this._isCompleteKnown = false
 
-    this._stage.checkMatches()
+      this._stage.checkMatches()
 
-    return this
+      return this
+    })
   }
 
   /**
@@ -639,9 +670,11 @@ class Group {
    * @returns {Group} The Group instance
    */
   addBreak (breakObj) {
-    this._matches.push(breakObj)
-    this._isCompleteKnown = false
-    return this
+    return this.#record(() => {
+      this._matches.push(breakObj)
+      this._isCompleteKnown = false
+      return this
+    })
   }
 
   /**
@@ -819,6 +852,15 @@ class Group {
     this._matchesProcessed = true
   }
 
+  /**
+   * Mark the results of this group as out of date, e.g. after a match's scores have changed, so that the matches are processed again
+   * the next time the results are needed
+   */
+  invalidateResults () {
+    this._matchesProcessed = false
+    this._isCompleteKnown = false
+  }
+
   /**
    * Get the team by ID based on the type of entity.
    *
@@ -1137,6 +1179,88 @@ class Group {
     }
     return matches
   }
+
+  /**
+   * Make a change to this group, recording it in the competition's change history
+   *
+   * @param {function(): any} change Make the change
+   * @returns {any} The value returned by the change
+   * @private
+   */
+  #record (change) {
+    return this._competition.recordChange(() => this.#snapshot(), snapshot => this.#restore(snapshot), change)
+  }
+
+  /**
+   * Get the state of this group, for the change history
+   *
+   * @returns {object} The state
+   * @private
+   */
+  #snapshot () {
+    return {
+      name: this._name,
+      notes: this._notes,
+      description: this._description,
+      knockoutConfig: this._knockoutConfig,
+      leagueConfig: this._leagueConfig,
+      sets: this._sets,
+      drawsAllowed: this._drawsAllowed,
+      matches: [...this._matches],
+      matchLookup: { ...this.#matchLookup },
+      matchesHaveCourts: this.#matchesHaveCourts,
+      matchesHaveDates: this.#matchesHaveDates,
+      matchesHaveDurations: this.#matchesHaveDurations,
+      matchesHaveMVPs: this.#matchesHaveMVPs,
+      matchesHaveManagers: this.#matchesHaveManagers,
+      matchesHaveNotes: this.#matchesHaveNotes,
+      matchesHaveOfficials: this.#matchesHaveOfficials,
+      matchesHaveStarts: this.#matchesHaveStarts,
+      matchesHaveVenues: this.#matchesHaveVenues,
+      matchesHaveWarmups: this.#matchesHaveWarmups,
+      teamReferences: [...this.#teamReferences],
+      teamIDs: Object.assign([], this.#teamIDs),
+      playingTeamIDs: Object.assign([], this.#playingTeamIDs),
+      officiatingTeamIDs: Object.assign([], this.#officiatingTeamIDs)
+    }
+  }
+
+  /**
+   * Restore this group to a state from the change history
+   *
+   * @param {object} snapshot The state to restore
+   * @private
+   */
+  #restore (snapshot) {
+    this._name = snapshot.name
+    this._notes = snapshot.notes
+    this._description = snapshot.description
+    this._knockoutConfig = snapshot.knockoutConfig
+    this._leagueConfig = snapshot.leagueConfig
+    this._sets = snapshot.sets
+    this._drawsAllowed = snapshot.drawsAllowed
+    this._matches = [...snapshot.matches]
+    this.#matchLookup = { ...snapshot.matchLookup }
+    this.#matchesHaveCourts = snapshot.matchesHaveCourts
+    this.#matchesHaveDates = snapshot.matchesHaveDates
+    this.#matchesHaveDurations = snapshot.matchesHaveDurations
+    this.#matchesHaveMVPs = snapshot.matchesHaveMVPs
+    this.#matchesHaveManagers = snapshot.matchesHaveManagers
+    this.#matchesHaveNotes = snapshot.matchesHaveNotes
+    this.#matchesHaveOfficials = snapshot.matchesHaveOfficials
+    this.#matchesHaveStarts = snapshot.matchesHaveStarts
+    this.#matchesHaveVenues = snapshot.matchesHaveVenues
+    this.#matchesHaveWarmups = snapshot.matchesHaveWarmups
+    this.#teamReferences = [...snapshot.teamReferences]
+    this.#teamIDs = Object.assign([], snapshot.teamIDs)
+    this.#playingTeamIDs = Object.assign([], snapshot.playingTeamIDs)
+    this.#officiatingTeamIDs = Object.assign([], snapshot.officiatingTeamIDs)
+    this.#teamHasMatchesLookup = {}
+    this.#teamHasOfficiatingLookup = {}
+    this.#stgGrpLookup = null
+    this.#maybeTeams = null
+    this.invalidateResults()
+  }
 }
 
 export default Group
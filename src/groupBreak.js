@@ -111,8 +111,10 @@ class GroupBreak {
     if (!/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/.test(start)) {
       throw new Error(`Invalid start time "${start}": must contain a value of the form "HH:mm" using a 24 hour clock`)
     }
-    this.#start = start
-    return this
+    return this.#record(() => {
+      this.#start = start
+      return this
+    })
   }
 
   /**
@@ -138,8 +140,10 @@ class GroupBreak {
       throw new Error(`Invalid date "${date}": date does not exist`)
     }
 
-    this.#date = date
-    return this
+    return this.#record(() => {
+      this.#date = date
+      return this
+    })
   }
 
   /**
@@ -159,8 +163,10 @@ class GroupBreak {
     if (!/^[0-9]+:[0-5][0-9]$/.test(duration)) {
       throw new Error(`Invalid duration "${duration}": must contain a value of the form "HH:mm"`)
     }
-    this.#duration = duration
-    return this
+    return this.#record(() => {
+      this.#duration = duration
+      return this
+    })
   }
 
   /**
@@ -180,8 +186,10 @@ class GroupBreak {
     if (name.length > 1000 || name.length < 1) {
       throw new Error('Invalid break name: must be between 1 and 1000 characters long')
     }
-    this.#name = name
-    return this
+    return this.#record(() => {
+      this.#name = name
+      return this
+    })
   }
 
   /**
@@ -191,6 +199,49 @@ class GroupBreak {
   getName () {
     return this.#name
   }
+
+  /**
+   * Make a change to this break, recording it in the competition's change history.  A break that has not been added to its group yet
+   * has nothing to undo, so its changes are not recorded
+   *
+   * @param {function(): any} change Make the change
+   * @returns {any} The value returned by the change
+   * @private
+   */
+  #record (change) {
+    if (!this.#group.getMatches().includes(this)) {
+      return change()
+    }
+    return this.#group.getCompetition().recordChange(() => this.#snapshot(), snapshot => this.#restore(snapshot), change)
+  }
+
+  /**
+   * Get the state of this break, for the change history
+   *
+   * @returns {object} The state
+   * @private
+   */
+  #snapshot () {
+    return {
+      start: this.#start,
+      date: this.#date,
+      duration: this.#duration,
+      name: this.#name
+    }
+  }
+
+  /**
+   * Restore this break to a state from the change history
+   *
+   * @param {object} snapshot The state to restore
+   * @private
+   */
+  #restore (snapshot) {
+    this.#start = snapshot.start
+    this.#date = snapshot.date
+    this.#duration = snapshot.duration
+    this.#name = snapshot.name
+  }
 }
 
 export default GroupBreak
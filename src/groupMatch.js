@@ -1,9 +1,11 @@
+import CompetitionEventType from './competitionEventType.js'
 import Group from './group.js'
 import Player from './player.js'
 import MatchManager from './matchManager.js'
 import MatchOfficials from './matchOfficials.js'
 import MatchTeam from './matchTeam.js'
 import MatchType from './matchType.js'
+import RallyLog from './rallyLog.js'
 
 /**
  * A match between two teams
@@ -67,6 +69,10 @@ class GroupMatch {
   #awayTeamSets
   #homeTeamScores
   #awayTeamScores
+
+  /** The point-by-point record of the match that the scores are derived from, or null when the scores were set directly */
+  #rallyLog
+
   #group
 
   /**
@@ -98,6 +104,7 @@ class GroupMatch {
     this.#awayTeamSets = 0
     this.#homeTeamScores = []
     this.#awayTeamScores = []
+    this.#rallyLog = null
   }
 
   /**
@@ -140,6 +147,14 @@ class GroupMatch {
     this.#homeTeamScores = matchData.homeTeam.scores
     this.#awayTeamScores = matchData.awayTeam.scores
 
+    if (Object.hasOwn(matchData, 'rallies')) {
+      this.#assertCanScoreByRally()
+      this.#rallyLog = RallyLog.loadFromData(this, matchData.rallies)
+      if (JSON.stringify([this.#rallyLog.getHomeTeamScores(), this.#rallyLog.getAwayTeamScores()]) !== JSON.stringify([this.#homeTeamScores, this.#awayTeamScores])) {
+        throw new Error(`Invalid rallies for match {${this.#group.getStage().getID()}:${this.#group.getID()}:${this.#id}}: the rallies do not give the set scores`)
+      }
+    }
+
     if (Object.hasOwn(matchData, 'officials')) {
       const officials = MatchOfficials.loadFromData(this, matchData.officials)
       if (officials.isTeam() && (officials.getTeamID() === this.getHomeTeam().getID() || officials.getTeamID() === this.getAwayTeam().getID())) {
@@ -207,6 +222,9 @@ class GroupMatch {
 
     match.homeTeam = this.#homeTeam.serialize()
     match.awayTeam = this.#awayTeam.serialize()
+    if (this.#rallyLog !== null) {
+      match.rallies = this.#rallyLog.serialize()
+    }
 
     if (this.#officials !== null) {
       match.officials = this.#officials.serialize()
@@ -228,6 +246,16 @@ class GroupMatch {
     return match
   }
 
+  /**
+   * Check whether this match is structurally equal to another, i.e. whether they would serialize to the same data
+   *
+   * @param {GroupMatch} other The match to compare with
+   * @returns {boolean} Whether the matches are equal
+   */
+  equals (other) {
+    return other instanceof GroupMatch && JSON.stringify(this.serialize()) === JSON.stringify(other.serialize())
+  }
+
   /**
    * Get the Group this match is in
    *
@@ -253,8 +281,10 @@ class GroupMatch {
    * @returns {GroupMatch} The GroupMatch object
    */
   setCourt (court) {
-    this.#court = court
-    return this
+    return this.#record(() => {
+      this.#court = court
+      return this
+    })
   }
 
   /**
@@ -282,8 +312,10 @@ class GroupMatch {
    * @returns {GroupMatch} The GroupMatch object
    */
   setVenue (venue) {
-    this.#venue = venue
-    return this
+    return this.#record(() => {
+      this.#venue = venue
+      return this
+    })
   }
 
   /**
@@ -320,8 +352,10 @@ class GroupMatch {
       throw new Error(`Invalid date "${date}": date does not exist`)
     }
 
-    this.#date = date
-    return this
+    return this.#record(() => {
+      this.#date = date
+      return this
+    })
   }
 
   /**
@@ -352,8 +386,10 @@ class GroupMatch {
     if (!/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/.test(warmup)) {
       throw new Error(`Invalid warmup time "${warmup}": must contain a value of the form "HH:mm" using a 24 hour clock`)
     }
-    this.#warmup = warmup
-    return this
+    return this.#record(() => {
+      this.#warmup = warmup
+      return this
+    })
   }
 
   /**
@@ -384,8 +420,10 @@ class GroupMatch {
     if (!/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/.test(start)) {
       throw new Error(`Invalid start time "${start}": must contain a value of the form "HH:mm" using a 24 hour clock`)
     }
-    this.#start = start
-    return this
+    return this.#record(() => {
+      this.#start = start
+      return this
+    })
   }
 
   /**
@@ -416,8 +454,10 @@ class GroupMatch {
     if (!/^[0-9]+:[0-5][0-9]$/.test(duration)) {
       throw new Error(`Invalid duration "${duration}": must contain a value of the form "HH:mm"`)
     }
-    this.#duration = duration
-    return this
+    return this.#record(() => {
+      this.#duration = duration
+      return this
+    })
   }
 
   /**
@@ -445,8 +485,21 @@ class GroupMatch {
    * @returns {void}
    */
   setComplete (complete) {
-    this.#complete = complete
-    this.#isComplete = complete
+    this.#group.getCompetition().changeResult(this, () => this.#setComplete(complete))
+  }
+
+  /**
+   * Set the completeness for this match, without emitting events
+   *
+   * @param {boolean} complete The completeness for this match
+   * @private
+   */
+  #setComplete (complete) {
+    this.#record(() => {
+      this.#complete = complete
+      this.#isComplete = complete
+      this.#group.invalidateResults()
+    })
   }
 
   /**
@@ -486,8 +539,10 @@ class GroupMatch {
    * @returns {GroupMatch} The GroupMatch object
    */
   setHomeTeam (homeTeam) {
-    this.#homeTeam = homeTeam
-    return this
+    return this.#record(() => {
+      this.#homeTeam = homeTeam
+      return this
+    })
   }
 
   /**
@@ -528,8 +583,10 @@ class GroupMatch {
    * @returns {GroupMatch} The GroupMatch object
    */
   setAwayTeam (awayTeam) {
-    this.#awayTeam = awayTeam
-    return this
+    return this.#record(() => {
+      this.#awayTeam = awayTeam
+      return this
+    })
   }
 
   /**
@@ -541,6 +598,15 @@ class GroupMatch {
     return this.#awayTeam
   }
 
+  /**
+   * Get the sanctions given in this match, with the home team's sanctions followed by the away team's sanctions
+   *
+   * @returns {Array<Sanction>} The sanctions given in this match
+   */
+  getSanctions () {
+    return [...this.#homeTeam.getSanctions(), ...this.#awayTeam.getSanctions()]
+  }
+
   /**
    * Get the away team scores
    *
@@ -570,8 +636,10 @@ class GroupMatch {
    * @returns {GroupMatch} The GroupMatch object
    */
   setOfficials (officials) {
-    this.#officials = officials
-    return this
+    return this.#record(() => {
+      this.#officials = officials
+      return this
+    })
   }
 
   /**
@@ -599,8 +667,10 @@ class GroupMatch {
    * @returns {GroupMatch} The GroupMatch object
    */
   setMVP (mvp) {
-    this.#mvp = mvp
-    return this
+    return this.#record(() => {
+      this.#mvp = mvp
+      return this
+    })
   }
 
   /**
@@ -628,8 +698,10 @@ class GroupMatch {
    * @returns {GroupMatch} The GroupMatch object
    */
   setManager (manager) {
-    this.#manager = manager
-    return this
+    return this.#record(() => {
+      this.#manager = manager
+      return this
+    })
   }
 
   /**
@@ -657,8 +729,10 @@ class GroupMatch {
    * @returns {GroupMatch} The GroupMatch object
    */
   setNotes (notes) {
-    this.#notes = notes
-    return this
+    return this.#record(() => {
+      this.#notes = notes
+      return this
+    })
   }
 
   /**
@@ -686,8 +760,10 @@ class GroupMatch {
    * @returns {GroupMatch} The GroupMatch object
    */
   setFriendly (friendly) {
-    this.#friendly = friendly
-    return this
+    return this.#record(() => {
+      this.#friendly = friendly
+      return this
+    })
   }
 
   /**
@@ -700,7 +776,7 @@ class GroupMatch {
   }
 
   /**
-   * Set the scores for this match
+   * Set the scores for this match.  Any rally log is discarded, as the scores no longer come from it
    *
    * @param {Array<number>} homeTeamScores The score array for the home team
    * @param {Array<number>} awayTeamScores The score array for the away team
@@ -714,20 +790,130 @@ class GroupMatch {
         throw new Error('Invalid score: match type is continuous, but the match completeness is not set')
       }
       GroupMatch.assertContinuousScoresValid(homeTeamScores, awayTeamScores, this.#group)
-      this.setComplete(complete)
     } else {
       GroupMatch.assertSetScoresValid(homeTeamScores, awayTeamScores, this.#group.getSetConfig())
       if (this.#duration !== null && complete === null) {
         throw new Error('Invalid results: match type is sets and match has a duration, but the match completeness is not set')
       }
-      if (complete !== null) {
-        this.setComplete(complete)
-      }
     }
-    this.#homeTeamScores = homeTeamScores
-    this.#awayTeamScores = awayTeamScores
-    this.#calculateResult()
-    return this
+
+    const competition = this.#group.getCompetition()
+    return competition.changeResult(this, () => {
+      // The completeness and the scores are one change, so that they are undone together
+      this.#record(() => {
+        if (complete !== null) {
+          this.#complete = complete
+          this.#isComplete = complete
+        }
+        this.#homeTeamScores = homeTeamScores
+        this.#awayTeamScores = awayTeamScores
+        this.#rallyLog = null
+        this.#calculateResult()
+        this.#group.invalidateResults()
+      })
+      competition.emit(CompetitionEventType.MATCH_SCORE_CHANGED, { match: this })
+      return this
+    })
+  }
+
+  /**
+   * Get the point-by-point record of this match
+   *
+   * @returns {RallyLog|null} The rally log, or null when the scores were not entered point by point
+   */
+  getRallyLog () {
+    return this.#rallyLog
+  }
+
+  /**
+   * Start scoring this match point by point
+   *
+   * @param {string} firstServer The team that serves first, either "home" or "away"
+   * @returns {GroupMatch} The GroupMatch object
+   * @throws {Error} If the match type is continuous, or the match already has scores
+   */
+  startRallyLog (firstServer = RallyLog.HOME) {
+    this.#assertCanStartRallyLog()
+    return this.#record(() => {
+      this.#rallyLog = new RallyLog(this, firstServer)
+      return this
+    })
+  }
+
+  /**
+   * Award the next rally to a team, updating the set scores.  If the match is not already being scored point by point then this starts
+   * it, with the home team serving first
+   *
+   * @param {string} team The team that won the rally, either "home" or "away"
+   * @returns {GroupMatch} The GroupMatch object
+   * @throws {Error} If the team is invalid, the match is already complete, or the match cannot be scored point by point
+   */
+  awardPoint (team) {
+    let rallyLog = this.#rallyLog
+    if (rallyLog === null) {
+      this.#assertCanStartRallyLog()
+      rallyLog = new RallyLog(this)
+    }
+    return this.#updateRallyLog(rallyLog, () => rallyLog.addRally(team))
+  }
+
+  /**
+   * Undo the most recent rally, updating the set scores
+   *
+   * @returns {GroupMatch} The GroupMatch object
+   * @throws {Error} If there are no rallies to undo
+   */
+  undoRally () {
+    if (this.#rallyLog === null) {
+      throw new Error(`Cannot undo a rally in match {${this.#group.getStage().getID()}:${this.#group.getID()}:${this.#id}}: the match is not being scored point by point`)
+    }
+    const rallyLog = this.#rallyLog
+    return this.#updateRallyLog(rallyLog, () => rallyLog.removeLastRally())
+  }
+
+  /**
+   * Change a rally log and set the scores from it, keeping the rally log.  The rally log is changed in place rather than copied, so that
+   * scoring a rally does not replay the whole log
+   *
+   * @param {RallyLog} rallyLog The rally log
+   * @param {function(): any} change Make the change to the rally log
+   * @returns {GroupMatch} The GroupMatch object
+   * @private
+   */
+  #updateRallyLog (rallyLog, change) {
+    return this.#record(() => {
+      // The rally log is changed as its own step, so that the step recorded for the scores starts from the changed log and undoing
+      // them both restores the log from before the change
+      this.#record(change)
+      this.setScores(rallyLog.getHomeTeamScores(), rallyLog.getAwayTeamScores(), this.#duration === null ? null : rallyLog.isComplete())
+      this.#rallyLog = rallyLog
+      return this
+    })
+  }
+
+  /**
+   * Check that this match can start being scored point by point
+   *
+   * @throws {Error} If the match type is continuous, or the match already has scores
+   * @private
+   */
+  #assertCanStartRallyLog () {
+    this.#assertCanScoreByRally()
+    if (this.#rallyLog !== null || this.#homeTeamScores.length > 0) {
+      throw new Error(`Cannot start scoring match {${this.#group.getStage().getID()}:${this.#group.getID()}:${this.#id}} point by point: the match already has scores`)
+    }
+  }
+
+  /**
+   * Check that this match can be scored point by point
+   *
+   * @throws {Error} If the match type is continuous
+   * @private
+   */
+  #assertCanScoreByRally () {
+    if (this.#group.getMatchType() === MatchType.CONTINUOUS) {
+      throw new Error(`Cannot score match {${this.#group.getStage().getID()}:${this.#group.getID()}:${this.#id}} point by point: the match type is continuous`)
+    }
   }
 
   /**
@@ -742,6 +928,8 @@ class GroupMatch {
       throw new Error(`Invalid match information for match ${this.#id}: team scores have different length`)
     }
 
+    this.#isDraw = false
+    this.#isComplete = this.#complete === true
     if (this.#group.getMatchType() === MatchType.CONTINUOUS) {
       this.#calculateContinuousResult()
     } else {
@@ -829,7 +1017,7 @@ class GroupMatch {
       if (this.#homeTeam.getScores()[setNumber] < this.#group.getSetConfig().getMinPoints() && this.#awayTeam.getScores()[setNumber] < this.#group.getSetConfig().getMinPoints()) {
         continue
       }
-      if (this.#isComplete || GroupMatch.#isSetComplete(setNumber, this.#homeTeam.getScores()[setNumber], this.#awayTeam.getScores()[setNumber], this.#group.getSetConfig())) {
+      if (this.#isComplete || GroupMatch.isSetComplete(setNumber, this.#homeTeam.getScores()[setNumber], this.#awayTeam.getScores()[setNumber], this.#group.getSetConfig())) {
         if (this.#homeTeam.getScores()[setNumber] > this.#awayTeam.getScores()[setNumber]) {
           this.#homeTeamSets++
         } else if (this.#homeTeam.getScores()[setNumber] < this.#awayTeam.getScores()[setNumber]) {
@@ -905,13 +1093,13 @@ class GroupMatch {
   /**
    * Work out whether the set is complete or not, first establishing whether this is the deciding set or not
    *
-   * @param {number} setNumber The set number being checked
+   * @param {number} setNumber The set number being checked, counting from 0
    * @param {number} homeScore The home team's score in this set
    * @param {number} awayScore The away team's score in this set
    * @param {SetConfig} setConfig The set configuration for this match
    * @returns {boolean} Whether the set is complete or not
    */
-  static #isSetComplete (setNumber, homeScore, awayScore, setConfig) {
+  static isSetComplete (setNumber, homeScore, awayScore, setConfig) {
     const deciderSet = (setNumber === setConfig.getMaxSets() - 1)
     if (deciderSet) {
       return GroupMatch.#isDeciderSetComplete(homeScore, awayScore, Math.abs(homeScore - awayScore), setConfig)
@@ -987,6 +1175,88 @@ class GroupMatch {
 
     return this.#loserTeamID
   }
+
+  /**
+   * Make a change to this match, recording it in the competition's change history.  A match that has not been added to its group yet
+   * has nothing to undo, so its changes are not recorded
+   *
+   * @param {function(): any} change Make the change
+   * @returns {any} The value returned by the change
+   * @private
+   */
+  #record (change) {
+    if (!this.#group.hasMatch(this.#id) || this.#group.getMatch(this.#id) !== this) {
+      return change()
+    }
+    return this.#group.getCompetition().recordChange(() => this.#snapshot(), snapshot => this.#restore(snapshot), change)
+  }
+
+  /**
+   * Get the state of this match, for the change history
+   *
+   * @returns {object} The state
+   * @private
+   */
+  #snapshot () {
+    return {
+      court: this.#court,
+      venue: this.#venue,
+      date: this.#date,
+      warmup: this.#warmup,
+      start: this.#start,
+      duration: this.#duration,
+      complete: this.#complete,
+      homeTeam: this.#homeTeam,
+      awayTeam: this.#awayTeam,
+      officials: this.#officials,
+      mvp: this.#mvp,
+      manager: this.#manager,
+      friendly: this.#friendly,
+      notes: this.#notes,
+      isComplete: this.#isComplete,
+      isDraw: this.#isDraw,
+      winnerTeamID: this.#winnerTeamID,
+      loserTeamID: this.#loserTeamID,
+      homeTeamSets: this.#homeTeamSets,
+      awayTeamSets: this.#awayTeamSets,
+      homeTeamScores: [...this.#homeTeamScores],
+      awayTeamScores: [...this.#awayTeamScores],
+      rallyLog: this.#rallyLog === null ? null : this.#rallyLog.serialize()
+    }
+  }
+
+  /**
+   * Restore this match to a state from the change history
+   *
+   * @param {object} snapshot The state to restore
+   * @private
+   */
+  #restore (snapshot) {
+    this.#court = snapshot.court
+    this.#venue = snapshot.venue
+    this.#date = snapshot.date
+    this.#warmup = snapshot.warmup
+    this.#start = snapshot.start
+    this.#duration = snapshot.duration
+    this.#complete = snapshot.complete
+    this.#homeTeam = snapshot.homeTeam
+    this.#awayTeam = snapshot.awayTeam
+    this.#officials = snapshot.officials
+    this.#mvp = snapshot.mvp
+    this.#manager = snapshot.manager
+    this.#friendly = snapshot.friendly
+    this.#notes = snapshot.notes
+    this.#isComplete = snapshot.isComplete
+    this.#isDraw = snapshot.isDraw
+    this.#winnerTeamID = snapshot.winnerTeamID
+    this.#loserTeamID = snapshot.loserTeamID
+    this.#homeTeamSets = snapshot.homeTeamSets
+    this.#awayTeamSets = snapshot.awayTeamSets
+    this.#homeTeamScores = [...snapshot.homeTeamScores]
+    this.#awayTeamScores = [...snapshot.awayTeamScores]
+    this.#rallyLog = snapshot.rallyLog === null ? null : RallyLog.loadFromData(this, snapshot.rallyLog)
+    this.#group.invalidateResults()
+  }
 }
 
 export default GroupMatch
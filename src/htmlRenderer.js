@@ -0,0 +1,334 @@
+import GroupBreak from './groupBreak.js'
+import MatchType from './matchType.js'
+
+/**
+ * Escape text so that it can be included in HTML content or in a quoted attribute value
+ *
+ * @param {string} text The text to escape
+ * @returns {string} The escaped text
+ */
+function escapeHTML (text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;')
+}
+
+/**
+ * Renders league tables, lists of matches and knockout brackets as fragments of HTML.  The output is plain strings, with no
+ * dependency on a DOM, so it can be used in Node as well as in browsers.
+ *
+ * Every element has a class name starting with a configurable prefix (by default "vbc") so that the output can be styled, e.g.
+ * "vbc-league-table" or "vbc-winner".  Tables have captions and header cells with a scope, and abbreviated column headings are
+ * wrapped in an abbr element with the full name as its title.  All text from the competition data is escaped.
+ */
+class HTMLRenderer {
+  /**
+   * The prefix for every class name in the output
+   * @type {string}
+   * @private
+   */
+  #classPrefix
+
+  /**
+   * Constructs a new HTMLRenderer
+   *
+   * @param {object} options The renderer options
+   * @param {string} [options.classPrefix='vbc'] The prefix for every class name in the output
+   */
+  constructor (options = {}) {
+    this.#classPrefix = options.classPrefix ?? 'vbc'
+  }
+
+  /**
+   * Render a league's table, followed by a description of how positions are decided and how points are scored
+   *
+   * @param {League} league The league to render the table for
+   * @returns {string} The HTML fragment
+   */
+  renderLeagueTable (league) {
+    const table = league.getLeagueTable()
+    const columns = [
+      ['P', 'Played', entry => entry.getPlayed()],
+      ['W', 'Wins', entry => entry.getWins()]
+    ]
+    if (table.hasDraws()) {
+      columns.push(['D', 'Draws', entry => entry.getDraws()])
+    }
+    columns.push(['L', 'Losses', entry => entry.getLosses()])
+    if (table.hasSets()) {
+      columns.push(
+        ['SF', 'Sets for', entry => entry.getSF()],
+        ['SA', 'Sets against', entry => entry.getSA()],
+        ['SD', 'Sets difference', entry => entry.getSD()]
+      )
+    }
+    columns.push(
+      ['PF', 'Points for', entry => entry.getPF()],
+      ['PA', 'Points against', entry => entry.getPA()],
+      ['PD', 'Points difference', entry => entry.getPD()],
+      ['BP', 'Bonus points', entry => entry.getBP()],
+      ['PP', 'Penalty points', entry => entry.getPP()],
+      ['PTS', 'League points', entry => entry.getPTS()]
+    )
+
+    let html = `<div class="${this.#class('league')}">`
+    html += `<table class="${this.#class('league-table')}">`
+    html += `<caption>${escapeHTML(league.getName() ?? league.getID())}</caption>`
+    html += '<thead><tr>'
+    html += `<th scope="col" class="${this.#class('pos')}"><abbr title="Position">Pos</abbr></th>`
+    html += `<th scope="col" class="${this.#class('team')}">Team</th>`
+    columns.forEach(([abbr, title]) => {
+      html += `<th scope="col" class="${this.#class(abbr.toLowerCase())}"><abbr title="${title}">${abbr}</abbr></th>`
+    })
+    html += '</tr></thead>'
+    html += '<tbody>'
+    table.entries.forEach((entry, i) => {
+      html += '<tr>'
+      html += `<td class="${this.#class('pos')}">${i + 1}</td>`
+      html += `<th scope="row" class="${this.#class('team')}">${escapeHTML(entry.getTeam())}</th>`
+      columns.forEach(([abbr, , value]) => {
+        html += `<td class="${this.#class(abbr.toLowerCase())}">${value(entry)}</td>`
+      })
+      html += '</tr>'
+    })
+    html += '</tbody>'
+    html += '</table>'
+    html += `<p class="${this.#class('league-ordering')}">${escapeHTML(table.getOrderingText())}</p>`
+    const scoringText = table.getScoringText()
+    if (scoringText !== '') {
+      html += `<p class="${this.#class('league-scoring')}">${escapeHTML(scoringText)}</p>`
+    }
+    html += '</div>'
+
+    return html
+  }
+
+  /**
+   * Render the matches and breaks in a group as a table of fixtures and results.  Columns for match details such as the court, date
+   * or officials are only included when at least one match in the group has that detail
+   *
+   * @param {Group} group The group to render the matches for
+   * @returns {string} The HTML fragment
+   */
+  renderMatches (group) {
+    const competition = group.getCompetition()
+    const columns = []
+    if (group.matchesHaveDates()) {
+      columns.push(['date', 'Date', match => match.getDate()])
+    }
+    if (group.matchesHaveVenues()) {
+      columns.push(['venue', 'Venue', match => match.getVenue()])
+    }
+    if (group.matchesHaveCourts()) {
+      columns.push(['court', 'Court', match => match.getCourt()])
+    }
+    if (group.matchesHaveWarmups()) {
+      columns.push(['warmup', 'Warmup', match => match.getWarmup()])
+    }
+    if (group.matchesHaveStarts()) {
+      columns.push(['start', 'Start', match => match.getStart()])
+    }
+    if (group.matchesHaveDurations()) {
+      columns.push(['duration', 'Duration', match => match.getDuration()])
+    }
+    columns.push(
+      ['home', 'Home team', match => competition.getTeamDisplayName(match.getHomeTeam().getID())],
+      ['score', 'Score', match => this.#scoreText(match)],
+      ['away', 'Away team', match => competition.getTeamDisplayName(match.getAwayTeam().getID())]
+    )
+    if (group.matchesHaveOfficials()) {
+      columns.push(['officials', 'Officials', match => this.#officialsText(match)])
+    }
+    if (group.matchesHaveManagers()) {
+      columns.push(['manager', 'Manager', match => {
+        if (!match.hasManager()) {
+          return null
+        }
+        return match.getManager().isTeam() ? competition.getTeamDisplayName(match.getManager().getTeamID()) : match.getManager().getManagerName()
+      }])
+    }
+    if (group.matchesHaveMVPs()) {
+      columns.push(['mvp', 'MVP', match => match.hasMVP() ? match.getMVP().getName() : null])
+    }
+    if (group.matchesHaveNotes()) {
+      columns.push(['notes', 'Notes', match => match.getNotes()])
+    }
+
+    let html = `<table class="${this.#class('matches')}">`
+    html += `<caption>${escapeHTML(group.getName() ?? group.getID())}</caption>`
+    html += '<thead><tr>'
+    columns.forEach(([name, heading]) => {
+      html += `<th scope="col" class="${this.#class(name)}">${heading}</th>`
+    })
+    html += '</tr></thead>'
+    html += '<tbody>'
+    group.getMatches().forEach(match => {
+      if (match instanceof GroupBreak) {
+        const breakText = [match.getDate(), match.getStart(), match.getName() ?? 'Break'].filter(text => text !== null).join(' ')
+        html += `<tr class="${this.#class('break')}"><td colspan="${columns.length}">${escapeHTML(breakText)}</td></tr>`
+        return
+      }
+      const winner = match.isComplete() && !match.isDraw() ? match.getWinnerTeamID() : null
+      html += `<tr class="${this.#class('match')}" id="${escapeHTML(`${this.#classPrefix}-${group.getStage().getID()}-${group.getID()}-${match.getID()}`)}">`
+      columns.forEach(([name, , value]) => {
+        const classes = [this.#class(name)]
+        if ((name === 'home' && winner === match.getHomeTeam().getID()) || (name === 'away' && winner === match.getAwayTeam().getID())) {
+          classes.push(this.#class('winner'))
+        }
+        const text = value(match)
+        html += `<td class="${classes.join(' ')}">${text === null ? '' : escapeHTML(text)}</td>`
+      })
+      html += '</tr>'
+    })
+    html += '</tbody>'
+    html += '</table>'
+
+    return html
+  }
+
+  /**
+   * Render a knockout group as a bracket.  Matches are placed in rounds according to how deep they are in the chain of "winner of"
+   * and "loser of" references to other matches in the group, so the matches with known teams are in the first round.  When the
+   * knockout defines final standings, they are listed after the bracket
+   *
+   * @param {Knockout} knockout The knockout group to render
+   * @returns {string} The HTML fragment
+   */
+  renderKnockout (knockout) {
+    const competition = knockout.getCompetition()
+    const matches = knockout.getMatches().filter(match => !(match instanceof GroupBreak))
+    const rounds = []
+    const depths = new Map()
+
+    const depthOf = match => {
+      if (!depths.has(match)) {
+        depths.set(match, 0)
+        const depth = [match.getHomeTeam().getID(), match.getAwayTeam().getID()].reduce((max, teamID) => {
+          const refParts = teamID.match(/^{([^:]*):([^:]*):([^:]*):(winner|loser)}$/)
+          if (refParts !== null && refParts[1] === knockout.getStage().getID() && refParts[2] === knockout.getID()) {
+            return Math.max(max, depthOf(knockout.getMatch(refParts[3])) + 1)
+          }
+          return max
+        }, 0)
+        depths.set(match, depth)
+      }
+      return depths.get(match)
+    }
+
+    matches.forEach(match => {
+      const depth = depthOf(match)
+      while (rounds.length <= depth) {
+        rounds.push([])
+      }
+      rounds[depth].push(match)
+    })
+
+    let html = `<div class="${this.#class('knockout')}" role="group" aria-label="${escapeHTML(knockout.getName() ?? knockout.getID())}">`
+    html += `<ol class="${this.#class('knockout-rounds')}">`
+    rounds.forEach((round, i) => {
+      html += `<li class="${this.#class('knockout-round')}">`
+      html += `<span class="${this.#class('knockout-round-name')}">Round ${i + 1}</span>`
+      html += `<ul class="${this.#class('knockout-matches')}">`
+      round.forEach(match => {
+        const winner = match.isComplete() && !match.isDraw() ? match.getWinnerTeamID() : null
+        html += `<li class="${this.#class('knockout-match')}" aria-label="Match ${escapeHTML(match.getID())}">`
+        html += `<span class="${this.#class('knockout-match-id')}">${escapeHTML(match.getID())}</span>`
+        const [homeScore, awayScore] = this.#teamScores(match)
+        const teams = [[match.getHomeTeam().getID(), homeScore], [match.getAwayTeam().getID(), awayScore]]
+        teams.forEach(([teamID, score]) => {
+          const classes = [this.#class('knockout-team')]
+          if (winner === teamID) {
+            classes.push(this.#class('winner'))
+          }
+          html += `<span class="${classes.join(' ')}">`
+          html += `<span class="${this.#class('team')}">${escapeHTML(competition.getTeamDisplayName(teamID))}</span>`
+          html += `<span class="${this.#class('score')}">${score}</span>`
+          html += '</span>'
+        })
+        html += '</li>'
+      })
+      html += '</ul>'
+      html += '</li>'
+    })
+    html += '</ol>'
+
+    const knockoutConfig = knockout.getKnockoutConfig()
+    if (knockoutConfig !== null) {
+      html += `<table class="${this.#class('knockout-standing')}">`
+      html += '<caption>Final standing</caption>'
+      html += `<thead><tr><th scope="col" class="${this.#class('pos')}"><abbr title="Position">Pos</abbr></th><th scope="col" class="${this.#class('team')}">Team</th></tr></thead>`
+      html += '<tbody>'
+      knockoutConfig.getStanding().forEach(standing => {
+        html += `<tr><td class="${this.#class('pos')}">${escapeHTML(standing.position)}</td><th scope="row" class="${this.#class('team')}">${escapeHTML(competition.getTeamDisplayName(standing.id))}</th></tr>`
+      })
+      html += '</tbody>'
+      html += '</table>'
+    }
+    html += '</div>'
+
+    return html
+  }
+
+  /**
+   * Build a class name with the configured prefix
+   *
+   * @param {string} name The unprefixed class name
+   * @returns {string} The prefixed class name
+   */
+  #class (name) {
+    return `${this.#classPrefix}-${name}`
+  }
+
+  /**
+   * Get the score for each team in a match.  For a match played in sets this is the number of sets won
+   *
+   * @param {GroupMatch} match The match
+   * @returns {Array<number|string>} The home and away team scores, or empty strings when the match has no scores
+   */
+  #teamScores (match) {
+    if (match.getHomeTeamScores().length === 0) {
+      return ['', '']
+    }
+    if (match.getGroup().getMatchType() === MatchType.SETS) {
+      return [match.getHomeTeamSets(), match.getAwayTeamSets()]
+    }
+    return [match.getHomeTeamScores()[0], match.getAwayTeamScores()[0]]
+  }
+
+  /**
+   * Get the text describing a match's score.  For a match played in sets this is the number of sets won by each team followed by
+   * the score in each set
+   *
+   * @param {GroupMatch} match The match
+   * @returns {string|null} The score text, or null when the match has no scores
+   */
+  #scoreText (match) {
+    const [homeScore, awayScore] = this.#teamScores(match)
+    if (homeScore === '') {
+      return null
+    }
+    if (match.getGroup().getMatchType() === MatchType.SETS) {
+      const awayScores = match.getAwayTeamScores()
+      const setScores = match.getHomeTeamScores().map((score, i) => `${score}-${awayScores[i]}`).join(', ')
+      return `${homeScore} - ${awayScore} (${setScores})`
+    }
+    return `${homeScore} - ${awayScore}`
+  }
+
+  /**
+   * Get the text describing a match's officials
+   *
+   * @param {GroupMatch} match The match
+   * @returns {string|null} The officials text, or null when the match has no officials
+   */
+  #officialsText (match) {
+    if (!match.hasOfficials()) {
+      return null
+    }
+    const officials = match.getOfficials()
+    if (officials.isTeam()) {
+      return match.getGroup().getCompetition().getTeamDisplayName(officials.getTeamID())
+    }
+    return officials.hasSecondRef() ? `${officials.getFirstRef()}, ${officials.getSecondRef()}` : officials.getFirstRef()
+  }
+}
+
+export default HTMLRenderer
@@ -0,0 +1,257 @@
+import Competition from './competition.js'
+import GroupMatch from './groupMatch.js'
+import { timeToMinutes } from './time.js'
+
+/**
+ * Escape a value for use in an iCalendar TEXT property
+ *
+ * @param {string} text The text to escape
+ * @returns {string} The escaped text
+ */
+function escapeText (text) {
+  return text.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n')
+}
+
+/**
+ * Fold a content line so that no line is longer than 75 octets, as required by RFC 5545
+ *
+ * @param {string} line The content line
+ * @returns {string} The folded content line
+ */
+function foldLine (line) {
+  const encoder = new TextEncoder()
+  let folded = ''
+  let octets = 0
+  for (const char of line) {
+    const charOctets = encoder.encode(char).length
+    if (octets + charOctets > 75) {
+      folded += '\r\n '
+      octets = 1
+    }
+    folded += char
+    octets += charOctets
+  }
+  return folded
+}
+
+/**
+ * Format a date and a number of minutes after midnight on that date as an iCalendar local ("floating") DATE-TIME
+ *
+ * @param {string} date The date in the format YYYY-MM-DD
+ * @param {number} minutes The number of minutes after midnight, which may run into following days
+ * @returns {string} The date and time in the format YYYYMMDDTHHMMSS
+ */
+function formatDateTime (date, minutes) {
+  const [year, month, day] = date.split('-').map(part => parseInt(part))
+  const dateTime = new Date(Date.UTC(year, month - 1, day, 0, minutes))
+  return dateTime.toISOString().replace(/[-:]/g, '').substring(0, 15)
+}
+
+/**
+ * Generates iCalendar (RFC 5545) documents containing the matches in a competition, either for the whole competition, for a single
+ * team or for a single court.  Each match becomes an event with a UID built from the stage, group and match IDs, so that importing
+ * an updated calendar updates the existing events.  Times are "floating" local times, as the competition data has no time zone.
+ *
+ * An event starts at the match's warmup time, or its start time when there is no warmup, and ends after the match's duration (or a
+ * default duration when the match has none).  A match with neither a warmup nor a start time becomes an all-day event, and matches
+ * without a date are left out.  Team references that are not yet resolved are described in words, e.g. "1st in Pool A".
+ */
+class ICSExporter {
+  /**
+   * The competition whose matches are being exported
+   * @type {Competition}
+   * @private
+   */
+  #competition
+
+  /**
+   * The domain part of each event UID
+   * @type {string}
+   * @private
+   */
+  #uidDomain
+
+  /**
+   * The time that the calendar was created, used for each event's DTSTAMP
+   * @type {Date}
+   * @private
+   */
+  #timestamp
+
+  /**
+   * The length of a match when the match does not define a duration, in the format H:mm
+   * @type {string}
+   * @private
+   */
+  #defaultDuration
+
+  /**
+   * Constructs a new ICSExporter for a competition
+   *
+   * @param {Competition} competition The competition whose matches are being exported
+   * @param {object} options The exporter options
+   * @param {string|null} [options.uidDomain=null] The domain part of each event UID, which should be unique to this competition.  Defaults to a version of the competition name
+   * @param {Date|null} [options.timestamp=null] The time to use as the creation time of the events.  Defaults to now
+   * @param {string} [options.defaultDuration='1:00'] The length of a match when the match does not define a duration, in the format H:mm
+   */
+  constructor (competition, options = {}) {
+    this.#competition = competition
+    this.#uidDomain = options.uidDomain ?? competition.getName().toLowerCase().replace(/[^a-z0-9]+/g, '-')
+    this.#timestamp = options.timestamp ?? new Date()
+    this.#defaultDuration = options.defaultDuration ?? '1:00'
+  }
+
+  /**
+   * Get a calendar containing every match in the competition
+   *
+   * @returns {string} The iCalendar document
+   */
+  getCompetitionCalendar () {
+    const events = []
+    this.#competition.getStages().forEach(stage => {
+      stage.getMatches().forEach(match => {
+        if (match instanceof GroupMatch) {
+          events.push(this.#buildEvent(match, null))
+        }
+      })
+    })
+    return this.#buildCalendar(this.#competition.getName(), events)
+  }
+
+  /**
+   * Get a calendar containing the matches that a team is playing in or officiating
+   *
+   * @param {string} teamID The ID of the team
+   * @returns {string} The iCalendar document
+   * @throws {Error} If the team does not exist
+   */
+  getTeamCalendar (teamID) {
+    if (!this.#competition.hasTeam(teamID)) {
+      throw new Error(`Team with ID ${teamID} not found in the competition`)
+    }
+
+    const events = []
+    this.#competition.getStages().forEach(stage => {
+      stage.getMatches(teamID, Competition.VBC_MATCH_PLAYING | Competition.VBC_MATCH_OFFICIATING).forEach(match => {
+        events.push(this.#buildEvent(match, teamID))
+      })
+    })
+    return this.#buildCalendar(`${this.#competition.getName()}: ${this.#competition.getTeam(teamID).getName()}`, events)
+  }
+
+  /**
+   * Get a calendar containing the matches on a court
+   *
+   * @param {string} court The name of the court
+   * @param {string|null} venue The venue the court is at, when courts at different venues share the same name
+   * @returns {string} The iCalendar document
+   */
+  getCourtCalendar (court, venue = null) {
+    const events = []
+    this.#competition.getStages().forEach(stage => {
+      stage.getMatches().forEach(match => {
+        if (match instanceof GroupMatch && match.getCourt() === court && (venue === null || match.getVenue() === venue)) {
+          events.push(this.#buildEvent(match, null))
+        }
+      })
+    })
+    return this.#buildCalendar(`${this.#competition.getName()}: Court ${court}`, events)
+  }
+
+  /**
+   * Wrap a set of events in a calendar
+   *
+   * @param {string} name The name of the calendar
+   * @param {Array<Array<string>|null>} events The content lines for each event, or null for matches that cannot be placed in a calendar
+   * @returns {string} The iCalendar document
+   */
+  #buildCalendar (name, events) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//VBCompetitions//competitions-js//EN',
+      'CALSCALE:GREGORIAN',
+      `X-WR-CALNAME:${escapeText(name)}`
+    ]
+    events.forEach(event => {
+      if (event !== null) {
+        lines.push(...event)
+      }
+    })
+    lines.push('END:VCALENDAR')
+    return lines.map(line => foldLine(line)).join('\r\n') + '\r\n'
+  }
+
+  /**
+   * Build the content lines for a match's event
+   *
+   * @param {GroupMatch} match The match
+   * @param {string|null} teamID When the calendar is for a team, the ID of that team
+   * @returns {Array<string>|null} The content lines for the event, or null when the match has no date
+   */
+  #buildEvent (match, teamID) {
+    if (!match.hasDate()) {
+      return null
+    }
+
+    const group = match.getGroup()
+    const stage = group.getStage()
+    const uid = [stage.getID(), group.getID(), match.getID()].map(id => encodeURIComponent(id)).join('.')
+    const homeTeamName = this.#competition.getTeamDisplayName(match.getHomeTeam().getID())
+    const awayTeamName = this.#competition.getTeamDisplayName(match.getAwayTeam().getID())
+    const isPlaying = teamID === null ||
+      this.#competition.getTeam(match.getHomeTeam().getID()).getID() === teamID ||
+      this.#competition.getTeam(match.getAwayTeam().getID()).getID() === teamID
+
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${uid}@${this.#uidDomain}`,
+      `DTSTAMP:${this.#timestamp.toISOString().replace(/[-:]/g, '').substring(0, 15)}Z`
+    ]
+
+    const begin = match.getWarmup() ?? match.getStart()
+    if (begin === null) {
+      lines.push(`DTSTART;VALUE=DATE:${formatDateTime(match.getDate(), 0).substring(0, 8)}`)
+      lines.push(`DTEND;VALUE=DATE:${formatDateTime(match.getDate(), 24 * 60).substring(0, 8)}`)
+    } else {
+      const end = timeToMinutes(match.getStart() ?? begin) + timeToMinutes(match.getDuration() ?? this.#defaultDuration)
+      lines.push(`DTSTART:${formatDateTime(match.getDate(), timeToMinutes(begin))}`)
+      lines.push(`DTEND:${formatDateTime(match.getDate(), end)}`)
+    }
+
+    lines.push(`SUMMARY:${escapeText(`${isPlaying ? '' : 'Officiating: '}${homeTeamName} v ${awayTeamName}`)}`)
+
+    const location = []
+    if (match.hasCourt()) {
+      location.push(`Court ${match.getCourt()}`)
+    }
+    if (match.hasVenue()) {
+      location.push(match.getVenue())
+    }
+    if (location.length > 0) {
+      lines.push(`LOCATION:${escapeText(location.join(', '))}`)
+    }
+
+    const description = [`${stage.getName() ?? stage.getID()}, ${group.getName() ?? group.getID()}`, `Match ${match.getID()}`]
+    if (match.hasWarmup()) {
+      description.push(`Warmup: ${match.getWarmup()}`)
+    }
+    if (match.hasStart()) {
+      description.push(`Start: ${match.getStart()}`)
+    }
+    if (match.hasOfficials()) {
+      const officials = match.getOfficials()
+      if (officials.isTeam()) {
+        description.push(`Officials: ${this.#competition.getTeamDisplayName(officials.getTeamID())}`)
+      } else {
+        description.push(`Referee: ${officials.getFirstRef()}${officials.hasSecondRef() ? `, ${officials.getSecondRef()}` : ''}`)
+      }
+    }
+    lines.push(`DESCRIPTION:${escapeText(description.join('\n'))}`)
+    lines.push('END:VEVENT')
+
+    return lines
+  }
+}
+
+export default ICSExporter
@@ -3,6 +3,227 @@
 var Ajv = require('ajv');
 var addFormats = require('ajv-formats');
 
+/**
+ * A record of the changes made to a competition, so that they can be undone and redone.  Each change records the state of the one object
+ * that changed (a match, a team, a stage and so on) before and after the change, rather than a copy of the whole competition.
+ *
+ * Changes are grouped into transactions, which are undone and redone as a whole.  A transaction is either named and made with
+ * transaction(), e.g. "Enter result for M12", or is the single unnamed change made by calling a method such as GroupMatch.setScores()
+ * outside of a named transaction.  Any changes that a method makes to other objects, such as Competition.deleteTeam() removing the team
+ * from its club, are part of the same transaction.
+ *
+ * Undoing and redoing changes emits the competition's events, such as CompetitionEventType.MATCH_COMPLETED and
+ * CompetitionEventType.TEAM_RENAMED, for the results and team names that they change, so that anything following the events stays up
+ * to date.
+ *
+ * History is opt-in: see Competition.enableHistory()
+ */
+class ChangeHistory {
+  /**
+   * The transactions that can be undone, with the most recent last
+   * @type {Array<{name: string|null, changes: Array<{undo: function(): void, redo: function(): void}>}>}
+   * @private
+   */
+  #undoStack
+
+  /**
+   * The transactions that can be redone, with the most recently undone last
+   * @type {Array<{name: string|null, changes: Array<{undo: function(): void, redo: function(): void}>}>}
+   * @private
+   */
+  #redoStack
+
+  /**
+   * The transaction that changes are currently being recorded in, or null when there is none
+   * @type {{name: string|null, changes: Array<{undo: function(): void, redo: function(): void}>}|null}
+   * @private
+   */
+  #transaction
+
+  /**
+   * Called to undo or redo a transaction
+   * @type {function(function(): void): void}
+   * @private
+   */
+  #replay
+
+  /**
+   * Constructs an empty change history
+   *
+   * @param {function(function(): void): void} [replay] A function that is called with a function that undoes or redoes a transaction,
+   *                                                    and must call it.  A competition uses this to emit the events for what an undo or
+   *                                                    redo changes
+   */
+  constructor (replay = change => change()) {
+    this.#undoStack = [];
+    this.#redoStack = [];
+    this.#transaction = null;
+    this.#replay = replay;
+  }
+
+  /**
+   * Make a change to part of the competition, recording how to undo and redo it.  This is called by the methods that change a
+   * competition, and is not normally called directly
+   *
+   * @param {function(): any} snapshot Get the state of the object being changed
+   * @param {function(any): void} restore Restore the object to a state returned by snapshot
+   * @param {function(): any} change Make the change
+   * @returns {any} The value returned by the change
+   */
+  record (snapshot, restore, change) {
+    if (this.#transaction === null) {
+      return this.transaction(null, () => this.record(snapshot, restore, change))
+    }
+
+    const before = snapshot();
+    const result = change();
+    const after = snapshot();
+    this.#transaction.changes.push({ undo: () => restore(before), redo: () => restore(after) });
+    return result
+  }
+
+  /**
+   * Make a set of changes as a single named transaction, so that they are undone and redone together.  If the function throws then the
+   * changes it made are undone before the error is rethrown.  A transaction started inside another transaction is part of the outer one
+   *
+   * @param {string|null} name The name of the transaction, e.g. "Enter result for M12"
+   * @param {function(): any} changes A function that makes the changes
+   * @returns {any} The value returned by the function
+   */
+  transaction (name, changes) {
+    if (this.#transaction !== null) {
+      return changes()
+    }
+
+    const transaction = { name, changes: [] };
+    this.#transaction = transaction;
+    let result;
+    try {
+      result = changes();
+    } catch (err) {
+      this.#transaction = null;
+      ChangeHistory.#undoChanges(transaction.changes);
+      throw err
+    }
+    this.#transaction = null;
+
+    if (transaction.changes.length > 0) {
+      this.#undoStack.push(transaction);
+      this.#redoStack = [];
+    }
+    return result
+  }
+
+  /**
+   * Undo the most recent transaction
+   *
+   * @returns {string|null} The name of the transaction that was undone
+   * @throws {Error} If there is nothing to undo, or a transaction is in progress
+   */
+  undo () {
+    this.#assertNotInTransaction();
+    if (!this.canUndo()) {
+      throw new Error('Nothing to undo')
+    }
+    const transaction = this.#undoStack.pop();
+    this.#replay(() => ChangeHistory.#undoChanges(transaction.changes));
+    this.#redoStack.push(transaction);
+    return transaction.name
+  }
+
+  /**
+   * Redo the most recently undone transaction
+   *
+   * @returns {string|null} The name of the transaction that was redone
+   * @throws {Error} If there is nothing to redo, or a transaction is in progress
+   */
+  redo () {
+    this.#assertNotInTransaction();
+    if (!this.canRedo()) {
+      throw new Error('Nothing to redo')
+    }
+    const transaction = this.#redoStack.pop();
+    this.#replay(() => transaction.changes.forEach(change => change.redo()));
+    this.#undoStack.push(transaction);
+    return transaction.name
+  }
+
+  /**
+   * Check whether there is a transaction to undo
+   *
+   * @returns {boolean} Whether there is a transaction to undo
+   */
+  canUndo () {
+    return this.#undoStack.length > 0
+  }
+
+  /**
+   * Check whether there is a transaction to redo
+   *
+   * @returns {boolean} Whether there is a transaction to redo
+   */
+  canRedo () {
+    return this.#redoStack.length > 0
+  }
+
+  /**
+   * Get the names of the transactions that can be undone, with the next one to be undone first.  An unnamed transaction has the name null
+   *
+   * @returns {Array<string|null>} The names of the transactions
+   */
+  getUndoNames () {
+    return this.#undoStack.map(transaction => transaction.name).reverse()
+  }
+
+  /**
+   * Get the names of the transactions that can be redone, with the next one to be redone first.  An unnamed transaction has the name null
+   *
+   * @returns {Array<string|null>} The names of the transactions
+   */
+  getRedoNames () {
+    return this.#redoStack.map(transaction => transaction.name).reverse()
+  }
+
+  /**
+   * Forget all of the recorded transactions
+   *
+   * @returns {ChangeHistory} This change history
+   */
+  clear () {
+    this.#undoStack = [];
+    this.#redoStack = [];
+    return this
+  }
+
+  /**
+   * Undo a list of changes, starting with the most recent
+   *
+   * @param {Array<{undo: function(): void, redo: function(): void}>} changes The changes
+   * @private
+   */
+  static #undoChanges (changes) {
+    [...changes].reverse().forEach(change => change.undo());
+  }
+
+  /**
+   * Check that no transaction is in progress
+   *
+   * @throws {Error} If a transaction is in progress
+   * @private
+   */
+  #assertNotInTransaction () {
+    if (this.#transaction !== null) {
+      throw new Error('Cannot undo or redo during a transaction')
+    }
+  }
+}
+
+class ClinchStatus {
+  static GUARANTEED = 'guaranteed'
+  static IMPOSSIBLE = 'impossible'
+  static UNDETERMINED = 'undetermined'
+}
+
 class Club {
   /**
    * A unique ID for the club, e.g. 'CLUB1'.  This must be unique within the competition.  It must only contain letters (upper or lowercase), and numbers
@@ -66,9 +287,10 @@ class Club {
 
     this.#competition = competition;
     this.#id = id;
-    this.setName(clubName);
     this.#notes = null;
     this.#teamLookup = {};
+    // The name is set directly so that creating a club does not add a step to the competition's change history
+    this.#name = Club.#checkName(clubName);
   }
 
   /**
@@ -129,11 +351,11 @@ class Club {
    * @throws {Error} When the provided club name is invalid
    */
   setName (name) {
-    if (name.length > 1000 || name.length < 1) {
-      throw new Error('Invalid club name: must be between 1 and 1000 characters long')
-    }
-    this.#name = name;
-    return this
+    Club.#checkName(name);
+    return this.#record(() => {
+      this.#name = name;
+      return this
+    })
   }
 
   /**
@@ -152,8 +374,10 @@ class Club {
    * @returns {Club} this Club
    */
   setNotes (notes) {
-    this.#notes = notes;
-    return this
+    return this.#record(() => {
+      this.#notes = notes;
+      return this
+    })
   }
 
   /**
@@ -184,9 +408,11 @@ class Club {
     if (this.hasTeam(team.getID())) {
       return this
     }
-    this.#teamLookup[team.getID()] = team;
-    team.setClubID(this.getID());
-    return this
+    return this.#record(() => {
+      this.#teamLookup[team.getID()] = team;
+      team.setClubID(this.getID());
+      return this
+    })
   }
 
   /**
@@ -215,123 +441,771 @@ class Club {
    * @returns void
    */
   deleteTeam (id) {
-    if (this.hasTeam(id)) {
+    if (!this.hasTeam(id)) {
+      return this
+    }
+    return this.#record(() => {
       const team = this.#teamLookup[id];
       delete this.#teamLookup[id];
       team.setClubID(null);
+      return this
+    })
+  }
+
+  /**
+   * Check that a club name is valid
+   *
+   * @param {string} name The name to check
+   * @returns {string} The name
+   * @throws {Error} If the name is invalid
+   * @private
+   */
+  static #checkName (name) {
+    if (name.length > 1000 || name.length < 1) {
+      throw new Error('Invalid club name: must be between 1 and 1000 characters long')
     }
-    return this
+    return name
+  }
+
+  /**
+   * Make a change to this club, recording it in the competition's change history
+   *
+   * @param {function(): any} change Make the change
+   * @returns {any} The value returned by the change
+   * @private
+   */
+  #record (change) {
+    return this.#competition.recordChange(() => this.#snapshot(), snapshot => this.#restore(snapshot), change)
+  }
+
+  /**
+   * Get the state of this club, for the change history
+   *
+   * @returns {object} The state
+   * @private
+   */
+  #snapshot () {
+    return {
+      name: this.#name,
+      notes: this.#notes,
+      teamLookup: { ...this.#teamLookup }
+    }
+  }
+
+  /**
+   * Restore this club to a state from the change history
+   *
+   * @param {object} snapshot The state to restore
+   * @private
+   */
+  #restore (snapshot) {
+    this.#name = snapshot.name;
+    this.#notes = snapshot.notes;
+    this.#teamLookup = { ...snapshot.teamLookup };
   }
 }
 
-var e={d:(t,i)=>{for(var n in i)e.o(i,n)&&!e.o(t,n)&&Object.defineProperty(t,n,{enumerable:!0,get:i[n]});},o:(e,t)=>Object.prototype.hasOwnProperty.call(e,t)},t={};e.d(t,{f:()=>i});const i=JSON.parse('{"$schema":"http://json-schema.org/draft-07/schema#","$id":"https://github.com/monkeysppp/VBCompetitions-schema/tree/1.0.0","title":"Definition of a Volleyball Competition","description":"This document contains the teams, the competition structure, the matches and the results of a volleyball competition","type":"object","properties":{"version":{"description":"The version of schema that the document conforms to.  Defaults to 1.0.0","type":"string","default":"1.0.0","enum":["1.0.0"]},"metadata":{"description":"A list of key-value pairs representing metadata about the competition, where each key must be unique. This can be used for functionality such as associating a competition with a season, and searching for competitions with matching metadata","type":"array","minItems":1,"maxItems":1000,"items":{"description":"A key-value pair","type":"object","additionalProperties":false,"properties":{"key":{"description":"The key for a metadata entry.  The key must be unique within the Competition","type":"string","minLength":1,"maxLength":100},"value":{"description":"The value for a metadata entry.  Note that this must be a string, so values such as \\"true\\", \\"false\\" or \\"null\\" must be represented as a string","type":"string","minLength":1,"maxLength":1000}},"required":["key","value"]}},"name":{"description":"A name for the competition","type":"string","minLength":1,"maxLength":10000},"notes":{"description":"Free form string to add notes about the competition.  This can be used for arbitrary content that various implementations can use","type":"string","minLength":1},"clubs":{"description":"A list of clubs that the teams are in","type":"array","items":{"description":"A club definition","type":"object","additionalProperties":false,"properties":{"id":{"description":"An ID for the club, e.g. \'CLUB1\'.  This must be unique within the competition.  It must contain only ASCII printable characters excluding \\" : { } ? =","type":"string","minLength":1,"maxLength":100,"pattern":"^((?![\\":{}?=])[\\\\x20-\\\\x7F])+$"},"name":{"description":"The name for the club","type":"string","minLength":1,"maxLength":1000},"notes":{"description":"Free form string to add notes about a club.  This can be used for arbitrary content that various implementations can use","type":"string","minLength":1}},"required":["id","name"]}},"teams":{"description":"The list of all teams in this competition","type":"array","items":{"description":"A team definition","type":"object","additionalProperties":false,"properties":{"id":{"description":"An ID for the team, e.g. \'TM1\'.  This is used in the rest of the instance document to specify the team so must be unique within the competition.  It must contain only ASCII printable characters excluding \\" : { } ? =","type":"string","minLength":1,"maxLength":100,"pattern":"^((?![\\":{}?=])[\\\\x20-\\\\x7F])+$"},"name":{"description":"The name for the team","type":"string","minLength":1,"maxLength":1000},"contacts":{"description":"A list of contact details for a team","type":"array","items":{"description":"A single contact for a team","type":"object","additionalProperties":false,"properties":{"id":{"description":"A unique ID for this contact, e.g. \'TM1Contact1\'.  This must be unique within the team.  It must contain only ASCII printable characters excluding \\" : { } ? =","type":"string","minLength":1,"maxLength":100,"pattern":"^((?![\\":{}?=])[\\\\x20-\\\\x7F])+$"},"name":{"description":"The name of this contact","type":"string","minLength":1,"maxLength":1000},"roles":{"description":"The roles of this contact within the team","type":"array","minItems":1,"uniqueItems":true,"items":{"description":"A role of this contact","type":"string","default":"secretary","enum":["secretary","treasurer","manager","captain","coach","assistantCoach","medic"]}},"emails":{"description":"The email addresses for this contact","type":"array","minItems":1,"uniqueItems":true,"items":{"description":"An email address for this contact","type":"string","format":"email","minLength":3}},"phones":{"description":"The telephone numbers for this contact","type":"array","minItems":1,"uniqueItems":true,"items":{"description":"A telephone number for this contact","type":"string","minLength":1,"maxLength":50}}},"required":["id","roles"]}},"club":{"description":"The ID of the club this team is in","type":"string","minLength":1,"maxLength":100},"notes":{"description":"Free form string to add notes about a team.  This can be used for arbitrary content that various implementations can use","type":"string","minLength":1}},"required":["id","name"]}},"players":{"description":"A list of players","type":"array","items":{"description":"A single player","type":"object","additionalProperties":false,"properties":{"id":{"description":"A unique ID for this player. This may be the player\'s registration number.  This must be unique within the competition.  It must contain only ASCII printable characters excluding \\" : { } ? =","type":"string","minLength":1,"maxLength":100,"pattern":"^((?![\\":{}?=])[\\\\x20-\\\\x7F])+$"},"name":{"description":"The name of this contact","type":"string","minLength":1,"maxLength":1000},"number":{"description":"The player\'s shirt number","type":"integer","minimum":1},"teams":{"description":"An ordered list of teams the player is/has been registered for in this competition, in the order that they have been registered (and therefore transferred in the case of more than one entry).  A player can only be registered with one team at any time within this competition, meaning that if there are multiple teams listed, either all but the last entry MUST have an \\"until\\" value, or there must be no \\"from\\" or \\"until\\" values in any entry","type":"array","items":{"description":"A Player\'s team registration entry, linking them to the specified team, potentially for the time period covered by \\"from\\" to \\"until\\"","type":"object","additionalProperties":false,"properties":{"id":{"description":"The team ID that the player is/was registered with","type":"string","minLength":1,"maxLength":100,"pattern":"^((?![\\":{}?=])[\\\\x20-\\\\x7F])+$"},"from":{"description":"The date from which the player is/was registered with this team.  When this is not present, there should not be any \\"from\\" or \\"until\\" values in any entry in this player\'s \\"teams\\" array","type":"string","format":"date"},"until":{"description":"The date up to which the player was registered with this team.  When a \\"from\\" date is specified and this is not, it should be taken that a player is still registered with this team","type":"string","format":"date"},"notes":{"description":"Free form string to add notes about this player\'s team entry.  This can be used for arbitrary content that various implementations can use","type":"string","minLength":1}},"required":["id"]}},"notes":{"description":"Free form string to add notes about the player.  This can be used for arbitrary content that various implementations can use","type":"string","minLength":1}},"required":["id","name"]}},"stages":{"description":"The stages of the competition.  Stages are phases of a competition that happen in order.  There may be only one stage (e.g. for a flat league) or multiple in sequence (e.g. for a tournament with pools, then crossovers, then finals)","type":"array","items":{"description":"A single competition stage","type":"object","additionalProperties":false,"properties":{"id":{"description":"A unique ID for this stage, e.g. \'LG\'.  It must contain only ASCII printable characters excluding \\" : { } ? =","type":"string","minLength":1,"maxLength":100,"pattern":"^((?![\\":{}?=])[\\\\x20-\\\\x7F])+$"},"name":{"description":"Descriptive title for the stage, e.g. \'Pools\'","type":"string","minLength":1,"maxLength":1000},"notes":{"description":"Free form string to add notes about this stage.  This can be used for arbitrary content that various implementations can use","type":"string","minLength":1},"description":{"description":"An array of string values as a verbose description of the nature of the stage, e.g. \'The first stage of the competition will consist of separate pools, where....\'","type":"array","items":{"description":"A part of the description of this stage","type":"string","minLength":1}},"groups":{"description":"The groups within a stage of the competition.  There may be only one group (e.g. for a flat league) or multiple in parallel (e.g. pool 1, pool 2)","type":"array","items":{"description":"A group within this stage of the competition","type":"object","additionalProperties":false,"properties":{"id":{"description":"A unique ID for this group, e.g. \'P1\'.  It must contain only ASCII printable characters excluding \\" : { } ? =","type":"string","minLength":1,"maxLength":100,"pattern":"^((?![\\":{}?=])[\\\\x20-\\\\x7F])+$"},"name":{"description":"Descriptive title for the group, e.g. \'Pool 1\'","type":"string","minLength":1,"maxLength":1000},"notes":{"description":"Free form string to add notes about this group.  This can be used for arbitrary content that various implementations can use","type":"string","minLength":1},"description":{"description":"An array of string values as a verbose description of the nature of the group, e.g. \'For the pool stage, teams will play each other once, with the top 2 teams going through to....\'","type":"array","items":{"description":"A part of the description of this stage","type":"string","minLength":1}},"type":{"description":"The type of competition applying to this group, which may dictate how the results are processed.  If this has the value \'league\' then the property \'league\' must be defined","type":"string","enum":["league","crossover","knockout"]},"knockout":{"description":"Configuration for the knockout group","type":"object","additionalProperties":false,"properties":{"standing":{"description":"Configuration for the knockout group","type":"array","items":{"description":"An ordered mapping from a position to a team ID","type":"object","additionalProperties":false,"properties":{"position":{"description":"The text description of the position, e.g. \\"1st\\", \\"2nd\\".  Having this field allows multiple teams to have the same \\"position\\", for example if there are no play-off games then two entries can have the value \\"3rd\\"","type":"string","minLength":1},"id":{"description":"The identifier for the team.  This must be a team reference (see the documentation), for example for the team in \\"1st\\", this would refer to the winner of the final in this stage->group","type":"string","minLength":1}},"required":["position","id"]},"minItems":1}},"required":["standing"]},"league":{"description":"Configuration for the league","type":"object","additionalProperties":false,"properties":{"ordering":{"description":"An array of parameters that define how the league positions are worked out, where the array position determines the precedence of that parameter, e.g. [ \\"PTS\\", \\"SD\\" ] means that league position is determined by league points, with ties decided by set difference.  Valid parameters are \'PTS\'=league points, \'WINS\'=wins, \'LOSSES\'=losses, \'H2H\'=head to head, PF\'=points for, \'PA\'=points against, \'PD\'=points difference, \'SF\'=sets for, \'SA\'=sets against, \'SD\'=set difference, \'BP\'=bonus points, \'PP\'=penalty points.  When comparing teams, a higher value for a parameter results in a higher league position except when comparing \'LOSSES\', \'PA\', \'SA\', and \'PP\' (where a lower value results in a higher league position).  Note that \'H2H\' only considers wins and losses between two teams; this means that, depending on whether draws are allowed or whether teams play each other multiple times, the head to head comparison may not be able to distinguish between two teams","type":"array","items":{"description":"A parameter that defines the league position","type":"string","enum":["PTS","WINS","LOSSES","H2H","PF","PA","PD","SF","SA","SD","BP","PP"]},"minItems":1},"points":{"description":"Properties defining how to calculate the league points based on match results","type":"object","additionalProperties":false,"properties":{"played":{"description":"Number of league points for playing the match.  Note that a forfeit counts as a \\"played\\" match, so if this has a non-zero value and the desire is for a forfeit to yield zero points then the \\"forfeit\\" value should be set to the same as this value","type":"integer","default":0},"perSet":{"description":"Number of league points for each set won","type":"integer","default":0},"win":{"description":"Number of league points for winning (by 2 sets or more if playing sets)","type":"integer","default":3},"winByOne":{"description":"Number of league points for winning by 1 set","type":"integer","default":0},"lose":{"description":"Number of league points for losing (by 2 sets or more if playing sets)","type":"integer","default":0},"loseByOne":{"description":"Number of league points for losing by 1 set","type":"integer","default":0},"forfeit":{"description":"Number of league penalty points for forfeiting a match.  This should be a positive number and will be subtracted from a team\'s league points for each forfeited match","type":"integer","default":0}}}},"required":["ordering","points"]},"matchType":{"description":"Are the matches played in sets or continuous points.  If this has the value \'sets\' then the property \'sets\' must be defined","type":"string","enum":["sets","continuous"]},"sets":{"description":"Configuration defining the nature of a set","type":"object","additionalProperties":false,"properties":{"maxSets":{"description":"The maximum number of sets that could be played, often known as \'best of\', e.g. if this has the value \'5\' then the match is played as \'best of 5 sets\'","type":"integer","default":5,"minimum":1},"setsToWin":{"description":"The number of sets that must be won to win the match.  This is usually one more than half the \'maxSets\', but may be needed if draws are allowed, e.g. if a competition dictates that exactly 2 sets must be played (by setting \'maxSets\' to \'2\') and that draws are allowed, then \'setsToWin\' should still be set to \'2\' to indicate that 2 sets are needed to win the match","type":"integer","default":3,"minimum":1},"clearPoints":{"description":"The number of points lead that the winning team must have, e.g. if this has the value \'2\' then teams must \'win by 2 clear points\'.  Note that if \'maxPoints\' has a value then that takes precedence, i.e. if \'maxPoints\' is set to \'35\' then a team can win \'35-34\' irrespective of the value of \'clearPoints\'","type":"integer","default":2,"minimum":1},"minPoints":{"description":"The minimum number of points that either team must score for a set to count as valid.  Usually only used for time-limited matches","type":"integer","default":1,"minimum":1},"pointsToWin":{"description":"The minimum number of points required to win all but the last set","type":"integer","default":25,"minimum":1},"lastSetPointsToWin":{"description":"The minimum number of points required to win the last set","type":"integer","default":15,"minimum":1},"maxPoints":{"description":"The upper limit of points that can be scored in a set","type":"integer","default":1000,"minimum":1},"lastSetMaxPoints":{"description":"The upper limit of points that can be scored in the last set","type":"integer","default":1000,"minimum":1}}},"drawsAllowed":{"description":"Sets whether drawn matches are allowed","default":false,"type":"boolean"},"matches":{"$ref":"#/$defs/matches"}},"allOf":[{"if":{"properties":{"type":{"const":"league"}},"required":["type"]},"then":{"required":["league"]}},{"if":{"properties":{"type":{"const":"crossover"}},"required":["type"]},"then":{"anyOf":[{"properties":{"drawsAllowed":{"enum":[false]}}},{"not":{"required":["drawsAllowed"]}}]}},{"if":{"properties":{"type":{"const":"knockout"}},"required":["type"]},"then":{"anyOf":[{"properties":{"drawsAllowed":{"enum":[false]}}},{"not":{"required":["drawsAllowed"]}}]}},{"if":{"properties":{"matchType":{"const":"continuous"}},"required":["matchType"]},"then":{"properties":{"matches":{"type":"array","items":{"type":"object","properties":{"homeTeam":{"type":"object","properties":{"scores":{"type":"array","maxItems":1}}},"awayTeam":{"type":"object","properties":{"scores":{"type":"array","maxItems":1}}}}}}},"allOf":[{"not":{"required":["sets"]}}]}},{"if":{"properties":{"matchType":{"const":"continuous"}},"required":["matchType"]},"then":{"allOf":[{"not":{"required":["sets"]}}]}},{"if":{"properties":{"matchType":{"const":"continuous"},"matches":{"type":"array","items":{"type":"object","properties":{"type":{"const":"match"}}}}},"required":["matchType"]},"then":{"properties":{"matches":{"type":"array","items":{"type":"object","required":["complete"]}}}}}],"required":["id","type","matchType","matches"]}},"ifUnknown":{"description":"It can be useful to still present something to the user about the later stages of a competition, even if the teams playing in that stage is not yet known.  This defines what should be presented in any application handling this competition\'s data in such cases","type":"object","additionalProperties":false,"properties":{"description":{"description":"An array of string values to be presented in the case that the teams in this stage are not yet known, typically as an explanation of what this stage will contain (e.g. \'The crossover games will be between the top two teams in each pool\')","type":"array","items":{"description":"A part of the description of this stage","type":"string","minLength":1}},"matches":{"$ref":"#/$defs/matches"}},"required":["description"]}},"required":["id","groups"]}}},"required":["name","teams","stages"],"$defs":{"team":{"description":"A team playing in the match","type":"object","additionalProperties":false,"properties":{"id":{"description":"The identifier for the team.  This can either be a team ID or a team reference (see the documentation)","type":"string","minLength":1,"maxLength":1000},"scores":{"description":"The array of set scores.  If the matchType is \'continuous\' then only the first value in the array is used","type":"array","items":{"description":"The set score","type":"integer","minimum":0}},"mvp":{"description":"This team\'s most valuable player award.  This can either be a name or a reference to a player ID.  A reference takes the form {PLAYER_ID}","type":"string","minLength":1},"forfeit":{"description":"Did this team forfeit the match","type":"boolean","default":false},"bonusPoints":{"description":"Does this team get any bonus points in the league.  This is separate from any league points calculated from the match result, and is added to their league points","type":"integer","default":0,"minimum":0},"penaltyPoints":{"description":"Does this team receive any penalty points in the league.  This is separate from any league points calculated from the match result, and is subtracted from their league points","type":"integer","default":0,"minimum":0},"notes":{"description":"Free form string to add notes about the team relating to this match.  This can be used for arbitrary content that various implementations can use","type":"string","minLength":1},"players":{"description":"The list of players from this team that played in this match.  This can be either a player\'s name or a reference to a player ID","type":"array","items":{"description":"Either the name of the player or a reference to a player ID.  A reference takes the form {PLAYER_ID}.  Not all entries need to be references, meaning that the document can allow a mix of registered players with a player ID, and unregistered players indicated just by name","type":"string","minLength":1}}},"required":["id","scores"]},"matches":{"description":"An array of matches (or breaks in play) in this group.  Note that a team ID and each unique team references can ony appear in one group, i.e. a team cannot play in multiple groups in a stage; if they did then those two groups would technically be the same group","type":"array","items":{"oneOf":[{"description":"A match between two teams","type":"object","additionalProperties":false,"properties":{"id":{"description":"An identifier for this match, i.e. a match number.  It must contain only ASCII printable characters excluding \\" : { } ? =","type":"string","minLength":1,"maxLength":100,"pattern":"^((?![\\":{}?=])[\\\\x20-\\\\x7F])+$"},"court":{"description":"The court that a match takes place on","type":"string","minLength":1,"maxLength":1000},"venue":{"description":"The venue that a match takes place at","type":"string","minLength":1,"maxLength":10000},"type":{"description":"The type of match, i.e. \'match\'","type":"string","enum":["match"]},"date":{"description":"The date of the match in the format YYYY-MM-DD","type":"string","format":"date"},"warmup":{"description":"The start time for the warmup in the format HH:mm using a 24 hour clock","type":"string","pattern":"^([0-1][0-9]|2[0-3]):[0-5][0-9]$"},"start":{"description":"The start time for the match in the format HH:mm using a 24 hour clock","type":"string","pattern":"^([0-1][0-9]|2[0-3]):[0-5][0-9]$"},"duration":{"description":"The maximum duration of the match in the format HH:mm","type":"string","pattern":"^[0-9]+:[0-5][0-9]$"},"complete":{"description":"Whether the match is complete.  This must be set when a match has a \\"duration\\" or when the matchType is \\"continuous\\".  What about a \\"continuous\\" match with no \\"duration\\" and a target score?  This can be represented by a \\"sets\\" match with \\"maxSets\\" = 1","type":"boolean"},"homeTeam":{"$ref":"#/$defs/team","description":"The \'home\' team for the match"},"awayTeam":{"$ref":"#/$defs/team","description":"The \'away\' team for the match"},"officials":{"oneOf":[{"description":"The officials for this match","type":"object","additionalProperties":false,"properties":{"team":{"description":"The team assigned to referee the match.  This can either be a team ID or a team reference","type":"string","minLength":1,"maxLength":1000}},"required":["team"]},{"description":"The officials for this match","type":"object","additionalProperties":false,"properties":{"first":{"description":"The first referee","type":"string","minLength":1},"second":{"description":"The second referee","type":"string","minLength":1},"challenge":{"description":"The challenge referee, responsible for resolving challenges from the teams","type":"string","minLength":1},"assistantChallenge":{"description":"The assistant challenge referee, who assists the challenge referee","type":"string","minLength":1},"reserve":{"description":"The reserve referee","type":"string","minLength":1},"scorer":{"description":"The scorer","type":"string","minLength":1},"assistantScorer":{"description":"The assistant scorer","type":"string","minLength":1},"linespersons":{"description":"The list of linespersons","type":"array","maxItems":4,"items":{"description":"A linesperson","type":"string","minLength":1}},"ballCrew":{"description":"The list of people in charge of managing the game balls","type":"array","maxItems":100,"items":{"description":"A ball person","type":"string","minLength":1}}},"required":["first"]}]},"mvp":{"description":"A most valuable player award for the match. This can either be a name or a reference to a player ID.  A reference takes the form {PLAYER_ID}","type":"string","minLength":1,"maxLength":203},"manager":{"oneOf":[{"description":"The court manager in charge of this match","type":"string","minLength":1,"maxLength":1000},{"description":"The court managers for this match","type":"object","additionalProperties":false,"properties":{"team":{"description":"The team assigned to manage the match.  This can either be a team ID or a team reference","type":"string","minLength":1,"maxLength":1000}},"required":["team"]}]},"friendly":{"description":"Whether the match is a friendly.  These matches do not contribute toward a league position.  If a team only participates in friendly matches then they are not included in the league table at all","type":"boolean","default":false},"notes":{"description":"Free form string to add notes about a match","type":"string","minLength":1}},"dependencies":{"duration":["complete"]},"required":["id","type","homeTeam","awayTeam"]},{"description":"A break in play, possibly while other matches are going on in other competitions running in parallel","type":"object","additionalProperties":false,"properties":{"type":{"description":"The type of match, i.e. \'break\'","type":"string","enum":["break"]},"start":{"description":"The start time for the break in the format HH:mm using a 24 hour clock","type":"string","pattern":"^([0-1][0-9]|2[0-3]):[0-5][0-9]$"},"date":{"description":"The date of the break in the format YYYY-MM-DD","type":"string","format":"date"},"duration":{"description":"The duration of the break","type":"string","pattern":"^[0-9]+:[0-5][0-9]$"},"name":{"description":"The name for the break, e.g. \'Lunch break\'","default":"Break","type":"string","minLength":1,"maxLength":1000}},"required":["type"]}]}}}}');var n=t.f;
+var e={d:(t,i)=>{for(var a in i)e.o(i,a)&&!e.o(t,a)&&Object.defineProperty(t,a,{enumerable:!0,get:i[a]});},o:(e,t)=>Object.prototype.hasOwnProperty.call(e,t)},t={};e.d(t,{f:()=>i});const i=JSON.parse('{"$schema":"http://json-schema.org/draft-07/schema#","$id":"https://github.com/monkeysppp/VBCompetitions-schema/tree/1.0.0","title":"Definition of a Volleyball Competition","description":"This document contains the teams, the competition structure, the matches and the results of a volleyball competition","type":"object","properties":{"version":{"description":"The version of schema that the document conforms to.  Defaults to 1.0.0","type":"string","default":"1.0.0","enum":["1.0.0"]},"metadata":{"description":"A list of key-value pairs representing metadata about the competition, where each key must be unique. This can be used for functionality such as associating a competition with a season, and searching for competitions with matching metadata","type":"array","minItems":1,"maxItems":1000,"items":{"description":"A key-value pair","type":"object","additionalProperties":false,"properties":{"key":{"description":"The key for a metadata entry.  The key must be unique within the Competition","type":"string","minLength":1,"maxLength":100},"value":{"description":"The value for a metadata entry.  Note that this must be a string, so values such as \\"true\\", \\"false\\" or \\"null\\" must be represented as a string","type":"string","minLength":1,"maxLength":1000}},"required":["key","value"]}},"name":{"description":"A name for the competition","type":"string","minLength":1,"maxLength":10000},"notes":{"description":"Free form string to add notes about the competition.  This can be used for arbitrary content that various implementations can use","type":"string","minLength":1},"clubs":{"description":"A list of clubs that the teams are in","type":"array","items":{"description":"A club definition","type":"object","additionalProperties":false,"properties":{"id":{"description":"An ID for the club, e.g. \'CLUB1\'.  This must be unique within the competition.  It must contain only ASCII printable characters excluding \\" : { } ? =","type":"string","minLength":1,"maxLength":100,"pattern":"^((?![\\":{}?=])[\\\\x20-\\\\x7F])+$"},"name":{"description":"The name for the club","type":"string","minLength":1,"maxLength":1000},"notes":{"description":"Free form string to add notes about a club.  This can be used for arbitrary content that various implementations can use","type":"string","minLength":1}},"required":["id","name"]}},"teams":{"description":"The list of all teams in this competition","type":"array","items":{"description":"A team definition","type":"object","additionalProperties":false,"properties":{"id":{"description":"An ID for the team, e.g. \'TM1\'.  This is used in the rest of the instance document to specify the team so must be unique within the competition.  It must contain only ASCII printable characters excluding \\" : { } ? =","type":"string","minLength":1,"maxLength":100,"pattern":"^((?![\\":{}?=])[\\\\x20-\\\\x7F])+$"},"name":{"description":"The name for the team","type":"string","minLength":1,"maxLength":1000},"contacts":{"description":"A list of contact details for a team","type":"array","items":{"description":"A single contact for a team","type":"object","additionalProperties":false,"properties":{"id":{"description":"A unique ID for this contact, e.g. \'TM1Contact1\'.  This must be unique within the team.  It must contain only ASCII printable characters excluding \\" : { } ? =","type":"string","minLength":1,"maxLength":100,"pattern":"^((?![\\":{}?=])[\\\\x20-\\\\x7F])+$"},"name":{"description":"The name of this contact","type":"string","minLength":1,"maxLength":1000},"roles":{"description":"The roles of this contact within the team","type":"array","minItems":1,"uniqueItems":true,"items":{"description":"A role of this contact","type":"string","default":"secretary","enum":["secretary","treasurer","manager","captain","coach","assistantCoach","medic"]}},"emails":{"description":"The email addresses for this contact","type":"array","minItems":1,"uniqueItems":true,"items":{"description":"An email address for this contact","type":"string","format":"email","minLength":3}},"phones":{"description":"The telephone numbers for this contact","type":"array","minItems":1,"uniqueItems":true,"items":{"description":"A telephone number for this contact","type":"string","minLength":1,"maxLength":50}}},"required":["id","roles"]}},"club":{"description":"The ID of the club this team is in","type":"string","minLength":1,"maxLength":100},"notes":{"description":"Free form string to add notes about a team.  This can be used for arbitrary content that various implementations can use","type":"string","minLength":1}},"required":["id","name"]}},"players":{"description":"A list of players","type":"array","items":{"description":"A single player","type":"object","additionalProperties":false,"properties":{"id":{"description":"A unique ID for this player. This may be the player\'s registration number.  This must be unique within the competition.  It must contain only ASCII printable characters excluding \\" : { } ? =","type":"string","minLength":1,"maxLength":100,"pattern":"^((?![\\":{}?=])[\\\\x20-\\\\x7F])+$"},"name":{"description":"The name of this contact","type":"string","minLength":1,"maxLength":1000},"number":{"description":"The player\'s shirt number","type":"integer","minimum":1},"teams":{"description":"An ordered list of teams the player is/has been registered for in this competition, in the order that they have been registered (and therefore transferred in the case of more than one entry).  A player can only be registered with one team at any time within this competition, meaning that if there are multiple teams listed, either all but the last entry MUST have an \\"until\\" value, or there must be no \\"from\\" or \\"until\\" values in any entry","type":"array","items":{"description":"A Player\'s team registration entry, linking them to the specified team, potentially for the time period covered by \\"from\\" to \\"until\\"","type":"object","additionalProperties":false,"properties":{"id":{"description":"The team ID that the player is/was registered with","type":"string","minLength":1,"maxLength":100,"pattern":"^((?![\\":{}?=])[\\\\x20-\\\\x7F])+$"},"from":{"description":"The date from which the player is/was registered with this team.  When this is not present, there should not be any \\"from\\" or \\"until\\" values in any entry in this player\'s \\"teams\\" array","type":"string","format":"date"},"until":{"description":"The date up to which the player was registered with this team.  When a \\"from\\" date is specified and this is not, it should be taken that a player is still registered with this team","type":"string","format":"date"},"notes":{"description":"Free form string to add notes about this player\'s team entry.  This can be used for arbitrary content that various implementations can use","type":"string","minLength":1}},"required":["id"]}},"notes":{"description":"Free form string to add notes about the player.  This can be used for arbitrary content that various implementations can use","type":"string","minLength":1}},"required":["id","name"]}},"stages":{"description":"The stages of the competition.  Stages are phases of a competition that happen in order.  There may be only one stage (e.g. for a flat league) or multiple in sequence (e.g. for a tournament with pools, then crossovers, then finals)","type":"array","items":{"description":"A single competition stage","type":"object","additionalProperties":false,"properties":{"id":{"description":"A unique ID for this stage, e.g. \'LG\'.  It must contain only ASCII printable characters excluding \\" : { } ? =","type":"string","minLength":1,"maxLength":100,"pattern":"^((?![\\":{}?=])[\\\\x20-\\\\x7F])+$"},"name":{"description":"Descriptive title for the stage, e.g. \'Pools\'","type":"string","minLength":1,"maxLength":1000},"notes":{"description":"Free form string to add notes about this stage.  This can be used for arbitrary content that various implementations can use","type":"string","minLength":1},"description":{"description":"An array of string values as a verbose description of the nature of the stage, e.g. \'The first stage of the competition will consist of separate pools, where....\'","type":"array","items":{"description":"A part of the description of this stage","type":"string","minLength":1}},"groups":{"description":"The groups within a stage of the competition.  There may be only one group (e.g. for a flat league) or multiple in parallel (e.g. pool 1, pool 2)","type":"array","items":{"description":"A group within this stage of the competition","type":"object","additionalProperties":false,"properties":{"id":{"description":"A unique ID for this group, e.g. \'P1\'.  It must contain only ASCII printable characters excluding \\" : { } ? =","type":"string","minLength":1,"maxLength":100,"pattern":"^((?![\\":{}?=])[\\\\x20-\\\\x7F])+$"},"name":{"description":"Descriptive title for the group, e.g. \'Pool 1\'","type":"string","minLength":1,"maxLength":1000},"notes":{"description":"Free form string to add notes about this group.  This can be used for arbitrary content that various implementations can use","type":"string","minLength":1},"description":{"description":"An array of string values as a verbose description of the nature of the group, e.g. \'For the pool stage, teams will play each other once, with the top 2 teams going through to....\'","type":"array","items":{"description":"A part of the description of this stage","type":"string","minLength":1}},"type":{"description":"The type of competition applying to this group, which may dictate how the results are processed.  If this has the value \'league\' then the property \'league\' must be defined","type":"string","enum":["league","crossover","knockout"]},"knockout":{"description":"Configuration for the knockout group","type":"object","additionalProperties":false,"properties":{"standing":{"description":"Configuration for the knockout group","type":"array","items":{"description":"An ordered mapping from a position to a team ID","type":"object","additionalProperties":false,"properties":{"position":{"description":"The text description of the position, e.g. \\"1st\\", \\"2nd\\".  Having this field allows multiple teams to have the same \\"position\\", for example if there are no play-off games then two entries can have the value \\"3rd\\"","type":"string","minLength":1},"id":{"description":"The identifier for the team.  This must be a team reference (see the documentation), for example for the team in \\"1st\\", this would refer to the winner of the final in this stage->group","type":"string","minLength":1}},"required":["position","id"]},"minItems":1}},"required":["standing"]},"league":{"description":"Configuration for the league","type":"object","additionalProperties":false,"properties":{"ordering":{"description":"An array of parameters that define how the league positions are worked out, where the array position determines the precedence of that parameter, e.g. [ \\"PTS\\", \\"SD\\" ] means that league position is determined by league points, with ties decided by set difference.  Valid parameters are \'PTS\'=league points, \'WINS\'=wins, \'LOSSES\'=losses, \'H2H\'=head to head, PF\'=points for, \'PA\'=points against, \'PD\'=points difference, \'SF\'=sets for, \'SA\'=sets against, \'SD\'=set difference, \'BP\'=bonus points, \'PP\'=penalty points.  When comparing teams, a higher value for a parameter results in a higher league position except when comparing \'LOSSES\', \'PA\', \'SA\', and \'PP\' (where a lower value results in a higher league position).  Note that \'H2H\' only considers wins and losses between two teams; this means that, depending on whether draws are allowed or whether teams play each other multiple times, the head to head comparison may not be able to distinguish between two teams","type":"array","items":{"description":"A parameter that defines the league position","type":"string","enum":["PTS","WINS","LOSSES","H2H","PF","PA","PD","SF","SA","SD","BP","PP"]},"minItems":1},"points":{"description":"Properties defining how to calculate the league points based on match results","type":"object","additionalProperties":false,"properties":{"played":{"description":"Number of league points for playing the match.  Note that a forfeit counts as a \\"played\\" match, so if this has a non-zero value and the desire is for a forfeit to yield zero points then the \\"forfeit\\" value should be set to the same as this value","type":"integer","default":0},"perSet":{"description":"Number of league points for each set won","type":"integer","default":0},"win":{"description":"Number of league points for winning (by 2 sets or more if playing sets)","type":"integer","default":3},"winByOne":{"description":"Number of league points for winning by 1 set","type":"integer","default":0},"lose":{"description":"Number of league points for losing (by 2 sets or more if playing sets)","type":"integer","default":0},"loseByOne":{"description":"Number of league points for losing by 1 set","type":"integer","default":0},"forfeit":{"description":"Number of league penalty points for forfeiting a match.  This should be a positive number and will be subtracted from a team\'s league points for each forfeited match","type":"integer","default":0}}}},"required":["ordering","points"]},"matchType":{"description":"Are the matches played in sets or continuous points.  If this has the value \'sets\' then the property \'sets\' must be defined","type":"string","enum":["sets","continuous"]},"sets":{"description":"Configuration defining the nature of a set","type":"object","additionalProperties":false,"properties":{"maxSets":{"description":"The maximum number of sets that could be played, often known as \'best of\', e.g. if this has the value \'5\' then the match is played as \'best of 5 sets\'","type":"integer","default":5,"minimum":1},"setsToWin":{"description":"The number of sets that must be won to win the match.  This is usually one more than half the \'maxSets\', but may be needed if draws are allowed, e.g. if a competition dictates that exactly 2 sets must be played (by setting \'maxSets\' to \'2\') and that draws are allowed, then \'setsToWin\' should still be set to \'2\' to indicate that 2 sets are needed to win the match","type":"integer","default":3,"minimum":1},"clearPoints":{"description":"The number of points lead that the winning team must have, e.g. if this has the value \'2\' then teams must \'win by 2 clear points\'.  Note that if \'maxPoints\' has a value then that takes precedence, i.e. if \'maxPoints\' is set to \'35\' then a team can win \'35-34\' irrespective of the value of \'clearPoints\'","type":"integer","default":2,"minimum":1},"minPoints":{"description":"The minimum number of points that either team must score for a set to count as valid.  Usually only used for time-limited matches","type":"integer","default":1,"minimum":1},"pointsToWin":{"description":"The minimum number of points required to win all but the last set","type":"integer","default":25,"minimum":1},"lastSetPointsToWin":{"description":"The minimum number of points required to win the last set","type":"integer","default":15,"minimum":1},"maxPoints":{"description":"The upper limit of points that can be scored in a set","type":"integer","default":1000,"minimum":1},"lastSetMaxPoints":{"description":"The upper limit of points that can be scored in the last set","type":"integer","default":1000,"minimum":1},"maxSubstitutions":{"description":"The maximum number of substitutions that a team can make in a set, when the match sheet for a match is recorded","type":"integer","default":6,"minimum":0},"maxTimeouts":{"description":"The maximum number of timeouts that a team can take in a set, when the match sheet for a match is recorded","type":"integer","default":2,"minimum":0}}},"drawsAllowed":{"description":"Sets whether drawn matches are allowed","default":false,"type":"boolean"},"matches":{"$ref":"#/$defs/matches"}},"allOf":[{"if":{"properties":{"type":{"const":"league"}},"required":["type"]},"then":{"required":["league"]}},{"if":{"properties":{"type":{"const":"crossover"}},"required":["type"]},"then":{"anyOf":[{"properties":{"drawsAllowed":{"enum":[false]}}},{"not":{"required":["drawsAllowed"]}}]}},{"if":{"properties":{"type":{"const":"knockout"}},"required":["type"]},"then":{"anyOf":[{"properties":{"drawsAllowed":{"enum":[false]}}},{"not":{"required":["drawsAllowed"]}}]}},{"if":{"properties":{"matchType":{"const":"continuous"}},"required":["matchType"]},"then":{"properties":{"matches":{"type":"array","items":{"type":"object","properties":{"homeTeam":{"type":"object","properties":{"scores":{"type":"array","maxItems":1}}},"awayTeam":{"type":"object","properties":{"scores":{"type":"array","maxItems":1}}}}}}},"allOf":[{"not":{"required":["sets"]}}]}},{"if":{"properties":{"matchType":{"const":"continuous"}},"required":["matchType"]},"then":{"allOf":[{"not":{"required":["sets"]}}]}},{"if":{"properties":{"matchType":{"const":"continuous"},"matches":{"type":"array","items":{"type":"object","properties":{"type":{"const":"match"}}}}},"required":["matchType"]},"then":{"properties":{"matches":{"type":"array","items":{"type":"object","required":["complete"]}}}}}],"required":["id","type","matchType","matches"]}},"ifUnknown":{"description":"It can be useful to still present something to the user about the later stages of a competition, even if the teams playing in that stage is not yet known.  This defines what should be presented in any application handling this competition\'s data in such cases","type":"object","additionalProperties":false,"properties":{"description":{"description":"An array of string values to be presented in the case that the teams in this stage are not yet known, typically as an explanation of what this stage will contain (e.g. \'The crossover games will be between the top two teams in each pool\')","type":"array","items":{"description":"A part of the description of this stage","type":"string","minLength":1}},"matches":{"$ref":"#/$defs/matches"}},"required":["description"]}},"required":["id","groups"]}}},"required":["name","teams","stages"],"$defs":{"team":{"description":"A team playing in the match","type":"object","additionalProperties":false,"properties":{"id":{"description":"The identifier for the team.  This can either be a team ID or a team reference (see the documentation)","type":"string","minLength":1,"maxLength":1000},"scores":{"description":"The array of set scores.  If the matchType is \'continuous\' then only the first value in the array is used","type":"array","items":{"description":"The set score","type":"integer","minimum":0}},"mvp":{"description":"This team\'s most valuable player award.  This can either be a name or a reference to a player ID.  A reference takes the form {PLAYER_ID}","type":"string","minLength":1},"forfeit":{"description":"Did this team forfeit the match","type":"boolean","default":false},"bonusPoints":{"description":"Does this team get any bonus points in the league.  This is separate from any league points calculated from the match result, and is added to their league points","type":"integer","default":0,"minimum":0},"penaltyPoints":{"description":"Does this team receive any penalty points in the league.  This is separate from any league points calculated from the match result, and is subtracted from their league points","type":"integer","default":0,"minimum":0},"notes":{"description":"Free form string to add notes about the team relating to this match.  This can be used for arbitrary content that various implementations can use","type":"string","minLength":1},"players":{"description":"The list of players from this team that played in this match.  This can be either a player\'s name or a reference to a player ID","type":"array","items":{"description":"Either the name of the player or a reference to a player ID.  A reference takes the form {PLAYER_ID}.  Not all entries need to be references, meaning that the document can allow a mix of registered players with a player ID, and unregistered players indicated just by name","type":"string","minLength":1}},"matchSheet":{"$ref":"#/$defs/matchSheet","description":"The match sheet for this team in a match with a matchType of \\"sets\\""},"sanctions":{"description":"The sanctions given to this team, its players and its team officials in this match","type":"array","items":{"$ref":"#/$defs/sanction"}}},"required":["id","scores"]},"matchSheet":{"description":"The record of a team\'s starting line-ups, substitutions, libero replacements and timeouts in each set of a match.  Every player must be a reference to a player ID, and the players must be registered to the team","type":"object","additionalProperties":false,"properties":{"sets":{"description":"The match sheet for each set that has been started, in the order they were played","type":"array","items":{"type":"object","additionalProperties":false,"properties":{"lineup":{"description":"The players in the starting line-up for the set","type":"array","items":{"$ref":"#/$defs/matchSheetPlayer"}},"substitutions":{"description":"The substitutions made in the set, in the order they were made.  The number of substitutions must not be more than the group\'s \'maxSubstitutions\'","type":"array","items":{"type":"object","additionalProperties":false,"properties":{"playerOut":{"$ref":"#/$defs/matchSheetPlayer","description":"The player leaving the court"},"playerIn":{"$ref":"#/$defs/matchSheetPlayer","description":"The player coming on to the court"},"score":{"$ref":"#/$defs/matchSheetScore"}},"required":["playerOut","playerIn","score"]}},"liberoReplacements":{"description":"The libero replacements made in the set, in the order they were made.  These do not count as substitutions","type":"array","items":{"type":"object","additionalProperties":false,"properties":{"libero":{"$ref":"#/$defs/matchSheetPlayer","description":"The libero"},"player":{"$ref":"#/$defs/matchSheetPlayer","description":"The player that the libero replaced"},"score":{"$ref":"#/$defs/matchSheetScore"}},"required":["libero","player","score"]}},"timeouts":{"description":"The timeouts taken in the set, in the order they were taken.  The number of timeouts must not be more than the group\'s \'maxTimeouts\'","type":"array","items":{"type":"object","additionalProperties":false,"properties":{"score":{"$ref":"#/$defs/matchSheetScore"}},"required":["score"]}}},"required":["lineup","substitutions","liberoReplacements","timeouts"]}}},"required":["sets"]},"sanction":{"description":"A sanction given to a team, or to one of its players or team officials.  When neither \'player\' nor \'official\' is given, the sanction is against the whole team","type":"object","additionalProperties":false,"properties":{"type":{"description":"The type of sanction","type":"string","enum":["warning","penalty","expulsion","disqualification"]},"player":{"description":"The player that the sanction was given to.  This can either be a name or a reference to a player ID.  A reference takes the form {PLAYER_ID}","type":"string","minLength":1},"official":{"description":"The name of the team official that the sanction was given to","type":"string","minLength":1},"set":{"description":"The set that the sanction was given in, counting from 1","type":"integer","minimum":1},"score":{"$ref":"#/$defs/matchSheetScore","description":"The score when the sanction was given, as this team\'s score followed by the opposing team\'s score"},"notes":{"description":"Free form notes about the sanction","type":"string","minLength":1}},"required":["type"],"not":{"required":["player","official"]}},"matchSheetPlayer":{"description":"A reference to a player ID, taking the form {PLAYER_ID}","type":"string","pattern":"^\\\\{[^}]+\\\\}$"},"matchSheetScore":{"description":"The score in the set when this happened, as this team\'s score followed by the opposing team\'s score","type":"array","items":{"type":"integer","minimum":0},"minItems":2,"maxItems":2},"matches":{"description":"An array of matches (or breaks in play) in this group.  Note that a team ID and each unique team references can ony appear in one group, i.e. a team cannot play in multiple groups in a stage; if they did then those two groups would technically be the same group","type":"array","items":{"oneOf":[{"description":"A match between two teams","type":"object","additionalProperties":false,"properties":{"id":{"description":"An identifier for this match, i.e. a match number.  It must contain only ASCII printable characters excluding \\" : { } ? =","type":"string","minLength":1,"maxLength":100,"pattern":"^((?![\\":{}?=])[\\\\x20-\\\\x7F])+$"},"court":{"description":"The court that a match takes place on","type":"string","minLength":1,"maxLength":1000},"venue":{"description":"The venue that a match takes place at","type":"string","minLength":1,"maxLength":10000},"type":{"description":"The type of match, i.e. \'match\'","type":"string","enum":["match"]},"date":{"description":"The date of the match in the format YYYY-MM-DD","type":"string","format":"date"},"warmup":{"description":"The start time for the warmup in the format HH:mm using a 24 hour clock","type":"string","pattern":"^([0-1][0-9]|2[0-3]):[0-5][0-9]$"},"start":{"description":"The start time for the match in the format HH:mm using a 24 hour clock","type":"string","pattern":"^([0-1][0-9]|2[0-3]):[0-5][0-9]$"},"duration":{"description":"The maximum duration of the match in the format HH:mm","type":"string","pattern":"^[0-9]+:[0-5][0-9]$"},"complete":{"description":"Whether the match is complete.  This must be set when a match has a \\"duration\\" or when the matchType is \\"continuous\\".  What about a \\"continuous\\" match with no \\"duration\\" and a target score?  This can be represented by a \\"sets\\" match with \\"maxSets\\" = 1","type":"boolean"},"homeTeam":{"$ref":"#/$defs/team","description":"The \'home\' team for the match"},"awayTeam":{"$ref":"#/$defs/team","description":"The \'away\' team for the match"},"rallies":{"description":"The point-by-point record of a match with a matchType of \\"sets\\", for live scoring.  When this is present, the set scores for the teams must be the scores given by these rallies","type":"object","additionalProperties":false,"properties":{"firstServer":{"description":"The team that served first in the first set.  The first serve of each set alternates between the teams","type":"string","enum":["home","away"]},"points":{"description":"The team that won each rally, in the order they were played","type":"array","items":{"type":"string","enum":["home","away"]}}},"required":["firstServer","points"]},"officials":{"oneOf":[{"description":"The officials for this match","type":"object","additionalProperties":false,"properties":{"team":{"description":"The team assigned to referee the match.  This can either be a team ID or a team reference","type":"string","minLength":1,"maxLength":1000}},"required":["team"]},{"description":"The officials for this match","type":"object","additionalProperties":false,"properties":{"first":{"description":"The first referee","type":"string","minLength":1},"second":{"description":"The second referee","type":"string","minLength":1},"challenge":{"description":"The challenge referee, responsible for resolving challenges from the teams","type":"string","minLength":1},"assistantChallenge":{"description":"The assistant challenge referee, who assists the challenge referee","type":"string","minLength":1},"reserve":{"description":"The reserve referee","type":"string","minLength":1},"scorer":{"description":"The scorer","type":"string","minLength":1},"assistantScorer":{"description":"The assistant scorer","type":"string","minLength":1},"linespersons":{"description":"The list of linespersons","type":"array","maxItems":4,"items":{"description":"A linesperson","type":"string","minLength":1}},"ballCrew":{"description":"The list of people in charge of managing the game balls","type":"array","maxItems":100,"items":{"description":"A ball person","type":"string","minLength":1}}},"required":["first"]}]},"mvp":{"description":"A most valuable player award for the match. This can either be a name or a reference to a player ID.  A reference takes the form {PLAYER_ID}","type":"string","minLength":1,"maxLength":203},"manager":{"oneOf":[{"description":"The court manager in charge of this match","type":"string","minLength":1,"maxLength":1000},{"description":"The court managers for this match","type":"object","additionalProperties":false,"properties":{"team":{"description":"The team assigned to manage the match.  This can either be a team ID or a team reference","type":"string","minLength":1,"maxLength":1000}},"required":["team"]}]},"friendly":{"description":"Whether the match is a friendly.  These matches do not contribute toward a league position.  If a team only participates in friendly matches then they are not included in the league table at all","type":"boolean","default":false},"notes":{"description":"Free form string to add notes about a match","type":"string","minLength":1}},"dependencies":{"duration":["complete"]},"required":["id","type","homeTeam","awayTeam"]},{"description":"A break in play, possibly while other matches are going on in other competitions running in parallel","type":"object","additionalProperties":false,"properties":{"type":{"description":"The type of match, i.e. \'break\'","type":"string","enum":["break"]},"start":{"description":"The start time for the break in the format HH:mm using a 24 hour clock","type":"string","pattern":"^([0-1][0-9]|2[0-3]):[0-5][0-9]$"},"date":{"description":"The date of the break in the format YYYY-MM-DD","type":"string","format":"date"},"duration":{"description":"The duration of the break","type":"string","pattern":"^[0-9]+:[0-5][0-9]$"},"name":{"description":"The name for the break, e.g. \'Lunch break\'","default":"Break","type":"string","minLength":1,"maxLength":1000}},"required":["type"]}]}}}}');var a=t.f;
+
+class CompetitionChangeType {
+  static COMPETITION_CHANGED = 'competitionChanged'
+  static METADATA_ADDED = 'metadataAdded'
+  static METADATA_REMOVED = 'metadataRemoved'
+  static METADATA_CHANGED = 'metadataChanged'
+  static CLUB_ADDED = 'clubAdded'
+  static CLUB_REMOVED = 'clubRemoved'
+  static CLUB_CHANGED = 'clubChanged'
+  static TEAM_ADDED = 'teamAdded'
+  static TEAM_REMOVED = 'teamRemoved'
+  static TEAM_RENAMED = 'teamRenamed'
+  static TEAM_CHANGED = 'teamChanged'
+  static PLAYER_ADDED = 'playerAdded'
+  static PLAYER_REMOVED = 'playerRemoved'
+  static PLAYER_MOVED_TEAM = 'playerMovedTeam'
+  static PLAYER_CHANGED = 'playerChanged'
+  static STAGE_ADDED = 'stageAdded'
+  static STAGE_REMOVED = 'stageRemoved'
+  static STAGE_CHANGED = 'stageChanged'
+  static GROUP_ADDED = 'groupAdded'
+  static GROUP_REMOVED = 'groupRemoved'
+  static GROUP_CHANGED = 'groupChanged'
+  static MATCH_ADDED = 'matchAdded'
+  static MATCH_REMOVED = 'matchRemoved'
+  static MATCH_SCORE_CHANGED = 'matchScoreChanged'
+  static MATCH_RESCHEDULED = 'matchRescheduled'
+  static MATCH_OFFICIALS_CHANGED = 'matchOfficialsChanged'
+  static MATCH_CHANGED = 'matchChanged'
+}
 
-class ContactRole {
-  static TREASURER = 'treasurer'
-  static SECRETARY = 'secretary'
-  static MANAGER = 'manager'
-  static CAPTAIN = 'captain'
-  static COACH = 'coach'
-  static ASSISTANT_COACH = 'assistantCoach'
-  static MEDIC = 'medic'
+/**
+ * Get the value of a field in some competition data, where a field in a nested object is named as "key.subKey"
+ *
+ * @param {object} data The data to get the field from
+ * @param {string} field The name of the field
+ * @returns {any} The value of the field, or null if the field is not set
+ */
+function getField (data, field) {
+  return field.split('.').reduce((object, key) => object[key], data) ?? null
 }
 
 /**
- * A single contact for a team
+ * Set the value of a field in some competition data, where a field in a nested object is named as "key.subKey"
+ *
+ * @param {object} data The data to set the field in
+ * @param {string} field The name of the field
+ * @param {any} value The new value of the field, or null to remove the field
  */
-class Contact {
-  /**
-   * A unique ID for this contact, e.g. 'TM1Contact1'. This must be unique within the team
-   * @type {string}
-   * @private
-   */
-  #id
+function setField (data, field, value) {
+  const keys = field.split('.');
+  const lastKey = keys.pop();
+  const object = keys.reduce((object, key) => object[key], data);
+  if (value === null) {
+    delete object[lastKey];
+  } else {
+    object[lastKey] = structuredClone(value);
+  }
+}
+
+/**
+ * Get the names of the fields set in either of two versions of some competition data
+ *
+ * @param {object} before The data before the change
+ * @param {object} after The data after the change
+ * @param {Array<string>} excluded The fields to leave out
+ * @param {Array<string>} nested The fields holding nested objects, whose own fields are named instead as "key.subKey"
+ * @returns {Array<string>} The names of the fields
+ */
+function fieldNames (before, after, excluded, nested = []) {
+  const names = new Set();
+  for (const data of [before, after]) {
+    Object.keys(data).forEach(key => {
+      if (nested.includes(key)) {
+        Object.keys(data[key]).forEach(subKey => names.add(`${key}.${subKey}`));
+      } else if (!excluded.includes(key)) {
+        names.add(key);
+      }
+    });
+  }
+  return [...names]
+}
+
+/**
+ * Compare fields in two versions of some competition data
+ *
+ * @param {object} before The data before the change
+ * @param {object} after The data after the change
+ * @param {Array<string>} fields The fields to compare
+ * @returns {{before: object, after: object}|null} The values of the fields that differ, before and after the change and keyed by field name,
+ *                                                 or null if none of the fields differ
+ */
+function compareFields (before, after, fields) {
+  const changed = { before: {}, after: {} };
+  fields.forEach(field => {
+    if (JSON.stringify(getField(before, field)) !== JSON.stringify(getField(after, field))) {
+      changed.before[field] = getField(before, field);
+      changed.after[field] = getField(after, field);
+    }
+  });
+  return Object.keys(changed.after).length > 0 ? changed : null
+}
+
+/**
+ * Match up the items in two versions of a list by their IDs
+ *
+ * @param {Array<object>} before The list before the change
+ * @param {Array<object>} after The list after the change
+ * @param {string} idKey The name of the field holding each item's ID
+ * @returns {{removed: Array<object>, added: Array<{item: object, index: number}>, common: Array<Array<object>>}} The items only in the
+ *          list before the change, the items only in the list after the change with their position in that list, and the pairs of
+ *          items in both lists
+ */
+function matchByID (before, after, idKey) {
+  const afterIDs = after.map(item => item[idKey]);
+  const beforeIDs = before.map(item => item[idKey]);
+  return {
+    removed: before.filter(item => !afterIDs.includes(item[idKey])),
+    added: after.map((item, index) => ({ item, index })).filter(({ item }) => !beforeIDs.includes(item[idKey])),
+    common: before.filter(item => afterIDs.includes(item[idKey])).map(item => [item, after[afterIDs.indexOf(item[idKey])]])
+  }
+}
+
+/**
+ * Describe a value in a change description
+ *
+ * @param {any} value The value
+ * @returns {string} The description of the value
+ */
+function describeValue (value) {
+  return value === null ? 'none' : JSON.stringify(value)
+}
+
+/**
+ * Describe the fields that changed, giving the old and new values where they are simple values
+ *
+ * @param {{before: object, after: object}} changed The values of the fields that changed
+ * @returns {string} The description of the changes
+ */
+function describeFields (changed) {
+  const isSimple = value => value === null || typeof value !== 'object';
+  return Object.keys(changed.after).map(field => {
+    if (isSimple(changed.before[field]) && isSimple(changed.after[field])) {
+      return `${field} from ${describeValue(changed.before[field])} to ${describeValue(changed.after[field])}`
+    }
+    return `${field} changed`
+  }).join(', ')
+}
+
+/**
+ * Describe a match's scores
+ *
+ * @param {object} match The match data
+ * @returns {string} The description of the scores
+ */
+function describeScores (match) {
+  if (match.homeTeam.scores.length === 0) {
+    return 'no score'
+  }
+  return match.homeTeam.scores.map((score, i) => `${score}-${match.awayTeam.scores[i]}`).join(', ')
+}
+
+/**
+ * Describe a match's officials
+ *
+ * @param {object|null} officials The officials data
+ * @returns {string} The description of the officials
+ */
+function describeOfficials (officials) {
+  if (officials === null) {
+    return 'none'
+  }
+  if (Object.hasOwn(officials, 'team')) {
+    return `team ${officials.team}`
+  }
+  return Object.hasOwn(officials, 'second') ? `${officials.first} and ${officials.second}` : officials.first
+}
 
+/**
+ * Find an item in a list in some competition data, when applying a change
+ *
+ * @param {Array<object>} list The list to search
+ * @param {string} id The ID of the item
+ * @param {string} label A description of the item for the error message
+ * @returns {object} The item
+ * @throws {Error} If the item is not in the list
+ */
+function findItem (list, id, label) {
+  const item = list.find(item => item.id === id);
+  if (item === undefined) {
+    throw new Error(`Cannot apply change: ${label} not found`)
+  }
+  return item
+}
+
+/**
+ * The differences between two versions of a competition, as a list of change records.  Each record has the form:
+ * <ul>
+ *   <li>type - the type of change, one of the CompetitionChangeType values</li>
+ *   <li>target - the IDs identifying what changed: {} for the competition itself, {key} for metadata, {club}, {team}, {player},
+ *       {stage}, {stage, group} or {stage, group, match}</li>
+ *   <li>before - the data before the change, or null when something was added</li>
+ *   <li>after - the data after the change, or null when something was removed</li>
+ *   <li>index - only when something was added, its position in the list it was added to</li>
+ *   <li>description - a human-readable description of the change</li>
+ * </ul>
+ *
+ * When something is added or removed, "before" or "after" is its full serialized data.  For any other change they are objects holding
+ * just the fields that changed, keyed by field name, where a field in a match team is named e.g. "homeTeam.scores" and a field that is
+ * not set has the value null.  A match's teams, scores and completeness are reported as a score change, its court, venue, date, warmup,
+ * start and duration as a rescheduling, and a player's team entries as the player moving team.
+ *
+ * The descriptions make a changelog, and the records themselves are a patch that can be applied to a competition.  Breaks between matches
+ * and changes to the order of items in a list are not compared.
+ */
+class CompetitionDiff {
   /**
-   * The name of this contact
-   * @type {string|null}
+   * The fields of a match that are reported as a score change
+   * @type {Array<string>}
    * @private
    */
-  #name = null
+  static #MATCH_SCORE_FIELDS = ['complete', 'homeTeam.id', 'homeTeam.scores', 'awayTeam.id', 'awayTeam.scores']
 
   /**
-   * The roles of this contact within the team
-   * @type {array}
+   * The fields of a match that are reported as a rescheduling
+   * @type {Array<string>}
    * @private
    */
-  #roles
+  static #MATCH_SCHEDULE_FIELDS = ['court', 'venue', 'date', 'warmup', 'start', 'duration']
 
   /**
-   * The email addresses for this contact
-   * @type {array}
+   * The change types that add something
+   * @type {Array<string>}
    * @private
    */
-  #emails
+  static #ADDED_TYPES = [
+    CompetitionChangeType.METADATA_ADDED,
+    CompetitionChangeType.CLUB_ADDED,
+    CompetitionChangeType.TEAM_ADDED,
+    CompetitionChangeType.PLAYER_ADDED,
+    CompetitionChangeType.STAGE_ADDED,
+    CompetitionChangeType.GROUP_ADDED,
+    CompetitionChangeType.MATCH_ADDED
+  ]
 
   /**
-   * A telephone number for this contact. If a contact has multiple phone numbers then add them as another contact
-   * @type {array}
+   * The change types that remove something
+   * @type {Array<string>}
    * @private
    */
-  #phones
+  static #REMOVED_TYPES = [
+    CompetitionChangeType.METADATA_REMOVED,
+    CompetitionChangeType.CLUB_REMOVED,
+    CompetitionChangeType.TEAM_REMOVED,
+    CompetitionChangeType.PLAYER_REMOVED,
+    CompetitionChangeType.STAGE_REMOVED,
+    CompetitionChangeType.GROUP_REMOVED,
+    CompetitionChangeType.MATCH_REMOVED
+  ]
 
   /**
-   * The team this contact belongs to
-   * @type {CompetitionTeam}
+   * The changes from the first competition to the second
+   * @type {Array<object>}
    * @private
    */
-  #team
+  #changes
 
   /**
-   * Defines a Team Contact
-   * @param {CompetitionTeam} team The team this contact belongs to
-   * @param {string} id The unique ID for this contact
-   * @param {Array<string>} roles The roles of this contact within the team
+   * Compares two versions of a competition
+   *
+   * @param {Competition} before The competition before the changes
+   * @param {Competition} after The competition after the changes
    */
-  constructor (team, id, roles) {
-    if (id.length > 100 || id.length < 1) {
-      throw new Error('Invalid contact ID: must be between 1 and 100 characters long')
-    }
+  constructor (before, after) {
+    this.#changes = [];
 
-    if (!/^((?![":{}?=])[\x20-\x7F])+$/.test(id)) {
-      throw new Error('Invalid contact ID: must contain only ASCII printable characters excluding " : { } ? =')
-    }
+    const beforeData = before.serialize();
+    const afterData = after.serialize();
 
-    if (team.hasContact(id)) {
-      throw new Error(`Contact with ID "${id}" already exists in the team`)
+    const competitionChange = compareFields(beforeData, afterData, ['name', 'notes']);
+    if (competitionChange !== null) {
+      this.#record(CompetitionChangeType.COMPETITION_CHANGED, {}, competitionChange, `Competition changed: ${describeFields(competitionChange)}`);
     }
 
-    this.#team = team;
-    this.#id = id;
-    this.#roles = [];
-    roles.forEach(role => {
-      switch (role) {
-        case ContactRole.TREASURER:
-          this.addRole(ContactRole.TREASURER);
-          break
-        case ContactRole.SECRETARY:
-          this.addRole(ContactRole.SECRETARY);
-          break
-        case ContactRole.MANAGER:
-          this.addRole(ContactRole.MANAGER);
-          break
-        case ContactRole.CAPTAIN:
-          this.addRole(ContactRole.CAPTAIN);
-          break
-        case ContactRole.COACH:
-          this.addRole(ContactRole.COACH);
-          break
-        case ContactRole.ASSISTANT_COACH:
-          this.addRole(ContactRole.ASSISTANT_COACH);
-          break
-        case ContactRole.MEDIC:
-          this.addRole(ContactRole.MEDIC);
-          break
+    this.#compareLists(beforeData.metadata ?? [], afterData.metadata ?? [], {
+      idKey: 'key',
+      types: [CompetitionChangeType.METADATA_ADDED, CompetitionChangeType.METADATA_REMOVED],
+      target: kv => ({ key: kv.key }),
+      label: kv => `Metadata "${kv.key}"`,
+      compare: (before, after, target, label) => {
+        const changed = compareFields(before, after, ['value']);
+        if (changed !== null) {
+          this.#record(CompetitionChangeType.METADATA_CHANGED, target, changed, `${label} changed from ${describeValue(changed.before.value)} to ${describeValue(changed.after.value)}`);
+        }
+      }
+    });
+
+    this.#compareLists(beforeData.clubs ?? [], afterData.clubs ?? [], {
+      types: [CompetitionChangeType.CLUB_ADDED, CompetitionChangeType.CLUB_REMOVED],
+      target: club => ({ club: club.id }),
+      label: club => `Club "${club.name}" (${club.id})`,
+      compare: (before, after, target, label) => {
+        this.#recordFields(CompetitionChangeType.CLUB_CHANGED, target, before, after, fieldNames(before, after, ['id']), label);
+      }
+    });
+
+    this.#compareLists(beforeData.teams, afterData.teams, {
+      types: [CompetitionChangeType.TEAM_ADDED, CompetitionChangeType.TEAM_REMOVED],
+      target: team => ({ team: team.id }),
+      label: team => `Team "${team.name}" (${team.id})`,
+      compare: (before, after, target, label) => {
+        const renamed = compareFields(before, after, ['name']);
+        if (renamed !== null) {
+          this.#record(CompetitionChangeType.TEAM_RENAMED, target, renamed, `Team ${before.id} renamed from "${before.name}" to "${after.name}"`);
+        }
+        this.#recordFields(CompetitionChangeType.TEAM_CHANGED, target, before, after, fieldNames(before, after, ['id', 'name']), label);
+      }
+    });
+
+    this.#compareLists(beforeData.players ?? [], afterData.players ?? [], {
+      types: [CompetitionChangeType.PLAYER_ADDED, CompetitionChangeType.PLAYER_REMOVED],
+      target: player => ({ player: player.id }),
+      label: player => `Player "${player.name}" (${player.id})`,
+      compare: (before, after, target, label) => {
+        const moved = compareFields(before, after, ['teams']);
+        if (moved !== null) {
+          const teamIDs = player => (player.teams ?? []).map(entry => entry.id).join(', ') || 'no team';
+          const description = teamIDs(before) === teamIDs(after)
+            ? `${label} team entries changed`
+            : `${label} moved from ${teamIDs(before)} to ${teamIDs(after)}`;
+          this.#record(CompetitionChangeType.PLAYER_MOVED_TEAM, target, moved, description);
+        }
+        this.#recordFields(CompetitionChangeType.PLAYER_CHANGED, target, before, after, fieldNames(before, after, ['id', 'teams']), label);
+      }
+    });
+
+    this.#compareLists(beforeData.stages, afterData.stages, {
+      types: [CompetitionChangeType.STAGE_ADDED, CompetitionChangeType.STAGE_REMOVED],
+      target: stage => ({ stage: stage.id }),
+      label: stage => `Stage ${stage.id}`,
+      compare: (before, after, target, label) => {
+        this.#recordFields(CompetitionChangeType.STAGE_CHANGED, target, before, after, fieldNames(before, after, ['id', 'groups']), label);
+        this.#compareGroups(before, after);
+      }
+    });
+  }
+
+  /**
+   * Get the changes from the first competition to the second
+   *
+   * @returns {Array<{type: string, target: object, before: object|null, after: object|null, index: number, description: string}>} The changes
+   */
+  getChanges () {
+    return this.#changes
+  }
+
+  /**
+   * Get a human-readable changelog, with one line describing each change
+   *
+   * @returns {string} The changelog
+   */
+  toChangelog () {
+    return this.#changes.map(change => change.description).join('\n')
+  }
+
+  /**
+   * Apply changes to a competition, returning a new competition with the changes made.  The changes are typically those from
+   * CompetitionDiff.getChanges(), possibly from comparing other versions of the same competition.  A change to a field only applies when
+   * the field still has the value it had before the change
+   *
+   * @param {Competition} competition The competition to apply the changes to, which is not modified
+   * @param {Array<object>} changes The changes to apply
+   * @returns {Promise<Competition>} The competition with the changes applied, rejecting with an Error if a change cannot be applied or a
+   *                                 CompetitionValidationError if the result is not a valid competition
+   */
+  static async apply (competition, changes) {
+    const data = structuredClone(competition.serialize());
+    changes.forEach(change => CompetitionDiff.#applyChange(data, change));
+    for (const key of ['metadata', 'clubs', 'players']) {
+      if (Array.isArray(data[key]) && data[key].length === 0) {
+        delete data[key];
+      }
+    }
+    return Competition$1.loadFromCompetitionJSON(JSON.stringify(data))
+  }
+
+  /**
+   * Compare the groups in two versions of a stage
+   *
+   * @param {object} beforeStage The stage data before the change
+   * @param {object} afterStage The stage data after the change
+   * @private
+   */
+  #compareGroups (beforeStage, afterStage) {
+    this.#compareLists(beforeStage.groups, afterStage.groups, {
+      types: [CompetitionChangeType.GROUP_ADDED, CompetitionChangeType.GROUP_REMOVED],
+      target: group => ({ stage: beforeStage.id, group: group.id }),
+      label: group => `Group {${beforeStage.id}:${group.id}}`,
+      compare: (before, after, target, label) => {
+        this.#recordFields(CompetitionChangeType.GROUP_CHANGED, target, before, after, fieldNames(before, after, ['id', 'matches']), label);
+        this.#compareMatches(beforeStage.id, before, after);
+      }
+    });
+  }
+
+  /**
+   * Compare the matches in two versions of a group
+   *
+   * @param {string} stageID The ID of the stage the group is in
+   * @param {object} beforeGroup The group data before the change
+   * @param {object} afterGroup The group data after the change
+   * @private
+   */
+  #compareMatches (stageID, beforeGroup, afterGroup) {
+    const isMatch = item => item.type === 'match';
+    this.#compareLists(beforeGroup.matches.filter(isMatch), afterGroup.matches.filter(isMatch), {
+      types: [CompetitionChangeType.MATCH_ADDED, CompetitionChangeType.MATCH_REMOVED],
+      target: match => ({ stage: stageID, group: beforeGroup.id, match: match.id }),
+      label: match => `Match {${stageID}:${beforeGroup.id}:${match.id}}`,
+      indexOf: match => afterGroup.matches.indexOf(match),
+      compare: (before, after, target, label) => {
+        const fields = fieldNames(before, after, ['id'], ['homeTeam', 'awayTeam']);
+
+        const scoreChange = compareFields(before, after, fields.filter(field => CompetitionDiff.#MATCH_SCORE_FIELDS.includes(field)));
+        if (scoreChange !== null) {
+          const description = describeScores(before) === describeScores(after)
+            ? `${label} result changed: ${describeFields(scoreChange)}`
+            : `${label} score changed from ${describeScores(before)} to ${describeScores(after)}`;
+          this.#record(CompetitionChangeType.MATCH_SCORE_CHANGED, target, scoreChange, description);
+        }
+
+        const scheduleChange = compareFields(before, after, fields.filter(field => CompetitionDiff.#MATCH_SCHEDULE_FIELDS.includes(field)));
+        if (scheduleChange !== null) {
+          this.#record(CompetitionChangeType.MATCH_RESCHEDULED, target, scheduleChange, `${label} rescheduled: ${describeFields(scheduleChange)}`);
+        }
+
+        const officialsChange = compareFields(before, after, ['officials']);
+        if (officialsChange !== null) {
+          this.#record(CompetitionChangeType.MATCH_OFFICIALS_CHANGED, target, officialsChange,
+            `${label} officials changed from ${describeOfficials(officialsChange.before.officials)} to ${describeOfficials(officialsChange.after.officials)}`);
+        }
+
+        const otherFields = fields.filter(field => ![...CompetitionDiff.#MATCH_SCORE_FIELDS, ...CompetitionDiff.#MATCH_SCHEDULE_FIELDS, 'officials'].includes(field));
+        this.#recordFields(CompetitionChangeType.MATCH_CHANGED, target, before, after, otherFields, label);
+      }
+    });
+  }
+
+  /**
+   * Compare two versions of a list, recording the items removed and added and comparing the items in both
+   *
+   * @param {Array<object>} before The list before the change
+   * @param {Array<object>} after The list after the change
+   * @param {object} options How to compare the list
+   * @param {string} [options.idKey] The name of the field holding each item's ID (default 'id')
+   * @param {Array<string>} options.types The change types for an item being added and an item being removed
+   * @param {function(object): object} options.target Get the target of a change to an item
+   * @param {function(object): string} options.label Get the label for an item in a change description
+   * @param {function(object): number} [options.indexOf] Get the position of an added item, when it is not its position in the list
+   * @param {function(object, object, object, string): void} options.compare Compare an item in both lists, given the item before and
+   *                                                                         after the change, the target and the label
+   * @private
+   */
+  #compareLists (before, after, options) {
+    const { removed, added, common } = matchByID(before, after, options.idKey ?? 'id');
+    removed.forEach(item => {
+      this.#changes.push({ type: options.types[1], target: options.target(item), before: item, after: null, description: `${options.label(item)} removed` });
+    });
+    added.forEach(({ item, index }) => {
+      this.#changes.push({
+        type: options.types[0],
+        target: options.target(item),
+        before: null,
+        after: item,
+        index: options.indexOf === undefined ? index : options.indexOf(item),
+        description: `${options.label(item)} added`
+      });
+    });
+    common.forEach(([beforeItem, afterItem]) => {
+      options.compare(beforeItem, afterItem, options.target(afterItem), options.label(afterItem));
+    });
+  }
+
+  /**
+   * Record a change
+   *
+   * @param {string} type The type of change
+   * @param {object} target The IDs identifying what changed
+   * @param {{before: object, after: object}} changed The values of the fields that changed
+   * @param {string} description The description of the change
+   * @private
+   */
+  #record (type, target, changed, description) {
+    this.#changes.push({ type, target, before: changed.before, after: changed.after, description });
+  }
+
+  /**
+   * Record a change to some fields, if any of them changed, with a description listing the fields
+   *
+   * @param {string} type The type of change
+   * @param {object} target The IDs identifying what changed
+   * @param {object} before The data before the change
+   * @param {object} after The data after the change
+   * @param {Array<string>} fields The fields to compare
+   * @param {string} label The label for what changed
+   * @private
+   */
+  #recordFields (type, target, before, after, fields, label) {
+    const changed = compareFields(before, after, fields);
+    if (changed !== null) {
+      this.#record(type, target, changed, `${label} changed: ${describeFields(changed)}`);
+    }
+  }
+
+  /**
+   * Apply a change to some competition data
+   *
+   * @param {object} data The competition data, which is modified
+   * @param {object} change The change to apply
+   * @throws {Error} If the change cannot be applied
+   * @private
+   */
+  static #applyChange (data, change) {
+    const target = change.target;
+    let list = null;
+    let idKey = 'id';
+    let id = null;
+    let label = 'competition';
+
+    if (Object.hasOwn(target, 'key')) {
+      data.metadata = data.metadata ?? [];
+      list = data.metadata;
+      idKey = 'key';
+      id = target.key;
+      label = `metadata "${id}"`;
+    } else if (Object.hasOwn(target, 'club')) {
+      data.clubs = data.clubs ?? [];
+      list = data.clubs;
+      id = target.club;
+      label = `club ${id}`;
+    } else if (Object.hasOwn(target, 'team')) {
+      list = data.teams;
+      id = target.team;
+      label = `team ${id}`;
+    } else if (Object.hasOwn(target, 'player')) {
+      data.players = data.players ?? [];
+      list = data.players;
+      id = target.player;
+      label = `player ${id}`;
+    } else if (Object.hasOwn(target, 'match')) {
+      const stage = findItem(data.stages, target.stage, `stage ${target.stage}`);
+      list = findItem(stage.groups, target.group, `group {${target.stage}:${target.group}}`).matches;
+      id = target.match;
+      label = `match {${target.stage}:${target.group}:${id}}`;
+    } else if (Object.hasOwn(target, 'group')) {
+      list = findItem(data.stages, target.stage, `stage ${target.stage}`).groups;
+      id = target.group;
+      label = `group {${target.stage}:${id}}`;
+    } else if (Object.hasOwn(target, 'stage')) {
+      list = data.stages;
+      id = target.stage;
+      label = `stage ${id}`;
+    }
+
+    if (list === null) {
+      CompetitionDiff.#applyFields(data, change, label);
+      return
+    }
+
+    const index = list.findIndex(item => item[idKey] === id);
+    if (CompetitionDiff.#ADDED_TYPES.includes(change.type)) {
+      if (index !== -1) {
+        throw new Error(`Cannot apply change: ${label} already exists`)
+      }
+      list.splice(Math.min(change.index, list.length), 0, structuredClone(change.after));
+    } else if (index === -1) {
+      throw new Error(`Cannot apply change: ${label} not found`)
+    } else if (CompetitionDiff.#REMOVED_TYPES.includes(change.type)) {
+      list.splice(index, 1);
+    } else {
+      CompetitionDiff.#applyFields(list[index], change, label);
+    }
+  }
+
+  /**
+   * Apply a change to the fields of an item in some competition data, checking that each field still has its value from before the change
+   *
+   * @param {object} item The item data, which is modified
+   * @param {object} change The change to apply
+   * @param {string} label The label for the item in an error message
+   * @throws {Error} If a field does not have its value from before the change
+   * @private
+   */
+  static #applyFields (item, change, label) {
+    Object.keys(change.after).forEach(field => {
+      if (JSON.stringify(getField(item, field)) !== JSON.stringify(change.before[field])) {
+        throw new Error(`Cannot apply change: ${label} has ${field} ${describeValue(getField(item, field))}, expected ${describeValue(change.before[field])}`)
       }
+      setField(item, field, change.after[field]);
     });
+  }
+}
+
+class CompetitionEventType {
+  static MATCH_SCORE_CHANGED = 'matchScoreChanged'
+  static MATCH_COMPLETED = 'matchCompleted'
+  static GROUP_COMPLETED = 'groupCompleted'
+  static STAGE_COMPLETED = 'stageCompleted'
+  static LEAGUE_TABLE_UPDATED = 'leagueTableUpdated'
+  static TEAM_RESOLVED = 'teamResolved'
+  static TEAM_RENAMED = 'teamRenamed'
+}
+
+class ContactRole {
+  static TREASURER = 'treasurer'
+  static SECRETARY = 'secretary'
+  static MANAGER = 'manager'
+  static CAPTAIN = 'captain'
+  static COACH = 'coach'
+  static ASSISTANT_COACH = 'assistantCoach'
+  static MEDIC = 'medic'
+}
+
+/**
+ * A single contact for a team
+ */
+class Contact {
+  /**
+   * A unique ID for this contact, e.g. 'TM1Contact1'. This must be unique within the team
+   * @type {string}
+   * @private
+   */
+  #id
+
+  /**
+   * The name of this contact
+   * @type {string|null}
+   * @private
+   */
+  #name = null
+
+  /**
+   * The roles of this contact within the team
+   * @type {array}
+   * @private
+   */
+  #roles
+
+  /**
+   * The email addresses for this contact
+   * @type {array}
+   * @private
+   */
+  #emails
+
+  /**
+   * A telephone number for this contact. If a contact has multiple phone numbers then add them as another contact
+   * @type {array}
+   * @private
+   */
+  #phones
+
+  /**
+   * The team this contact belongs to
+   * @type {CompetitionTeam}
+   * @private
+   */
+  #team
+
+  /**
+   * Defines a Team Contact
+   * @param {CompetitionTeam} team The team this contact belongs to
+   * @param {string} id The unique ID for this contact
+   * @param {Array<string>} roles The roles of this contact within the team
+   */
+  constructor (team, id, roles) {
+    if (id.length > 100 || id.length < 1) {
+      throw new Error('Invalid contact ID: must be between 1 and 100 characters long')
+    }
+
+    if (!/^((?![":{}?=])[\x20-\x7F])+$/.test(id)) {
+      throw new Error('Invalid contact ID: must contain only ASCII printable characters excluding " : { } ? =')
+    }
+
+    if (team.hasContact(id)) {
+      throw new Error(`Contact with ID "${id}" already exists in the team`)
+    }
+
+    this.#team = team;
+    this.#id = id;
+    this.#roles = [];
     this.#name = null;
     this.#emails = [];
     this.#phones = [];
+    // The roles are set directly so that creating a contact does not add a step to the competition's change history
+    roles.filter(role => Object.values(ContactRole).includes(role)).forEach(role => {
+      if (!this.#roles.includes(role)) {
+        this.#roles.push(role);
+      }
+    });
   }
 
   /**
@@ -420,8 +1294,10 @@ class Contact {
     if (name.length > 1000 || name.length < 1) {
       throw new Error('Invalid contact name: must be between 1 and 1000 characters long')
     }
-    this.#name = name;
-    return this
+    return this.#record(() => {
+      this.#name = name;
+      return this
+    })
   }
 
   /**
@@ -446,10 +1322,13 @@ class Contact {
    * @returns {Contact} Returns this contact for method chaining
    */
   addRole (role) {
-    if (!this.hasRole(role)) {
-      this.#roles.push(role);
+    if (this.hasRole(role)) {
+      return this
     }
-    return this
+    return this.#record(() => {
+      this.#roles.push(role);
+      return this
+    })
   }
 
   /**
@@ -491,8 +1370,10 @@ class Contact {
       }
     }
 
-    this.#roles = newRoles;
-    return this
+    return this.#record(() => {
+      this.#roles = newRoles;
+      return this
+    })
   }
 
   /**
@@ -513,10 +1394,13 @@ class Contact {
     if (email.length < 3) {
       throw new Error('Invalid contact email address: must be at least 3 characters long')
     }
-    if (!this.#emails.includes(email)) {
-      this.#emails.push(email);
+    if (this.#emails.includes(email)) {
+      return this
     }
-    return this
+    return this.#record(() => {
+      this.#emails.push(email);
+      return this
+    })
   }
 
   /**
@@ -529,8 +1413,10 @@ class Contact {
    */
   setEmails (emails) {
     if (emails === null) {
-      this.#emails = [];
-      return this
+      return this.#record(() => {
+        this.#emails = [];
+        return this
+      })
     }
 
     const newEmails = [];
@@ -542,8 +1428,10 @@ class Contact {
         newEmails.push(email);
       }
     }
-    this.#emails = newEmails;
-    return this
+    return this.#record(() => {
+      this.#emails = newEmails;
+      return this
+    })
   }
 
   /**
@@ -564,10 +1452,13 @@ class Contact {
     if (phone.length > 50 || phone.length < 1) {
       throw new Error('Invalid contact phone number: must be between 1 and 50 characters long')
     }
-    if (!this.#phones.includes(phone)) {
-      this.#phones.push(phone);
+    if (this.#phones.includes(phone)) {
+      return this
     }
-    return this
+    return this.#record(() => {
+      this.#phones.push(phone);
+      return this
+    })
   }
 
   /**
@@ -580,8 +1471,10 @@ class Contact {
    */
   setPhones (phones) {
     if (phones === null) {
-      this.#phones = [];
-      return this
+      return this.#record(() => {
+        this.#phones = [];
+        return this
+      })
     }
 
     const newPhones = [];
@@ -593,8 +1486,49 @@ class Contact {
         newPhones.push(phone);
       }
     }
-    this.#phones = newPhones;
-    return this
+    return this.#record(() => {
+      this.#phones = newPhones;
+      return this
+    })
+  }
+
+  /**
+   * Make a change to this contact, recording it in the competition's change history
+   *
+   * @param {function(): any} change Make the change
+   * @returns {any} The value returned by the change
+   * @private
+   */
+  #record (change) {
+    return this.#team.getCompetition().recordChange(() => this.#snapshot(), snapshot => this.#restore(snapshot), change)
+  }
+
+  /**
+   * Get the state of this contact, for the change history
+   *
+   * @returns {object} The state
+   * @private
+   */
+  #snapshot () {
+    return {
+      name: this.#name,
+      roles: [...this.#roles],
+      emails: [...this.#emails],
+      phones: [...this.#phones]
+    }
+  }
+
+  /**
+   * Restore this contact to a state from the change history
+   *
+   * @param {object} snapshot The state to restore
+   * @private
+   */
+  #restore (snapshot) {
+    this.#name = snapshot.name;
+    this.#roles = [...snapshot.roles];
+    this.#emails = [...snapshot.emails];
+    this.#phones = [...snapshot.phones];
   }
 }
 
@@ -673,11 +1607,12 @@ class CompetitionTeam {
 
     this.#competition = competition;
     this.#id = id;
-    this.setName(name);
     this.#contacts = [];
     this.#club = null;
     this.#notes = null;
     this.#contactLookup = {};
+    // The name is set directly so that creating a team does not add a step to the competition's change history
+    this.#name = CompetitionTeam.#checkName(name);
   }
 
   /**
@@ -758,6 +1693,16 @@ class CompetitionTeam {
     return team
   }
 
+  /**
+   * Check whether this team is structurally equal to another, i.e. whether they would serialize to the same data
+   *
+   * @param {CompetitionTeam} other The team to compare with
+   * @returns {boolean} Whether the teams are equal
+   */
+  equals (other) {
+    return other instanceof CompetitionTeam && JSON.stringify(this.serialize()) === JSON.stringify(other.serialize())
+  }
+
   /**
    * Get the competition this team is in
    *
@@ -784,10 +1729,14 @@ class CompetitionTeam {
    * @returns {CompetitionTeam} This CompetitionTeam
    */
   setName (name) {
-    if (name.length > 1000 || name.length < 1) {
-      throw new Error('Invalid team name: must be between 1 and 1000 characters long')
+    CompetitionTeam.#checkName(name);
+    const previousName = this.#name;
+    this.#record(() => {
+      this.#name = name;
+    });
+    if (name !== previousName && this.#competition.hasTeam(this.#id)) {
+      this.#competition.emit(CompetitionEventType.TEAM_RENAMED, { team: this, previousName });
     }
-    this.#name = name;
     return this
   }
 
@@ -809,11 +1758,13 @@ class CompetitionTeam {
    */
   setClubID (id) {
     if (id === null) {
-      if (this.#club.hasTeam(this.#id)) {
-        this.#club.deleteTeam(this.#id);
-      }
-      this.#club = null;
-      return this
+      return this.#record(() => {
+        if (this.#club.hasTeam(this.#id)) {
+          this.#club.deleteTeam(this.#id);
+        }
+        this.#club = null;
+        return this
+      })
     }
 
     if (this.#club !== null && id === this.#club.getID()) {
@@ -824,10 +1775,11 @@ class CompetitionTeam {
       throw new Error(`No club with ID "${id}" exists`)
     }
 
-    this.#club = this.#competition.getClub(id);
-    this.#club.addTeam(this);
-
-    return this
+    return this.#record(() => {
+      this.#club = this.#competition.getClub(id);
+      this.#club.addTeam(this);
+      return this
+    })
   }
 
   /**
@@ -865,8 +1817,10 @@ class CompetitionTeam {
    * @returns {CompetitionTeam} This competition team
    */
   setNotes (notes) {
-    this.#notes = notes;
-    return this
+    return this.#record(() => {
+      this.#notes = notes;
+      return this
+    })
   }
 
   /**
@@ -891,9 +1845,11 @@ class CompetitionTeam {
     if (this.hasContact(contact.getID())) {
       throw new Error('team contacts with duplicate IDs within a team not allowed')
     }
-    this.#contacts.push(contact);
-    this.#contactLookup[contact.getID()] = contact;
-    return this
+    return this.#record(() => {
+      this.#contacts.push(contact);
+      this.#contactLookup[contact.getID()] = contact;
+      return this
+    })
   }
 
   /**
@@ -953,9 +1909,11 @@ class CompetitionTeam {
       return this
     }
 
-    delete this.#contactLookup[id];
-    this.#contacts = this.#contacts.filter(el => el.getID() !== id);
-    return this
+    return this.#record(() => {
+      delete this.#contactLookup[id];
+      this.#contacts = this.#contacts.filter(el => el.getID() !== id);
+      return this
+    })
   }
 
   /**
@@ -986,690 +1944,1150 @@ class CompetitionTeam {
   hasPlayers () {
     return this.#competition.hasPlayersInTeam(this.#id)
   }
+
+  /**
+   * Check that a team name is valid
+   *
+   * @param {string} name The name to check
+   * @returns {string} The name
+   * @throws {Error} If the name is invalid
+   * @private
+   */
+  static #checkName (name) {
+    if (name.length > 1000 || name.length < 1) {
+      throw new Error('Invalid team name: must be between 1 and 1000 characters long')
+    }
+    return name
+  }
+
+  /**
+   * Make a change to this team, recording it in the competition's change history
+   *
+   * @param {function(): any} change Make the change
+   * @returns {any} The value returned by the change
+   * @private
+   */
+  #record (change) {
+    return this.#competition.recordChange(() => this.#snapshot(), snapshot => this.#restore(snapshot), change)
+  }
+
+  /**
+   * Get the state of this team, for the change history
+   *
+   * @returns {object} The state
+   * @private
+   */
+  #snapshot () {
+    return {
+      name: this.#name,
+      club: this.#club,
+      notes: this.#notes,
+      contacts: [...this.#contacts],
+      contactLookup: { ...this.#contactLookup }
+    }
+  }
+
+  /**
+   * Restore this team to a state from the change history
+   *
+   * @param {object} snapshot The state to restore
+   * @private
+   */
+  #restore (snapshot) {
+    this.#name = snapshot.name;
+    this.#club = snapshot.club;
+    this.#notes = snapshot.notes;
+    this.#contacts = [...snapshot.contacts];
+    this.#contactLookup = { ...snapshot.contactLookup };
+  }
 }
 
 /**
- * Represents a team that the player is/has been registered to
+ * The error thrown when competition data fails to load, either because it does not match the schema or because it breaks one of the
+ * rules checked while loading, such as duplicate IDs or invalid team references.  The message is the same as a plain Error would
+ * have, and each problem found is also described by an issue:
+ * <ul>
+ *   <li>pointer - a JSON pointer (RFC 6901) to the part of the document with the problem, e.g. "/stages/0/groups/1/matches/3"</li>
+ *   <li>schemaPath - the path to the schema rule that failed, or null when the problem was found while loading</li>
+ *   <li>message - a description of the problem</li>
+ *   <li>value - the value at the pointer</li>
+ *   <li>suggestion - a hint for how to fix the problem, or null if there is none</li>
+ * </ul>
  */
-class PlayerTeam {
+class CompetitionValidationError extends Error {
   /**
-   * The team ID that the player is/was registered with
-   * @type {string}
+   * The problems found in the competition data
+   * @type {Array<{pointer: string, schemaPath: string|null, message: string, value: any, suggestion: string|null}>}
    * @private
-   **/
-  #id
+   */
+  #issues
 
   /**
-   * The date from which the player is/was registered with this team.  When this is not present, there should not be any \"from\"
-   * or \"until\" values in any entry in this player's \"teams\" array
+   * Constructs a new CompetitionValidationError
+   *
+   * @param {string} message The error message
+   * @param {Array<{pointer: string, schemaPath: string|null, message: string, value: any, suggestion: string|null}>} issues The problems found in the competition data
+   * @param {object} options The error options
+   * @param {Error} [options.cause] The error that caused this one
+   */
+  constructor (message, issues, options = {}) {
+    super(message, options);
+    this.name = 'CompetitionValidationError';
+    this.#issues = issues;
+  }
+
+  /**
+   * Create a CompetitionValidationError for an error thrown while loading part of a competition document.  When the error is already a
+   * CompetitionValidationError, found further down the document, the pointer is prepended to the pointers of its issues
+   *
+   * @param {Error} err The error thrown while loading
+   * @param {string} pointer The JSON pointer to the part of the document being loaded, relative to the caller
+   * @param {any} value The part of the document being loaded
+   * @returns {CompetitionValidationError} The error, with its issues pointing at the part of the document being loaded
+   */
+  static fromError (err, pointer, value) {
+    if (err instanceof CompetitionValidationError) {
+      return new CompetitionValidationError(err.message, err.getIssues().map(issue => ({ ...issue, pointer: `${pointer}${issue.pointer}` })), { cause: err.cause })
+    }
+    return new CompetitionValidationError(err.message, [{ pointer, schemaPath: null, message: err.message, value, suggestion: null }], { cause: err })
+  }
+
+  /**
+   * Get the problems found in the competition data
+   *
+   * @returns {Array<{pointer: string, schemaPath: string|null, message: string, value: any, suggestion: string|null}>} The issues
+   */
+  getIssues () {
+    return this.#issues
+  }
+}
+
+/**
+ * A break in play, possibly while other matches are going on in other competitions running in parallel
+ * @implements {JsonSerializable}
+ * @implements {BreakInterface}
+ */
+class GroupBreak {
+  /**
+   * The start time for the break
    * @type {string|null}
    * @private
-   **/
-  #from
+   */
+  #start
 
   /**
-   * The date up to which the player was registered with this team.  When a \"from\" date is specified and this is not, it should
-   * be taken that a player is still registered with this team
+   * The date of the break
    * @type {string|null}
    * @private
-   **/
-  #until
+   */
+  #date
 
   /**
-   * Free form string to add notes about this team registration entry for the player
+   * The duration of the break
    * @type {string|null}
    * @private
-   **/
-  #notes
+   */
+  #duration
 
   /**
-   * The player associated with this record
-   * @type {Player}
+   * The name for the break, e.g. 'Lunch break'
+   * @type {string|null}
    * @private
    */
-  #player
+  #name
 
   /**
-   * @param {Player} player A link back to the Player for this record
-   * @param {string} id The ID of the team that the player's registry represents
-   * @throws {Error} If the ID is invalid
+   * The Group this break is in
+   * @type {Group}
+   * @private
    */
-  constructor (player, id) {
-    if (id.length > 100 || id.length < 1) {
-      throw new Error('Invalid team ID: must be between 1 and 100 characters long')
-    }
-
-    if (!/^((?![":{}?=])[\x20-\x7F])+$/.test(id)) {
-      throw new Error('Invalid team ID: must contain only ASCII printable characters excluding " : { } ? =')
-    }
+  #group
 
-    this.#player = player;
-    this.#id = id;
-    this.#from = null;
-    this.#until = null;
-    this.#notes = null;
+  /**
+   * Contains the match break data
+   * @param {Group} group The Group this break is in
+   */
+  constructor (group) {
+    this.#group = group;
+    this.#start = null;
+    this.#date = null;
+    this.#duration = null;
+    this.#name = null;
   }
 
   /**
-   * Load player team data from an object.
-   *
-   * @param {object} playerData The data defining this PlayerTeam entry
-   * @returns {Player} The updated PlayerTeam object
+   * Load the match break data from an object
+   * @param {object} breakData The data defining this Break
+   * @returns {GroupBreak} This GroupBreak instance
    */
-  loadFromData (playerTeamData) {
-    if (Object.hasOwn(playerTeamData, 'from')) {
-      this.setFrom(playerTeamData.from);
+  loadFromData (breakData) {
+    if (Object.hasOwn(breakData, 'start')) {
+      this.setStart(breakData.start);
     }
-
-    if (Object.hasOwn(playerTeamData, 'until')) {
-      this.setUntil(playerTeamData.until);
+    if (Object.hasOwn(breakData, 'date')) {
+      this.setDate(breakData.date);
     }
-
-    if (Object.hasOwn(playerTeamData, 'notes')) {
-      this.setNotes(playerTeamData.notes);
+    if (Object.hasOwn(breakData, 'duration')) {
+      this.setDuration(breakData.duration);
+    }
+    if (Object.hasOwn(breakData, 'name')) {
+      this.setName(breakData.name);
     }
-
     return this
   }
 
   /**
-   * Return the playerTeam data in a form suitable for serializing
+   * Return the match break data in a form suitable for serializing
    *
-   * @returns {object}
+   * @returns {object} The match break data
    */
   serialize () {
-    const playerTeam = {
-      id: this.#id
-    };
-
-    if (this.#from !== null) {
-      playerTeam.from = this.#from;
+    const breakData = { type: 'break' };
+    if (this.#start !== null) {
+      breakData.start = this.#start;
     }
-
-    if (this.#until !== null) {
-      playerTeam.until = this.#until;
+    if (this.#date !== null) {
+      breakData.date = this.#date;
     }
-
-    if (this.#notes !== null) {
-      playerTeam.notes = this.#notes;
+    if (this.#duration !== null) {
+      breakData.duration = this.#duration;
     }
-
-    return playerTeam
+    if (this.#name !== null) {
+      breakData.name = this.#name;
+    }
+    return breakData
   }
 
   /**
-   * Get the player this player team entry belongs to
-   * @returns {Player} The player this player team entry belongs to
+   * Get the Group this break is in
+   * @returns {Group} The group this break is in
    */
-  getPlayer () {
-    return this.#player
+  getGroup () {
+    return this.#group
   }
 
   /**
-   * Get the ID for the Team this entry represents.
-   *
-   * @returns {string} The ID of the team for this playerTeam entry
+   * Set the start time for this break
+   * @param {string|null} start The start time for this break
+   * @returns {GroupBreak} This GroupBreak instance
    */
-  getID () {
-    return this.#id
+  setStart (start) {
+    if (!/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/.test(start)) {
+      throw new Error(`Invalid start time "${start}": must contain a value of the form "HH:mm" using a 24 hour clock`)
+    }
+    return this.#record(() => {
+      this.#start = start;
+      return this
+    })
   }
 
   /**
-   * Get the from date for this player team entry.
-   *
-   * @returns {string} The from date for this player team entry
+   * Get the start time for this break
+   * @returns {string|null} The start time for this break
    */
-  getFrom () {
-    return this.#from
+  getStart () {
+    return this.#start
   }
 
   /**
-   * Set the from date for this player team entry
-   *
-   * @param {string} from The from date for this player team entry
-   * @throws {Error} If the from date is invalid
-   * @returns {PlayerTeam} This player team entry
+   * Set the date for this break
+   * @param {string|null} date The date for this break
+   * @returns {GroupBreak} This GroupBreak instance
    */
-  setFrom (from) {
-    if (!/^[0-9]{4}-(0[0-9]|1[0-2])-(0[1-9]|[12][0-9]|3[01])$/.test(from)) {
-      throw new Error(`Invalid date "${from}": must contain a value of the form "YYYY-MM-DD"`)
+  setDate (date) {
+    if (!/^[0-9]{4}-(0[0-9]|1[0-2])-(0[1-9]|[12][0-9]|3[01])$/.test(date)) {
+      throw new Error(`Invalid date "${date}": must contain a value of the form "YYYY-MM-DD"`)
     }
 
-    const d = new Date(from);
-    if (`${d.getFullYear()}-${(d.getMonth() + 1).toString().padStart(2, '0')}-${(d.getDate()).toString().padStart(2, '0')}` !== from) {
-      throw new Error(`Invalid date "${from}": date does not exist`)
+    const d = new Date(date);
+    if (`${d.getFullYear()}-${(d.getMonth() + 1).toString().padStart(2, '0')}-${(d.getDate()).toString().padStart(2, '0')}` !== date) {
+      throw new Error(`Invalid date "${date}": date does not exist`)
     }
 
-    this.#from = from;
-    return this
+    return this.#record(() => {
+      this.#date = date;
+      return this
+    })
   }
 
   /**
-   * Get the until date for this player team entry
-   *
-   * @returns {string|null} The until date for this player team entry
+   * Get the date for this break
+   * @returns {string|null} The date for this break
    */
-  getUntil () {
-    return this.#until
+  getDate () {
+    return this.#date
   }
 
   /**
-   * Set the until date for this player team entry
-   *
-   * @param {string|null} until The until date for this player team entry
-   * @throws {Error} If the until date is invalid
-   * @returns {PlayerTeam} This player team entry
+   * Set the duration for this break
+   * @param {string|null} duration The duration for this break
+   * @returns {GroupBreak} This GroupBreak instance
    */
-  setUntil (until) {
-    if (!/^[0-9]{4}-(0[0-9]|1[0-2])-(0[1-9]|[12][0-9]|3[01])$/.test(until)) {
-      throw new Error(`Invalid date "${until}": must contain a value of the form "YYYY-MM-DD"`)
+  setDuration (duration) {
+    if (!/^[0-9]+:[0-5][0-9]$/.test(duration)) {
+      throw new Error(`Invalid duration "${duration}": must contain a value of the form "HH:mm"`)
     }
+    return this.#record(() => {
+      this.#duration = duration;
+      return this
+    })
+  }
 
-    const d = new Date(until);
-    if (`${d.getFullYear()}-${(d.getMonth() + 1).toString().padStart(2, '0')}-${(d.getDate()).toString().padStart(2, '0')}` !== until) {
-      throw new Error(`Invalid date "${until}": date does not exist`)
+  /**
+   * Get the duration for this break
+   * @returns {string|null} The duration for this break
+   */
+  getDuration () {
+    return this.#duration
+  }
+
+  /**
+   * Set the name for this break
+   * @param {string|null} name The name for this break
+   * @returns {GroupBreak} This GroupBreak instance
+   */
+  setName (name) {
+    if (name.length > 1000 || name.length < 1) {
+      throw new Error('Invalid break name: must be between 1 and 1000 characters long')
     }
+    return this.#record(() => {
+      this.#name = name;
+      return this
+    })
+  }
 
-    this.#until = until;
-    return this
+  /**
+   * Get the name for this break
+   * @returns {string|null} The name for this break
+   */
+  getName () {
+    return this.#name
   }
 
   /**
-   * Get the notes for this player.
+   * Make a change to this break, recording it in the competition's change history.  A break that has not been added to its group yet
+   * has nothing to undo, so its changes are not recorded
    *
-   * @returns {string|null} The notes for this player
+   * @param {function(): any} change Make the change
+   * @returns {any} The value returned by the change
+   * @private
    */
-  getNotes () {
-    return this.#notes
+  #record (change) {
+    if (!this.#group.getMatches().includes(this)) {
+      return change()
+    }
+    return this.#group.getCompetition().recordChange(() => this.#snapshot(), snapshot => this.#restore(snapshot), change)
   }
 
   /**
-   * Set the notes for this player.
+   * Get the state of this break, for the change history
    *
-   * @param {string|null} notes The notes for this player
-   * @returns {PlayerTeam} This player team entry
+   * @returns {object} The state
+   * @private
    */
-  setNotes (notes) {
-    this.#notes = notes;
-    return this
+  #snapshot () {
+    return {
+      start: this.#start,
+      date: this.#date,
+      duration: this.#duration,
+      name: this.#name
+    }
+  }
+
+  /**
+   * Restore this break to a state from the change history
+   *
+   * @param {object} snapshot The state to restore
+   * @private
+   */
+  #restore (snapshot) {
+    this.#start = snapshot.start;
+    this.#date = snapshot.date;
+    this.#duration = snapshot.duration;
+    this.#name = snapshot.name;
   }
 }
 
 /**
- * Represents a player in a team.
+ * A registry of migrations between versions of the competition schema.  Each migration converts a competition document from one
+ * version to the next, and optionally back again.  When a document is loaded it is upgraded step by step, through as many
+ * migrations as it takes, to the version that this library supports, and a competition can be serialized to an older version by
+ * downgrading it the same way.
+ *
+ * Competition.loadFromCompetitionJSON() uses the default registry, from MigrationRegistry.getDefault(), unless it is given another
  */
-class Player {
-  static UNREGISTERED_PLAYER_ID = 'UNKNOWN'
+class MigrationRegistry {
+  /**
+   * The shared default registry
+   * @type {MigrationRegistry|null}
+   * @private
+   */
+  static #defaultRegistry = null
 
   /**
-   * A unique ID for this player. This may be the player's registration number. This must be unique within the team
-   * @type {string}
+   * The registered migrations
+   * @type {Array<{from: string, to: string, up: function(object): object, down: function(object): object|null}>}
    * @private
-   **/
-  #id
+   */
+  #migrations
 
   /**
-   * The name of this player
+   * Constructs a new, empty, MigrationRegistry
+   */
+  constructor () {
+    this.#migrations = [];
+  }
+
+  /**
+   * Get the default registry, used when loading a competition without naming a registry
+   *
+   * @returns {MigrationRegistry} The default registry
+   */
+  static getDefault () {
+    if (MigrationRegistry.#defaultRegistry === null) {
+      MigrationRegistry.#defaultRegistry = new MigrationRegistry();
+    }
+    return MigrationRegistry.#defaultRegistry
+  }
+
+  /**
+   * Register a migration between two versions of the schema.  The migration functions are given the competition document as a plain
+   * object, and return the migrated document; they may modify the document they are given.  The document's "version" field is set
+   * by the registry after each migration runs
+   *
+   * @param {string} from The version that the migration upgrades from
+   * @param {string} to The version that the migration upgrades to
+   * @param {function(object): object} up The function to upgrade a document from version "from" to version "to"
+   * @param {function(object): object|null} down The function to downgrade a document from version "to" to version "from", or null if the migration cannot be reversed
+   * @returns {MigrationRegistry} This registry
+   * @throws {Error} If a version is not a semver version string, if the versions are the same, or if the migration is already registered
+   */
+  register (from, to, up, down = null) {
+    [from, to].forEach(version => {
+      if (!/^[0-9]+\.[0-9]+\.[0-9]+$/.test(version)) {
+        throw new Error(`Invalid version "${version}": must be of the form "major.minor.patch"`)
+      }
+    });
+    if (from === to) {
+      throw new Error(`Invalid migration: cannot migrate from version ${from} to itself`)
+    }
+    if (this.hasMigration(from, to)) {
+      throw new Error(`Migration from version ${from} to version ${to} already registered`)
+    }
+
+    this.#migrations.push({ from, to, up, down });
+    return this
+  }
+
+  /**
+   * Check whether a migration between two versions is registered
+   *
+   * @param {string} from The version that the migration upgrades from
+   * @param {string} to The version that the migration upgrades to
+   * @returns {boolean} Whether the migration is registered
+   */
+  hasMigration (from, to) {
+    return this.#migrations.some(migration => migration.from === from && migration.to === to)
+  }
+
+  /**
+   * Upgrade a competition document to a newer version, running each migration on the way in turn
+   *
+   * @param {object} data The competition document
+   * @param {string} version The version to upgrade the document to
+   * @returns {{data: object, applied: Array<{from: string, to: string}>}} The upgraded document, and the migrations that ran, in order
+   * @throws {Error} If there is no path of migrations from the document's version to the requested version
+   */
+  upgrade (data, version) {
+    const steps = this.#findPath(data.version, version, this.#migrations.map(migration => ({ from: migration.from, to: migration.to, run: migration.up })));
+    if (steps === null) {
+      throw new Error(`Document version ${data.version} not supported`)
+    }
+    return this.#runSteps(data, steps)
+  }
+
+  /**
+   * Downgrade a competition document to an older version, running the reverse of each migration on the way in turn
+   *
+   * @param {object} data The competition document
+   * @param {string} version The version to downgrade the document to
+   * @returns {{data: object, applied: Array<{from: string, to: string}>}} The downgraded document, and the migrations that ran, in order
+   * @throws {Error} If there is no path of reversible migrations from the document's version to the requested version
+   */
+  downgrade (data, version) {
+    const reversible = this.#migrations.filter(migration => migration.down !== null);
+    const steps = this.#findPath(data.version, version, reversible.map(migration => ({ from: migration.to, to: migration.from, run: migration.down })));
+    if (steps === null) {
+      throw new Error(`Cannot downgrade from version ${data.version} to version ${version}: no migration path`)
+    }
+    return this.#runSteps(data, steps)
+  }
+
+  /**
+   * Find the shortest path of steps from one version to another
+   *
+   * @param {string} from The version to start from
+   * @param {string} to The version to finish at
+   * @param {Array<{from: string, to: string, run: function(object): object}>} steps The steps available
+   * @returns {Array<{from: string, to: string, run: function(object): object}>|null} The steps to take, in order, or null if there is no path
+   */
+  #findPath (from, to, steps) {
+    const paths = { [from]: [] };
+    const queue = [from];
+    while (queue.length > 0) {
+      const version = queue.shift();
+      if (version === to) {
+        return paths[version]
+      }
+      steps.filter(step => step.from === version && !Object.hasOwn(paths, step.to)).forEach(step => {
+        paths[step.to] = paths[version].concat([step]);
+        queue.push(step.to);
+      });
+    }
+    return null
+  }
+
+  /**
+   * Run each step on the document in turn, updating the document's version after each one
+   *
+   * @param {object} data The competition document
+   * @param {Array<{from: string, to: string, run: function(object): object}>} steps The steps to run, in order
+   * @returns {{data: object, applied: Array<{from: string, to: string}>}} The migrated document, and the steps that ran
+   */
+  #runSteps (data, steps) {
+    let migrated = data;
+    steps.forEach(step => {
+      migrated = step.run(migrated);
+      migrated.version = step.to;
+    });
+    return { data: migrated, applied: steps.map(step => ({ from: step.from, to: step.to })) }
+  }
+}
+
+/**
+ * Represents a team that the player is/has been registered to
+ */
+class PlayerTeam {
+  /**
+   * The team ID that the player is/was registered with
    * @type {string}
    * @private
    **/
-  #name
+  #id
 
   /**
-   * The player's shirt number
-   * @type {int|null}
+   * The date from which the player is/was registered with this team.  When this is not present, there should not be any \"from\"
+   * or \"until\" values in any entry in this player's \"teams\" array
+   * @type {string|null}
    * @private
    **/
-  #number
+  #from
 
   /**
-   * An ordered list of teams the player is/has been registered for in this competition, in the order that they have been
-   * registered (and therefore transferred in the case of more than one entry).  A player can only be registered with one
-   * team at any time within this competition, meaning that if there are multiple teams listed, either all but the last
-   * entry MUST have an \"until\" value, or there must be no \"from\" or \"until\" values in any entry
-   * @type {Array<PlayerTeam}
+   * The date up to which the player was registered with this team.  When a \"from\" date is specified and this is not, it should
+   * be taken that a player is still registered with this team
+   * @type {string|null}
    * @private
-   */
-  #teams
+   **/
+  #until
 
   /**
-   * Free form string to add notes about the player. This can be used for arbitrary content that various implementations can use
+   * Free form string to add notes about this team registration entry for the player
    * @type {string|null}
    * @private
    **/
   #notes
 
   /**
-   * The Competition this player is in
-   * @type {Competition}
+   * The player associated with this record
+   * @type {Player}
    * @private
    */
-  #competition
+  #player
 
   /**
-   * @param {Competition} competition A link back to the Competition this Player is in
-   * @param {string} id The ID of the player
-   * @param {string} name The name of the player
-   * @throws {Error} If the ID is invalid or already exists in the team
+   * @param {Player} player A link back to the Player for this record
+   * @param {string} id The ID of the team that the player's registry represents
+   * @throws {Error} If the ID is invalid
    */
-  constructor (competition, id, name) {
+  constructor (player, id) {
     if (id.length > 100 || id.length < 1) {
-      throw new Error('Invalid player ID: must be between 1 and 100 characters long')
+      throw new Error('Invalid team ID: must be between 1 and 100 characters long')
     }
 
     if (!/^((?![":{}?=])[\x20-\x7F])+$/.test(id)) {
-      throw new Error('Invalid player ID: must contain only ASCII printable characters excluding " : { } ? =')
-    }
-
-    if (competition.hasPlayer(id)) {
-      throw new Error(`Player with ID "${id}" already exists in the competition`)
+      throw new Error('Invalid team ID: must contain only ASCII printable characters excluding " : { } ? =')
     }
 
-    this.#competition = competition;
+    this.#player = player;
     this.#id = id;
-    this.setName(name);
-    this.#teams = [];
-    this.#number = null;
+    this.#from = null;
+    this.#until = null;
     this.#notes = null;
   }
 
   /**
-   * Load player data from an object.
+   * Load player team data from an object.
    *
-   * @param {object} playerData The data defining this Player
-   * @returns {Player} The updated Player object
+   * @param {object} playerData The data defining this PlayerTeam entry
+   * @returns {Player} The updated PlayerTeam object
    */
-  loadFromData (playerData) {
-    if (Object.hasOwn(playerData, 'number')) {
-      this.setNumber(playerData.number);
+  loadFromData (playerTeamData) {
+    if (Object.hasOwn(playerTeamData, 'from')) {
+      this.setFrom(playerTeamData.from);
     }
 
-    if (Array.isArray(playerData.teams)) {
-      playerData.teams.forEach(playerTeamData => {
-        this.appendTeamEntry(new PlayerTeam(this, playerTeamData.id).loadFromData(playerTeamData));
-      });
+    if (Object.hasOwn(playerTeamData, 'until')) {
+      this.setUntil(playerTeamData.until);
     }
 
-    if (Object.hasOwn(playerData, 'notes')) {
-      this.setNotes(playerData.notes);
+    if (Object.hasOwn(playerTeamData, 'notes')) {
+      this.setNotes(playerTeamData.notes);
     }
 
     return this
   }
 
   /**
-   * Return the list of player data in a form suitable for serializing
+   * Return the playerTeam data in a form suitable for serializing
    *
    * @returns {object}
    */
   serialize () {
-    const player = {
-      id: this.#id,
-      name: this.#name
+    const playerTeam = {
+      id: this.#id
     };
 
-    if (this.#number !== null) {
-      player.number = this.#number;
+    if (this.#from !== null) {
+      playerTeam.from = this.#from;
     }
 
-    if (this.#teams.length > 0) {
-      player.teams = [];
-      this.#teams.forEach(team => {
-        player.teams.push(team.serialize());
-      });
+    if (this.#until !== null) {
+      playerTeam.until = this.#until;
     }
 
     if (this.#notes !== null) {
-      player.notes = this.#notes;
+      playerTeam.notes = this.#notes;
     }
 
-    return player
+    return playerTeam
   }
 
   /**
-   * Get the competition this player belongs to
-   * @returns {Competition} The competition this player belongs to
+   * Get the player this player team entry belongs to
+   * @returns {Player} The player this player team entry belongs to
    */
-  getCompetition () {
-    return this.#competition
+  getPlayer () {
+    return this.#player
   }
 
   /**
-   * Get the ID for this player.
+   * Get the ID for the Team this entry represents.
    *
-   * @returns {string} The ID for this player
+   * @returns {string} The ID of the team for this playerTeam entry
    */
   getID () {
     return this.#id
   }
 
   /**
-   * Get the name for this player.
+   * Get the from date for this player team entry.
    *
-   * @returns {string} The name for this player
+   * @returns {string} The from date for this player team entry
    */
-  getName () {
-    return this.#name
+  getFrom () {
+    return this.#from
   }
 
   /**
-   * Set the name for this player.
+   * Set the from date for this player team entry
    *
-   * @param {string} name The name for this player
-   * @throws {Error} If the name is invalid
+   * @param {string} from The from date for this player team entry
+   * @throws {Error} If the from date is invalid
+   * @returns {PlayerTeam} This player team entry
    */
-  setName (name) {
-    if (name.length > 1000 || name.length < 1) {
-      throw new Error('Invalid player name: must be between 1 and 1000 characters long')
+  setFrom (from) {
+    if (!/^[0-9]{4}-(0[0-9]|1[0-2])-(0[1-9]|[12][0-9]|3[01])$/.test(from)) {
+      throw new Error(`Invalid date "${from}": must contain a value of the form "YYYY-MM-DD"`)
     }
-    this.#name = name;
-  }
 
-  /**
-   * Get the shirt number for this player.
-   *
-   * @returns {number|null} The shirt number for this player
-   */
-  getNumber () {
-    return this.#number
-  }
-
-  /**
-   * Set the shirt number for this player.
-   *
-   * @param {number|null} number The shirt number for this player
-   * @throws {Error} If the number is invalid
-   */
-  setNumber (number) {
-    if (number !== null && number < 1) {
-      throw new Error(`Invalid player number "${number}": must be greater than 1`)
+    const d = new Date(from);
+    if (`${d.getFullYear()}-${(d.getMonth() + 1).toString().padStart(2, '0')}-${(d.getDate()).toString().padStart(2, '0')}` !== from) {
+      throw new Error(`Invalid date "${from}": date does not exist`)
     }
-    this.#number = number;
-  }
 
-  /**
-   * Append a PlayerTeam entry to the end of the list of teams that the player has been registered with
-   *
-   * @param {PlayerTeam} teamEntry the PlayerTeam entry to add
-   * @returns {Player} this Player
-   */
-  appendTeamEntry (teamEntry) {
-    this.#teams.push(teamEntry);
-    return this
+    return this.#record(() => {
+      this.#from = from;
+      return this
+    })
   }
 
   /**
-   * Get the list of teams this player has been registered with
+   * Get the until date for this player team entry
    *
-   * @returns {Array<PlayerTeam>} The team this player belongs to
+   * @returns {string|null} The until date for this player team entry
    */
-  getTeamEntries () {
-    return this.#teams
+  getUntil () {
+    return this.#until
   }
 
   /**
-   * Get the most recent PlayerTeam that the player has been registered with
+   * Set the until date for this player team entry
    *
-   * @returns {?PlayerTeam} The most recent PlayerTeam that the player has been registered with
+   * @param {string|null} until The until date for this player team entry
+   * @throws {Error} If the until date is invalid
+   * @returns {PlayerTeam} This player team entry
    */
-  getLatestTeamEntry () {
-    if (this.#teams.length === 0) {
-      return null
+  setUntil (until) {
+    if (!/^[0-9]{4}-(0[0-9]|1[0-2])-(0[1-9]|[12][0-9]|3[01])$/.test(until)) {
+      throw new Error(`Invalid date "${until}": must contain a value of the form "YYYY-MM-DD"`)
     }
 
-    return this.#teams[this.#teams.length - 1]
+    const d = new Date(until);
+    if (`${d.getFullYear()}-${(d.getMonth() + 1).toString().padStart(2, '0')}-${(d.getDate()).toString().padStart(2, '0')}` !== until) {
+      throw new Error(`Invalid date "${until}": date does not exist`)
+    }
+
+    return this.#record(() => {
+      this.#until = until;
+      return this
+    })
   }
 
   /**
-   * Get the most recent CompetitionTeam that the player has been registered with
+   * Get the notes for this player.
    *
-   * @returns {?CompetitionTeam} The most recent CompetitionTeam that the player has been registered with
+   * @returns {string|null} The notes for this player
    */
-  getCurrentTeam () {
-    const id = this.#teams.length > 0 ? this.#teams[this.#teams.length - 1].getID() : '';
-    return this.#competition.getTeam(id)
+  getNotes () {
+    return this.#notes
   }
 
   /**
-   * Check if a team entry exists with the given team ID
+   * Set the notes for this player.
    *
-   * @param {string} id the team ID to check for
-   * @returns {boolean} whether the player has ever been registered to the team with the given ID
+   * @param {string|null} notes The notes for this player
+   * @returns {PlayerTeam} This player team entry
    */
-  hasTeamEntry (id) {
-    return this.#teams.some(team => team.getID() === id)
+  setNotes (notes) {
+    return this.#record(() => {
+      this.#notes = notes;
+      return this
+    })
   }
 
   /**
-   * Removes up to "count" elements from the array of team entries, starting at element "start".
-   * This calls "splice" directly so has the same behaviour in terms of negative values and
-   * values out of bounds
+   * Make a change to this player team entry, recording it in the competition's change history
    *
-   * @param {number} start
-   * @param {number} count
-   * @returns {Player} this Player
+   * @param {function(): any} change Make the change
+   * @returns {any} The value returned by the change
+   * @private
    */
-  spliceTeamEntries (start, count) {
-    this.#teams.splice(start, count);
-    return this
+  #record (change) {
+    return this.#player.getCompetition().recordChange(() => this.#snapshot(), snapshot => this.#restore(snapshot), change)
   }
 
   /**
-   * Get the notes for this player.
+   * Get the state of this player team entry, for the change history
    *
-   * @returns {string|null} The notes for this player
+   * @returns {object} The state
+   * @private
    */
-  getNotes () {
-    return this.#notes
+  #snapshot () {
+    return {
+      from: this.#from,
+      until: this.#until,
+      notes: this.#notes
+    }
   }
 
   /**
-   * Set the notes for this player.
+   * Restore this player team entry to a state from the change history
    *
-   * @param {string|null} notes The notes for this player
-   * @returns {Player} this Player
+   * @param {object} snapshot The state to restore
+   * @private
    */
-  setNotes (notes) {
-    this.#notes = notes;
-    return this
+  #restore (snapshot) {
+    this.#from = snapshot.from;
+    this.#until = snapshot.until;
+    this.#notes = snapshot.notes;
   }
 }
 
 /**
- * A break in play, possibly while other matches are going on in other competitions running in parallel
- * @implements {JsonSerializable}
- * @implements {BreakInterface}
+ * Represents a player in a team.
  */
-class GroupBreak {
+class Player {
+  static UNREGISTERED_PLAYER_ID = 'UNKNOWN'
+
   /**
-   * The start time for the break
-   * @type {string|null}
+   * A unique ID for this player. This may be the player's registration number. This must be unique within the team
+   * @type {string}
    * @private
-   */
-  #start
+   **/
+  #id
 
   /**
-   * The date of the break
-   * @type {string|null}
+   * The name of this player
+   * @type {string}
    * @private
-   */
-  #date
+   **/
+  #name
 
   /**
-   * The duration of the break
-   * @type {string|null}
+   * The player's shirt number
+   * @type {int|null}
+   * @private
+   **/
+  #number
+
+  /**
+   * An ordered list of teams the player is/has been registered for in this competition, in the order that they have been
+   * registered (and therefore transferred in the case of more than one entry).  A player can only be registered with one
+   * team at any time within this competition, meaning that if there are multiple teams listed, either all but the last
+   * entry MUST have an \"until\" value, or there must be no \"from\" or \"until\" values in any entry
+   * @type {Array<PlayerTeam}
    * @private
    */
-  #duration
+  #teams
 
   /**
-   * The name for the break, e.g. 'Lunch break'
+   * Free form string to add notes about the player. This can be used for arbitrary content that various implementations can use
    * @type {string|null}
    * @private
-   */
-  #name
+   **/
+  #notes
 
   /**
-   * The Group this break is in
-   * @type {Group}
+   * The Competition this player is in
+   * @type {Competition}
    * @private
    */
-  #group
+  #competition
 
   /**
-   * Contains the match break data
-   * @param {Group} group The Group this break is in
+   * @param {Competition} competition A link back to the Competition this Player is in
+   * @param {string} id The ID of the player
+   * @param {string} name The name of the player
+   * @throws {Error} If the ID is invalid or already exists in the team
    */
-  constructor (group) {
-    this.#group = group;
-    this.#start = null;
-    this.#date = null;
-    this.#duration = null;
-    this.#name = null;
+  constructor (competition, id, name) {
+    if (id.length > 100 || id.length < 1) {
+      throw new Error('Invalid player ID: must be between 1 and 100 characters long')
+    }
+
+    if (!/^((?![":{}?=])[\x20-\x7F])+$/.test(id)) {
+      throw new Error('Invalid player ID: must contain only ASCII printable characters excluding " : { } ? =')
+    }
+
+    if (competition.hasPlayer(id)) {
+      throw new Error(`Player with ID "${id}" already exists in the competition`)
+    }
+
+    this.#competition = competition;
+    this.#id = id;
+    this.#teams = [];
+    this.#number = null;
+    this.#notes = null;
+    // The name is set directly so that creating a player does not add a step to the competition's change history
+    this.#name = Player.#checkName(name);
   }
 
   /**
-   * Load the match break data from an object
-   * @param {object} breakData The data defining this Break
-   * @returns {GroupBreak} This GroupBreak instance
+   * Load player data from an object.
+   *
+   * @param {object} playerData The data defining this Player
+   * @returns {Player} The updated Player object
    */
-  loadFromData (breakData) {
-    if (Object.hasOwn(breakData, 'start')) {
-      this.setStart(breakData.start);
-    }
-    if (Object.hasOwn(breakData, 'date')) {
-      this.setDate(breakData.date);
+  loadFromData (playerData) {
+    if (Object.hasOwn(playerData, 'number')) {
+      this.setNumber(playerData.number);
     }
-    if (Object.hasOwn(breakData, 'duration')) {
-      this.setDuration(breakData.duration);
+
+    if (Array.isArray(playerData.teams)) {
+      playerData.teams.forEach(playerTeamData => {
+        this.appendTeamEntry(new PlayerTeam(this, playerTeamData.id).loadFromData(playerTeamData));
+      });
     }
-    if (Object.hasOwn(breakData, 'name')) {
-      this.setName(breakData.name);
+
+    if (Object.hasOwn(playerData, 'notes')) {
+      this.setNotes(playerData.notes);
     }
+
     return this
   }
 
   /**
-   * Return the match break data in a form suitable for serializing
+   * Return the list of player data in a form suitable for serializing
    *
-   * @returns {object} The match break data
+   * @returns {object}
    */
   serialize () {
-    const breakData = { type: 'break' };
-    if (this.#start !== null) {
-      breakData.start = this.#start;
-    }
-    if (this.#date !== null) {
-      breakData.date = this.#date;
+    const player = {
+      id: this.#id,
+      name: this.#name
+    };
+
+    if (this.#number !== null) {
+      player.number = this.#number;
     }
-    if (this.#duration !== null) {
-      breakData.duration = this.#duration;
+
+    if (this.#teams.length > 0) {
+      player.teams = [];
+      this.#teams.forEach(team => {
+        player.teams.push(team.serialize());
+      });
     }
-    if (this.#name !== null) {
-      breakData.name = this.#name;
+
+    if (this.#notes !== null) {
+      player.notes = this.#notes;
     }
-    return breakData
-  }
 
-  /**
-   * Get the Group this break is in
-   * @returns {Group} The group this break is in
-   */
-  getGroup () {
-    return this.#group
+    return player
   }
 
   /**
-   * Set the start time for this break
-   * @param {string|null} start The start time for this break
-   * @returns {GroupBreak} This GroupBreak instance
+   * Check whether this player is structurally equal to another, i.e. whether they would serialize to the same data
+   *
+   * @param {Player} other The player to compare with
+   * @returns {boolean} Whether the players are equal
    */
-  setStart (start) {
-    if (!/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/.test(start)) {
-      throw new Error(`Invalid start time "${start}": must contain a value of the form "HH:mm" using a 24 hour clock`)
-    }
-    this.#start = start;
-    return this
+  equals (other) {
+    return other instanceof Player && JSON.stringify(this.serialize()) === JSON.stringify(other.serialize())
   }
 
   /**
-   * Get the start time for this break
-   * @returns {string|null} The start time for this break
+   * Get the competition this player belongs to
+   * @returns {Competition} The competition this player belongs to
    */
-  getStart () {
-    return this.#start
+  getCompetition () {
+    return this.#competition
   }
 
   /**
-   * Set the date for this break
-   * @param {string|null} date The date for this break
-   * @returns {GroupBreak} This GroupBreak instance
+   * Get the ID for this player.
+   *
+   * @returns {string} The ID for this player
    */
-  setDate (date) {
-    if (!/^[0-9]{4}-(0[0-9]|1[0-2])-(0[1-9]|[12][0-9]|3[01])$/.test(date)) {
-      throw new Error(`Invalid date "${date}": must contain a value of the form "YYYY-MM-DD"`)
-    }
+  getID () {
+    return this.#id
+  }
 
-    const d = new Date(date);
-    if (`${d.getFullYear()}-${(d.getMonth() + 1).toString().padStart(2, '0')}-${(d.getDate()).toString().padStart(2, '0')}` !== date) {
-      throw new Error(`Invalid date "${date}": date does not exist`)
+  /**
+   * Get the name for this player.
+   *
+   * @returns {string} The name for this player
+   */
+  getName () {
+    return this.#name
+  }
+
+  /**
+   * Set the name for this player.
+   *
+   * @param {string} name The name for this player
+   * @throws {Error} If the name is invalid
+   */
+  setName (name) {
+    Player.#checkName(name);
+    this.#record(() => {
+      this.#name = name;
+    });
+  }
+
+  /**
+   * Get the shirt number for this player.
+   *
+   * @returns {number|null} The shirt number for this player
+   */
+  getNumber () {
+    return this.#number
+  }
+
+  /**
+   * Set the shirt number for this player.
+   *
+   * @param {number|null} number The shirt number for this player
+   * @throws {Error} If the number is invalid
+   */
+  setNumber (number) {
+    if (number !== null && number < 1) {
+      throw new Error(`Invalid player number "${number}": must be greater than 1`)
     }
+    this.#record(() => {
+      this.#number = number;
+    });
+  }
 
-    this.#date = date;
-    return this
+  /**
+   * Append a PlayerTeam entry to the end of the list of teams that the player has been registered with
+   *
+   * @param {PlayerTeam} teamEntry the PlayerTeam entry to add
+   * @returns {Player} this Player
+   */
+  appendTeamEntry (teamEntry) {
+    return this.#record(() => {
+      this.#teams.push(teamEntry);
+      return this
+    })
   }
 
   /**
-   * Get the date for this break
-   * @returns {string|null} The date for this break
+   * Get the list of teams this player has been registered with
+   *
+   * @returns {Array<PlayerTeam>} The team this player belongs to
    */
-  getDate () {
-    return this.#date
+  getTeamEntries () {
+    return this.#teams
   }
 
   /**
-   * Set the duration for this break
-   * @param {string|null} duration The duration for this break
-   * @returns {GroupBreak} This GroupBreak instance
+   * Get the most recent PlayerTeam that the player has been registered with
+   *
+   * @returns {?PlayerTeam} The most recent PlayerTeam that the player has been registered with
    */
-  setDuration (duration) {
-    if (!/^[0-9]+:[0-5][0-9]$/.test(duration)) {
-      throw new Error(`Invalid duration "${duration}": must contain a value of the form "HH:mm"`)
+  getLatestTeamEntry () {
+    if (this.#teams.length === 0) {
+      return null
     }
-    this.#duration = duration;
-    return this
+
+    return this.#teams[this.#teams.length - 1]
   }
 
   /**
-   * Get the duration for this break
-   * @returns {string|null} The duration for this break
+   * Get the most recent CompetitionTeam that the player has been registered with
+   *
+   * @returns {?CompetitionTeam} The most recent CompetitionTeam that the player has been registered with
    */
-  getDuration () {
-    return this.#duration
+  getCurrentTeam () {
+    const id = this.#teams.length > 0 ? this.#teams[this.#teams.length - 1].getID() : '';
+    return this.#competition.getTeam(id)
   }
 
   /**
-   * Set the name for this break
-   * @param {string|null} name The name for this break
-   * @returns {GroupBreak} This GroupBreak instance
+   * Get the CompetitionTeam that the player was registered with on a date, following the "from" and "until" dates of their team entries.
+   * A team entry without a "from" date counts as starting from the beginning of the competition, and one without an "until" date as
+   * continuing indefinitely.  Where more than one entry covers the date, the most recent entry is used
+   *
+   * @param {string} date The date, in the format YYYY-MM-DD
+   * @returns {CompetitionTeam} The CompetitionTeam that the player was registered with on the date, or the unknown team if there is none
    */
-  setName (name) {
+  getTeamOnDate (date) {
+    const teamEntry = this.#teams.findLast(entry => (entry.getFrom() === null || entry.getFrom() <= date) &&
+      (entry.getUntil() === null || entry.getUntil() >= date));
+    return this.#competition.getTeam(teamEntry === undefined ? '' : teamEntry.getID())
+  }
+
+  /**
+   * Check if a team entry exists with the given team ID
+   *
+   * @param {string} id the team ID to check for
+   * @returns {boolean} whether the player has ever been registered to the team with the given ID
+   */
+  hasTeamEntry (id) {
+    return this.#teams.some(team => team.getID() === id)
+  }
+
+  /**
+   * Removes up to "count" elements from the array of team entries, starting at element "start".
+   * This calls "splice" directly so has the same behaviour in terms of negative values and
+   * values out of bounds
+   *
+   * @param {number} start
+   * @param {number} count
+   * @returns {Player} this Player
+   */
+  spliceTeamEntries (start, count) {
+    return this.#record(() => {
+      this.#teams.splice(start, count);
+      return this
+    })
+  }
+
+  /**
+   * Get the notes for this player.
+   *
+   * @returns {string|null} The notes for this player
+   */
+  getNotes () {
+    return this.#notes
+  }
+
+  /**
+   * Set the notes for this player.
+   *
+   * @param {string|null} notes The notes for this player
+   * @returns {Player} this Player
+   */
+  setNotes (notes) {
+    return this.#record(() => {
+      this.#notes = notes;
+      return this
+    })
+  }
+
+  /**
+   * Check that a player name is valid
+   *
+   * @param {string} name The name to check
+   * @returns {string} The name
+   * @throws {Error} If the name is invalid
+   * @private
+   */
+  static #checkName (name) {
     if (name.length > 1000 || name.length < 1) {
-      throw new Error('Invalid break name: must be between 1 and 1000 characters long')
+      throw new Error('Invalid player name: must be between 1 and 1000 characters long')
     }
-    this.#name = name;
-    return this
+    return name
   }
 
   /**
-   * Get the name for this break
-   * @returns {string|null} The name for this break
+   * Make a change to this player, recording it in the competition's change history
+   *
+   * @param {function(): any} change Make the change
+   * @returns {any} The value returned by the change
+   * @private
    */
-  getName () {
-    return this.#name
+  #record (change) {
+    return this.#competition.recordChange(() => this.#snapshot(), snapshot => this.#restore(snapshot), change)
+  }
+
+  /**
+   * Get the state of this player, for the change history
+   *
+   * @returns {object} The state
+   * @private
+   */
+  #snapshot () {
+    return {
+      name: this.#name,
+      number: this.#number,
+      teams: [...this.#teams],
+      notes: this.#notes
+    }
+  }
+
+  /**
+   * Restore this player to a state from the change history
+   *
+   * @param {object} snapshot The state to restore
+   * @private
+   */
+  #restore (snapshot) {
+    this.#name = snapshot.name;
+    this.#number = snapshot.number;
+    this.#teams = [...snapshot.teams];
+    this.#notes = snapshot.notes;
   }
 }
 
+class ScheduleConflictType {
+  static TEAM_PLAYING_TWICE = 'teamPlayingTwice'
+  static TEAM_PLAYING_AND_OFFICIATING = 'teamPlayingAndOfficiating'
+  static TEAM_OFFICIATING_TWICE = 'teamOfficiatingTwice'
+  static COURT_DOUBLE_BOOKED = 'courtDoubleBooked'
+}
+
 /**
  * Represents a manager for a match in a competition.
  */
@@ -1808,3420 +3226,6157 @@ class MatchManager {
   }
 }
 
+class MatchType {
+  static CONTINUOUS = 'continuous'
+  static SETS = 'sets'
+}
+
 /**
- * Represents a team that plays in a match.
+ * The match sheet for a team in a match with a match type of "sets".  For each set, this records the team's starting line-up, the
+ * substitutions and libero replacements made (with the score when they were made) and the timeouts taken.  The number of substitutions
+ * and timeouts in a set are limited by the group's set configuration
  */
-class MatchTeam {
+class MatchSheet {
   /**
-   * The identifier for the team. This may be an exact identifier or a team reference.
-   * @type {string}
+   * The team that this match sheet is for
+   * @type {MatchTeam}
    * @private
    */
-  #id
+  #matchTeam
 
   /**
-   * This team's most valuable player award.
-   * @type {Player|null}
+   * The line-up, substitutions, libero replacements and timeouts for each set that has been started
+   * @type {Array<{lineup: Array<Player>, substitutions: Array<{playerOut: Player, playerIn: Player, score: Array<number>}>, liberoReplacements: Array<{libero: Player, player: Player, score: Array<number>}>, timeouts: Array<{score: Array<number>}>}>}
    * @private
    */
-  #mvp
+  #sets
 
   /**
-   * Did this team forfeit the match.
-   * @type {boolean}
-   * @private
+   * Create an empty match sheet for a team
+   *
+   * @param {MatchTeam} matchTeam The team that this match sheet is for
+   * @throws {Error} If the match type is continuous
    */
-  #forfeit
+  constructor (matchTeam) {
+    this.#matchTeam = matchTeam;
+    this.#sets = [];
+    if (matchTeam.getMatch().getGroup().getMatchType() !== MatchType.SETS) {
+      throw new Error(`Cannot record a match sheet for ${this.#describe()}: the match type is continuous`)
+    }
+  }
 
   /**
-   * Does this team get any bonus points in the league.
-   * This is separate from any league points calculated from the match result, and is added to their league points.
-   * @type {number}
-   * @private
+   * Load a match sheet from its serialized data.  The players are not checked against the players currently registered to the team,
+   * so that a match sheet can still be loaded after a player has moved to another team
+   *
+   * @param {MatchTeam} matchTeam The team that this match sheet is for
+   * @param {object} sheetData The serialized match sheet
+   * @returns {MatchSheet} The match sheet
+   * @throws {Error} If a player does not exist, or the match sheet breaks the limits in the group's set configuration
    */
-  #bonusPoints
+  static loadFromData (matchTeam, sheetData) {
+    const matchSheet = new MatchSheet(matchTeam);
+    const competition = matchTeam.getMatch().getGroup().getCompetition();
+    const getPlayer = playerRef => competition.getPlayer(playerRef.match(/^{(.*)}$/)[1]);
+
+    sheetData.sets.forEach((setData, setIndex) => {
+      matchSheet.#setLineup(setIndex, setData.lineup.map(getPlayer));
+      setData.substitutions.forEach(substitution => {
+        matchSheet.#addSubstitution(setIndex, getPlayer(substitution.playerOut), getPlayer(substitution.playerIn), substitution.score);
+      });
+      setData.liberoReplacements.forEach(replacement => {
+        matchSheet.#addLiberoReplacement(setIndex, getPlayer(replacement.libero), getPlayer(replacement.player), replacement.score);
+      });
+      setData.timeouts.forEach(timeout => {
+        matchSheet.#addTimeout(setIndex, timeout.score);
+      });
+    });
+    return matchSheet
+  }
 
   /**
-   * Does this team receive any penalty points in the league.
-   * This is separate from any league points calculated from the match result, and is subtracted from their league points.
-   * @type {number}
-   * @private
+   * Return the match sheet in a form suitable for serializing
+   *
+   * @returns {object} The serialized match sheet
    */
-  #penaltyPoints
+  serialize () {
+    const playerRef = player => `{${player.getID()}}`;
+    return {
+      sets: this.#sets.map(set => ({
+        lineup: set.lineup.map(playerRef),
+        substitutions: set.substitutions.map(substitution => ({
+          playerOut: playerRef(substitution.playerOut),
+          playerIn: playerRef(substitution.playerIn),
+          score: [...substitution.score]
+        })),
+        liberoReplacements: set.liberoReplacements.map(replacement => ({
+          libero: playerRef(replacement.libero),
+          player: playerRef(replacement.player),
+          score: [...replacement.score]
+        })),
+        timeouts: set.timeouts.map(timeout => ({ score: [...timeout.score] }))
+      }))
+    }
+  }
 
   /**
-   * Free form string to add notes about the team relating to this match.
-   * This can be used for arbitrary content that various implementations can use.
-   * @type {string|null}
-   * @private
+   * Get the team that this match sheet is for
+   *
+   * @returns {MatchTeam} The team
    */
-  #notes
+  getMatchTeam () {
+    return this.#matchTeam
+  }
 
   /**
-   * The list of players from this team that played in this match.
-   * @type {Player[]}
-   * @private
+   * Get the number of sets that have a line-up in this match sheet
+   *
+   * @returns {number} The number of sets
    */
-  #players
+  getSetCount () {
+    return this.#sets.length
+  }
 
   /**
-   * The match this team is playing in.
-   * @type {MatchInterface}
-   * @private
+   * Get the starting line-up for a set
+   *
+   * @param {number} setIndex The set, counting from 0
+   * @returns {Array<Player>} The players in the starting line-up
+   * @throws {Error} If the set has no line-up
    */
-  #match
+  getLineup (setIndex) {
+    return [...this.#getSet(setIndex).lineup]
+  }
 
   /**
-   * Contains the team data of a match, creating any metadata needed.
-   * @param {MatchInterface} match The match this team is playing in.
-   * @param {string} id The identifier for the team.
+   * Get the substitutions made in a set, in the order they were made
+   *
+   * @param {number} setIndex The set, counting from 0
+   * @returns {Array<{playerOut: Player, playerIn: Player, score: Array<number>}>} The substitutions
+   * @throws {Error} If the set has no line-up
    */
-  constructor (match, id) {
-    this.#match = match;
-    this.#id = id;
-    this.#mvp = null;
-    this.#forfeit = false;
-    this.#bonusPoints = 0;
-    this.#penaltyPoints = 0;
-    this.#notes = null;
-    this.#players = [];
+  getSubstitutions (setIndex) {
+    return this.#getSet(setIndex).substitutions.map(substitution => ({ ...substitution, score: [...substitution.score] }))
   }
 
   /**
-   * Load team data from a given object.
-   * @param {MatchInterface} match The match this team is playing in.
-   * @param {object} teamData The data defining this Team.
-   * @returns {MatchTeam} The match team instance.
+   * Get the libero replacements made in a set, in the order they were made
+   *
+   * @param {number} setIndex The set, counting from 0
+   * @returns {Array<{libero: Player, player: Player, score: Array<number>}>} The libero replacements
+   * @throws {Error} If the set has no line-up
    */
-  static loadFromData (match, teamData) {
-    const team = new MatchTeam(match, teamData.id);
-    if (Object.hasOwn(teamData, 'mvp')) {
-      const mvpMatch = teamData.mvp.match(/^{(.*)}$/);
-      if (mvpMatch !== null) {
-        team.setMVP(match.getGroup().getStage().getCompetition().getPlayer(mvpMatch[1]));
-      } else {
-        team.setMVP(new Player(match.getGroup().getStage().getCompetition(), Player.UNREGISTERED_PLAYER_ID, teamData.mvp));
-      }
-    }
-    if (Object.hasOwn(teamData, 'forfeit')) {
-      team.setForfeit(teamData.forfeit);
-    }
-    if (Object.hasOwn(teamData, 'bonusPoints')) {
-      team.setBonusPoints(teamData.bonusPoints);
-    }
-    if (Object.hasOwn(teamData, 'penaltyPoints')) {
-      team.setPenaltyPoints(teamData.penaltyPoints);
-    }
-    if (Object.hasOwn(teamData, 'notes')) {
-      team.setNotes(teamData.notes);
-    }
-    if (Object.hasOwn(teamData, 'players')) {
-      const players = [];
-      teamData.players.forEach(playerData => {
-        const playerRefMatch = playerData.match(/^{(.*)}$/);
-        if (playerRefMatch !== null) {
-          players.push(match.getGroup().getStage().getCompetition().getPlayer(playerRefMatch[1]));
-        } else {
-          players.push(new Player(match.getGroup().getStage().getCompetition(), Player.UNREGISTERED_PLAYER_ID, playerData));
-        }
-      });
-      team.setPlayers(players);
-    }
-    return team
+  getLiberoReplacements (setIndex) {
+    return this.#getSet(setIndex).liberoReplacements.map(replacement => ({ ...replacement, score: [...replacement.score] }))
   }
 
   /**
-   * Return the team data in a form suitable for serializing
+   * Get the timeouts taken in a set, in the order they were taken
    *
-   * @returns {object} The serialized team data.
+   * @param {number} setIndex The set, counting from 0
+   * @returns {Array<{score: Array<number>}>} The timeouts
+   * @throws {Error} If the set has no line-up
    */
-  serialize () {
-    const matchTeam = {
-      id: this.#id,
-      scores: this.getScores()
-    };
-
-    if (this.#mvp !== null) {
-      if (this.#mvp.getID() === Player.UNREGISTERED_PLAYER_ID) {
-        matchTeam.mvp = this.#mvp.getName();
-      } else {
-        matchTeam.mvp = `{${this.#mvp.getID()}}`;
-      }
-    }
-
-    matchTeam.forfeit = this.#forfeit;
-    matchTeam.bonusPoints = this.#bonusPoints;
-    matchTeam.penaltyPoints = this.#penaltyPoints;
-
-    if (this.#players.length > 0) {
-      const players = [];
-      this.#players.forEach(player => {
-        if (player.getID() === Player.UNREGISTERED_PLAYER_ID) {
-          players.push(player.getName());
-        } else {
-          players.push(`{${player.getID()}}`);
-        }
-      });
-      matchTeam.players = players;
-    }
-
-    if (this.#notes !== null) {
-      matchTeam.notes = this.#notes;
-    }
+  getTimeouts (setIndex) {
+    return this.#getSet(setIndex).timeouts.map(timeout => ({ score: [...timeout.score] }))
+  }
 
-    return matchTeam
+  /**
+   * Get the players on court in a set after all of the substitutions so far.  Libero replacements are not included
+   *
+   * @param {number} setIndex The set, counting from 0
+   * @returns {Array<Player>} The players on court, in line-up order
+   * @throws {Error} If the set has no line-up
+   */
+  getPlayersOnCourt (setIndex) {
+    const set = this.#getSet(setIndex);
+    return set.lineup.map(player => set.substitutions.reduce((onCourt, substitution) => substitution.playerOut === onCourt ? substitution.playerIn : onCourt, player))
   }
 
   /**
-   * Get the match the team is playing in.
-   * @returns {MatchInterface} The match this team plays in.
+   * Set the starting line-up for a set.  This starts the next set when the set index is the number of sets so far, otherwise it
+   * replaces the line-up of a set that has no substitutions yet
+   *
+   * @param {number} setIndex The set, counting from 0
+   * @param {Array<Player>} lineup The players in the starting line-up
+   * @returns {MatchSheet} This match sheet
+   * @throws {Error} If a player is not in the team or is listed more than once, the set cannot be started, or the set already has
+   *                 substitutions
    */
-  getMatch () {
-    return this.#match
+  setLineup (setIndex, lineup) {
+    lineup.forEach(player => this.#assertPlayerInTeam(player));
+    return this.#record(() => this.#setLineup(setIndex, lineup))
   }
 
   /**
-   * Get the ID of the team.
-   * @returns {string} The team ID.
+   * Record a substitution in a set
+   *
+   * @param {number} setIndex The set, counting from 0
+   * @param {Player} playerOut The player leaving the court
+   * @param {Player} playerIn The player coming on to the court
+   * @param {Array<number>} score The score when the substitution was made, as this team's score followed by the opposing team's score
+   * @returns {MatchSheet} This match sheet
+   * @throws {Error} If a player is not in the team, the player leaving is not on court, the player coming on is already on court, or
+   *                 the team has already made the maximum number of substitutions in the set
    */
-  getID () {
-    return this.#id
+  addSubstitution (setIndex, playerOut, playerIn, score) {
+    this.#assertPlayerInTeam(playerOut);
+    this.#assertPlayerInTeam(playerIn);
+    return this.#record(() => this.#addSubstitution(setIndex, playerOut, playerIn, score))
   }
 
   /**
-   * Set whether the team forfeited the match
-   * @param {boolean} forfeit Whether the team forfeited the match
-   * @returns {MatchTeam} The MatchTeam instance
+   * Record a libero replacement in a set.  Libero replacements do not count as substitutions
+   *
+   * @param {number} setIndex The set, counting from 0
+   * @param {Player} libero The libero
+   * @param {Player} player The player that the libero replaced
+   * @param {Array<number>} score The score when the replacement was made, as this team's score followed by the opposing team's score
+   * @returns {MatchSheet} This match sheet
+   * @throws {Error} If a player is not in the team, the replaced player is not on court, or the libero is already on court
    */
-  setForfeit (forfeit) {
-    this.#forfeit = forfeit;
-    return this
+  addLiberoReplacement (setIndex, libero, player, score) {
+    this.#assertPlayerInTeam(libero);
+    this.#assertPlayerInTeam(player);
+    return this.#record(() => this.#addLiberoReplacement(setIndex, libero, player, score))
   }
 
   /**
-   * Get whether the team forfeited the match
-   * @returns {boolean} Whether the team forfeited the match
+   * Record a timeout in a set
+   *
+   * @param {number} setIndex The set, counting from 0
+   * @param {Array<number>} score The score when the timeout was taken, as this team's score followed by the opposing team's score
+   * @returns {MatchSheet} This match sheet
+   * @throws {Error} If the team has already taken the maximum number of timeouts in the set
    */
-  getForfeit () {
-    return this.#forfeit
+  addTimeout (setIndex, score) {
+    return this.#record(() => this.#addTimeout(setIndex, score))
   }
 
   /**
-   * Get the array of scores for this team in this match
-   * @returns {number[]} The team's scores
+   * Set the starting line-up for a set, without checking the players against the team
+   *
+   * @param {number} setIndex The set, counting from 0
+   * @param {Array<Player>} lineup The players in the starting line-up
+   * @returns {MatchSheet} This match sheet
+   * @private
    */
-  getScores () {
-    if (this.#match.getHomeTeam().getID() === this.#id) {
-      return this.#match.getHomeTeamScores()
+  #setLineup (setIndex, lineup) {
+    const maxSets = this.#matchTeam.getMatch().getGroup().getSetConfig().getMaxSets();
+    if (setIndex > this.#sets.length || setIndex >= maxSets) {
+      throw new Error(`Invalid match sheet for ${this.#describe()}: cannot start the set at index ${setIndex}`)
     }
-    return this.#match.getAwayTeamScores()
+    lineup.forEach((player, i) => {
+      if (lineup.indexOf(player) !== i) {
+        throw new Error(`Invalid match sheet for ${this.#describe()}: player {${player.getID()}} is in the line-up for the set at index ${setIndex} more than once`)
+      }
+    });
+
+    if (setIndex === this.#sets.length) {
+      this.#sets.push({ lineup: [...lineup], substitutions: [], liberoReplacements: [], timeouts: [] });
+    } else if (this.#sets[setIndex].substitutions.length > 0) {
+      throw new Error(`Invalid match sheet for ${this.#describe()}: cannot change the line-up for the set at index ${setIndex} after substitutions have been made`)
+    } else {
+      this.#sets[setIndex] = { ...this.#sets[setIndex], lineup: [...lineup] };
+    }
+    return this
   }
 
   /**
-   * Set the bonus points for the team
-   * @param {number} bonusPoints The bonus points for the team
-   * @returns {MatchTeam} The MatchTeam instance
+   * Record a substitution in a set, without checking the players against the team
+   *
+   * @param {number} setIndex The set, counting from 0
+   * @param {Player} playerOut The player leaving the court
+   * @param {Player} playerIn The player coming on to the court
+   * @param {Array<number>} score The score when the substitution was made
+   * @returns {MatchSheet} This match sheet
+   * @private
    */
-  setBonusPoints (bonusPoints) {
-    this.#bonusPoints = bonusPoints;
+  #addSubstitution (setIndex, playerOut, playerIn, score) {
+    const set = this.#getSet(setIndex);
+    const maxSubstitutions = this.#matchTeam.getMatch().getGroup().getSetConfig().getMaxSubstitutions();
+    if (set.substitutions.length >= maxSubstitutions) {
+      throw new Error(`Invalid match sheet for ${this.#describe()}: the team has already made ${maxSubstitutions} substitutions in the set at index ${setIndex}`)
+    }
+    this.#assertOnCourt(setIndex, playerOut, true);
+    this.#assertOnCourt(setIndex, playerIn, false);
+    this.#sets[setIndex] = { ...set, substitutions: [...set.substitutions, { playerOut, playerIn, score: [...score] }] };
     return this
   }
 
   /**
-   * Get the bonus points for the team
-   * @returns {number} The bonus points for the team
+   * Record a libero replacement in a set, without checking the players against the team
+   *
+   * @param {number} setIndex The set, counting from 0
+   * @param {Player} libero The libero
+   * @param {Player} player The player that the libero replaced
+   * @param {Array<number>} score The score when the replacement was made
+   * @returns {MatchSheet} This match sheet
+   * @private
    */
-  getBonusPoints () {
-    return this.#bonusPoints
+  #addLiberoReplacement (setIndex, libero, player, score) {
+    const set = this.#getSet(setIndex);
+    this.#assertOnCourt(setIndex, libero, false);
+    this.#assertOnCourt(setIndex, player, true);
+    this.#sets[setIndex] = { ...set, liberoReplacements: [...set.liberoReplacements, { libero, player, score: [...score] }] };
+    return this
   }
 
   /**
-   * Set the penalty points for the team
-   * @param {number} penaltyPoints The penalty points for the team
-   * @returns {MatchTeam} The MatchTeam instance
+   * Record a timeout in a set
+   *
+   * @param {number} setIndex The set, counting from 0
+   * @param {Array<number>} score The score when the timeout was taken
+   * @returns {MatchSheet} This match sheet
+   * @private
    */
-  setPenaltyPoints (penaltyPoints) {
-    this.#penaltyPoints = penaltyPoints;
+  #addTimeout (setIndex, score) {
+    const set = this.#getSet(setIndex);
+    const maxTimeouts = this.#matchTeam.getMatch().getGroup().getSetConfig().getMaxTimeouts();
+    if (set.timeouts.length >= maxTimeouts) {
+      throw new Error(`Invalid match sheet for ${this.#describe()}: the team has already taken ${maxTimeouts} timeouts in the set at index ${setIndex}`)
+    }
+    this.#sets[setIndex] = { ...set, timeouts: [...set.timeouts, { score: [...score] }] };
     return this
   }
 
   /**
-   * Get the penalty points for the team
-   * @returns {number} The penalty points for the team
+   * Get a set that has a line-up
+   *
+   * @param {number} setIndex The set, counting from 0
+   * @returns {object} The set
+   * @throws {Error} If the set has no line-up
+   * @private
    */
-  getPenaltyPoints () {
-    return this.#penaltyPoints
+  #getSet (setIndex) {
+    if (setIndex < 0 || setIndex >= this.#sets.length) {
+      throw new Error(`Invalid match sheet for ${this.#describe()}: the set at index ${setIndex} has no line-up`)
+    }
+    return this.#sets[setIndex]
   }
 
   /**
-   * Set the most valuable player for the team
-   * @param {Player|null} mvp The most valuable player for the team
-   * @returns {MatchTeam} The MatchTeam instance
+   * Check whether a player is, or is not, on court in a set
+   *
+   * @param {number} setIndex The set, counting from 0
+   * @param {Player} player The player to check
+   * @param {boolean} onCourt Whether the player should be on court
+   * @throws {Error} If the player is not where they should be
+   * @private
    */
-  setMVP (mvp) {
-    this.#mvp = mvp;
-    return this
+  #assertOnCourt (setIndex, player, onCourt) {
+    if (this.getPlayersOnCourt(setIndex).includes(player) !== onCourt) {
+      throw new Error(`Invalid match sheet for ${this.#describe()}: player {${player.getID()}} is ${onCourt ? 'not' : 'already'} on court in the set at index ${setIndex}`)
+    }
   }
 
   /**
-   * Get the most valuable player for the team
-   * @returns {Player|null} The most valuable player for the team
+   * Check that a player is registered to this team in the competition, on the date of the match when it has one and otherwise in
+   * their most recent team entry
+   *
+   * @param {Player} player The player to check
+   * @throws {Error} If the player is not registered to the team
+   * @private
    */
-  getMVP () {
-    return this.#mvp
+  #assertPlayerInTeam (player) {
+    const match = this.#matchTeam.getMatch();
+    const teamID = match.getGroup().getCompetition().getTeam(this.#matchTeam.getID()).getID();
+    const registeredTeam = match.getDate() === null ? player.getCurrentTeam() : player.getTeamOnDate(match.getDate());
+    if (player.getID() === Player.UNREGISTERED_PLAYER_ID || teamID === CompetitionTeam.UNKNOWN_TEAM_ID || registeredTeam.getID() !== teamID) {
+      throw new Error(`Invalid match sheet for ${this.#describe()}: player "${player.getName()}" is not registered to the team`)
+    }
   }
 
   /**
-   * Set notes for the team
-   * @param {string|null} notes The notes for the team
-   * @returns {MatchTeam} The MatchTeam instance
+   * Describe the team and match that this match sheet is for, for error messages
+   *
+   * @returns {string} The description
+   * @private
    */
-  setNotes (notes) {
-    this.#notes = notes;
-    return this
+  #describe () {
+    const match = this.#matchTeam.getMatch();
+    return `team "${this.#matchTeam.getID()}" in match {${match.getGroup().getStage().getID()}:${match.getGroup().getID()}:${match.getID()}}`
   }
 
   /**
-   * Get notes for the team
-   * @returns {string|null} The notes for the team
+   * Make a change to this match sheet, recording it in the competition's change history
+   *
+   * @param {function(): any} change Make the change
+   * @returns {any} The value returned by the change
+   * @private
    */
-  getNotes () {
-    return this.#notes
+  #record (change) {
+    return this.#matchTeam.getMatch().getGroup().getCompetition().recordChange(() => this.#snapshot(), snapshot => this.#restore(snapshot), change)
   }
 
   /**
-   * Set the players for the team
-   * @param {Array<Player>} players The players for the team
-   * @returns {MatchTeam} The MatchTeam instance
+   * Get the state of this match sheet, for the change history
+   *
+   * @returns {object} The state
+   * @private
    */
-  setPlayers (players) {
-    this.#players = players;
-    return this
+  #snapshot () {
+    return {
+      sets: [...this.#sets]
+    }
   }
 
   /**
-   * Get the players for the team
-   * @returns {Player[]} The players for the team
+   * Restore this match sheet to a state from the change history
+   *
+   * @param {object} snapshot The state to restore
+   * @private
    */
-  getPlayers () {
-    return this.#players
+  #restore (snapshot) {
+    this.#sets = [...snapshot.sets];
   }
 }
 
+class SanctionType {
+  static WARNING = 'warning'
+  static PENALTY = 'penalty'
+  static EXPULSION = 'expulsion'
+  static DISQUALIFICATION = 'disqualification'
+}
+
 /**
- * A match between two teams
+ * A sanction given to a team in a match, or to one of its players or team officials.  A sanction cannot be changed once it is created;
+ * delete it from the team and add a replacement instead
  */
-class IfUnknownMatch {
+class Sanction {
   /**
-   * An identifier for this match, i.e. a match number.  If the document uses any team references then all match
-   * identifiers in the document must be unique or a document reader's behaviour is undefined
-   * @type string
+   * The team in the match that the sanction was given to
+   * @type {MatchTeam}
    * @private
    */
-  #id
+  #matchTeam
 
   /**
-   * The court that a match takes place on
-   * @type {string|null}
+   * The type of sanction, one of the SanctionType values
+   * @type {string}
    * @private
    */
-  #court = null
+  #type
 
   /**
-   * The venue that a match takes place at
-   * @type {string|null}
+   * The player that the sanction was given to
+   * @type {Player|null}
    * @private
    */
-  #venue = null
+  #player
 
   /**
-   * The date of the match
+   * The name of the team official that the sanction was given to
    * @type {string|null}
    * @private
    */
-  #date = null
+  #official
 
   /**
-   * The start time for the warmup
-   * @type {string|null}
+   * The set that the sanction was given in, counting from 1
+   * @type {number|null}
    * @private
    */
-  #warmup = null
+  #set
 
   /**
-   * The start time for the match
-   * @type {string|null}
+   * The score when the sanction was given, as the team's score followed by the opposing team's score
+   * @type {Array<number>|null}
    * @private
    */
-  #start = null
+  #score
 
   /**
-   * The maximum duration of the match
+   * Free form notes about the sanction
    * @type {string|null}
    * @private
    */
-  #duration = null
-
-  /**
-   * The 'home' team for the match
-   * @type {MatchTeam}
-   * @private
-   */
-  #homeTeam
+  #notes
 
   /**
-   * The 'away' team for the match
-   * @type {MatchTeam}
-   * @private
+   * Create a sanction.  When neither a player nor a team official is given, the sanction is against the whole team
+   *
+   * @param {MatchTeam} matchTeam The team in the match that the sanction was given to
+   * @param {string} type The type of sanction, one of the SanctionType values
+   * @param {object} details The details of the sanction
+   * @param {Player} [details.player] The player that the sanction was given to
+   * @param {string} [details.official] The name of the team official that the sanction was given to
+   * @param {number} [details.set] The set that the sanction was given in, counting from 1
+   * @param {Array<number>} [details.score] The score when the sanction was given, as the team's score followed by the opposing team's score
+   * @param {string} [details.notes] Free form notes about the sanction
+   * @throws {Error} If the type is not a SanctionType value, or the sanction is against both a player and a team official
    */
-  #awayTeam
+  constructor (matchTeam, type, details = {}) {
+    if (!Object.values(SanctionType).includes(type)) {
+      throw new Error(`Invalid sanction type "${type}"`)
+    }
+    if (details.player !== undefined && details.official !== undefined) {
+      throw new Error('Invalid sanction: a sanction cannot be given to both a player and a team official')
+    }
+    this.#matchTeam = matchTeam;
+    this.#type = type;
+    this.#player = details.player ?? null;
+    this.#official = details.official ?? null;
+    this.#set = details.set ?? null;
+    this.#score = details.score === undefined ? null : [...details.score];
+    this.#notes = details.notes ?? null;
+  }
 
   /**
-   * The officials for this match
-   * @type {MatchOfficials|null}
-   * @private
+   * Load a sanction from its serialized data
+   *
+   * @param {MatchTeam} matchTeam The team in the match that the sanction was given to
+   * @param {object} sanctionData The serialized sanction
+   * @returns {Sanction} The sanction
    */
-  #officials = null
+  static loadFromData (matchTeam, sanctionData) {
+    const details = {};
+    if (Object.hasOwn(sanctionData, 'player')) {
+      const competition = matchTeam.getMatch().getGroup().getCompetition();
+      const playerRefMatch = sanctionData.player.match(/^{(.*)}$/);
+      if (playerRefMatch !== null) {
+        details.player = competition.getPlayer(playerRefMatch[1]);
+      } else {
+        details.player = new Player(competition, Player.UNREGISTERED_PLAYER_ID, sanctionData.player);
+      }
+    }
+    ['official', 'set', 'score', 'notes'].forEach(key => {
+      if (Object.hasOwn(sanctionData, key)) {
+        details[key] = sanctionData[key];
+      }
+    });
+    return new Sanction(matchTeam, sanctionData.type, details)
+  }
 
   /**
-   * A most valuable player award for the match
-   * @type {string|null}
-   * @private
+   * Return the sanction in a form suitable for serializing
+   *
+   * @returns {object} The serialized sanction
    */
-  #mvp = null
+  serialize () {
+    const sanction = {
+      type: this.#type
+    };
+    if (this.#player !== null) {
+      sanction.player = this.#player.getID() === Player.UNREGISTERED_PLAYER_ID ? this.#player.getName() : `{${this.#player.getID()}}`;
+    }
+    if (this.#official !== null) {
+      sanction.official = this.#official;
+    }
+    if (this.#set !== null) {
+      sanction.set = this.#set;
+    }
+    if (this.#score !== null) {
+      sanction.score = [...this.#score];
+    }
+    if (this.#notes !== null) {
+      sanction.notes = this.#notes;
+    }
+    return sanction
+  }
 
   /**
-   * The court manager in charge of this match
-   * @type {MatchManager|null}
-   * @private
+   * Get the team in the match that the sanction was given to
+   *
+   * @returns {MatchTeam} The team
    */
-  #manager = null
+  getMatchTeam () {
+    return this.#matchTeam
+  }
 
   /**
-   * Whether the match is a friendly.  These matches do not contribute toward a league position.  If a team only participates in friendly matches then they are not included in the league table at all
-   * @type {bool}
-   * @private
+   * Get the type of sanction
+   *
+   * @returns {string} One of the SanctionType values
    */
-  #friendly
+  getType () {
+    return this.#type
+  }
 
   /**
-   * Free form string to add notes about a match
-   * @type {string|null}
-   * @private
+   * Get the player that the sanction was given to
+   *
+   * @returns {Player|null} The player, or null when the sanction is not against a player
    */
-  #notes = null
+  getPlayer () {
+    return this.#player
+  }
 
   /**
-   * The Group or "IfUnknown" this match is in
-   * @type {IfUnknown}
-   * @private
+   * Get the name of the team official that the sanction was given to
+   *
+   * @returns {string|null} The team official's name, or null when the sanction is not against a team official
    */
-  #ifUnknown
+  getOfficial () {
+    return this.#official
+  }
 
   /**
-   * Creates an instance of IfUnknownMatch.
-   * @param {IfUnknown} ifUnknown The Group or "IfUnknown" this match is in
-   * @param {string} id An identifier for this match
-   * @throws {Error} If the two teams have scores arrays of different lengths
+   * Check whether the sanction is against the whole team rather than a player or team official
+   *
+   * @returns {boolean} Whether the sanction is against the team
    */
-  constructor (ifUnknown, id) {
-    if (ifUnknown.hasMatch(id)) {
-      throw new Error(`stage ID {${ifUnknown.getStage().getID()}}, ifUnknown: matches with duplicate IDs {${id}} not allowed`)
-    }
-
-    this.#ifUnknown = ifUnknown;
-    this.#id = id;
-    this.#court = null;
-    this.#venue = null;
-    this.#date = null;
-    this.#warmup = null;
-    this.#start = null;
-    this.#duration = null;
-    this.#homeTeam = null;
-    this.#awayTeam = null;
-    this.#officials = null;
-    this.#mvp = null;
-    this.#manager = null;
-    this.#friendly = null;
-    this.#notes = null;
+  isAgainstTeam () {
+    return this.#player === null && this.#official === null
   }
 
   /**
-   * Loads data from an object into the IfUnknownMatch instance
-   * @param {object} matchData The data defining this Match
-   * @returns {IfUnknownMatch} The updated IfUnknownMatch instance
+   * Get the set that the sanction was given in
+   *
+   * @returns {number|null} The set, counting from 1, or null when it is not known
    */
-  loadFromData (matchData) {
-    if (Object.hasOwn(matchData, 'court')) {
-      this.setCourt(matchData.court);
-    }
-    if (Object.hasOwn(matchData, 'venue')) {
-      this.setVenue(matchData.venue);
-    }
-    if (Object.hasOwn(matchData, 'date')) {
-      this.setDate(matchData.date);
-    }
-    if (Object.hasOwn(matchData, 'warmup')) {
-      this.setWarmup(matchData.warmup);
-    }
-    if (Object.hasOwn(matchData, 'start')) {
-      this.setStart(matchData.start);
-    }
-    if (Object.hasOwn(matchData, 'duration')) {
-      this.setDuration(matchData.duration);
-    }
-    if (Object.hasOwn(matchData, 'complete')) {
-      this.setComplete(matchData.complete);
-    }
-
-    this.setHomeTeam(MatchTeam.loadFromData(this, matchData.homeTeam));
-    this.setAwayTeam(MatchTeam.loadFromData(this, matchData.awayTeam));
-
-    if (Object.hasOwn(matchData, 'officials')) {
-      this.setOfficials(MatchOfficials$1.loadFromData(this, matchData.officials));
-    }
-    if (Object.hasOwn(matchData, 'mvp')) {
-      const mvpMatch = matchData.mvp.match(/^{(.*)}$/);
-      if (mvpMatch !== null) {
-        this.setMVP(this.getGroup().getStage().getCompetition().getPlayer(mvpMatch[1]));
-      } else {
-        this.setMVP(new Player(this.getGroup().getStage().getCompetition(), Player.UNREGISTERED_PLAYER_ID, matchData.mvp));
-      }
-    }
-    if (Object.hasOwn(matchData, 'manager')) {
-      this.setManager(MatchManager.loadFromData(this, matchData.manager));
-    }
-    if (Object.hasOwn(matchData, 'notes')) {
-      this.setNotes(matchData.notes);
-    }
-
-    return this
+  getSet () {
+    return this.#set
   }
 
   /**
-   * Returns the match data in a form suitable for serializing
+   * Get the score when the sanction was given
    *
-   * @returns {object} The match data
+   * @returns {Array<number>|null} The team's score followed by the opposing team's score, or null when it is not known
    */
-  serialize () {
-    const match = {};
-
-    match.id = this.#id;
-    match.type = 'match';
-
-    if (this.#court !== null) {
-      match.court = this.#court;
-    }
-    if (this.#venue !== null) {
-      match.venue = this.#venue;
-    }
-
-    if (this.#date !== null) {
-      match.date = this.#date;
-    }
-    if (this.#warmup !== null) {
-      match.warmup = this.#warmup;
-    }
-    if (this.#start !== null) {
-      match.start = this.#start;
-    }
-    if (this.#duration !== null) {
-      match.duration = this.#duration;
-    }
-    match.complete = false;
-
-    match.homeTeam = this.#homeTeam.serialize();
-    match.awayTeam = this.#awayTeam.serialize();
-
-    if (this.#officials !== null) {
-      match.officials = this.#officials.serialize();
-    }
-    if (this.#mvp !== null) {
-      if (this.#mvp.getID() === Player.UNREGISTERED_PLAYER_ID) {
-        match.mvp = this.#mvp.getName();
-      } else {
-        match.mvp = `{${this.#mvp.getID()}}`;
-      }
-    }
-    if (this.#manager !== null) {
-      match.manager = this.#manager.serialize();
-    }
-    if (this.#notes !== null) {
-      match.notes = this.#notes;
-    }
-    return match
+  getScore () {
+    return this.#score === null ? null : [...this.#score]
   }
 
   /**
-   * Get the IfUnknown this match is in
-   * @returns {IfUnknown} The IfUnknown instance this match is in
+   * Get the notes about the sanction
+   *
+   * @returns {string|null} The notes
    */
-  getIfUnknown () {
-    return this.#ifUnknown
+  getNotes () {
+    return this.#notes
   }
+}
 
+/**
+ * Represents a team that plays in a match.
+ */
+class MatchTeam {
   /**
-   * Get the "IfUnknown" this match is in
-   * @returns {Group|IfUnknown} The Group or IfUnknown instance this match is in
+   * The identifier for the team. This may be an exact identifier or a team reference.
+   * @type {string}
+   * @private
    */
-  getGroup () {
-    return this.#ifUnknown
-  }
+  #id
 
   /**
-   * Set the completion status of the match
-   * An "unknown" match cannot be complete, so this method does nothing.
-   * @param {boolean} complete Whether the match is complete or not
-   * @returns {IfUnknownMatch} The updated IfUnknownMatch instance
+   * This team's most valuable player award.
+   * @type {Player|null}
+   * @private
    */
-  setComplete () {
-    // "unknown" matches can't be complete, so ignore
-    return this
-  }
+  #mvp
 
   /**
-   * Check if the match is complete
-   * An "unknown" match cannot be complete.
-   * @returns {boolean} Always returns false
+   * Did this team forfeit the match.
+   * @type {boolean}
+   * @private
    */
-  isComplete () {
-    // "unknown" matches can't be complete
-    return false
-  }
+  #forfeit
 
   /**
-   * Check if the match is a draw
-   * Since an "unknown" match cannot be complete, it cannot be a draw either.
-   * @returns {boolean} Always returns false
+   * Does this team get any bonus points in the league.
+   * This is separate from any league points calculated from the match result, and is added to their league points.
+   * @type {number}
+   * @private
    */
-  isDraw () {
-    return false
-  }
+  #bonusPoints
 
   /**
-   * Get the ID of the match
-   * @returns {string} The ID of the match
+   * Does this team receive any penalty points in the league.
+   * This is separate from any league points calculated from the match result, and is subtracted from their league points.
+   * @type {number}
+   * @private
    */
-  getID () {
-    return this.#id
-  }
+  #penaltyPoints
 
   /**
-   * Set the court where the match takes place
-   * @param {string} court The court where the match takes place
-   * @returns {IfUnknownMatch} The updated IfUnknownMatch instance
-   * @throws {Error} If the court name is invalid
+   * Free form string to add notes about the team relating to this match.
+   * This can be used for arbitrary content that various implementations can use.
+   * @type {string|null}
+   * @private
    */
-  setCourt (court) {
-    if (court.length > 1000 || court.length < 1) {
-      throw new Error('Invalid court: must be between 1 and 1000 characters long')
-    }
-    this.#court = court;
-    return this
-  }
+  #notes
 
   /**
-   * Get the court where the match takes place
-   * @returns {string|null} The court where the match takes place
+   * The list of players from this team that played in this match.
+   * @type {Player[]}
+   * @private
    */
-  getCourt () {
-    return this.#court
-  }
+  #players
 
   /**
-   * Set the venue where the match takes place
-   * @param {string} venue The venue where the match takes place
-   * @returns {IfUnknownMatch} The updated IfUnknownMatch instance
-   * @throws {Error} If the venue name is invalid
+   * The team's line-ups, substitutions, libero replacements and timeouts in each set.
+   * @type {MatchSheet|null}
+   * @private
    */
-  setVenue (venue) {
-    if (venue.length > 10000 || venue.length < 1) {
-      throw new Error('Invalid venue: must be between 1 and 10000 characters long')
-    }
-    this.#venue = venue;
-    return this
+  #matchSheet
+
+  /**
+   * The sanctions given to this team, its players and its team officials in this match.
+   * @type {Sanction[]}
+   * @private
+   */
+  #sanctions
+
+  /**
+   * The match this team is playing in.
+   * @type {MatchInterface}
+   * @private
+   */
+  #match
+
+  /**
+   * Contains the team data of a match, creating any metadata needed.
+   * @param {MatchInterface} match The match this team is playing in.
+   * @param {string} id The identifier for the team.
+   */
+  constructor (match, id) {
+    this.#match = match;
+    this.#id = id;
+    this.#mvp = null;
+    this.#forfeit = false;
+    this.#bonusPoints = 0;
+    this.#penaltyPoints = 0;
+    this.#notes = null;
+    this.#players = [];
+    this.#matchSheet = null;
+    this.#sanctions = [];
   }
 
   /**
-   * Get the venue where the match takes place
-   * @returns {string|null} The venue where the match takes place
+   * Load team data from a given object.
+   * @param {MatchInterface} match The match this team is playing in.
+   * @param {object} teamData The data defining this Team.
+   * @returns {MatchTeam} The match team instance.
    */
-  getVenue () {
-    return this.#venue
+  static loadFromData (match, teamData) {
+    const team = new MatchTeam(match, teamData.id);
+    if (Object.hasOwn(teamData, 'mvp')) {
+      const mvpMatch = teamData.mvp.match(/^{(.*)}$/);
+      if (mvpMatch !== null) {
+        team.setMVP(match.getGroup().getStage().getCompetition().getPlayer(mvpMatch[1]));
+      } else {
+        team.setMVP(new Player(match.getGroup().getStage().getCompetition(), Player.UNREGISTERED_PLAYER_ID, teamData.mvp));
+      }
+    }
+    if (Object.hasOwn(teamData, 'forfeit')) {
+      team.setForfeit(teamData.forfeit);
+    }
+    if (Object.hasOwn(teamData, 'bonusPoints')) {
+      team.setBonusPoints(teamData.bonusPoints);
+    }
+    if (Object.hasOwn(teamData, 'penaltyPoints')) {
+      team.setPenaltyPoints(teamData.penaltyPoints);
+    }
+    if (Object.hasOwn(teamData, 'notes')) {
+      team.setNotes(teamData.notes);
+    }
+    if (Object.hasOwn(teamData, 'players')) {
+      const players = [];
+      teamData.players.forEach(playerData => {
+        const playerRefMatch = playerData.match(/^{(.*)}$/);
+        if (playerRefMatch !== null) {
+          players.push(match.getGroup().getStage().getCompetition().getPlayer(playerRefMatch[1]));
+        } else {
+          players.push(new Player(match.getGroup().getStage().getCompetition(), Player.UNREGISTERED_PLAYER_ID, playerData));
+        }
+      });
+      team.setPlayers(players);
+    }
+    if (Object.hasOwn(teamData, 'matchSheet')) {
+      team.setMatchSheet(MatchSheet.loadFromData(team, teamData.matchSheet));
+    }
+    if (Object.hasOwn(teamData, 'sanctions')) {
+      teamData.sanctions.forEach(sanctionData => team.addSanction(Sanction.loadFromData(team, sanctionData)));
+    }
+    return team
   }
 
   /**
-   * Set the date of the match
-   * @param {string} date The date of the match (format: YYYY-MM-DD)
-   * @returns {IfUnknownMatch} The updated IfUnknownMatch instance
-   * @throws {Error} If the date is invalid
+   * Return the team data in a form suitable for serializing
+   *
+   * @returns {object} The serialized team data.
    */
-  setDate (date) {
-    if (!/^[0-9]{4}-(0[0-9]|1[0-2])-(0[1-9]|[12][0-9]|3[01])$/.test(date)) {
-      throw new Error(`Invalid date "${date}": must contain a value of the form "YYYY-MM-DD"`)
+  serialize () {
+    const matchTeam = {
+      id: this.#id,
+      scores: this.getScores()
+    };
+
+    if (this.#mvp !== null) {
+      if (this.#mvp.getID() === Player.UNREGISTERED_PLAYER_ID) {
+        matchTeam.mvp = this.#mvp.getName();
+      } else {
+        matchTeam.mvp = `{${this.#mvp.getID()}}`;
+      }
     }
 
-    const d = new Date(date);
-    if (`${d.getFullYear()}-${(d.getMonth() + 1).toString().padStart(2, '0')}-${(d.getDate()).toString().padStart(2, '0')}` !== date) {
-      throw new Error(`Invalid date "${date}": date does not exist`)
+    matchTeam.forfeit = this.#forfeit;
+    matchTeam.bonusPoints = this.#bonusPoints;
+    matchTeam.penaltyPoints = this.#penaltyPoints;
+
+    if (this.#players.length > 0) {
+      const players = [];
+      this.#players.forEach(player => {
+        if (player.getID() === Player.UNREGISTERED_PLAYER_ID) {
+          players.push(player.getName());
+        } else {
+          players.push(`{${player.getID()}}`);
+        }
+      });
+      matchTeam.players = players;
     }
 
-    this.#date = date;
-    return this
+    if (this.#matchSheet !== null) {
+      matchTeam.matchSheet = this.#matchSheet.serialize();
+    }
+
+    if (this.#sanctions.length > 0) {
+      matchTeam.sanctions = this.#sanctions.map(sanction => sanction.serialize());
+    }
+
+    if (this.#notes !== null) {
+      matchTeam.notes = this.#notes;
+    }
+
+    return matchTeam
   }
 
   /**
-   * Get the date of the match
-   * @returns {string|null} The date of the match (format: YYYY-MM-DD)
+   * Get the match the team is playing in.
+   * @returns {MatchInterface} The match this team plays in.
    */
-  getDate () {
-    return this.#date
+  getMatch () {
+    return this.#match
   }
 
   /**
-   * Set the warmup start time of the match
-   * @param {string} warmup The warmup start time of the match (format: HH:mm)
-   * @returns {IfUnknownMatch} The updated IfUnknownMatch instance
-   * @throws {Error} If the warmup time is invalid
+   * Get the ID of the team.
+   * @returns {string} The team ID.
    */
-  setWarmup (warmup) {
-    if (!/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/.test(warmup)) {
-      throw new Error(`Invalid warmup time "${warmup}": must contain a value of the form "HH:mm" using a 24 hour clock`)
-    }
-    this.#warmup = warmup;
-    return this
+  getID () {
+    return this.#id
   }
 
   /**
-   * Get the warmup start time of the match
-   * @returns {string|null} The warmup start time of the match (format: HH:mm)
+   * Set whether the team forfeited the match
+   * @param {boolean} forfeit Whether the team forfeited the match
+   * @returns {MatchTeam} The MatchTeam instance
    */
-  getWarmup () {
-    return this.#warmup
+  setForfeit (forfeit) {
+    return this.#record(() => {
+      this.#forfeit = forfeit;
+      return this
+    })
   }
 
   /**
-   * Set the duration for the match
-   * @param {string} duration The duration for the match in the format "HH:mm"
-   * @returns {IfUnknownMatch} The updated IfUnknownMatch instance
-   * @throws {Error} If the duration is invalid
+   * Get whether the team forfeited the match
+   * @returns {boolean} Whether the team forfeited the match
    */
-  setDuration (duration) {
-    if (!/^[0-9]+:[0-5][0-9]$/.test(duration)) {
-      throw new Error(`Invalid duration "${duration}": must contain a value of the form "HH:mm"`)
-    }
-    this.#duration = duration;
-    return this
+  getForfeit () {
+    return this.#forfeit
   }
 
   /**
-   * Get the duration for the match
-   * @returns {string|null} The duration for the match in the format "HH:mm"
+   * Get the array of scores for this team in this match
+   * @returns {number[]} The team's scores
    */
-  getDuration () {
-    return this.#duration
+  getScores () {
+    if (this.#match.getHomeTeam().getID() === this.#id) {
+      return this.#match.getHomeTeamScores()
+    }
+    return this.#match.getAwayTeamScores()
   }
 
   /**
-   * Set the start time of the match
-   * @param {string} start The start time of the match (format: HH:mm)
-   * @returns {IfUnknownMatch} The updated IfUnknownMatch instance
-   * @throws {Error} If the start time is invalid
+   * Set the bonus points for the team
+   * @param {number} bonusPoints The bonus points for the team
+   * @returns {MatchTeam} The MatchTeam instance
    */
-  setStart (start) {
-    if (!/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/.test(start)) {
-      throw new Error(`Invalid start time "${start}": must contain a value of the form "HH:mm" using a 24 hour clock`)
-    }
-    this.#start = start;
-    return this
+  setBonusPoints (bonusPoints) {
+    return this.#record(() => {
+      this.#bonusPoints = bonusPoints;
+      return this
+    })
   }
 
   /**
-   * Get the start time of the match
-   * @returns {string|null} The start time of the match (format: HH:mm)
+   * Get the bonus points for the team
+   * @returns {number} The bonus points for the team
    */
-  getStart () {
-    return this.#start
+  getBonusPoints () {
+    return this.#bonusPoints
   }
 
   /**
-   * Set the manager for the match
-   * @param {MatchManager} manager The manager for the match
-   * @returns {IfUnknownMatch} The updated IfUnknownMatch instance
+   * Set the penalty points for the team
+   * @param {number} penaltyPoints The penalty points for the team
+   * @returns {MatchTeam} The MatchTeam instance
    */
-  setManager (manager) {
-    this.#manager = manager;
-    return this
+  setPenaltyPoints (penaltyPoints) {
+    return this.#record(() => {
+      this.#penaltyPoints = penaltyPoints;
+      return this
+    })
   }
 
   /**
-   * Get the manager for the match
-   * @returns {MatchManager|null} The manager for the match
+   * Get the penalty points for the team
+   * @returns {number} The penalty points for the team
    */
-  getManager () {
-    return this.#manager
+  getPenaltyPoints () {
+    return this.#penaltyPoints
   }
 
   /**
-   * Set the Most Valuable Player (MVP) for the match
-   * @param {string} mvp The Most Valuable Player for the match
-   * @returns {IfUnknownMatch} The updated IfUnknownMatch instance
-   * @throws {Error} If the MVP string is invalid
+   * Set the most valuable player for the team
+   * @param {Player|null} mvp The most valuable player for the team
+   * @returns {MatchTeam} The MatchTeam instance
    */
   setMVP (mvp) {
-    this.#mvp = mvp;
-    return this
+    return this.#record(() => {
+      this.#mvp = mvp;
+      return this
+    })
   }
 
   /**
-   * Get the Most Valuable Player (MVP) for the match
-   * @returns {string|null} The Most Valuable Player for the match
+   * Get the most valuable player for the team
+   * @returns {Player|null} The most valuable player for the team
    */
   getMVP () {
     return this.#mvp
   }
 
   /**
-   * Set notes for the match
-   * @param {string} notes Notes about the match
-   * @returns {IfUnknownMatch} The updated IfUnknownMatch instance
+   * Set notes for the team
+   * @param {string|null} notes The notes for the team
+   * @returns {MatchTeam} The MatchTeam instance
    */
   setNotes (notes) {
-    this.#notes = notes;
-    return this
+    return this.#record(() => {
+      this.#notes = notes;
+      return this
+    })
   }
 
   /**
-   * Get notes for the match
-   * @returns {string|null} Notes about the match
+   * Get notes for the team
+   * @returns {string|null} The notes for the team
    */
   getNotes () {
     return this.#notes
   }
 
   /**
-   * Set whether the match is a friendly match
-   * @param {boolean} friendly Whether the match is a friendly match
-   * @returns {IfUnknownMatch} The updated IfUnknownMatch instance
-   */
-  setFriendly (friendly) {
-    this.#friendly = friendly;
-    return this
-  }
-
-  /**
-   * Check if the match is a friendly match
-   * @returns {boolean} Whether the match is a friendly match
+   * Set the players for the team
+   * @param {Array<Player>} players The players for the team
+   * @returns {MatchTeam} The MatchTeam instance
    */
-  isFriendly () {
-    return this.#friendly
+  setPlayers (players) {
+    return this.#record(() => {
+      this.#players = players;
+      return this
+    })
   }
 
   /**
-   * Set the officials for the match
-   * @param {MatchOfficials} officials The officials for the match
-   * @returns {IfUnknownMatch} The updated IfUnknownMatch instance
+   * Get the players for the team
+   * @returns {Player[]} The players for the team
    */
-  setOfficials (officials) {
-    this.#officials = officials;
-    return this
+  getPlayers () {
+    return this.#players
   }
 
   /**
-   * Get the officials for the match
-   * @returns {MatchOfficials|null} The officials for the match
+   * Set the match sheet for the team
+   * @param {MatchSheet|null} matchSheet The match sheet for the team
+   * @returns {MatchTeam} The MatchTeam instance
    */
-  getOfficials () {
-    return this.#officials
+  setMatchSheet (matchSheet) {
+    return this.#record(() => {
+      this.#matchSheet = matchSheet;
+      return this
+    })
   }
 
   /**
-   * Check if the match has officials assigned
-   * @returns {boolean} Whether the match has officials assigned
+   * Get the match sheet for the team
+   * @returns {MatchSheet|null} The match sheet for the team
    */
-  hasOfficials () {
-    return !!this.#officials
+  getMatchSheet () {
+    return this.#matchSheet
   }
 
   /**
-   * Get the ID of the winning team
-   *
-   * @returns {string} The ID of the winning team
+   * Add a sanction given to the team, or to one of its players or team officials
+   * @param {Sanction} sanction The sanction to add
+   * @returns {MatchTeam} The MatchTeam instance
+   * @throws {Error} If the sanction was created for a different team
    */
-  getWinnerTeamID () {
-    return CompetitionTeam.UNKNOWN_TEAM_ID
+  addSanction (sanction) {
+    if (sanction.getMatchTeam() !== this) {
+      throw new Error(`Cannot add a sanction to team "${this.#id}" in match {${this.#match.getGroup().getStage().getID()}:${this.#match.getGroup().getID()}:${this.#match.getID()}}: the sanction was created for a different team`)
+    }
+    return this.#record(() => {
+      this.#sanctions = [...this.#sanctions, sanction];
+      return this
+    })
   }
 
   /**
-   * Get the ID of the losing team
-   *
-   * @returns {string} The ID of the losing team
+   * Delete a sanction from the team
+   * @param {Sanction} sanction The sanction to delete
+   * @returns {MatchTeam} The MatchTeam instance
    */
-  getLoserTeamID () {
-    return CompetitionTeam.UNKNOWN_TEAM_ID
+  deleteSanction (sanction) {
+    if (!this.#sanctions.includes(sanction)) {
+      return this
+    }
+    return this.#record(() => {
+      this.#sanctions = this.#sanctions.filter(el => el !== sanction);
+      return this
+    })
   }
 
   /**
-   * Get the scores of the home team
-   *
-   * @returns {array} The scores of the home team
+   * Get the sanctions given to the team, its players and its team officials, in the order they were added
+   * @returns {Sanction[]} The sanctions
    */
-  getHomeTeamScores () {
-    return []
+  getSanctions () {
+    return [...this.#sanctions]
   }
 
   /**
-   * Get the scores of the away team
+   * Make a change to this match team, recording it in the competition's change history
    *
-   * @returns {array} The scores of the away team
+   * @param {function(): any} change Make the change
+   * @returns {any} The value returned by the change
+   * @private
    */
-  getAwayTeamScores () {
-    return []
+  #record (change) {
+    return this.#match.getGroup().getCompetition().recordChange(() => this.#snapshot(), snapshot => this.#restore(snapshot), change)
   }
 
   /**
-   * Get the number of sets won by the home team
+   * Get the state of this match team, for the change history
    *
-   * @returns {number} The number of sets won by the home team
+   * @returns {object} The state
+   * @private
    */
-  getHomeTeamSets () {
-    return 0
+  #snapshot () {
+    return {
+      mvp: this.#mvp,
+      forfeit: this.#forfeit,
+      bonusPoints: this.#bonusPoints,
+      penaltyPoints: this.#penaltyPoints,
+      notes: this.#notes,
+      players: this.#players,
+      matchSheet: this.#matchSheet,
+      sanctions: this.#sanctions
+    }
   }
 
   /**
-   * Get the number of sets won by the away team
+   * Restore this match team to a state from the change history
    *
-   * @returns {number} The number of sets won by the away team
-   */
-  getAwayTeamSets () {
-    return 0
-  }
-
-  /**
-   * Set the away team for the match
-   * @param {MatchTeam} awayTeam The away team for the match
-   * @returns {IfUnknownMatch} The updated IfUnknownMatch instance
+   * @param {object} snapshot The state to restore
+   * @private
    */
-  setAwayTeam (awayTeam) {
-    this.#awayTeam = awayTeam;
-    return this
+  #restore (snapshot) {
+    this.#mvp = snapshot.mvp;
+    this.#forfeit = snapshot.forfeit;
+    this.#bonusPoints = snapshot.bonusPoints;
+    this.#penaltyPoints = snapshot.penaltyPoints;
+    this.#notes = snapshot.notes;
+    this.#players = snapshot.players;
+    this.#matchSheet = snapshot.matchSheet;
+    this.#sanctions = snapshot.sanctions;
+    this.#match.getGroup().invalidateResults();
   }
+}
 
+/**
+ * A match between two teams
+ */
+class IfUnknownMatch {
   /**
-   * Get the away team for the match
-   * @returns {MatchTeam|null} The away team for the match
+   * An identifier for this match, i.e. a match number.  If the document uses any team references then all match
+   * identifiers in the document must be unique or a document reader's behaviour is undefined
+   * @type string
+   * @private
    */
-  getAwayTeam () {
-    return this.#awayTeam
-  }
+  #id
 
   /**
-   * Set the home team for the match
-   * @param {MatchTeam} homeTeam The home team for the match
-   * @returns {IfUnknownMatch} The updated IfUnknownMatch instance
+   * The court that a match takes place on
+   * @type {string|null}
+   * @private
    */
-  setHomeTeam (homeTeam) {
-    this.#homeTeam = homeTeam;
-    return this
-  }
+  #court = null
 
   /**
-   * Get the home team for the match
-   * @returns {MatchTeam|null} The home team for the match
+   * The venue that a match takes place at
+   * @type {string|null}
+   * @private
    */
-  getHomeTeam () {
-    return this.#homeTeam
-  }
+  #venue = null
 
   /**
-   * An IfUnknown match has no scores so this function has no effect
-   *
-   * @returns IfUnknownMatch The updated IfUnknownMatch instance
+   * The date of the match
+   * @type {string|null}
+   * @private
    */
-  setScores () {
-    return this
-  }
-}
+  #date = null
 
-/**
- * Represents the officials for a match in a competition.
- */
-class MatchOfficials {
   /**
-   * The first referee
+   * The start time for the warmup
    * @type {string|null}
    * @private
    */
-  #first
+  #warmup = null
 
   /**
-   * The second referee
+   * The start time for the match
    * @type {string|null}
    * @private
    */
-  #second
+  #start = null
 
   /**
-   * The challenge referee, responsible for resolving challenges from the teams
+   * The maximum duration of the match
    * @type {string|null}
    * @private
    */
-  #challenge
+  #duration = null
 
   /**
-   * The assistant challenge referee, who assists the challenge referee
-   * @type {string|null}
+   * The 'home' team for the match
+   * @type {MatchTeam}
    * @private
    */
-  #assistantChallenge
+  #homeTeam
 
   /**
-   * The reserve referee
-   * @type {string|null}
+   * The 'away' team for the match
+   * @type {MatchTeam}
    * @private
    */
-  #reserve
+  #awayTeam
 
   /**
-   * The scorer
-   * @type {string|null}
+   * The officials for this match
+   * @type {MatchOfficials|null}
    * @private
    */
-  #scorer
+  #officials = null
 
   /**
-   * The assistant scorer
+   * A most valuable player award for the match
    * @type {string|null}
    * @private
    */
-  #assistantScorer
+  #mvp = null
 
   /**
-   * The list of linespersons
-   * @type {string[]}
+   * The court manager in charge of this match
+   * @type {MatchManager|null}
    * @private
    */
-  #linespersons
+  #manager = null
 
   /**
-   * The list of people in charge of managing the game balls
-   * @type {string[]}
+   * Whether the match is a friendly.  These matches do not contribute toward a league position.  If a team only participates in friendly matches then they are not included in the league table at all
+   * @type {bool}
    * @private
    */
-  #ballCrew
+  #friendly
 
   /**
-   * The team assigned to referee the match.
+   * Free form string to add notes about a match
    * @type {string|null}
    * @private
    */
-  #officialsTeam
+  #notes = null
 
   /**
-   * The match these Officials are in
-   * @type {MatchInterface}
+   * The Group or "IfUnknown" this match is in
+   * @type {IfUnknown}
    * @private
    */
-  #match
+  #ifUnknown
 
   /**
-   * Contains the officials data.
-   *
-   * @param {MatchInterface} match The Match these Officials are in
-   * @param {string|null} teamID The ID of the team officiating the match
-   * @param {string|null} first The name of the first referee
-   * @param {boolean|null} isUnknown Whether the team ID is unknown
-   * @throws {Error} If Match Officials must be either a team or a person
+   * Creates an instance of IfUnknownMatch.
+   * @param {IfUnknown} ifUnknown The Group or "IfUnknown" this match is in
+   * @param {string} id An identifier for this match
+   * @throws {Error} If the two teams have scores arrays of different lengths
    */
-  constructor (match, teamID, first = null, isUnknown = false) {
-    this.#match = match;
-    if (teamID !== null) {
-      this.setTeamID(teamID, isUnknown === true);
-      this.#first = null;
-    } else if (first !== null) {
-      this.setFirstRef(first);
-      this.#officialsTeam = null;
-    } else {
-      throw new Error('Match Officials must be either a team or a person')
+  constructor (ifUnknown, id) {
+    if (ifUnknown.hasMatch(id)) {
+      throw new Error(`stage ID {${ifUnknown.getStage().getID()}}, ifUnknown: matches with duplicate IDs {${id}} not allowed`)
     }
-    this.#second = null;
-    this.#challenge = null;
-    this.#assistantChallenge = null;
-    this.#reserve = null;
-    this.#scorer = null;
-    this.#assistantScorer = null;
-    this.#linespersons = [];
-    this.#ballCrew = [];
+
+    this.#ifUnknown = ifUnknown;
+    this.#id = id;
+    this.#court = null;
+    this.#venue = null;
+    this.#date = null;
+    this.#warmup = null;
+    this.#start = null;
+    this.#duration = null;
+    this.#homeTeam = null;
+    this.#awayTeam = null;
+    this.#officials = null;
+    this.#mvp = null;
+    this.#manager = null;
+    this.#friendly = null;
+    this.#notes = null;
   }
 
   /**
-   * Load match officials data from a given object.
-   *
-   * @param {MatchInterface} match The match these Officials are in
-   * @param {object} officialsData The data defining this match's Officials
-   * @returns {MatchOfficials} The match officials instance
+   * Loads data from an object into the IfUnknownMatch instance
+   * @param {object} matchData The data defining this Match
+   * @returns {IfUnknownMatch} The updated IfUnknownMatch instance
    */
-  static loadFromData (match, officialsData) {
-    let officials;
-    if (typeof officialsData === 'object' && officialsData.team !== undefined) {
-      officials = new MatchOfficials(match, officialsData.team, null, match instanceof IfUnknownMatch);
-    } else {
-      officials = new MatchOfficials(match, null, officialsData.first, match instanceof IfUnknownMatch);
-      if (Object.hasOwn(officialsData, 'second')) {
-        officials.setSecondRef(officialsData.second);
-      }
-      if (Object.hasOwn(officialsData, 'challenge')) {
-        officials.setChallengeRef(officialsData.challenge);
-      }
-      if (Object.hasOwn(officialsData, 'assistantChallenge')) {
-        officials.setAssistantChallengeRef(officialsData.assistantChallenge);
-      }
-      if (Object.hasOwn(officialsData, 'reserve')) {
-        officials.setReserveRef(officialsData.reserve);
-      }
-      if (Object.hasOwn(officialsData, 'scorer')) {
-        officials.setScorer(officialsData.scorer);
-      }
-      if (Object.hasOwn(officialsData, 'assistantScorer')) {
-        officials.setAssistantScorer(officialsData.assistantScorer);
-      }
-      if (Object.hasOwn(officialsData, 'linespersons')) {
-        officials.setLinespersons(officialsData.linespersons);
-      }
-      if (Object.hasOwn(officialsData, 'ballCrew')) {
-        officials.setBallCrew(officialsData.ballCrew);
+  loadFromData (matchData) {
+    if (Object.hasOwn(matchData, 'court')) {
+      this.setCourt(matchData.court);
+    }
+    if (Object.hasOwn(matchData, 'venue')) {
+      this.setVenue(matchData.venue);
+    }
+    if (Object.hasOwn(matchData, 'date')) {
+      this.setDate(matchData.date);
+    }
+    if (Object.hasOwn(matchData, 'warmup')) {
+      this.setWarmup(matchData.warmup);
+    }
+    if (Object.hasOwn(matchData, 'start')) {
+      this.setStart(matchData.start);
+    }
+    if (Object.hasOwn(matchData, 'duration')) {
+      this.setDuration(matchData.duration);
+    }
+    if (Object.hasOwn(matchData, 'complete')) {
+      this.setComplete(matchData.complete);
+    }
+
+    this.setHomeTeam(MatchTeam.loadFromData(this, matchData.homeTeam));
+    this.setAwayTeam(MatchTeam.loadFromData(this, matchData.awayTeam));
+
+    if (Object.hasOwn(matchData, 'officials')) {
+      this.setOfficials(MatchOfficials$1.loadFromData(this, matchData.officials));
+    }
+    if (Object.hasOwn(matchData, 'mvp')) {
+      const mvpMatch = matchData.mvp.match(/^{(.*)}$/);
+      if (mvpMatch !== null) {
+        this.setMVP(this.getGroup().getStage().getCompetition().getPlayer(mvpMatch[1]));
+      } else {
+        this.setMVP(new Player(this.getGroup().getStage().getCompetition(), Player.UNREGISTERED_PLAYER_ID, matchData.mvp));
       }
     }
+    if (Object.hasOwn(matchData, 'manager')) {
+      this.setManager(MatchManager.loadFromData(this, matchData.manager));
+    }
+    if (Object.hasOwn(matchData, 'notes')) {
+      this.setNotes(matchData.notes);
+    }
 
-    return officials
+    return this
   }
 
   /**
-   * Return the match officials definition in a form suitable for serializing
+   * Returns the match data in a form suitable for serializing
    *
-   * @returns {Object|string} The serialized match officials data
+   * @returns {object} The match data
    */
   serialize () {
-    const officials = {};
-    if (this.#officialsTeam !== null) {
-      officials.team = this.#officialsTeam;
-      return officials
+    const match = {};
+
+    match.id = this.#id;
+    match.type = 'match';
+
+    if (this.#court !== null) {
+      match.court = this.#court;
+    }
+    if (this.#venue !== null) {
+      match.venue = this.#venue;
     }
 
-    officials.first = this.#first;
-    if (this.#second !== null) {
-      officials.second = this.#second;
+    if (this.#date !== null) {
+      match.date = this.#date;
     }
-    if (this.#challenge !== null) {
-      officials.challenge = this.#challenge;
+    if (this.#warmup !== null) {
+      match.warmup = this.#warmup;
     }
-    if (this.#assistantChallenge !== null) {
-      officials.assistantChallenge = this.#assistantChallenge;
+    if (this.#start !== null) {
+      match.start = this.#start;
     }
-    if (this.#reserve !== null) {
-      officials.reserve = this.#reserve;
+    if (this.#duration !== null) {
+      match.duration = this.#duration;
     }
-    if (this.#scorer !== null) {
-      officials.scorer = this.#scorer;
+    match.complete = false;
+
+    match.homeTeam = this.#homeTeam.serialize();
+    match.awayTeam = this.#awayTeam.serialize();
+
+    if (this.#officials !== null) {
+      match.officials = this.#officials.serialize();
     }
-    if (this.#assistantScorer !== null) {
-      officials.assistantScorer = this.#assistantScorer;
+    if (this.#mvp !== null) {
+      if (this.#mvp.getID() === Player.UNREGISTERED_PLAYER_ID) {
+        match.mvp = this.#mvp.getName();
+      } else {
+        match.mvp = `{${this.#mvp.getID()}}`;
+      }
     }
-    if (this.#linespersons.length > 0) {
-      officials.linespersons = this.#linespersons;
+    if (this.#manager !== null) {
+      match.manager = this.#manager.serialize();
     }
-    if (this.#ballCrew.length > 0) {
-      officials.ballCrew = this.#ballCrew;
+    if (this.#notes !== null) {
+      match.notes = this.#notes;
     }
-
-    return officials
+    return match
   }
 
   /**
-   * Get the match this manager is managing.
-   *
-   * @returns {MatchInterface} The match being managed
+   * Get the IfUnknown this match is in
+   * @returns {IfUnknown} The IfUnknown instance this match is in
    */
-  getMatch () {
-    return this.#match
+  getIfUnknown () {
+    return this.#ifUnknown
   }
 
   /**
-   * Get whether the match official is a team or not.
-   *
-   * @returns {boolean} Whether the official is a team or not
+   * Get the "IfUnknown" this match is in
+   * @returns {Group|IfUnknown} The Group or IfUnknown instance this match is in
    */
-  isTeam () {
-    return this.#officialsTeam !== null
+  getGroup () {
+    return this.#ifUnknown
   }
 
   /**
-   * Get the ID of the team officiating the match.
-   *
-   * @returns {string|null} The team ID
+   * Set the completion status of the match
+   * An "unknown" match cannot be complete, so this method does nothing.
+   * @param {boolean} complete Whether the match is complete or not
+   * @returns {IfUnknownMatch} The updated IfUnknownMatch instance
    */
-  getTeamID () {
-    return this.#officialsTeam
+  setComplete () {
+    // "unknown" matches can't be complete, so ignore
+    return this
   }
 
   /**
-   * Set the officiating team.
-   *
-   * @param {string|null} id The ID of the officiating team
+   * Check if the match is complete
+   * An "unknown" match cannot be complete.
+   * @returns {boolean} Always returns false
    */
-  setTeamID (id, isUnknown = false) {
-    if (!isUnknown) {
-      this.#match.getGroup().getCompetition().validateTeamID(id, this.#match.getID(), 'officials');
-    }
-    this.#officialsTeam = id;
-    this.#first = null;
-    this.#second = null;
-    this.#challenge = null;
-    this.#assistantChallenge = null;
-    this.#reserve = null;
-    this.#scorer = null;
-    this.#assistantScorer = null;
-    this.#linespersons = [];
-    this.#ballCrew = [];
+  isComplete () {
+    // "unknown" matches can't be complete
+    return false
   }
 
   /**
-   * Get the first referee
-   *
-   * @returns {string|null} the name of the first referee
+   * Check if the match is a draw
+   * Since an "unknown" match cannot be complete, it cannot be a draw either.
+   * @returns {boolean} Always returns false
    */
-  getFirstRef () {
-    return this.#first
+  isDraw () {
+    return false
   }
 
   /**
-   * Set the first referee.
-   *
-   * @param {string|null} first The name of the first referee
+   * Get the ID of the match
+   * @returns {string} The ID of the match
    */
-  setFirstRef (first) {
-    this.#first = first;
-    this.#officialsTeam = null;
+  getID () {
+    return this.#id
   }
 
   /**
-   * Get whether the match has a second referee.
-   *
-   * @returns {boolean} Whether the match has a second referee
+   * Set the court where the match takes place
+   * @param {string} court The court where the match takes place
+   * @returns {IfUnknownMatch} The updated IfUnknownMatch instance
+   * @throws {Error} If the court name is invalid
    */
-  hasSecondRef () {
-    return this.#second !== null
+  setCourt (court) {
+    if (court.length > 1000 || court.length < 1) {
+      throw new Error('Invalid court: must be between 1 and 1000 characters long')
+    }
+    this.#court = court;
+    return this
   }
 
   /**
-   * Get the second referee.
-   *
-   * @returns {string|null} The name of the second referee
+   * Get the court where the match takes place
+   * @returns {string|null} The court where the match takes place
    */
-  getSecondRef () {
-    return this.#second
+  getCourt () {
+    return this.#court
   }
 
   /**
-   * Set the second referee.
-   *
-   * @param {string|null} second The name of the second referee
+   * Set the venue where the match takes place
+   * @param {string} venue The venue where the match takes place
+   * @returns {IfUnknownMatch} The updated IfUnknownMatch instance
+   * @throws {Error} If the venue name is invalid
    */
-  setSecondRef (second) {
-    this.#second = second;
-    this.#officialsTeam = null;
+  setVenue (venue) {
+    if (venue.length > 10000 || venue.length < 1) {
+      throw new Error('Invalid venue: must be between 1 and 10000 characters long')
+    }
+    this.#venue = venue;
+    return this
   }
 
   /**
-   * Get whether the match has a challenge referee.
-   *
-   * @returns {boolean} Whether the match has a challenge referee
+   * Get the venue where the match takes place
+   * @returns {string|null} The venue where the match takes place
    */
-  hasChallengeRef () {
-    return this.#challenge !== null
+  getVenue () {
+    return this.#venue
   }
 
   /**
-   * Get the challenge referee's name.
-   *
-   * @returns {string|null} The name of the challenge referee
+   * Set the date of the match
+   * @param {string} date The date of the match (format: YYYY-MM-DD)
+   * @returns {IfUnknownMatch} The updated IfUnknownMatch instance
+   * @throws {Error} If the date is invalid
    */
-  getChallengeRef () {
-    return this.#challenge
-  }
+  setDate (date) {
+    if (!/^[0-9]{4}-(0[0-9]|1[0-2])-(0[1-9]|[12][0-9]|3[01])$/.test(date)) {
+      throw new Error(`Invalid date "${date}": must contain a value of the form "YYYY-MM-DD"`)
+    }
+
+    const d = new Date(date);
+    if (`${d.getFullYear()}-${(d.getMonth() + 1).toString().padStart(2, '0')}-${(d.getDate()).toString().padStart(2, '0')}` !== date) {
+      throw new Error(`Invalid date "${date}": date does not exist`)
+    }
+
+    this.#date = date;
+    return this
+  }
 
   /**
-   * Set the challenge referee's name.
-   *
-   * @param {string|null} challenge The name of the challenge referee
+   * Get the date of the match
+   * @returns {string|null} The date of the match (format: YYYY-MM-DD)
    */
-  setChallengeRef (challenge) {
-    this.#challenge = challenge;
-    this.#officialsTeam = null;
+  getDate () {
+    return this.#date
   }
 
   /**
-   * Check if the match has an assistant challenge referee.
-   *
-   * @returns {boolean} Whether the match has an assistant challenge referee
+   * Set the warmup start time of the match
+   * @param {string} warmup The warmup start time of the match (format: HH:mm)
+   * @returns {IfUnknownMatch} The updated IfUnknownMatch instance
+   * @throws {Error} If the warmup time is invalid
    */
-  hasAssistantChallengeRef () {
-    return this.#assistantChallenge !== null
+  setWarmup (warmup) {
+    if (!/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/.test(warmup)) {
+      throw new Error(`Invalid warmup time "${warmup}": must contain a value of the form "HH:mm" using a 24 hour clock`)
+    }
+    this.#warmup = warmup;
+    return this
   }
 
   /**
-   * Get the name of the assistant challenge referee.
-   *
-   * @returns {string|null} The name of the assistant challenge referee
+   * Get the warmup start time of the match
+   * @returns {string|null} The warmup start time of the match (format: HH:mm)
    */
-  getAssistantChallengeRef () {
-    return this.#assistantChallenge
+  getWarmup () {
+    return this.#warmup
   }
 
   /**
-   * Set the name of the assistant challenge referee.
-   *
-   * @param {string|null} assistantChallenge The name of the assistant challenge referee
+   * Set the duration for the match
+   * @param {string} duration The duration for the match in the format "HH:mm"
+   * @returns {IfUnknownMatch} The updated IfUnknownMatch instance
+   * @throws {Error} If the duration is invalid
    */
-  setAssistantChallengeRef (assistantChallenge) {
-    this.#assistantChallenge = assistantChallenge;
-    this.#officialsTeam = null;
+  setDuration (duration) {
+    if (!/^[0-9]+:[0-5][0-9]$/.test(duration)) {
+      throw new Error(`Invalid duration "${duration}": must contain a value of the form "HH:mm"`)
+    }
+    this.#duration = duration;
+    return this
   }
 
   /**
-   * Check if the match has a reserve referee.
-   *
-   * @returns {boolean} Whether the match has a reserve referee
+   * Get the duration for the match
+   * @returns {string|null} The duration for the match in the format "HH:mm"
    */
-  hasReserveRef () {
-    return this.#reserve !== null
+  getDuration () {
+    return this.#duration
   }
 
   /**
-   * Get the name of the reserve referee.
-   *
-   * @returns {string|null} The name of the reserve referee
+   * Set the start time of the match
+   * @param {string} start The start time of the match (format: HH:mm)
+   * @returns {IfUnknownMatch} The updated IfUnknownMatch instance
+   * @throws {Error} If the start time is invalid
    */
-  getReserveRef () {
-    return this.#reserve
+  setStart (start) {
+    if (!/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/.test(start)) {
+      throw new Error(`Invalid start time "${start}": must contain a value of the form "HH:mm" using a 24 hour clock`)
+    }
+    this.#start = start;
+    return this
   }
 
   /**
-   * Set the name of the reserve referee.
-   *
-   * @param {string|null} reserve The name of the reserve referee
+   * Get the start time of the match
+   * @returns {string|null} The start time of the match (format: HH:mm)
    */
-  setReserveRef (reserve) {
-    this.#reserve = reserve;
-    this.#officialsTeam = null;
+  getStart () {
+    return this.#start
   }
 
   /**
-   * Check if the match has a scorer.
-   *
-   * @returns {boolean} Whether the match has a scorer
+   * Set the manager for the match
+   * @param {MatchManager} manager The manager for the match
+   * @returns {IfUnknownMatch} The updated IfUnknownMatch instance
    */
-  hasScorer () {
-    return this.#scorer !== null
+  setManager (manager) {
+    this.#manager = manager;
+    return this
   }
 
   /**
-   * Get the name of the scorer.
-   *
-   * @returns {string|null} The name of the scorer
+   * Get the manager for the match
+   * @returns {MatchManager|null} The manager for the match
    */
-  getScorer () {
-    return this.#scorer
+  getManager () {
+    return this.#manager
   }
 
   /**
-   * Set the name of the scorer.
-   *
-   * @param {string|null} scorer The name of the scorer
+   * Set the Most Valuable Player (MVP) for the match
+   * @param {string} mvp The Most Valuable Player for the match
+   * @returns {IfUnknownMatch} The updated IfUnknownMatch instance
+   * @throws {Error} If the MVP string is invalid
    */
-  setScorer (scorer) {
-    this.#scorer = scorer;
-    this.#officialsTeam = null;
+  setMVP (mvp) {
+    this.#mvp = mvp;
+    return this
   }
 
   /**
-   * Check if the match has an assistant scorer.
-   *
-   * @returns {boolean} Whether the match has an assistant scorer
+   * Get the Most Valuable Player (MVP) for the match
+   * @returns {string|null} The Most Valuable Player for the match
    */
-  hasAssistantScorer () {
-    return this.#assistantScorer !== null
+  getMVP () {
+    return this.#mvp
   }
 
   /**
-   * Get the name of the assistant scorer.
-   *
-   * @returns {string|null} The name of the assistant scorer
+   * Set notes for the match
+   * @param {string} notes Notes about the match
+   * @returns {IfUnknownMatch} The updated IfUnknownMatch instance
    */
-  getAssistantScorer () {
-    return this.#assistantScorer
+  setNotes (notes) {
+    this.#notes = notes;
+    return this
   }
 
   /**
-   * Set the name of the assistant scorer.
-   *
-   * @param {string|null} assistantScorer The name of the assistant scorer
+   * Get notes for the match
+   * @returns {string|null} Notes about the match
    */
-  setAssistantScorer (assistantScorer) {
-    this.#assistantScorer = assistantScorer;
-    this.#officialsTeam = null;
+  getNotes () {
+    return this.#notes
   }
 
   /**
-   * Check if the match has any linespersons.
-   *
-   * @returns {boolean} Whether the match has any linespersons
+   * Set whether the match is a friendly match
+   * @param {boolean} friendly Whether the match is a friendly match
+   * @returns {IfUnknownMatch} The updated IfUnknownMatch instance
    */
-  hasLinespersons () {
-    return this.#linespersons.length > 0
+  setFriendly (friendly) {
+    this.#friendly = friendly;
+    return this
   }
 
   /**
-   * Get the list of linespersons.
-   *
-   * @returns {string[]} The list of linespersons
+   * Check if the match is a friendly match
+   * @returns {boolean} Whether the match is a friendly match
    */
-  getLinespersons () {
-    return this.#linespersons
+  isFriendly () {
+    return this.#friendly
   }
 
   /**
-   * Set the list of linespersons.
-   *
-   * @param {string[]} linespersons The list of linespersons
+   * Set the officials for the match
+   * @param {MatchOfficials} officials The officials for the match
+   * @returns {IfUnknownMatch} The updated IfUnknownMatch instance
    */
-  setLinespersons (linespersons) {
-    this.#linespersons = linespersons;
-    this.#officialsTeam = null;
+  setOfficials (officials) {
+    this.#officials = officials;
+    return this
   }
 
   /**
-   * Check if the match has a ball crew.
-   *
-   * @returns {boolean} Whether the match has a ball crew
+   * Get the officials for the match
+   * @returns {MatchOfficials|null} The officials for the match
    */
-  hasBallCrew () {
-    return this.#ballCrew.length > 0
+  getOfficials () {
+    return this.#officials
   }
 
   /**
-   * Get the list of ball crew members.
-   *
-   * @returns {string[]} The list of ball crew members
+   * Check if the match has officials assigned
+   * @returns {boolean} Whether the match has officials assigned
    */
-  getBallCrew () {
-    return this.#ballCrew
+  hasOfficials () {
+    return !!this.#officials
   }
 
   /**
-   * Set the list of ball crew members.
+   * Get the ID of the winning team
    *
-   * @param {string[]} ballCrew The list of ball crew members
+   * @returns {string} The ID of the winning team
    */
-  setBallCrew (ballCrew) {
-    this.#ballCrew = ballCrew;
-    this.#officialsTeam = null;
+  getWinnerTeamID () {
+    return CompetitionTeam.UNKNOWN_TEAM_ID
   }
-}
 
-var MatchOfficials$1 = MatchOfficials;
+  /**
+   * Get the ID of the losing team
+   *
+   * @returns {string} The ID of the losing team
+   */
+  getLoserTeamID () {
+    return CompetitionTeam.UNKNOWN_TEAM_ID
+  }
 
-class MatchType {
-  static CONTINUOUS = 'continuous'
-  static SETS = 'sets'
-}
+  /**
+   * Get the scores of the home team
+   *
+   * @returns {array} The scores of the home team
+   */
+  getHomeTeamScores () {
+    return []
+  }
 
-/**
- * A match between two teams
- */
-class GroupMatch {
   /**
-   * An identifier for this match, i.e. a match number.  If the document uses any team references then all match
-   * identifiers in the document must be unique or a document reader's behaviour is undefined
+   * Get the scores of the away team
+   *
+   * @returns {array} The scores of the away team
    */
-  #id
+  getAwayTeamScores () {
+    return []
+  }
 
-  /** The court that a match takes place on */
-  #court
+  /**
+   * Get the number of sets won by the home team
+   *
+   * @returns {number} The number of sets won by the home team
+   */
+  getHomeTeamSets () {
+    return 0
+  }
+
+  /**
+   * Get the number of sets won by the away team
+   *
+   * @returns {number} The number of sets won by the away team
+   */
+  getAwayTeamSets () {
+    return 0
+  }
+
+  /**
+   * Set the away team for the match
+   * @param {MatchTeam} awayTeam The away team for the match
+   * @returns {IfUnknownMatch} The updated IfUnknownMatch instance
+   */
+  setAwayTeam (awayTeam) {
+    this.#awayTeam = awayTeam;
+    return this
+  }
+
+  /**
+   * Get the away team for the match
+   * @returns {MatchTeam|null} The away team for the match
+   */
+  getAwayTeam () {
+    return this.#awayTeam
+  }
+
+  /**
+   * Set the home team for the match
+   * @param {MatchTeam} homeTeam The home team for the match
+   * @returns {IfUnknownMatch} The updated IfUnknownMatch instance
+   */
+  setHomeTeam (homeTeam) {
+    this.#homeTeam = homeTeam;
+    return this
+  }
+
+  /**
+   * Get the home team for the match
+   * @returns {MatchTeam|null} The home team for the match
+   */
+  getHomeTeam () {
+    return this.#homeTeam
+  }
+
+  /**
+   * An IfUnknown match has no scores so this function has no effect
+   *
+   * @returns IfUnknownMatch The updated IfUnknownMatch instance
+   */
+  setScores () {
+    return this
+  }
+}
+
+/**
+ * Represents the officials for a match in a competition.
+ */
+class MatchOfficials {
+  /**
+   * The first referee
+   * @type {string|null}
+   * @private
+   */
+  #first
+
+  /**
+   * The second referee
+   * @type {string|null}
+   * @private
+   */
+  #second
+
+  /**
+   * The challenge referee, responsible for resolving challenges from the teams
+   * @type {string|null}
+   * @private
+   */
+  #challenge
+
+  /**
+   * The assistant challenge referee, who assists the challenge referee
+   * @type {string|null}
+   * @private
+   */
+  #assistantChallenge
+
+  /**
+   * The reserve referee
+   * @type {string|null}
+   * @private
+   */
+  #reserve
+
+  /**
+   * The scorer
+   * @type {string|null}
+   * @private
+   */
+  #scorer
+
+  /**
+   * The assistant scorer
+   * @type {string|null}
+   * @private
+   */
+  #assistantScorer
+
+  /**
+   * The list of linespersons
+   * @type {string[]}
+   * @private
+   */
+  #linespersons
+
+  /**
+   * The list of people in charge of managing the game balls
+   * @type {string[]}
+   * @private
+   */
+  #ballCrew
+
+  /**
+   * The team assigned to referee the match.
+   * @type {string|null}
+   * @private
+   */
+  #officialsTeam
+
+  /**
+   * The match these Officials are in
+   * @type {MatchInterface}
+   * @private
+   */
+  #match
+
+  /**
+   * Contains the officials data.
+   *
+   * @param {MatchInterface} match The Match these Officials are in
+   * @param {string|null} teamID The ID of the team officiating the match
+   * @param {string|null} first The name of the first referee
+   * @param {boolean|null} isUnknown Whether the team ID is unknown
+   * @throws {Error} If Match Officials must be either a team or a person
+   */
+  constructor (match, teamID, first = null, isUnknown = false) {
+    this.#match = match;
+    if (teamID !== null) {
+      this.setTeamID(teamID, isUnknown === true);
+      this.#first = null;
+    } else if (first !== null) {
+      this.setFirstRef(first);
+      this.#officialsTeam = null;
+    } else {
+      throw new Error('Match Officials must be either a team or a person')
+    }
+    this.#second = null;
+    this.#challenge = null;
+    this.#assistantChallenge = null;
+    this.#reserve = null;
+    this.#scorer = null;
+    this.#assistantScorer = null;
+    this.#linespersons = [];
+    this.#ballCrew = [];
+  }
+
+  /**
+   * Load match officials data from a given object.
+   *
+   * @param {MatchInterface} match The match these Officials are in
+   * @param {object} officialsData The data defining this match's Officials
+   * @returns {MatchOfficials} The match officials instance
+   */
+  static loadFromData (match, officialsData) {
+    let officials;
+    if (typeof officialsData === 'object' && officialsData.team !== undefined) {
+      officials = new MatchOfficials(match, officialsData.team, null, match instanceof IfUnknownMatch);
+    } else {
+      officials = new MatchOfficials(match, null, officialsData.first, match instanceof IfUnknownMatch);
+      if (Object.hasOwn(officialsData, 'second')) {
+        officials.setSecondRef(officialsData.second);
+      }
+      if (Object.hasOwn(officialsData, 'challenge')) {
+        officials.setChallengeRef(officialsData.challenge);
+      }
+      if (Object.hasOwn(officialsData, 'assistantChallenge')) {
+        officials.setAssistantChallengeRef(officialsData.assistantChallenge);
+      }
+      if (Object.hasOwn(officialsData, 'reserve')) {
+        officials.setReserveRef(officialsData.reserve);
+      }
+      if (Object.hasOwn(officialsData, 'scorer')) {
+        officials.setScorer(officialsData.scorer);
+      }
+      if (Object.hasOwn(officialsData, 'assistantScorer')) {
+        officials.setAssistantScorer(officialsData.assistantScorer);
+      }
+      if (Object.hasOwn(officialsData, 'linespersons')) {
+        officials.setLinespersons(officialsData.linespersons);
+      }
+      if (Object.hasOwn(officialsData, 'ballCrew')) {
+        officials.setBallCrew(officialsData.ballCrew);
+      }
+    }
+
+    return officials
+  }
+
+  /**
+   * Return the match officials definition in a form suitable for serializing
+   *
+   * @returns {Object|string} The serialized match officials data
+   */
+  serialize () {
+    const officials = {};
+    if (this.#officialsTeam !== null) {
+      officials.team = this.#officialsTeam;
+      return officials
+    }
+
+    officials.first = this.#first;
+    if (this.#second !== null) {
+      officials.second = this.#second;
+    }
+    if (this.#challenge !== null) {
+      officials.challenge = this.#challenge;
+    }
+    if (this.#assistantChallenge !== null) {
+      officials.assistantChallenge = this.#assistantChallenge;
+    }
+    if (this.#reserve !== null) {
+      officials.reserve = this.#reserve;
+    }
+    if (this.#scorer !== null) {
+      officials.scorer = this.#scorer;
+    }
+    if (this.#assistantScorer !== null) {
+      officials.assistantScorer = this.#assistantScorer;
+    }
+    if (this.#linespersons.length > 0) {
+      officials.linespersons = this.#linespersons;
+    }
+    if (this.#ballCrew.length > 0) {
+      officials.ballCrew = this.#ballCrew;
+    }
+
+    return officials
+  }
+
+  /**
+   * Get the match this manager is managing.
+   *
+   * @returns {MatchInterface} The match being managed
+   */
+  getMatch () {
+    return this.#match
+  }
+
+  /**
+   * Get whether the match official is a team or not.
+   *
+   * @returns {boolean} Whether the official is a team or not
+   */
+  isTeam () {
+    return this.#officialsTeam !== null
+  }
+
+  /**
+   * Get the ID of the team officiating the match.
+   *
+   * @returns {string|null} The team ID
+   */
+  getTeamID () {
+    return this.#officialsTeam
+  }
+
+  /**
+   * Set the officiating team.
+   *
+   * @param {string|null} id The ID of the officiating team
+   */
+  setTeamID (id, isUnknown = false) {
+    if (!isUnknown) {
+      this.#match.getGroup().getCompetition().validateTeamID(id, this.#match.getID(), 'officials');
+    }
+    this.#officialsTeam = id;
+    this.#first = null;
+    this.#second = null;
+    this.#challenge = null;
+    this.#assistantChallenge = null;
+    this.#reserve = null;
+    this.#scorer = null;
+    this.#assistantScorer = null;
+    this.#linespersons = [];
+    this.#ballCrew = [];
+  }
+
+  /**
+   * Get the first referee
+   *
+   * @returns {string|null} the name of the first referee
+   */
+  getFirstRef () {
+    return this.#first
+  }
+
+  /**
+   * Set the first referee.
+   *
+   * @param {string|null} first The name of the first referee
+   */
+  setFirstRef (first) {
+    this.#first = first;
+    this.#officialsTeam = null;
+  }
+
+  /**
+   * Get whether the match has a second referee.
+   *
+   * @returns {boolean} Whether the match has a second referee
+   */
+  hasSecondRef () {
+    return this.#second !== null
+  }
+
+  /**
+   * Get the second referee.
+   *
+   * @returns {string|null} The name of the second referee
+   */
+  getSecondRef () {
+    return this.#second
+  }
+
+  /**
+   * Set the second referee.
+   *
+   * @param {string|null} second The name of the second referee
+   */
+  setSecondRef (second) {
+    this.#second = second;
+    this.#officialsTeam = null;
+  }
+
+  /**
+   * Get whether the match has a challenge referee.
+   *
+   * @returns {boolean} Whether the match has a challenge referee
+   */
+  hasChallengeRef () {
+    return this.#challenge !== null
+  }
+
+  /**
+   * Get the challenge referee's name.
+   *
+   * @returns {string|null} The name of the challenge referee
+   */
+  getChallengeRef () {
+    return this.#challenge
+  }
+
+  /**
+   * Set the challenge referee's name.
+   *
+   * @param {string|null} challenge The name of the challenge referee
+   */
+  setChallengeRef (challenge) {
+    this.#challenge = challenge;
+    this.#officialsTeam = null;
+  }
+
+  /**
+   * Check if the match has an assistant challenge referee.
+   *
+   * @returns {boolean} Whether the match has an assistant challenge referee
+   */
+  hasAssistantChallengeRef () {
+    return this.#assistantChallenge !== null
+  }
+
+  /**
+   * Get the name of the assistant challenge referee.
+   *
+   * @returns {string|null} The name of the assistant challenge referee
+   */
+  getAssistantChallengeRef () {
+    return this.#assistantChallenge
+  }
+
+  /**
+   * Set the name of the assistant challenge referee.
+   *
+   * @param {string|null} assistantChallenge The name of the assistant challenge referee
+   */
+  setAssistantChallengeRef (assistantChallenge) {
+    this.#assistantChallenge = assistantChallenge;
+    this.#officialsTeam = null;
+  }
+
+  /**
+   * Check if the match has a reserve referee.
+   *
+   * @returns {boolean} Whether the match has a reserve referee
+   */
+  hasReserveRef () {
+    return this.#reserve !== null
+  }
+
+  /**
+   * Get the name of the reserve referee.
+   *
+   * @returns {string|null} The name of the reserve referee
+   */
+  getReserveRef () {
+    return this.#reserve
+  }
+
+  /**
+   * Set the name of the reserve referee.
+   *
+   * @param {string|null} reserve The name of the reserve referee
+   */
+  setReserveRef (reserve) {
+    this.#reserve = reserve;
+    this.#officialsTeam = null;
+  }
+
+  /**
+   * Check if the match has a scorer.
+   *
+   * @returns {boolean} Whether the match has a scorer
+   */
+  hasScorer () {
+    return this.#scorer !== null
+  }
+
+  /**
+   * Get the name of the scorer.
+   *
+   * @returns {string|null} The name of the scorer
+   */
+  getScorer () {
+    return this.#scorer
+  }
+
+  /**
+   * Set the name of the scorer.
+   *
+   * @param {string|null} scorer The name of the scorer
+   */
+  setScorer (scorer) {
+    this.#scorer = scorer;
+    this.#officialsTeam = null;
+  }
+
+  /**
+   * Check if the match has an assistant scorer.
+   *
+   * @returns {boolean} Whether the match has an assistant scorer
+   */
+  hasAssistantScorer () {
+    return this.#assistantScorer !== null
+  }
+
+  /**
+   * Get the name of the assistant scorer.
+   *
+   * @returns {string|null} The name of the assistant scorer
+   */
+  getAssistantScorer () {
+    return this.#assistantScorer
+  }
+
+  /**
+   * Set the name of the assistant scorer.
+   *
+   * @param {string|null} assistantScorer The name of the assistant scorer
+   */
+  setAssistantScorer (assistantScorer) {
+    this.#assistantScorer = assistantScorer;
+    this.#officialsTeam = null;
+  }
+
+  /**
+   * Check if the match has any linespersons.
+   *
+   * @returns {boolean} Whether the match has any linespersons
+   */
+  hasLinespersons () {
+    return this.#linespersons.length > 0
+  }
+
+  /**
+   * Get the list of linespersons.
+   *
+   * @returns {string[]} The list of linespersons
+   */
+  getLinespersons () {
+    return this.#linespersons
+  }
+
+  /**
+   * Set the list of linespersons.
+   *
+   * @param {string[]} linespersons The list of linespersons
+   */
+  setLinespersons (linespersons) {
+    this.#linespersons = linespersons;
+    this.#officialsTeam = null;
+  }
+
+  /**
+   * Check if the match has a ball crew.
+   *
+   * @returns {boolean} Whether the match has a ball crew
+   */
+  hasBallCrew () {
+    return this.#ballCrew.length > 0
+  }
+
+  /**
+   * Get the list of ball crew members.
+   *
+   * @returns {string[]} The list of ball crew members
+   */
+  getBallCrew () {
+    return this.#ballCrew
+  }
+
+  /**
+   * Set the list of ball crew members.
+   *
+   * @param {string[]} ballCrew The list of ball crew members
+   */
+  setBallCrew (ballCrew) {
+    this.#ballCrew = ballCrew;
+    this.#officialsTeam = null;
+  }
+}
+
+var MatchOfficials$1 = MatchOfficials;
+
+/**
+ * The point-by-point record of a match with a match type of "sets", for live scoring.  The set scores, the set being played and the
+ * team serving are all derived from the rallies using the group's set configuration: the team that wins a rally serves the next one,
+ * and the first serve of each set alternates between the teams
+ */
+class RallyLog {
+  static HOME = 'home'
+  static AWAY = 'away'
+
+  /**
+   * The match these rallies are in
+   * @type {GroupMatch}
+   * @private
+   */
+  #match
+
+  /**
+   * The team that served first in the first set, either "home" or "away"
+   * @type {string}
+   * @private
+   */
+  #firstServer
+
+  /**
+   * The team that won each rally, in the order they were played
+   * @type {Array<string>}
+   * @private
+   */
+  #rallies
+
+  /**
+   * The state of the match after the last rally, kept up to date as rallies are added so that adding a rally does not replay the log,
+   * or null when it needs working out again
+   * @type {{config: string, homeTeamScores: Array<number>, awayTeamScores: Array<number>, setsWon: object, setIndex: number, server: string}|null}
+   * @private
+   */
+  #state
+
+  /**
+   * Create an empty rally log for a match
+   *
+   * @param {GroupMatch} match The match these rallies are in
+   * @param {string} firstServer The team that serves first in the first set, either "home" or "away"
+   * @throws {Error} If the first server is not "home" or "away"
+   */
+  constructor (match, firstServer = RallyLog.HOME) {
+    RallyLog.#assertTeamValid(firstServer);
+    this.#match = match;
+    this.#firstServer = firstServer;
+    this.#rallies = [];
+    this.#state = null;
+  }
+
+  /**
+   * Load a rally log from its serialized data
+   *
+   * @param {GroupMatch} match The match these rallies are in
+   * @param {object} rallyData The serialized rally log
+   * @returns {RallyLog} The rally log
+   * @throws {Error} If a rally is invalid, or comes after the match is complete
+   */
+  static loadFromData (match, rallyData) {
+    const rallyLog = new RallyLog(match, rallyData.firstServer);
+    rallyData.points.forEach(team => rallyLog.addRally(team));
+    return rallyLog
+  }
+
+  /**
+   * Return the rally log in a form suitable for serializing
+   *
+   * @returns {object} The serialized rally log
+   */
+  serialize () {
+    return {
+      firstServer: this.#firstServer,
+      points: [...this.#rallies]
+    }
+  }
+
+  /**
+   * Get the match these rallies are in
+   *
+   * @returns {GroupMatch} The match
+   */
+  getMatch () {
+    return this.#match
+  }
+
+  /**
+   * Get the team that served first in the first set
+   *
+   * @returns {string} Either "home" or "away"
+   */
+  getFirstServer () {
+    return this.#firstServer
+  }
+
+  /**
+   * Get the team that won each rally, in the order they were played
+   *
+   * @returns {Array<string>} The winner of each rally, either "home" or "away"
+   */
+  getRallies () {
+    return [...this.#rallies]
+  }
+
+  /**
+   * Record the winner of the next rally
+   *
+   * @param {string} team The team that won the rally, either "home" or "away"
+   * @returns {RallyLog} This rally log
+   * @throws {Error} If the team is not "home" or "away", or the match is already complete
+   */
+  addRally (team) {
+    RallyLog.#assertTeamValid(team);
+    const setConfig = this.#match.getGroup().getSetConfig();
+    const state = this.#getState(setConfig);
+    if (RallyLog.#isComplete(state, setConfig)) {
+      throw new Error(`Cannot add a rally to match {${this.#match.getID()}}: the match is already complete`)
+    }
+    this.#rallies.push(team);
+    this.#play(state, team, setConfig);
+    return this
+  }
+
+  /**
+   * Remove the most recent rally
+   *
+   * @returns {RallyLog} This rally log
+   * @throws {Error} If there are no rallies
+   */
+  removeLastRally () {
+    if (this.#rallies.length === 0) {
+      throw new Error(`Cannot remove a rally from match {${this.#match.getID()}}: there are no rallies`)
+    }
+    this.#rallies.pop();
+    // The set scores before the last rally could be from an earlier set, so they are worked out again when next needed
+    this.#state = null;
+    return this
+  }
+
+  /**
+   * Get the home team's score in each set that has been started
+   *
+   * @returns {Array<number>} The home team's set scores
+   */
+  getHomeTeamScores () {
+    return [...this.#getState(this.#match.getGroup().getSetConfig()).homeTeamScores]
+  }
+
+  /**
+   * Get the away team's score in each set that has been started
+   *
+   * @returns {Array<number>} The away team's set scores
+   */
+  getAwayTeamScores () {
+    return [...this.#getState(this.#match.getGroup().getSetConfig()).awayTeamScores]
+  }
+
+  /**
+   * Get the team that serves the next rally
+   *
+   * @returns {string|null} Either "home" or "away", or null when the match is complete
+   */
+  getServer () {
+    const setConfig = this.#match.getGroup().getSetConfig();
+    const state = this.#getState(setConfig);
+    return RallyLog.#isComplete(state, setConfig) ? null : state.server
+  }
+
+  /**
+   * Get the number of the set that the next rally is in, counting from 1
+   *
+   * @returns {number|null} The set number, or null when the match is complete
+   */
+  getSetNumber () {
+    const setConfig = this.#match.getGroup().getSetConfig();
+    const state = this.#getState(setConfig);
+    return RallyLog.#isComplete(state, setConfig) ? null : state.setIndex + 1
+  }
+
+  /**
+   * Check whether one of the teams has won enough sets to win the match
+   *
+   * @returns {boolean} Whether the match is complete
+   */
+  isComplete () {
+    const setConfig = this.#match.getGroup().getSetConfig();
+    return RallyLog.#isComplete(this.#getState(setConfig), setConfig)
+  }
+
+  /**
+   * Get the state of the match after the last rally.  The state is only worked out from all of the rallies when there is no state yet, or
+   * when the group's set configuration has changed since it was worked out
+   *
+   * @param {SetConfig} setConfig The group's set configuration
+   * @returns {{config: string, homeTeamScores: Array<number>, awayTeamScores: Array<number>, setsWon: object, setIndex: number, server: string}} The state of the match
+   * @private
+   */
+  #getState (setConfig) {
+    const config = JSON.stringify(setConfig.serialize());
+    if (this.#state === null || this.#state.config !== config) {
+      this.#state = {
+        config,
+        homeTeamScores: [],
+        awayTeamScores: [],
+        setsWon: { [RallyLog.HOME]: 0, [RallyLog.AWAY]: 0 },
+        setIndex: 0,
+        server: this.#firstServer
+      };
+      this.#rallies.forEach(team => this.#play(this.#state, team, setConfig));
+    }
+    return this.#state
+  }
+
+  /**
+   * Update the state of the match with the winner of the next rally
+   *
+   * @param {object} state The state of the match, which is updated
+   * @param {string} team The team that won the rally, either "home" or "away"
+   * @param {SetConfig} setConfig The group's set configuration
+   * @private
+   */
+  #play (state, team, setConfig) {
+    if (state.homeTeamScores.length === state.setIndex) {
+      state.homeTeamScores.push(0);
+      state.awayTeamScores.push(0);
+    }
+    if (team === RallyLog.HOME) {
+      state.homeTeamScores[state.setIndex]++;
+    } else {
+      state.awayTeamScores[state.setIndex]++;
+    }
+    state.server = team;
+
+    if (GroupMatch$1.isSetComplete(state.setIndex, state.homeTeamScores[state.setIndex], state.awayTeamScores[state.setIndex], setConfig)) {
+      state.setsWon[team]++;
+      state.setIndex++;
+      state.server = state.setIndex % 2 === 0 ? this.#firstServer : RallyLog.#otherTeam(this.#firstServer);
+    }
+  }
+
+  /**
+   * Check whether one of the teams has won enough sets to win the match
+   *
+   * @param {object} state The state of the match
+   * @param {SetConfig} setConfig The group's set configuration
+   * @returns {boolean} Whether the match is complete
+   * @private
+   */
+  static #isComplete (state, setConfig) {
+    return state.setsWon[RallyLog.HOME] >= setConfig.getSetsToWin() || state.setsWon[RallyLog.AWAY] >= setConfig.getSetsToWin()
+  }
+
+  /**
+   * Get the team playing against the given team
+   *
+   * @param {string} team Either "home" or "away"
+   * @returns {string} The other team
+   * @private
+   */
+  static #otherTeam (team) {
+    return team === RallyLog.HOME ? RallyLog.AWAY : RallyLog.HOME
+  }
+
+  /**
+   * Check that a team is either "home" or "away"
+   *
+   * @param {string} team The team to check
+   * @throws {Error} If the team is not "home" or "away"
+   * @private
+   */
+  static #assertTeamValid (team) {
+    if (team !== RallyLog.HOME && team !== RallyLog.AWAY) {
+      throw new Error(`Invalid rally team "${team}": must be "${RallyLog.HOME}" or "${RallyLog.AWAY}"`)
+    }
+  }
+}
+
+/**
+ * A match between two teams
+ */
+class GroupMatch {
+  /**
+   * An identifier for this match, i.e. a match number.  If the document uses any team references then all match
+   * identifiers in the document must be unique or a document reader's behaviour is undefined
+   */
+  #id
+
+  /** The court that a match takes place on */
+  #court
+
+  /** The venue that a match takes place at */
+  #venue
+
+  /** The date of the match */
+  #date
+
+  /** The start time for the warmup */
+  #warmup
+
+  /** The start time for the match */
+  #start
+
+  /** The maximum duration of the match */
+  #duration
+
+  /** Whether the match is complete. This must be set when matchType is "continuous" or when a match has a "duration".  This is the value in the loaded data */
+  #complete
+
+  /** The 'home' team for the match */
+  #homeTeam
+
+  /** The 'away' team for the match */
+  #awayTeam
+
+  /** The officials for this match */
+  #officials
+
+  /** A most valuable player award for the match */
+  #mvp
+
+  /** The court manager in charge of this match */
+  #manager
+
+  /** Whether the match is a friendly.  These matches do not contribute toward a league position.  If a team only participates in friendly matches then they are not included in the league table at all */
+  #friendly
+
+  /** Free form string to add notes about a match */
+  #notes
+
+  /** Whether the match is complete as a calculated value.  When the data sets a value, this is the same, but when a match completion must be calculated, this is the calculated version */
+  #isComplete
+
+  #isDraw
+  #winnerTeamID
+  #loserTeamID
+  #homeTeamSets
+  #awayTeamSets
+  #homeTeamScores
+  #awayTeamScores
+
+  /** The point-by-point record of the match that the scores are derived from, or null when the scores were set directly */
+  #rallyLog
+
+  #group
+
+  /**
+   * @param {Group} group The Group this match is in
+   * @param {string} id The identifier for this match
+   * @throws {Error} If the two teams have scores arrays of different lengths
+   */
+  constructor (group, id) {
+    if (group.hasMatch(id)) {
+      throw new Error(`Group {${group.getStage().getID()}:${group.getID()}}: matches with duplicate IDs {${id}} not allowed`)
+    }
+    this.#group = group;
+    this.#id = id;
+    this.#court = null;
+    this.#venue = null;
+    this.#date = null;
+    this.#warmup = null;
+    this.#start = null;
+    this.#duration = null;
+    this.#complete = null;
+    this.#officials = null;
+    this.#mvp = null;
+    this.#manager = null;
+    this.#friendly = false;
+    this.#notes = null;
+    this.#isComplete = false;
+    this.#isDraw = false;
+    this.#homeTeamSets = 0;
+    this.#awayTeamSets = 0;
+    this.#homeTeamScores = [];
+    this.#awayTeamScores = [];
+    this.#rallyLog = null;
+  }
+
+  /**
+   * Contains the match data, creating any metadata needed
+   *
+   * @param {object} matchData The data defining this Match
+   * @returns {GroupMatch} The loaded GroupMatch object
+   * @throws {Error} If the two teams have scores arrays of different lengths
+   */
+  loadFromData (matchData) {
+    if (Object.hasOwn(matchData, 'court')) {
+      this.setCourt(matchData.court);
+    }
+    if (Object.hasOwn(matchData, 'venue')) {
+      this.setVenue(matchData.venue);
+    }
+    if (Object.hasOwn(matchData, 'date')) {
+      this.setDate(matchData.date);
+    }
+    if (Object.hasOwn(matchData, 'warmup')) {
+      this.setWarmup(matchData.warmup);
+    }
+    if (Object.hasOwn(matchData, 'start')) {
+      this.setStart(matchData.start);
+    }
+    if (Object.hasOwn(matchData, 'duration')) {
+      this.setDuration(matchData.duration);
+    }
+    if (matchData.complete !== undefined) {
+      this.setComplete(matchData.complete);
+    } else {
+      if (this.#group.getMatchType() === MatchType.CONTINUOUS) {
+        throw new Error(`Group {${this.#group.getStage().getID()}:${this.#group.getID()}}, match ID {${matchData.id}}, missing field "complete"`)
+      }
+    }
+
+    this.setHomeTeam(MatchTeam.loadFromData(this, matchData.homeTeam));
+    this.setAwayTeam(MatchTeam.loadFromData(this, matchData.awayTeam));
+
+    this.#homeTeamScores = matchData.homeTeam.scores;
+    this.#awayTeamScores = matchData.awayTeam.scores;
+
+    if (Object.hasOwn(matchData, 'rallies')) {
+      this.#assertCanScoreByRally();
+      this.#rallyLog = RallyLog.loadFromData(this, matchData.rallies);
+      if (JSON.stringify([this.#rallyLog.getHomeTeamScores(), this.#rallyLog.getAwayTeamScores()]) !== JSON.stringify([this.#homeTeamScores, this.#awayTeamScores])) {
+        throw new Error(`Invalid rallies for match {${this.#group.getStage().getID()}:${this.#group.getID()}:${this.#id}}: the rallies do not give the set scores`)
+      }
+    }
+
+    if (Object.hasOwn(matchData, 'officials')) {
+      const officials = MatchOfficials$1.loadFromData(this, matchData.officials);
+      if (officials.isTeam() && (officials.getTeamID() === this.getHomeTeam().getID() || officials.getTeamID() === this.getAwayTeam().getID())) {
+        throw new Error(`Refereeing team (in match {${this.#group.getStage().getID()}:${this.#group.getID()}:${this.getID()}}) cannot be the same as one of the playing teams`)
+      }
+      this.setOfficials(officials);
+    }
+    if (Object.hasOwn(matchData, 'mvp')) {
+      const mvpMatch = matchData.mvp.match(/^{(.*)}$/);
+      if (mvpMatch !== null) {
+        this.setMVP(this.getGroup().getStage().getCompetition().getPlayer(mvpMatch[1]));
+      } else {
+        this.setMVP(new Player(this.getGroup().getStage().getCompetition(), Player.UNREGISTERED_PLAYER_ID, matchData.mvp));
+      }
+    }
+    if (Object.hasOwn(matchData, 'manager')) {
+      this.setManager(MatchManager.loadFromData(this, matchData.manager));
+    }
+    if (Object.hasOwn(matchData, 'notes')) {
+      this.setNotes(matchData.notes);
+    }
+    if (Object.hasOwn(matchData, 'friendly')) {
+      this.setFriendly(matchData.friendly);
+    }
+
+    this.#calculateResult();
+
+    return this
+  }
+
+  /**
+   * Return the match data in a form suitable for serializing
+   *
+   * @returns {object} The serialized match data
+   */
+  serialize () {
+    const match = {
+      id: this.#id
+    };
+
+    if (this.#court !== null) {
+      match.court = this.#court;
+    }
+    if (this.#venue !== null) {
+      match.venue = this.#venue;
+    }
+
+    match.type = 'match';
+
+    if (this.#date !== null) {
+      match.date = this.#date;
+    }
+    if (this.#warmup !== null) {
+      match.warmup = this.#warmup;
+    }
+    if (this.#start !== null) {
+      match.start = this.#start;
+    }
+    if (this.#duration !== null) {
+      match.duration = this.#duration;
+    }
+    if (this.#complete !== null) {
+      match.complete = this.#complete;
+    }
+
+    match.homeTeam = this.#homeTeam.serialize();
+    match.awayTeam = this.#awayTeam.serialize();
+    if (this.#rallyLog !== null) {
+      match.rallies = this.#rallyLog.serialize();
+    }
+
+    if (this.#officials !== null) {
+      match.officials = this.#officials.serialize();
+    }
+    if (this.#mvp !== null) {
+      if (this.#mvp.getID() === Player.UNREGISTERED_PLAYER_ID) {
+        match.mvp = this.#mvp.getName();
+      } else {
+        match.mvp = `{${this.#mvp.getID()}}`;
+      }
+    }
+    if (this.#manager !== null) {
+      match.manager = this.#manager.serialize();
+    }
+    match.friendly = this.#friendly;
+    if (this.#notes !== null) {
+      match.notes = this.#notes;
+    }
+    return match
+  }
+
+  /**
+   * Check whether this match is structurally equal to another, i.e. whether they would serialize to the same data
+   *
+   * @param {GroupMatch} other The match to compare with
+   * @returns {boolean} Whether the matches are equal
+   */
+  equals (other) {
+    return other instanceof GroupMatch && JSON.stringify(this.serialize()) === JSON.stringify(other.serialize())
+  }
+
+  /**
+   * Get the Group this match is in
+   *
+   * @returns {Group|IfUnknown} The Group this match is in
+   */
+  getGroup () {
+    return this.#group
+  }
+
+  /**
+   * Get the ID for this match
+   *
+   * @returns {string} The ID for this match
+   */
+  getID () {
+    return this.#id
+  }
+
+  /**
+   * Set the court for this match
+   *
+   * @param {string|null} court The court for this match
+   * @returns {GroupMatch} The GroupMatch object
+   */
+  setCourt (court) {
+    return this.#record(() => {
+      this.#court = court;
+      return this
+    })
+  }
+
+  /**
+   * Get the court for this match
+   *
+   * @returns {string|null} The court for this match
+   */
+  getCourt () {
+    return this.#court
+  }
+
+  /**
+   * Check if the match has a court
+   *
+   * @returns {boolean} True if the match has a court, false otherwise
+   */
+  hasCourt () {
+    return this.#court !== null
+  }
+
+  /**
+   * Set the venue for this match
+   *
+   * @param {string|null} venue The venue for this match
+   * @returns {GroupMatch} The GroupMatch object
+   */
+  setVenue (venue) {
+    return this.#record(() => {
+      this.#venue = venue;
+      return this
+    })
+  }
+
+  /**
+   * Get the venue for this match
+   *
+   * @returns {string|null} The venue for this match
+   */
+  getVenue () {
+    return this.#venue
+  }
+
+  /**
+   * Check if the match has a venue
+   *
+   * @returns {boolean} True if the match has a venue, false otherwise
+   */
+  hasVenue () {
+    return this.#venue !== null
+  }
+
+  /**
+   * Set the date for this match
+   *
+   * @param {string|null} date The date for this match
+   * @returns {GroupMatch} The GroupMatch object
+   */
+  setDate (date) {
+    if (!/^[0-9]{4}-(0[0-9]|1[0-2])-(0[1-9]|[12][0-9]|3[01])$/.test(date)) {
+      throw new Error(`Invalid date "${date}": must contain a value of the form "YYYY-MM-DD"`)
+    }
+
+    const d = new Date(date);
+    if (`${d.getFullYear()}-${(d.getMonth() + 1).toString().padStart(2, '0')}-${(d.getDate()).toString().padStart(2, '0')}` !== date) {
+      throw new Error(`Invalid date "${date}": date does not exist`)
+    }
+
+    return this.#record(() => {
+      this.#date = date;
+      return this
+    })
+  }
+
+  /**
+   * Get the date for this match
+   *
+   * @returns {string|null} The date for this match
+   */
+  getDate () {
+    return this.#date
+  }
+
+  /**
+   * Check if the match has a date
+   *
+   * @returns {boolean} True if the match has a date, false otherwise
+   */
+  hasDate () {
+    return this.#date !== null
+  }
+
+  /**
+   * Set the warmup time for this match
+   *
+   * @param {string|null} warmup The warmup time for this match
+   * @returns {GroupMatch} The GroupMatch object
+   */
+  setWarmup (warmup) {
+    if (!/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/.test(warmup)) {
+      throw new Error(`Invalid warmup time "${warmup}": must contain a value of the form "HH:mm" using a 24 hour clock`)
+    }
+    return this.#record(() => {
+      this.#warmup = warmup;
+      return this
+    })
+  }
+
+  /**
+   * Get the warmup time for this match
+   *
+   * @returns {string|null} The warmup time for this match
+   */
+  getWarmup () {
+    return this.#warmup
+  }
+
+  /**
+   * Check if the match has a warmup time
+   *
+   * @returns {boolean} True if the match has a warmup time, false otherwise
+   */
+  hasWarmup () {
+    return this.#warmup !== null
+  }
+
+  /**
+   * Set the start time for this match
+   *
+   * @param {string|null} start The start time for this match
+   * @returns {GroupMatch} The GroupMatch object
+   */
+  setStart (start) {
+    if (!/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/.test(start)) {
+      throw new Error(`Invalid start time "${start}": must contain a value of the form "HH:mm" using a 24 hour clock`)
+    }
+    return this.#record(() => {
+      this.#start = start;
+      return this
+    })
+  }
+
+  /**
+   * Get the start time for this match
+   *
+   * @returns {string|null} The start time for this match
+   */
+  getStart () {
+    return this.#start
+  }
+
+  /**
+   * Check if the match has a start time
+   *
+   * @returns {boolean} True if the match has a start time, false otherwise
+   */
+  hasStart () {
+    return this.#start !== null
+  }
+
+  /**
+   * Set the duration for this match
+   *
+   * @param {string|null} duration The duration for this match
+   * @returns {GroupMatch} The GroupMatch object
+   */
+  setDuration (duration) {
+    if (!/^[0-9]+:[0-5][0-9]$/.test(duration)) {
+      throw new Error(`Invalid duration "${duration}": must contain a value of the form "HH:mm"`)
+    }
+    return this.#record(() => {
+      this.#duration = duration;
+      return this
+    })
+  }
+
+  /**
+   * Get the duration for this match
+   *
+   * @returns {string|null} The duration for this match
+   */
+  getDuration () {
+    return this.#duration
+  }
+
+  /**
+   * Check if the match has a duration
+   *
+   * @returns {boolean} True if the match has a duration, false otherwise
+   */
+  hasDuration () {
+    return this.#duration !== null
+  }
+
+  /**
+   * Set the completeness for this match
+   *
+   * @param {boolean} complete The completeness for this match
+   * @returns {void}
+   */
+  setComplete (complete) {
+    this.#group.getCompetition().changeResult(this, () => this.#setComplete(complete));
+  }
+
+  /**
+   * Set the completeness for this match, without emitting events
+   *
+   * @param {boolean} complete The completeness for this match
+   * @private
+   */
+  #setComplete (complete) {
+    this.#record(() => {
+      this.#complete = complete;
+      this.#isComplete = complete;
+      this.#group.invalidateResults();
+    });
+  }
+
+  /**
+   * Get the completeness for this match.
+   * This is the explicit "complete" value from the original data
+   *
+   * @returns {boolean|null} The completeness for this match
+   */
+  getComplete () {
+    return this.#complete
+  }
+
+  /**
+   * Get the <i>calculated</i> completeness for this match. This is for when the data does not explicitly state
+   * the completeness, but the match configuration allows us to calculate whether the match is complete (e.g. set-based
+   * matches without a duration limit)
+   *
+   * @returns {boolean} The completeness for this match
+   */
+  isComplete () {
+    return this.#isComplete
+  }
+
+  /**
+   * Get whether the match is a draw
+   *
+   * @returns {boolean} Whether the match is a draw
+   */
+  isDraw () {
+    return this.#isDraw
+  }
+
+  /**
+   * Set the home team for this match
+   *
+   * @param {MatchTeam} homeTeam The home team for this match
+   * @returns {GroupMatch} The GroupMatch object
+   */
+  setHomeTeam (homeTeam) {
+    return this.#record(() => {
+      this.#homeTeam = homeTeam;
+      return this
+    })
+  }
+
+  /**
+   * Get the home team for this match
+   *
+   * @returns {MatchTeam} The home team for this match
+   */
+  getHomeTeam () {
+    return this.#homeTeam
+  }
+
+  /**
+   * Get the home team scores
+   *
+   * @returns {Array} The home team scores
+   */
+  getHomeTeamScores () {
+    return [...this.#homeTeamScores]
+  }
+
+  /**
+   * Get the number of sets won by the home team
+   *
+   * @returns {number} The number of sets won by the home team
+   * @throws {Error} If the match type is continuous
+   */
+  getHomeTeamSets () {
+    if (this.#group.getMatchType() === MatchType.CONTINUOUS) {
+      throw new Error('Match has no sets because the match type is continuous')
+    }
+    return this.#homeTeamSets
+  }
+
+  /**
+   * Set the away team for this match
+   *
+   * @param {MatchTeam} awayTeam The away team for this match
+   * @returns {GroupMatch} The GroupMatch object
+   */
+  setAwayTeam (awayTeam) {
+    return this.#record(() => {
+      this.#awayTeam = awayTeam;
+      return this
+    })
+  }
+
+  /**
+   * Get the away team for this match
+   *
+   * @returns {MatchTeam} The away team for this match
+   */
+  getAwayTeam () {
+    return this.#awayTeam
+  }
+
+  /**
+   * Get the sanctions given in this match, with the home team's sanctions followed by the away team's sanctions
+   *
+   * @returns {Array<Sanction>} The sanctions given in this match
+   */
+  getSanctions () {
+    return [...this.#homeTeam.getSanctions(), ...this.#awayTeam.getSanctions()]
+  }
+
+  /**
+   * Get the away team scores
+   *
+   * @returns {Array} The away team scores
+   */
+  getAwayTeamScores () {
+    return [...this.#awayTeamScores]
+  }
+
+  /**
+   * Get the number of sets won by the away team
+   *
+   * @returns {number} The number of sets won by the away team
+   * @throws {Error} If the match type is continuous
+   */
+  getAwayTeamSets () {
+    if (this.#group.getMatchType() === MatchType.CONTINUOUS) {
+      throw new Error('Match has no sets because the match type is continuous')
+    }
+    return this.#awayTeamSets
+  }
+
+  /**
+   * Set the officials for this match
+   *
+   * @param {MatchOfficials|null} officials The officials for this match
+   * @returns {GroupMatch} The GroupMatch object
+   */
+  setOfficials (officials) {
+    return this.#record(() => {
+      this.#officials = officials;
+      return this
+    })
+  }
+
+  /**
+   * Get the officials for this match
+   *
+   * @returns {MatchOfficials|null} The officials for this match
+   */
+  getOfficials () {
+    return this.#officials
+  }
+
+  /**
+   * Check if the match has officials
+   *
+   * @returns {boolean} True if the match has officials, false otherwise
+   */
+  hasOfficials () {
+    return this.#officials !== null
+  }
+
+  /**
+   * Set the MVP for this match
+   *
+   * @param {Player|null} mvp The MVP for this match
+   * @returns {GroupMatch} The GroupMatch object
+   */
+  setMVP (mvp) {
+    return this.#record(() => {
+      this.#mvp = mvp;
+      return this
+    })
+  }
+
+  /**
+   * Get the MVP for this match
+   *
+   * @returns {string|null} The MVP for this match
+   */
+  getMVP () {
+    return this.#mvp
+  }
+
+  /**
+   * Check if the match has an MVP
+   *
+   * @returns {boolean} True if the match has an MVP, false otherwise
+   */
+  hasMVP () {
+    return this.#mvp !== null
+  }
+
+  /**
+   * Set the court manager for this match
+   *
+   * @param {MatchManager|null} manager The court manager for this match
+   * @returns {GroupMatch} The GroupMatch object
+   */
+  setManager (manager) {
+    return this.#record(() => {
+      this.#manager = manager;
+      return this
+    })
+  }
+
+  /**
+   * Get the court manager for this match
+   *
+   * @returns {MatchManager|null} The court manager for this match
+   */
+  getManager () {
+    return this.#manager
+  }
+
+  /**
+   * Check if the match has a court manager
+   *
+   * @returns {boolean} True if the match has a court manager, false otherwise
+   */
+  hasManager () {
+    return this.#manager !== null
+  }
+
+  /**
+   * Set the notes for this match
+   *
+   * @param {string|null} notes The notes for this match
+   * @returns {GroupMatch} The GroupMatch object
+   */
+  setNotes (notes) {
+    return this.#record(() => {
+      this.#notes = notes;
+      return this
+    })
+  }
+
+  /**
+   * Get the notes for this match
+   *
+   * @returns {string|null} The notes for this match
+   */
+  getNotes () {
+    return this.#notes
+  }
+
+  /**
+   * Check if the match has notes
+   *
+   * @returns {boolean} True if the match has notes, false otherwise
+   */
+  hasNotes () {
+    return this.#notes !== null
+  }
+
+  /**
+   * Set whether the match is a friendly match
+   *
+   * @param {boolean} friendly Whether the match is friendly or not
+   * @returns {GroupMatch} The GroupMatch object
+   */
+  setFriendly (friendly) {
+    return this.#record(() => {
+      this.#friendly = friendly;
+      return this
+    })
+  }
+
+  /**
+   * Check if the match is a friendly match
+   *
+   * @returns {boolean} Whether the match is friendly or not
+   */
+  isFriendly () {
+    return this.#friendly
+  }
+
+  /**
+   * Set the scores for this match.  Any rally log is discarded, as the scores no longer come from it
+   *
+   * @param {Array<number>} homeTeamScores The score array for the home team
+   * @param {Array<number>} awayTeamScores The score array for the away team
+   * @param {boolean|null} complete Whether the match is complete or not (required for continuous scoring matches)
+   * @returns {GroupMatch} The GroupMatch object
+   * @throws {Error} If the scores are invalid
+   */
+  setScores (homeTeamScores, awayTeamScores, complete = null) {
+    if (this.#group.getMatchType() === MatchType.CONTINUOUS) {
+      if (complete === null) {
+        throw new Error('Invalid score: match type is continuous, but the match completeness is not set')
+      }
+      GroupMatch.assertContinuousScoresValid(homeTeamScores, awayTeamScores, this.#group);
+    } else {
+      GroupMatch.assertSetScoresValid(homeTeamScores, awayTeamScores, this.#group.getSetConfig());
+      if (this.#duration !== null && complete === null) {
+        throw new Error('Invalid results: match type is sets and match has a duration, but the match completeness is not set')
+      }
+    }
+
+    const competition = this.#group.getCompetition();
+    return competition.changeResult(this, () => {
+      // The completeness and the scores are one change, so that they are undone together
+      this.#record(() => {
+        if (complete !== null) {
+          this.#complete = complete;
+          this.#isComplete = complete;
+        }
+        this.#homeTeamScores = homeTeamScores;
+        this.#awayTeamScores = awayTeamScores;
+        this.#rallyLog = null;
+        this.#calculateResult();
+        this.#group.invalidateResults();
+      });
+      competition.emit(CompetitionEventType.MATCH_SCORE_CHANGED, { match: this });
+      return this
+    })
+  }
+
+  /**
+   * Get the point-by-point record of this match
+   *
+   * @returns {RallyLog|null} The rally log, or null when the scores were not entered point by point
+   */
+  getRallyLog () {
+    return this.#rallyLog
+  }
+
+  /**
+   * Start scoring this match point by point
+   *
+   * @param {string} firstServer The team that serves first, either "home" or "away"
+   * @returns {GroupMatch} The GroupMatch object
+   * @throws {Error} If the match type is continuous, or the match already has scores
+   */
+  startRallyLog (firstServer = RallyLog.HOME) {
+    this.#assertCanStartRallyLog();
+    return this.#record(() => {
+      this.#rallyLog = new RallyLog(this, firstServer);
+      return this
+    })
+  }
+
+  /**
+   * Award the next rally to a team, updating the set scores.  If the match is not already being scored point by point then this starts
+   * it, with the home team serving first
+   *
+   * @param {string} team The team that won the rally, either "home" or "away"
+   * @returns {GroupMatch} The GroupMatch object
+   * @throws {Error} If the team is invalid, the match is already complete, or the match cannot be scored point by point
+   */
+  awardPoint (team) {
+    let rallyLog = this.#rallyLog;
+    if (rallyLog === null) {
+      this.#assertCanStartRallyLog();
+      rallyLog = new RallyLog(this);
+    }
+    return this.#updateRallyLog(rallyLog, () => rallyLog.addRally(team))
+  }
+
+  /**
+   * Undo the most recent rally, updating the set scores
+   *
+   * @returns {GroupMatch} The GroupMatch object
+   * @throws {Error} If there are no rallies to undo
+   */
+  undoRally () {
+    if (this.#rallyLog === null) {
+      throw new Error(`Cannot undo a rally in match {${this.#group.getStage().getID()}:${this.#group.getID()}:${this.#id}}: the match is not being scored point by point`)
+    }
+    const rallyLog = this.#rallyLog;
+    return this.#updateRallyLog(rallyLog, () => rallyLog.removeLastRally())
+  }
+
+  /**
+   * Change a rally log and set the scores from it, keeping the rally log.  The rally log is changed in place rather than copied, so that
+   * scoring a rally does not replay the whole log
+   *
+   * @param {RallyLog} rallyLog The rally log
+   * @param {function(): any} change Make the change to the rally log
+   * @returns {GroupMatch} The GroupMatch object
+   * @private
+   */
+  #updateRallyLog (rallyLog, change) {
+    return this.#record(() => {
+      // The rally log is changed as its own step, so that the step recorded for the scores starts from the changed log and undoing
+      // them both restores the log from before the change
+      this.#record(change);
+      this.setScores(rallyLog.getHomeTeamScores(), rallyLog.getAwayTeamScores(), this.#duration === null ? null : rallyLog.isComplete());
+      this.#rallyLog = rallyLog;
+      return this
+    })
+  }
+
+  /**
+   * Check that this match can start being scored point by point
+   *
+   * @throws {Error} If the match type is continuous, or the match already has scores
+   * @private
+   */
+  #assertCanStartRallyLog () {
+    this.#assertCanScoreByRally();
+    if (this.#rallyLog !== null || this.#homeTeamScores.length > 0) {
+      throw new Error(`Cannot start scoring match {${this.#group.getStage().getID()}:${this.#group.getID()}:${this.#id}} point by point: the match already has scores`)
+    }
+  }
+
+  /**
+   * Check that this match can be scored point by point
+   *
+   * @throws {Error} If the match type is continuous
+   * @private
+   */
+  #assertCanScoreByRally () {
+    if (this.#group.getMatchType() === MatchType.CONTINUOUS) {
+      throw new Error(`Cannot score match {${this.#group.getStage().getID()}:${this.#group.getID()}:${this.#id}} point by point: the match type is continuous`)
+    }
+  }
+
+  /**
+   * Calculate the result information for this match.
+   * For example, is the match complete, who won, how many sets did each team score, are the results valid
+   *
+   * @throws {Error} If the scores are invalid
+   * @private
+   */
+  #calculateResult () {
+    if (this.#homeTeam.getScores().length !== this.#awayTeam.getScores().length) {
+      throw new Error(`Invalid match information for match ${this.#id}: team scores have different length`)
+    }
+
+    this.#isDraw = false;
+    this.#isComplete = this.#complete === true;
+    if (this.#group.getMatchType() === MatchType.CONTINUOUS) {
+      this.#calculateContinuousResult();
+    } else {
+      if (this.#homeTeam.getScores().length > this.#group.getSetConfig().getMaxSets()) {
+        throw new Error(`Invalid match information (in match {${this.#group.getStage().getID()}:${this.#group.getID()}:${this.#id}}): team scores have more sets than the maximum allowed length`)
+      }
+      try {
+        this.#calculateSetsResult();
+      } catch (err) {
+        throw new Error(err.message)
+      }
+    }
+  }
+
+  /**
+   * Calculate the result information for this match, when the scores are continuous
+   *
+   * @throws {Error} If the match shows a draw but draws are not allowed
+   * @private
+   */
+  #calculateContinuousResult () {
+    if (this.#homeTeam.getScores().length === 0) {
+      return
+    }
+    if (this.#homeTeam.getScores()[0] + this.#awayTeam.getScores()[0] === 0) {
+      return
+    }
+
+    if (this.#isComplete) {
+      if (this.#homeTeam.getScores()[0] > this.#awayTeam.getScores()[0]) {
+        this.#winnerTeamID = this.#homeTeam.getID();
+        this.#loserTeamID = this.#awayTeam.getID();
+      } else if (this.#homeTeam.getScores()[0] < this.#awayTeam.getScores()[0]) {
+        this.#winnerTeamID = this.#awayTeam.getID();
+        this.#loserTeamID = this.#homeTeam.getID();
+      } else if (this.#group.getDrawsAllowed()) {
+        this.#isDraw = true;
+      } else {
+        throw new Error(`Invalid match information (in match {${this.#group.getStage().getID()}:${this.#group.getID()}:${this.#id}}): scores show a draw but draws are not allowed`)
+      }
+    }
+  }
+
+  /**
+   * Check that the continuous scores are valid
+   *
+   * @param {Array<number>} homeTeamScores The home team's scores
+   * @param {Array<number>} awayTeamScores The away team's scores
+   * @param {object} groupConfig The configuration for the group this match is in
+   * @throws {Error} If the scores are invalid
+   * @static
+   */
+  static assertContinuousScoresValid (homeTeamScores, awayTeamScores, groupConfig) {
+    const scoreLength = homeTeamScores.length;
+    if (scoreLength > 1) {
+      throw new Error('Invalid results: match type is continuous, but score length is greater than one')
+    }
+    if (groupConfig instanceof Group$1) {
+      if (!groupConfig.getDrawsAllowed() && homeTeamScores[0] === awayTeamScores[0] && homeTeamScores[0] !== 0) {
+        throw new Error('Invalid score: draws not allowed in this group')
+      }
+    } else {
+      if (groupConfig.drawsAllowed !== undefined && !groupConfig.drawsAllowed && homeTeamScores[0] === awayTeamScores[0] && homeTeamScores[0] !== 0) {
+        throw new Error('Invalid score: draws not allowed in this group')
+      }
+    }
+  }
 
-  /** The venue that a match takes place at */
-  #venue
+  /**
+   * Calculate the result information for this match, when the match is played to multiple sets
+   *
+   * @throws {Error} If the scores are invalid
+   * @private
+   */
+  #calculateSetsResult () {
+    this.constructor.assertSetScoresValid(this.#homeTeam.getScores(), this.#awayTeam.getScores(), this.#group.getSetConfig());
 
-  /** The date of the match */
-  #date
+    const maxSets = this.#group.getSetConfig().getMaxSets();
+    const setsToWin = this.#group.getSetConfig().getSetsToWin();
+    const scoreLength = this.#homeTeam.getScores().length;
 
-  /** The start time for the warmup */
-  #warmup
+    this.#homeTeamSets = 0;
+    this.#awayTeamSets = 0;
+    for (let setNumber = 0; setNumber < scoreLength; setNumber++) {
+      if (this.#homeTeam.getScores()[setNumber] < this.#group.getSetConfig().getMinPoints() && this.#awayTeam.getScores()[setNumber] < this.#group.getSetConfig().getMinPoints()) {
+        continue
+      }
+      if (this.#isComplete || GroupMatch.isSetComplete(setNumber, this.#homeTeam.getScores()[setNumber], this.#awayTeam.getScores()[setNumber], this.#group.getSetConfig())) {
+        if (this.#homeTeam.getScores()[setNumber] > this.#awayTeam.getScores()[setNumber]) {
+          this.#homeTeamSets++;
+        } else if (this.#homeTeam.getScores()[setNumber] < this.#awayTeam.getScores()[setNumber]) {
+          this.#awayTeamSets++;
+        }
+      }
+    }
 
-  /** The start time for the match */
-  #start
+    if (this.#duration === null &&
+        (this.#homeTeamSets + this.#awayTeamSets === maxSets || this.#homeTeamSets >= setsToWin || this.#awayTeamSets >= setsToWin)) {
+      this.#isComplete = true;
+    }
 
-  /** The maximum duration of the match */
-  #duration
+    if (this.#isComplete) {
+      if (this.#homeTeamSets > this.#awayTeamSets) {
+        this.#winnerTeamID = this.#homeTeam.getID();
+        this.#loserTeamID = this.#awayTeam.getID();
+      } else if (this.#homeTeamSets < this.#awayTeamSets) {
+        this.#winnerTeamID = this.#awayTeam.getID();
+        this.#loserTeamID = this.#homeTeam.getID();
+      } else if (this.#group.getDrawsAllowed()) {
+        this.#isDraw = true;
+      } else {
+        throw new Error(`Invalid match information (in match {${this.#group.getStage().getID()}:${this.#group.getID()}:${this.#id}}): scores show a draw but draws are not allowed`)
+      }
+    }
+  }
 
-  /** Whether the match is complete. This must be set when matchType is "continuous" or when a match has a "duration".  This is the value in the loaded data */
-  #complete
+  /**
+   * Check that the set scores are valid
+   *
+   * @param {number[]} homeTeamScores The home team's scores
+   * @param {number[]} awayTeamScores The away team's scores
+   * @param {SetConfig} setConfig The set configuration for this match
+   * @throws {Error} If the scores are invalid
+   */
+  static assertSetScoresValid (homeTeamScores, awayTeamScores, setConfig) {
+    const homeScoreLength = homeTeamScores.length;
+    const awayScoreLength = awayTeamScores.length;
 
-  /** The 'home' team for the match */
-  #homeTeam
+    if (homeScoreLength !== awayScoreLength) {
+      throw new Error('Invalid set scores: score arrays are different lengths')
+    }
 
-  /** The 'away' team for the match */
-  #awayTeam
+    if (homeScoreLength > setConfig.getMaxSets()) {
+      throw new Error('Invalid set scores: score arrays are longer than the maximum number of sets allowed')
+    }
 
-  /** The officials for this match */
-  #officials
+    let seenIncompleteSet = false;
+    for (let setNumber = 0; setNumber < homeScoreLength; setNumber++) {
+      if (seenIncompleteSet && (homeTeamScores[setNumber] !== 0 || awayTeamScores[setNumber] !== 0)) {
+        throw new Error('Invalid set scores: data contains non-zero scores for a set after an incomplete set')
+      }
 
-  /** A most valuable player award for the match */
-  #mvp
+      const deciderSet = (setNumber === setConfig.getMaxSets() - 1);
+      const clearByPoints = Math.abs(homeTeamScores[setNumber] - awayTeamScores[setNumber]);
+      if (deciderSet) {
+        if (clearByPoints > setConfig.getClearPoints() && Math.min(homeTeamScores[setNumber], awayTeamScores[setNumber]) > setConfig.getLastSetPointsToWin()) {
+          if (homeTeamScores[setNumber] > awayTeamScores[setNumber]) {
+            throw new Error(`Invalid set scores: value for set score at index ${setNumber} shows home team scoring more points than necessary to win the set`)
+          } else {
+            throw new Error(`Invalid set scores: value for set score at index ${setNumber} shows away team scoring more points than necessary to win the set`)
+          }
+        }
+      } else {
+        if (!GroupMatch.#isMidSetComplete(homeTeamScores[setNumber], awayTeamScores[setNumber], clearByPoints, setConfig)) {
+          seenIncompleteSet = true;
+        }
+      }
+    }
+  }
 
-  /** The court manager in charge of this match */
-  #manager
+  /**
+   * Work out whether the set is complete or not, first establishing whether this is the deciding set or not
+   *
+   * @param {number} setNumber The set number being checked, counting from 0
+   * @param {number} homeScore The home team's score in this set
+   * @param {number} awayScore The away team's score in this set
+   * @param {SetConfig} setConfig The set configuration for this match
+   * @returns {boolean} Whether the set is complete or not
+   */
+  static isSetComplete (setNumber, homeScore, awayScore, setConfig) {
+    const deciderSet = (setNumber === setConfig.getMaxSets() - 1);
+    if (deciderSet) {
+      return GroupMatch.#isDeciderSetComplete(homeScore, awayScore, Math.abs(homeScore - awayScore), setConfig)
+    } else {
+      return GroupMatch.#isMidSetComplete(homeScore, awayScore, Math.abs(homeScore - awayScore), setConfig)
+    }
+  }
 
-  /** Whether the match is a friendly.  These matches do not contribute toward a league position.  If a team only participates in friendly matches then they are not included in the league table at all */
-  #friendly
+  /**
+   * Work out whether the set is complete or not, when this is not the deciding set
+   *
+   * @param {number} homeScore The home team's score in this set
+   * @param {number} awayScore The away team's score in this set
+   * @param {number} clearByPoints The number of points clear a team must be
+   * @param {SetConfig} setConfig The set configuration for this match
+   * @returns {boolean} Whether the set is complete or not
+   */
+  static #isMidSetComplete (homeScore, awayScore, clearByPoints, setConfig) {
+    const hasEnoughPoints = homeScore >= setConfig.getPointsToWin() || awayScore >= setConfig.getPointsToWin();
+    const isClearByEnoughPoints = clearByPoints >= setConfig.getClearPoints();
+    const hasScoredMaximumPoints = (homeScore === setConfig.getMaxPoints() || awayScore === setConfig.getMaxPoints());
+    return (hasEnoughPoints && isClearByEnoughPoints) || hasScoredMaximumPoints
+  }
 
-  /** Free form string to add notes about a match */
-  #notes
+  /**
+   * Work out whether the set is complete or not, when this is the deciding set
+   *
+   * @param {number} homeScore The home team's score in this set
+   * @param {number} awayScore The away team's score in this set
+   * @param {number} clearByPoints The number of points clear a team must be
+   * @param {SetConfig} setConfig The set configuration for this match
+   * @returns {boolean} Whether the set is complete or not
+   */
+  static #isDeciderSetComplete (homeScore, awayScore, clearByPoints, setConfig) {
+    const hasEnoughPoints = homeScore >= setConfig.getLastSetPointsToWin() || awayScore >= setConfig.getLastSetPointsToWin();
+    const isClearByEnoughPoints = clearByPoints >= setConfig.getClearPoints();
+    const hasScoredMaximumPoints = (homeScore === setConfig.getLastSetMaxPoints() || awayScore === setConfig.getLastSetMaxPoints());
+    return (hasEnoughPoints && isClearByEnoughPoints) || hasScoredMaximumPoints
+  }
+
+  /**
+   * Get the ID of the winning team
+   *
+   * @returns {string} The ID of the winning team
+   * @throws {Error} If the match does not have a winner
+   */
+  getWinnerTeamID () {
+    if (!this.#isComplete) {
+      throw new Error('Match incomplete, there is no winner')
+    }
+
+    if (this.#isDraw) {
+      throw new Error('Match drawn, there is no winner')
+    }
+
+    return this.#winnerTeamID
+  }
+
+  /**
+   * Get the ID of the losing team
+   *
+   * @returns {string} The ID of the loser team
+   * @throws {Error} If the match does not have a loser
+   */
+  getLoserTeamID () {
+    if (!this.#isComplete) {
+      throw new Error('Match incomplete, there is no loser')
+    }
+
+    if (this.#isDraw) {
+      throw new Error('Match drawn, there is no loser')
+    }
+
+    return this.#loserTeamID
+  }
+
+  /**
+   * Make a change to this match, recording it in the competition's change history.  A match that has not been added to its group yet
+   * has nothing to undo, so its changes are not recorded
+   *
+   * @param {function(): any} change Make the change
+   * @returns {any} The value returned by the change
+   * @private
+   */
+  #record (change) {
+    if (!this.#group.hasMatch(this.#id) || this.#group.getMatch(this.#id) !== this) {
+      return change()
+    }
+    return this.#group.getCompetition().recordChange(() => this.#snapshot(), snapshot => this.#restore(snapshot), change)
+  }
+
+  /**
+   * Get the state of this match, for the change history
+   *
+   * @returns {object} The state
+   * @private
+   */
+  #snapshot () {
+    return {
+      court: this.#court,
+      venue: this.#venue,
+      date: this.#date,
+      warmup: this.#warmup,
+      start: this.#start,
+      duration: this.#duration,
+      complete: this.#complete,
+      homeTeam: this.#homeTeam,
+      awayTeam: this.#awayTeam,
+      officials: this.#officials,
+      mvp: this.#mvp,
+      manager: this.#manager,
+      friendly: this.#friendly,
+      notes: this.#notes,
+      isComplete: this.#isComplete,
+      isDraw: this.#isDraw,
+      winnerTeamID: this.#winnerTeamID,
+      loserTeamID: this.#loserTeamID,
+      homeTeamSets: this.#homeTeamSets,
+      awayTeamSets: this.#awayTeamSets,
+      homeTeamScores: [...this.#homeTeamScores],
+      awayTeamScores: [...this.#awayTeamScores],
+      rallyLog: this.#rallyLog === null ? null : this.#rallyLog.serialize()
+    }
+  }
+
+  /**
+   * Restore this match to a state from the change history
+   *
+   * @param {object} snapshot The state to restore
+   * @private
+   */
+  #restore (snapshot) {
+    this.#court = snapshot.court;
+    this.#venue = snapshot.venue;
+    this.#date = snapshot.date;
+    this.#warmup = snapshot.warmup;
+    this.#start = snapshot.start;
+    this.#duration = snapshot.duration;
+    this.#complete = snapshot.complete;
+    this.#homeTeam = snapshot.homeTeam;
+    this.#awayTeam = snapshot.awayTeam;
+    this.#officials = snapshot.officials;
+    this.#mvp = snapshot.mvp;
+    this.#manager = snapshot.manager;
+    this.#friendly = snapshot.friendly;
+    this.#notes = snapshot.notes;
+    this.#isComplete = snapshot.isComplete;
+    this.#isDraw = snapshot.isDraw;
+    this.#winnerTeamID = snapshot.winnerTeamID;
+    this.#loserTeamID = snapshot.loserTeamID;
+    this.#homeTeamSets = snapshot.homeTeamSets;
+    this.#awayTeamSets = snapshot.awayTeamSets;
+    this.#homeTeamScores = [...snapshot.homeTeamScores];
+    this.#awayTeamScores = [...snapshot.awayTeamScores];
+    this.#rallyLog = snapshot.rallyLog === null ? null : RallyLog.loadFromData(this, snapshot.rallyLog);
+    this.#group.invalidateResults();
+  }
+}
+
+var GroupMatch$1 = GroupMatch;
+
+class GroupType {
+  static LEAGUE = 'league'
+  static CROSSOVER = 'crossover'
+  static KNOCKOUT = 'knockout'
+}
+
+/**
+ * Represents a knockout configuration for a competition.
+ */
+class KnockoutConfig {
+  /**
+   * An ordered mapping from a position to a team ID
+   * @type {array}
+   * @private
+   */
+  #standing
+
+  /**
+   * The knockout group this configuration is associated with
+   * @type {Group}
+   * @private
+   */
+  #group
+
+  /**
+   * Constructs a new KnockoutConfig instance.
+   *
+   * @param {Group} group The group associated with this knockout configuration.
+   */
+  constructor (group) {
+    this.#standing = [];
+    this.#group = group;
+  }
+
+  /**
+   * Loads knockout configuration data from an object.
+   *
+   * @param {object} knockoutData The data object containing knockout configuration information.
+   * @returns {KnockoutConfig} The updated KnockoutConfig instance.
+   */
+  loadFromData (knockoutData) {
+    this.setStanding(knockoutData.standing);
+    return this
+  }
 
-  /** Whether the match is complete as a calculated value.  When the data sets a value, this is the same, but when a match completion must be calculated, this is the calculated version */
-  #isComplete
+  /**
+   * The knockout configuration in a form suitable for serializing
+   *
+   * @returns {object} The serialized knockout configuration data.
+   */
+  serialize () {
+    const knockout = {};
+    knockout.standing = this.#standing;
+    return knockout
+  }
 
-  #isDraw
-  #winnerTeamID
-  #loserTeamID
-  #homeTeamSets
-  #awayTeamSets
-  #homeTeamScores
-  #awayTeamScores
-  #group
+  /**
+   * Gets the group associated with this knockout configuration.
+   *
+   * @returns {Group} The group associated with this knockout configuration.
+   */
+  getGroup () {
+    return this.#group
+  }
 
   /**
-   * @param {Group} group The Group this match is in
-   * @param {string} id The identifier for this match
-   * @throws {Error} If the two teams have scores arrays of different lengths
+   * Sets the standing array for this knockout configuration.
+   *
+   * @param {Array<object>} standing The array of standing maps.
+   * @returns {KnockoutConfig} The KnockoutConfig instance with the updated standing array.
    */
-  constructor (group, id) {
-    if (group.hasMatch(id)) {
-      throw new Error(`Group {${group.getStage().getID()}:${group.getID()}}: matches with duplicate IDs {${id}} not allowed`)
-    }
-    this.#group = group;
-    this.#id = id;
-    this.#court = null;
-    this.#venue = null;
-    this.#date = null;
-    this.#warmup = null;
-    this.#start = null;
-    this.#duration = null;
-    this.#complete = null;
-    this.#officials = null;
-    this.#mvp = null;
-    this.#manager = null;
-    this.#friendly = false;
-    this.#notes = null;
-    this.#isComplete = false;
-    this.#isDraw = false;
-    this.#homeTeamSets = 0;
-    this.#awayTeamSets = 0;
-    this.#homeTeamScores = [];
-    this.#awayTeamScores = [];
+  setStanding (standing) {
+    this.#standing = standing;
+    return this
   }
 
   /**
-   * Contains the match data, creating any metadata needed
+   * Gets the standing array for this knockout configuration.
    *
-   * @param {object} matchData The data defining this Match
-   * @returns {GroupMatch} The loaded GroupMatch object
-   * @throws {Error} If the two teams have scores arrays of different lengths
+   * @returns {Array<object>} The array of standing maps for this knockout configuration.
    */
-  loadFromData (matchData) {
-    if (Object.hasOwn(matchData, 'court')) {
-      this.setCourt(matchData.court);
-    }
-    if (Object.hasOwn(matchData, 'venue')) {
-      this.setVenue(matchData.venue);
-    }
-    if (Object.hasOwn(matchData, 'date')) {
-      this.setDate(matchData.date);
-    }
-    if (Object.hasOwn(matchData, 'warmup')) {
-      this.setWarmup(matchData.warmup);
-    }
-    if (Object.hasOwn(matchData, 'start')) {
-      this.setStart(matchData.start);
-    }
-    if (Object.hasOwn(matchData, 'duration')) {
-      this.setDuration(matchData.duration);
-    }
-    if (matchData.complete !== undefined) {
-      this.setComplete(matchData.complete);
-    } else {
-      if (this.#group.getMatchType() === MatchType.CONTINUOUS) {
-        throw new Error(`Group {${this.#group.getStage().getID()}:${this.#group.getID()}}, match ID {${matchData.id}}, missing field "complete"`)
-      }
-    }
+  getStanding () {
+    return this.#standing
+  }
+}
 
-    this.setHomeTeam(MatchTeam.loadFromData(this, matchData.homeTeam));
-    this.setAwayTeam(MatchTeam.loadFromData(this, matchData.awayTeam));
+/**
+ * Configuration for league points in a competition.
+*/
+class LeagueConfigPoints {
+  /**
+   * Number of league points for playing the match
+   * @type {number}
+   * @private
+   */
+  #played
 
-    this.#homeTeamScores = matchData.homeTeam.scores;
-    this.#awayTeamScores = matchData.awayTeam.scores;
+  /**
+   * Number of league points for each set won
+   * @type {number}
+   * @private
+   */
+  #perSet
 
-    if (Object.hasOwn(matchData, 'officials')) {
-      const officials = MatchOfficials$1.loadFromData(this, matchData.officials);
-      if (officials.isTeam() && (officials.getTeamID() === this.getHomeTeam().getID() || officials.getTeamID() === this.getAwayTeam().getID())) {
-        throw new Error(`Refereeing team (in match {${this.#group.getStage().getID()}:${this.#group.getID()}:${this.getID()}}) cannot be the same as one of the playing teams`)
-      }
-      this.setOfficials(officials);
-    }
-    if (Object.hasOwn(matchData, 'mvp')) {
-      const mvpMatch = matchData.mvp.match(/^{(.*)}$/);
-      if (mvpMatch !== null) {
-        this.setMVP(this.getGroup().getStage().getCompetition().getPlayer(mvpMatch[1]));
-      } else {
-        this.setMVP(new Player(this.getGroup().getStage().getCompetition(), Player.UNREGISTERED_PLAYER_ID, matchData.mvp));
-      }
-    }
-    if (Object.hasOwn(matchData, 'manager')) {
-      this.setManager(MatchManager.loadFromData(this, matchData.manager));
-    }
-    if (Object.hasOwn(matchData, 'notes')) {
-      this.setNotes(matchData.notes);
-    }
-    if (Object.hasOwn(matchData, 'friendly')) {
-      this.setFriendly(matchData.friendly);
-    }
+  /**
+   * Number of league points for winning (by 2 sets or more if playing sets)
+   * @type {number}
+   * @private
+   */
+  #win
 
-    this.#calculateResult();
+  /**
+   * Number of league points for winning by 1 set
+   * @type {number}
+   * @private
+   */
+  #winByOne
 
-    return this
-  }
+  /**
+   * Number of league points for losing (by 2 sets or more if playing sets)
+   * @type {number}
+   * @private
+   */
+  #lose
 
   /**
-   * Return the match data in a form suitable for serializing
-   *
-   * @returns {object} The serialized match data
+   * Number of league points for losing by 1 set
+   * @type {number}
+   * @private
    */
-  serialize () {
-    const match = {
-      id: this.#id
-    };
+  #loseByOne
 
-    if (this.#court !== null) {
-      match.court = this.#court;
-    }
-    if (this.#venue !== null) {
-      match.venue = this.#venue;
-    }
+  /**
+   * Number of league penalty points for forfeiting a match
+   * @type {number}
+   * @private
+   */
+  #forfeit
 
-    match.type = 'match';
+  /**
+   * The league configuration associated with these points
+   * @type {LeagueConfig}
+   * @private
+   */
+  #leagueConfig
 
-    if (this.#date !== null) {
-      match.date = this.#date;
-    }
-    if (this.#warmup !== null) {
-      match.warmup = this.#warmup;
-    }
-    if (this.#start !== null) {
-      match.start = this.#start;
+  /**
+   * Constructs a new LeagueConfigPoints instance.
+   *
+   * @param {LeagueConfig} leagueConfig The league configuration associated with these points
+   */
+  constructor (leagueConfig) {
+    this.#played = 0;
+    this.#perSet = 0;
+    this.#win = 3;
+    this.#winByOne = 0;
+    this.#lose = 0;
+    this.#loseByOne = 0;
+    this.#forfeit = 0;
+    this.#leagueConfig = leagueConfig;
+  }
+
+  /**
+   * Load league points configuration data from a provided object.
+   *
+   * @param {object} leagueConfigData The league points configuration data to load
+   * @returns {LeagueConfigPoints} Returns the LeagueConfigPoints instance after loading the data
+   */
+  loadFromData (leagueConfigData) {
+    if (Object.hasOwn(leagueConfigData, 'played')) {
+      this.setPlayed(leagueConfigData.played);
     }
-    if (this.#duration !== null) {
-      match.duration = this.#duration;
+    if (Object.hasOwn(leagueConfigData, 'perSet')) {
+      this.setPerSet(leagueConfigData.perSet);
     }
-    if (this.#complete !== null) {
-      match.complete = this.#complete;
+    if (Object.hasOwn(leagueConfigData, 'win')) {
+      this.setWin(leagueConfigData.win);
     }
-
-    match.homeTeam = this.#homeTeam.serialize();
-    match.awayTeam = this.#awayTeam.serialize();
-
-    if (this.#officials !== null) {
-      match.officials = this.#officials.serialize();
+    if (Object.hasOwn(leagueConfigData, 'winByOne')) {
+      this.setWinByOne(leagueConfigData.winByOne);
     }
-    if (this.#mvp !== null) {
-      if (this.#mvp.getID() === Player.UNREGISTERED_PLAYER_ID) {
-        match.mvp = this.#mvp.getName();
-      } else {
-        match.mvp = `{${this.#mvp.getID()}}`;
-      }
+    if (Object.hasOwn(leagueConfigData, 'lose')) {
+      this.setLose(leagueConfigData.lose);
     }
-    if (this.#manager !== null) {
-      match.manager = this.#manager.serialize();
+    if (Object.hasOwn(leagueConfigData, 'loseByOne')) {
+      this.setLoseByOne(leagueConfigData.loseByOne);
     }
-    match.friendly = this.#friendly;
-    if (this.#notes !== null) {
-      match.notes = this.#notes;
+    if (Object.hasOwn(leagueConfigData, 'forfeit')) {
+      this.setForfeit(leagueConfigData.forfeit);
     }
-    return match
+
+    return this
   }
 
   /**
-   * Get the Group this match is in
+   * The league points configuration in a form suitable for serializing
    *
-   * @returns {Group|IfUnknown} The Group this match is in
+   * @returns {object} The serialized league points configuration data
    */
-  getGroup () {
-    return this.#group
+  serialize () {
+    return {
+      played: this.#played,
+      perSet: this.#perSet,
+      win: this.#win,
+      winByOne: this.#winByOne,
+      lose: this.#lose,
+      loseByOne: this.#loseByOne,
+      forfeit: this.#forfeit
+    }
   }
 
   /**
-   * Get the ID for this match
+   * Get the league configuration associated with these points.
    *
-   * @returns {string} The ID for this match
+   * @returns {LeagueConfig} The league configuration associated with these points
    */
-  getID () {
-    return this.#id
+  getLeagueConfig () {
+    return this.#leagueConfig
   }
 
   /**
-   * Set the court for this match
+   * Set the number of league points for playing the match.
    *
-   * @param {string|null} court The court for this match
-   * @returns {GroupMatch} The GroupMatch object
+   * @param {number} played The number of league points for playing the match
+   * @returns {LeagueConfigPoints} Returns the LeagueConfigPoints instance for method chaining
    */
-  setCourt (court) {
-    this.#court = court;
+  setPlayed (played) {
+    this.#played = played;
     return this
   }
 
   /**
-   * Get the court for this match
+   * Get the number of league points for playing the match.
    *
-   * @returns {string|null} The court for this match
+   * @returns {number} The number of league points for playing the match
    */
-  getCourt () {
-    return this.#court
+  getPlayed () {
+    return this.#played
   }
 
   /**
-   * Check if the match has a court
+   * Set the number of league points for each set won.
    *
-   * @returns {boolean} True if the match has a court, false otherwise
+   * @param {number} perSet The number of league points for each set won
+   * @returns {LeagueConfigPoints} Returns the LeagueConfigPoints instance for method chaining
    */
-  hasCourt () {
-    return this.#court !== null
+  setPerSet (perSet) {
+    this.#perSet = perSet;
+    return this
   }
 
   /**
-   * Set the venue for this match
+   * Get the number of league points for each set won.
    *
-   * @param {string|null} venue The venue for this match
-   * @returns {GroupMatch} The GroupMatch object
+   * @returns {number} The number of league points for each set won
    */
-  setVenue (venue) {
-    this.#venue = venue;
-    return this
+  getPerSet () {
+    return this.#perSet
   }
 
   /**
-   * Get the venue for this match
+   * Set the number of league points for winning.
    *
-   * @returns {string|null} The venue for this match
+   * @param {number} win The number of league points for winning
+   * @returns {LeagueConfigPoints} Returns the LeagueConfigPoints instance for method chaining
    */
-  getVenue () {
-    return this.#venue
+  setWin (win) {
+    this.#win = win;
+    return this
   }
 
   /**
-   * Check if the match has a venue
+   * Get the number of league points for winning.
    *
-   * @returns {boolean} True if the match has a venue, false otherwise
+   * @returns {number} The number of league points for winning
    */
-  hasVenue () {
-    return this.#venue !== null
+  getWin () {
+    return this.#win
   }
 
   /**
-   * Set the date for this match
+   * Set the number of league points for winning by one set.
    *
-   * @param {string|null} date The date for this match
-   * @returns {GroupMatch} The GroupMatch object
+   * @param {number} winByOne The number of league points for winning by one set
+   * @returns {LeagueConfigPoints} Returns the LeagueConfigPoints instance for method chaining
    */
-  setDate (date) {
-    if (!/^[0-9]{4}-(0[0-9]|1[0-2])-(0[1-9]|[12][0-9]|3[01])$/.test(date)) {
-      throw new Error(`Invalid date "${date}": must contain a value of the form "YYYY-MM-DD"`)
-    }
-
-    const d = new Date(date);
-    if (`${d.getFullYear()}-${(d.getMonth() + 1).toString().padStart(2, '0')}-${(d.getDate()).toString().padStart(2, '0')}` !== date) {
-      throw new Error(`Invalid date "${date}": date does not exist`)
-    }
-
-    this.#date = date;
+  setWinByOne (winByOne) {
+    this.#winByOne = winByOne;
     return this
   }
 
   /**
-   * Get the date for this match
+   * Get the number of league points for winning by one set.
    *
-   * @returns {string|null} The date for this match
+   * @returns {number} The number of league points for winning by one set
    */
-  getDate () {
-    return this.#date
+  getWinByOne () {
+    return this.#winByOne
   }
 
   /**
-   * Check if the match has a date
+   * Set the number of league points for losing.
    *
-   * @returns {boolean} True if the match has a date, false otherwise
+   * @param {number} lose The number of league points for losing
+   * @returns {LeagueConfigPoints} Returns the LeagueConfigPoints instance for method chaining
    */
-  hasDate () {
-    return this.#date !== null
+  setLose (lose) {
+    this.#lose = lose;
+    return this
   }
 
   /**
-   * Set the warmup time for this match
+   * Get the number of league points for losing.
    *
-   * @param {string|null} warmup The warmup time for this match
-   * @returns {GroupMatch} The GroupMatch object
+   * @returns {number} The number of league points for losing
    */
-  setWarmup (warmup) {
-    if (!/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/.test(warmup)) {
-      throw new Error(`Invalid warmup time "${warmup}": must contain a value of the form "HH:mm" using a 24 hour clock`)
-    }
-    this.#warmup = warmup;
-    return this
+  getLose () {
+    return this.#lose
   }
 
   /**
-   * Get the warmup time for this match
+   * Set the number of league points for losing by one set.
    *
-   * @returns {string|null} The warmup time for this match
+   * @param {number} loseByOne The number of league points for losing by one set
+   * @returns {LeagueConfigPoints} Returns the LeagueConfigPoints instance for method chaining
    */
-  getWarmup () {
-    return this.#warmup
+  setLoseByOne (loseByOne) {
+    this.#loseByOne = loseByOne;
+    return this
   }
 
   /**
-   * Check if the match has a warmup time
+   * Get the number of league points for losing by one set.
    *
-   * @returns {boolean} True if the match has a warmup time, false otherwise
+   * @returns {number} The number of league points for losing by one set
    */
-  hasWarmup () {
-    return this.#warmup !== null
+  getLoseByOne () {
+    return this.#loseByOne
   }
 
   /**
-   * Set the start time for this match
+   * Set the number of league penalty points for forfeiting a match.
    *
-   * @param {string|null} start The start time for this match
-   * @returns {GroupMatch} The GroupMatch object
+   * @param {number} forfeit The number of league penalty points for forfeiting a match
+   * @returns {LeagueConfigPoints} Returns the LeagueConfigPoints instance for method chaining
    */
-  setStart (start) {
-    if (!/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/.test(start)) {
-      throw new Error(`Invalid start time "${start}": must contain a value of the form "HH:mm" using a 24 hour clock`)
-    }
-    this.#start = start;
+  setForfeit (forfeit) {
+    this.#forfeit = forfeit;
     return this
   }
 
   /**
-   * Get the start time for this match
+   * Get the number of league penalty points for forfeiting a match.
    *
-   * @returns {string|null} The start time for this match
+   * @returns {number} The number of league penalty points for forfeiting a match
    */
-  getStart () {
-    return this.#start
+  getForfeit () {
+    return this.#forfeit
   }
+}
 
+/**
+ * Configuration for a league within a competition.
+ */
+class LeagueConfig {
   /**
-   * Check if the match has a start time
-   *
-   * @returns {boolean} True if the match has a start time, false otherwise
+   * An array of parameters that define how the league positions are determined
+   * @type {array}
+   * @private
    */
-  hasStart () {
-    return this.#start !== null
-  }
+  #ordering
 
   /**
-   * Set the duration for this match
-   *
-   * @param {string|null} duration The duration for this match
-   * @returns {GroupMatch} The GroupMatch object
+   * Properties defining how to calculate the league points based on match results
+   * @type {LeagueConfigPoints}
+   * @private
    */
-  setDuration (duration) {
-    if (!/^[0-9]+:[0-5][0-9]$/.test(duration)) {
-      throw new Error(`Invalid duration "${duration}": must contain a value of the form "HH:mm"`)
-    }
-    this.#duration = duration;
-    return this
-  }
+  #points
 
   /**
-   * Get the duration for this match
+   * The league this config is for
+   * @type {League}
+   * @private
+   */
+  #league
+
+  /**
+   * Constructs a new LeagueConfig instance.
    *
-   * @returns {string|null} The duration for this match
+   * @param {League} league The league this configuration is associated with
    */
-  getDuration () {
-    return this.#duration
+  constructor (league) {
+    this.#league = league;
+    this.#ordering = [];
+    this.#points = {};
   }
 
   /**
-   * Check if the match has a duration
+   * Load league configuration data from a provided object.
    *
-   * @returns {boolean} True if the match has a duration, false otherwise
+   * @param {object} leagueData The league configuration data to load
+   * @returns {LeagueConfig} Returns the LeagueConfig instance after loading the data
    */
-  hasDuration () {
-    return this.#duration !== null
+  loadFromData (leagueData) {
+    const leagueConfigPoints = (new LeagueConfigPoints(this)).loadFromData(leagueData.points);
+    this.setOrdering(leagueData.ordering).setPoints(leagueConfigPoints);
+    return this
   }
 
   /**
-   * Set the completeness for this match
+   * The league configuration in a form suitable for serializing
    *
-   * @param {boolean} complete The completeness for this match
-   * @returns {void}
+   * @returns {object} The serialized league configuration data
    */
-  setComplete (complete) {
-    this.#complete = complete;
-    this.#isComplete = complete;
+  serialize () {
+    const leagueConfig = {
+      ordering: this.#ordering,
+      points: this.#points.serialize()
+    };
+    return leagueConfig
   }
 
   /**
-   * Get the completeness for this match.
-   * This is the explicit "complete" value from the original data
+   * Get the league associated with this configuration.
    *
-   * @returns {boolean|null} The completeness for this match
+   * @returns {League} The league associated with this configuration
    */
-  getComplete () {
-    return this.#complete
+  getLeague () {
+    return this.#league
   }
 
   /**
-   * Get the <i>calculated</i> completeness for this match. This is for when the data does not explicitly state
-   * the completeness, but the match configuration allows us to calculate whether the match is complete (e.g. set-based
-   * matches without a duration limit)
+   * Set the ordering configuration for the league.
    *
-   * @returns {boolean} The completeness for this match
+   * @param {array} ordering The ordering configuration for the league
+   * @returns {LeagueConfig} Returns the LeagueConfig instance for method chaining
    */
-  isComplete () {
-    return this.#isComplete
+  setOrdering (ordering) {
+    this.#ordering = ordering;
+    return this
   }
 
   /**
-   * Get whether the match is a draw
+   * Get the ordering configuration for the league.
    *
-   * @returns {boolean} Whether the match is a draw
+   * @returns {array} The ordering configuration for the league
    */
-  isDraw () {
-    return this.#isDraw
+  getOrdering () {
+    return this.#ordering
   }
 
   /**
-   * Set the home team for this match
+   * Get the points configuration for the league.
    *
-   * @param {MatchTeam} homeTeam The home team for this match
-   * @returns {GroupMatch} The GroupMatch object
+   * @returns {LeagueConfigPoints} The points configuration for the league
    */
-  setHomeTeam (homeTeam) {
-    this.#homeTeam = homeTeam;
-    return this
+  getPoints () {
+    return this.#points
   }
 
   /**
-   * Get the home team for this match
+   * Set the points configuration for the league.
    *
-   * @returns {MatchTeam} The home team for this match
+   * @param {LeagueConfigPoints} points The points configuration for the league
+   * @returns {LeagueConfig} Returns the LeagueConfig instance for method chaining
    */
-  getHomeTeam () {
-    return this.#homeTeam
+  setPoints (points) {
+    this.#points = points;
+    return this
   }
+}
 
+/**
+ * Configuration defining the nature of a set.
+ */
+class SetConfig {
   /**
-   * Get the home team scores
-   *
-   * @returns {Array} The home team scores
+   * The maximum number of sets that could be played, often known as 'best of', e.g., if this has the value '5' then the match is played as 'best of 5 sets'
+   * @var {int}
+   * @private
+   **/
+  #maxSets
+
+  /**
+    * The number of sets that must be won to win the match.
+    * @var {int}
+    * @private
+    **/
+  #setsToWin
+
+  /**
+    * The number of points lead that the winning team must have.
+    * @var {int}
+    * @private
+    **/
+  #clearPoints
+
+  /**
+    * The minimum number of points that either team must score for a set to count as valid.
+    * @var {int}
+    * @private
+    **/
+  #minPoints
+
+  /**
+    * The minimum number of points required to win all but the last set.
+    * @var {int}
+    * @private
+    **/
+  #pointsToWin
+
+  /**
+    * The minimum number of points required to win the last set.
+    * @var {int}
+    * @private
+    **/
+  #lastSetPointsToWin
+
+  /**
+    * The upper limit of points that can be scored in a set.
+    * @var {int}
+    * @private
+    **/
+  #maxPoints
+
+  /**
+    * The upper limit of points that can be scored in the last set.
+    * @var {int}
+    * @private
+    **/
+  #lastSetMaxPoints
+
+  /**
+    * The maximum number of substitutions that a team can make in a set.
+    * @var {int}
+    * @private
+    **/
+  #maxSubstitutions
+
+  /**
+    * The maximum number of timeouts that a team can take in a set.
+    * @var {int}
+    * @private
+    **/
+  #maxTimeouts
+
+  /**
+    * The group that this SetConfig belongs to
+    * @var {Group}
+    * @private
+    **/
+  #group
+
+  /**
+   * @param {Group} group The group that this SetConfig belongs to
    */
-  getHomeTeamScores () {
-    return [...this.#homeTeamScores]
+  constructor (group) {
+    this.#maxSets = 5;
+    this.#setsToWin = 3;
+    this.#clearPoints = 2;
+    this.#minPoints = 1;
+    this.#pointsToWin = 25;
+    this.#lastSetPointsToWin = 15;
+    this.#maxPoints = 1000;
+    this.#lastSetMaxPoints = 1000;
+    this.#maxSubstitutions = 6;
+    this.#maxTimeouts = 2;
+    this.#group = group;
   }
 
   /**
-   * Get the number of sets won by the home team
+   * Load set configuration data from an object.
    *
-   * @returns {number} The number of sets won by the home team
-   * @throws {Error} If the match type is continuous
+   * @param {Object} setData The set configuration data
+   * @returns {SetConfig} The updated SetConfig object
    */
-  getHomeTeamSets () {
-    if (this.#group.getMatchType() === MatchType.CONTINUOUS) {
-      throw new Error('Match has no sets because the match type is continuous')
+  loadFromData (setData) {
+    if (Object.hasOwn(setData, 'maxSets')) {
+      this.setMaxSets(setData.maxSets);
     }
-    return this.#homeTeamSets
+
+    if (Object.hasOwn(setData, 'setsToWin')) {
+      this.setSetsToWin(setData.setsToWin);
+    }
+
+    if (Object.hasOwn(setData, 'clearPoints')) {
+      this.setClearPoints(setData.clearPoints);
+    }
+
+    if (Object.hasOwn(setData, 'minPoints')) {
+      this.setMinPoints(setData.minPoints);
+    }
+
+    if (Object.hasOwn(setData, 'pointsToWin')) {
+      this.setPointsToWin(setData.pointsToWin);
+    }
+
+    if (Object.hasOwn(setData, 'lastSetPointsToWin')) {
+      this.setLastSetPointsToWin(setData.lastSetPointsToWin);
+    }
+
+    if (Object.hasOwn(setData, 'maxPoints')) {
+      this.setMaxPoints(setData.maxPoints);
+    }
+
+    if (Object.hasOwn(setData, 'lastSetMaxPoints')) {
+      this.setLastSetMaxPoints(setData.lastSetMaxPoints);
+    }
+
+    if (Object.hasOwn(setData, 'maxSubstitutions')) {
+      this.setMaxSubstitutions(setData.maxSubstitutions);
+    }
+
+    if (Object.hasOwn(setData, 'maxTimeouts')) {
+      this.setMaxTimeouts(setData.maxTimeouts);
+    }
+
+    return this
   }
 
   /**
-   * Set the away team for this match
+   * Get the group that this SetConfig belongs to.
    *
-   * @param {MatchTeam} awayTeam The away team for this match
-   * @returns {GroupMatch} The GroupMatch object
+   * @returns {Group} The group that this SetConfig belongs to
    */
-  setAwayTeam (awayTeam) {
-    this.#awayTeam = awayTeam;
-    return this
+  getGroup () {
+    return this.#group
   }
 
   /**
-   * Get the away team for this match
+   * The set configuration data in a form suitable for serializing.  The maximum substitutions and timeouts are optional additions to
+   * version 1.0.0 of the schema, so they are only included when they differ from their defaults.  A competition that does not use them
+   * therefore serializes exactly as before, and stays readable by anything that only knows the original 1.0.0 fields, which is why adding
+   * them does not need a new schema version or a migration
    *
-   * @returns {MatchTeam} The away team for this match
+   * @returns {Object} The serialized set configuration data
    */
-  getAwayTeam () {
-    return this.#awayTeam
+  serialize () {
+    const setConfig = {
+      maxSets: this.#maxSets,
+      setsToWin: this.#setsToWin,
+      clearPoints: this.#clearPoints,
+      minPoints: this.#minPoints,
+      pointsToWin: this.#pointsToWin,
+      lastSetPointsToWin: this.#lastSetPointsToWin,
+      maxPoints: this.#maxPoints,
+      lastSetMaxPoints: this.#lastSetMaxPoints
+    };
+
+    if (this.#maxSubstitutions !== 6) {
+      setConfig.maxSubstitutions = this.#maxSubstitutions;
+    }
+
+    if (this.#maxTimeouts !== 2) {
+      setConfig.maxTimeouts = this.#maxTimeouts;
+    }
+
+    return setConfig
   }
 
   /**
-   * Get the away team scores
+   * Set the maximum number of sets that could be played.
    *
-   * @returns {Array} The away team scores
+   * @param {number} maxSets The maximum number of sets
    */
-  getAwayTeamScores () {
-    return [...this.#awayTeamScores]
+  setMaxSets (maxSets) {
+    this.#maxSets = maxSets;
   }
 
   /**
-   * Get the number of sets won by the away team
+   * Get the maximum number of sets that could be played.
    *
-   * @returns {number} The number of sets won by the away team
-   * @throws {Error} If the match type is continuous
+   * @returns {number} The maximum number of sets
    */
-  getAwayTeamSets () {
-    if (this.#group.getMatchType() === MatchType.CONTINUOUS) {
-      throw new Error('Match has no sets because the match type is continuous')
-    }
-    return this.#awayTeamSets
+  getMaxSets () {
+    return this.#maxSets
   }
 
   /**
-   * Set the officials for this match
+   * Set the number of sets that must be won to win the match.
    *
-   * @param {MatchOfficials|null} officials The officials for this match
-   * @returns {GroupMatch} The GroupMatch object
+   * @param {number} setsToWin The number of sets to win
    */
-  setOfficials (officials) {
-    this.#officials = officials;
-    return this
+  setSetsToWin (setsToWin) {
+    this.#setsToWin = setsToWin;
   }
 
   /**
-   * Get the officials for this match
+   * Get the number of sets that must be won to win the match.
    *
-   * @returns {MatchOfficials|null} The officials for this match
+   * @returns {number} The number of sets to win
    */
-  getOfficials () {
-    return this.#officials
+  getSetsToWin () {
+    return this.#setsToWin
   }
 
   /**
-   * Check if the match has officials
+   * Set the number of points lead that the winning team must have.
    *
-   * @returns {boolean} True if the match has officials, false otherwise
+   * @param {number} clearPoints The number of clear points
    */
-  hasOfficials () {
-    return this.#officials !== null
+  setClearPoints (clearPoints) {
+    this.#clearPoints = clearPoints;
   }
 
   /**
-   * Set the MVP for this match
+   * Get the number of points lead that the winning team must have.
    *
-   * @param {Player|null} mvp The MVP for this match
-   * @returns {GroupMatch} The GroupMatch object
+   * @returns {number} The number of clear points
    */
-  setMVP (mvp) {
-    this.#mvp = mvp;
-    return this
+  getClearPoints () {
+    return this.#clearPoints
   }
 
   /**
-   * Get the MVP for this match
+   * Set the minimum number of points that either team must score for a set to count as valid.
    *
-   * @returns {string|null} The MVP for this match
+   * @param {number} minPoints The minimum number of points
    */
-  getMVP () {
-    return this.#mvp
+  setMinPoints (minPoints) {
+    this.#minPoints = minPoints;
   }
 
   /**
-   * Check if the match has an MVP
+   * Get the minimum number of points that either team must score for a set to count as valid.
    *
-   * @returns {boolean} True if the match has an MVP, false otherwise
+   * @returns {number} The minimum number of points
    */
-  hasMVP () {
-    return this.#mvp !== null
+  getMinPoints () {
+    return this.#minPoints
   }
 
   /**
-   * Set the court manager for this match
+   * Set the minimum number of points required to win all but the last set.
    *
-   * @param {MatchManager|null} manager The court manager for this match
-   * @returns {GroupMatch} The GroupMatch object
+   * @param {number} pointsToWin The minimum number of points to win
    */
-  setManager (manager) {
-    this.#manager = manager;
-    return this
+  setPointsToWin (pointsToWin) {
+    this.#pointsToWin = pointsToWin;
   }
 
   /**
-   * Get the court manager for this match
+   * Get the minimum number of points required to win all but the last set.
    *
-   * @returns {MatchManager|null} The court manager for this match
+   * @returns {number} The minimum number of points to win
    */
-  getManager () {
-    return this.#manager
+  getPointsToWin () {
+    return this.#pointsToWin
   }
 
   /**
-   * Check if the match has a court manager
+   * Set the minimum number of points required to win the last set.
    *
-   * @returns {boolean} True if the match has a court manager, false otherwise
+   * @param {number} lastSetPointsToWin The minimum number of points to win the last set
    */
-  hasManager () {
-    return this.#manager !== null
+  setLastSetPointsToWin (lastSetPointsToWin) {
+    this.#lastSetPointsToWin = lastSetPointsToWin;
   }
 
   /**
-   * Set the notes for this match
+   * Get the minimum number of points required to win the last set.
    *
-   * @param {string|null} notes The notes for this match
-   * @returns {GroupMatch} The GroupMatch object
+   * @returns {number} The minimum number of points to win the last set
    */
-  setNotes (notes) {
-    this.#notes = notes;
-    return this
+  getLastSetPointsToWin () {
+    return this.#lastSetPointsToWin
   }
 
   /**
-   * Get the notes for this match
+   * Set the upper limit of points that can be scored in a set.
    *
-   * @returns {string|null} The notes for this match
+   * @param {number} maxPoints The upper limit of points in a set
    */
-  getNotes () {
-    return this.#notes
+  setMaxPoints (maxPoints) {
+    this.#maxPoints = maxPoints;
   }
 
   /**
-   * Check if the match has notes
+   * Get the upper limit of points that can be scored in a set.
    *
-   * @returns {boolean} True if the match has notes, false otherwise
+   * @returns {number} The upper limit of points in a set
    */
-  hasNotes () {
-    return this.#notes !== null
+  getMaxPoints () {
+    return this.#maxPoints
   }
 
   /**
-   * Set whether the match is a friendly match
+   * Set the upper limit of points that can be scored in the last set.
    *
-   * @param {boolean} friendly Whether the match is friendly or not
-   * @returns {GroupMatch} The GroupMatch object
+   * @param {number} lastSetMaxPoints The upper limit of points in the last set
    */
-  setFriendly (friendly) {
-    this.#friendly = friendly;
-    return this
+  setLastSetMaxPoints (lastSetMaxPoints) {
+    this.#lastSetMaxPoints = lastSetMaxPoints;
   }
 
   /**
-   * Check if the match is a friendly match
+   * Get the upper limit of points that can be scored in the last set.
    *
-   * @returns {boolean} Whether the match is friendly or not
+   * @returns {number} The upper limit of points in the last set
    */
-  isFriendly () {
-    return this.#friendly
+  getLastSetMaxPoints () {
+    return this.#lastSetMaxPoints
   }
 
   /**
-   * Set the scores for this match
+   * Set the maximum number of substitutions that a team can make in a set.
    *
-   * @param {Array<number>} homeTeamScores The score array for the home team
-   * @param {Array<number>} awayTeamScores The score array for the away team
-   * @param {boolean|null} complete Whether the match is complete or not (required for continuous scoring matches)
-   * @returns {GroupMatch} The GroupMatch object
-   * @throws {Error} If the scores are invalid
+   * @param {number} maxSubstitutions The maximum number of substitutions in a set
    */
-  setScores (homeTeamScores, awayTeamScores, complete = null) {
-    if (this.#group.getMatchType() === MatchType.CONTINUOUS) {
-      if (complete === null) {
-        throw new Error('Invalid score: match type is continuous, but the match completeness is not set')
-      }
-      GroupMatch.assertContinuousScoresValid(homeTeamScores, awayTeamScores, this.#group);
-      this.setComplete(complete);
-    } else {
-      GroupMatch.assertSetScoresValid(homeTeamScores, awayTeamScores, this.#group.getSetConfig());
-      if (this.#duration !== null && complete === null) {
-        throw new Error('Invalid results: match type is sets and match has a duration, but the match completeness is not set')
-      }
-      if (complete !== null) {
-        this.setComplete(complete);
-      }
-    }
-    this.#homeTeamScores = homeTeamScores;
-    this.#awayTeamScores = awayTeamScores;
-    this.#calculateResult();
-    return this
+  setMaxSubstitutions (maxSubstitutions) {
+    this.#maxSubstitutions = maxSubstitutions;
   }
 
   /**
-   * Calculate the result information for this match.
-   * For example, is the match complete, who won, how many sets did each team score, are the results valid
+   * Get the maximum number of substitutions that a team can make in a set.
    *
-   * @throws {Error} If the scores are invalid
-   * @private
+   * @returns {number} The maximum number of substitutions in a set
    */
-  #calculateResult () {
-    if (this.#homeTeam.getScores().length !== this.#awayTeam.getScores().length) {
-      throw new Error(`Invalid match information for match ${this.#id}: team scores have different length`)
-    }
-
-    if (this.#group.getMatchType() === MatchType.CONTINUOUS) {
-      this.#calculateContinuousResult();
-    } else {
-      if (this.#homeTeam.getScores().length > this.#group.getSetConfig().getMaxSets()) {
-        throw new Error(`Invalid match information (in match {${this.#group.getStage().getID()}:${this.#group.getID()}:${this.#id}}): team scores have more sets than the maximum allowed length`)
-      }
-      try {
-        this.#calculateSetsResult();
-      } catch (err) {
-        throw new Error(err.message)
-      }
-    }
+  getMaxSubstitutions () {
+    return this.#maxSubstitutions
   }
 
   /**
-   * Calculate the result information for this match, when the scores are continuous
+   * Set the maximum number of timeouts that a team can take in a set.
    *
-   * @throws {Error} If the match shows a draw but draws are not allowed
-   * @private
+   * @param {number} maxTimeouts The maximum number of timeouts in a set
    */
-  #calculateContinuousResult () {
-    if (this.#homeTeam.getScores().length === 0) {
-      return
-    }
-    if (this.#homeTeam.getScores()[0] + this.#awayTeam.getScores()[0] === 0) {
-      return
-    }
-
-    if (this.#isComplete) {
-      if (this.#homeTeam.getScores()[0] > this.#awayTeam.getScores()[0]) {
-        this.#winnerTeamID = this.#homeTeam.getID();
-        this.#loserTeamID = this.#awayTeam.getID();
-      } else if (this.#homeTeam.getScores()[0] < this.#awayTeam.getScores()[0]) {
-        this.#winnerTeamID = this.#awayTeam.getID();
-        this.#loserTeamID = this.#homeTeam.getID();
-      } else if (this.#group.getDrawsAllowed()) {
-        this.#isDraw = true;
-      } else {
-        throw new Error(`Invalid match information (in match {${this.#group.getStage().getID()}:${this.#group.getID()}:${this.#id}}): scores show a draw but draws are not allowed`)
-      }
-    }
+  setMaxTimeouts (maxTimeouts) {
+    this.#maxTimeouts = maxTimeouts;
   }
 
   /**
-   * Check that the continuous scores are valid
+   * Get the maximum number of timeouts that a team can take in a set.
    *
-   * @param {Array<number>} homeTeamScores The home team's scores
-   * @param {Array<number>} awayTeamScores The away team's scores
-   * @param {object} groupConfig The configuration for the group this match is in
-   * @throws {Error} If the scores are invalid
-   * @static
+   * @returns {number} The maximum number of timeouts in a set
    */
-  static assertContinuousScoresValid (homeTeamScores, awayTeamScores, groupConfig) {
-    const scoreLength = homeTeamScores.length;
-    if (scoreLength > 1) {
-      throw new Error('Invalid results: match type is continuous, but score length is greater than one')
-    }
-    if (groupConfig instanceof Group$1) {
-      if (!groupConfig.getDrawsAllowed() && homeTeamScores[0] === awayTeamScores[0] && homeTeamScores[0] !== 0) {
-        throw new Error('Invalid score: draws not allowed in this group')
-      }
-    } else {
-      if (groupConfig.drawsAllowed !== undefined && !groupConfig.drawsAllowed && homeTeamScores[0] === awayTeamScores[0] && homeTeamScores[0] !== 0) {
-        throw new Error('Invalid score: draws not allowed in this group')
-      }
-    }
+  getMaxTimeouts () {
+    return this.#maxTimeouts
   }
+}
 
+/**
+ * A group within a stage of the competition
+ */
+class Group {
   /**
-   * Calculate the result information for this match, when the match is played to multiple sets
-   *
-   * @throws {Error} If the scores are invalid
-   * @private
+   * A unique ID for this group, e.g. 'P1'
+   * @type {string}
+   * @protected
    */
-  #calculateSetsResult () {
-    this.constructor.assertSetScoresValid(this.#homeTeam.getScores(), this.#awayTeam.getScores(), this.#group.getSetConfig());
+  _id
 
-    const maxSets = this.#group.getSetConfig().getMaxSets();
-    const setsToWin = this.#group.getSetConfig().getSetsToWin();
-    const scoreLength = this.#homeTeam.getScores().length;
+  /**
+   * Descriptive title for the group, e.g. 'Pool 1'
+   * @type {string|null}
+   * @protected
+   */
+  _name
 
-    this.#homeTeamSets = 0;
-    this.#awayTeamSets = 0;
-    for (let setNumber = 0; setNumber < scoreLength; setNumber++) {
-      if (this.#homeTeam.getScores()[setNumber] < this.#group.getSetConfig().getMinPoints() && this.#awayTeam.getScores()[setNumber] < this.#group.getSetConfig().getMinPoints()) {
-        continue
-      }
-      if (this.#isComplete || GroupMatch.#isSetComplete(setNumber, this.#homeTeam.getScores()[setNumber], this.#awayTeam.getScores()[setNumber], this.#group.getSetConfig())) {
-        if (this.#homeTeam.getScores()[setNumber] > this.#awayTeam.getScores()[setNumber]) {
-          this.#homeTeamSets++;
-        } else if (this.#homeTeam.getScores()[setNumber] < this.#awayTeam.getScores()[setNumber]) {
-          this.#awayTeamSets++;
-        }
-      }
-    }
+  /**
+   * Free form string to add notes about this group.
+   * @type {string|null}
+   * @protected
+   */
+  _notes
 
-    if (this.#duration === null &&
-        (this.#homeTeamSets + this.#awayTeamSets === maxSets || this.#homeTeamSets >= setsToWin || this.#awayTeamSets >= setsToWin)) {
-      this.#isComplete = true;
-    }
+  /**
+   * An array of string values as a verbose description of the nature of the group
+   * @type {array|null}
+   * @protected
+   */
+  _description
 
-    if (this.#isComplete) {
-      if (this.#homeTeamSets > this.#awayTeamSets) {
-        this.#winnerTeamID = this.#homeTeam.getID();
-        this.#loserTeamID = this.#awayTeam.getID();
-      } else if (this.#homeTeamSets < this.#awayTeamSets) {
-        this.#winnerTeamID = this.#awayTeam.getID();
-        this.#loserTeamID = this.#homeTeam.getID();
-      } else if (this.#group.getDrawsAllowed()) {
-        this.#isDraw = true;
-      } else {
-        throw new Error(`Invalid match information (in match {${this.#group.getStage().getID()}:${this.#group.getID()}:${this.#id}}): scores show a draw but draws are not allowed`)
-      }
-    }
-  }
+  /**
+   * The type of competition applying to this group
+   * @type {GroupType}
+   * @protected
+   */
+  _type
 
   /**
-   * Check that the set scores are valid
-   *
-   * @param {number[]} homeTeamScores The home team's scores
-   * @param {number[]} awayTeamScores The away team's scores
-   * @param {SetConfig} setConfig The set configuration for this match
-   * @throws {Error} If the scores are invalid
+   * Configuration for the knockout matches
+   * @type {KnockoutConfig|null}
+   * @protected
    */
-  static assertSetScoresValid (homeTeamScores, awayTeamScores, setConfig) {
-    const homeScoreLength = homeTeamScores.length;
-    const awayScoreLength = awayTeamScores.length;
-
-    if (homeScoreLength !== awayScoreLength) {
-      throw new Error('Invalid set scores: score arrays are different lengths')
-    }
-
-    if (homeScoreLength > setConfig.getMaxSets()) {
-      throw new Error('Invalid set scores: score arrays are longer than the maximum number of sets allowed')
-    }
-
-    let seenIncompleteSet = false;
-    for (let setNumber = 0; setNumber < homeScoreLength; setNumber++) {
-      if (seenIncompleteSet && (homeTeamScores[setNumber] !== 0 || awayTeamScores[setNumber] !== 0)) {
-        throw new Error('Invalid set scores: data contains non-zero scores for a set after an incomplete set')
-      }
+  _knockoutConfig
 
-      const deciderSet = (setNumber === setConfig.getMaxSets() - 1);
-      const clearByPoints = Math.abs(homeTeamScores[setNumber] - awayTeamScores[setNumber]);
-      if (deciderSet) {
-        if (clearByPoints > setConfig.getClearPoints() && Math.min(homeTeamScores[setNumber], awayTeamScores[setNumber]) > setConfig.getLastSetPointsToWin()) {
-          if (homeTeamScores[setNumber] > awayTeamScores[setNumber]) {
-            throw new Error(`Invalid set scores: value for set score at index ${setNumber} shows home team scoring more points than necessary to win the set`)
-          } else {
-            throw new Error(`Invalid set scores: value for set score at index ${setNumber} shows away team scoring more points than necessary to win the set`)
-          }
-        }
-      } else {
-        if (!GroupMatch.#isMidSetComplete(homeTeamScores[setNumber], awayTeamScores[setNumber], clearByPoints, setConfig)) {
-          seenIncompleteSet = true;
-        }
-      }
-    }
-  }
+  /**
+   * Configuration for the league
+   * @type {LeagueConfig|null}
+   * @protected
+   */
+  _leagueConfig
 
   /**
-   * Work out whether the set is complete or not, first establishing whether this is the deciding set or not
-   *
-   * @param {number} setNumber The set number being checked
-   * @param {number} homeScore The home team's score in this set
-   * @param {number} awayScore The away team's score in this set
-   * @param {SetConfig} setConfig The set configuration for this match
-   * @returns {boolean} Whether the set is complete or not
+   * Are the matches played in sets or continuous points
+   * @type {MatchType}
+   * @protected
    */
-  static #isSetComplete (setNumber, homeScore, awayScore, setConfig) {
-    const deciderSet = (setNumber === setConfig.getMaxSets() - 1);
-    if (deciderSet) {
-      return GroupMatch.#isDeciderSetComplete(homeScore, awayScore, Math.abs(homeScore - awayScore), setConfig)
-    } else {
-      return GroupMatch.#isMidSetComplete(homeScore, awayScore, Math.abs(homeScore - awayScore), setConfig)
-    }
-  }
+  _matchType
 
   /**
-   * Work out whether the set is complete or not, when this is not the deciding set
-   *
-   * @param {number} homeScore The home team's score in this set
-   * @param {number} awayScore The away team's score in this set
-   * @param {number} clearByPoints The number of points clear a team must be
-   * @param {SetConfig} setConfig The set configuration for this match
-   * @returns {boolean} Whether the set is complete or not
+   * Configuration defining the nature of a set
+   * @type {SetConfig|null}
+   * @protected
    */
-  static #isMidSetComplete (homeScore, awayScore, clearByPoints, setConfig) {
-    const hasEnoughPoints = homeScore >= setConfig.getPointsToWin() || awayScore >= setConfig.getPointsToWin();
-    const isClearByEnoughPoints = clearByPoints >= setConfig.getClearPoints();
-    const hasScoredMaximumPoints = (homeScore === setConfig.getMaxPoints() || awayScore === setConfig.getMaxPoints());
-    return (hasEnoughPoints && isClearByEnoughPoints) || hasScoredMaximumPoints
-  }
+  _sets
 
   /**
-   * Work out whether the set is complete or not, when this is the deciding set
-   *
-   * @param {number} homeScore The home team's score in this set
-   * @param {number} awayScore The away team's score in this set
-   * @param {number} clearByPoints The number of points clear a team must be
-   * @param {SetConfig} setConfig The set configuration for this match
-   * @returns {boolean} Whether the set is complete or not
+   * Sets whether drawn matches are allowed
+   * @type {bool}
+   * @protected
    */
-  static #isDeciderSetComplete (homeScore, awayScore, clearByPoints, setConfig) {
-    const hasEnoughPoints = homeScore >= setConfig.getLastSetPointsToWin() || awayScore >= setConfig.getLastSetPointsToWin();
-    const isClearByEnoughPoints = clearByPoints >= setConfig.getClearPoints();
-    const hasScoredMaximumPoints = (homeScore === setConfig.getLastSetMaxPoints() || awayScore === setConfig.getLastSetMaxPoints());
-    return (hasEnoughPoints && isClearByEnoughPoints) || hasScoredMaximumPoints
-  }
+  _drawsAllowed
 
   /**
-   * Get the ID of the winning team
-   *
-   * @returns {string} The ID of the winning team
-   * @throws {Error} If the match does not have a winner
+   * An array of matches in this group (or breaks in play)
+   * @type {array}
+   * @protected
    */
-  getWinnerTeamID () {
-    if (!this.#isComplete) {
-      throw new Error('Match incomplete, there is no winner')
-    }
+  _matches = []
 
-    if (this.#isDraw) {
-      throw new Error('Match drawn, there is no winner')
-    }
+  /**
+   * Whether this group is complete, i.e. have all matches been played
+   * @type {bool}
+   * @protected
+   */
+  _isComplete = true
 
-    return this.#winnerTeamID
-  }
+  /**
+   * A latch on whether we've calculated the latest known completeness of the group
+   * @type {bool}
+   * @protected
+   */
+  _isCompleteKnown = false
 
   /**
-   * Get the ID of the losing team
-   *
-   * @returns {string} The ID of the loser team
-   * @throws {Error} If the match does not have a loser
+   * The Stage this Group is in
+   * @type {bool}
+   * @protected
    */
-  getLoserTeamID () {
-    if (!this.#isComplete) {
-      throw new Error('Match incomplete, there is no loser')
-    }
+  _stage
 
-    if (this.#isDraw) {
-      throw new Error('Match drawn, there is no loser')
-    }
+  /**
+   * The competition this Group is in
+   * @type {Competition}
+   * @protected
+   */
+  _competition
 
-    return this.#loserTeamID
-  }
-}
+  /**
+   * Lookup table for whether the team has matches they're playing in
+   * @type {Object}
+   * @private
+   */
+  #teamHasMatchesLookup
 
-class GroupType {
-  static LEAGUE = 'league'
-  static CROSSOVER = 'crossover'
-  static KNOCKOUT = 'knockout'
-}
+  /**
+   * Lookup table for whether the team have matches to officiate
+   * @type {Object}
+   * @private
+   */
+  #teamHasOfficiatingLookup
 
-/**
- * Represents a knockout configuration for a competition.
- */
-class KnockoutConfig {
   /**
-   * An ordered mapping from a position to a team ID
+   * An array of team references in this group
    * @type {array}
    * @private
    */
-  #standing
+  #teamReferences
 
   /**
-   * The knockout group this configuration is associated with
-   * @type {Group}
+   * An array of team IDs in this group
+   * @type {array}
    * @private
    */
-  #group
+  #teamIDs
 
   /**
-   * Constructs a new KnockoutConfig instance.
-   *
-   * @param {Group} group The group associated with this knockout configuration.
+   * An array of team IDs in this group
+   * @type {array}
+   * @private
    */
-  constructor (group) {
-    this.#standing = [];
-    this.#group = group;
-  }
+  #playingTeamIDs
 
   /**
-   * Loads knockout configuration data from an object.
-   *
-   * @param {object} knockoutData The data object containing knockout configuration information.
-   * @returns {KnockoutConfig} The updated KnockoutConfig instance.
+   * An array of team IDs in this group
+   * @type {array}
+   * @private
    */
-  loadFromData (knockoutData) {
-    this.setStanding(knockoutData.standing);
-    return this
-  }
+  #officiatingTeamIDs
 
   /**
-   * The knockout configuration in a form suitable for serializing
-   *
-   * @returns {object} The serialized knockout configuration data.
+   * A lookup table of references where the key is the string "{stage ID}:{group ID}"
+   * @type {array}
+   * @private
    */
-  serialize () {
-    const knockout = {};
-    knockout.standing = this.#standing;
-    return knockout
-  }
+  #stgGrpLookup
 
   /**
-   * Gets the group associated with this knockout configuration.
-   *
-   * @returns {Group} The group associated with this knockout configuration.
+   * A cached list of the teams that might be in this group via a reference
+   * @type {array}
+   * @private
    */
-  getGroup () {
-    return this.#group
-  }
+  #maybeTeams
 
   /**
-   * Sets the standing array for this knockout configuration.
-   *
-   * @param {Array<object>} standing The array of standing maps.
-   * @returns {KnockoutConfig} The KnockoutConfig instance with the updated standing array.
+   * Whether any matches in the group have court information
+   * @type {bool}
+   * @private
    */
-  setStanding (standing) {
-    this.#standing = standing;
-    return this
-  }
+  #matchesHaveCourts = false
 
   /**
-   * Gets the standing array for this knockout configuration.
-   *
-   * @returns {Array<object>} The array of standing maps for this knockout configuration.
+   * Whether any matches in the group have date information
+   * @type {bool}
+   * @private
    */
-  getStanding () {
-    return this.#standing
-  }
-}
+  #matchesHaveDates = false
+
+  /**
+   * Whether any matches in the group have duration information
+   * @type {bool}
+   * @private
+   */
+  #matchesHaveDurations = false
 
-/**
- * Configuration for league points in a competition.
-*/
-class LeagueConfigPoints {
   /**
-   * Number of league points for playing the match
-   * @type {number}
+   * Whether any matches in the group have MVP information
+   * @type {bool}
    * @private
    */
-  #played
+  #matchesHaveMVPs = false
 
   /**
-   * Number of league points for each set won
-   * @type {number}
+   * Whether any matches in the group have manager information
+   * @type {bool}
    * @private
    */
-  #perSet
+  #matchesHaveManagers = false
 
   /**
-   * Number of league points for winning (by 2 sets or more if playing sets)
-   * @type {number}
+   * Whether any matches in the group have notes
+   * @type {bool}
    * @private
    */
-  #win
+  #matchesHaveNotes = false
 
   /**
-   * Number of league points for winning by 1 set
-   * @type {number}
+   * Whether any matches in the group have Officials
+   * @type {bool}
    * @private
    */
-  #winByOne
+  #matchesHaveOfficials = false
 
   /**
-   * Number of league points for losing (by 2 sets or more if playing sets)
-   * @type {number}
+   * Whether any matches in the group have start times defined
+   * @type {bool}
    * @private
    */
-  #lose
+  #matchesHaveStarts = false
 
   /**
-   * Number of league points for losing by 1 set
-   * @type {number}
+   * Whether any matches in the group have venue information
+   * @type {bool}
    * @private
    */
-  #loseByOne
+  #matchesHaveVenues = false
 
   /**
-   * Number of league penalty points for forfeiting a match
-   * @type {number}
+   * Whether any matches in the group have warmup times
+   * @type {bool}
    * @private
    */
-  #forfeit
+  #matchesHaveWarmups = false
 
   /**
-   * The league configuration associated with these points
-   * @type {LeagueConfig}
+   * A Lookup table from match IDs to that match
+   * @type {Object}
    * @private
    */
-  #leagueConfig
+  #matchLookup
 
   /**
-   * Constructs a new LeagueConfigPoints instance.
-   *
-   * @param {LeagueConfig} leagueConfig The league configuration associated with these points
+   * Whether matches have been processed or not
+   * @type {bool}
+   * @protected
    */
-  constructor (leagueConfig) {
-    this.#played = 0;
-    this.#perSet = 0;
-    this.#win = 3;
-    this.#winByOne = 0;
-    this.#lose = 0;
-    this.#loseByOne = 0;
-    this.#forfeit = 0;
-    this.#leagueConfig = leagueConfig;
+  _matchesProcessed = false
+
+  /**
+   * @param {Stage} stage A link back to the Stage this Group is in
+   * @param {string} id The unique ID of this Group
+   * @param {string} matchType Whether matches are continuous or played to sets
+   */
+  constructor (stage, id, matchType) {
+    this._id = id;
+    this._stage = stage;
+    this._competition = stage.getCompetition();
+    this._matchType = matchType;
+    this._name = null;
+    this._notes = null;
+    this._description = null;
+    this.#matchLookup = {};
+    this.#teamHasMatchesLookup = {};
+    this.#teamHasOfficiatingLookup = {};
+    this.#teamReferences = [];
+    this.#playingTeamIDs = [];
+    this.#officiatingTeamIDs = [];
+    this.#teamIDs = [];
+    this._isComplete = true;
+    this._isCompleteKnown = false;
+    this._matches = [];
+    this._sets = null;
+    this._knockoutConfig = null;
+    this._leagueConfig = null;
+    this._type = null;
+    this._drawsAllowed = false;
+    this.#stgGrpLookup = null;
+    this.#maybeTeams = null;
+    this.#matchesHaveCourts = false;
+    this.#matchesHaveDates = false;
+    this.#matchesHaveDurations = false;
+    this.#matchesHaveMVPs = false;
+    this.#matchesHaveManagers = false;
+    this.#matchesHaveNotes = false;
+    this.#matchesHaveOfficials = false;
+    this.#matchesHaveStarts = false;
+    this.#matchesHaveVenues = false;
+    this.#matchesHaveWarmups = false;
   }
 
   /**
-   * Load league points configuration data from a provided object.
+   * Load group data from object
    *
-   * @param {object} leagueConfigData The league points configuration data to load
-   * @returns {LeagueConfigPoints} Returns the LeagueConfigPoints instance after loading the data
+   * @param {object} groupData The data defining this Group
+   * @returns {Group} The loaded group instance
    */
-  loadFromData (leagueConfigData) {
-    if (Object.hasOwn(leagueConfigData, 'played')) {
-      this.setPlayed(leagueConfigData.played);
-    }
-    if (Object.hasOwn(leagueConfigData, 'perSet')) {
-      this.setPerSet(leagueConfigData.perSet);
+  loadFromData (groupData) {
+    if (Object.hasOwn(groupData, 'name')) {
+      this.setName(groupData.name);
     }
-    if (Object.hasOwn(leagueConfigData, 'win')) {
-      this.setWin(leagueConfigData.win);
+
+    if (Object.hasOwn(groupData, 'notes')) {
+      this.setNotes(groupData.notes);
     }
-    if (Object.hasOwn(leagueConfigData, 'winByOne')) {
-      this.setWinByOne(leagueConfigData.winByOne);
+
+    if (Object.hasOwn(groupData, 'description')) {
+      this.setDescription(groupData.description);
     }
-    if (Object.hasOwn(leagueConfigData, 'lose')) {
-      this.setLose(leagueConfigData.lose);
+
+    if (Object.hasOwn(groupData, 'sets')) {
+      const setConfig = new SetConfig(this);
+      this.setSetConfig(setConfig);
+      setConfig.loadFromData(groupData.sets);
     }
-    if (Object.hasOwn(leagueConfigData, 'loseByOne')) {
-      this.setLoseByOne(leagueConfigData.loseByOne);
+
+    if (Object.hasOwn(groupData, 'knockout')) {
+      const knockoutConfig = new KnockoutConfig(this);
+      this.setKnockoutConfig(knockoutConfig);
+      knockoutConfig.loadFromData(groupData.knockout);
     }
-    if (Object.hasOwn(leagueConfigData, 'forfeit')) {
-      this.setForfeit(leagueConfigData.forfeit);
+
+    if (Object.hasOwn(groupData, 'league')) {
+      const leagueConfig = new LeagueConfig(this);
+      this.setLeagueConfig(leagueConfig);
+      leagueConfig.loadFromData(groupData.league);
     }
 
+    groupData.matches.forEach((matchData, i) => {
+      try {
+        if (matchData.type === 'match') {
+          this.addMatch((new GroupMatch$1(this, matchData.id)).loadFromData(matchData));
+        } else if (matchData.type === 'break') {
+          this.addBreak((new GroupBreak(this)).loadFromData(matchData));
+        }
+      } catch (err) {
+        throw CompetitionValidationError.fromError(err, `/matches/${i}`, matchData)
+      }
+    });
+
     return this
   }
 
   /**
-   * The league points configuration in a form suitable for serializing
+   * Return the group data in a form suitable for serializing
    *
-   * @returns {object} The serialized league points configuration data
+   * @returns {object} The serialized group data
    */
   serialize () {
-    return {
-      played: this.#played,
-      perSet: this.#perSet,
-      win: this.#win,
-      winByOne: this.#winByOne,
-      lose: this.#lose,
-      loseByOne: this.#loseByOne,
-      forfeit: this.#forfeit
+    const group = {
+      id: this._id
+    };
+
+    if (this._name !== null) {
+      group.name = this._name;
+    }
+
+    if (this._notes !== null) {
+      group.notes = this._notes;
+    }
+
+    if (this._description !== null) {
+      group.description = this._description;
+    }
+
+    group.type = this._type;
+
+    if (this._type === GroupType.LEAGUE && this._leagueConfig !== null) {
+      group.league = this._leagueConfig.serialize();
+    } else if (this._type === GroupType.KNOCKOUT && this._knockoutConfig !== null) {
+      group.knockout = this._knockoutConfig.serialize();
+    }
+
+    group.matchType = this._matchType;
+
+    if (this._matchType === MatchType.SETS && this._sets !== null) {
+      group.sets = this._sets.serialize();
+    }
+
+    if (this._type === GroupType.LEAGUE) {
+      group.drawsAllowed = this._drawsAllowed;
     }
+
+    group.matches = [];
+    this._matches.forEach(match => {
+      group.matches.push(match.serialize());
+    });
+
+    return group
   }
 
   /**
-   * Get the league configuration associated with these points.
+   * Check whether this group is structurally equal to another, i.e. whether they would serialize to the same data
    *
-   * @returns {LeagueConfig} The league configuration associated with these points
+   * @param {Group} other The group to compare with
+   * @returns {boolean} Whether the groups are equal
    */
-  getLeagueConfig () {
-    return this.#leagueConfig
+  equals (other) {
+    return other instanceof Group && JSON.stringify(this.serialize()) === JSON.stringify(other.serialize())
+  }
+
+  /**
+   * Get the stage this group is in
+   *
+   * @returns {Stage} The stage this group is in
+   */
+  getStage () {
+    return this._stage
+  }
+
+  /**
+   * Get the ID for this group
+   *
+   * @returns {string} The id for this group
+   */
+  getID () {
+    return this._id
+  }
+
+  /**
+   * Get the name for this group
+   *
+   * @returns {string|null} The name for this group
+   */
+  getName () {
+    return this._name
+  }
+
+  /**
+   * Set the group Name
+   *
+   * @param {string|null} name The new name for the group
+   * @returns {Group} The Group instance
+   */
+  setName (name) {
+    return this.#record(() => {
+      this._name = name;
+      return this
+    })
   }
 
   /**
-   * Set the number of league points for playing the match.
+   * Get the notes for this group
    *
-   * @param {number} played The number of league points for playing the match
-   * @returns {LeagueConfigPoints} Returns the LeagueConfigPoints instance for method chaining
+   * @returns {string|null} The notes for this group
    */
-  setPlayed (played) {
-    this.#played = played;
-    return this
+  getNotes () {
+    return this._notes
   }
 
   /**
-   * Get the number of league points for playing the match.
+   * Set the notes for this group
    *
-   * @returns {number} The number of league points for playing the match
+   * @param {string|null} notes The notes for this group
+   * @returns {Group} The Group instance
    */
-  getPlayed () {
-    return this.#played
+  setNotes (notes) {
+    return this.#record(() => {
+      this._notes = notes;
+      return this
+    })
   }
 
   /**
-   * Set the number of league points for each set won.
+   * Get the description for this group
    *
-   * @param {number} perSet The number of league points for each set won
-   * @returns {LeagueConfigPoints} Returns the LeagueConfigPoints instance for method chaining
+   * @returns {Array<string>|null} the description for this group
    */
-  setPerSet (perSet) {
-    this.#perSet = perSet;
-    return this
+  getDescription () {
+    return this._description
   }
 
   /**
-   * Get the number of league points for each set won.
+   * Set the description for this group
    *
-   * @returns {number} The number of league points for each set won
+   * @param {Array<string>|null} description The description for this group
+   * @returns {Group} The Group instance
    */
-  getPerSet () {
-    return this.#perSet
+  setDescription (description) {
+    return this.#record(() => {
+      this._description = description;
+      return this
+    })
   }
 
   /**
-   * Set the number of league points for winning.
+   * Set the knockout configuration for this group
    *
-   * @param {number} win The number of league points for winning
-   * @returns {LeagueConfigPoints} Returns the LeagueConfigPoints instance for method chaining
+   * @param {KnockoutConfig} knockoutConfig The knockout configuration
+   * @returns {Group} The Group instance
    */
-  setWin (win) {
-    this.#win = win;
-    return this
+  setKnockoutConfig (knockoutConfig) {
+    return this.#record(() => {
+      this._knockoutConfig = knockoutConfig;
+      return this
+    })
   }
 
   /**
-   * Get the number of league points for winning.
+   * Set the league configuration for this group
    *
-   * @returns {number} The number of league points for winning
+   * @param {LeagueConfig} leagueConfig The league configuration
+   * @returns {Group} The Group instance
    */
-  getWin () {
-    return this.#win
+  setLeagueConfig (leagueConfig) {
+    return this.#record(() => {
+      this._leagueConfig = leagueConfig;
+      return this
+    })
   }
 
   /**
-   * Set the number of league points for winning by one set.
+   * Get the type for this group
    *
-   * @param {number} winByOne The number of league points for winning by one set
-   * @returns {LeagueConfigPoints} Returns the LeagueConfigPoints instance for method chaining
+   * @returns {GroupType} The type for this group
    */
-  setWinByOne (winByOne) {
-    this.#winByOne = winByOne;
-    return this
+  getType () {
+    return this._type
   }
 
   /**
-   * Get the number of league points for winning by one set.
+   * Get the match type for the matches in this group
    *
-   * @returns {number} The number of league points for winning by one set
+   * @returns {string} The match type for the matches in this group
    */
-  getWinByOne () {
-    return this.#winByOne
+  getMatchType () {
+    return this._matchType
   }
 
   /**
-   * Set the number of league points for losing.
+   * Returns the set configuration that defines a set for this group
    *
-   * @param {number} lose The number of league points for losing
-   * @returns {LeagueConfigPoints} Returns the LeagueConfigPoints instance for method chaining
+   * @returns {SetConfig} The set configuration for this group
    */
-  setLose (lose) {
-    this.#lose = lose;
-    return this
+  getSetConfig () {
+    return this._sets
   }
 
   /**
-   * Get the number of league points for losing.
+   * Set the set configuration that defines a set for this group
    *
-   * @returns {number} The number of league points for losing
+   * @param {SetConfig} sets The set configuration for this group
+   * @returns {Group} The Group instance
    */
-  getLose () {
-    return this.#lose
+  setSetConfig (sets) {
+    return this.#record(() => {
+      this._sets = sets;
+      return this
+    })
   }
 
   /**
-   * Set the number of league points for losing by one set.
+   * Returns whether draws are allowed in this group
    *
-   * @param {number} loseByOne The number of league points for losing by one set
-   * @returns {LeagueConfigPoints} Returns the LeagueConfigPoints instance for method chaining
+   * @returns {boolean} Are draws allowed
    */
-  setLoseByOne (loseByOne) {
-    this.#loseByOne = loseByOne;
-    return this
+  getDrawsAllowed () {
+    return this._drawsAllowed
   }
 
   /**
-   * Get the number of league points for losing by one set.
+   * Sets whether draws are allowed in this group
    *
-   * @returns {number} The number of league points for losing by one set
+   * @param {boolean} drawsAllowed Are draws allowed
+   * @returns {Group} The Group instance
    */
-  getLoseByOne () {
-    return this.#loseByOne
+  setDrawsAllowed (drawsAllowed) {
+    // TODO - check if there are any draws already when this is set to false, and throw
+    return this.#record(() => {
+      this._drawsAllowed = drawsAllowed;
+      return this
+    })
   }
 
   /**
-   * Set the number of league penalty points for forfeiting a match.
+   * Get the competition this group is in
    *
-   * @param {number} forfeit The number of league penalty points for forfeiting a match
-   * @returns {LeagueConfigPoints} Returns the LeagueConfigPoints instance for method chaining
+   * @returns {Competition} The competition
    */
-  setForfeit (forfeit) {
-    this.#forfeit = forfeit;
-    return this
+  getCompetition () {
+    return this._competition
   }
 
   /**
-   * Get the number of league penalty points for forfeiting a match.
+   * Add a match to this group
    *
-   * @returns {number} The number of league penalty points for forfeiting a match
+   * @param {GroupMatch} match The match to add
+   * @returns {Group} The Group instance
    */
-  getForfeit () {
-    return this.#forfeit
+  addMatch (match) {
+    this._competition.validateTeamID(match.getHomeTeam().getID(), match.getID(), 'homeTeam');
+    this._competition.validateTeamID(match.getAwayTeam().getID(), match.getID(), 'awayTeam');
+
+    return this.#record(() => {
+      this._matches.push(match);
+      this.#matchLookup[match.getID()] = match;
+      // Validating the team IDs can process this group's results, so they are only invalidated once the match has been added
+      this.invalidateResults();
+
+      if (match.hasCourt()) {
+        this.#matchesHaveCourts = true;
+      }
+      if (match.hasDate()) {
+        this.#matchesHaveDates = true;
+      }
+      if (match.hasDuration()) {
+        this.#matchesHaveDurations = true;
+      }
+      if (match.hasMVP()) {
+        this.#matchesHaveMVPs = true;
+      }
+      if (match.hasManager()) {
+        this.#matchesHaveManagers = true;
+      }
+      if (match.hasNotes()) {
+        this.#matchesHaveNotes = true;
+      }
+      if (match.hasOfficials()) {
+        this.#matchesHaveOfficials = true;
+      }
+      if (match.hasStart()) {
+        this.#matchesHaveStarts = true;
+      }
+      if (match.hasVenue()) {
+        this.#matchesHaveVenues = true;
+      }
+      if (match.hasWarmup()) {
+        this.#matchesHaveWarmups = true;
+      }
+
+      if (match.getHomeTeam().getID().charAt(0) === '{') {
+        this.#teamReferences.push(match.getHomeTeam().getID());
+      }
+      if (match.getAwayTeam().getID().charAt(0) === '{') {
+        this.#teamReferences.push(match.getAwayTeam().getID());
+      }
+
+      this.#playingTeamIDs[match.getHomeTeam().getID()] = true;
+      this.#playingTeamIDs[match.getAwayTeam().getID()] = true;
+      this.#teamIDs[match.getHomeTeam().getID()] = true;
+      this.#teamIDs[match.getAwayTeam().getID()] = true;
+      if (match.hasOfficials() && match.getOfficials().isTeam()) {
+        this.#teamIDs[match.getOfficials().getTeamID()] = true;
+        this.#officiatingTeamIDs[match.getOfficials().getTeamID()] = true;
+      }
+
+      this._isCompleteKnown = false;
+
+      this._stage.checkMatches();
+
+      return this
+    })
   }
-}
 
-/**
- * Configuration for a league within a competition.
- */
-class LeagueConfig {
   /**
-   * An array of parameters that define how the league positions are determined
-   * @type {array}
-   * @private
+   * Add a break to this group
+   *
+   * @param {GroupBreak} breakObj The break to add
+   * @returns {Group} The Group instance
    */
-  #ordering
+  addBreak (breakObj) {
+    return this.#record(() => {
+      this._matches.push(breakObj);
+      this._isCompleteKnown = false;
+      return this
+    })
+  }
 
   /**
-   * Properties defining how to calculate the league points based on match results
-   * @type {LeagueConfigPoints}
-   * @private
+   * Returns a list of matches from this Group, where the list depends on the input parameters and on the type of the MatchContainer
+   *
+   * @param {string|null} id When provided, return the matches where the team with this ID is playing, otherwise all matches are returned
+   *                          (and subsequent parameters are ignored).  This must be a resolved team ID and not a reference.
+   *                          A team ID of CompetitionTeam::UNKNOWN_TEAM_ID is interpreted as null
+   * @param {number} flags Controls what gets returned
+   *                       <ul>
+   *                         <li>{@link VBC_MATCH_ALL_IN_GROUP} - Include all matches in the group</li>
+   *                         <li>{@link VBC_MATCH_PLAYING} - Include matches that a team plays in</li>
+   *                         <li>{@link VBC_MATCH_OFFICIATING} - Include matches that a team officiates in</li>
+   *                       </ul>
+   * @returns {Array<MatchInterface|BreakInterface>}
    */
-  #points
+  getMatches (id = null, flags = 0) {
+    if (id === null ||
+            flags & Competition$1.VBC_MATCH_ALL_IN_GROUP ||
+            id === CompetitionTeam.UNKNOWN_TEAM_ID ||
+            id.charAt(0) === '{') {
+      return this._matches
+    }
 
-  /**
-   * The league this config is for
-   * @type {League}
-   * @private
-   */
-  #league
+    const matches = [];
+
+    for (const match of this._matches) {
+      if (match instanceof GroupBreak) {
+        continue
+      } else if (flags & Competition$1.VBC_MATCH_PLAYING &&
+                (this._competition.getTeam(match.getHomeTeam().getID()).getID() === id || this._competition.getTeam(match.getAwayTeam().getID()).getID() === id)) {
+        matches.push(match);
+      } else if (flags & Competition$1.VBC_MATCH_OFFICIATING &&
+                match.getOfficials() !== null &&
+                match.getOfficials().isTeam() &&
+                this._competition.getTeam(match.getOfficials().getTeamID()).getID() === id) {
+        matches.push(match);
+      }
+    }
+    return matches
+  }
 
   /**
-   * Constructs a new LeagueConfig instance.
+   * Returns a list of teams from this match container.  If all teams are known then the list is sorted by team name
    *
-   * @param {League} league The league this configuration is associated with
+   * @param {number} flags Controls what gets returned (MAYBE overrides KNOWN overrides FIXED_ID)
+   *                       <ul>
+   *                         <li>{@link VBC_TEAMS_FIXED_ID} (default) returns teams with a defined team ID (no references)</li>
+   *                         <li>{@link VBC_TEAMS_KNOWN} returns teams that are known (teams not defined by a reference plus references that are resolved)</li>
+   *                         <li>{@link VBC_TEAMS_MAYBE} returns teams that might be in this container (references that could resolve to a team but are not yet defined)</li>
+   *                         <li>{@link VBC_TEAMS_ALL} returns all team IDs including refereeing as defined in the group data, including unresolved references</li>
+   *                         <li>{@link VBC_TEAMS_PLAYING} returns all team IDs for teams that are playing, as defined in the group data, including unresolved references</li>
+   *                         <li>{@link VBC_TEAMS_OFFICIATING} returns all team IDs for teams that are OFFICIATING, as defined in the group data, including unresolved references</li>
+   *                       </ul>
+   * @returns {Array<string>}
    */
-  constructor (league) {
-    this.#league = league;
-    this.#ordering = [];
-    this.#points = {};
+  getTeamIDs (flags = Competition$1.VBC_TEAMS_FIXED_ID) {
+    let teamIDs = [];
+
+    if (flags & Competition$1.VBC_TEAMS_ALL) {
+      teamIDs = Object.keys(this.#teamIDs);
+    } else if (flags & Competition$1.VBC_TEAMS_PLAYING) {
+      teamIDs = Object.keys(this.#playingTeamIDs);
+    } else if (flags & Competition$1.VBC_TEAMS_OFFICIATING) {
+      teamIDs = Object.keys(this.#officiatingTeamIDs);
+    } else if (flags & Competition$1.VBC_TEAMS_MAYBE) {
+      return this.#getMaybeTeamIDs()
+    } else if (flags & Competition$1.VBC_TEAMS_KNOWN) {
+      teamIDs = Object.keys(this.#teamIDs).filter(k => this._competition.getTeam(k).getID() !== CompetitionTeam.UNKNOWN_TEAM_ID);
+      teamIDs.sort((a, b) => this._competition.getTeam(a).getName().localeCompare(this._competition.getTeam(b).getName()));
+    } else if (flags & Competition$1.VBC_TEAMS_FIXED_ID) {
+      teamIDs = Object.keys(this.#teamIDs).filter(k => k.charAt(0) !== '{');
+      teamIDs.sort((a, b) => this._competition.getTeam(a).getName().localeCompare(this._competition.getTeam(b).getName()));
+    }
+
+    return teamIDs
   }
 
   /**
-   * Load league configuration data from a provided object.
+   * Go through the stages:groups referenced by this group and build a list of teams that could reach this group.
+   * If the feeding group is complete then the reference can be resolved and the team is "known" and not a "maybe",
+   * so we only consider incomplete groups.  We ask that group for all of its known and maybe teams and recurse back
+   * to the end of each lookup chain
    *
-   * @param {object} leagueData The league configuration data to load
-   * @returns {LeagueConfig} Returns the LeagueConfig instance after loading the data
+   * @returns {Array<string>} the array of team IDs that may be in this group
    */
-  loadFromData (leagueData) {
-    const leagueConfigPoints = (new LeagueConfigPoints(this)).loadFromData(leagueData.points);
-    this.setOrdering(leagueData.ordering).setPoints(leagueConfigPoints);
-    return this
+  #getMaybeTeamIDs () {
+    if (this.isComplete()) {
+      // If the group is complete then there are no "maybes"; everything is known so you should call getTeamIDs(VBC_TEAMS_KNOWN)
+      return []
+    }
+
+    if (this.#maybeTeams === null) {
+      this.#maybeTeams = [];
+      this.#buildStageGroupLookup();
+
+      const stgGrpLookupValues = Object.values(this.#stgGrpLookup);
+      for (let i = 0; i < stgGrpLookupValues.length; i++) {
+        const group = this._competition.getStage(stgGrpLookupValues[i].stage).getGroup(stgGrpLookupValues[i].group);
+        if (!group.isComplete()) {
+          this.#maybeTeams = Array.from(new Set([...this.#maybeTeams, ...group.getTeamIDs(Competition$1.VBC_TEAMS_KNOWN), ...group.getTeamIDs(Competition$1.VBC_TEAMS_MAYBE)]));
+        }
+      }
+    }
+
+    return this.#maybeTeams
   }
 
   /**
-   * The league configuration in a form suitable for serializing
-   *
-   * @returns {object} The serialized league configuration data
+   * Build the lookup table of references where the key is the string "{stage ID}:{group ID}" and the value is an object linking to
+   * the Stage and the Group
    */
-  serialize () {
-    const leagueConfig = {
-      ordering: this.#ordering,
-      points: this.#points.serialize()
-    };
-    return leagueConfig
+  #buildStageGroupLookup () {
+    // Get all unresolved references {STG:GRP:...}
+    if (this.#stgGrpLookup === null) {
+      this.#stgGrpLookup = {};
+      for (const match of this.getMatches()) {
+        if (match instanceof GroupMatch$1) {
+          const homeTeamParts = match.getHomeTeam().getID().substring(1).split(':', 3);
+          if (homeTeamParts.length > 2) {
+            const key = `${homeTeamParts[0]}:${homeTeamParts[1]}`;
+            if (!Object.hasOwn(this.#stgGrpLookup, key)) {
+              this.#stgGrpLookup[key] = { stage: homeTeamParts[0], group: homeTeamParts[1] };
+            }
+          }
+          const awayTeamParts = match.getAwayTeam().getID().substring(1).split(':', 3);
+          if (awayTeamParts.length > 2) {
+            const key = `${awayTeamParts[0]}:${awayTeamParts[1]}`;
+            if (!Object.hasOwn(this.#stgGrpLookup, key)) {
+              this.#stgGrpLookup[key] = { stage: awayTeamParts[0], group: awayTeamParts[1] };
+            }
+          }
+          if (match.getOfficials() !== null && match.getOfficials().isTeam()) {
+            const refereeTeamParts = match.getOfficials().getTeamID().substring(1).split(':', 3);
+            if (refereeTeamParts.length > 2) {
+              const key = `${refereeTeamParts[0]}:${refereeTeamParts[1]}`;
+              if (!Object.hasOwn(this.#stgGrpLookup, key)) {
+                this.#stgGrpLookup[key] = { stage: refereeTeamParts[0], group: refereeTeamParts[1] };
+              }
+            }
+          }
+        }
+      }
+    }
   }
 
   /**
-   * Get the league associated with this configuration.
+   * Returns the match with the specified ID
    *
-   * @returns {League} The league associated with this configuration
+   * @param {string} id The ID of the match
+   *
+   * @returns {GroupMatch} The requested match
    */
-  getLeague () {
-    return this.#league
+  getMatch (id) {
+    if (Object.hasOwn(this.#matchLookup, id)) {
+      return this.#matchLookup[id]
+    }
+    throw new Error(`Match with ID ${id} not found`)
   }
 
   /**
-   * Set the ordering configuration for the league.
+   * Checks if a match with the given ID exists in the group.
    *
-   * @param {array} ordering The ordering configuration for the league
-   * @returns {LeagueConfig} Returns the LeagueConfig instance for method chaining
+   * @param {string} id The ID of the match to check
+   * @returns {boolean} True if a match with the given ID exists, false otherwise
    */
-  setOrdering (ordering) {
-    this.#ordering = ordering;
-    return this
+  hasMatch (id) {
+    return Object.hasOwn(this.#matchLookup, id)
   }
 
   /**
-   * Get the ordering configuration for the league.
-   *
-   * @returns {array} The ordering configuration for the league
+   * Process the matches in this group
    */
-  getOrdering () {
-    return this.#ordering
+  processMatches () {
+    this._matchesProcessed = true;
   }
 
   /**
-   * Get the points configuration for the league.
-   *
-   * @returns {LeagueConfigPoints} The points configuration for the league
+   * Mark the results of this group as out of date, e.g. after a match's scores have changed, so that the matches are processed again
+   * the next time the results are needed
    */
-  getPoints () {
-    return this.#points
+  invalidateResults () {
+    this._matchesProcessed = false;
+    this._isCompleteKnown = false;
   }
 
   /**
-   * Set the points configuration for the league.
+   * Get the team by ID based on the type of entity.
    *
-   * @param {LeagueConfigPoints} points The points configuration for the league
-   * @returns {LeagueConfig} Returns the LeagueConfig instance for method chaining
+   * @param {string} type The type part of the team reference ('MATCH-ID' or 'league')
+   * @param {string} entity The entity (e.g., 'winner' or 'loser')
+   * @returns {CompetitionTeam} The CompetitionTeam instance
+   * @throws {Error} If the entity is invalid
    */
-  setPoints (points) {
-    this.#points = points;
-    return this
-  }
-}
-
-/**
- * Configuration defining the nature of a set.
- */
-class SetConfig {
-  /**
-   * The maximum number of sets that could be played, often known as 'best of', e.g., if this has the value '5' then the match is played as 'best of 5 sets'
-   * @var {int}
-   * @private
-   **/
-  #maxSets
-
-  /**
-    * The number of sets that must be won to win the match.
-    * @var {int}
-    * @private
-    **/
-  #setsToWin
-
-  /**
-    * The number of points lead that the winning team must have.
-    * @var {int}
-    * @private
-    **/
-  #clearPoints
-
-  /**
-    * The minimum number of points that either team must score for a set to count as valid.
-    * @var {int}
-    * @private
-    **/
-  #minPoints
-
-  /**
-    * The minimum number of points required to win all but the last set.
-    * @var {int}
-    * @private
-    **/
-  #pointsToWin
-
-  /**
-    * The minimum number of points required to win the last set.
-    * @var {int}
-    * @private
-    **/
-  #lastSetPointsToWin
-
-  /**
-    * The upper limit of points that can be scored in a set.
-    * @var {int}
-    * @private
-    **/
-  #maxPoints
+  getTeam (type, entity) {
+    if (type === 'league') {
+      throw new Error('Invalid type "league" in team reference.  Cannot get league position from a non-league group')
+    }
 
-  /**
-    * The upper limit of points that can be scored in the last set.
-    * @var {int}
-    * @private
-    **/
-  #lastSetMaxPoints
+    const match = this.getMatch(type);
 
-  /**
-    * The group that this SetConfig belongs to
-    * @var {Group}
-    * @private
-    **/
-  #group
+    switch (entity) {
+      case 'winner':
+        return this._competition.getTeam(match.getWinnerTeamID())
+      case 'loser':
+        return this._competition.getTeam(match.getLoserTeamID())
+      default:
+        throw new Error(`Invalid entity "${entity}" in team reference`)
+    }
+  }
 
   /**
-   * @param {Group} group The group that this SetConfig belongs to
+   * Checks if the matches in this group have been processed.
+   *
+   * @returns {boolean} True if the matches in this group have been processed, false otherwise
    */
-  constructor (group) {
-    this.#maxSets = 5;
-    this.#setsToWin = 3;
-    this.#clearPoints = 2;
-    this.#minPoints = 1;
-    this.#pointsToWin = 25;
-    this.#lastSetPointsToWin = 15;
-    this.#maxPoints = 1000;
-    this.#lastSetMaxPoints = 1000;
-    this.#group = group;
+  isProcessed () {
+    return this._matchesProcessed
   }
 
   /**
-   * Load set configuration data from an object.
+   * Checks if the group is complete, i.e., all matches in the group are complete.
    *
-   * @param {Object} setData The set configuration data
-   * @returns {SetConfig} The updated SetConfig object
+   * @returns {boolean} True if the group is complete, false otherwise
    */
-  loadFromData (setData) {
-    if (Object.hasOwn(setData, 'maxSets')) {
-      this.setMaxSets(setData.maxSets);
-    }
-
-    if (Object.hasOwn(setData, 'setsToWin')) {
-      this.setSetsToWin(setData.setsToWin);
-    }
+  isComplete () {
+    if (!this._isCompleteKnown) {
+      let completedMatches = 0;
+      let matchesInThisPool = 0;
 
-    if (Object.hasOwn(setData, 'clearPoints')) {
-      this.setClearPoints(setData.clearPoints);
-    }
+      for (const match of this.getMatches()) {
+        if (match instanceof GroupBreak) {
+          continue
+        }
 
-    if (Object.hasOwn(setData, 'minPoints')) {
-      this.setMinPoints(setData.minPoints);
-    }
+        matchesInThisPool++;
 
-    if (Object.hasOwn(setData, 'pointsToWin')) {
-      this.setPointsToWin(setData.pointsToWin);
+        if (match.isComplete()) {
+          completedMatches++;
+        }
+      }
+      this._isComplete = completedMatches === matchesInThisPool;
+      this._isCompleteKnown = true;
     }
 
-    if (Object.hasOwn(setData, 'lastSetPointsToWin')) {
-      this.setLastSetPointsToWin(setData.lastSetPointsToWin);
-    }
+    return this._isComplete
+  }
 
-    if (Object.hasOwn(setData, 'maxPoints')) {
-      this.setMaxPoints(setData.maxPoints);
-    }
+  /**
+   * Checks if the matches in this group have courts.
+   *
+   * @returns {boolean} True if the matches in this group have courts, false otherwise
+   */
+  matchesHaveCourts () {
+    return this.#matchesHaveCourts
+  }
 
-    if (Object.hasOwn(setData, 'lastSetMaxPoints')) {
-      this.setLastSetMaxPoints(setData.lastSetMaxPoints);
-    }
+  /**
+   * Checks if the matches in this group have dates.
+   *
+   * @returns {boolean} True if the matches in this group have dates, false otherwise
+   */
+  matchesHaveDates () {
+    return this.#matchesHaveDates
+  }
 
-    return this
+  /**
+   * Checks if the matches in this group have durations.
+   *
+   * @returns {boolean} True if the matches in this group have durations, false otherwise
+   */
+  matchesHaveDurations () {
+    return this.#matchesHaveDurations
   }
 
   /**
-   * Get the group that this SetConfig belongs to.
+   * Checks if the matches in this group have MVPs.
    *
-   * @returns {Group} The group that this SetConfig belongs to
+   * @returns {boolean} True if the matches in this group have MVPs, false otherwise
    */
-  getGroup () {
-    return this.#group
+  matchesHaveMVPs () {
+    return this.#matchesHaveMVPs
   }
 
   /**
-   * The set configuration data in a form suitable for serializing
+   * Checks if the matches in this group have court managers.
    *
-   * @returns {Object} The serialized set configuration data
+   * @returns {boolean} True if the matches in this group have court managers, false otherwise
    */
-  serialize () {
-    return {
-      maxSets: this.#maxSets,
-      setsToWin: this.#setsToWin,
-      clearPoints: this.#clearPoints,
-      minPoints: this.#minPoints,
-      pointsToWin: this.#pointsToWin,
-      lastSetPointsToWin: this.#lastSetPointsToWin,
-      maxPoints: this.#maxPoints,
-      lastSetMaxPoints: this.#lastSetMaxPoints
-    }
+  matchesHaveManagers () {
+    return this.#matchesHaveManagers
   }
 
   /**
-   * Set the maximum number of sets that could be played.
+   * Checks if the matches in this group have notes.
    *
-   * @param {number} maxSets The maximum number of sets
+   * @returns {boolean} True if the matches in this group have notes, false otherwise
    */
-  setMaxSets (maxSets) {
-    this.#maxSets = maxSets;
+  matchesHaveNotes () {
+    return this.#matchesHaveNotes
   }
 
   /**
-   * Get the maximum number of sets that could be played.
+   * Checks if the matches in this group have officials.
    *
-   * @returns {number} The maximum number of sets
+   * @returns {boolean} True if the matches in this group have officials, false otherwise
    */
-  getMaxSets () {
-    return this.#maxSets
+  matchesHaveOfficials () {
+    return this.#matchesHaveOfficials
   }
 
   /**
-   * Set the number of sets that must be won to win the match.
+   * Checks if the matches in this group have start times.
    *
-   * @param {number} setsToWin The number of sets to win
+   * @returns {boolean} True if the matches in this group have start times, false otherwise
    */
-  setSetsToWin (setsToWin) {
-    this.#setsToWin = setsToWin;
+  matchesHaveStarts () {
+    return this.#matchesHaveStarts
   }
 
   /**
-   * Get the number of sets that must be won to win the match.
+   * Checks if the matches in this group have venues.
    *
-   * @returns {number} The number of sets to win
+   * @returns {boolean} True if the matches in this group have venues, false otherwise
    */
-  getSetsToWin () {
-    return this.#setsToWin
+  matchesHaveVenues () {
+    return this.#matchesHaveVenues
   }
 
   /**
-   * Set the number of points lead that the winning team must have.
+   * Checks if the matches in this group have warmup times.
    *
-   * @param {number} clearPoints The number of clear points
+   * @returns {boolean} True if the matches in this group have warmup times, false otherwise
    */
-  setClearPoints (clearPoints) {
-    this.#clearPoints = clearPoints;
+  matchesHaveWarmups () {
+    return this.#matchesHaveWarmups
   }
 
   /**
-   * Get the number of points lead that the winning team must have.
+   * Returns whether all of the teams in this group are known yet or not.
    *
-   * @returns {number} The number of clear points
+   * @returns {boolean} Whether all of the teams in this group are known yet or not
    */
-  getClearPoints () {
-    return this.#clearPoints
+  allTeamsKnown () {
+    let allGroupsComplete = true;
+    for (const teamReference of this.#teamReferences) {
+      const parts = teamReference.trim().replace(/[{}]/g, '').split(':', 4);
+      if (!this._competition.getStage(parts[0]).getGroup(parts[1]).isComplete()) {
+        allGroupsComplete = false;
+      }
+    }
+    return allGroupsComplete
   }
 
   /**
-   * Set the minimum number of points that either team must score for a set to count as valid.
+   * Returns whether the specified team is known to have matches in this group.
    *
-   * @param {number} minPoints The minimum number of points
+   * @param {string} id The ID of the team
+   * @returns {boolean} Whether the specified team is known to have matches in this group
    */
-  setMinPoints (minPoints) {
-    this.#minPoints = minPoints;
+  teamHasMatches (id) {
+    if (!Object.hasOwn(this.#teamHasMatchesLookup, id)) {
+      this.#teamHasMatchesLookup[id] = false;
+      for (const match of this._matches) {
+        if (match instanceof GroupBreak) {
+          continue
+        }
+        if (this._competition.getTeam(match.getHomeTeam().getID()).getID() === id) {
+          this.#teamHasMatchesLookup[id] = true;
+          break
+        }
+        if (this._competition.getTeam(match.getAwayTeam().getID()).getID() === id) {
+          this.#teamHasMatchesLookup[id] = true;
+          break
+        }
+      }
+    }
+    return this.#teamHasMatchesLookup[id]
   }
 
   /**
-   * Get the minimum number of points that either team must score for a set to count as valid.
+   * Returns whether the specified team is known to have officiating duties in this group.
    *
-   * @returns {number} The minimum number of points
+   * @param {string} id The ID of the team
+   * @returns {boolean} Whether the specified team is known to have officiating duties in this group
    */
-  getMinPoints () {
-    return this.#minPoints
+  teamHasOfficiating (id) {
+    if (!Object.hasOwn(this.#teamHasOfficiatingLookup, id)) {
+      this.#teamHasOfficiatingLookup[id] = false;
+      for (const match of this._matches) {
+        if (match instanceof GroupBreak) {
+          continue
+        }
+        if (match.getOfficials() !== null && match.getOfficials().isTeam() &&
+                    this._competition.getTeam(match.getOfficials().getTeamID()).getID() === id) {
+          this.#teamHasOfficiatingLookup[id] = true;
+          break
+        }
+      }
+    }
+    return this.#teamHasOfficiatingLookup[id]
   }
 
   /**
-   * Set the minimum number of points required to win all but the last set.
+   * Returns whether the specified team may have matches or officiating duties in this group.
    *
-   * @param {number} pointsToWin The minimum number of points to win
+   * @param {string} id The ID of the team
+   * @returns {boolean} Whether it is possible for a team with the given ID to have matches in this group
    */
-  setPointsToWin (pointsToWin) {
-    this.#pointsToWin = pointsToWin;
+  teamMayHaveMatches (id) {
+    if (this.isComplete()) {
+      return false
+    }
+
+    if (this._competition.getTeam(id).getID() === CompetitionTeam.UNKNOWN_TEAM_ID) {
+      return false
+    }
+
+    this.#buildStageGroupLookup();
+
+    const stgGrpLookupValues = Object.values(this.#stgGrpLookup);
+    for (let i = 0; i < stgGrpLookupValues.length; i++) {
+      const group = this._competition.getStage(stgGrpLookupValues[i].stage).getGroup(stgGrpLookupValues[i].group);
+      if ((!group.isComplete() && group.teamHasMatches(id)) || group.teamMayHaveMatches(id)) {
+        return true
+      }
+    }
+
+    return false
   }
 
   /**
-   * Get the minimum number of points required to win all but the last set.
+   * Returns a list of match dates in this Group.
    *
-   * @returns {number} The minimum number of points to win
+   * @param {string} [teamID=null] The ID of the team
+   * @param {number} [flags=VBC_MATCH_PLAYING] Controls what gets returned
+   * @returns {Array<string>} List of match dates
    */
-  getPointsToWin () {
-    return this.#pointsToWin
+  getMatchDates (teamID = null, flags = Competition$1.VBC_MATCH_PLAYING) {
+    const matchDates = {};
+    if (teamID === null || teamID === CompetitionTeam.UNKNOWN_TEAM_ID || flags & Competition$1.VBC_MATCH_ALL) {
+      for (const match of this._matches) {
+        if (match instanceof GroupMatch$1) {
+          matchDates[match.getDate()] = 1;
+        }
+      }
+    } else {
+      for (const match of this._matches) {
+        if (!(match instanceof GroupMatch$1)) {
+          continue
+        }
+
+        if (flags & Competition$1.VBC_MATCH_PLAYING &&
+                    (this._competition.getTeam(match.getHomeTeam().getID()).getID() === teamID ||
+                     this._competition.getTeam(match.getAwayTeam().getID()).getID() === teamID)) {
+          matchDates[match.getDate()] = 1;
+        } else if (flags & Competition$1.VBC_MATCH_OFFICIATING &&
+                    match.getOfficials() !== null &&
+                    match.getOfficials().isTeam() &&
+                    this._competition.getTeam(match.getOfficials().getTeamID()).getID() === teamID) {
+          matchDates[match.getDate()] = 1;
+        }
+      }
+    }
+    return Object.keys(matchDates)
   }
 
   /**
-   * Set the minimum number of points required to win the last set.
+   * Returns a list of matches on the specified date in this Group.
+   * The returned list includes breaks when that break has a date value
    *
-   * @param {number} lastSetPointsToWin The minimum number of points to win the last set
+   * @param {string} date The requested date in the format YYYY-MM-DD
+   * @param {string} [teamID=null] The ID of the team
+   * @param {number} [flags=VBC_MATCH_ALL] Controls what gets returned
+   * @returns {Array<MatchInterface>} List of matches on the specified date
    */
-  setLastSetPointsToWin (lastSetPointsToWin) {
-    this.#lastSetPointsToWin = lastSetPointsToWin;
+  getMatchesOnDate (date, teamID = null, flags = Competition$1.VBC_MATCH_ALL) {
+    const matches = [];
+    if (teamID === null || teamID === CompetitionTeam.UNKNOWN_TEAM_ID || flags & Competition$1.VBC_MATCH_ALL) {
+      for (const match of this._matches) {
+        if (match.getDate() === date) {
+          matches.push(match);
+        }
+      }
+    } else {
+      for (const match of this._matches) {
+        if (match.getDate() === date) {
+          if (!(match instanceof GroupMatch$1)) {
+            matches.push(match);
+          } else if (flags & Competition$1.VBC_MATCH_PLAYING &&
+                              (this._competition.getTeam(match.getHomeTeam().getID()).getID() === teamID ||
+                               this._competition.getTeam(match.getAwayTeam().getID()).getID() === teamID)) {
+            matches.push(match);
+          } else if (flags & Competition$1.VBC_MATCH_OFFICIATING &&
+                               match.getOfficials() !== null &&
+                               match.getOfficials().isTeam() &&
+                               this._competition.getTeam(match.getOfficials().getTeamID()).getID() === teamID) {
+            matches.push(match);
+          }
+        }
+      }
+    }
+    return matches
   }
 
   /**
-   * Get the minimum number of points required to win the last set.
+   * Make a change to this group, recording it in the competition's change history
    *
-   * @returns {number} The minimum number of points to win the last set
+   * @param {function(): any} change Make the change
+   * @returns {any} The value returned by the change
+   * @private
    */
-  getLastSetPointsToWin () {
-    return this.#lastSetPointsToWin
+  #record (change) {
+    return this._competition.recordChange(() => this.#snapshot(), snapshot => this.#restore(snapshot), change)
   }
 
   /**
-   * Set the upper limit of points that can be scored in a set.
+   * Get the state of this group, for the change history
    *
-   * @param {number} maxPoints The upper limit of points in a set
+   * @returns {object} The state
+   * @private
    */
-  setMaxPoints (maxPoints) {
-    this.#maxPoints = maxPoints;
-  }
-
-  /**
-   * Get the upper limit of points that can be scored in a set.
-   *
-   * @returns {number} The upper limit of points in a set
+  #snapshot () {
+    return {
+      name: this._name,
+      notes: this._notes,
+      description: this._description,
+      knockoutConfig: this._knockoutConfig,
+      leagueConfig: this._leagueConfig,
+      sets: this._sets,
+      drawsAllowed: this._drawsAllowed,
+      matches: [...this._matches],
+      matchLookup: { ...this.#matchLookup },
+      matchesHaveCourts: this.#matchesHaveCourts,
+      matchesHaveDates: this.#matchesHaveDates,
+      matchesHaveDurations: this.#matchesHaveDurations,
+      matchesHaveMVPs: this.#matchesHaveMVPs,
+      matchesHaveManagers: this.#matchesHaveManagers,
+      matchesHaveNotes: this.#matchesHaveNotes,
+      matchesHaveOfficials: this.#matchesHaveOfficials,
+      matchesHaveStarts: this.#matchesHaveStarts,
+      matchesHaveVenues: this.#matchesHaveVenues,
+      matchesHaveWarmups: this.#matchesHaveWarmups,
+      teamReferences: [...this.#teamReferences],
+      teamIDs: Object.assign([], this.#teamIDs),
+      playingTeamIDs: Object.assign([], this.#playingTeamIDs),
+      officiatingTeamIDs: Object.assign([], this.#officiatingTeamIDs)
+    }
+  }
+
+  /**
+   * Restore this group to a state from the change history
+   *
+   * @param {object} snapshot The state to restore
+   * @private
    */
-  getMaxPoints () {
-    return this.#maxPoints
+  #restore (snapshot) {
+    this._name = snapshot.name;
+    this._notes = snapshot.notes;
+    this._description = snapshot.description;
+    this._knockoutConfig = snapshot.knockoutConfig;
+    this._leagueConfig = snapshot.leagueConfig;
+    this._sets = snapshot.sets;
+    this._drawsAllowed = snapshot.drawsAllowed;
+    this._matches = [...snapshot.matches];
+    this.#matchLookup = { ...snapshot.matchLookup };
+    this.#matchesHaveCourts = snapshot.matchesHaveCourts;
+    this.#matchesHaveDates = snapshot.matchesHaveDates;
+    this.#matchesHaveDurations = snapshot.matchesHaveDurations;
+    this.#matchesHaveMVPs = snapshot.matchesHaveMVPs;
+    this.#matchesHaveManagers = snapshot.matchesHaveManagers;
+    this.#matchesHaveNotes = snapshot.matchesHaveNotes;
+    this.#matchesHaveOfficials = snapshot.matchesHaveOfficials;
+    this.#matchesHaveStarts = snapshot.matchesHaveStarts;
+    this.#matchesHaveVenues = snapshot.matchesHaveVenues;
+    this.#matchesHaveWarmups = snapshot.matchesHaveWarmups;
+    this.#teamReferences = [...snapshot.teamReferences];
+    this.#teamIDs = Object.assign([], snapshot.teamIDs);
+    this.#playingTeamIDs = Object.assign([], snapshot.playingTeamIDs);
+    this.#officiatingTeamIDs = Object.assign([], snapshot.officiatingTeamIDs);
+    this.#teamHasMatchesLookup = {};
+    this.#teamHasOfficiatingLookup = {};
+    this.#stgGrpLookup = null;
+    this.#maybeTeams = null;
+    this.invalidateResults();
   }
+}
 
-  /**
-   * Set the upper limit of points that can be scored in the last set.
-   *
-   * @param {number} lastSetMaxPoints The upper limit of points in the last set
-   */
-  setLastSetMaxPoints (lastSetMaxPoints) {
-    this.#lastSetMaxPoints = lastSetMaxPoints;
-  }
+var Group$1 = Group;
 
+/**
+ * A group within this stage of the competition.  There is no implied league table or team order, just match winners and losers
+ */
+class Crossover extends Group$1 {
   /**
-   * Get the upper limit of points that can be scored in the last set.
+   * Contains the group data of a stage, creating any metadata needed
    *
-   * @returns {number} The upper limit of points in the last set
+   * @param {Stage} stage A link back to the Stage this Group is in
+   * @param {string} id The unique ID of this Group
+   * @param {MatchType} matchType Whether matches are continuous or played to sets
    */
-  getLastSetMaxPoints () {
-    return this.#lastSetMaxPoints
+  constructor (stage, id, matchType) {
+    super(stage, id, matchType);
+    this._type = GroupType.CROSSOVER;
+    this._drawsAllowed = false;
   }
 }
 
 /**
- * A group within a stage of the competition
+ * A break in play, possibly while other matches are going on in other competitions running in parallel
  */
-class Group {
+class IfUnknownBreak {
   /**
-   * A unique ID for this group, e.g. 'P1'
-   * @type {string}
-   * @protected
+   * The start time for the break
+   * @type {string|null}
+   * @private
    */
-  _id
+  #start
 
   /**
-   * Descriptive title for the group, e.g. 'Pool 1'
+   * The date of the break
    * @type {string|null}
-   * @protected
+   * @private
    */
-  _name
+  #date
 
   /**
-   * Free form string to add notes about this group.
+   * The duration of the break
    * @type {string|null}
-   * @protected
+   * @private
    */
-  _notes
+  #duration
 
   /**
-   * An array of string values as a verbose description of the nature of the group
-   * @type {array|null}
-   * @protected
+   * The name for the break, e.g. 'Lunch break'
+   * @type {string|null}
+   * @private
    */
-  _description
+  #name
 
   /**
-   * The type of competition applying to this group
-   * @type {GroupType}
-   * @protected
+   * The IfUnknown instance this break is associated with
+   * @type {IfUnknown}
+   * @private
    */
-  _type
+  #ifUnknown
 
   /**
-   * Configuration for the knockout matches
-   * @type {KnockoutConfig|null}
-   * @protected
+   * Initializes the IfUnknownBreak instance
+   *
+   * @param {IfUnknown} ifUnknown The IfUnknown instance this break is in
    */
-  _knockoutConfig
+  constructor (ifUnknown) {
+    this.#ifUnknown = ifUnknown;
+    this.#start = null;
+    this.#date = null;
+    this.#duration = null;
+    this.#name = null;
+  }
 
   /**
-   * Configuration for the league
-   * @type {LeagueConfig|null}
-   * @protected
+   * Loads data from an object into the IfUnknownBreak instance
+   *
+   * @param {object} ifUnknownBreakData The data defining this break
+   * @returns {IfUnknownBreak} The updated IfUnknownBreak instance
    */
-  _leagueConfig
+  loadFromData (ifUnknownBreakData) {
+    if (Object.hasOwn(ifUnknownBreakData, 'start')) {
+      this.setStart(ifUnknownBreakData.start);
+    }
+    if (Object.hasOwn(ifUnknownBreakData, 'date')) {
+      this.setDate(ifUnknownBreakData.date);
+    }
+    if (Object.hasOwn(ifUnknownBreakData, 'duration')) {
+      this.setDuration(ifUnknownBreakData.duration);
+    }
+    if (Object.hasOwn(ifUnknownBreakData, 'name')) {
+      this.setName(ifUnknownBreakData.name);
+    }
 
-  /**
-   * Are the matches played in sets or continuous points
-   * @type {MatchType}
-   * @protected
-   */
-  _matchType
+    return this
+  }
 
   /**
-   * Configuration defining the nature of a set
-   * @type {SetConfig|null}
-   * @protected
+   * Returns the match break data in a form suitable for serializing
+   *
+   * @returns {object} The serialized break data
    */
-  _sets
+  serialize () {
+    const breakData = {
+      type: 'break'
+    };
 
-  /**
-   * Sets whether drawn matches are allowed
-   * @type {bool}
-   * @protected
-   */
-  _drawsAllowed
+    if (this.#start !== null) {
+      breakData.start = this.#start;
+    }
+    if (this.#date !== null) {
+      breakData.date = this.#date;
+    }
+    if (this.#duration !== null) {
+      breakData.duration = this.#duration;
+    }
+    if (this.#name !== null) {
+      breakData.name = this.#name;
+    }
 
-  /**
-   * An array of matches in this group (or breaks in play)
-   * @type {array}
-   * @protected
-   */
-  _matches = []
+    return breakData
+  }
 
   /**
-   * Whether this group is complete, i.e. have all matches been played
-   * @type {bool}
-   * @protected
+   * Retrieves the IfUnknown instance this break is associated with
+   *
+   * @returns {IfUnknown} The IfUnknown instance this break is associated with
    */
-  _isComplete = true
+  getIfUnknown () {
+    return this.#ifUnknown
+  }
 
   /**
-   * A latch on whether we've calculated the latest known completeness of the group
-   * @type {bool}
-   * @protected
+   * Sets the start time for this break
+   *
+   * @param {string} start The start time for this break
+   * @returns {IfUnknownBreak} The updated IfUnknownBreak instance
+   * @throws {Error} When an invalid start time format is provided
    */
-  _isCompleteKnown = false
+  setStart (start) {
+    if (!/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/.test(start)) {
+      throw new Error(`Invalid start time "${start}": must contain a value of the form "HH:mm" using a 24 hour clock`)
+    }
+    this.#start = start;
+    return this
+  }
 
   /**
-   * The Stage this Group is in
-   * @type {bool}
-   * @protected
+   * Retrieves the start time for this break
+   *
+   * @returns {string|null} The start time for this break
    */
-  _stage
+  getStart () {
+    return this.#start
+  }
 
   /**
-   * The competition this Group is in
-   * @type {Competition}
-   * @protected
+   * Sets the date for this break
+   *
+   * @param {string} date The date for this break
+   * @returns {IfUnknownBreak} The updated IfUnknownBreak instance
+   * @throws {Error} When an invalid date format is provided or the date does not exist
    */
-  _competition
+  setDate (date) {
+    if (!/^[0-9]{4}-(0[0-9]|1[0-2])-(0[1-9]|[12][0-9]|3[01])$/.test(date)) {
+      throw new Error(`Invalid date "${date}": must contain a value of the form "YYYY-MM-DD"`)
+    }
+
+    const d = new Date(date);
+    if (`${d.getFullYear()}-${(d.getMonth() + 1).toString().padStart(2, '0')}-${(d.getDate()).toString().padStart(2, '0')}` !== date) {
+      throw new Error(`Invalid date "${date}": date does not exist`)
+    }
+
+    this.#date = date;
+    return this
+  }
 
   /**
-   * Lookup table for whether the team has matches they're playing in
-   * @type {Object}
-   * @private
+   * Retrieves the date for this break
+   *
+   * @returns {string|null} The date for this break
    */
-  #teamHasMatchesLookup
+  getDate () {
+    return this.#date
+  }
 
   /**
-   * Lookup table for whether the team have matches to officiate
-   * @type {Object}
-   * @private
+   * Sets the duration for this break
+   *
+   * @param {string} duration The duration for this break
+   * @returns {IfUnknownBreak} The updated IfUnknownBreak instance
+   * @throws {Error} When an invalid duration format is provided
    */
-  #teamHasOfficiatingLookup
+  setDuration (duration) {
+    if (!/^[0-9]+:[0-5][0-9]$/.test(duration)) {
+      throw new Error(`Invalid duration "${duration}": must contain a value of the form "HH:mm"`)
+    }
+    this.#duration = duration;
+    return this
+  }
 
   /**
-   * An array of team references in this group
-   * @type {array}
-   * @private
+   * Retrieves the duration for this break
+   *
+   * @returns {string|null} The duration for this break
    */
-  #teamReferences
+  getDuration () {
+    return this.#duration
+  }
 
   /**
-   * An array of team IDs in this group
-   * @type {array}
-   * @private
+   * Sets the name for this break
+   *
+   * @param {string} name The name for this break
+   * @returns {IfUnknownBreak} The updated IfUnknownBreak instance
+   * @throws {Error} When the provided name is invalid
    */
-  #teamIDs
+  setName (name) {
+    if (name.length > 1000 || name.length < 1) {
+      throw new Error('Invalid break name: must be between 1 and 1000 characters long')
+    }
+    this.#name = name;
+    return this
+  }
 
   /**
-   * An array of team IDs in this group
-   * @type {array}
-   * @private
+   * Retrieves the name for this break
+   *
+   * @returns {string|null} The name for this break
    */
-  #playingTeamIDs
+  getName () {
+    return this.#name
+  }
+}
 
+/**
+ * It can be useful to still present something to the user about the later stages of a competition,
+ * even if the teams playing in that stage is not yet known. This defines what should be presented
+ * in any application handling this competition's data in such cases.
+ */
+class IfUnknown {
   /**
-   * An array of team IDs in this group
+   * An array of string values to be presented in the case that the teams in this stage are not yet known, typically as an explanation of what this stage will contain (e.g. 'The crossover games will be between the top two teams in each pool')
    * @type {array}
    * @private
    */
-  #officiatingTeamIDs
+  #description
 
   /**
-   * A lookup table of references where the key is the string "{stage ID}:{group ID}"
+   * An array of matches in this group (or breaks in play)
    * @type {array}
    * @private
    */
-  #stgGrpLookup
+  #matches
 
   /**
-   * A cached list of the teams that might be in this group via a reference
-   * @type {array}
+   * The Stage this IfUnknown is in
+   * @type {Stage}
    * @private
    */
-  #maybeTeams
+  #stage
 
   /**
-   * Whether any matches in the group have court information
+   * Whether matches have courts
    * @type {bool}
    * @private
    */
-  #matchesHaveCourts = false
+  #matchesHaveCourts
 
   /**
-   * Whether any matches in the group have date information
+   * Whether matches have dates
    * @type {bool}
    * @private
    */
-  #matchesHaveDates = false
+  #matchesHaveDates
 
   /**
-   * Whether any matches in the group have duration information
+   * Whether matches have durations
    * @type {bool}
    * @private
    */
-  #matchesHaveDurations = false
+  #matchesHaveDurations
 
   /**
-   * Whether any matches in the group have MVP information
+   * Whether matches have MVPs
    * @type {bool}
    * @private
    */
-  #matchesHaveMVPs = false
+  #matchesHaveMVPs
 
   /**
-   * Whether any matches in the group have manager information
+   * Whether matches have managers
    * @type {bool}
    * @private
    */
-  #matchesHaveManagers = false
+  #matchesHaveManagers
 
   /**
-   * Whether any matches in the group have notes
+   * Whether matches have notes
    * @type {bool}
    * @private
    */
-  #matchesHaveNotes = false
+  #matchesHaveNotes
 
   /**
-   * Whether any matches in the group have Officials
+   * Whether matches have officials
    * @type {bool}
    * @private
    */
-  #matchesHaveOfficials = false
+  #matchesHaveOfficials
 
   /**
-   * Whether any matches in the group have start times defined
+   * Whether matches have starts
    * @type {bool}
    * @private
    */
-  #matchesHaveStarts = false
+  #matchesHaveStarts
 
   /**
-   * Whether any matches in the group have venue information
+   * Whether matches have venues
    * @type {bool}
    * @private
    */
-  #matchesHaveVenues = false
+  #matchesHaveVenues
 
   /**
-   * Whether any matches in the group have warmup times
+   * Whether matches have warmups
    * @type {bool}
    * @private
    */
-  #matchesHaveWarmups = false
+  #matchesHaveWarmups
 
   /**
    * A Lookup table from match IDs to that match
@@ -5231,42 +9386,14 @@ class Group {
   #matchLookup
 
   /**
-   * Whether matches have been processed or not
-   * @type {bool}
-   * @protected
-   */
-  _matchesProcessed = false
-
-  /**
-   * @param {Stage} stage A link back to the Stage this Group is in
-   * @param {string} id The unique ID of this Group
-   * @param {string} matchType Whether matches are continuous or played to sets
+   * @param {Stage} stage A link back to the Stage this IfUnknown is in
+   * @param {string[]} description An array of string values to be presented in the case that
+   * the teams in this stage are not yet known
    */
-  constructor (stage, id, matchType) {
-    this._id = id;
-    this._stage = stage;
-    this._competition = stage.getCompetition();
-    this._matchType = matchType;
-    this._name = null;
-    this._notes = null;
-    this._description = null;
-    this.#matchLookup = {};
-    this.#teamHasMatchesLookup = {};
-    this.#teamHasOfficiatingLookup = {};
-    this.#teamReferences = [];
-    this.#playingTeamIDs = [];
-    this.#officiatingTeamIDs = [];
-    this.#teamIDs = [];
-    this._isComplete = true;
-    this._isCompleteKnown = false;
-    this._matches = [];
-    this._sets = null;
-    this._knockoutConfig = null;
-    this._leagueConfig = null;
-    this._type = null;
-    this._drawsAllowed = false;
-    this.#stgGrpLookup = null;
-    this.#maybeTeams = null;
+  constructor (stage, description) {
+    this.#stage = stage;
+    this.#description = description;
+    this.#matches = [];
     this.#matchesHaveCourts = false;
     this.#matchesHaveDates = false;
     this.#matchesHaveDurations = false;
@@ -5277,4501 +9404,7015 @@ class Group {
     this.#matchesHaveStarts = false;
     this.#matchesHaveVenues = false;
     this.#matchesHaveWarmups = false;
+    this.#matchLookup = {};
   }
 
   /**
-   * Load group data from object
+   * Load data from an object into the IfUnknown instance
    *
-   * @param {object} groupData The data defining this Group
-   * @returns {Group} The loaded group instance
+   * @param {object} ifUnknownData The data defining this IfUnknown
+   * @returns {IfUnknown} The IfUnknown instance
    */
-  loadFromData (groupData) {
-    if (Object.hasOwn(groupData, 'name')) {
-      this.setName(groupData.name);
-    }
+  loadFromData (ifUnknownData) {
+    ifUnknownData.matches.forEach(match => {
+      if (match.type === 'match') {
+        const newMatch = new IfUnknownMatch(this, match.id);
+        newMatch.loadFromData(match);
+        this.addMatch(newMatch);
+      } else if (match.type === 'break') {
+        this.addBreak((new IfUnknownBreak(this)).loadFromData(match));
+      }
+    });
+    return this
+  }
 
-    if (Object.hasOwn(groupData, 'notes')) {
-      this.setNotes(groupData.notes);
-    }
+  /**
+   * Return the "ifUnknown" data in a form suitable for serializing
+   *
+   * @returns {object} The serialized IfUnknown data
+   */
+  serialize () {
+    const ifUnknown = {
+      description: this.#description,
+      matches: []
+    };
+    this.#matches.forEach(match => [
+      ifUnknown.matches.push(match.serialize())
+    ]);
+    return ifUnknown
+  }
 
-    if (Object.hasOwn(groupData, 'description')) {
-      this.setDescription(groupData.description);
-    }
+  /**
+   * Get the stage this IfUnknown belongs to
+   *
+   * @returns {Stage} The Stage instance
+   */
+  getStage () {
+    return this.#stage
+  }
 
-    if (Object.hasOwn(groupData, 'sets')) {
-      const setConfig = new SetConfig(this);
-      this.setSetConfig(setConfig);
-      setConfig.loadFromData(groupData.sets);
-    }
+  /**
+   * Get the competition this IfUnknown belongs to
+   *
+   * @returns {Competition} The Competition instance
+   */
+  getCompetition () {
+    return this.#stage.getCompetition()
+  }
 
-    if (Object.hasOwn(groupData, 'knockout')) {
-      const knockoutConfig = new KnockoutConfig(this);
-      this.setKnockoutConfig(knockoutConfig);
-      knockoutConfig.loadFromData(groupData.knockout);
-    }
+  /**
+   * Get the description of this IfUnknown
+   *
+   * @returns {string[]} The description array
+   */
+  getDescription () {
+    return this.#description
+  }
 
-    if (Object.hasOwn(groupData, 'league')) {
-      const leagueConfig = new LeagueConfig(this);
-      this.setLeagueConfig(leagueConfig);
-      leagueConfig.loadFromData(groupData.league);
+  /**
+   * Add a match to this IfUnknown
+   *
+   * @param {IfUnknownMatch} match The match to add
+   * @returns {IfUnknown} The IfUnknown instance
+   */
+  addMatch (match) {
+    this.#matches.push(match);
+    this.#matchLookup[match.getID()] = match;
+    if (match.getCourt() !== null) {
+      this.#matchesHaveCourts = true;
+    }
+    if (match.getDate() !== null) {
+      this.#matchesHaveDates = true;
+    }
+    if (match.getDuration() !== null) {
+      this.#matchesHaveDurations = true;
+    }
+    if (match.getMVP() !== null) {
+      this.#matchesHaveMVPs = true;
+    }
+    if (match.getManager() !== null) {
+      this.#matchesHaveManagers = true;
+    }
+    if (match.getNotes() !== null) {
+      this.#matchesHaveNotes = true;
+    }
+    if (match.getOfficials() !== null) {
+      this.#matchesHaveOfficials = true;
+    }
+    if (match.getStart() !== null) {
+      this.#matchesHaveStarts = true;
+    }
+    if (match.getVenue() !== null) {
+      this.#matchesHaveVenues = true;
     }
-
-    for (const matchData of groupData.matches) {
-      if (matchData.type === 'match') {
-        this.addMatch((new GroupMatch(this, matchData.id)).loadFromData(matchData));
-      } else if (matchData.type === 'break') {
-        this.addBreak((new GroupBreak(this)).loadFromData(matchData));
-      }
+    if (match.getWarmup() !== null) {
+      this.#matchesHaveWarmups = true;
     }
-
     return this
   }
 
   /**
-   * Return the group data in a form suitable for serializing
+   * Add a break to this IfUnknown
    *
-   * @returns {object} The serialized group data
+   * @param {IfUnknownBreak} break The break to add
+   * @returns {IfUnknown} The IfUnknown instance
    */
-  serialize () {
-    const group = {
-      id: this._id
-    };
-
-    if (this._name !== null) {
-      group.name = this._name;
-    }
-
-    if (this._notes !== null) {
-      group.notes = this._notes;
-    }
-
-    if (this._description !== null) {
-      group.description = this._description;
-    }
+  addBreak (breakObj) {
+    this.#matches.push(breakObj);
+    return this
+  }
 
-    group.type = this._type;
+  /**
+   * Get the matches in this IfUnknown
+   *
+   * @returns {Array} Array of matches
+   */
+  getMatches () {
+    return this.#matches
+  }
 
-    if (this._type === GroupType.LEAGUE && this._leagueConfig !== null) {
-      group.league = this._leagueConfig.serialize();
-    } else if (this._type === GroupType.KNOCKOUT && this._knockoutConfig !== null) {
-      group.knockout = this._knockoutConfig.serialize();
-    }
+  /**
+   * Check if a match with the given ID exists in this IfUnknown
+   *
+   * @param {mixed} id The ID of the match
+   * @returns {boolean} True if match exists, false otherwise
+   */
+  hasMatch (id) {
+    return Object.hasOwn(this.#matchLookup, id)
+  }
 
-    group.matchType = this._matchType;
+  /**
+   * Get the IDs of the teams in this IfUnknown
+   *
+   * @returns {Array} Array of team IDs
+   */
+  getTeamIDs () {
+    return []
+  }
 
-    if (this._matchType === MatchType.SETS && this._sets !== null) {
-      group.sets = this._sets.serialize();
-    }
+  /**
+   * Get the match type of this IfUnknown
+   *
+   * @returns {MatchType} The match type
+   */
+  getMatchType () {
+    return MatchType.CONTINUOUS
+  }
 
-    if (this._type === GroupType.LEAGUE) {
-      group.drawsAllowed = this._drawsAllowed;
+  /**
+   * Get the match with the specified ID
+   *
+   * @param {string} id The ID of the match
+   * @returns {IfUnknownMatch} The requested match
+   * @throws {OutOfBoundsException} When the match with the specified ID is not found
+   */
+  getMatch (id) {
+    if (Object.hasOwn(this.#matchLookup, id)) {
+      return this.#matchLookup[id]
     }
+    throw new Error(`Match with ID ${id} not found`)
+  }
 
-    group.matches = [];
-    this._matches.forEach(match => {
-      group.matches.push(match.serialize());
-    });
-
-    return group
+  /**
+   * Check if matches have courts
+   *
+   * @returns {boolean} True if matches have courts, false otherwise
+   */
+  matchesHaveCourts () {
+    return this.#matchesHaveCourts
   }
 
   /**
-   * Get the stage this group is in
+   * Check if matches have dates
    *
-   * @returns {Stage} The stage this group is in
+   * @returns {boolean} True if matches have dates, false otherwise
    */
-  getStage () {
-    return this._stage
+  matchesHaveDates () {
+    return this.#matchesHaveDates
   }
 
   /**
-   * Get the ID for this group
+   * Check if matches have durations
    *
-   * @returns {string} The id for this group
+   * @returns {boolean} True if matches have durations, false otherwise
    */
-  getID () {
-    return this._id
+  matchesHaveDurations () {
+    return this.#matchesHaveDurations
   }
 
   /**
-   * Get the name for this group
+   * Check if matches have managers
    *
-   * @returns {string|null} The name for this group
+   * @returns {boolean} True if matches have managers, false otherwise
    */
-  getName () {
-    return this._name
+  matchesHaveManagers () {
+    return this.#matchesHaveManagers
   }
 
   /**
-   * Set the group Name
+   * Check if matches have MVPs
    *
-   * @param {string|null} name The new name for the group
-   * @returns {Group} The Group instance
+   * @returns {boolean} True if matches have MVPs, false otherwise
    */
-  setName (name) {
-    this._name = name;
-    return this
+  matchesHaveMVPs () {
+    return this.#matchesHaveMVPs
   }
 
   /**
-   * Get the notes for this group
+   * Check if matches have notes
    *
-   * @returns {string|null} The notes for this group
+   * @returns {boolean} True if matches have notes, false otherwise
    */
-  getNotes () {
-    return this._notes
+  matchesHaveNotes () {
+    return this.#matchesHaveNotes
   }
 
   /**
-   * Set the notes for this group
+   * Check if matches have officials
    *
-   * @param {string|null} notes The notes for this group
-   * @returns {Group} The Group instance
+   * @returns {boolean} True if matches have officials, false otherwise
    */
-  setNotes (notes) {
-    this._notes = notes;
-    return this
+  matchesHaveOfficials () {
+    return this.#matchesHaveOfficials
   }
 
   /**
-   * Get the description for this group
+   * Check if matches have starts
    *
-   * @returns {Array<string>|null} the description for this group
+   * @returns {boolean} True if matches have starts, false otherwise
    */
-  getDescription () {
-    return this._description
+  matchesHaveStarts () {
+    return this.#matchesHaveStarts
   }
 
   /**
-   * Set the description for this group
+   * Check if matches have venues
    *
-   * @param {Array<string>|null} description The description for this group
-   * @returns {Group} The Group instance
+   * @returns {boolean} True if matches have venues, false otherwise
    */
-  setDescription (description) {
-    this._description = description;
-    return this
+  matchesHaveVenues () {
+    return this.#matchesHaveVenues
   }
 
   /**
-   * Set the knockout configuration for this group
+   * Check if matches have warmups
    *
-   * @param {KnockoutConfig} knockoutConfig The knockout configuration
-   * @returns {Group} The Group instance
+   * @returns {boolean} True if matches have warmups, false otherwise
    */
-  setKnockoutConfig (knockoutConfig) {
-    this._knockoutConfig = knockoutConfig;
-    return this
+  matchesHaveWarmups () {
+    return this.#matchesHaveWarmups
   }
 
   /**
-   * Set the league configuration for this group
+   * Get the ID of this IfUnknown. Since IfUnknown blocks don't have a unique id,
+   * this is always the string "unknown"
    *
-   * @param {LeagueConfig} leagueConfig The league configuration
-   * @returns {Group} The Group instance
+   * @returns {string} The ID of this IfUnknown
    */
-  setLeagueConfig (leagueConfig) {
-    this._leagueConfig = leagueConfig;
-    return this
+  getID () {
+    return 'unknown'
   }
+}
 
+/**
+ * A group within this stage of the competition.  A knockout expects to generate an order of teams based on team elimination
+ */
+class Knockout extends Group$1 {
   /**
-   * Get the type for this group
+   * Contains the group data of a stage, creating any metadata needed
    *
-   * @returns {GroupType} The type for this group
+   * @param {Stage} stage A link back to the Stage this Group is in
+   * @param {string} id The unique ID of this Group
+   * @param {MatchType} matchType Whether matches are continuous or played to sets
    */
-  getType () {
-    return this._type
+  constructor (stage, id, matchType) {
+    super(stage, id, matchType);
+    this._type = GroupType.KNOCKOUT;
+    this._drawsAllowed = false;
   }
 
   /**
-   * Get the match type for the matches in this group
+   * Get the knockout config for this group
    *
-   * @returns {string} The match type for the matches in this group
+   * @returns {KnockoutConfig|null} the knockout config for this group
    */
-  getMatchType () {
-    return this._matchType
+  getKnockoutConfig () {
+    return this._knockoutConfig
   }
+}
+
+/**
+ * Represents a league table for a competition.
+*/
+class LeagueTable {
+  static ORDERING_LEAGUE_POINTS = 'PTS'
+  static ORDERING_WINS = 'WINS'
+  static ORDERING_LOSSES = 'LOSSES'
+  static ORDERING_HEAD_TO_HEAD = 'H2H'
+  static ORDERING_POINTS_FOR = 'PF'
+  static ORDERING_POINTS_AGAINST = 'PA'
+  static ORDERING_POINTS_DIFFERENCE = 'PD'
+  static ORDERING_SETS_FOR = 'SF'
+  static ORDERING_SETS_AGAINST = 'SA'
+  static ORDERING_SETS_DIFFERENCE = 'SD'
+  static ORDERING_BONUS_POINTS = 'BP'
+  static ORDERING_PENALTY_POINTS = 'PP'
+
+  /**
+   * An array of entries in the league table
+   * @type {array}
+   * @private
+   */
+  entries = []
+
+  /**
+   * The league associated with this table
+   * @type {League}
+   * @private
+   */
+  #league
+
+  /**
+   * Indicates if draws are allowed in the league
+   * @type {bool}
+   * @private
+   */
+  #hasDraws
+
+  /**
+   * Indicates if the league uses sets
+   * @type {bool}
+   * @private
+   */
+  #hasSets
 
   /**
-   * Returns the set configuration that defines a set for this group
-   *
-   * @returns {SetConfig} The set configuration for this group
+   * The ordering criteria for the league table
+   * @type {array}
+   * @private
    */
-  getSetConfig () {
-    return this._sets
-  }
+  #ordering
 
   /**
-   * Set the set configuration that defines a set for this group
+   * Constructs a new LeagueTable instance.
    *
-   * @param {SetConfig} sets The set configuration for this group
-   * @returns {Group} The Group instance
+   * @param {League} league The league associated with this table
    */
-  setSetConfig (sets) {
-    this._sets = sets;
-    return this
+  constructor (league) {
+    this.#league = league;
+    this.#hasDraws = league.getDrawsAllowed();
+    this.#hasSets = league.getMatchType() === MatchType.SETS;
+    this.#ordering = league.getLeagueConfig().getOrdering();
   }
 
   /**
-   * Returns whether draws are allowed in this group
+   * Get the league associated with this table.
    *
-   * @returns {boolean} Are draws allowed
+   * @returns {League} The league associated with this table
    */
-  getDrawsAllowed () {
-    return this._drawsAllowed
+  getLeague () {
+    return this.#league
   }
 
   /**
-   * Sets whether draws are allowed in this group
+   * Get the text representation of the ordering criteria for the league table.
    *
-   * @param {boolean} drawsAllowed Are draws allowed
-   * @returns {Group} The Group instance
+   * @returns {string} The text representation of the ordering criteria
    */
-  setDrawsAllowed (drawsAllowed) {
-    // TODO - check if there are any draws already when this is set to false, and throw
-    this._drawsAllowed = drawsAllowed;
-    return this
+  getOrderingText () {
+    let orderingText = `Position is decided by ${LeagueTable.#mapOrderingToString(this.#ordering[0])}`;
+    for (let i = 1; i < this.#ordering.length; i++) {
+      orderingText += `, then ${LeagueTable.#mapOrderingToString(this.#ordering[i])}`;
+    }
+    return orderingText
   }
 
   /**
-   * Get the competition this group is in
+   * Maps ordering string to human-readable format.
    *
-   * @returns {Competition} The competition
+   * @param {string} orderingString The ordering string to map
+   * @returns {string} The human-readable representation of the ordering string
    */
-  getCompetition () {
-    return this._competition
+  static #mapOrderingToString (orderingString) {
+    switch (orderingString) {
+      case LeagueTable.ORDERING_LEAGUE_POINTS:
+        return 'points'
+      case LeagueTable.ORDERING_WINS:
+        return 'wins'
+      case LeagueTable.ORDERING_LOSSES:
+        return 'losses'
+      case LeagueTable.ORDERING_HEAD_TO_HEAD:
+        return 'head-to-head'
+      case LeagueTable.ORDERING_POINTS_FOR:
+        return 'points for'
+      case LeagueTable.ORDERING_POINTS_AGAINST:
+        return 'points against'
+      case LeagueTable.ORDERING_POINTS_DIFFERENCE:
+        return 'points difference'
+      case LeagueTable.ORDERING_SETS_FOR:
+        return 'sets for'
+      case LeagueTable.ORDERING_SETS_AGAINST:
+        return 'sets against'
+      case LeagueTable.ORDERING_SETS_DIFFERENCE:
+        return 'sets difference'
+      case LeagueTable.ORDERING_BONUS_POINTS:
+        return 'bonus points'
+      case LeagueTable.ORDERING_PENALTY_POINTS:
+        return 'penalty points'
+    }
   }
 
   /**
-   * Add a match to this group
+   * Get the text representation of the scoring system used in the league.
    *
-   * @param {GroupMatch} match The match to add
-   * @returns {Group} The Group instance
+   * @returns {string} The text representation of the league's scoring system
    */
-  addMatch (match) {
-    this._matchesProcessed = false;
-
-    this._competition.validateTeamID(match.getHomeTeam().getID(), match.getID(), 'homeTeam');
-    this._competition.validateTeamID(match.getAwayTeam().getID(), match.getID(), 'awayTeam');
-
-    this._matches.push(match);
-    this.#matchLookup[match.getID()] = match;
+  getScoringText () {
+    const textBuilder = (points, action) => {
+      if (points === 1) {
+        return `1 point per ${action}, `
+      } else {
+        return `${points} points per ${action}, `
+      }
+    };
 
-    if (match.hasCourt()) {
-      this.#matchesHaveCourts = true;
-    }
-    if (match.hasDate()) {
-      this.#matchesHaveDates = true;
-    }
-    if (match.hasDuration()) {
-      this.#matchesHaveDurations = true;
-    }
-    if (match.hasMVP()) {
-      this.#matchesHaveMVPs = true;
-    }
-    if (match.hasManager()) {
-      this.#matchesHaveManagers = true;
-    }
-    if (match.hasNotes()) {
-      this.#matchesHaveNotes = true;
+    const leagueConfig = this.#league.getLeagueConfig().getPoints();
+    let scoringText = 'Teams win ';
+    if (leagueConfig.getPlayed() !== 0) {
+      scoringText += textBuilder(leagueConfig.getPlayed(), 'played');
     }
-    if (match.hasOfficials()) {
-      this.#matchesHaveOfficials = true;
+    if (leagueConfig.getWin() !== 0) {
+      scoringText += textBuilder(leagueConfig.getWin(), 'win');
     }
-    if (match.hasStart()) {
-      this.#matchesHaveStarts = true;
+    if (leagueConfig.getPerSet() !== 0) {
+      scoringText += textBuilder(leagueConfig.getPerSet(), 'set');
     }
-    if (match.hasVenue()) {
-      this.#matchesHaveVenues = true;
+    if (leagueConfig.getWinByOne() !== 0 && leagueConfig.getWin() !== leagueConfig.getWinByOne()) {
+      scoringText += textBuilder(leagueConfig.getWinByOne(), 'win by one set');
     }
-    if (match.hasWarmup()) {
-      this.#matchesHaveWarmups = true;
+    if (leagueConfig.getLose() !== 0) {
+      scoringText += textBuilder(leagueConfig.getLose(), 'loss');
     }
-
-    if (match.getHomeTeam().getID().charAt(0) === '{') {
-      this.#teamReferences.push(match.getHomeTeam().getID());
+    if (leagueConfig.getLoseByOne() !== 0 && leagueConfig.getWin() !== leagueConfig.getLoseByOne()) {
+      scoringText += textBuilder(leagueConfig.getLoseByOne(), 'loss by one set');
     }
-    if (match.getAwayTeam().getID().charAt(0) === '{') {
-      this.#teamReferences.push(match.getAwayTeam().getID());
+    if (leagueConfig.getForfeit() !== 0) {
+      scoringText += textBuilder(leagueConfig.getForfeit(), 'forfeited match');
     }
-
-    this.#playingTeamIDs[match.getHomeTeam().getID()] = true;
-    this.#playingTeamIDs[match.getAwayTeam().getID()] = true;
-    this.#teamIDs[match.getHomeTeam().getID()] = true;
-    this.#teamIDs[match.getAwayTeam().getID()] = true;
-    if (match.hasOfficials() && match.getOfficials().isTeam()) {
-      this.#teamIDs[match.getOfficials().getTeamID()] = true;
-      this.#officiatingTeamIDs[match.getOfficials().getTeamID()] = true;
+    if (scoringText.length < 12) {
+      // Everything is zero; weird but possible
+      return ''
     }
+    return scoringText.slice(0, -2).replace(/(.*), ([^,]*)/, '$1 and $2')
+  }
 
-    this._isCompleteKnown = false;
-
-    this._stage.checkMatches();
-
-    return this
+  /**
+   * Checks if draws are allowed in the league.
+   *
+   * @returns {boolean} True if draws are allowed, false otherwise
+   */
+  hasDraws () {
+    return this.#hasDraws
   }
 
   /**
-   * Add a break to this group
+   * Checks if the league uses sets.
    *
-   * @param {GroupBreak} breakObj The break to add
-   * @returns {Group} The Group instance
+   * @returns {boolean} True if the league uses sets, false otherwise
    */
-  addBreak (breakObj) {
-    this._matches.push(breakObj);
-    this._isCompleteKnown = false;
-    return this
+  hasSets () {
+    return this.#hasSets
   }
 
   /**
-   * Returns a list of matches from this Group, where the list depends on the input parameters and on the type of the MatchContainer
+   * Get the group ID associated with this league table.
    *
-   * @param {string|null} id When provided, return the matches where the team with this ID is playing, otherwise all matches are returned
-   *                          (and subsequent parameters are ignored).  This must be a resolved team ID and not a reference.
-   *                          A team ID of CompetitionTeam::UNKNOWN_TEAM_ID is interpreted as null
-   * @param {number} flags Controls what gets returned
-   *                       <ul>
-   *                         <li>{@link VBC_MATCH_ALL_IN_GROUP} - Include all matches in the group</li>
-   *                         <li>{@link VBC_MATCH_PLAYING} - Include matches that a team plays in</li>
-   *                         <li>{@link VBC_MATCH_OFFICIATING} - Include matches that a team officiates in</li>
-   *                       </ul>
-   * @returns {Array<MatchInterface|BreakInterface>}
+   * @returns {string} The group ID associated with this league table
    */
-  getMatches (id = null, flags = 0) {
-    if (id === null ||
-            flags & Competition$1.VBC_MATCH_ALL_IN_GROUP ||
-            id === CompetitionTeam.UNKNOWN_TEAM_ID ||
-            id.charAt(0) === '{') {
-      return this._matches
-    }
+  getGroupID () {
+    return this.#league.getID()
+  }
+}
 
-    const matches = [];
+/**
+ * Represents an entry in a league table for a competition.
+ */
+class LeagueTableEntry {
+  /**
+   * The team ID
+   * @type {string}
+   * @private
+   */
+  #teamID
 
-    for (const match of this._matches) {
-      if (match instanceof GroupBreak) {
-        continue
-      } else if (flags & Competition$1.VBC_MATCH_PLAYING &&
-                (this._competition.getTeam(match.getHomeTeam().getID()).getID() === id || this._competition.getTeam(match.getAwayTeam().getID()).getID() === id)) {
-        matches.push(match);
-      } else if (flags & Competition$1.VBC_MATCH_OFFICIATING &&
-                match.getOfficials() !== null &&
-                match.getOfficials().isTeam() &&
-                this._competition.getTeam(match.getOfficials().getTeamID()).getID() === id) {
-        matches.push(match);
-      }
-    }
-    return matches
-  }
+  /**
+   * The name of the team
+   * @type {string}
+   * @private
+   */
+  #team
+
+  /**
+   * The number of matches played
+   * @type {number}
+   * @private
+   */
+  #played = 0
+
+  /**
+   * The number of matches won
+   * @type {number}
+   * @private
+   */
+  #wins = 0
+
+  /**
+   * The number of matches lost
+   * @type {number}
+   * @private
+   */
+  #losses = 0
+
+  /**
+   * The number of matches drawn
+   * @type {number}
+   * @private
+   */
+  #draws = 0
+
+  /**
+   * The number of sets won
+   * @type {number}
+   * @private
+   */
+  #sf = 0
 
   /**
-   * Returns a list of teams from this match container.  If all teams are known then the list is sorted by team name
-   *
-   * @param {number} flags Controls what gets returned (MAYBE overrides KNOWN overrides FIXED_ID)
-   *                       <ul>
-   *                         <li>{@link VBC_TEAMS_FIXED_ID} (default) returns teams with a defined team ID (no references)</li>
-   *                         <li>{@link VBC_TEAMS_KNOWN} returns teams that are known (teams not defined by a reference plus references that are resolved)</li>
-   *                         <li>{@link VBC_TEAMS_MAYBE} returns teams that might be in this container (references that could resolve to a team but are not yet defined)</li>
-   *                         <li>{@link VBC_TEAMS_ALL} returns all team IDs including refereeing as defined in the group data, including unresolved references</li>
-   *                         <li>{@link VBC_TEAMS_PLAYING} returns all team IDs for teams that are playing, as defined in the group data, including unresolved references</li>
-   *                         <li>{@link VBC_TEAMS_OFFICIATING} returns all team IDs for teams that are OFFICIATING, as defined in the group data, including unresolved references</li>
-   *                       </ul>
-   * @returns {Array<string>}
+   * The number of sets against
+   * @type {number}
+   * @private
    */
-  getTeamIDs (flags = Competition$1.VBC_TEAMS_FIXED_ID) {
-    let teamIDs = [];
+  #sa = 0
 
-    if (flags & Competition$1.VBC_TEAMS_ALL) {
-      teamIDs = Object.keys(this.#teamIDs);
-    } else if (flags & Competition$1.VBC_TEAMS_PLAYING) {
-      teamIDs = Object.keys(this.#playingTeamIDs);
-    } else if (flags & Competition$1.VBC_TEAMS_OFFICIATING) {
-      teamIDs = Object.keys(this.#officiatingTeamIDs);
-    } else if (flags & Competition$1.VBC_TEAMS_MAYBE) {
-      return this.#getMaybeTeamIDs()
-    } else if (flags & Competition$1.VBC_TEAMS_KNOWN) {
-      teamIDs = Object.keys(this.#teamIDs).filter(k => this._competition.getTeam(k).getID() !== CompetitionTeam.UNKNOWN_TEAM_ID);
-      teamIDs.sort((a, b) => this._competition.getTeam(a).getName().localeCompare(this._competition.getTeam(b).getName()));
-    } else if (flags & Competition$1.VBC_TEAMS_FIXED_ID) {
-      teamIDs = Object.keys(this.#teamIDs).filter(k => k.charAt(0) !== '{');
-      teamIDs.sort((a, b) => this._competition.getTeam(a).getName().localeCompare(this._competition.getTeam(b).getName()));
-    }
+  /**
+   * The sets difference
+   * @type {number}
+   * @private
+   */
+  #sd = 0
 
-    return teamIDs
-  }
+  /**
+   * The number of points scored
+   * @type {number}
+   * @private
+   */
+  #pf = 0
 
   /**
-   * Go through the stages:groups referenced by this group and build a list of teams that could reach this group.
-   * If the feeding group is complete then the reference can be resolved and the team is "known" and not a "maybe",
-   * so we only consider incomplete groups.  We ask that group for all of its known and maybe teams and recurse back
-   * to the end of each lookup chain
-   *
-   * @returns {Array<string>} the array of team IDs that may be in this group
+   * The number of points conceded
+   * @type {number}
+   * @private
    */
-  #getMaybeTeamIDs () {
-    if (this.isComplete()) {
-      // If the group is complete then there are no "maybes"; everything is known so you should call getTeamIDs(VBC_TEAMS_KNOWN)
-      return []
-    }
+  #pa = 0
 
-    if (this.#maybeTeams === null) {
-      this.#maybeTeams = [];
-      this.#buildStageGroupLookup();
+  /**
+   * The points difference
+   * @type {number}
+   * @private
+   */
+  #pd = 0
 
-      const stgGrpLookupValues = Object.values(this.#stgGrpLookup);
-      for (let i = 0; i < stgGrpLookupValues.length; i++) {
-        const group = this._competition.getStage(stgGrpLookupValues[i].stage).getGroup(stgGrpLookupValues[i].group);
-        if (!group.isComplete()) {
-          this.#maybeTeams = Array.from(new Set([...this.#maybeTeams, ...group.getTeamIDs(Competition$1.VBC_TEAMS_KNOWN), ...group.getTeamIDs(Competition$1.VBC_TEAMS_MAYBE)]));
-        }
-      }
-    }
+  /**
+   * The number of bonus points
+   * @type {number}
+   * @private
+   */
+  #bp = 0
 
-    return this.#maybeTeams
-  }
+  /**
+   * The number of penalty points
+   * @type {number}
+   * @private
+   */
+  #pp = 0
 
   /**
-   * Build the lookup table of references where the key is the string "{stage ID}:{group ID}" and the value is an object linking to
-   * the Stage and the Group
+   * The total points
+   * @type {number}
+   * @private
    */
-  #buildStageGroupLookup () {
-    // Get all unresolved references {STG:GRP:...}
-    if (this.#stgGrpLookup === null) {
-      this.#stgGrpLookup = {};
-      for (const match of this.getMatches()) {
-        if (match instanceof GroupMatch) {
-          const homeTeamParts = match.getHomeTeam().getID().substring(1).split(':', 3);
-          if (homeTeamParts.length > 2) {
-            const key = `${homeTeamParts[0]}:${homeTeamParts[1]}`;
-            if (!Object.hasOwn(this.#stgGrpLookup, key)) {
-              this.#stgGrpLookup[key] = { stage: homeTeamParts[0], group: homeTeamParts[1] };
-            }
-          }
-          const awayTeamParts = match.getAwayTeam().getID().substring(1).split(':', 3);
-          if (awayTeamParts.length > 2) {
-            const key = `${awayTeamParts[0]}:${awayTeamParts[1]}`;
-            if (!Object.hasOwn(this.#stgGrpLookup, key)) {
-              this.#stgGrpLookup[key] = { stage: awayTeamParts[0], group: awayTeamParts[1] };
-            }
-          }
-          if (match.getOfficials() !== null && match.getOfficials().isTeam()) {
-            const refereeTeamParts = match.getOfficials().getTeamID().substring(1).split(':', 3);
-            if (refereeTeamParts.length > 2) {
-              const key = `${refereeTeamParts[0]}:${refereeTeamParts[1]}`;
-              if (!Object.hasOwn(this.#stgGrpLookup, key)) {
-                this.#stgGrpLookup[key] = { stage: refereeTeamParts[0], group: refereeTeamParts[1] };
-              }
-            }
-          }
-        }
-      }
-    }
-  }
+  #pts = 0
 
   /**
-   * Returns the match with the specified ID
-   *
-   * @param {string} id The ID of the match
+   * The head-to-head data
+   * @type {object}
+   * @private
+   */
+  #head = {}
+
+  /**
+   * The league associated with this entry
+   * @type {League}
+   * @private
+   */
+  #league
+
+  /**
+   * Constructs a new LeagueTableEntry instance.
    *
-   * @returns {GroupMatch} The requested match
+   * @param {League} league The league associated with this entry
+   * @param {string} teamID The team ID
+   * @param {string} name The name of the team
    */
-  getMatch (id) {
-    if (Object.hasOwn(this.#matchLookup, id)) {
-      return this.#matchLookup[id]
-    }
-    throw new Error(`Match with ID ${id} not found`)
+  constructor (league, teamID, name) {
+    this.#league = league;
+    this.#teamID = teamID;
+    this.#team = name;
   }
 
   /**
-   * Checks if a match with the given ID exists in the group.
+   * Return the leagueTableEntry in a form suitable for serializing.  Thisis only used by unit tests
    *
-   * @param {string} id The ID of the match to check
-   * @returns {boolean} True if a match with the given ID exists, false otherwise
+   * @returns {object} The serialized league table entry data
    */
-  hasMatch (id) {
-    return Object.hasOwn(this.#matchLookup, id)
+  serialize () {
+    const leagueTableEntry = {
+      teamID: this.#teamID,
+      played: this.#played,
+      wins: this.#wins,
+      losses: this.#losses,
+      draws: this.#draws,
+      sf: this.#sf,
+      sa: this.#sa,
+      sd: this.#sd,
+      pf: this.#pf,
+      pa: this.#pa,
+      pd: this.#pd,
+      bp: this.#bp,
+      pp: this.#pp,
+      pts: this.#pts,
+      head: this.#head
+    };
+
+    return leagueTableEntry
   }
 
   /**
-   * Process the matches in this group
+   * Get the group ID associated with this entry.
+   *
+   * @returns {string} The group ID associated with this entry
    */
-  processMatches () {
-    this._matchesProcessed = true;
+  getGroupID () {
+    return this.#league.getID()
   }
 
   /**
-   * Get the team by ID based on the type of entity.
+   * Get the team ID.
    *
-   * @param {string} type The type part of the team reference ('MATCH-ID' or 'league')
-   * @param {string} entity The entity (e.g., 'winner' or 'loser')
-   * @returns {CompetitionTeam} The CompetitionTeam instance
-   * @throws {Error} If the entity is invalid
+   * @returns {string} The team ID
    */
-  getTeam (type, entity) {
-    if (type === 'league') {
-      throw new Error('Invalid type "league" in team reference.  Cannot get league position from a non-league group')
-    }
-
-    const match = this.getMatch(type);
-
-    switch (entity) {
-      case 'winner':
-        return this._competition.getTeam(match.getWinnerTeamID())
-      case 'loser':
-        return this._competition.getTeam(match.getLoserTeamID())
-      default:
-        throw new Error(`Invalid entity "${entity}" in team reference`)
-    }
+  getTeamID () {
+    return this.#teamID
   }
 
   /**
-   * Checks if the matches in this group have been processed.
+   * Get the name of the team.
    *
-   * @returns {boolean} True if the matches in this group have been processed, false otherwise
+   * @returns {string} The name of the team
    */
-  isProcessed () {
-    return this._matchesProcessed
+  getTeam () {
+    return this.#team
   }
 
   /**
-   * Checks if the group is complete, i.e., all matches in the group are complete.
+   * Get the number of matches played.
    *
-   * @returns {boolean} True if the group is complete, false otherwise
+   * @returns {number} The number of matches played
    */
-  isComplete () {
-    if (!this._isCompleteKnown) {
-      let completedMatches = 0;
-      let matchesInThisPool = 0;
-
-      for (const match of this.getMatches()) {
-        if (match instanceof GroupBreak) {
-          continue
-        }
-
-        matchesInThisPool++;
-
-        if (match.isComplete()) {
-          completedMatches++;
-        }
-      }
-      this._isComplete = completedMatches === matchesInThisPool;
-      this._isCompleteKnown = true;
-    }
-
-    return this._isComplete
+  getPlayed () {
+    return this.#played
   }
 
   /**
-   * Checks if the matches in this group have courts.
+   * Set the number of matches played.
    *
-   * @returns {boolean} True if the matches in this group have courts, false otherwise
+   * @param {number} played The number of matches played
    */
-  matchesHaveCourts () {
-    return this.#matchesHaveCourts
+  setPlayed (played) {
+    this.#played = played;
   }
 
   /**
-   * Checks if the matches in this group have dates.
+   * Get the number of matches won.
    *
-   * @returns {boolean} True if the matches in this group have dates, false otherwise
+   * @returns {number} The number of matches won
    */
-  matchesHaveDates () {
-    return this.#matchesHaveDates
+  getWins () {
+    return this.#wins
   }
 
   /**
-   * Checks if the matches in this group have durations.
+   * Set the number of matches won.
    *
-   * @returns {boolean} True if the matches in this group have durations, false otherwise
+   * @param {number} wins The number of matches won
    */
-  matchesHaveDurations () {
-    return this.#matchesHaveDurations
+  setWins (wins) {
+    this.#wins = wins;
   }
 
   /**
-   * Checks if the matches in this group have MVPs.
+   * Get the number of matches lost.
    *
-   * @returns {boolean} True if the matches in this group have MVPs, false otherwise
+   * @returns {number} The number of matches lost
    */
-  matchesHaveMVPs () {
-    return this.#matchesHaveMVPs
+  getLosses () {
+    return this.#losses
   }
 
   /**
-   * Checks if the matches in this group have court managers.
+   * Set the number of matches lost.
    *
-   * @returns {boolean} True if the matches in this group have court managers, false otherwise
+   * @param {number} losses The number of matches lost
    */
-  matchesHaveManagers () {
-    return this.#matchesHaveManagers
+  setLosses (losses) {
+    this.#losses = losses;
   }
 
   /**
-   * Checks if the matches in this group have notes.
+   * Get the number of matches drawn.
    *
-   * @returns {boolean} True if the matches in this group have notes, false otherwise
+   * @returns {number} The number of matches drawn
    */
-  matchesHaveNotes () {
-    return this.#matchesHaveNotes
+  getDraws () {
+    return this.#draws
   }
 
   /**
-   * Checks if the matches in this group have officials.
+   * Set the number of matches drawn.
    *
-   * @returns {boolean} True if the matches in this group have officials, false otherwise
+   * @param {number} draws The number of matches drawn
    */
-  matchesHaveOfficials () {
-    return this.#matchesHaveOfficials
+  setDraws (draws) {
+    this.#draws = draws;
   }
 
   /**
-   * Checks if the matches in this group have start times.
+   * Get the number of sets won.
    *
-   * @returns {boolean} True if the matches in this group have start times, false otherwise
+   * @returns {number} The number of sets won
    */
-  matchesHaveStarts () {
-    return this.#matchesHaveStarts
+  getSF () {
+    return this.#sf
   }
 
   /**
-   * Checks if the matches in this group have venues.
+   * Set the number of sets won.
    *
-   * @returns {boolean} True if the matches in this group have venues, false otherwise
+   * @param {number} sf The number of sets won
    */
-  matchesHaveVenues () {
-    return this.#matchesHaveVenues
+  setSF (sf) {
+    this.#sf = sf;
   }
 
   /**
-   * Checks if the matches in this group have warmup times.
+   * Get the number of sets against.
    *
-   * @returns {boolean} True if the matches in this group have warmup times, false otherwise
+   * @returns {number} The number of sets against
    */
-  matchesHaveWarmups () {
-    return this.#matchesHaveWarmups
+  getSA () {
+    return this.#sa
   }
 
   /**
-   * Returns whether all of the teams in this group are known yet or not.
+   * Set the number of sets against.
    *
-   * @returns {boolean} Whether all of the teams in this group are known yet or not
+   * @param {number} sa The number of sets against
    */
-  allTeamsKnown () {
-    let allGroupsComplete = true;
-    for (const teamReference of this.#teamReferences) {
-      const parts = teamReference.trim().replace(/[{}]/g, '').split(':', 4);
-      if (!this._competition.getStage(parts[0]).getGroup(parts[1]).isComplete()) {
-        allGroupsComplete = false;
-      }
-    }
-    return allGroupsComplete
+  setSA (sa) {
+    this.#sa = sa;
   }
 
   /**
-   * Returns whether the specified team is known to have matches in this group.
+   * Get the sets difference.
    *
-   * @param {string} id The ID of the team
-   * @returns {boolean} Whether the specified team is known to have matches in this group
+   * @returns {number} The sets difference
    */
-  teamHasMatches (id) {
-    if (!Object.hasOwn(this.#teamHasMatchesLookup, id)) {
-      this.#teamHasMatchesLookup[id] = false;
-      for (const match of this._matches) {
-        if (match instanceof GroupBreak) {
-          continue
-        }
-        if (this._competition.getTeam(match.getHomeTeam().getID()).getID() === id) {
-          this.#teamHasMatchesLookup[id] = true;
-          break
-        }
-        if (this._competition.getTeam(match.getAwayTeam().getID()).getID() === id) {
-          this.#teamHasMatchesLookup[id] = true;
-          break
-        }
-      }
-    }
-    return this.#teamHasMatchesLookup[id]
+  getSD () {
+    return this.#sd
   }
 
   /**
-   * Returns whether the specified team is known to have officiating duties in this group.
+   * Set the sets difference.
    *
-   * @param {string} id The ID of the team
-   * @returns {boolean} Whether the specified team is known to have officiating duties in this group
+   * @param {number} sd The sets difference
    */
-  teamHasOfficiating (id) {
-    if (!Object.hasOwn(this.#teamHasOfficiatingLookup, id)) {
-      this.#teamHasOfficiatingLookup[id] = false;
-      for (const match of this._matches) {
-        if (match instanceof GroupBreak) {
-          continue
-        }
-        if (match.getOfficials() !== null && match.getOfficials().isTeam() &&
-                    this._competition.getTeam(match.getOfficials().getTeamID()).getID() === id) {
-          this.#teamHasOfficiatingLookup[id] = true;
-          break
-        }
-      }
-    }
-    return this.#teamHasOfficiatingLookup[id]
+  setSD (sd) {
+    this.#sd = sd;
   }
 
   /**
-   * Returns whether the specified team may have matches or officiating duties in this group.
+   * Get the number of points scored.
    *
-   * @param {string} id The ID of the team
-   * @returns {boolean} Whether it is possible for a team with the given ID to have matches in this group
+   * @returns {number} The number of points scored
    */
-  teamMayHaveMatches (id) {
-    if (this.isComplete()) {
-      return false
-    }
-
-    if (this._competition.getTeam(id).getID() === CompetitionTeam.UNKNOWN_TEAM_ID) {
-      return false
-    }
-
-    this.#buildStageGroupLookup();
-
-    const stgGrpLookupValues = Object.values(this.#stgGrpLookup);
-    for (let i = 0; i < stgGrpLookupValues.length; i++) {
-      const group = this._competition.getStage(stgGrpLookupValues[i].stage).getGroup(stgGrpLookupValues[i].group);
-      if ((!group.isComplete() && group.teamHasMatches(id)) || group.teamMayHaveMatches(id)) {
-        return true
-      }
-    }
+  getPF () {
+    return this.#pf
+  }
 
-    return false
+  /**
+   * Set the number of points scored.
+   *
+   * @param {number} pf The number of points scored
+   */
+  setPF (pf) {
+    this.#pf = pf;
   }
 
   /**
-   * Returns a list of match dates in this Group.
+   * Get the number of points conceded.
    *
-   * @param {string} [teamID=null] The ID of the team
-   * @param {number} [flags=VBC_MATCH_PLAYING] Controls what gets returned
-   * @returns {Array<string>} List of match dates
+   * @returns {number} The number of points conceded
    */
-  getMatchDates (teamID = null, flags = Competition$1.VBC_MATCH_PLAYING) {
-    const matchDates = {};
-    if (teamID === null || teamID === CompetitionTeam.UNKNOWN_TEAM_ID || flags & Competition$1.VBC_MATCH_ALL) {
-      for (const match of this._matches) {
-        if (match instanceof GroupMatch) {
-          matchDates[match.getDate()] = 1;
-        }
-      }
-    } else {
-      for (const match of this._matches) {
-        if (!(match instanceof GroupMatch)) {
-          continue
-        }
+  getPA () {
+    return this.#pa
+  }
 
-        if (flags & Competition$1.VBC_MATCH_PLAYING &&
-                    (this._competition.getTeam(match.getHomeTeam().getID()).getID() === teamID ||
-                     this._competition.getTeam(match.getAwayTeam().getID()).getID() === teamID)) {
-          matchDates[match.getDate()] = 1;
-        } else if (flags & Competition$1.VBC_MATCH_OFFICIATING &&
-                    match.getOfficials() !== null &&
-                    match.getOfficials().isTeam() &&
-                    this._competition.getTeam(match.getOfficials().getTeamID()).getID() === teamID) {
-          matchDates[match.getDate()] = 1;
-        }
-      }
-    }
-    return Object.keys(matchDates)
+  /**
+   * Set the number of points conceded.
+   *
+   * @param {number} pa The number of points conceded
+   */
+  setPA (pa) {
+    this.#pa = pa;
   }
 
   /**
-   * Returns a list of matches on the specified date in this Group.
-   * The returned list includes breaks when that break has a date value
+   * Get the points difference.
    *
-   * @param {string} date The requested date in the format YYYY-MM-DD
-   * @param {string} [teamID=null] The ID of the team
-   * @param {number} [flags=VBC_MATCH_ALL] Controls what gets returned
-   * @returns {Array<MatchInterface>} List of matches on the specified date
+   * @returns {number} The points difference
    */
-  getMatchesOnDate (date, teamID = null, flags = Competition$1.VBC_MATCH_ALL) {
-    const matches = [];
-    if (teamID === null || teamID === CompetitionTeam.UNKNOWN_TEAM_ID || flags & Competition$1.VBC_MATCH_ALL) {
-      for (const match of this._matches) {
-        if (match.getDate() === date) {
-          matches.push(match);
-        }
-      }
-    } else {
-      for (const match of this._matches) {
-        if (match.getDate() === date) {
-          if (!(match instanceof GroupMatch)) {
-            matches.push(match);
-          } else if (flags & Competition$1.VBC_MATCH_PLAYING &&
-                              (this._competition.getTeam(match.getHomeTeam().getID()).getID() === teamID ||
-                               this._competition.getTeam(match.getAwayTeam().getID()).getID() === teamID)) {
-            matches.push(match);
-          } else if (flags & Competition$1.VBC_MATCH_OFFICIATING &&
-                               match.getOfficials() !== null &&
-                               match.getOfficials().isTeam() &&
-                               this._competition.getTeam(match.getOfficials().getTeamID()).getID() === teamID) {
-            matches.push(match);
-          }
-        }
-      }
-    }
-    return matches
+  getPD () {
+    return this.#pd
+  }
+
+  /**
+   * Set the points difference.
+   *
+   * @param {number} pd The points difference
+   */
+  setPD (pd) {
+    this.#pd = pd;
   }
-}
 
-var Group$1 = Group;
+  /**
+   * Get the bonus points.
+   *
+   * @returns {number} The bonus points
+   */
+  getBP () {
+    return this.#bp
+  }
 
-/**
- * A group within this stage of the competition.  There is no implied league table or team order, just match winners and losers
- */
-class Crossover extends Group$1 {
   /**
-   * Contains the group data of a stage, creating any metadata needed
+   * Set the bonus points.
    *
-   * @param {Stage} stage A link back to the Stage this Group is in
-   * @param {string} id The unique ID of this Group
-   * @param {MatchType} matchType Whether matches are continuous or played to sets
+   * @param {number} bp The bonus points
    */
-  constructor (stage, id, matchType) {
-    super(stage, id, matchType);
-    this._type = GroupType.CROSSOVER;
-    this._drawsAllowed = false;
+  setBP (bp) {
+    this.#bp = bp;
   }
-}
 
-/**
- * A break in play, possibly while other matches are going on in other competitions running in parallel
- */
-class IfUnknownBreak {
   /**
-   * The start time for the break
-   * @type {string|null}
-   * @private
+   * Get the penalty points.
+   *
+   * @returns {number} The penalty points
    */
-  #start
+  getPP () {
+    return this.#pp
+  }
 
   /**
-   * The date of the break
-   * @type {string|null}
-   * @private
+   * Set the penalty points.
+   *
+   * @param {number} pp The penalty points
    */
-  #date
+  setPP (pp) {
+    this.#pp = pp;
+  }
 
   /**
-   * The duration of the break
-   * @type {string|null}
-   * @private
+   * Get the total points.
+   *
+   * @returns {number} The total points
    */
-  #duration
+  getPTS () {
+    return this.#pts
+  }
 
   /**
-   * The name for the break, e.g. 'Lunch break'
-   * @type {string|null}
-   * @private
+   * Set the total points.
+   *
+   * @param {number} pts The total points
    */
-  #name
+  setPTS (pts) {
+    this.#pts = pts;
+  }
 
   /**
-   * The IfUnknown instance this break is associated with
-   * @type {IfUnknown}
+   * Get the head-to-head data.
+   *
+   * @returns {object} The head-to-head data
+   */
+  getH2H () {
+    return this.#head
+  }
+}
+
+/**
+ * A group within this stage of the competition. Leagues expect all teams to play each other at least once, and have a league table
+ */
+class League extends Group$1 {
+  /**
+   * The table for this group, if the group type is league
+   * @type {LeagueTable}
    * @private
    */
-  #ifUnknown
+  #table
 
   /**
-   * Initializes the IfUnknownBreak instance
+   * Constructs a new League instance.
    *
-   * @param {IfUnknown} ifUnknown The IfUnknown instance this break is in
+   * @param {Stage} stage A link back to the Stage this Group is in
+   * @param {string} id The unique ID of this Group
+   * @param {MatchType} matchType Whether matches are continuous or played to sets
+   * @param {boolean} drawsAllowed Indicates whether draws are allowed in matches
    */
-  constructor (ifUnknown) {
-    this.#ifUnknown = ifUnknown;
-    this.#start = null;
-    this.#date = null;
-    this.#duration = null;
-    this.#name = null;
+  constructor (stage, id, matchType, drawsAllowed) {
+    super(stage, id, matchType);
+    this._type = GroupType.LEAGUE;
+    this._drawsAllowed = drawsAllowed;
   }
 
   /**
-   * Loads data from an object into the IfUnknownBreak instance
+   * Generates the matches for a round-robin league between the given teams using the circle method, adding them to this group.  When there
+   * is an odd number of teams, each round includes a GroupBreak naming the team with a bye.  Matches are given the IDs idPrefix1, idPrefix2, ...
+   * When the competition's change history is enabled, the generated matches are undone as one step
    *
-   * @param {object} ifUnknownBreakData The data defining this break
-   * @returns {IfUnknownBreak} The updated IfUnknownBreak instance
+   * @param {Array<string>} teamIDs The IDs (or references) of the teams taking part
+   * @param {object} options The generator options
+   * @param {number} [options.legs=1] The number of times each team plays each other team; home and away are swapped on alternate legs
+   * @param {boolean} [options.homeAwayBalance=true] Whether to balance the number of home and away matches for each team
+   * @param {string|null} [options.idPrefix=null] The prefix for each match ID, defaulting to the ID of this group
+   * @returns {League} This League instance
+   * @throws {Error} If there are fewer than two teams, a team appears more than once, the number of legs is invalid or a team ID is invalid
    */
-  loadFromData (ifUnknownBreakData) {
-    if (Object.hasOwn(ifUnknownBreakData, 'start')) {
-      this.setStart(ifUnknownBreakData.start);
+  generateRoundRobin (teamIDs, options = {}) {
+    const legs = options.legs ?? 1;
+    const homeAwayBalance = options.homeAwayBalance ?? true;
+    const idPrefix = options.idPrefix ?? this._id;
+
+    if (teamIDs.length < 2) {
+      throw new Error('Invalid round robin: at least two teams are required')
     }
-    if (Object.hasOwn(ifUnknownBreakData, 'date')) {
-      this.setDate(ifUnknownBreakData.date);
+    if (new Set(teamIDs).size !== teamIDs.length) {
+      throw new Error('Invalid round robin: each team must only appear once')
     }
-    if (Object.hasOwn(ifUnknownBreakData, 'duration')) {
-      this.setDuration(ifUnknownBreakData.duration);
+    if (!Number.isInteger(legs) || legs < 1) {
+      throw new Error('Invalid round robin: legs must be a positive integer')
     }
-    if (Object.hasOwn(ifUnknownBreakData, 'name')) {
-      this.setName(ifUnknownBreakData.name);
+
+    const rounds = League.#circleRounds(teamIDs, homeAwayBalance);
+    const matches = [];
+    let matchNumber = 1;
+
+    for (let leg = 0; leg < legs; leg++) {
+      rounds.forEach((round, roundIndex) => {
+        round.pairs.forEach(pair => {
+          const [homeTeamID, awayTeamID] = leg % 2 === 0 ? pair : [pair[1], pair[0]];
+          const match = new GroupMatch$1(this, `${idPrefix}${matchNumber++}`);
+          match.setHomeTeam(new MatchTeam(match, homeTeamID));
+          match.setAwayTeam(new MatchTeam(match, awayTeamID));
+          if (this._matchType === MatchType.CONTINUOUS) {
+            match.setComplete(false);
+          }
+          matches.push(match);
+        });
+        if (round.bye !== null) {
+          const bye = new GroupBreak(this);
+          bye.setName(`Round ${(leg * rounds.length) + roundIndex + 1} bye: ${round.bye}`);
+          matches.push(bye);
+        }
+      });
+    }
+
+    // Check every team ID before adding anything so that an invalid ID does not leave a partial set of matches
+    matches.forEach(match => {
+      if (match instanceof GroupMatch$1) {
+        this._competition.validateTeamID(match.getHomeTeam().getID(), match.getID(), 'homeTeam');
+        this._competition.validateTeamID(match.getAwayTeam().getID(), match.getID(), 'awayTeam');
+      }
+    });
+
+    const addMatches = () => matches.forEach(match => {
+      if (match instanceof GroupBreak) {
+        this.addBreak(match);
+      } else {
+        this.addMatch(match);
+      }
+    });
+    const history = this._competition.getHistory();
+    if (history === null) {
+      addMatches();
+    } else {
+      history.transaction(null, addMatches);
     }
 
     return this
   }
 
   /**
-   * Returns the match break data in a form suitable for serializing
+   * Pairs up the teams for each round using the circle method, where the first team stays fixed and the others rotate around it.
+   * A team's home/away alternation comes from its position in the circle, with the fixed team alternating each round
    *
-   * @returns {object} The serialized break data
+   * @param {Array<string>} teamIDs The IDs of the teams taking part
+   * @param {boolean} homeAwayBalance Whether to balance the number of home and away matches for each team
+   * @returns {Array<{pairs: Array<Array<string>>, bye: string|null}>} The pairings for each round, as [home, away], plus the team with a bye
    */
-  serialize () {
-    const breakData = {
-      type: 'break'
-    };
+  static #circleRounds (teamIDs, homeAwayBalance) {
+    const circle = teamIDs.length % 2 === 0 ? [...teamIDs] : [...teamIDs, null];
+    const rounds = [];
+
+    for (let round = 0; round < circle.length - 1; round++) {
+      const pairs = [];
+      let bye = null;
+      for (let i = 0; i < circle.length / 2; i++) {
+        let home = circle[i];
+        let away = circle[circle.length - 1 - i];
+        if (home === null || away === null) {
+          bye = home ?? away;
+          continue
+        }
+        if (homeAwayBalance && i === 0 && round % 2 === 1) {
+          [home, away] = [away, home];
+        }
+        pairs.push([home, away]);
+      }
+      rounds.push({ pairs, bye });
+      circle.splice(1, 0, circle.pop());
+    }
+
+    return rounds
+  }
+
+  /**
+   * Processes matches to update the league table.
+   *
+   * @returns {void}
+   */
+  processMatches () {
+    if (this._matchesProcessed) {
+      return
+    }
+    this._matchesProcessed = true;
+
+    this.#table = new LeagueTable(this);
+
+    const teamResults = [];
+
+    this._matches.forEach(match => {
+      if (match instanceof GroupBreak || match.isFriendly()) {
+        return
+      }
+
+      const homeTeamID = match.getHomeTeam().getID();
+      const awayTeamID = match.getAwayTeam().getID();
+
+      if (!teamResults[homeTeamID]) {
+        teamResults[homeTeamID] = new LeagueTableEntry(this, homeTeamID, this._competition.getTeam(homeTeamID).getName());
+      }
+
+      if (!teamResults[awayTeamID]) {
+        teamResults[awayTeamID] = new LeagueTableEntry(this, awayTeamID, this._competition.getTeam(awayTeamID).getName());
+      }
+
+      if (match.isComplete()) {
+        // Handle draws
+        if (!match.isDraw()) {
+          teamResults[match.getWinnerTeamID()].setWins(teamResults[match.getWinnerTeamID()].getWins() + 1);
+          teamResults[match.getLoserTeamID()].setLosses(teamResults[match.getLoserTeamID()].getLosses() + 1);
+
+          teamResults[match.getWinnerTeamID()].getH2H()[match.getLoserTeamID()] = (teamResults[match.getWinnerTeamID()].getH2H()[match.getLoserTeamID()] || 0) + 1;
+          teamResults[match.getLoserTeamID()].getH2H()[match.getWinnerTeamID()] = (teamResults[match.getLoserTeamID()].getH2H()[match.getWinnerTeamID()] || 0) - 1;
+        } else {
+          if (!teamResults[homeTeamID].getH2H()[awayTeamID]) {
+            teamResults[homeTeamID].getH2H()[awayTeamID] = 0;
+          }
+          if (!teamResults[awayTeamID].getH2H()[homeTeamID]) {
+            teamResults[awayTeamID].getH2H()[homeTeamID] = 0;
+          }
+        }
+
+        teamResults[homeTeamID].setPlayed(teamResults[homeTeamID].getPlayed() + 1);
+        teamResults[awayTeamID].setPlayed(teamResults[awayTeamID].getPlayed() + 1);
+
+        if (this.#table.hasSets()) {
+          let homeTeamSets = 0;
+          let awayTeamSets = 0;
+          for (let i = 0; i < match.getHomeTeam().getScores().length; i++) {
+            if (match.getHomeTeam().getScores()[i] < this._sets.getMinPoints() && match.getAwayTeam().getScores()[i] < this._sets.getMinPoints()) {
+              continue
+            }
+            teamResults[homeTeamID].setPF(teamResults[homeTeamID].getPF() + match.getHomeTeam().getScores()[i]);
+            teamResults[homeTeamID].setPA(teamResults[homeTeamID].getPA() + match.getAwayTeam().getScores()[i]);
+
+            teamResults[awayTeamID].setPF(teamResults[awayTeamID].getPF() + match.getAwayTeam().getScores()[i]);
+            teamResults[awayTeamID].setPA(teamResults[awayTeamID].getPA() + match.getHomeTeam().getScores()[i]);
+
+            if (match.getHomeTeam().getScores()[i] > match.getAwayTeam().getScores()[i]) {
+              homeTeamSets++;
+            } else if (match.getHomeTeam().getScores()[i] < match.getAwayTeam().getScores()[i]) {
+              awayTeamSets++;
+            }
+          }
+          teamResults[homeTeamID].setSF(teamResults[homeTeamID].getSF() + homeTeamSets);
+          teamResults[homeTeamID].setSA(teamResults[homeTeamID].getSA() + awayTeamSets);
+          teamResults[awayTeamID].setSF(teamResults[awayTeamID].getSF() + awayTeamSets);
+          teamResults[awayTeamID].setSA(teamResults[awayTeamID].getSA() + homeTeamSets);
+
+          teamResults[homeTeamID].setPTS(teamResults[homeTeamID].getPTS() + (this._leagueConfig.getPoints().getPerSet() * homeTeamSets));
+          teamResults[awayTeamID].setPTS(teamResults[awayTeamID].getPTS() + (this._leagueConfig.getPoints().getPerSet() * awayTeamSets));
+          if (match.isDraw()) {
+            teamResults[homeTeamID].setDraws(teamResults[homeTeamID].getDraws() + 1);
+            teamResults[awayTeamID].setDraws(teamResults[awayTeamID].getDraws() + 1);
+          } else {
+            if (Math.abs(homeTeamSets - awayTeamSets) === 1) {
+              teamResults[match.getWinnerTeamID()].setPTS(teamResults[match.getWinnerTeamID()].getPTS() + this._leagueConfig.getPoints().getWinByOne());
+              teamResults[match.getLoserTeamID()].setPTS(teamResults[match.getLoserTeamID()].getPTS() + this._leagueConfig.getPoints().getLoseByOne());
+            } else {
+              teamResults[match.getWinnerTeamID()].setPTS(teamResults[match.getWinnerTeamID()].getPTS() + this._leagueConfig.getPoints().getWin());
+              teamResults[match.getLoserTeamID()].setPTS(teamResults[match.getLoserTeamID()].getPTS() + this._leagueConfig.getPoints().getLose());
+            }
+          }
+        } else {
+          teamResults[homeTeamID].setPF(teamResults[homeTeamID].getPF() + match.getHomeTeam().getScores()[0]);
+          teamResults[homeTeamID].setPA(teamResults[homeTeamID].getPA() + match.getAwayTeam().getScores()[0]);
+
+          teamResults[awayTeamID].setPF(teamResults[awayTeamID].getPF() + match.getAwayTeam().getScores()[0]);
+          teamResults[awayTeamID].setPA(teamResults[awayTeamID].getPA() + match.getHomeTeam().getScores()[0]);
+          if (match.isDraw()) {
+            teamResults[homeTeamID].setDraws(teamResults[homeTeamID].getDraws() + 1);
+            teamResults[awayTeamID].setDraws(teamResults[awayTeamID].getDraws() + 1);
+          } else {
+            teamResults[match.getWinnerTeamID()].setPTS(teamResults[match.getWinnerTeamID()].getPTS() + this._leagueConfig.getPoints().getWin());
+            teamResults[match.getLoserTeamID()].setPTS(teamResults[match.getLoserTeamID()].getPTS() + this._leagueConfig.getPoints().getLose());
+          }
+        }
 
-    if (this.#start !== null) {
-      breakData.start = this.#start;
-    }
-    if (this.#date !== null) {
-      breakData.date = this.#date;
-    }
-    if (this.#duration !== null) {
-      breakData.duration = this.#duration;
-    }
-    if (this.#name !== null) {
-      breakData.name = this.#name;
-    }
+        if (match.getHomeTeam().getForfeit()) {
+          teamResults[homeTeamID].setPTS(teamResults[homeTeamID].getPTS() - this._leagueConfig.getPoints().getForfeit());
+        }
+        if (match.getAwayTeam().getForfeit()) {
+          teamResults[awayTeamID].setPTS(teamResults[awayTeamID].getPTS() - this._leagueConfig.getPoints().getForfeit());
+        }
+        teamResults[homeTeamID].setBP(teamResults[homeTeamID].getBP() + match.getHomeTeam().getBonusPoints());
+        teamResults[homeTeamID].setPP(teamResults[homeTeamID].getPP() + match.getHomeTeam().getPenaltyPoints());
 
-    return breakData
-  }
+        teamResults[awayTeamID].setBP(teamResults[awayTeamID].getBP() + match.getAwayTeam().getBonusPoints());
+        teamResults[awayTeamID].setPP(teamResults[awayTeamID].getPP() + match.getAwayTeam().getPenaltyPoints());
+      }
+    });
 
-  /**
-   * Retrieves the IfUnknown instance this break is associated with
-   *
-   * @returns {IfUnknown} The IfUnknown instance this break is associated with
-   */
-  getIfUnknown () {
-    return this.#ifUnknown
-  }
+    Object.values(teamResults).forEach(teamLine => {
+      teamLine.setPD(teamLine.getPF() - teamLine.getPA());
+      teamLine.setSD(teamLine.getSF() - teamLine.getSA());
+      teamLine.setPTS(teamLine.getPTS() + (teamLine.getPlayed() * this._leagueConfig.getPoints().getPlayed()) + teamLine.getBP() - teamLine.getPP());
+      this.#table.entries.push(teamLine);
+    });
 
-  /**
-   * Sets the start time for this break
-   *
-   * @param {string} start The start time for this break
-   * @returns {IfUnknownBreak} The updated IfUnknownBreak instance
-   * @throws {Error} When an invalid start time format is provided
-   */
-  setStart (start) {
-    if (!/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/.test(start)) {
-      throw new Error(`Invalid start time "${start}": must contain a value of the form "HH:mm" using a 24 hour clock`)
-    }
-    this.#start = start;
-    return this
+    this.#table.entries.sort((a, b) => this.#sortLeagueTable(a, b));
+    this._competition.emit(CompetitionEventType.LEAGUE_TABLE_UPDATED, { group: this, table: this.#table });
   }
 
   /**
-   * Retrieves the start time for this break
+   * Sorts the league table entries based on the configured ordering.
    *
-   * @returns {string|null} The start time for this break
+   * @param {LeagueTableEntry} a The first league table entry to compare
+   * @param {LeagueTableEntry} b The second league table entry to compare
+   * @returns {number} Returns an integer less than, equal to, or greater than zero if the first argument is considered to be respectively less than, equal to, or greater than the second.
    */
-  getStart () {
-    return this.#start
+  #sortLeagueTable (a, b) {
+    const ordering = this._leagueConfig.getOrdering();
+    for (let i = 0; i < ordering.length; i++) {
+      let compareResult = 0;
+      switch (ordering[i]) {
+        case 'PTS':
+          compareResult = League.#compareLeaguePoints(a, b);
+          break
+        case 'WINS':
+          compareResult = League.#compareWins(a, b);
+          break
+        case 'LOSSES':
+          compareResult = League.#compareLosses(a, b);
+          break
+        case 'H2H':
+          compareResult = League.#compareHeadToHead(a, b);
+          break
+        case 'PF':
+          compareResult = League.#comparePointsFor(a, b);
+          break
+        case 'PA':
+          compareResult = League.#comparePointsAgainst(a, b);
+          break
+        case 'PD':
+          compareResult = League.#comparePointsDifference(a, b);
+          break
+        case 'SF':
+          compareResult = League.#compareSetsFor(a, b);
+          break
+        case 'SA':
+          compareResult = League.#compareSetsAgainst(a, b);
+          break
+        case 'SD':
+          compareResult = League.#compareSetsDifference(a, b);
+          break
+        case 'BP':
+          compareResult = League.#compareBonusPoints(a, b);
+          break
+        case 'PP':
+          compareResult = League.#comparePenaltyPoints(a, b);
+          break
+      }
+      if (compareResult !== 0) {
+        return compareResult
+      }
+    }
+    return League.#compareTeamName(a, b)
   }
 
   /**
-   * Sets the date for this break
+   * Compares two LeagueTableEntry objects based on their team names.
    *
-   * @param {string} date The date for this break
-   * @returns {IfUnknownBreak} The updated IfUnknownBreak instance
-   * @throws {Error} When an invalid date format is provided or the date does not exist
+   * @param {LeagueTableEntry} a The first league table entry to compare
+   * @param {LeagueTableEntry} b The second league table entry to compare
+   * @returns {number} Returns an integer less than, equal to, or greater than zero if the team name of the first entry is considered to be respectively less than, equal to, or greater than the team name of the second entry.
    */
-  setDate (date) {
-    if (!/^[0-9]{4}-(0[0-9]|1[0-2])-(0[1-9]|[12][0-9]|3[01])$/.test(date)) {
-      throw new Error(`Invalid date "${date}": must contain a value of the form "YYYY-MM-DD"`)
-    }
-
-    const d = new Date(date);
-    if (`${d.getFullYear()}-${(d.getMonth() + 1).toString().padStart(2, '0')}-${(d.getDate()).toString().padStart(2, '0')}` !== date) {
-      throw new Error(`Invalid date "${date}": date does not exist`)
-    }
-
-    this.#date = date;
-    return this
+  static #compareTeamName (a, b) {
+    return a.getTeam().localeCompare(b.getTeam())
   }
 
   /**
-   * Retrieves the date for this break
+   * Compares two LeagueTableEntry objects based on their league points.
    *
-   * @returns {string|null} The date for this break
+   * @param {LeagueTableEntry} a The first league table entry to compare
+   * @param {LeagueTableEntry} b The second league table entry to compare
+   * @returns {number} Returns an integer less than, equal to, or greater than zero if the team name of the first entry is considered to be respectively less than, equal to, or greater than the team name of the second entry.
    */
-  getDate () {
-    return this.#date
+  static #compareLeaguePoints (a, b) {
+    return b.getPTS() - a.getPTS()
   }
 
   /**
-   * Sets the duration for this break
+   * Compares two LeagueTableEntry objects based on their wins.
    *
-   * @param {string} duration The duration for this break
-   * @returns {IfUnknownBreak} The updated IfUnknownBreak instance
-   * @throws {Error} When an invalid duration format is provided
+   * @param {LeagueTableEntry} a The first league table entry to compare
+   * @param {LeagueTableEntry} b The second league table entry to compare
+   * @returns {number} Returns an integer less than, equal to, or greater than zero if the team name of the first entry is considered to be respectively less than, equal to, or greater than the team name of the second entry.
    */
-  setDuration (duration) {
-    if (!/^[0-9]+:[0-5][0-9]$/.test(duration)) {
-      throw new Error(`Invalid duration "${duration}": must contain a value of the form "HH:mm"`)
-    }
-    this.#duration = duration;
-    return this
+  static #compareWins (a, b) {
+    return b.getWins() - a.getWins()
   }
 
   /**
-   * Retrieves the duration for this break
+   * Compares two LeagueTableEntry objects based on their losses.
    *
-   * @returns {string|null} The duration for this break
+   * @param {LeagueTableEntry} a The first league table entry to compare
+   * @param {LeagueTableEntry} b The second league table entry to compare
+   * @returns {number} Returns an integer less than, equal to, or greater than zero if the team name of the first entry is considered to be respectively less than, equal to, or greater than the team name of the second entry.
    */
-  getDuration () {
-    return this.#duration
+  static #compareLosses (a, b) {
+    return b.getLosses() - a.getLosses()
   }
 
   /**
-   * Sets the name for this break
+   * Compares two LeagueTableEntry objects based on their head to head record.
    *
-   * @param {string} name The name for this break
-   * @returns {IfUnknownBreak} The updated IfUnknownBreak instance
-   * @throws {Error} When the provided name is invalid
+   * @param {LeagueTableEntry} a The first league table entry to compare
+   * @param {LeagueTableEntry} b The second league table entry to compare
+   * @returns {number} Returns an integer less than, equal to, or greater than zero if the team name of the first entry is considered to be respectively less than, equal to, or greater than the team name of the second entry.
    */
-  setName (name) {
-    if (name.length > 1000 || name.length < 1) {
-      throw new Error('Invalid break name: must be between 1 and 1000 characters long')
+  static #compareHeadToHead (a, b) {
+    if (!Object.hasOwn(a.getH2H(), b.getTeamID()) || !Object.hasOwn(b.getH2H(), a.getTeamID())) {
+      return 0
     }
-    this.#name = name;
-    return this
+    return b.getH2H()[a.getTeamID()] - a.getH2H()[b.getTeamID()]
   }
 
   /**
-   * Retrieves the name for this break
+   * Compares two LeagueTableEntry objects based on their points scored.
    *
-   * @returns {string|null} The name for this break
+   * @param {LeagueTableEntry} a The first league table entry to compare
+   * @param {LeagueTableEntry} b The second league table entry to compare
+   * @returns {number} Returns an integer less than, equal to, or greater than zero if the team name of the first entry is considered to be respectively less than, equal to, or greater than the team name of the second entry.
    */
-  getName () {
-    return this.#name
+  static #comparePointsFor (a, b) {
+    return b.getPF() - a.getPF()
   }
-}
-
-/**
- * It can be useful to still present something to the user about the later stages of a competition,
- * even if the teams playing in that stage is not yet known. This defines what should be presented
- * in any application handling this competition's data in such cases.
- */
-class IfUnknown {
-  /**
-   * An array of string values to be presented in the case that the teams in this stage are not yet known, typically as an explanation of what this stage will contain (e.g. 'The crossover games will be between the top two teams in each pool')
-   * @type {array}
-   * @private
-   */
-  #description
-
-  /**
-   * An array of matches in this group (or breaks in play)
-   * @type {array}
-   * @private
-   */
-  #matches
-
-  /**
-   * The Stage this IfUnknown is in
-   * @type {Stage}
-   * @private
-   */
-  #stage
-
-  /**
-   * Whether matches have courts
-   * @type {bool}
-   * @private
-   */
-  #matchesHaveCourts
-
-  /**
-   * Whether matches have dates
-   * @type {bool}
-   * @private
-   */
-  #matchesHaveDates
-
-  /**
-   * Whether matches have durations
-   * @type {bool}
-   * @private
-   */
-  #matchesHaveDurations
 
   /**
-   * Whether matches have MVPs
-   * @type {bool}
-   * @private
+   * Compares two LeagueTableEntry objects based on their points conceded.
+   *
+   * @param {LeagueTableEntry} a The first league table entry to compare
+   * @param {LeagueTableEntry} b The second league table entry to compare
+   * @returns {number} Returns an integer less than, equal to, or greater than zero if the team name of the first entry is considered to be respectively less than, equal to, or greater than the team name of the second entry.
    */
-  #matchesHaveMVPs
+  static #comparePointsAgainst (a, b) {
+    return a.getPA() - b.getPA()
+  }
 
   /**
-   * Whether matches have managers
-   * @type {bool}
-   * @private
+   * Compares two LeagueTableEntry objects based on their points difference.
+   *
+   * @param {LeagueTableEntry} a The first league table entry to compare
+   * @param {LeagueTableEntry} b The second league table entry to compare
+   * @returns {number} Returns an integer less than, equal to, or greater than zero if the team name of the first entry is considered to be respectively less than, equal to, or greater than the team name of the second entry.
    */
-  #matchesHaveManagers
+  static #comparePointsDifference (a, b) {
+    return b.getPD() - a.getPD()
+  }
 
   /**
-   * Whether matches have notes
-   * @type {bool}
-   * @private
+   * Compares two LeagueTableEntry objects based on their sets won.
+   *
+   * @param {LeagueTableEntry} a The first league table entry to compare
+   * @param {LeagueTableEntry} b The second league table entry to compare
+   * @returns {number} Returns an integer less than, equal to, or greater than zero if the team name of the first entry is considered to be respectively less than, equal to, or greater than the team name of the second entry.
    */
-  #matchesHaveNotes
+  static #compareSetsFor (a, b) {
+    return b.getSF() - a.getSF()
+  }
 
   /**
-   * Whether matches have officials
-   * @type {bool}
-   * @private
+   * Compares two LeagueTableEntry objects based on their sets lost.
+   *
+   * @param {LeagueTableEntry} a The first league table entry to compare
+   * @param {LeagueTableEntry} b The second league table entry to compare
+   * @returns {number} Returns an integer less than, equal to, or greater than zero if the team name of the first entry is considered to be respectively less than, equal to, or greater than the team name of the second entry.
    */
-  #matchesHaveOfficials
+  static #compareSetsAgainst (a, b) {
+    return a.getSA() - b.getSA()
+  }
 
   /**
-   * Whether matches have starts
-   * @type {bool}
-   * @private
+   * Compares two LeagueTableEntry objects based on their set difference.
+   *
+   * @param {LeagueTableEntry} a The first league table entry to compare
+   * @param {LeagueTableEntry} b The second league table entry to compare
+   * @returns {number} Returns an integer less than, equal to, or greater than zero if the team name of the first entry is considered to be respectively less than, equal to, or greater than the team name of the second entry.
    */
-  #matchesHaveStarts
+  static #compareSetsDifference (a, b) {
+    return b.getSD() - a.getSD()
+  }
 
   /**
-   * Whether matches have venues
-   * @type {bool}
-   * @private
+   * Compares two LeagueTableEntry objects based on their bonus points.
+   *
+   * @param {LeagueTableEntry} a The first league table entry to compare
+   * @param {LeagueTableEntry} b The second league table entry to compare
+   * @returns {number} Returns an integer less than, equal to, or greater than zero if the team name of the first entry is considered to be respectively less than, equal to, or greater than the team name of the second entry.
    */
-  #matchesHaveVenues
+  static #compareBonusPoints (a, b) {
+    return b.getBP() - a.getBP()
+  }
 
   /**
-   * Whether matches have warmups
-   * @type {bool}
-   * @private
+   * Compares two LeagueTableEntry objects based on their penalty points.
+   *
+   * @param {LeagueTableEntry} a The first league table entry to compare
+   * @param {LeagueTableEntry} b The second league table entry to compare
+   * @returns {number} Returns an integer less than, equal to, or greater than zero if the team name of the first entry is considered to be respectively less than, equal to, or greater than the team name of the second entry.
    */
-  #matchesHaveWarmups
+  static #comparePenaltyPoints (a, b) {
+    return a.getPP() - b.getPP()
+  }
 
   /**
-   * A Lookup table from match IDs to that match
-   * @type {Object}
-   * @private
+   * Gets the league table for this group.
+   *
+   * @throws {Error} If the league table cannot be retrieved
+   * @returns {LeagueTable} The league table
    */
-  #matchLookup
+  getLeagueTable () {
+    this.processMatches();
+    return this.#table
+  }
 
   /**
-   * @param {Stage} stage A link back to the Stage this IfUnknown is in
-   * @param {string[]} description An array of string values to be presented in the case that
-   * the teams in this stage are not yet known
+   * Returns the configuration object for the league.
+   *
+   * @returns {LeagueConfig} The league configuration object
    */
-  constructor (stage, description) {
-    this.#stage = stage;
-    this.#description = description;
-    this.#matches = [];
-    this.#matchesHaveCourts = false;
-    this.#matchesHaveDates = false;
-    this.#matchesHaveDurations = false;
-    this.#matchesHaveMVPs = false;
-    this.#matchesHaveManagers = false;
-    this.#matchesHaveNotes = false;
-    this.#matchesHaveOfficials = false;
-    this.#matchesHaveStarts = false;
-    this.#matchesHaveVenues = false;
-    this.#matchesHaveWarmups = false;
-    this.#matchLookup = {};
+  getLeagueConfig () {
+    return this._leagueConfig
   }
 
   /**
-   * Load data from an object into the IfUnknown instance
-   *
-   * @param {object} ifUnknownData The data defining this IfUnknown
-   * @returns {IfUnknown} The IfUnknown instance
-   */
-  loadFromData (ifUnknownData) {
-    ifUnknownData.matches.forEach(match => {
-      if (match.type === 'match') {
-        const newMatch = new IfUnknownMatch(this, match.id);
-        newMatch.loadFromData(match);
-        this.addMatch(newMatch);
-      } else if (match.type === 'break') {
-        this.addBreak((new IfUnknownBreak(this)).loadFromData(match));
+   * Work out which final positions each team in the league table can still finish in, given the matches left to play.  A team's
+   * highest and lowest possible positions come from the most and fewest league points (or wins, when the table is ordered by wins first)
+   * that each team can still get.  Teams that could finish level are left to the tie-breakers, which cannot be known until the matches
+   * are played, so a position that depends on a tie-break is undetermined rather than guaranteed or impossible.  When the table is
+   * ordered by anything else first, every position is undetermined until the league is complete.
+   *
+   * Each team's range is worked out on its own, so when two teams still have to play each other both are assumed to be able to win that
+   * match.  The positions are therefore a conservative range: a position reported as guaranteed or impossible always is, but a position
+   * reported as undetermined may already be settled by the matches the teams have in common.  Points lost by forfeiting are taken into
+   * account.  Bonus and penalty points have no limit, so once any team in the league has been given bonus points, a team with matches
+   * left to play is taken to be able to get any number of points from them, and once any team has been given penalty points, to be able
+   * to lose any number.  Until then the league is taken not to award them, and the positions only hold if it does not
+   *
+   * @returns {Array<{entry: LeagueTableEntry, highest: number, lowest: number, positions: Array<string>}>} For each entry in the league
+   *          table, in table order, the highest and lowest positions it is not ruled out of finishing in, where 1 is the top of the
+   *          table, and a ClinchStatus for finishing in each position, indexed by position so that index 0 is the top of the table
+   */
+  getClinchStatus () {
+    const entries = this.getLeagueTable().entries;
+    const remaining = this._matches.filter(match => match instanceof GroupMatch$1 && !match.isFriendly() && !match.isComplete());
+    const bounds = this.#finalValueBounds(entries, remaining);
+
+    return entries.map((entry, i) => {
+      let highest = i + 1;
+      let lowest = i + 1;
+      if (remaining.length > 0) {
+        const { min, max } = bounds[entry.getTeamID()];
+        const others = entries.filter(other => other !== entry).map(other => bounds[other.getTeamID()]);
+        highest = 1 + others.filter(other => other.min > max).length;
+        lowest = entries.length - others.filter(other => other.max < min).length;
       }
-    });
-    return this
+      return {
+        entry,
+        highest,
+        lowest,
+        positions: entries.map((_, position) => League.#rangeStatus(highest, lowest, position + 1, position + 1))
+      }
+    })
   }
 
   /**
-   * Return the "ifUnknown" data in a form suitable for serializing
+   * Check whether a team is certain to finish within a range of positions, e.g. in the top two for promotion.  See getClinchStatus()
+   * for how the possible positions are worked out
    *
-   * @returns {object} The serialized IfUnknown data
+   * @param {string} teamID The ID of the team to check
+   * @param {number} from The highest position in the range, where 1 is the top of the table
+   * @param {number} to The lowest position in the range
+   * @returns {string} The ClinchStatus for the team finishing within the range
+   * @throws {Error} If the team is not in the league table, or the range is not valid
    */
-  serialize () {
-    const ifUnknown = {
-      description: this.#description,
-      matches: []
-    };
-    this.#matches.forEach(match => [
-      ifUnknown.matches.push(match.serialize())
-    ]);
-    return ifUnknown
+  getClinchStatusForRange (teamID, from, to) {
+    const clinchStatus = this.getClinchStatus();
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < from || to > clinchStatus.length) {
+      throw new Error(`Invalid position range ${from} to ${to}: positions must be integers from 1 to ${clinchStatus.length}, with the first no lower than the second`)
+    }
+    const teamStatus = clinchStatus.find(status => status.entry.getTeamID() === teamID);
+    if (teamStatus === undefined) {
+      throw new Error(`Team with ID ${teamID} not found in the league table`)
+    }
+    return League.#rangeStatus(teamStatus.highest, teamStatus.lowest, from, to)
   }
 
   /**
-   * Get the stage this IfUnknown belongs to
+   * Work out the lowest and highest value that each team could finish with for the first ordering in the league config.  Only league
+   * points and wins can be bounded, so any other ordering gives each team an unbounded range
    *
-   * @returns {Stage} The Stage instance
+   * @param {Array<LeagueTableEntry>} entries The entries in the league table
+   * @param {Array<GroupMatch>} remaining The matches that still count towards the league table but are not complete
+   * @returns {object} The range of final values, keyed by team ID, with each value of the form {min: number, max: number}
+   * @private
    */
-  getStage () {
-    return this.#stage
+  #finalValueBounds (entries, remaining) {
+    const ordering = this._leagueConfig.getOrdering()[0];
+    let perMatch = { min: -Infinity, max: Infinity };
+    if (ordering === 'PTS') {
+      perMatch = this.#matchPointsRange();
+      const matchTeams = this._matches.filter(match => match instanceof GroupMatch$1).flatMap(match => [match.getHomeTeam(), match.getAwayTeam()]);
+      if (matchTeams.some(matchTeam => matchTeam.getBonusPoints() > 0)) {
+        perMatch.max = Infinity;
+      }
+      if (matchTeams.some(matchTeam => matchTeam.getPenaltyPoints() > 0)) {
+        perMatch.min = -Infinity;
+      }
+    } else if (ordering === 'WINS') {
+      perMatch = { min: 0, max: 1 };
+    }
+
+    const bounds = {};
+    entries.forEach(entry => {
+      let value = 0;
+      if (ordering === 'PTS') {
+        value = entry.getPTS();
+      } else if (ordering === 'WINS') {
+        value = entry.getWins();
+      }
+      bounds[entry.getTeamID()] = { min: value, max: value };
+    });
+
+    remaining.forEach(match => {
+      [match.getHomeTeam().getID(), match.getAwayTeam().getID()].forEach(teamID => {
+        bounds[teamID].min += perMatch.min;
+        bounds[teamID].max += perMatch.max;
+      });
+    });
+
+    return bounds
   }
 
   /**
-   * Get the competition this IfUnknown belongs to
+   * Work out the fewest and most league points that a team can get from a single match, including matches ending early because they
+   * have a time limit, and a forfeit
    *
-   * @returns {Competition} The Competition instance
+   * @returns {{min: number, max: number}} The fewest and most league points a team can get from a match
+   * @private
    */
-  getCompetition () {
-    return this.#stage.getCompetition()
+  #matchPointsRange () {
+    const points = this._leagueConfig.getPoints();
+    const outcomes = [];
+
+    if (this._matchType === MatchType.CONTINUOUS) {
+      outcomes.push(points.getWin(), points.getLose());
+      if (this._drawsAllowed) {
+        outcomes.push(0);
+      }
+    } else {
+      const setsToWin = this._sets.getSetsToWin();
+      for (let won = 0; won <= setsToWin; won++) {
+        for (let lost = 0; lost <= setsToWin; lost++) {
+          if (won + lost === 0 || won + lost > this._sets.getMaxSets() || (won === lost && !this._drawsAllowed)) {
+            continue
+          }
+          let resultPoints = 0;
+          if (won - lost === 1) {
+            resultPoints = points.getWinByOne();
+          } else if (won > lost) {
+            resultPoints = points.getWin();
+          } else if (lost - won === 1) {
+            resultPoints = points.getLoseByOne();
+          } else if (lost > won) {
+            resultPoints = points.getLose();
+          }
+          outcomes.push((points.getPerSet() * won) + resultPoints);
+        }
+      }
+    }
+
+    return {
+      min: Math.min(...outcomes) + points.getPlayed() - points.getForfeit(),
+      max: Math.max(...outcomes) + points.getPlayed()
+    }
   }
 
   /**
-   * Get the description of this IfUnknown
+   * Get the status of a team finishing within a range of positions, given the highest and lowest positions it could finish in
    *
-   * @returns {string[]} The description array
+   * @param {number} highest The highest position the team could finish in
+   * @param {number} lowest The lowest position the team could finish in
+   * @param {number} from The highest position in the range
+   * @param {number} to The lowest position in the range
+   * @returns {string} The ClinchStatus for the team finishing within the range
+   * @private
    */
-  getDescription () {
-    return this.#description
+  static #rangeStatus (highest, lowest, from, to) {
+    if (highest >= from && lowest <= to) {
+      return ClinchStatus.GUARANTEED
+    }
+    if (highest > to || lowest < from) {
+      return ClinchStatus.IMPOSSIBLE
+    }
+    return ClinchStatus.UNDETERMINED
   }
 
   /**
-   * Add a match to this IfUnknown
+   * Gets the team by ID based on the type of entity.
    *
-   * @param {IfUnknownMatch} match The match to add
-   * @returns {IfUnknown} The IfUnknown instance
+   * @param {string} type The type part of the team reference ('MATCH-ID' or 'league')
+   * @param {string} entity The entity (e.g., 'winner' or 'loser')
+   * @returns {CompetitionTeam} The CompetitionTeam instance
+   * @throws {Error} If the entity is invalid
    */
-  addMatch (match) {
-    this.#matches.push(match);
-    this.#matchLookup[match.getID()] = match;
-    if (match.getCourt() !== null) {
-      this.#matchesHaveCourts = true;
-    }
-    if (match.getDate() !== null) {
-      this.#matchesHaveDates = true;
-    }
-    if (match.getDuration() !== null) {
-      this.#matchesHaveDurations = true;
-    }
-    if (match.getMVP() !== null) {
-      this.#matchesHaveMVPs = true;
-    }
-    if (match.getManager() !== null) {
-      this.#matchesHaveManagers = true;
-    }
-    if (match.getNotes() !== null) {
-      this.#matchesHaveNotes = true;
-    }
-    if (match.getOfficials() !== null) {
-      this.#matchesHaveOfficials = true;
-    }
-    if (match.getStart() !== null) {
-      this.#matchesHaveStarts = true;
-    }
-    if (match.getVenue() !== null) {
-      this.#matchesHaveVenues = true;
+  getTeam (type, entity) {
+    if (type === 'league') {
+      this.processMatches();
+      if (!this.isComplete()) {
+        throw new Error('Cannot get the team in a league position on an incomplete league')
+      }
+      if (parseInt(entity) > this.#table.entries.length) {
+        throw new Error('Invalid League position: position is bigger than the number of teams')
+      }
+      return this._competition.getTeam(this.#table.entries[parseInt(entity) - 1].getTeamID())
     }
-    if (match.getWarmup() !== null) {
-      this.#matchesHaveWarmups = true;
+
+    const match = this.getMatch(type);
+
+    switch (entity) {
+      case 'winner':
+        return this._competition.getTeam(match.getWinnerTeamID())
+      case 'loser':
+        return this._competition.getTeam(match.getLoserTeamID())
+      default:
+        throw new Error(`Invalid entity "${entity}" in team reference`)
     }
-    return this
   }
+}
+
+/**
+ * A single competition stage.
+ */
+class Stage {
+  /**
+   * A unique ID for this stage, e.g., 'LG'
+   * @type {string}
+   * @private
+   **/
+  #id
+
+  /**
+   * Descriptive title for the stage, e.g., 'Pools'
+   * @type {string|null}
+   * @private
+   **/
+  #name
 
   /**
-   * Add a break to this IfUnknown
-   *
-   * @param {IfUnknownBreak} break The break to add
-   * @returns {IfUnknown} The IfUnknown instance
-   */
-  addBreak (breakObj) {
-    this.#matches.push(breakObj);
-    return this
-  }
+   * Free form string to add notes about this stage.
+   * @type {string|null}
+   * @private
+   **/
+  #notes
 
   /**
-   * Get the matches in this IfUnknown
-   *
-   * @returns {Array} Array of matches
-   */
-  getMatches () {
-    return this.#matches
-  }
+   * Verbose text describing the nature of the stage.
+   * @type {array|null}
+   * @private
+   **/
+  #description
 
   /**
-   * Check if a match with the given ID exists in this IfUnknown
-   *
-   * @param {mixed} id The ID of the match
-   * @returns {boolean} True if match exists, false otherwise
-   */
-  hasMatch (id) {
-    return Object.hasOwn(this.#matchLookup, id)
-  }
+   * The groups within a stage of the competition.
+   * @type {array<Group>}
+   * @private
+   **/
+  #groups
 
   /**
-   * Get the IDs of the teams in this IfUnknown
-   *
-   * @returns {Array} Array of team IDs
-   */
-  getTeamIDs () {
-    return []
-  }
+   * It can be useful to still present something to the user about the later stages of a competition, even if the teams playing in that stage are not yet known.
+   * @type ?{object}
+   * @private
+   **/
+  #ifUnknown
 
   /**
-   * Get the match type of this IfUnknown
-   *
-   * @returns {MatchType} The match type
-   */
-  getMatchType () {
-    return MatchType.CONTINUOUS
-  }
+   * The Competition this Stage is in
+   * @type {Competition}
+   * @private
+   **/
+  #competition
 
   /**
-   * Get the match with the specified ID
-   *
-   * @param {string} id The ID of the match
-   * @returns {IfUnknownMatch} The requested match
-   * @throws {OutOfBoundsException} When the match with the specified ID is not found
-   */
-  getMatch (id) {
-    if (Object.hasOwn(this.#matchLookup, id)) {
-      return this.#matchLookup[id]
-    }
-    throw new Error(`Match with ID ${id} not found`)
-  }
+   * All of the matches in all of the group in this stage
+   * @type {array<MatchInterface|BreakInterface>}
+   * @private
+   **/
+  #allMatches
 
   /**
-   * Check if matches have courts
-   *
-   * @returns {boolean} True if matches have courts, false otherwise
-   */
-  matchesHaveCourts () {
-    return this.#matchesHaveCourts
-  }
+   * A Lookup table from group IDs to the group
+   * @type {object}
+   * @private
+   **/
+  #groupLookup
 
   /**
-   * Check if matches have dates
-   *
-   * @returns {boolean} True if matches have dates, false otherwise
-   */
-  matchesHaveDates () {
-    return this.#matchesHaveDates
-  }
+   * A lookup table for listing stage:group:team lookups
+   * @type {array}
+   * @private
+   **/
+  #teamStgGrpLookup
 
   /**
-   * Check if matches have durations
-   *
-   * @returns {boolean} True if matches have durations, false otherwise
+   * @param {Competition} competition A link back to the Competition this Stage is in
+   * @param {string} id The unique ID of this Stage
+   * @throws {Error} If the stage ID is invalid or already exists in the competition
    */
-  matchesHaveDurations () {
-    return this.#matchesHaveDurations
-  }
+  constructor (competition, id) {
+    if (id.length > 100 || id.length < 1) {
+      throw new Error('Invalid stage ID: must be between 1 and 100 characters long')
+    }
 
-  /**
-   * Check if matches have managers
-   *
-   * @returns {boolean} True if matches have managers, false otherwise
-   */
-  matchesHaveManagers () {
-    return this.#matchesHaveManagers
+    if (!/^((?![":{}?=])[\x20-\x7F])+$/.test(id)) {
+      throw new Error('Invalid stage ID: must contain only ASCII printable characters excluding " : { } ? =')
+    }
+
+    if (competition.hasStage(id)) {
+      throw new Error(`Stage with ID "${id}" already exists in the competition`)
+    }
+
+    this.#competition = competition;
+    this.#id = id;
+    this.#name = null;
+    this.#notes = null;
+    this.#description = null;
+    this.#groups = [];
+    this.#ifUnknown = null;
+    this.#allMatches = null;
+    this.#groupLookup = {};
+    this.#teamStgGrpLookup = null;
   }
 
   /**
-   * Check if matches have MVPs
+   * Load stage data from an object.
    *
-   * @returns {boolean} True if matches have MVPs, false otherwise
+   * @param {object} stageData The stage data
+   * @returns {Stage} The updated Stage object
    */
-  matchesHaveMVPs () {
-    return this.#matchesHaveMVPs
+  loadFromData (stageData) {
+    if (Object.hasOwn(stageData, 'name')) {
+      this.setName(stageData.name);
+    }
+
+    if (Object.hasOwn(stageData, 'notes')) {
+      this.setNotes(stageData.notes);
+    }
+
+    if (Object.hasOwn(stageData, 'description')) {
+      this.setDescription(stageData.description);
+    }
+
+    stageData.groups.forEach((groupData, i) => {
+      let group;
+      switch (groupData.type) {
+        case 'crossover':
+          group = new Crossover(this, groupData.id, groupData.matchType === 'continuous' ? MatchType.CONTINUOUS : MatchType.SETS);
+          break
+        case 'knockout':
+          group = new Knockout(this, groupData.id, groupData.matchType === 'continuous' ? MatchType.CONTINUOUS : MatchType.SETS);
+          break
+        case 'league':
+          group = new League(this, groupData.id, groupData.matchType === 'continuous' ? MatchType.CONTINUOUS : MatchType.SETS, groupData.drawsAllowed);
+          break
+      }
+      try {
+        this.addGroup(group);
+        group.loadFromData(groupData);
+      } catch (err) {
+        throw CompetitionValidationError.fromError(err, `/groups/${i}`, groupData)
+      }
+    });
+
+    if (Object.hasOwn(stageData, 'ifUnknown')) {
+      try {
+        this.setIfUnknown(new IfUnknown(this, stageData.ifUnknown.description)).loadFromData(stageData.ifUnknown);
+      } catch (err) {
+        throw CompetitionValidationError.fromError(err, '/ifUnknown', stageData.ifUnknown)
+      }
+    }
+
+    return this
   }
 
   /**
-   * Check if matches have notes
+   * Return the stage data in a form suitable for serializing
    *
-   * @returns {boolean} True if matches have notes, false otherwise
+   * @returns {object}
    */
-  matchesHaveNotes () {
-    return this.#matchesHaveNotes
+  serialize () {
+    const stage = {
+      id: this.#id
+    };
+
+    if (this.#name !== null) {
+      stage.name = this.#name;
+    }
+
+    if (this.#notes !== null) {
+      stage.notes = this.#notes;
+    }
+
+    if (this.#description !== null) {
+      stage.description = this.#description;
+    }
+
+    stage.groups = [];
+    this.#groups.forEach(group => {
+      stage.groups.push(group.serialize());
+    });
+
+    if (this.#ifUnknown !== null) {
+      stage.ifUnknown = this.#ifUnknown.serialize();
+    }
+
+    return stage
   }
 
   /**
-   * Check if matches have officials
+   * Check whether this stage is structurally equal to another, i.e. whether they would serialize to the same data
    *
-   * @returns {boolean} True if matches have officials, false otherwise
+   * @param {Stage} other The stage to compare with
+   * @returns {boolean} Whether the stages are equal
    */
-  matchesHaveOfficials () {
-    return this.#matchesHaveOfficials
+  equals (other) {
+    return other instanceof Stage && JSON.stringify(this.serialize()) === JSON.stringify(other.serialize())
   }
 
   /**
-   * Check if matches have starts
+   * Get the competition this stage is in.
    *
-   * @returns {boolean} True if matches have starts, false otherwise
+   * @returns {Competition} The competition this stage is in
    */
-  matchesHaveStarts () {
-    return this.#matchesHaveStarts
+  getCompetition () {
+    return this.#competition
   }
 
   /**
-   * Check if matches have venues
+   * Get the ID for this stage.
    *
-   * @returns {boolean} True if matches have venues, false otherwise
+   * @returns {string} The ID for this stage
    */
-  matchesHaveVenues () {
-    return this.#matchesHaveVenues
+  getID () {
+    return this.#id
   }
 
   /**
-   * Check if matches have warmups
+   * Add a group to the stage.
    *
-   * @returns {boolean} True if matches have warmups, false otherwise
+   * @param {Group} group The group to add
+   * @returns {Stage} The updated Stage object
+   * @throws {Error} If the group ID already exists in the stage or the group was initialized with a different Stage
    */
-  matchesHaveWarmups () {
-    return this.#matchesHaveWarmups
+  addGroup (group) {
+    if (group.getStage() !== this) {
+      throw new Error('Group was initialised with a different Stage')
+    }
+    if (this.hasGroup(group.getID())) {
+      throw new Error(`Groups in a Stage with duplicate IDs not allowed: {${this.#id}:${group.getID()}}`)
+    }
+    return this.#record(() => {
+      this.#groups.push(group);
+      try {
+        this.checkMatches();
+      } catch (error) {
+        this.#groups.pop(group);
+        throw error
+      }
+      this.#groupLookup[group.getID()] = group;
+      return this
+    })
   }
 
   /**
-   * Get the ID of this IfUnknown. Since IfUnknown blocks don't have a unique id,
-   * this is always the string "unknown"
+   * Get the groups as an array.
    *
-   * @returns {string} The ID of this IfUnknown
+   * @returns {Array<Group>} The array of Groups
    */
-  getID () {
-    return 'unknown'
+  getGroups () {
+    return this.#groups
   }
-}
 
-/**
- * A group within this stage of the competition.  A knockout expects to generate an order of teams based on team elimination
- */
-class Knockout extends Group$1 {
   /**
-   * Contains the group data of a stage, creating any metadata needed
+   * Get the name for this group.
    *
-   * @param {Stage} stage A link back to the Stage this Group is in
-   * @param {string} id The unique ID of this Group
-   * @param {MatchType} matchType Whether matches are continuous or played to sets
+   * @returns {string|null} The name for this group
    */
-  constructor (stage, id, matchType) {
-    super(stage, id, matchType);
-    this._type = GroupType.KNOCKOUT;
-    this._drawsAllowed = false;
+  getName () {
+    return this.#name
   }
 
   /**
-   * Get the knockout config for this group
+   * Set the stage name.
    *
-   * @returns {KnockoutConfig|null} the knockout config for this group
+   * @param {string|null} name The new name for the stage
    */
-  getKnockoutConfig () {
-    return this._knockoutConfig
+  setName (name) {
+    this.#record(() => {
+      this.#name = name;
+    });
   }
-}
-
-/**
- * Represents a league table for a competition.
-*/
-class LeagueTable {
-  static ORDERING_LEAGUE_POINTS = 'PTS'
-  static ORDERING_WINS = 'WINS'
-  static ORDERING_LOSSES = 'LOSSES'
-  static ORDERING_HEAD_TO_HEAD = 'H2H'
-  static ORDERING_POINTS_FOR = 'PF'
-  static ORDERING_POINTS_AGAINST = 'PA'
-  static ORDERING_POINTS_DIFFERENCE = 'PD'
-  static ORDERING_SETS_FOR = 'SF'
-  static ORDERING_SETS_AGAINST = 'SA'
-  static ORDERING_SETS_DIFFERENCE = 'SD'
-  static ORDERING_BONUS_POINTS = 'BP'
-  static ORDERING_PENALTY_POINTS = 'PP'
 
   /**
-   * An array of entries in the league table
-   * @type {array}
-   * @private
+   * Get the notes for this group.
+   *
+   * @returns {string|null} The notes for this group
    */
-  entries = []
+  getNotes () {
+    return this.#notes
+  }
 
   /**
-   * The league associated with this table
-   * @type {League}
-   * @private
+   * Set the notes for this stage.
+   *
+   * @param {string|null} notes The notes for this stage
    */
-  #league
+  setNotes (notes) {
+    this.#record(() => {
+      this.#notes = notes;
+    });
+  }
 
   /**
-   * Indicates if draws are allowed in the league
-   * @type {bool}
-   * @private
+   * Get the description for this stage.
+   *
+   * @returns {Array<string>|null} The description for this stage
    */
-  #hasDraws
+  getDescription () {
+    return this.#description
+  }
 
   /**
-   * Indicates if the league uses sets
-   * @type {bool}
-   * @private
+   * Set the description for this stage.
+   *
+   * @param {Array<string>|null} description The description for this stage
    */
-  #hasSets
+  setDescription (description) {
+    this.#record(() => {
+      this.#description = description;
+    });
+  }
 
   /**
-   * The ordering criteria for the league table
-   * @type {array}
-   * @private
+   * Get the IfUnknown object for this stage.
+   *
+   * @returns {IfUnknown|null} The IfUnknown object for this stage
    */
-  #ordering
+  getIfUnknown () {
+    return this.#ifUnknown
+  }
 
   /**
-   * Constructs a new LeagueTable instance.
+   * Set the IfUnknown object for this stage.
    *
-   * @param {League} league The league associated with this table
+   * @param {IfUnknown|null} ifUnknown The IfUnknown object for this stage
    */
-  constructor (league) {
-    this.#league = league;
-    this.#hasDraws = league.getDrawsAllowed();
-    this.#hasSets = league.getMatchType() === MatchType.SETS;
-    this.#ordering = league.getLeagueConfig().getOrdering();
+  setIfUnknown (ifUnknown) {
+    return this.#record(() => {
+      this.#ifUnknown = ifUnknown;
+      return ifUnknown
+    })
   }
 
   /**
-   * Get the league associated with this table.
+   * Check if matches in groups of the same stage contain duplicate teams.
    *
-   * @returns {League} The league associated with this table
+   * @throws {Error} If duplicate teams are found in groups of the same stage
    */
-  getLeague () {
-    return this.#league
+  checkMatches () {
+    for (let i = 0; i < this.#groups.length - 1; i++) {
+      const thisGroupsTeamIDs = this.#groups[i].getTeamIDs(Competition$1.VBC_TEAMS_PLAYING);
+      for (let j = i + 1; j < this.#groups.length; j++) {
+        const thatGroupsTeamIDs = this.#groups[j].getTeamIDs(Competition$1.VBC_TEAMS_PLAYING);
+        const intersectingIDs = thisGroupsTeamIDs.filter(id => thatGroupsTeamIDs.includes(id));
+        if (intersectingIDs.length > 0) {
+          throw new Error('Groups in the same stage cannot contain the same team. Groups {' +
+                  `${this.#id}:${this.#groups[i].getID()}} and {${this.#id}:${this.#groups[j].getID()}} both contain ` +
+                  `the following team IDs: "${intersectingIDs.join('", "')}"`)
+        }
+      }
+    }
   }
 
   /**
-   * Get the text representation of the ordering criteria for the league table.
+   * Returns a list of matches from this Stage, where the list depends on the input parameters and on the type of the MatchContainer.
    *
-   * @returns {string} The text representation of the ordering criteria
+   * @param {string} id When provided, return the matches where this team is playing, otherwise all matches are returned
+   *                        (and flags is ignored).  This must be a resolved team ID and not a reference.
+   *                        A team ID of CompetitionTeam.UNKNOWN_TEAM_ID is interpreted as null
+   * @param {number} flags Controls what gets returned
+   *                   <ul>
+   *                     <li><code>Competition.VBC_MATCH_ALL_IN_GROUP</code> - If a team plays any matches in a group then include all matches from that group</li>
+   *                     <li><code>Competition.VBC_MATCH_PLAYING</code> - Include matches that a team plays in</li>
+   *                     <li><code>Competition.VBC_MATCH_OFFICIATING</code> - Include matches that a team officiates in</li>
+   *                   </ul>
+   * @returns {array<MatchInterface>}
    */
-  getOrderingText () {
-    let orderingText = `Position is decided by ${LeagueTable.#mapOrderingToString(this.#ordering[0])}`;
-    for (let i = 1; i < this.#ordering.length; i++) {
-      orderingText += `, then ${LeagueTable.#mapOrderingToString(this.#ordering[i])}`;
+  getMatches (id = null, flags = 0) {
+    /*
+      TODO when should we include breaks?
+      TODO how do we handle duplicate breaks?
+    */
+
+    if (id === null || id === CompetitionTeam.UNKNOWN_TEAM_ID || id.startsWith('{')) {
+      return this.#getAllMatchesInStage()
     }
-    return orderingText
+
+    return this.#getMatchesForTeam(id, flags)
   }
 
   /**
-   * Maps ordering string to human-readable format.
+   * Returns a list of teams from this match container
    *
-   * @param {string} orderingString The ordering string to map
-   * @returns {string} The human-readable representation of the ordering string
+   * @param {int} flags Controls what gets returned (MAYBE overrides KNOWN overrides FIXED_ID)
+   *                   <ul>
+   *                     <li><code>Competition.VBC_TEAMS_FIXED_ID</code> (default) returns teams with a defined team ID (no references)</li>
+   *                     <li><code>Competition.VBC_TEAMS_KNOWN</code> returns teams that are known (references that are resolved)</li>
+   *                     <li><code>Competition.VBC_TEAMS_MAYBE</code> returns teams that might be in this container (references that may resolve to a team)</li>
+   *                     <li><code>Competition.VBC_TEAMS_ALL</code> returns all team IDs, including unresolved references</li>
+   *                   </ul>
+   * @returns {Array<string>} All team IDs participating in this stage
    */
-  static #mapOrderingToString (orderingString) {
-    switch (orderingString) {
-      case LeagueTable.ORDERING_LEAGUE_POINTS:
-        return 'points'
-      case LeagueTable.ORDERING_WINS:
-        return 'wins'
-      case LeagueTable.ORDERING_LOSSES:
-        return 'losses'
-      case LeagueTable.ORDERING_HEAD_TO_HEAD:
-        return 'head-to-head'
-      case LeagueTable.ORDERING_POINTS_FOR:
-        return 'points for'
-      case LeagueTable.ORDERING_POINTS_AGAINST:
-        return 'points against'
-      case LeagueTable.ORDERING_POINTS_DIFFERENCE:
-        return 'points difference'
-      case LeagueTable.ORDERING_SETS_FOR:
-        return 'sets for'
-      case LeagueTable.ORDERING_SETS_AGAINST:
-        return 'sets against'
-      case LeagueTable.ORDERING_SETS_DIFFERENCE:
-        return 'sets difference'
-      case LeagueTable.ORDERING_BONUS_POINTS:
-        return 'bonus points'
-      case LeagueTable.ORDERING_PENALTY_POINTS:
-        return 'penalty points'
-    }
+  getTeamIDs (flags = Competition$1.VBC_TEAMS_FIXED_ID) {
+    let teamIDs = [];
+
+    this.#groups.forEach(group => {
+      teamIDs = teamIDs.concat(group.getTeamIDs(flags));
+    });
+
+    return [...new Set(teamIDs)]
   }
 
   /**
-   * Get the text representation of the scoring system used in the league.
+   * Get all matches in this stage.
    *
-   * @returns {string} The text representation of the league's scoring system
+   * @returns {Array} All matches in this stage
    */
-  getScoringText () {
-    const textBuilder = (points, action) => {
-      if (points === 1) {
-        return `1 point per ${action}, `
-      } else {
-        return `${points} points per ${action}, `
-      }
-    };
-
-    const leagueConfig = this.#league.getLeagueConfig().getPoints();
-    let scoringText = 'Teams win ';
-    if (leagueConfig.getPlayed() !== 0) {
-      scoringText += textBuilder(leagueConfig.getPlayed(), 'played');
-    }
-    if (leagueConfig.getWin() !== 0) {
-      scoringText += textBuilder(leagueConfig.getWin(), 'win');
-    }
-    if (leagueConfig.getPerSet() !== 0) {
-      scoringText += textBuilder(leagueConfig.getPerSet(), 'set');
-    }
-    if (leagueConfig.getWinByOne() !== 0 && leagueConfig.getWin() !== leagueConfig.getWinByOne()) {
-      scoringText += textBuilder(leagueConfig.getWinByOne(), 'win by one set');
-    }
-    if (leagueConfig.getLose() !== 0) {
-      scoringText += textBuilder(leagueConfig.getLose(), 'loss');
-    }
-    if (leagueConfig.getLoseByOne() !== 0 && leagueConfig.getWin() !== leagueConfig.getLoseByOne()) {
-      scoringText += textBuilder(leagueConfig.getLoseByOne(), 'loss by one set');
-    }
-    if (leagueConfig.getForfeit() !== 0) {
-      scoringText += textBuilder(leagueConfig.getForfeit(), 'forfeited match');
-    }
-    if (scoringText.length < 12) {
-      // Everything is zero; weird but possible
-      return ''
+  #getAllMatchesInStage () {
+    if (Array.isArray(this.#allMatches)) {
+      return this.#allMatches
     }
-    return scoringText.slice(0, -2).replace(/(.*), ([^,]*)/, '$1 and $2')
+
+    this.#allMatches = [];
+    this.#groups.forEach(group => {
+      this.#allMatches = this.#allMatches.concat(group.getMatches());
+    });
+    this.#allMatches.sort((a, b) => {
+      // Both GroupBreak and GroupMatch may have "start" and may have "date", or may have neither
+      const aDate = a.getDate() === null ? '2023-02-12' : a.getDate();
+      const bDate = b.getDate() === null ? '2023-02-12' : b.getDate();
+      const aStart = a.getStart() === null ? '10:00' : a.getStart();
+      const bStart = b.getStart() === null ? '10:00' : b.getStart();
+
+      return `${aDate}${aStart}`.localeCompare(`${bDate}${bStart}`)
+    });
+
+    return this.#allMatches
   }
 
   /**
-   * Checks if draws are allowed in the league.
+   * Return the group in this stage with the given ID.
    *
-   * @returns {boolean} True if draws are allowed, false otherwise
+   * @param {string} id The ID of the group to get
+   * @throws {Error} If the group with the given ID is not found
+   * @returns {Group} The Group object if found, null otherwise
    */
-  hasDraws () {
-    return this.#hasDraws
+  getGroup (id) {
+    if (!Object.hasOwn(this.#groupLookup, id)) {
+      throw new Error(`Group with ID ${id} not found in stage with ID ${this.#id}`)
+    }
+    return this.#groupLookup[id]
   }
 
   /**
-   * Checks if the league uses sets.
+   * Check if a group with a given ID exists in this stage.
    *
-   * @returns {boolean} True if the league uses sets, false otherwise
+   * @param {string} id The ID to check
+   * @returns {boolean} True if the group exists, false otherwise
    */
-  hasSets () {
-    return this.#hasSets
+  hasGroup (id) {
+    return Object.hasOwn(this.#groupLookup, id)
   }
 
   /**
-   * Get the group ID associated with this league table.
-   *
-   * @returns {string} The group ID associated with this league table
-   */
-  getGroupID () {
-    return this.#league.getID()
+     * Delete a group from the stage
+     *
+     * @param string $id The ID of the group to delete
+     *
+     * @return Stage This stage
+     */
+  deleteGroup (id) {
+    let stageFound = false;
+    let groupFound = false;
+    this.#competition.getStages().forEach(stage => {
+      // Loop through all the stages until we find this stage
+      stageFound = stageFound || (stage.getID() === this.#id);
+      if (!stageFound) {
+        return
+      }
+
+      stage.getGroups().forEach(group => {
+        // Loop through all of the groups until we find this group, but skip this group
+        if (!groupFound) {
+          groupFound = groupFound || (group.getID() === id);
+          return
+        }
+
+        group.getMatches().forEach(match => {
+          let teamReferences = [];
+          teamReferences = teamReferences.concat(this.#stripTeamReferences(match.getHomeTeam().getID()));
+          teamReferences = teamReferences.concat(this.#stripTeamReferences(match.getAwayTeam().getID()));
+
+          const officials = match.getOfficials();
+          if (officials !== null && officials.isTeam()) {
+            teamReferences = teamReferences.concat(this.#stripTeamReferences(match.getOfficials().getTeamID()));
+          }
+
+          teamReferences.forEach(reference => {
+            let parts;
+            if ((parts = reference.match(/^{([^:]*):([^:]*):.*}/)) !== null) {
+              if (parts[1] === this.#id && parts[2] === id) {
+                throw new Error(`Cannot delete group with id "${id}" as it is referenced in match {${stage.getID()}:${group.getID()}:${match.getID()}}`)
+              }
+            }
+          });
+        });
+      });
+    });
+
+    if (!groupFound) {
+      return this
+    }
+
+    return this.#record(() => {
+      delete this.#groupLookup[id];
+      this.#groups = this.#groups.filter(el => el.getID() !== id);
+      return this
+    })
   }
-}
 
-/**
- * Represents an entry in a league table for a competition.
- */
-class LeagueTableEntry {
   /**
-   * The team ID
-   * @type {string}
-   * @private
+   * Check if all matches in the stage are complete.
+   *
+   * @returns {bool} True if all matches in the stage are complete, false otherwise
    */
-  #teamID
+  isComplete () {
+    for (let i = 0; i < this.#groups.length; i++) {
+      if (!this.#groups[i].isComplete()) {
+        return false
+      }
+    }
 
-  /**
-   * The name of the team
-   * @type {string}
-   * @private
-   */
-  #team
+    return true
+  }
 
   /**
-   * The number of matches played
-   * @type {number}
-   * @private
+   * Get matches for a specific team in this stage.
+   *
+   * @param {string} id The ID of the team
+   * @param {number} flags Flags to filter the matches
+   * @returns {array} An array of matches for the specified team
    */
-  #played = 0
+  #getMatchesForTeam (id, flags) {
+    let matches = [];
 
-  /**
-   * The number of matches won
-   * @type {number}
-   * @private
-   */
-  #wins = 0
+    this.#groups.forEach(group => {
+      if (group.teamHasMatches(id)) {
+        matches = matches.concat(group.getMatches(id, flags));
+      } else if (flags & Competition$1.VBC_MATCH_OFFICIATING && group.teamHasOfficiating(id)) {
+        matches = matches.concat(group.getMatches(id, Competition$1.VBC_MATCH_OFFICIATING));
+      }
+    });
 
-  /**
-   * The number of matches lost
-   * @type {number}
-   * @private
-   */
-  #losses = 0
+    matches.sort((a, b) => {
+      // Both GroupBreak and GroupMatch may have "start" and may have "date", or may have neither
+      const aDate = a.getDate() === null ? '2023-02-12' : a.getDate();
+      const bDate = b.getDate() === null ? '2023-02-12' : b.getDate();
+      const aStart = a.getStart() === null ? '10:00' : a.getStart();
+      const bStart = b.getStart() === null ? '10:00' : b.getStart();
 
-  /**
-   * The number of matches drawn
-   * @type {number}
-   * @private
-   */
-  #draws = 0
+      return `${aDate}${aStart}`.localeCompare(`${bDate}${bStart}`)
+    });
+
+    return matches
+  }
 
   /**
-   * The number of sets won
-   * @type {number}
-   * @private
+   * Check if matches in any group within this stage have courts assigned.
+   *
+   * @returns {bool} True if matches have courts assigned, false otherwise
    */
-  #sf = 0
+  matchesHaveCourts () {
+    for (let i = 0; i < this.#groups.length; i++) {
+      if (this.#groups[i].matchesHaveCourts()) {
+        return true
+      }
+    }
+    return false
+  }
 
   /**
-   * The number of sets against
-   * @type {number}
-   * @private
+   * Check if matches in any group within this stage have dates assigned.
+   *
+   * @returns {bool} True if matches have dates assigned, false otherwise
    */
-  #sa = 0
+  matchesHaveDates () {
+    for (let i = 0; i < this.#groups.length; i++) {
+      if (this.#groups[i].matchesHaveDates()) {
+        return true
+      }
+    }
+    return false
+  }
 
   /**
-   * The sets difference
-   * @type {number}
-   * @private
+   * Check if matches in any group within this stage have durations assigned.
+   *
+   * @returns {bool} True if matches have durations assigned, false otherwise
    */
-  #sd = 0
+  matchesHaveDurations () {
+    for (let i = 0; i < this.#groups.length; i++) {
+      if (this.#groups[i].matchesHaveDurations()) {
+        return true
+      }
+    }
+    return false
+  }
 
   /**
-   * The number of points scored
-   * @type {number}
-   * @private
+   * Check if matches in any group within this stage have MVPs assigned.
+   *
+   * @returns {bool} True if matches have MVPs assigned, false otherwise
    */
-  #pf = 0
+  matchesHaveMVPs () {
+    for (let i = 0; i < this.#groups.length; i++) {
+      if (this.#groups[i].matchesHaveMVPs()) {
+        return true
+      }
+    }
+    return false
+  }
 
   /**
-   * The number of points conceded
-   * @type {number}
-   * @private
+   * Check if matches in any group within this stage have managers assigned.
+   *
+   * @returns {bool} True if matches have managers assigned, false otherwise
    */
-  #pa = 0
+  matchesHaveManagers () {
+    for (let i = 0; i < this.#groups.length; i++) {
+      if (this.#groups[i].matchesHaveManagers()) {
+        return true
+      }
+    }
+    return false
+  }
 
   /**
-   * The points difference
-   * @type {number}
-   * @private
+   * Check if matches in any group within this stage have notes assigned.
+   *
+   * @returns {bool} True if matches have notes assigned, false otherwise
    */
-  #pd = 0
+  matchesHaveNotes () {
+    for (let i = 0; i < this.#groups.length; i++) {
+      if (this.#groups[i].matchesHaveNotes()) {
+        return true
+      }
+    }
+    return false
+  }
 
   /**
-   * The number of bonus points
-   * @type {number}
-   * @private
+   * Check if matches in any group within this stage have officials assigned.
+   *
+   * @returns {bool} True if matches have officials assigned, false otherwise
    */
-  #bp = 0
+  matchesHaveOfficials () {
+    for (let i = 0; i < this.#groups.length; i++) {
+      if (this.#groups[i].matchesHaveOfficials()) {
+        return true
+      }
+    }
+    return false
+  }
 
   /**
-   * The number of penalty points
-   * @type {number}
-   * @private
+   * Check if matches in any group within this stage have start times assigned.
+   *
+   * @returns {bool} True if matches have start times assigned, false otherwise
    */
-  #pp = 0
+  matchesHaveStarts () {
+    for (let i = 0; i < this.#groups.length; i++) {
+      if (this.#groups[i].matchesHaveStarts()) {
+        return true
+      }
+    }
+    return false
+  }
 
   /**
-   * The total points
-   * @type {number}
-   * @private
+   * Check if matches in any group within this stage have venues assigned.
+   *
+   * @returns {bool} True if matches have venues assigned, false otherwise
    */
-  #pts = 0
+  matchesHaveVenues () {
+    for (let i = 0; i < this.#groups.length; i++) {
+      if (this.#groups[i].matchesHaveVenues()) {
+        return true
+      }
+    }
+    return false
+  }
 
   /**
-   * The head-to-head data
-   * @type {object}
-   * @private
+   * Check if matches in any group within this stage have warmup information assigned.
+   *
+   * @returns {bool} True if matches have warmup information assigned, false otherwise
    */
-  #head = {}
+  matchesHaveWarmups () {
+    for (let i = 0; i < this.#groups.length; i++) {
+      if (this.#groups[i].matchesHaveWarmups()) {
+        return true
+      }
+    }
+    return false
+  }
 
   /**
-   * The league associated with this entry
-   * @type {League}
-   * @private
+   * Check if a team has matches scheduled in any group within this stage.
+   *
+   * @param {string} id The ID of the team
+   * @returns {bool} True if the team has matches scheduled, false otherwise
    */
-  #league
+  teamHasMatches (id) {
+    for (let i = 0; i < this.#groups.length; i++) {
+      if (this.#groups[i].teamHasMatches(id)) {
+        return true
+      }
+    }
+    return false
+  }
 
   /**
-   * Constructs a new LeagueTableEntry instance.
+   * Check if a team has officiating duties assigned in any group within this stage.
    *
-   * @param {League} league The league associated with this entry
-   * @param {string} teamID The team ID
-   * @param {string} name The name of the team
+   * @param {string} id The ID of the team
+   * @returns {bool} True if the team has officiating duties assigned, false otherwise
    */
-  constructor (league, teamID, name) {
-    this.#league = league;
-    this.#teamID = teamID;
-    this.#team = name;
+  teamHasOfficiating (id) {
+    for (let i = 0; i < this.#groups.length; i++) {
+      if (this.#groups[i].teamHasOfficiating(id)) {
+        return true
+      }
+    }
+    return false
   }
 
   /**
-   * Return the leagueTableEntry in a form suitable for serializing.  Thisis only used by unit tests
+   * Check if a team may have matches scheduled in any group within this stage. Note that this has undefined behaviour if a team definitely has matches,
+   * i.e. if you want to know if a team definitely has matches in this stage then call teamHasMatches(), but if you want to know if there are any
+   * references that might point to this team (e.g. a reference to a team in a league position in an incomplete league) then call this function.  This
+   * is essentially so we know whether we still need to consider displaying a stage to the competitors as they <i>might</i> still be able to reach that stage.
    *
-   * @returns {object} The serialized league table entry data
+   * @param {string} id The ID of the team to check
+   * @returns {bool} True if the team may have matches scheduled, false otherwise
    */
-  serialize () {
-    const leagueTableEntry = {
-      teamID: this.#teamID,
-      played: this.#played,
-      wins: this.#wins,
-      losses: this.#losses,
-      draws: this.#draws,
-      sf: this.#sf,
-      sa: this.#sa,
-      sd: this.#sd,
-      pf: this.#pf,
-      pa: this.#pa,
-      pd: this.#pd,
-      bp: this.#bp,
-      pp: this.#pp,
-      pts: this.#pts,
-      head: this.#head
-    };
+  teamMayHaveMatches (id) {
+    /* TODO Do we need to rewrite this?
 
-    return leagueTableEntry
+    assert - we only call this after calling "teamHasMatches()".  In other words, this has ?undefined return? if you definitely have matches?
+    maybe consider when we know they _don't_ have matches?
+
+    Need to be able to say STG1:GRP1:league:#
+      - if STG1:GRP1 complete then we know all league positions and all references to STG1:GRP1:* so result is defined and "teamHasMatches()" should catch it
+      - else then league:# is not defined, so we're down to "does teamID have any matches in STG1:GRP1?"  Or even "could the have any" (remember STG1:GRP1 might also have references to earlier stages)
+    */
+
+    if (this.isComplete()) {
+      // If the stage is complete then there are no "maybes"; everything is known so you should call teamHasMatches()
+      return false
+    }
+
+    // Get all unresolved references {STG:GRP:...}
+    if (this.#teamStgGrpLookup === null) {
+      this.#teamStgGrpLookup = {};
+      this.#groups.forEach(group => {
+        group.getMatches().forEach(match => {
+          if (match instanceof GroupMatch$1 && this.#competition.getTeam(id).getID() !== CompetitionTeam.UNKNOWN_TEAM_ID) {
+            const homeTeamParts = match.getHomeTeam().getID().substr(1).split(':', 3);
+            if (homeTeamParts.length > 2) {
+              const key = `${homeTeamParts[0]}:${homeTeamParts[1]}`;
+              if (!Object.hasOwn(this.#teamStgGrpLookup, key)) {
+                this.#teamStgGrpLookup[key] = {
+                  stage: homeTeamParts[0],
+                  group: homeTeamParts[1]
+                };
+              }
+            }
+
+            const awayTeamParts = match.getAwayTeam().getID().substr(1).split(':', 3);
+            if (awayTeamParts.length > 2) {
+              const key = `${awayTeamParts[0]}:${awayTeamParts[1]}`;
+              if (!Object.hasOwn(this.#teamStgGrpLookup, key)) {
+                this.#teamStgGrpLookup[key] = {
+                  stage: awayTeamParts[0],
+                  group: awayTeamParts[1]
+                };
+              }
+            }
+
+            if (match.getOfficials() !== null && match.getOfficials().isTeam()) {
+              const refereeTeamParts = match.getOfficials().getTeamID().substr(1).split(':', 3);
+              if (refereeTeamParts.length > 2) {
+                const key = `${refereeTeamParts[0]}:${refereeTeamParts[1]}`;
+                if (!Object.hasOwn(this.#teamStgGrpLookup, key)) {
+                  this.#teamStgGrpLookup[key] = {
+                    stage: refereeTeamParts[0],
+                    group: refereeTeamParts[1]
+                  };
+                }
+              }
+            }
+          }
+        });
+      });
+    }
+
+    // Look up each reference to see if it leads back to this team
+    const teamStgGrpLookupValues = Object.values(this.#teamStgGrpLookup);
+    for (let i = 0; i < teamStgGrpLookupValues.length; i++) {
+      const group = this.#competition.getStage(teamStgGrpLookupValues[i].stage).getGroup(teamStgGrpLookupValues[i].group);
+      if ((!group.isComplete() && group.teamHasMatches(id)) || group.teamMayHaveMatches(id)) {
+        return true
+      }
+    }
+    return false
   }
 
   /**
-   * Get the group ID associated with this entry.
+   * Returns a list of match dates in this Stage.  If a team ID is given then return dates for just that team.
    *
-   * @returns {string} The group ID associated with this entry
+   * @param {string} id This must be a resolved team ID and not a reference
+   * @param {number} flags Controls what gets returned
+   *                   <ul>
+   *                     <li><code>Competition.VBC_MATCH_ALL</code> - Include all matches</li>
+   *                     <li><code>Competition.VBC_MATCH_PLAYING</code> - Include matches that a team plays in</li>
+   *                     <li><code>Competition.VBC_MATCH_OFFICIATING</code> - Include matches that a team officiates in</li>
+   *                   </ul>
+   * @returns array<string>
    */
-  getGroupID () {
-    return this.#league.getID()
+  getMatchDates (id = null, flags = Competition$1.VBC_MATCH_PLAYING) {
+    let matchDates = [];
+    this.#groups.forEach(group => {
+      const groupMatchDates = group.getMatchDates(id, flags);
+      matchDates = matchDates.concat(groupMatchDates);
+    });
+    matchDates.sort();
+    return matchDates
   }
 
   /**
-   * Get the team ID.
+   * Returns a list of matches on the specified date in this Stage.  If a team ID is given then return matches for just that team.
+   * The returned list includes breaks when that break has a date value
    *
-   * @returns {string} The team ID
+   * @param {string} date The requested date in the format YYYY-MM-DD
+   * @param {string} id This must be a resolved team ID and not a reference
+   * @param {number} flags Controls what gets returned
+   *                   <ul>
+   *                     <li><code>Competition.VBC_MATCH_ALL</code> - Include all matches</li>
+   *                     <li><code>Competition.VBC_MATCH_PLAYING</code> - Include matches that a team plays in</li>
+   *                     <li><code>Competition.VBC_MATCH_OFFICIATING</code> - Include matches that a team officiates in</li>
+   *                   </ul>
+   * @returns array<MatchInterface>
    */
-  getTeamID () {
-    return this.#teamID
+  getMatchesOnDate (date, id = null, flags = Competition$1.VBC_MATCH_ALL) {
+    let matches = [];
+    this.#groups.forEach(group => {
+      const groupMatches = group.getMatchesOnDate(date, id, flags);
+      matches = matches.concat(groupMatches);
+    });
+    matches.sort((a, b) => {
+      // matches may have "start" or may not
+      const aStart = a.getStart() === null ? '10:00' : a.getStart();
+      const bStart = b.getStart() === null ? '10:00' : b.getStart();
+
+      return `${aStart}`.localeCompare(`${bStart}`)
+    });
+    return matches
   }
 
   /**
-   * Get the name of the team.
+   * This function recursively extracts team references from the team ID, including
+   * stripping out team references in a ternary statement
    *
-   * @returns {string} The name of the team
+   * @param {string} teamReference The string containing team references.
+   *
+   * @returns {Array<string>} An array containing unique team references extracted from the input string.
    */
-  getTeam () {
-    return this.#team
+  #stripTeamReferences (teamReference) {
+    let references = [];
+    let lrMatches;
+    if (!teamReference.startsWith('{')) {
+      return []
+    } else if ((lrMatches = teamReference.match(/^([^=]*)==([^?]*)\?(.*)/)) !== null) {
+      references = references.concat(this.#stripTeamReferences(lrMatches[1]));
+      references = references.concat(this.#stripTeamReferences(lrMatches[2]));
+      let tfMatches;
+      if ((tfMatches = lrMatches[3].match(/^({[^}]*}):(.*)/)) !== null) {
+        references = references.concat(this.#stripTeamReferences(tfMatches[1]));
+        references = references.concat(this.#stripTeamReferences(tfMatches[2]));
+      }
+    } else {
+      references.push(teamReference);
+    }
+
+    return [...new Set(references)]
   }
 
   /**
-   * Get the number of matches played.
+   * Make a change to this stage, recording it in the competition's change history
    *
-   * @returns {number} The number of matches played
+   * @param {function(): any} change Make the change
+   * @returns {any} The value returned by the change
+   * @private
    */
-  getPlayed () {
-    return this.#played
+  #record (change) {
+    return this.#competition.recordChange(() => this.#snapshot(), snapshot => this.#restore(snapshot), change)
   }
 
   /**
-   * Set the number of matches played.
+   * Get the state of this stage, for the change history
    *
-   * @param {number} played The number of matches played
+   * @returns {object} The state
+   * @private
    */
-  setPlayed (played) {
-    this.#played = played;
+  #snapshot () {
+    return {
+      name: this.#name,
+      notes: this.#notes,
+      description: this.#description,
+      ifUnknown: this.#ifUnknown,
+      groups: [...this.#groups],
+      groupLookup: { ...this.#groupLookup }
+    }
   }
 
   /**
-   * Get the number of matches won.
+   * Restore this stage to a state from the change history
    *
-   * @returns {number} The number of matches won
+   * @param {object} snapshot The state to restore
+   * @private
    */
-  getWins () {
-    return this.#wins
+  #restore (snapshot) {
+    this.#name = snapshot.name;
+    this.#notes = snapshot.notes;
+    this.#description = snapshot.description;
+    this.#ifUnknown = snapshot.ifUnknown;
+    this.#groups = [...snapshot.groups];
+    this.#groupLookup = { ...snapshot.groupLookup };
+    this.#allMatches = null;
+    this.#teamStgGrpLookup = null;
   }
+}
 
-  /**
-   * Set the number of matches won.
-   *
-   * @param {number} wins The number of matches won
-   */
-  setWins (wins) {
-    this.#wins = wins;
+/**
+ * Convert a time in the format H:mm or HH:mm into a number of minutes, e.g. the number of minutes since midnight for a start time, or
+ * the length of a duration
+ *
+ * @param {string} time The time to convert
+ * @returns {number} The number of minutes
+ */
+function timeToMinutes (time) {
+  const [hours, minutes] = time.split(':');
+  return (parseInt(hours) * 60) + parseInt(minutes)
+}
+
+/**
+ * The Ajv schema validator
+ * @type {Ajv}
+ * @private
+ */
+let validator = null;
+
+/**
+ * Get the edit distance between two strings, as the number of single character insertions, deletions and substitutions
+ *
+ * @param {string} a The first string
+ * @param {string} b The second string
+ * @returns {number} The edit distance
+ */
+function editDistance (a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
   }
+  return previous[b.length]
+}
 
-  /**
-   * Get the number of matches lost.
-   *
-   * @returns {number} The number of matches lost
-   */
-  getLosses () {
-    return this.#losses
+/**
+ * Get a hint for how to fix a schema validation error
+ *
+ * @param {object} error The Ajv validation error
+ * @returns {string|null} The hint, or null if there is none
+ */
+function suggestFix (error) {
+  switch (error.keyword) {
+    case 'required':
+      return `Add the "${error.params.missingProperty}" property`
+    case 'additionalProperties':
+      return `Remove the "${error.params.additionalProperty}" property`
+    case 'type':
+      return `Use a value of type ${error.params.type}`
+    case 'enum': {
+      const allowed = error.params.allowedValues;
+      if (typeof error.data === 'string') {
+        const closest = allowed.filter(value => typeof value === 'string' && (value.toLowerCase() === error.data.toLowerCase() || editDistance(value, error.data) <= 2));
+        if (closest.length > 0) {
+          return `Did you mean "${closest[0]}"?`
+        }
+      }
+      return `Use one of ${allowed.map(value => JSON.stringify(value)).join(', ')}`
+    }
+    case 'pattern':
+      return `Use a value matching the pattern ${error.params.pattern}`
+    case 'format':
+      return `Use a value in the "${error.params.format}" format`
+    case 'minLength':
+      return `Use a value whose length is at least ${error.params.limit}`
+    case 'maxLength':
+      return `Use a value whose length is at most ${error.params.limit}`
+    case 'minItems':
+      return `Use a list whose length is at least ${error.params.limit}`
+    case 'minimum':
+      return `Use a value of at least ${error.params.limit}`
+  }
+  return null
+}
+
+/**
+ * Perform schema validation on the JSON data
+ *
+ * @param {object} competitionData The object representation of the parsed JSON data
+ *
+ * @throws {CompetitionValidationError} An exception containing a list of schema validation errors
+ */
+async function validateJSON (competitionData) {
+  if (validator === null) {
+    const ajv = new Ajv({ allErrors: true, verbose: true });
+    addFormats(ajv);
+    validator = ajv.compile(a);
   }
 
-  /**
-   * Set the number of matches lost.
-   *
-   * @param {number} losses The number of matches lost
-   */
-  setLosses (losses) {
-    this.#losses = losses;
+  if (!validator(competitionData)) {
+    let errors = '';
+    validator.errors.forEach(e => {
+      errors += `[${e.schemaPath}] [${e.instancePath}] ${e.message}\n`;
+    });
+    const issues = validator.errors.map(e => ({
+      pointer: e.instancePath,
+      schemaPath: e.schemaPath,
+      message: e.message,
+      value: e.data,
+      suggestion: suggestFix(e)
+    }));
+    throw new CompetitionValidationError(`Competition data failed schema validation:\n${errors}`, issues)
   }
+}
+
+/**
+ * Load each item in a list from the competition document, pointing any error at the item that caused it
+ *
+ * @param {string} pointer The JSON pointer to the list
+ * @param {Array<object>} list The list of items
+ * @param {function(object): void} loadItem The function to load a single item
+ * @throws {CompetitionValidationError} If an item fails to load
+ */
+function loadList (pointer, list, loadItem) {
+  list.forEach((itemData, i) => {
+    try {
+      loadItem(itemData);
+    } catch (err) {
+      throw CompetitionValidationError.fromError(err, `${pointer}/${i}`, itemData)
+    }
+  });
+}
+
+/**
+ * Get the English ordinal for a number, e.g. "1st", "2nd", "3rd", "11th"
+ *
+ * @param {number} n The number
+ * @returns {string} The ordinal
+ */
+function ordinal (n) {
+  const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+  return `${n}${suffixes[new Intl.PluralRules('en-GB', { type: 'ordinal' }).select(n)]}`
+}
+
+/**
+ * The change types for adding and removing each kind of entity, keyed by the last property of a CompetitionDiff change target
+ * @type {object}
+ * @private
+ */
+const ENTITY_CHANGE_TYPES = {
+  key: [CompetitionChangeType.METADATA_ADDED, CompetitionChangeType.METADATA_REMOVED],
+  club: [CompetitionChangeType.CLUB_ADDED, CompetitionChangeType.CLUB_REMOVED],
+  team: [CompetitionChangeType.TEAM_ADDED, CompetitionChangeType.TEAM_REMOVED],
+  player: [CompetitionChangeType.PLAYER_ADDED, CompetitionChangeType.PLAYER_REMOVED],
+  stage: [CompetitionChangeType.STAGE_ADDED, CompetitionChangeType.STAGE_REMOVED],
+  group: [CompetitionChangeType.GROUP_ADDED, CompetitionChangeType.GROUP_REMOVED],
+  match: [CompetitionChangeType.MATCH_ADDED, CompetitionChangeType.MATCH_REMOVED]
+};
+
+/**
+ * Check whether a CompetitionDiff change target is, or contains, another target, e.g. a stage contains its groups and their matches
+ *
+ * @param {object} outer The target that may contain the other
+ * @param {object} inner The target that may be contained
+ * @returns {boolean} Whether the outer target is or contains the inner target
+ */
+function targetContains (outer, inner) {
+  return Object.keys(outer).every(key => outer[key] === inner[key])
+}
+
+/**
+ * Find the entity identified by a CompetitionDiff change target in some serialized competition data
+ *
+ * @param {object} data The serialized competition data
+ * @param {object} target The change target
+ * @returns {{entity: object|null, index: number}} The serialized entity and its position in its list, or null and -1 if it is not found
+ */
+function findTargetEntity (data, target) {
+  const steps = [
+    ['key', 'metadata', 'key'],
+    ['club', 'clubs', 'id'],
+    ['team', 'teams', 'id'],
+    ['player', 'players', 'id'],
+    ['stage', 'stages', 'id'],
+    ['group', 'groups', 'id'],
+    ['match', 'matches', 'id']
+  ];
+  let found = { entity: data, index: -1 };
+  for (const [targetKey, listKey, idKey] of steps.filter(([targetKey]) => Object.hasOwn(target, targetKey))) {
+    const list = found.entity[listKey] ?? [];
+    const index = list.findIndex(item => item[idKey] === target[targetKey]);
+    if (index === -1) {
+      return { entity: null, index }
+    }
+    found = { entity: list[index], index };
+  }
+  return found
+}
+
+/**
+ * Get the breaks in a group's data, each with the ID of the match before it so that it can be put back in the same place among the matches
+ *
+ * @param {object} groupData The group data
+ * @returns {Array<{after: string|null, break: object}>} The breaks, in order, with "after" null for a break before the first match
+ */
+function groupBreaks (groupData) {
+  let after = null;
+  const breaks = [];
+  groupData.matches.forEach(item => {
+    if (item.type === 'match') {
+      after = item.id;
+    } else {
+      breaks.push({ after, break: item });
+    }
+  });
+  return breaks
+}
 
+/**
+ * Replace the breaks in a group's data, putting each one after the match it followed.  A break that followed a match that is no longer
+ * in the group goes at the end
+ *
+ * @param {object} groupData The group data, which is changed
+ * @param {Array<{after: string|null, break: object}>} breaks The breaks, as returned by groupBreaks()
+ */
+function setGroupBreaks (groupData, breaks) {
+  const matches = groupData.matches.filter(item => item.type === 'match');
+  const breaksAfter = id => breaks.filter(groupBreak => groupBreak.after === id).map(groupBreak => groupBreak.break);
+  groupData.matches = breaksAfter(null);
+  matches.forEach(match => {
+    groupData.matches.push(match, ...breaksAfter(match.id));
+  });
+  groupData.matches.push(...breaks.filter(groupBreak => groupBreak.after !== null && !matches.some(match => match.id === groupBreak.after))
+    .map(groupBreak => groupBreak.break));
+}
+
+class Competition {
   /**
-   * Get the number of matches drawn.
-   *
-   * @returns {number} The number of matches drawn
+   * The version of schema that the document conforms to. Defaults to 1.0.0
+   * @type {string}
+   * @private
    */
-  getDraws () {
-    return this.#draws
-  }
+  #version
 
   /**
-   * Set the number of matches drawn.
-   *
-   * @param {number} draws The number of matches drawn
+   * A list of key-value pairs representing metadata about the competition, where each key must be unique. This can be used for functionality such as associating a competition with a season, and searching for competitions with matching metadata
+   * @type {array}
+   * @private
    */
-  setDraws (draws) {
-    this.#draws = draws;
-  }
+  #metadata
 
   /**
-   * Get the number of sets won.
-   *
-   * @returns {number} The number of sets won
+   * A name for the competition
+   * @type {string}
+   * @private
    */
-  getSF () {
-    return this.#sf
-  }
+  #name
 
   /**
-   * Set the number of sets won.
-   *
-   * @param {number} sf The number of sets won
+   * Free form string to add notes about the competition.  This can be used for arbitrary content that various implementations can use
+   * @type {string|null}
+   * @private
    */
-  setSF (sf) {
-    this.#sf = sf;
-  }
+  #notes
 
   /**
-   * Get the number of sets against.
-   *
-   * @returns {number} The number of sets against
+   *  A list of clubs that the teams are in
+   * @type {array}
+   * @private
    */
-  getSA () {
-    return this.#sa
-  }
+  #clubs
 
   /**
-   * Set the number of sets against.
-   *
-   * @param {number} sa The number of sets against
+   * The list of all teams in this competition
+   * @type {array}
+   * @private
    */
-  setSA (sa) {
-    this.#sa = sa;
-  }
+  #teams
 
   /**
-   * Get the sets difference.
-   *
-   * @returns {number} The sets difference
+   * A list of players in the competition
+   * @type {array}
+   * @private
    */
-  getSD () {
-    return this.#sd
-  }
+  #players
 
   /**
-   * Set the sets difference.
-   *
-   * @param {number} sd The sets difference
+   * The stages of the competition. Stages are phases of a competition that happen in order.  There may be only one stage (e.g. for a flat league) or multiple in sequence
+   * (e.g. for a tournament with pools, then crossovers, then finals)
+   * @type {array}
+   * @private
    */
-  setSD (sd) {
-    this.#sd = sd;
-  }
+  #stages
 
   /**
-   * Get the number of points scored.
-   *
-   * @returns {number} The number of points scored
+   * A Lookup table from team IDs (including references) to the team
+   * @type {object}
+   * @private
    */
-  getPF () {
-    return this.#pf
-  }
+  #teamLookup
 
   /**
-   * Set the number of points scored.
-   *
-   * @param {number} pf The number of points scored
+   * A Lookup table from player IDs to the player
+   * @type {object}
+   * @private
    */
-  setPF (pf) {
-    this.#pf = pf;
-  }
+  #playerLookup
 
   /**
-   * Get the number of points conceded.
-   *
-   * @returns {number} The number of points conceded
+   * A Lookup table from stage IDs to the stage
+   * @type {object}
+   * @private
    */
-  getPA () {
-    return this.#pa
-  }
+  #stageLookup
 
   /**
-   * Set the number of points conceded.
-   *
-   * @param {number} pa The number of points conceded
+   * A Lookup table from club IDs to the club
+   * @type {object}
+   * @private
    */
-  setPA (pa) {
-    this.#pa = pa;
-  }
+  #clubLookup
 
   /**
-   * Get the points difference.
-   *
-   * @returns {number} The points difference
-   */
-  getPD () {
-    return this.#pd
-  }
+   * The "unknown" team, typically for matching against
+   * @type {CompetitionTeam}
+   * @private
+   */
+  #unknownTeam
 
   /**
-   * Set the points difference.
-   *
-   * @param {number} pd The points difference
+   * The migrations registry that the competition was loaded with, used to downgrade the competition when serializing
+   * @type {MigrationRegistry}
+   * @private
    */
-  setPD (pd) {
-    this.#pd = pd;
-  }
+  #migrations
 
   /**
-   * Get the bonus points.
-   *
-   * @returns {number} The bonus points
+   * The migrations that were run to upgrade the competition document when it was loaded
+   * @type {Array<{from: string, to: string}>}
+   * @private
    */
-  getBP () {
-    return this.#bp
-  }
+  #appliedMigrations
 
   /**
-   * Set the bonus points.
-   *
-   * @param {number} bp The bonus points
+   * The record of changes made to the competition, or null when history is not enabled
+   * @type {ChangeHistory|null}
+   * @private
    */
-  setBP (bp) {
-    this.#bp = bp;
-  }
+  #history
 
   /**
-   * Get the penalty points.
-   *
-   * @returns {number} The penalty points
+   * The functions listening for each type of event, keyed by event type
+   * @type {Object.<string, Array<function(object): void>>}
+   * @private
    */
-  getPP () {
-    return this.#pp
-  }
+  #listeners
+
+  static SCHEMA_VERSION = '1.0.0'
+
+  static VBC_MATCH_ALL_IN_GROUP = 1
+  static VBC_MATCH_ALL = 2
+  static VBC_MATCH_PLAYING = 4
+  static VBC_MATCH_OFFICIATING = 8
+
+  static VBC_TEAMS_FIXED_ID = 1
+  static VBC_TEAMS_KNOWN = 2
+  static VBC_TEAMS_MAYBE = 4
+  static VBC_TEAMS_ALL = 8
+  static VBC_TEAMS_PLAYING = 16
+  static VBC_TEAMS_OFFICIATING = 32
 
   /**
-   * Set the penalty points.
+   * Takes in the Competition name creates an empty Competition object with that name
    *
-   * @param {number} pp The penalty points
+   * @param {string} name The name of the competition
+   *
+   * @throws {Error} thrown when the name is invalid
    */
-  setPP (pp) {
-    this.#pp = pp;
+  constructor (name) {
+    if (name.length > 1000 || name.length < 1) {
+      throw new Error('Invalid competition name: must be between 1 and 1000 characters long')
+    }
+
+    this.#name = name;
+    this.#version = Competition.SCHEMA_VERSION;
+    this.#metadata = [];
+    this.#notes = null;
+    this.#clubs = [];
+    this.#teams = [];
+    this.#players = [];
+    this.#stages = [];
+    this.#teamLookup = {};
+    this.#playerLookup = {};
+    this.#stageLookup = {};
+    this.#clubLookup = {};
+    this.#migrations = MigrationRegistry.getDefault();
+    this.#appliedMigrations = [];
+    this.#history = null;
+    this.#listeners = {};
+
+    this.#unknownTeam = new CompetitionTeam(this, CompetitionTeam.UNKNOWN_TEAM_ID, CompetitionTeam.UNKNOWN_TEAM_NAME);
   }
 
   /**
-   * Get the total points.
+   * Loads a Competition object from competition JSON data.  A document at an older version of the schema is upgraded to the current
+   * version, Competition.SCHEMA_VERSION, using the migrations in the registry before it is validated
    *
-   * @returns {number} The total points
+   * @param {string} competitionJSON The competition JSON data
+   * @param {object} options The load options
+   * @param {MigrationRegistry} [options.migrations=MigrationRegistry.getDefault()] The registry of migrations to upgrade the document with
+   *
+   * @returns {Promise<Competition>} a loaded Competition, rejects with a CompetitionValidationError when the JSON data is invalid
    */
-  getPTS () {
-    return this.#pts
+  static async loadFromCompetitionJSON (competitionJSON, options = {}) {
+    let competitionData;
+    try {
+      competitionData = JSON.parse(competitionJSON);
+    } catch (err) {
+      throw new CompetitionValidationError('Document does not contain valid JSON', [{ pointer: '', schemaPath: null, message: err.message, value: competitionJSON, suggestion: null }])
+    }
+
+    // All documents without an explicit version are assumed to be at version 1.0.0
+    if (typeof competitionData.version !== 'string') {
+      competitionData.version = '1.0.0';
+    }
+
+    const migrations = options.migrations ?? MigrationRegistry.getDefault();
+    let upgraded;
+    try {
+      upgraded = migrations.upgrade(competitionData, Competition.SCHEMA_VERSION);
+    } catch (err) {
+      throw CompetitionValidationError.fromError(err, '/version', competitionData.version)
+    }
+    competitionData = upgraded.data;
+
+    await validateJSON(competitionData);
+
+    const competition = Competition.#loadFromData(competitionData);
+    competition.#migrations = migrations;
+    competition.#appliedMigrations = upgraded.applied;
+
+    return competition
   }
 
   /**
-   * Set the total points.
+   * Build a Competition from competition data that is already at the current schema version and known to be valid against the schema
    *
-   * @param {number} pts The total points
+   * @param {object} competitionData The competition data
+   * @returns {Competition} The loaded Competition
+   * @throws {CompetitionValidationError} If the competition data breaks one of the rules checked while loading, such as duplicate IDs
+   * @private
    */
-  setPTS (pts) {
-    this.#pts = pts;
+  static #loadFromData (competitionData) {
+    const competition = new Competition(competitionData.name);
+    competition.setVersion(competitionData.version);
+
+    if (Array.isArray(competitionData.metadata)) {
+      loadList('/metadata', competitionData.metadata, kv => {
+        if (competition.hasMetadataByKey(kv.key)) {
+          throw new Error(`Metadata with key "${kv.key}" already exists in the competition`)
+        }
+        competition.setMetadataByKey(kv.key, kv.value);
+      });
+    }
+
+    if (typeof competitionData.notes === 'string') {
+      competition.setNotes(competitionData.notes);
+    }
+
+    if (Array.isArray(competitionData.clubs)) {
+      loadList('/clubs', competitionData.clubs, clubData => {
+        competition.addClub(new Club(competition, clubData.id, clubData.name).loadFromData(clubData));
+      });
+    }
+
+    loadList('/teams', competitionData.teams, teamData => {
+      competition.addTeam(new CompetitionTeam(competition, teamData.id, teamData.name).loadFromData(teamData));
+    });
+
+    if (Array.isArray(competitionData.players)) {
+      loadList('/players', competitionData.players, playerData => {
+        competition.addPlayer(new Player(competition, playerData.id, playerData.name).loadFromData(playerData));
+      });
+    }
+
+    loadList('/stages', competitionData.stages, stageData => {
+      const stage = new Stage(competition, stageData.id);
+      competition.addStage(stage);
+      stage.loadFromData(stageData);
+    });
+
+    // Process the results now, before anything can listen for the events that processing them emits
+    competition.#processMatches();
+
+    return competition
   }
 
   /**
-   * Get the head-to-head data.
+   * Return the competition definition in a form suitable for serializing.  When a version is given, the competition is downgraded
+   * to that version using the migrations registry that the competition was loaded with
    *
-   * @returns {object} The head-to-head data
+   * @param {string|null} version The version of the schema to serialize to, or null for the competition's own version
+   *
+   * @returns {object} The competition as an object suitable for serializing into JSON
+   * @throws {Error} If the competition cannot be downgraded to the requested version
    */
-  getH2H () {
-    return this.#head
+  serialize (version = null) {
+    const competition = {
+      version: this.#version
+    };
+
+    if (this.#metadata.length > 0) {
+      competition.metadata = this.#metadata;
+    }
+
+    competition.name = this.#name;
+
+    if (this.#notes !== null) {
+      competition.notes = this.#notes;
+    }
+
+    if (this.#clubs.length > 0) {
+      competition.clubs = [];
+      this.#clubs.forEach(club => {
+        competition.clubs.push(club.serialize());
+      });
+    }
+
+    competition.teams = [];
+    this.#teams.forEach(team => {
+      competition.teams.push(team.serialize());
+    });
+
+    if (this.#players.length > 0) {
+      competition.players = [];
+      this.#players.forEach(player => {
+        competition.players.push(player.serialize());
+      });
+    }
+
+    competition.stages = [];
+    this.#stages.forEach(stage => {
+      competition.stages.push(stage.serialize());
+    });
+
+    if (version !== null && version !== this.#version) {
+      return this.#migrations.downgrade(competition, version).data
+    }
+
+    return competition
   }
-}
 
-/**
- * A group within this stage of the competition. Leagues expect all teams to play each other at least once, and have a league table
- */
-class League extends Group$1 {
   /**
-   * The table for this group, if the group type is league
-   * @type {LeagueTable}
-   * @private
+   * Get a deep copy of this competition.  The copy has its own teams, players, stages, groups and matches, so changing it does not change
+   * this competition.  Unlike loading the serialized competition, the copy is made synchronously and without schema validation
+   *
+   * @returns {Competition} The copy of this competition
    */
-  #table
+  clone () {
+    const competition = Competition.#loadFromData(structuredClone(this.serialize()));
+    competition.#migrations = this.#migrations;
+    competition.#appliedMigrations = [...this.#appliedMigrations];
+    return competition
+  }
 
   /**
-   * Constructs a new League instance.
+   * Check whether this competition is structurally equal to another, i.e. whether they would serialize to the same competition document
    *
-   * @param {Stage} stage A link back to the Stage this Group is in
-   * @param {string} id The unique ID of this Group
-   * @param {MatchType} matchType Whether matches are continuous or played to sets
-   * @param {boolean} drawsAllowed Indicates whether draws are allowed in matches
+   * @param {Competition} other The competition to compare with
+   * @returns {boolean} Whether the competitions are equal
    */
-  constructor (stage, id, matchType, drawsAllowed) {
-    super(stage, id, matchType);
-    this._type = GroupType.LEAGUE;
-    this._drawsAllowed = drawsAllowed;
+  equals (other) {
+    return other instanceof Competition && JSON.stringify(this.serialize()) === JSON.stringify(other.serialize())
   }
 
   /**
-   * Processes matches to update the league table.
+   * Get a copy of this competition with some hypothetical results applied, e.g. to see what the league table would look like if one team
+   * beats another next week.  Each result is applied to the copy with GroupMatch.setScores(), and every league table, match winner and
+   * team reference in the copy reflects the hypothetical results.  This competition is not changed.
    *
-   * @returns {void}
+   * The copy is made with clone(), which does not need to wait for anything.  This still returns a Promise, as it did when the copy was
+   * made by reloading the competition, so that existing callers keep working and a later version can do asynchronous work here without
+   * changing the API
+   *
+   * @param {Array<{stage: string, group: string, match: string, homeTeamScores: Array<number>, awayTeamScores: Array<number>, complete: boolean|null}>} results
+   *        The results to apply, giving the IDs of the stage, group and match, the scores for each team and, optionally, whether the
+   *        match is complete (see GroupMatch.setScores() for when this is required)
+   * @returns {Promise<Competition>} The copy of this competition with the results applied
+   * @throws {Error} If a match cannot be found or its scores are invalid
    */
-  processMatches () {
-    if (this._matchesProcessed) {
-      return
-    }
-    this._matchesProcessed = true;
-
-    this.#table = new LeagueTable(this);
-
-    const teamResults = [];
+  async withHypotheticalResults (results) {
+    const competition = this.clone();
 
-    this._matches.forEach(match => {
-      if (match instanceof GroupBreak || match.isFriendly()) {
-        return
-      }
+    results.forEach(result => {
+      const match = competition.getStage(result.stage).getGroup(result.group).getMatch(result.match);
+      match.setScores(result.homeTeamScores, result.awayTeamScores, result.complete ?? null);
+    });
 
-      const homeTeamID = match.getHomeTeam().getID();
-      const awayTeamID = match.getAwayTeam().getID();
+    // Results in one group can change the teams in later groups, so every group is processed again when it is next needed
+    competition.getStages().forEach(stage => {
+      stage.getGroups().forEach(group => {
+        group.invalidateResults();
+      });
+    });
 
-      if (!teamResults[homeTeamID]) {
-        teamResults[homeTeamID] = new LeagueTableEntry(this, homeTeamID, this._competition.getTeam(homeTeamID).getName());
-      }
+    return competition
+  }
 
-      if (!teamResults[awayTeamID]) {
-        teamResults[awayTeamID] = new LeagueTableEntry(this, awayTeamID, this._competition.getTeam(awayTeamID).getName());
+  /**
+   * Merge two competitions that were edited separately from a common ancestor, e.g. when matches are scored on two laptops at a venue
+   * with no network.  The edits made in each copy are found with CompetitionDiff and combined, so matches scored, teams edited and stages
+   * added in either copy all appear in the merged competition.  An edit made identically in both copies is only applied once.
+   *
+   * A conflict is when both copies change the same field of the same entity to different values, or when one copy removes something (a
+   * team, player, stage, group, match and so on) that the other copy changes, or both copies add something with the same ID but different
+   * data.  A match's teams, scores and completeness are its result and conflict as one, so that a result is never made up of the scores
+   * from one copy and the completeness or other scores from the other.  The breaks in a group also conflict as one when both copies change
+   * them differently; a break is kept in place by the match that it follows.  The order of the matches in a group is not merged.  Each
+   * conflict has the form:
+   * <ul>
+   *   <li>target - the IDs identifying what conflicts, as in a CompetitionDiff change target</li>
+   *   <li>field - the field that conflicts, e.g. "name"; "result" for a match's result; "breaks" for a group's breaks; or null when the
+   *       whole entity conflicts</li>
+   *   <li>base, ours, theirs - the value in each competition, with null meaning absent.  This is the field's value, the entity's
+   *       serialized data, the result's changed fields keyed by field name as in a CompetitionDiff change (e.g. {"homeTeam.scores": [25]}),
+   *       or the group's breaks as an array of objects of the form {after, break}, with the ID of the match the break follows (null
+   *       before the first match) and the break's serialized data</li>
+   * </ul>
+   *
+   * Each conflict is passed to the resolve callback, which returns the value to use: typically conflict.ours or conflict.theirs, but any
+   * value is allowed, with null meaning the field, entity or breaks are removed, or for a result that the match keeps its base result.
+   * When there is no callback, or it returns undefined, the conflict is left unresolved: the value from "ours" is used and the conflict is
+   * returned to the caller.  None of the competitions are changed
+   *
+   * @param {Competition} base The competition that both copies started from
+   * @param {Competition} ours One edited copy, whose value is used for an unresolved conflict
+   * @param {Competition} theirs The other edited copy
+   * @param {function(object): any} [resolve] A function, which may be async, returning the value to use for a conflict, or undefined to
+   *                                          leave the conflict unresolved
+   * @returns {Promise<{competition: Competition, conflicts: Array<{target: object, field: string|null, base: any, ours: any, theirs: any}>}>}
+   *          The merged competition and the unresolved conflicts, rejecting with a CompetitionValidationError if the merged edits do not
+   *          make a valid competition
+   */
+  static async merge (base, ours, theirs, resolve = null) {
+    const key = target => JSON.stringify(target);
+    const isAdded = change => change.before === null;
+    const isRemoved = change => change.after === null;
+    const ourChanges = structuredClone(new CompetitionDiff(base, ours).getChanges());
+    let theirChanges = structuredClone(new CompetitionDiff(base, theirs).getChanges());
+
+    // Removing or adding exactly the same thing in both copies only needs doing once, as does removing something that "ours" removed
+    // along with whatever contains it
+    theirChanges = theirChanges.filter(theirChange => !ourChanges.some(ourChange => {
+      if (isRemoved(theirChange)) {
+        return isRemoved(ourChange) && targetContains(ourChange.target, theirChange.target)
       }
+      return isAdded(theirChange) && isAdded(ourChange) && key(ourChange.target) === key(theirChange.target) &&
+        JSON.stringify(ourChange.after) === JSON.stringify(theirChange.after)
+    }));
+
+    // Find the entities that conflict as a whole.  The side that removes an entity has no other changes inside it, so these never nest
+    const entityTargets = new Map();
+    ourChanges.forEach(ourChange => {
+      theirChanges.forEach(theirChange => {
+        if (isRemoved(ourChange) && !isRemoved(theirChange) && targetContains(ourChange.target, theirChange.target)) {
+          entityTargets.set(key(ourChange.target), ourChange.target);
+        } else if (isRemoved(theirChange) && !isRemoved(ourChange) && targetContains(theirChange.target, ourChange.target)) {
+          entityTargets.set(key(theirChange.target), theirChange.target);
+        } else if (isAdded(ourChange) && isAdded(theirChange) && key(ourChange.target) === key(theirChange.target)) {
+          entityTargets.set(key(ourChange.target), ourChange.target);
+        }
+      });
+    });
+    const conflictTargets = [...entityTargets.values()];
+
+    const data = [base.serialize(), ours.serialize(), theirs.serialize()];
+    const conflicts = [];
+    const resolutions = [];
+    conflictTargets.forEach(target => {
+      const [baseFound, ourFound, theirFound] = data.map(competitionData => findTargetEntity(competitionData, target));
+      conflicts.push({ target, field: null, base: baseFound.entity, ours: ourFound.entity, theirs: theirFound.entity });
+      resolutions.push(value => {
+        const [addedType, removedType] = ENTITY_CHANGE_TYPES[Object.keys(target).at(-1)];
+        const changes = [];
+        if (baseFound.entity !== null) {
+          changes.push({ type: removedType, target, before: baseFound.entity, after: null });
+        }
+        if (value !== null) {
+          changes.push({ type: addedType, target, before: null, after: value, index: baseFound.entity !== null ? baseFound.index : ourFound.index });
+        }
+        return changes
+      });
+    });
 
-      if (match.isComplete()) {
-        // Handle draws
-        if (!match.isDraw()) {
-          teamResults[match.getWinnerTeamID()].setWins(teamResults[match.getWinnerTeamID()].getWins() + 1);
-          teamResults[match.getLoserTeamID()].setLosses(teamResults[match.getLoserTeamID()].getLosses() + 1);
-
-          teamResults[match.getWinnerTeamID()].getH2H()[match.getLoserTeamID()] = (teamResults[match.getWinnerTeamID()].getH2H()[match.getLoserTeamID()] || 0) + 1;
-          teamResults[match.getLoserTeamID()].getH2H()[match.getWinnerTeamID()] = (teamResults[match.getLoserTeamID()].getH2H()[match.getWinnerTeamID()] || 0) - 1;
-        } else {
-          if (!teamResults[homeTeamID].getH2H()[awayTeamID]) {
-            teamResults[homeTeamID].getH2H()[awayTeamID] = 0;
+    // Everything inside a conflicting entity is replaced by the resolved entity, so the separate changes to it are dropped
+    const outsideConflicts = change => !conflictTargets.some(target => targetContains(target, change.target));
+    const changes = ourChanges.filter(outsideConflicts);
+    theirChanges = theirChanges.filter(outsideConflicts);
+
+    // Where both copies change the same field, "ours" makes the change and it is a conflict if "theirs" has a different value
+    theirChanges.filter(theirChange => !isAdded(theirChange) && !isRemoved(theirChange)).forEach(theirChange => {
+      if (theirChange.type === CompetitionChangeType.MATCH_SCORE_CHANGED) {
+        const ourChange = changes.find(ourChange => ourChange.type === theirChange.type && key(ourChange.target) === key(theirChange.target));
+        if (ourChange !== undefined) {
+          const fields = [...new Set([...Object.keys(ourChange.after), ...Object.keys(theirChange.after)])];
+          const before = { ...ourChange.before, ...theirChange.before };
+          const result = change => Object.fromEntries(fields.map(field => [field, Object.hasOwn(change.after, field) ? change.after[field] : before[field]]));
+          const baseResult = Object.fromEntries(fields.map(field => [field, before[field]]));
+          if (JSON.stringify(result(ourChange)) !== JSON.stringify(result(theirChange))) {
+            conflicts.push({ target: theirChange.target, field: 'result', base: baseResult, ours: result(ourChange), theirs: result(theirChange) });
+            resolutions.push(value => {
+              ourChange.before = baseResult;
+              ourChange.after = value ?? baseResult;
+              return []
+            });
           }
-          if (!teamResults[awayTeamID].getH2H()[homeTeamID]) {
-            teamResults[awayTeamID].getH2H()[homeTeamID] = 0;
+          theirChange.before = {};
+          theirChange.after = {};
+        }
+        return
+      }
+      changes.filter(ourChange => !isAdded(ourChange) && !isRemoved(ourChange) && key(ourChange.target) === key(theirChange.target)).forEach(ourChange => {
+        Object.keys(theirChange.after).filter(field => Object.hasOwn(ourChange.after, field)).forEach(field => {
+          if (JSON.stringify(ourChange.after[field]) !== JSON.stringify(theirChange.after[field])) {
+            conflicts.push({ target: theirChange.target, field, base: theirChange.before[field], ours: ourChange.after[field], theirs: theirChange.after[field] });
+            resolutions.push(value => {
+              ourChange.after[field] = value;
+              return []
+            });
           }
+          delete theirChange.before[field];
+          delete theirChange.after[field];
+        });
+      });
+    });
+    changes.push(...theirChanges.filter(theirChange => isAdded(theirChange) || isRemoved(theirChange) || Object.keys(theirChange.after).length > 0));
+
+    // CompetitionDiff does not compare breaks, so the breaks in each group that is in all three competitions are merged here
+    const mergedBreaks = [];
+    data[0].stages.forEach(stage => {
+      stage.groups.forEach(group => {
+        const target = { stage: stage.id, group: group.id };
+        const found = data.map(competitionData => findTargetEntity(competitionData, target).entity);
+        if (found.includes(null) || conflictTargets.some(conflictTarget => targetContains(conflictTarget, target))) {
+          return
+        }
+        const [baseBreaks, ourBreaks, theirBreaks] = found.map(groupBreaks);
+        const [baseKey, ourKey, theirKey] = [baseBreaks, ourBreaks, theirBreaks].map(breaks => JSON.stringify(breaks));
+        if (ourKey === theirKey || theirKey === baseKey) {
+          mergedBreaks.push({ target, breaks: ourBreaks });
+        } else if (ourKey === baseKey) {
+          mergedBreaks.push({ target, breaks: theirBreaks });
+        } else {
+          conflicts.push({ target, field: 'breaks', base: baseBreaks, ours: ourBreaks, theirs: theirBreaks });
+          resolutions.push(value => {
+            mergedBreaks.push({ target, breaks: value ?? [] });
+            return []
+          });
         }
+      });
+    });
 
-        teamResults[homeTeamID].setPlayed(teamResults[homeTeamID].getPlayed() + 1);
-        teamResults[awayTeamID].setPlayed(teamResults[awayTeamID].getPlayed() + 1);
+    const unresolved = [];
+    for (const [i, conflict] of conflicts.entries()) {
+      let value = resolve === null ? undefined : await resolve(conflict);
+      if (value === undefined) {
+        unresolved.push(conflict);
+        value = conflict.ours;
+      }
+      changes.push(...resolutions[i](value));
+    }
 
-        if (this.#table.hasSets()) {
-          let homeTeamSets = 0;
-          let awayTeamSets = 0;
-          for (let i = 0; i < match.getHomeTeam().getScores().length; i++) {
-            if (match.getHomeTeam().getScores()[i] < this._sets.getMinPoints() && match.getAwayTeam().getScores()[i] < this._sets.getMinPoints()) {
-              continue
-            }
-            teamResults[homeTeamID].setPF(teamResults[homeTeamID].getPF() + match.getHomeTeam().getScores()[i]);
-            teamResults[homeTeamID].setPA(teamResults[homeTeamID].getPA() + match.getAwayTeam().getScores()[i]);
+    const competition = await CompetitionDiff.apply(base, changes);
+    const breaksChanged = mergedBreaks.filter(({ target, breaks }) => JSON.stringify(breaks) !== JSON.stringify(groupBreaks(findTargetEntity(data[0], target).entity)));
+    if (breaksChanged.length === 0) {
+      return { competition, conflicts: unresolved }
+    }
 
-            teamResults[awayTeamID].setPF(teamResults[awayTeamID].getPF() + match.getAwayTeam().getScores()[i]);
-            teamResults[awayTeamID].setPA(teamResults[awayTeamID].getPA() + match.getHomeTeam().getScores()[i]);
+    const mergedData = competition.serialize();
+    breaksChanged.forEach(({ target, breaks }) => setGroupBreaks(findTargetEntity(mergedData, target).entity, breaks));
+    return { competition: await Competition.loadFromCompetitionJSON(JSON.stringify(mergedData)), conflicts: unresolved }
+  }
 
-            if (match.getHomeTeam().getScores()[i] > match.getAwayTeam().getScores()[i]) {
-              homeTeamSets++;
-            } else if (match.getHomeTeam().getScores()[i] < match.getAwayTeam().getScores()[i]) {
-              awayTeamSets++;
-            }
-          }
-          teamResults[homeTeamID].setSF(teamResults[homeTeamID].getSF() + homeTeamSets);
-          teamResults[homeTeamID].setSA(teamResults[homeTeamID].getSA() + awayTeamSets);
-          teamResults[awayTeamID].setSF(teamResults[awayTeamID].getSF() + awayTeamSets);
-          teamResults[awayTeamID].setSA(teamResults[awayTeamID].getSA() + homeTeamSets);
+  /**
+   * Start recording the changes made to this competition, so that they can be undone and redone.  Changes made through the methods of
+   * the competition and of its clubs, teams, players, stages, groups, matches and breaks are recorded.  Calling this again returns the
+   * existing history
+   *
+   * @returns {ChangeHistory} The change history
+   */
+  enableHistory () {
+    if (this.#history === null) {
+      this.#history = new ChangeHistory(change => this.#changeFromHistory(change));
+    }
+    return this.#history
+  }
 
-          teamResults[homeTeamID].setPTS(teamResults[homeTeamID].getPTS() + (this._leagueConfig.getPoints().getPerSet() * homeTeamSets));
-          teamResults[awayTeamID].setPTS(teamResults[awayTeamID].getPTS() + (this._leagueConfig.getPoints().getPerSet() * awayTeamSets));
-          if (match.isDraw()) {
-            teamResults[homeTeamID].setDraws(teamResults[homeTeamID].getDraws() + 1);
-            teamResults[awayTeamID].setDraws(teamResults[awayTeamID].getDraws() + 1);
-          } else {
-            if (Math.abs(homeTeamSets - awayTeamSets) === 1) {
-              teamResults[match.getWinnerTeamID()].setPTS(teamResults[match.getWinnerTeamID()].getPTS() + this._leagueConfig.getPoints().getWinByOne());
-              teamResults[match.getLoserTeamID()].setPTS(teamResults[match.getLoserTeamID()].getPTS() + this._leagueConfig.getPoints().getLoseByOne());
-            } else {
-              teamResults[match.getWinnerTeamID()].setPTS(teamResults[match.getWinnerTeamID()].getPTS() + this._leagueConfig.getPoints().getWin());
-              teamResults[match.getLoserTeamID()].setPTS(teamResults[match.getLoserTeamID()].getPTS() + this._leagueConfig.getPoints().getLose());
-            }
-          }
-        } else {
-          teamResults[homeTeamID].setPF(teamResults[homeTeamID].getPF() + match.getHomeTeam().getScores()[0]);
-          teamResults[homeTeamID].setPA(teamResults[homeTeamID].getPA() + match.getAwayTeam().getScores()[0]);
+  /**
+   * Get the record of changes made to this competition
+   *
+   * @returns {ChangeHistory|null} The change history, or null if history has not been enabled
+   */
+  getHistory () {
+    return this.#history
+  }
 
-          teamResults[awayTeamID].setPF(teamResults[awayTeamID].getPF() + match.getAwayTeam().getScores()[0]);
-          teamResults[awayTeamID].setPA(teamResults[awayTeamID].getPA() + match.getHomeTeam().getScores()[0]);
-          if (match.isDraw()) {
-            teamResults[homeTeamID].setDraws(teamResults[homeTeamID].getDraws() + 1);
-            teamResults[awayTeamID].setDraws(teamResults[awayTeamID].getDraws() + 1);
-          } else {
-            teamResults[match.getWinnerTeamID()].setPTS(teamResults[match.getWinnerTeamID()].getPTS() + this._leagueConfig.getPoints().getWin());
-            teamResults[match.getLoserTeamID()].setPTS(teamResults[match.getLoserTeamID()].getPTS() + this._leagueConfig.getPoints().getLose());
-          }
-        }
+  /**
+   * Make a change to part of this competition, recording it in the change history when history is enabled.  This is called by the methods
+   * that change the competition, and is not normally called directly
+   *
+   * @param {function(): any} snapshot Get the state of the object being changed
+   * @param {function(any): void} restore Restore the object to a state returned by snapshot
+   * @param {function(): any} change Make the change
+   * @returns {any} The value returned by the change
+   */
+  recordChange (snapshot, restore, change) {
+    if (this.#history === null) {
+      return change()
+    }
+    return this.#history.record(snapshot, restore, change)
+  }
 
-        if (match.getHomeTeam().getForfeit()) {
-          teamResults[homeTeamID].setPTS(teamResults[homeTeamID].getPTS() - this._leagueConfig.getPoints().getForfeit());
-        }
-        if (match.getAwayTeam().getForfeit()) {
-          teamResults[awayTeamID].setPTS(teamResults[awayTeamID].getPTS() - this._leagueConfig.getPoints().getForfeit());
-        }
-        teamResults[homeTeamID].setBP(teamResults[homeTeamID].getBP() + match.getHomeTeam().getBonusPoints());
-        teamResults[homeTeamID].setPP(teamResults[homeTeamID].getPP() + match.getHomeTeam().getPenaltyPoints());
+  /**
+   * Make a change to this competition's own fields, recording it in the change history
+   *
+   * @param {function(): any} change Make the change
+   * @returns {any} The value returned by the change
+   * @private
+   */
+  #record (change) {
+    return this.recordChange(() => this.#snapshot(), snapshot => this.#restore(snapshot), change)
+  }
 
-        teamResults[awayTeamID].setBP(teamResults[awayTeamID].getBP() + match.getAwayTeam().getBonusPoints());
-        teamResults[awayTeamID].setPP(teamResults[awayTeamID].getPP() + match.getAwayTeam().getPenaltyPoints());
-      }
-    });
+  /**
+   * Get the state of this competition's own fields, for the change history
+   *
+   * @returns {object} The state
+   * @private
+   */
+  #snapshot () {
+    return {
+      name: this.#name,
+      notes: this.#notes,
+      metadata: this.#metadata.map(kv => ({ ...kv })),
+      clubs: [...this.#clubs],
+      teams: [...this.#teams],
+      players: [...this.#players],
+      stages: [...this.#stages],
+      clubLookup: { ...this.#clubLookup },
+      teamLookup: { ...this.#teamLookup },
+      playerLookup: { ...this.#playerLookup },
+      stageLookup: { ...this.#stageLookup }
+    }
+  }
 
-    Object.values(teamResults).forEach(teamLine => {
-      teamLine.setPD(teamLine.getPF() - teamLine.getPA());
-      teamLine.setSD(teamLine.getSF() - teamLine.getSA());
-      teamLine.setPTS(teamLine.getPTS() + (teamLine.getPlayed() * this._leagueConfig.getPoints().getPlayed()) + teamLine.getBP() - teamLine.getPP());
-      this.#table.entries.push(teamLine);
-    });
+  /**
+   * Restore this competition's own fields to a state from the change history
+   *
+   * @param {object} snapshot The state to restore
+   * @private
+   */
+  #restore (snapshot) {
+    this.#name = snapshot.name;
+    this.#notes = snapshot.notes;
+    this.#metadata = snapshot.metadata.map(kv => ({ ...kv }));
+    this.#clubs = [...snapshot.clubs];
+    this.#teams = [...snapshot.teams];
+    this.#players = [...snapshot.players];
+    this.#stages = [...snapshot.stages];
+    this.#clubLookup = { ...snapshot.clubLookup };
+    this.#teamLookup = { ...snapshot.teamLookup };
+    this.#playerLookup = { ...snapshot.playerLookup };
+    this.#stageLookup = { ...snapshot.stageLookup };
+  }
 
-    this.#table.entries.sort((a, b) => this.#sortLeagueTable(a, b));
+  /**
+   * Listen for events of the given type.  The listener is called with an event object with a "type" field and fields holding the affected
+   * entities:
+   * <ul>
+   *   <li>{@link CompetitionEventType.MATCH_SCORE_CHANGED} and {@link CompetitionEventType.MATCH_COMPLETED} - match</li>
+   *   <li>{@link CompetitionEventType.GROUP_COMPLETED} - group</li>
+   *   <li>{@link CompetitionEventType.STAGE_COMPLETED} - stage</li>
+   *   <li>{@link CompetitionEventType.LEAGUE_TABLE_UPDATED} - group, table</li>
+   *   <li>{@link CompetitionEventType.TEAM_RESOLVED} - reference, team</li>
+   *   <li>{@link CompetitionEventType.TEAM_RENAMED} - team, previousName</li>
+   * </ul>
+   *
+   * @param {string} type The type of event, from CompetitionEventType
+   * @param {function(object): void} listener The function to call when the event happens
+   * @returns {Competition} This competition
+   */
+  on (type, listener) {
+    if (!Object.hasOwn(this.#listeners, type)) {
+      this.#listeners[type] = [];
+    }
+    this.#listeners[type].push(listener);
+    return this
   }
 
   /**
-   * Sorts the league table entries based on the configured ordering.
+   * Stop listening for events of the given type
    *
-   * @param {LeagueTableEntry} a The first league table entry to compare
-   * @param {LeagueTableEntry} b The second league table entry to compare
-   * @returns {number} Returns an integer less than, equal to, or greater than zero if the first argument is considered to be respectively less than, equal to, or greater than the second.
+   * @param {string} type The type of event, from CompetitionEventType
+   * @param {function(object): void} listener The function that was passed to on()
+   * @returns {Competition} This competition
    */
-  #sortLeagueTable (a, b) {
-    const ordering = this._leagueConfig.getOrdering();
-    for (let i = 0; i < ordering.length; i++) {
-      let compareResult = 0;
-      switch (ordering[i]) {
-        case 'PTS':
-          compareResult = League.#compareLeaguePoints(a, b);
-          break
-        case 'WINS':
-          compareResult = League.#compareWins(a, b);
-          break
-        case 'LOSSES':
-          compareResult = League.#compareLosses(a, b);
-          break
-        case 'H2H':
-          compareResult = League.#compareHeadToHead(a, b);
-          break
-        case 'PF':
-          compareResult = League.#comparePointsFor(a, b);
-          break
-        case 'PA':
-          compareResult = League.#comparePointsAgainst(a, b);
-          break
-        case 'PD':
-          compareResult = League.#comparePointsDifference(a, b);
-          break
-        case 'SF':
-          compareResult = League.#compareSetsFor(a, b);
-          break
-        case 'SA':
-          compareResult = League.#compareSetsAgainst(a, b);
-          break
-        case 'SD':
-          compareResult = League.#compareSetsDifference(a, b);
-          break
-        case 'BP':
-          compareResult = League.#compareBonusPoints(a, b);
-          break
-        case 'PP':
-          compareResult = League.#comparePenaltyPoints(a, b);
-          break
-      }
-      if (compareResult !== 0) {
-        return compareResult
-      }
+  off (type, listener) {
+    if (Object.hasOwn(this.#listeners, type)) {
+      this.#listeners[type] = this.#listeners[type].filter(l => l !== listener);
     }
-    return League.#compareTeamName(a, b)
+    return this
   }
 
   /**
-   * Compares two LeagueTableEntry objects based on their team names.
+   * Check whether anything is listening for events of the given type
    *
-   * @param {LeagueTableEntry} a The first league table entry to compare
-   * @param {LeagueTableEntry} b The second league table entry to compare
-   * @returns {number} Returns an integer less than, equal to, or greater than zero if the team name of the first entry is considered to be respectively less than, equal to, or greater than the team name of the second entry.
+   * @param {string} type The type of event, from CompetitionEventType
+   * @returns {boolean} Whether there are any listeners
    */
-  static #compareTeamName (a, b) {
-    return a.getTeam().localeCompare(b.getTeam())
+  hasListeners (type) {
+    return Object.hasOwn(this.#listeners, type) && this.#listeners[type].length > 0
   }
 
   /**
-   * Compares two LeagueTableEntry objects based on their league points.
+   * Call the listeners for an event.  This is called by the methods that change a competition, and is not normally called directly
    *
-   * @param {LeagueTableEntry} a The first league table entry to compare
-   * @param {LeagueTableEntry} b The second league table entry to compare
-   * @returns {number} Returns an integer less than, equal to, or greater than zero if the team name of the first entry is considered to be respectively less than, equal to, or greater than the team name of the second entry.
+   * @param {string} type The type of event, from CompetitionEventType
+   * @param {object} event The affected entities
+   * @returns {Competition} This competition
    */
-  static #compareLeaguePoints (a, b) {
-    return b.getPTS() - a.getPTS()
+  emit (type, event) {
+    if (this.hasListeners(type)) {
+      const listenerEvent = { type, ...event };
+      this.#listeners[type].forEach(listener => listener(listenerEvent));
+    }
+    return this
   }
 
   /**
-   * Compares two LeagueTableEntry objects based on their wins.
+   * Make a change to a match's result, emitting the events for the match and for anything that the new result completes or resolves.
+   * This is called by the methods that change a match's result, and is not normally called directly
    *
-   * @param {LeagueTableEntry} a The first league table entry to compare
-   * @param {LeagueTableEntry} b The second league table entry to compare
-   * @returns {number} Returns an integer less than, equal to, or greater than zero if the team name of the first entry is considered to be respectively less than, equal to, or greater than the team name of the second entry.
+   * @param {GroupMatch} match The match whose result is changing
+   * @param {function(): any} change Make the change
+   * @returns {any} The value returned by the change
    */
-  static #compareWins (a, b) {
-    return b.getWins() - a.getWins()
+  changeResult (match, change) {
+    const wasComplete = match.isComplete();
+    return this.#emitResultEvents(() => {
+      const result = change();
+      if (!wasComplete && match.isComplete()) {
+        this.emit(CompetitionEventType.MATCH_COMPLETED, { match });
+      }
+      return result
+    })
   }
 
   /**
-   * Compares two LeagueTableEntry objects based on their losses.
+   * Undo or redo changes from the change history, emitting the events for the match results and team names that it changes, as if the
+   * changes had been made again
    *
-   * @param {LeagueTableEntry} a The first league table entry to compare
-   * @param {LeagueTableEntry} b The second league table entry to compare
-   * @returns {number} Returns an integer less than, equal to, or greater than zero if the team name of the first entry is considered to be respectively less than, equal to, or greater than the team name of the second entry.
+   * @param {function(): void} change Undo or redo the changes
+   * @private
    */
-  static #compareLosses (a, b) {
-    return b.getLosses() - a.getLosses()
+  #changeFromHistory (change) {
+    if (!Object.values(CompetitionEventType).some(type => this.hasListeners(type))) {
+      change();
+      return
+    }
+
+    const getMatches = () => this.#stages.flatMap(stage => stage.getGroups()).flatMap(group => group.getMatches())
+      .filter(match => !(match instanceof GroupBreak));
+    const resultOf = match => JSON.stringify([match.getHomeTeamScores(), match.getAwayTeamScores(), match.isComplete()]);
+    const results = new Map(getMatches().map(match => [match, { result: resultOf(match), complete: match.isComplete() }]));
+    const names = new Map(this.#teams.map(team => [team, team.getName()]));
+
+    this.#emitResultEvents(() => {
+      change();
+      getMatches().filter(match => results.has(match) && results.get(match).result !== resultOf(match)).forEach(match => {
+        this.emit(CompetitionEventType.MATCH_SCORE_CHANGED, { match });
+        if (!results.get(match).complete && match.isComplete()) {
+          this.emit(CompetitionEventType.MATCH_COMPLETED, { match });
+        }
+      });
+    });
+
+    this.#teams.filter(team => names.has(team) && names.get(team) !== team.getName()).forEach(team => {
+      this.emit(CompetitionEventType.TEAM_RENAMED, { team, previousName: names.get(team) });
+    });
+  }
+
+  /**
+   * Make a change that can change match results, emitting the events for anything that the change completes or resolves
+   *
+   * @param {function(): any} change Make the change
+   * @returns {any} The value returned by the change
+   * @private
+   */
+  #emitResultEvents (change) {
+    const watching = [
+      CompetitionEventType.GROUP_COMPLETED,
+      CompetitionEventType.STAGE_COMPLETED,
+      CompetitionEventType.LEAGUE_TABLE_UPDATED,
+      CompetitionEventType.TEAM_RESOLVED
+    ].some(type => this.hasListeners(type));
+    const before = watching ? this.#resultState() : null;
+
+    const result = change();
+
+    if (watching) {
+      const after = this.#resultState();
+      after.groups.filter(group => !before.groups.includes(group)).forEach(group => {
+        this.emit(CompetitionEventType.GROUP_COMPLETED, { group });
+      });
+      after.stages.filter(stage => !before.stages.includes(stage)).forEach(stage => {
+        this.emit(CompetitionEventType.STAGE_COMPLETED, { stage });
+      });
+      Object.entries(after.teams).forEach(([reference, team]) => {
+        // A reference that was not in the matches before, e.g. in a stage that an undo puts back, is reported when it resolves
+        const previousID = Object.hasOwn(before.teams, reference) ? before.teams[reference].getID() : CompetitionTeam.UNKNOWN_TEAM_ID;
+        if (previousID === CompetitionTeam.UNKNOWN_TEAM_ID && team.getID() !== CompetitionTeam.UNKNOWN_TEAM_ID) {
+          this.emit(CompetitionEventType.TEAM_RESOLVED, { reference, team });
+        }
+      });
+    }
+    return result
+  }
+
+  /**
+   * Get the results that change as matches are played: the complete groups and stages, and the team that each team reference in the
+   * matches resolves to.  Getting these processes the matches, which updates any league tables
+   *
+   * @returns {{groups: Array<Group>, stages: Array<Stage>, teams: Object.<string, CompetitionTeam>}} The results
+   * @private
+   */
+  #resultState () {
+    this.#processMatches();
+    const state = { groups: [], stages: [], teams: {} };
+    this.#stages.forEach(stage => {
+      stage.getGroups().forEach(group => {
+        group.getMatches().forEach(match => {
+          if (match instanceof GroupBreak) {
+            return
+          }
+          const ids = [match.getHomeTeam().getID(), match.getAwayTeam().getID()];
+          if (match.hasOfficials() && match.getOfficials().isTeam()) {
+            ids.push(match.getOfficials().getTeamID());
+          }
+          ids.filter(id => id.startsWith('{')).forEach(id => {
+            state.teams[id] = this.getTeam(id);
+          });
+        });
+        if (group.isComplete()) {
+          state.groups.push(group);
+        }
+      });
+      if (stage.isComplete()) {
+        state.stages.push(stage);
+      }
+    });
+    return state
+  }
+
+  /**
+   * Process matches for all stages in the competition
+   */
+  #processMatches () {
+    this.#stages.forEach(stage => {
+      stage.getGroups().forEach(group => {
+        if (!group.isProcessed()) {
+          group.processMatches();
+        }
+      });
+    });
   }
 
   /**
-   * Compares two LeagueTableEntry objects based on their head to head record.
+   * Get the schema version for this competition, as a semver string
    *
-   * @param {LeagueTableEntry} a The first league table entry to compare
-   * @param {LeagueTableEntry} b The second league table entry to compare
-   * @returns {number} Returns an integer less than, equal to, or greater than zero if the team name of the first entry is considered to be respectively less than, equal to, or greater than the team name of the second entry.
+   * @returns {string} the schema version
    */
-  static #compareHeadToHead (a, b) {
-    if (!Object.hasOwn(a.getH2H(), b.getTeamID()) || !Object.hasOwn(b.getH2H(), a.getTeamID())) {
-      return 0
-    }
-    return b.getH2H()[a.getTeamID()] - a.getH2H()[b.getTeamID()]
+  getVersion () {
+    return this.#version
   }
 
   /**
-   * Compares two LeagueTableEntry objects based on their points scored.
+   * Get the migrations that were run to upgrade the competition document to the current schema version when it was loaded, in the
+   * order that they ran
    *
-   * @param {LeagueTableEntry} a The first league table entry to compare
-   * @param {LeagueTableEntry} b The second league table entry to compare
-   * @returns {number} Returns an integer less than, equal to, or greater than zero if the team name of the first entry is considered to be respectively less than, equal to, or greater than the team name of the second entry.
+   * @returns {Array<{from: string, to: string}>} the migrations, as the versions that each migrated from and to
    */
-  static #comparePointsFor (a, b) {
-    return b.getPF() - a.getPF()
+  getAppliedMigrations () {
+    return this.#appliedMigrations
   }
 
   /**
-   * Compares two LeagueTableEntry objects based on their points conceded.
+   * Set the competition version
    *
-   * @param {LeagueTableEntry} a The first league table entry to compare
-   * @param {LeagueTableEntry} b The second league table entry to compare
-   * @returns {number} Returns an integer less than, equal to, or greater than zero if the team name of the first entry is considered to be respectively less than, equal to, or greater than the team name of the second entry.
+   * @param {string} version the version for the competition data
+   *
+   * @returns {Competition} the competition
    */
-  static #comparePointsAgainst (a, b) {
-    return a.getPA() - b.getPA()
+  setVersion (version) {
+    this.#version = version;
+    return this
   }
 
   /**
-   * Compares two LeagueTableEntry objects based on their points difference.
+   * Get the name for this competition
    *
-   * @param {LeagueTableEntry} a The first league table entry to compare
-   * @param {LeagueTableEntry} b The second league table entry to compare
-   * @returns {number} Returns an integer less than, equal to, or greater than zero if the team name of the first entry is considered to be respectively less than, equal to, or greater than the team name of the second entry.
+   * @returns {string} the competition name
    */
-  static #comparePointsDifference (a, b) {
-    return b.getPD() - a.getPD()
+  getName () {
+    return this.#name
   }
 
   /**
-   * Compares two LeagueTableEntry objects based on their sets won.
+   * Set the competition Name
    *
-   * @param {LeagueTableEntry} a The first league table entry to compare
-   * @param {LeagueTableEntry} b The second league table entry to compare
-   * @returns {number} Returns an integer less than, equal to, or greater than zero if the team name of the first entry is considered to be respectively less than, equal to, or greater than the team name of the second entry.
+   * @param {string} name the new name for the competition
+   *
+   * @returns {Competition} the competition
    */
-  static #compareSetsFor (a, b) {
-    return b.getSF() - a.getSF()
+  setName (name) {
+    if (name.length > 1000 || name.length < 1) {
+      throw new Error('Invalid competition name: must be between 1 and 1000 characters long')
+    }
+    return this.#record(() => {
+      this.#name = name;
+      return this
+    })
   }
 
   /**
-   * Compares two LeagueTableEntry objects based on their sets lost.
+   * Add metadata to the competition.
    *
-   * @param {LeagueTableEntry} a The first league table entry to compare
-   * @param {LeagueTableEntry} b The second league table entry to compare
-   * @returns {number} Returns an integer less than, equal to, or greater than zero if the team name of the first entry is considered to be respectively less than, equal to, or greater than the team name of the second entry.
+   * This function adds metadata to the competition using the provided key-value pair.
+   *
+   * @param {string} key The key of the metadata
+   * @param {string} value The value of the metadata
+   * @returns {Competition} Returns the current Competition instance for method chaining
+   * @throws {Error} If the key or value is invalid
    */
-  static #compareSetsAgainst (a, b) {
-    return a.getSA() - b.getSA()
+  setMetadataByKey (key, value) {
+    if (key.length > 100 || key.length < 1) {
+      throw new Error('Invalid metadata key: must be between 1 and 100 characters long')
+    }
+
+    if (value.length > 1000 || value.length < 1) {
+      throw new Error('Invalid metadata value: must be between 1 and 1000 characters long')
+    }
+
+    return this.#record(() => {
+      for (let i = 0; i < this.#metadata.length; i++) {
+        if (this.#metadata[i].key === key) {
+          this.#metadata[i].value = value;
+          return this
+        }
+      }
+
+      const kv = { key, value };
+      this.#metadata.push(kv);
+      return this
+    })
   }
 
   /**
-   * Compares two LeagueTableEntry objects based on their set difference.
+   * Check if the competition has metadata with the given key.
    *
-   * @param {LeagueTableEntry} a The first league table entry to compare
-   * @param {LeagueTableEntry} b The second league table entry to compare
-   * @returns {number} Returns an integer less than, equal to, or greater than zero if the team name of the first entry is considered to be respectively less than, equal to, or greater than the team name of the second entry.
+   * This function checks if the competition has metadata with the specified key.
+   *
+   * @param {string} key The key to check
+   * @returns {bool} Returns true if the metadata value exists, false otherwise
    */
-  static #compareSetsDifference (a, b) {
-    return b.getSD() - a.getSD()
+  hasMetadataByKey (key) {
+    for (let i = 0; i < this.#metadata.length; i++) {
+      if (this.#metadata[i].key === key) {
+        return true
+      }
+    }
+    return false
   }
 
   /**
-   * Compares two LeagueTableEntry objects based on their bonus points.
+   * Check if the competition has any metadata defined.
    *
-   * @param {LeagueTableEntry} a The first league table entry to compare
-   * @param {LeagueTableEntry} b The second league table entry to compare
-   * @returns {number} Returns an integer less than, equal to, or greater than zero if the team name of the first entry is considered to be respectively less than, equal to, or greater than the team name of the second entry.
+   * @returns {bool} Returns true if the metadata exists, false otherwise
    */
-  static #compareBonusPoints (a, b) {
-    return b.getBP() - a.getBP()
+  hasMetadata () {
+    return this.#metadata.length > 0
   }
 
   /**
-   * Compares two LeagueTableEntry objects based on their penalty points.
+   * Get the value of metadata with the specified key.
    *
-   * @param {LeagueTableEntry} a The first league table entry to compare
-   * @param {LeagueTableEntry} b The second league table entry to compare
-   * @returns {number} Returns an integer less than, equal to, or greater than zero if the team name of the first entry is considered to be respectively less than, equal to, or greater than the team name of the second entry.
+   * This function retrieves the value of the metadata associated with the provided key.
+   *
+   * @param {string} key The key of the metadata
+   * @returns {string|null} Returns the value of the metadata if found, otherwise null
    */
-  static #comparePenaltyPoints (a, b) {
-    return a.getPP() - b.getPP()
+  getMetadataByKey (key) {
+    for (let i = 0; i < this.#metadata.length; i++) {
+      if (this.#metadata[i].key === key) {
+        return this.#metadata[i].value
+      }
+    }
+    return null
   }
 
   /**
-   * Gets the league table for this group.
+   * Get the whole metadata array.
    *
-   * @throws {Error} If the league table cannot be retrieved
-   * @returns {LeagueTable} The league table
+   * This function retrieves the value of the metadata associated with the provided key.
+   *
+   * @returns {array|null} Returns the metadata array or null if no metadata is defined
    */
-  getLeagueTable () {
-    this.processMatches();
-    return this.#table
+  getMetadata () {
+    if (this.hasMetadata()) {
+      return this.#metadata
+    }
+    return null
   }
 
   /**
-   * Returns the configuration object for the league.
+   * Delete metadata with the specified key from the competition.
    *
-   * @returns {LeagueConfig} The league configuration object
+   * This function deletes the metadata with the provided key from the competition.
+   *
+   * @param {string} key The key of the metadata to delete
+   * @returns {Competition} Returns the current Competition instance for method chaining
    */
-  getLeagueConfig () {
-    return this._leagueConfig
+  deleteMetadataByKey (key) {
+    return this.#record(() => {
+      this.#metadata = this.#metadata.filter(el => el.key !== key);
+      return this
+    })
   }
 
   /**
-   * Gets the team by ID based on the type of entity.
+   * Get the notes for this competition
    *
-   * @param {string} type The type part of the team reference ('MATCH-ID' or 'league')
-   * @param {string} entity The entity (e.g., 'winner' or 'loser')
-   * @returns {CompetitionTeam} The CompetitionTeam instance
-   * @throws {Error} If the entity is invalid
+   * @returns {string|null} the notes for this competition
    */
-  getTeam (type, entity) {
-    if (type === 'league') {
-      this.processMatches();
-      if (!this.isComplete()) {
-        throw new Error('Cannot get the team in a league position on an incomplete league')
-      }
-      if (parseInt(entity) > this.#table.entries.length) {
-        throw new Error('Invalid League position: position is bigger than the number of teams')
-      }
-      return this._competition.getTeam(this.#table.entries[parseInt(entity) - 1].getTeamID())
-    }
-
-    const match = this.getMatch(type);
-
-    switch (entity) {
-      case 'winner':
-        return this._competition.getTeam(match.getWinnerTeamID())
-      case 'loser':
-        return this._competition.getTeam(match.getLoserTeamID())
-      default:
-        throw new Error(`Invalid entity "${entity}" in team reference`)
-    }
+  getNotes () {
+    return this.#notes
   }
-}
-
-/**
- * A single competition stage.
- */
-class Stage {
-  /**
-   * A unique ID for this stage, e.g., 'LG'
-   * @type {string}
-   * @private
-   **/
-  #id
-
-  /**
-   * Descriptive title for the stage, e.g., 'Pools'
-   * @type {string|null}
-   * @private
-   **/
-  #name
-
-  /**
-   * Free form string to add notes about this stage.
-   * @type {string|null}
-   * @private
-   **/
-  #notes
-
-  /**
-   * Verbose text describing the nature of the stage.
-   * @type {array|null}
-   * @private
-   **/
-  #description
-
-  /**
-   * The groups within a stage of the competition.
-   * @type {array<Group>}
-   * @private
-   **/
-  #groups
-
-  /**
-   * It can be useful to still present something to the user about the later stages of a competition, even if the teams playing in that stage are not yet known.
-   * @type ?{object}
-   * @private
-   **/
-  #ifUnknown
-
-  /**
-   * The Competition this Stage is in
-   * @type {Competition}
-   * @private
-   **/
-  #competition
 
   /**
-   * All of the matches in all of the group in this stage
-   * @type {array<MatchInterface|BreakInterface>}
-   * @private
-   **/
-  #allMatches
+   * Set the notes for this competition
+   *
+   * @param {string|null} notes the notes for this competition
+   *
+   * @returns {Competition} the competition
+   */
+  setNotes (notes) {
+    if (notes.length < 1) {
+      throw new Error('Invalid competition notes: must be at least 1 character long')
+    }
+    return this.#record(() => {
+      this.#notes = notes;
+      return this
+    })
+  }
 
   /**
-   * A Lookup table from group IDs to the group
-   * @type {object}
-   * @private
-   **/
-  #groupLookup
+   * Add a new team to the competition
+   *
+   * @param {CompetitionTeam} team The team to add to the competition
+   *
+   * @throws {Error} If the input parameters are invalid or if a team with the requested ID already exists
+   *
+   * @returns {Competition} This competition
+   */
+  addTeam (team) {
+    if (team.getCompetition() !== this) {
+      throw new Error('Team was initialised with a different Competition')
+    }
+    if (this.hasTeam(team.getID())) {
+      return this
+    }
+    return this.#record(() => {
+      this.#teams.push(team);
+      this.#teamLookup[team.getID()] = team;
+      return this
+    })
+  }
 
   /**
-   * A lookup table for listing stage:group:team lookups
-   * @type {array}
-   * @private
-   **/
-  #teamStgGrpLookup
+   * Get the teams in this competition
+   *
+   * @returns {array} The teams in this competition
+   */
+  getTeams () {
+    return this.#teams
+  }
 
   /**
-   * @param {Competition} competition A link back to the Competition this Stage is in
-   * @param {string} id The unique ID of this Stage
-   * @throws {Error} If the stage ID is invalid or already exists in the competition
+   * Gets the Team for the given team ID
+   *
+   * @param {string} id The team ID to look up. This may be a pure ID, a reference, or a ternary
+   *
+   * @returns {CompetitionTeam} The team
    */
-  constructor (competition, id) {
-    if (id.length > 100 || id.length < 1) {
-      throw new Error('Invalid stage ID: must be between 1 and 100 characters long')
+  getTeam (id) {
+    this.#processMatches();
+
+    if (!id.startsWith('{')) {
+      if (Object.hasOwn(this.#teamLookup, id)) {
+        return this.#teamLookup[id]
+      }
     }
 
-    if (!/^((?![":{}?=])[\x20-\x7F])+$/.test(id)) {
-      throw new Error('Invalid stage ID: must contain only ASCII printable characters excluding " : { } ? =')
+    /*
+     * Check for ternaries like {teamID1}=={teamID2}?{teamIDTrue}:{teamIDFalse}
+     * Note that we only allow one level of ternary, i.e. this does not resolve:
+     *  { {ta}=={tb}?{tTrue}:{tFalse} }=={T2}?{TTrue}:{TFalse}
+     */
+    const lrMatches = id.match(/^([^=]*)==([^?]*)\?(.*)/);
+    if (lrMatches !== null) {
+      const leftTeam = this.getTeam(lrMatches[1]);
+      const rightTeam = this.getTeam(lrMatches[2]);
+      let trueTeam = null;
+
+      let tfMatches;
+      let falseTeam;
+      if ((tfMatches = lrMatches[3].match(/^({[^}]*}):(.*)/)) !== null) {
+        trueTeam = this.getTeam(tfMatches[1]);
+        falseTeam = this.getTeam(tfMatches[2]);
+      } else if ((tfMatches = lrMatches[3].match(/^([^:]*):(.*)/)) !== null) {
+        trueTeam = this.getTeam(tfMatches[1]);
+        falseTeam = this.getTeam(tfMatches[2]);
+      }
+
+      if (trueTeam !== null) {
+        return leftTeam === rightTeam ? trueTeam : falseTeam
+      }
     }
 
-    if (competition.hasStage(id)) {
-      throw new Error(`Stage with ID "${id}" already exists in the competition`)
+    const teamRefParts = id.match(/^{([^:]*):([^:]*):([^:]*):([^:]*)}/);
+    if (teamRefParts !== null) {
+      try {
+        return this.getStage(teamRefParts[1]).getGroup(teamRefParts[2]).getTeam(teamRefParts[3], teamRefParts[4])
+      } catch (_) {
+        return this.#unknownTeam
+      }
     }
 
-    this.#competition = competition;
-    this.#id = id;
-    this.#name = null;
-    this.#notes = null;
-    this.#description = null;
-    this.#groups = [];
-    this.#ifUnknown = null;
-    this.#allMatches = null;
-    this.#groupLookup = {};
-    this.#teamStgGrpLookup = null;
+    return this.#unknownTeam
   }
 
   /**
-   * Load stage data from an object.
+   * Get a name for a team that is suitable for displaying to people.  When the team ID or reference resolves to a team then this is
+   * the team's name, otherwise an unresolved reference is described in words, e.g. "{L:RL:league:1}" becomes "1st in Recreational League",
+   * "{F:LF:SF1:winner}" becomes "Winner of SF1", and a ternary reference becomes the two possible teams, e.g. "Winner of SF1 or Loser of SF2"
    *
-   * @param {object} stageData The stage data
-   * @returns {Stage} The updated Stage object
+   * @param {string} id The ID of the team, or a team reference
+   * @returns {string} The name to display for the team
    */
-  loadFromData (stageData) {
-    if (Object.hasOwn(stageData, 'name')) {
-      this.setName(stageData.name);
-    }
-
-    if (Object.hasOwn(stageData, 'notes')) {
-      this.setNotes(stageData.notes);
+  getTeamDisplayName (id) {
+    const team = this.getTeam(id);
+    if (team.getID() !== CompetitionTeam.UNKNOWN_TEAM_ID) {
+      return team.getName()
     }
 
-    if (Object.hasOwn(stageData, 'description')) {
-      this.setDescription(stageData.description);
+    const lrMatches = id.match(/^([^=]*)==([^?]*)\?(.*)/);
+    if (lrMatches !== null) {
+      const tfMatches = lrMatches[3].match(/^({[^}]*}):(.*)/) ?? lrMatches[3].match(/^([^:]*):(.*)/);
+      if (tfMatches !== null) {
+        return `${this.getTeamDisplayName(tfMatches[1])} or ${this.getTeamDisplayName(tfMatches[2])}`
+      }
     }
 
-    stageData.groups.forEach(groupData => {
-      let group;
-      switch (groupData.type) {
-        case 'crossover':
-          group = new Crossover(this, groupData.id, groupData.matchType === 'continuous' ? MatchType.CONTINUOUS : MatchType.SETS);
-          break
-        case 'knockout':
-          group = new Knockout(this, groupData.id, groupData.matchType === 'continuous' ? MatchType.CONTINUOUS : MatchType.SETS);
-          break
-        case 'league':
-          group = new League(this, groupData.id, groupData.matchType === 'continuous' ? MatchType.CONTINUOUS : MatchType.SETS, groupData.drawsAllowed);
-          break
+    const teamRefParts = id.match(/^{([^:]*):([^:]*):([^:]*):([^:]*)}$/);
+    if (teamRefParts !== null && this.hasStage(teamRefParts[1]) && this.getStage(teamRefParts[1]).hasGroup(teamRefParts[2])) {
+      if (teamRefParts[3] === 'league') {
+        const group = this.getStage(teamRefParts[1]).getGroup(teamRefParts[2]);
+        return `${ordinal(parseInt(teamRefParts[4]))} in ${group.getName() ?? group.getID()}`
       }
-      this.addGroup(group);
-      group.loadFromData(groupData);
-    });
-
-    if (Object.hasOwn(stageData, 'ifUnknown')) {
-      this.setIfUnknown(new IfUnknown(this, stageData.ifUnknown.description)).loadFromData(stageData.ifUnknown);
+      return `${teamRefParts[4].charAt(0).toUpperCase()}${teamRefParts[4].slice(1)} of ${teamRefParts[3]}`
     }
 
-    return this
+    return team.getName()
   }
 
   /**
-   * Return the stage data in a form suitable for serializing
+   * Check if a team with the given ID exists in the competition
    *
-   * @returns {object}
+   * @param {string} id The ID of the team to check
+   *
+   * @returns {bool} True if the team exists, false otherwise
    */
-  serialize () {
-    const stage = {
-      id: this.#id
-    };
+  hasTeam (id) {
+    return Object.hasOwn(this.#teamLookup, id)
+  }
 
-    if (this.#name !== null) {
-      stage.name = this.#name;
+  /**
+   * Delete a team from the competition
+   *
+   * @param {string} id The ID of the team to delete
+   *
+   * @returns {Competition} This competition
+   */
+  deleteTeam (id) {
+    if (!this.hasTeam(id)) {
+      return this
     }
 
-    if (this.#notes !== null) {
-      stage.notes = this.#notes;
-    }
+    let teamMatches = [];
+    this.#stages.forEach(stage => {
+      const stageMatches = stage.getMatches(id, Competition.VBC_MATCH_PLAYING | Competition.VBC_MATCH_OFFICIATING);
+      teamMatches = teamMatches.concat(stageMatches);
+    });
 
-    if (this.#description !== null) {
-      stage.description = this.#description;
+    if (teamMatches.length > 0) {
+      const collapseMatches = m => `{${m.getGroup().getStage().getID()}:${m.getGroup().getID()}:${m.getID()}}`;
+      throw new Error(`Team still has matches with IDs: ${teamMatches.map(collapseMatches).join(', ')}`)
     }
 
-    stage.groups = [];
-    this.#groups.forEach(group => {
-      stage.groups.push(group.serialize());
-    });
+    return this.#record(() => {
+      // Also remove team from any club's list
+      this.#clubs.forEach(club => {
+        club.deleteTeam(id);
+      });
 
-    if (this.#ifUnknown !== null) {
-      stage.ifUnknown = this.#ifUnknown.serialize();
+      // Then delete the team
+      delete this.#teamLookup[id];
+      this.#teams = this.#teams.filter(team => team.getID() !== id);
+
+      return this
+    })
+  }
+
+  /**
+   * Add a player to this competition
+   *
+   * @param {Player} player The player to add to this competition
+   *
+   * @returns {Competition} This Competition instance
+   *
+   * @throws {Error} If a player with a duplicate ID within the competition is added
+   */
+  addPlayer (player) {
+    if (player.getID() !== Player.UNREGISTERED_PLAYER_ID && this.hasPlayer(player.getID())) {
+      throw new Error('players with duplicate IDs within a competition not allowed')
     }
 
-    return stage
+    return this.#record(() => {
+      this.#players.push(player);
+      this.#playerLookup[player.getID()] = player;
+      return this
+    })
   }
 
   /**
-   * Get the competition this stage is in.
+   * Get the players in this competition
    *
-   * @returns {Competition} The competition this stage is in
+   * @returns {array<Player>} The players in this competition
    */
-  getCompetition () {
-    return this.#competition
+  getPlayers () {
+    return this.#players
   }
 
   /**
-   * Get the ID for this stage.
+   * Get the players in the team with the given ID
    *
-   * @returns {string} The ID for this stage
+   * @param {string} id the ID of the team to get the players for
+   *
+   * @returns {array<Player>} The players in the team with the given ID
    */
-  getID () {
-    return this.#id
+  getPlayersInTeam (id) {
+    return this.#players.filter(player => player.getLatestTeamEntry()?.getID() === id)
   }
 
   /**
-   * Add a group to the stage.
+   * Returns the Player with the requested ID, or throws if the ID is not found
    *
-   * @param {Group} group The group to add
-   * @returns {Stage} The updated Stage object
-   * @throws {Error} If the group ID already exists in the stage or the group was initialized with a different Stage
+   * @param {string} id The ID of the player in this competition to return
+   *
+   * @throws {Error} If a Player with the requested ID was not found
+   *
+   * @returns {Player} The requested player for this competition
    */
-  addGroup (group) {
-    if (group.getStage() !== this) {
-      throw new Error('Group was initialised with a different Stage')
-    }
-    if (this.hasGroup(group.getID())) {
-      throw new Error(`Groups in a Stage with duplicate IDs not allowed: {${this.#id}:${group.getID()}}`)
-    }
-    this.#groups.push(group);
-    try {
-      this.checkMatches();
-    } catch (error) {
-      this.#groups.pop(group);
-      throw error
+  getPlayer (id) {
+    if (!Object.hasOwn(this.#playerLookup, id)) {
+      throw new Error(`Player with ID "${id}" not found`)
     }
-    this.#groupLookup[group.getID()] = group;
-    return this
+    return this.#playerLookup[id]
   }
 
   /**
-   * Get the groups as an array.
+   * Check if this competition has any players
    *
-   * @returns {Array<Group>} The array of Groups
+   * @returns {bool} True if the competition has players, otherwise false
    */
-  getGroups () {
-    return this.#groups
+  hasPlayers () {
+    return this.#players.length > 0
   }
 
   /**
-   * Get the name for this group.
+   * Check if a player with the given ID exists in this competition
+   *
+   * @param {string} id The ID of the player to check
+   *
+   * @returns {bool} True if the player exists, otherwise false
+   */
+  hasPlayer (id) {
+    return Object.hasOwn(this.#playerLookup, id)
+  }
+
+  /**
+   * Check if the team with the given ID has any players defined
    *
-   * @returns {string|null} The name for this group
+   * @param {string} id the ID of the team to check
+   *
+   * @returns {boolean} True if the team with the given ID has any players defined
    */
-  getName () {
-    return this.#name
+  hasPlayersInTeam (id) {
+    return this.#players.some(player => player.getLatestTeamEntry()?.getID() === id)
   }
 
   /**
-   * Set the stage name.
+   * Check if the player with the given ID exists in the team with the given ID
    *
-   * @param {string|null} name The new name for the stage
+   * @param {string} playerID the ID of the player to check
+   * @param {string} teamID the ID of the team to check
+   *
+   * @returns {boolean} True if the player with the given ID exists in the team with the given ID
    */
-  setName (name) {
-    this.#name = name;
+  hasPlayerInTeam (playerID, teamID) {
+    return this.hasPlayer(playerID) && this.getPlayer(playerID).getLatestTeamEntry()?.getID() === teamID
   }
 
   /**
-   * Get the notes for this group.
+   * Delete a player from the competition
    *
-   * @returns {string|null} The notes for this group
+   * @param {string} id The ID of the player to delete
+   *
+   * @returns {Competition} This Competition instance
    */
-  getNotes () {
-    return this.#notes
+  deletePlayer (id) {
+    // TODO check if this player is in any matches
+    if (!this.hasPlayer(id)) {
+      return this
+    }
+
+    return this.#record(() => {
+      delete this.#playerLookup[id];
+      this.#players = this.#players.filter(el => el.getID() !== id);
+      return this
+    })
   }
 
   /**
-   * Set the notes for this stage.
+   * Transfer a player to a team from a date.  The player's current team entry, if it has no "until" date, is closed on the day before the
+   * transfer and a new team entry is added for the new team starting on the date of the transfer.  The transfer must come after every
+   * existing team entry, so a transfer is rejected if any of the player's team entries starts on or after the transfer date, or ends on
+   * or after it.  Only the current team entry is closed, so a transfer is also rejected if any earlier team entry has no "until" date
    *
-   * @param {string|null} notes The notes for this stage
+   * @param {string} playerID The ID of the player to transfer
+   * @param {string} toTeamID The ID of the team the player is transferring to
+   * @param {string} date The date of the transfer, in the format YYYY-MM-DD
+   * @param {string|null} notes Notes about the transfer, which are added to the new team entry
+   * @returns {Competition} This Competition instance
+   * @throws {Error} If the player or team does not exist, the date is invalid, or the transfer overlaps the player's existing team entries
    */
-  setNotes (notes) {
-    this.#notes = notes;
+  transferPlayer (playerID, toTeamID, date, notes = null) {
+    const player = this.getPlayer(playerID);
+    if (!this.hasTeam(toTeamID)) {
+      throw new Error(`Team with ID "${toTeamID}" not found`)
+    }
+
+    if (!/^[0-9]{4}-(0[0-9]|1[0-2])-(0[1-9]|[12][0-9]|3[01])$/.test(date)) {
+      throw new Error(`Invalid date "${date}": must contain a value of the form "YYYY-MM-DD"`)
+    }
+
+    const d = new Date(date);
+    if (`${d.getFullYear()}-${(d.getMonth() + 1).toString().padStart(2, '0')}-${(d.getDate()).toString().padStart(2, '0')}` !== date) {
+      throw new Error(`Invalid date "${date}": date does not exist`)
+    }
+
+    const prefix = `Cannot transfer player {${playerID}} to team "${toTeamID}" on ${date}`;
+    const latestEntry = player.getLatestTeamEntry();
+    const openEntry = latestEntry !== null && latestEntry.getUntil() === null ? latestEntry : null;
+    if (openEntry !== null && openEntry.getID() === toTeamID) {
+      throw new Error(`${prefix}: the player is already registered to the team`)
+    }
+
+    player.getTeamEntries().forEach(entry => {
+      if (entry !== latestEntry && entry.getUntil() === null) {
+        throw new Error(`${prefix}: the player's registration to team "${entry.getID()}" has no end date`)
+      }
+      if (entry.getFrom() !== null && entry.getFrom() >= date) {
+        throw new Error(`${prefix}: the player's registration to team "${entry.getID()}" starts on ${entry.getFrom()}`)
+      }
+      if (entry.getUntil() !== null && entry.getUntil() >= date) {
+        throw new Error(`${prefix}: the player's registration to team "${entry.getID()}" runs until ${entry.getUntil()}`)
+      }
+    });
+
+    return this.#record(() => {
+      if (openEntry !== null) {
+        const dayBefore = new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate() - 1));
+        openEntry.setUntil(dayBefore.toISOString().substring(0, 10));
+      }
+
+      const teamEntry = new PlayerTeam(player, toTeamID).setFrom(date);
+      if (notes !== null) {
+        teamEntry.setNotes(notes);
+      }
+      player.appendTeamEntry(teamEntry);
+      return this
+    })
   }
 
   /**
-   * Get the description for this stage.
+   * Add a new stage to the competition
    *
-   * @returns {Array<string>|null} The description for this stage
+   * @param {Stage} stage The stage to add to the competition
+   *
+   * @throws {Error} If a stage with the requested ID already exists
+   *
+   * @returns {Competition} This competition
    */
-  getDescription () {
-    return this.#description
+  addStage (stage) {
+    if (stage.getCompetition() !== this) {
+      throw new Error('Stage was initialised with a different Competition')
+    }
+    return this.#record(() => {
+      this.#stages.push(stage);
+      this.#stageLookup[stage.getID()] = stage;
+      return this
+    })
   }
 
   /**
-   * Set the description for this stage.
+   * Get the stages in this competition
    *
-   * @param {Array<string>|null} description The description for this stage
+   * @returns array The stages in this competition
    */
-  setDescription (description) {
-    this.#description = description;
+  getStages () {
+    return this.#stages
   }
 
   /**
-   * Get the IfUnknown object for this stage.
+   * Returns the Stage with the requested ID, or throws if the ID is not found
    *
-   * @returns {IfUnknown|null} The IfUnknown object for this stage
+   * @param {string} id The ID of the stage to return
+   *
+   * @throws {Error} When no stage with the provided ID is found
+   *
+   * @returns {Stage} The requested stage
    */
-  getIfUnknown () {
-    return this.#ifUnknown
+  getStage (id) {
+    if (!Object.hasOwn(this.#stageLookup, id)) {
+      throw new Error(`Stage with ID ${id} not found`)
+    }
+    return this.#stageLookup[id]
   }
 
   /**
-   * Set the IfUnknown object for this stage.
+   * Check if a stage with the given ID exists in the competition
    *
-   * @param {IfUnknown|null} ifUnknown The IfUnknown object for this stage
+   * @param {string} id The ID of the stage to check
+   *
+   * @returns {bool} True if the stage exists, false otherwise
    */
-  setIfUnknown (ifUnknown) {
-    this.#ifUnknown = ifUnknown;
-    return ifUnknown
+  hasStage (id) {
+    return Object.hasOwn(this.#stageLookup, id)
   }
 
   /**
-   * Check if matches in groups of the same stage contain duplicate teams.
+   * Delete a stage from the competition
    *
-   * @throws {Error} If duplicate teams are found in groups of the same stage
+   * @param {string} id The ID of the stage to delete
+   *
+   * @returns {Competition} This competition
    */
-  checkMatches () {
-    for (let i = 0; i < this.#groups.length - 1; i++) {
-      const thisGroupsTeamIDs = this.#groups[i].getTeamIDs(Competition$1.VBC_TEAMS_PLAYING);
-      for (let j = i + 1; j < this.#groups.length; j++) {
-        const thatGroupsTeamIDs = this.#groups[j].getTeamIDs(Competition$1.VBC_TEAMS_PLAYING);
-        const intersectingIDs = thisGroupsTeamIDs.filter(id => thatGroupsTeamIDs.includes(id));
-        if (intersectingIDs.length > 0) {
-          throw new Error('Groups in the same stage cannot contain the same team. Groups {' +
-                  `${this.#id}:${this.#groups[i].getID()}} and {${this.#id}:${this.#groups[j].getID()}} both contain ` +
-                  `the following team IDs: "${intersectingIDs.join('", "')}"`)
-        }
+  deleteStage (id) {
+    let stageFound = false;
+    this.#stages.forEach(stage => {
+      if (stageFound) {
+        stage.getGroups().forEach(group => {
+          group.getMatches().forEach(match => {
+            let teamReferences = [];
+            teamReferences = teamReferences.concat(this.#stripTeamReferences(match.getHomeTeam().getID()));
+            teamReferences = teamReferences.concat(this.#stripTeamReferences(match.getAwayTeam().getID()));
+
+            const officials = match.getOfficials();
+            if (officials !== null && officials.isTeam()) {
+              teamReferences = teamReferences.concat(this.#stripTeamReferences(match.getOfficials().getTeamID()));
+            }
+
+            teamReferences.forEach(reference => {
+              let parts;
+              if ((parts = reference.match(/^{([^:]*):.*}/)) !== null) {
+                if (parts[1] === id) {
+                  throw new Error(`Cannot delete stage with id "${id}" as it is referenced in match {${stage.getID()}:${group.getID()}:${match.getID()}}`)
+                }
+              }
+            });
+          });
+        });
+      } else if (stage.getID() === id) {
+        stageFound = true;
       }
+    });
+
+    if (!stageFound) {
+      return this
     }
+
+    return this.#record(() => {
+      delete this.#stageLookup[id];
+      this.#stages = this.#stages.filter(el => el.getID() !== id);
+      return this
+    })
   }
 
   /**
-   * Returns a list of matches from this Stage, where the list depends on the input parameters and on the type of the MatchContainer.
+   * Add a new club to the competition
    *
-   * @param {string} id When provided, return the matches where this team is playing, otherwise all matches are returned
-   *                        (and flags is ignored).  This must be a resolved team ID and not a reference.
-   *                        A team ID of CompetitionTeam.UNKNOWN_TEAM_ID is interpreted as null
-   * @param {number} flags Controls what gets returned
-   *                   <ul>
-   *                     <li><code>Competition.VBC_MATCH_ALL_IN_GROUP</code> - If a team plays any matches in a group then include all matches from that group</li>
-   *                     <li><code>Competition.VBC_MATCH_PLAYING</code> - Include matches that a team plays in</li>
-   *                     <li><code>Competition.VBC_MATCH_OFFICIATING</code> - Include matches that a team officiates in</li>
-   *                   </ul>
-   * @returns {array<MatchInterface>}
+   * @param {Club} club The club to add to the competition
+   *
+   * @throws {Error} If the input parameters are invalid or if a club with the requested ID already exists
+   *
+   * @returns {Competition} This competition
    */
-  getMatches (id = null, flags = 0) {
-    /*
-      TODO when should we include breaks?
-      TODO how do we handle duplicate breaks?
-    */
-
-    if (id === null || id === CompetitionTeam.UNKNOWN_TEAM_ID || id.startsWith('{')) {
-      return this.#getAllMatchesInStage()
+  addClub (club) {
+    if (club.getCompetition() !== this) {
+      throw new Error('Club was initialised with a different Competition')
     }
-
-    return this.#getMatchesForTeam(id, flags)
+    return this.#record(() => {
+      this.#clubs.push(club);
+      this.#clubLookup[club.getID()] = club;
+      return this
+    })
   }
 
   /**
-   * Returns a list of teams from this match container
+   * Get the clubs in this competition
    *
-   * @param {int} flags Controls what gets returned (MAYBE overrides KNOWN overrides FIXED_ID)
-   *                   <ul>
-   *                     <li><code>Competition.VBC_TEAMS_FIXED_ID</code> (default) returns teams with a defined team ID (no references)</li>
-   *                     <li><code>Competition.VBC_TEAMS_KNOWN</code> returns teams that are known (references that are resolved)</li>
-   *                     <li><code>Competition.VBC_TEAMS_MAYBE</code> returns teams that might be in this container (references that may resolve to a team)</li>
-   *                     <li><code>Competition.VBC_TEAMS_ALL</code> returns all team IDs, including unresolved references</li>
-   *                   </ul>
-   * @returns {Array<string>} All team IDs participating in this stage
+   * @returns {array} The clubs in this competition
    */
-  getTeamIDs (flags = Competition$1.VBC_TEAMS_FIXED_ID) {
-    let teamIDs = [];
-
-    this.#groups.forEach(group => {
-      teamIDs = teamIDs.concat(group.getTeamIDs(flags));
-    });
-
-    return [...new Set(teamIDs)]
+  getClubs () {
+    return this.#clubs
   }
 
   /**
-   * Get all matches in this stage.
+   * Returns the Club with the requested ID, or throws if the ID is not found
    *
-   * @returns {Array} All matches in this stage
+   * @param {string} id The ID of the club to return
+   *
+   * @throws {Error} When no club with the provided ID is found
+   *
+   * @returns {Club} The requested club
    */
-  #getAllMatchesInStage () {
-    if (Array.isArray(this.#allMatches)) {
-      return this.#allMatches
+  getClub (id) {
+    if (!Object.hasOwn(this.#clubLookup, id)) {
+      throw new Error(`Club with ID "${id}" not found`)
     }
+    return this.#clubLookup[id]
+  }
 
-    this.#allMatches = [];
-    this.#groups.forEach(group => {
-      this.#allMatches = this.#allMatches.concat(group.getMatches());
-    });
-    this.#allMatches.sort((a, b) => {
-      // Both GroupBreak and GroupMatch may have "start" and may have "date", or may have neither
-      const aDate = a.getDate() === null ? '2023-02-12' : a.getDate();
-      const bDate = b.getDate() === null ? '2023-02-12' : b.getDate();
-      const aStart = a.getStart() === null ? '10:00' : a.getStart();
-      const bStart = b.getStart() === null ? '10:00' : b.getStart();
-
-      return `${aDate}${aStart}`.localeCompare(`${bDate}${bStart}`)
-    });
+  /**
+   * Check if this competition has any clubs
+   *
+   * @returns {bool} True if the competition has clubs, otherwise false
+   */
+  hasClubs () {
+    return this.#clubs.length > 0
+  }
 
-    return this.#allMatches
+  /**
+   * Check if a club with the given ID exists in the competition
+   *
+   * @param {string} id The ID of the club to check
+   *
+   * @returns {bool} True if the club exists, false otherwise
+   */
+  hasClub (id) {
+    return Object.hasOwn(this.#clubLookup, id)
   }
 
   /**
-   * Return the group in this stage with the given ID.
+   * Delete a club from the competition
    *
-   * @param {string} id The ID of the group to get
-   * @throws {Error} If the group with the given ID is not found
-   * @returns {Group} The Group object if found, null otherwise
+   * @param {string} id The ID of the club to delete
+   *
+   * @returns {Competition} This competition
    */
-  getGroup (id) {
-    if (!Object.hasOwn(this.#groupLookup, id)) {
-      throw new Error(`Group with ID ${id} not found in stage with ID ${this.#id}`)
+  deleteClub (id) {
+    if (!this.hasClub(id)) {
+      return this
     }
-    return this.#groupLookup[id]
+
+    const club = this.getClub(id);
+    const teamsInClub = club.getTeams();
+    if (teamsInClub.length > 0) {
+      throw new Error(`Club still contains teams with IDs: ${teamsInClub.map(t => `{${t.getID()}}`).join(', ')}`)
+    }
+
+    return this.#record(() => {
+      delete this.#clubLookup[id];
+      this.#clubs = this.#clubs.filter(club => club.getID() !== id);
+      return this
+    })
   }
 
   /**
-   * Check if a group with a given ID exists in this stage.
+   * Validates a team ID, throwing an exception if it isn't and returning if the team ID is valid
    *
-   * @param {string} id The ID to check
-   * @returns {boolean} True if the group exists, false otherwise
+   * @param {string} teamID The team ID to check. This may be a team ID, a team reference, or a ternary
+   * @param {string} matchID The match that the team is a part of (for the exception message)
+   * @param {string} field The field the team is active in, e.g. "homeTeam", "officials > team" (for the exception message)
+   *
+   * @throws {Error} An exception stating that the team ID is invalid
    */
-  hasGroup (id) {
-    return Object.hasOwn(this.#groupLookup, id)
-  }
+  validateTeamID (teamID, matchID, field) {
+    let lrMatches;
 
-  /**
-     * Delete a group from the stage
-     *
-     * @param string $id The ID of the group to delete
-     *
-     * @return Stage This stage
-     */
-  deleteGroup (id) {
-    let stageFound = false;
-    let groupFound = false;
-    this.#competition.getStages().forEach(stage => {
-      // Loop through all the stages until we find this stage
-      stageFound = stageFound || (stage.getID() === this.#id);
-      if (!stageFound) {
-        return
+    // If it looks like a team ID
+    if (!teamID.startsWith('{')) {
+      try {
+        this.#validateTeamExists(teamID);
+      } catch (_) {
+        throw new Error(`Invalid team ID for ${field} in match with ID "${matchID}"`)
+      }
+      // If it looks like a ternary
+    } else if ((lrMatches = teamID.match(/^([^=]*)==([^?]*)\?(.*)/)) !== null) {
+      // Check the "left" part is a team reference
+      try {
+        this.#validateTeamReference(lrMatches[1]);
+      } catch (_) {
+        throw new Error(`Invalid ternary left part reference for ${field} in match with ID "${matchID}": "${lrMatches[1]}"`)
       }
 
-      stage.getGroups().forEach(group => {
-        // Loop through all of the groups until we find this group, but skip this group
-        if (!groupFound) {
-          groupFound = groupFound || (group.getID() === id);
-          return
-        }
+      // Check the "right" part is a team reference
+      try {
+        this.#validateTeamReference(lrMatches[2]);
+      } catch (_) {
+        throw new Error(`Invalid ternary right part reference for ${field} in match with ID "${matchID}": "${lrMatches[2]}"`)
+      }
 
-        group.getMatches().forEach(match => {
-          let teamReferences = [];
-          teamReferences = teamReferences.concat(this.#stripTeamReferences(match.getHomeTeam().getID()));
-          teamReferences = teamReferences.concat(this.#stripTeamReferences(match.getAwayTeam().getID()));
+      let tfMatches;
+      if ((tfMatches = lrMatches[3].match(/^({[^}]*}):(.*)/)) !== null) {
+        // If "true" team is a reference...
+        try {
+          this.#validateTeamReference(tfMatches[1]);
+        } catch (_) {
+          throw new Error(`Invalid ternary true team reference for ${field} in match with ID "${matchID}": "${tfMatches[1]}"`)
+        }
 
-          const officials = match.getOfficials();
-          if (officials !== null && officials.isTeam()) {
-            teamReferences = teamReferences.concat(this.#stripTeamReferences(match.getOfficials().getTeamID()));
+        try {
+          if (!tfMatches[2].startsWith('{')) {
+            this.#validateTeamExists(tfMatches[2]);
+          } else {
+            this.#validateTeamReference(tfMatches[2]);
           }
+        } catch (_) {
+          throw new Error(`Invalid ternary false team reference for ${field} in match with ID "${matchID}": "${tfMatches[2]}"`)
+        }
+      } else if ((tfMatches = lrMatches[3].match(/^([^:]*):(.*)/)) !== null) {
+        try {
+          this.#validateTeamExists(tfMatches[1]);
+        } catch (_) {
+          throw new Error(`Invalid ternary true team reference for ${field} in match with ID "${matchID}": "${tfMatches[1]}"`)
+        }
 
-          teamReferences.forEach(reference => {
-            let parts;
-            if ((parts = reference.match(/^{([^:]*):([^:]*):.*}/)) !== null) {
-              if (parts[1] === this.#id && parts[2] === id) {
-                throw new Error(`Cannot delete group with id "${id}" as it is referenced in match {${stage.getID()}:${group.getID()}:${match.getID()}}`)
-              }
-            }
-          });
-        });
-      });
-    });
-
-    if (!groupFound) {
-      return this
+        try {
+          if (!tfMatches[2].startsWith('{')) {
+            this.#validateTeamExists(tfMatches[2]);
+          } else {
+            this.#validateTeamReference(tfMatches[2]);
+          }
+        } catch (_) {
+          throw new Error(`Invalid ternary false team reference for ${field} in match with ID "${matchID}": "${tfMatches[2]}"`)
+        }
+      }
+      // If it looks like an invalid team ref
+    } else if (teamID.match(/^{[^}]*$/) !== null) {
+      throw new Error(`Invalid team reference for ${field} in match with ID "${matchID}": "${teamID}"`)
+      // It must be a team reference
+    } else {
+      this.#validateTeamReference(teamID);
     }
-
-    delete this.#groupLookup[id];
-    this.#groups = this.#groups.filter(el => el.getID() !== id);
-
-    return this
   }
 
   /**
-   * Check if all matches in the stage are complete.
+   * Takes in an exact, resolved team ID and checks that the team exists
    *
-   * @returns {bool} True if all matches in the stage are complete, false otherwise
+   * @param {string} id The team ID to check. This must be a resolved team ID, not a team reference or a ternary
+   *
+   * @throws {Error} An exception if the team does not exist
    */
-  isComplete () {
-    for (let i = 0; i < this.#groups.length; i++) {
-      if (!this.#groups[i].isComplete()) {
-        return false
-      }
+  #validateTeamExists (id) {
+    if (!this.hasTeam(id)) {
+      throw new Error(`Team with ID "${id}" does not exist`)
     }
-
-    return true
   }
 
   /**
-   * Get matches for a specific team in this stage.
+   * Takes in a team reference and validates that it is valid.  This performs the following checks
+   * <ul>
+   *   <li>Is the reference syntax valid</li>
+   *   <li>Does the referenced Stage exist</li>
+   *   <li>Does the referenced Group exist</li>
+   *   <li>For a League position reference, is the position a valid integer</li>
+   *   <li>For a League position reference in a <em>completed</em> League, is the position in the bounds of the number of teams</li>
+   *   <li>Does the referenced Match exist</li>
+   *   <li>For a Match winner/loser, is the result reference valid</li>
+   * </ul>
    *
-   * @param {string} id The ID of the team
-   * @param {number} flags Flags to filter the matches
-   * @returns {array} An array of matches for the specified team
+   * @param {string} teamRef The team reference to check
+   *
+   * @throws {Error} An exception if the team reference is invalid
    */
-  #getMatchesForTeam (id, flags) {
-    let matches = [];
+  #validateTeamReference (teamRef) {
+    let parts;
+    if ((parts = teamRef.match(/^{([^:]*):([^:]*):([^:]*):(.*)}/)) !== null) {
+      let stage;
+      let group;
 
-    this.#groups.forEach(group => {
-      if (group.teamHasMatches(id)) {
-        matches = matches.concat(group.getMatches(id, flags));
-      } else if (flags & Competition$1.VBC_MATCH_OFFICIATING && group.teamHasOfficiating(id)) {
-        matches = matches.concat(group.getMatches(id, Competition$1.VBC_MATCH_OFFICIATING));
+      try {
+        stage = this.getStage(parts[1]);
+      } catch (_) {
+        throw new Error(`Invalid Stage part: Stage with ID "${parts[1]}" does not exist`)
       }
-    });
-
-    matches.sort((a, b) => {
-      // Both GroupBreak and GroupMatch may have "start" and may have "date", or may have neither
-      const aDate = a.getDate() === null ? '2023-02-12' : a.getDate();
-      const bDate = b.getDate() === null ? '2023-02-12' : b.getDate();
-      const aStart = a.getStart() === null ? '10:00' : a.getStart();
-      const bStart = b.getStart() === null ? '10:00' : b.getStart();
 
-      return `${aDate}${aStart}`.localeCompare(`${bDate}${bStart}`)
-    });
-
-    return matches
-  }
-
-  /**
-   * Check if matches in any group within this stage have courts assigned.
-   *
-   * @returns {bool} True if matches have courts assigned, false otherwise
-   */
-  matchesHaveCourts () {
-    for (let i = 0; i < this.#groups.length; i++) {
-      if (this.#groups[i].matchesHaveCourts()) {
-        return true
+      try {
+        group = stage.getGroup(parts[2]);
+      } catch (_) {
+        throw new Error(`Invalid Group part: Group with ID "${parts[2]}" does not exist in stage with ID "${parts[1]}"`)
       }
-    }
-    return false
-  }
 
-  /**
-   * Check if matches in any group within this stage have dates assigned.
-   *
-   * @returns {bool} True if matches have dates assigned, false otherwise
-   */
-  matchesHaveDates () {
-    for (let i = 0; i < this.#groups.length; i++) {
-      if (this.#groups[i].matchesHaveDates()) {
-        return true
+      if (parts[3] === 'league') {
+        if (isNaN(parseInt(parts[4]))) {
+          throw new Error('Invalid League position: reference must be an integer')
+        }
+        if (parseInt(parts[4]) < 1) {
+          throw new Error('Invalid League position: reference must be a positive integer')
+        }
+        if (group.isComplete()) {
+          const teamsInGroup = group.getTeamIDs(Competition.VBC_TEAMS_KNOWN);
+          if (teamsInGroup.length < parseInt(parts[4])) {
+            throw new Error('Invalid League position: position is bigger than the number of teams')
+          }
+        }
+      } else {
+        try {
+          group.getMatch(parts[3]);
+        } catch (_) {
+          throw new Error(`Invalid Match part in reference ${teamRef} : Match with ID "${parts[3]}" does not exist in stage:group with IDs "${parts[1]}:${parts[2]}"`)
+        }
+        if (parts[4] !== 'winner' && parts[4] !== 'loser') {
+          throw new Error(`Invalid Match result in reference ${teamRef}: reference must be one of "winner"|"loser" in stage:group:match with IDs "${parts[1]}:${parts[2]}:${parts[3]}"`)
+        }
       }
+    } else {
+      throw new Error(`Invalid team reference format "${teamRef}", must be "{STAGE-ID:GROUP-ID:TYPE-INDICATOR:ENTITY-INDICATOR}"`)
     }
-    return false
   }
 
   /**
-   * Check if matches in any group within this stage have durations assigned.
+   * This function recursively extracts team references from the team ID, including
+   * stripping out team references in a ternary statement
    *
-   * @returns {bool} True if matches have durations assigned, false otherwise
+   * @param {string} teamReference The string containing team references.
+   *
+   * @returns {Array<string>} An array containing unique team references extracted from the input string.
    */
-  matchesHaveDurations () {
-    for (let i = 0; i < this.#groups.length; i++) {
-      if (this.#groups[i].matchesHaveDurations()) {
-        return true
+  #stripTeamReferences (teamReference) {
+    let references = [];
+    let lrMatches;
+    if (!teamReference.startsWith('{')) {
+      return []
+    } else if ((lrMatches = teamReference.match(/^([^=]*)==([^?]*)\?(.*)/)) !== null) {
+      references = references.concat(this.#stripTeamReferences(lrMatches[1]));
+      references = references.concat(this.#stripTeamReferences(lrMatches[2]));
+      let tfMatches;
+      if ((tfMatches = lrMatches[3].match(/^({[^}]*}):(.*)/)) !== null) {
+        references = references.concat(this.#stripTeamReferences(tfMatches[1]));
+        references = references.concat(this.#stripTeamReferences(tfMatches[2]));
       }
+    } else {
+      references.push(teamReference);
     }
-    return false
+
+    return [...new Set(references)]
   }
 
   /**
-   * Check if matches in any group within this stage have MVPs assigned.
+   * Find any scheduling conflicts between matches in the competition, where two matches take place at the same time on the same date
+   * and either a team is playing in both, a team is playing in one and officiating the other, a team is officiating both, or both
+   * matches are on the same court at the same venue.  Matches are considered to run from their start time for their duration, and
+   * matches without a start time are ignored.  Team references are resolved where possible, so a team that is referenced in
+   * different ways is still found, but unresolved references only match the same reference
    *
-   * @returns {bool} True if matches have MVPs assigned, false otherwise
+   * @returns {Array<{type: string, teamIDs: Array<string>, court: string|null, date: string|null, matches: Array<{stageID: string, groupID: string, matchID: string}>}>} The conflicts found, where type is one of the ScheduleConflictType values
    */
-  matchesHaveMVPs () {
-    for (let i = 0; i < this.#groups.length; i++) {
-      if (this.#groups[i].matchesHaveMVPs()) {
-        return true
+  findScheduleConflicts () {
+    const teamKey = teamID => {
+      const team = this.getTeam(teamID);
+      return team.getID() === CompetitionTeam.UNKNOWN_TEAM_ID ? teamID : team.getID()
+    };
+
+    const entries = [];
+    this.#stages.forEach(stage => {
+      stage.getGroups().forEach(group => {
+        group.getMatches().forEach(match => {
+          if (match instanceof GroupBreak || !match.hasStart()) {
+            return
+          }
+          const start = timeToMinutes(match.getStart());
+          entries.push({
+            match,
+            ids: { stageID: stage.getID(), groupID: group.getID(), matchID: match.getID() },
+            start,
+            // A match with no duration is treated as lasting one minute so that matches with the same start time still overlap
+            end: start + (match.hasDuration() ? timeToMinutes(match.getDuration()) : 1),
+            playing: [teamKey(match.getHomeTeam().getID()), teamKey(match.getAwayTeam().getID())],
+            officiating: match.hasOfficials() && match.getOfficials().isTeam() ? [teamKey(match.getOfficials().getTeamID())] : []
+          });
+        });
+      });
+    });
+
+    const conflicts = [];
+    for (let i = 0; i < entries.length; i++) {
+      for (let j = i + 1; j < entries.length; j++) {
+        const a = entries[i];
+        const b = entries[j];
+        if (a.match.getDate() !== b.match.getDate() || a.start >= b.end || b.start >= a.end) {
+          continue
+        }
+
+        const addConflict = (type, teamIDs, court) => {
+          conflicts.push({ type, teamIDs, court, date: a.match.getDate(), matches: [a.ids, b.ids] });
+        };
+
+        const playingTwice = a.playing.filter(teamID => b.playing.includes(teamID));
+        if (playingTwice.length > 0) {
+          addConflict(ScheduleConflictType.TEAM_PLAYING_TWICE, playingTwice, null);
+        }
+        const playingAndOfficiating = a.playing.filter(teamID => b.officiating.includes(teamID)).concat(b.playing.filter(teamID => a.officiating.includes(teamID)));
+        if (playingAndOfficiating.length > 0) {
+          addConflict(ScheduleConflictType.TEAM_PLAYING_AND_OFFICIATING, playingAndOfficiating, null);
+        }
+        const officiatingTwice = a.officiating.filter(teamID => b.officiating.includes(teamID));
+        if (officiatingTwice.length > 0) {
+          addConflict(ScheduleConflictType.TEAM_OFFICIATING_TWICE, officiatingTwice, null);
+        }
+        if (a.match.hasCourt() && a.match.getCourt() === b.match.getCourt() && a.match.getVenue() === b.match.getVenue()) {
+          addConflict(ScheduleConflictType.COURT_DOUBLE_BOOKED, [], a.match.getCourt());
+        }
       }
     }
-    return false
+
+    return conflicts
   }
 
   /**
-   * Check if matches in any group within this stage have managers assigned.
+   * Check whether all stages are complete, i.e. all matches in all stages have results
+   * and the competition results can be fully calculated
    *
-   * @returns {bool} True if matches have managers assigned, false otherwise
+   * @returns {bool} Whether the competition is complete or not
    */
-  matchesHaveManagers () {
-    for (let i = 0; i < this.#groups.length; i++) {
-      if (this.#groups[i].matchesHaveManagers()) {
-        return true
+  isComplete () {
+    for (let i = 0; i < this.#stages.length; i++) {
+      if (!this.#stages[i].isComplete()) {
+        return false
       }
     }
-    return false
+
+    return true
   }
+}
 
+var Competition$1 = Competition;
+
+/**
+ * Exports match results and league tables as CSV (or TSV, or any other delimiter), e.g. for pasting into a spreadsheet.  The first
+ * line is a header line naming the columns, each line ends with CRLF, and fields containing the delimiter, a double quote or a line
+ * break are quoted as defined by RFC 4180.
+ *
+ * The columns in each export, and their order, can be chosen from the column names in CSVExporter.MATCH_COLUMNS and
+ * CSVExporter.LEAGUE_TABLE_COLUMNS
+ */
+class CSVExporter {
   /**
-   * Check if matches in any group within this stage have notes assigned.
-   *
-   * @returns {bool} True if matches have notes assigned, false otherwise
+   * The columns available in the match export, in their default order.  These are:
+   * <ul>
+   *   <li>stage - the stage ID</li>
+   *   <li>group - the group ID</li>
+   *   <li>match - the match ID</li>
+   *   <li>date, start, court, venue - when and where the match is played</li>
+   *   <li>homeTeam, awayTeam - the team names, with unresolved team references described, e.g. "1st in League"</li>
+   *   <li>scores - the score, e.g. "25-20" for a continuous match, or the score of each set, e.g. "25-20, 18-25, 15-10"</li>
+   *   <li>homeSets, awaySets - the number of sets won by each team, in a match played in sets</li>
+   *   <li>winner - the name of the winning team, when the match is complete and not drawn</li>
+   *   <li>officials - the name of the officiating team, or the names of the referees</li>
+   *   <li>mvp - the name of the most valuable player</li>
+   * </ul>
+   * @type {Array<string>}
    */
-  matchesHaveNotes () {
-    for (let i = 0; i < this.#groups.length; i++) {
-      if (this.#groups[i].matchesHaveNotes()) {
-        return true
-      }
-    }
-    return false
-  }
+  static MATCH_COLUMNS = ['stage', 'group', 'match', 'date', 'start', 'court', 'venue', 'homeTeam', 'awayTeam', 'scores', 'homeSets', 'awaySets', 'winner', 'officials', 'mvp']
 
   /**
-   * Check if matches in any group within this stage have officials assigned.
-   *
-   * @returns {bool} True if matches have officials assigned, false otherwise
+   * The columns available in the league table export, in their default order.  These are "stage" and "group" (the IDs of the league),
+   * "position" (the position in the table, starting at 1), "teamID", "team" (the team name), and the league table entry values "played",
+   * "wins", "losses", "draws", "sf", "sa", "sd", "pf", "pa", "pd", "bp", "pp" and "pts"
+   * @type {Array<string>}
    */
-  matchesHaveOfficials () {
-    for (let i = 0; i < this.#groups.length; i++) {
-      if (this.#groups[i].matchesHaveOfficials()) {
-        return true
-      }
-    }
-    return false
-  }
+  static LEAGUE_TABLE_COLUMNS = ['stage', 'group', 'position', 'teamID', 'team', 'played', 'wins', 'losses', 'draws', 'sf', 'sa', 'sd', 'pf', 'pa', 'pd', 'bp', 'pp', 'pts']
 
   /**
-   * Check if matches in any group within this stage have start times assigned.
-   *
-   * @returns {bool} True if matches have start times assigned, false otherwise
+   * The competition to export
+   * @type {Competition}
+   * @private
    */
-  matchesHaveStarts () {
-    for (let i = 0; i < this.#groups.length; i++) {
-      if (this.#groups[i].matchesHaveStarts()) {
-        return true
-      }
-    }
-    return false
-  }
+  #competition
 
   /**
-   * Check if matches in any group within this stage have venues assigned.
-   *
-   * @returns {bool} True if matches have venues assigned, false otherwise
+   * The field delimiter
+   * @type {string}
+   * @private
    */
-  matchesHaveVenues () {
-    for (let i = 0; i < this.#groups.length; i++) {
-      if (this.#groups[i].matchesHaveVenues()) {
-        return true
-      }
-    }
-    return false
-  }
+  #delimiter
 
   /**
-   * Check if matches in any group within this stage have warmup information assigned.
-   *
-   * @returns {bool} True if matches have warmup information assigned, false otherwise
+   * The columns to include in the match export
+   * @type {Array<string>}
+   * @private
    */
-  matchesHaveWarmups () {
-    for (let i = 0; i < this.#groups.length; i++) {
-      if (this.#groups[i].matchesHaveWarmups()) {
-        return true
-      }
-    }
-    return false
-  }
+  #matchColumns
 
   /**
-   * Check if a team has matches scheduled in any group within this stage.
-   *
-   * @param {string} id The ID of the team
-   * @returns {bool} True if the team has matches scheduled, false otherwise
+   * The columns to include in the league table export
+   * @type {Array<string>}
+   * @private
    */
-  teamHasMatches (id) {
-    for (let i = 0; i < this.#groups.length; i++) {
-      if (this.#groups[i].teamHasMatches(id)) {
-        return true
-      }
-    }
-    return false
-  }
+  #leagueTableColumns
 
   /**
-   * Check if a team has officiating duties assigned in any group within this stage.
+   * Constructs a new CSVExporter
    *
-   * @param {string} id The ID of the team
-   * @returns {bool} True if the team has officiating duties assigned, false otherwise
+   * @param {Competition} competition The competition to export
+   * @param {object} options The exporter options
+   * @param {string} [options.delimiter=','] The field delimiter, e.g. "\t" for TSV
+   * @param {Array<string>} [options.matchColumns=CSVExporter.MATCH_COLUMNS] The columns to include in the match export, in order
+   * @param {Array<string>} [options.leagueTableColumns=CSVExporter.LEAGUE_TABLE_COLUMNS] The columns to include in the league table export, in order
+   * @throws {Error} If the delimiter is not a single character that can be used as a delimiter, or if an unknown column is requested
    */
-  teamHasOfficiating (id) {
-    for (let i = 0; i < this.#groups.length; i++) {
-      if (this.#groups[i].teamHasOfficiating(id)) {
-        return true
-      }
+  constructor (competition, options = {}) {
+    this.#competition = competition;
+    this.#delimiter = options.delimiter ?? ',';
+    this.#matchColumns = options.matchColumns ?? CSVExporter.MATCH_COLUMNS;
+    this.#leagueTableColumns = options.leagueTableColumns ?? CSVExporter.LEAGUE_TABLE_COLUMNS;
+
+    if (this.#delimiter.length !== 1 || ['"', '\r', '\n'].includes(this.#delimiter)) {
+      throw new Error(`Invalid delimiter "${this.#delimiter}": must be a single character other than a double quote or a line break`)
     }
-    return false
+    this.#matchColumns.forEach(column => {
+      if (!CSVExporter.MATCH_COLUMNS.includes(column)) {
+        throw new Error(`Unknown match column "${column}"`)
+      }
+    });
+    this.#leagueTableColumns.forEach(column => {
+      if (!CSVExporter.LEAGUE_TABLE_COLUMNS.includes(column)) {
+        throw new Error(`Unknown league table column "${column}"`)
+      }
+    });
   }
 
   /**
-   * Check if a team may have matches scheduled in any group within this stage. Note that this has undefined behaviour if a team definitely has matches,
-   * i.e. if you want to know if a team definitely has matches in this stage then call teamHasMatches(), but if you want to know if there are any
-   * references that might point to this team (e.g. a reference to a team in a league position in an incomplete league) then call this function.  This
-   * is essentially so we know whether we still need to consider displaying a stage to the competitors as they <i>might</i> still be able to reach that stage.
+   * Export every match in the competition, one line per match, in stage, group and match order.  Breaks are not included
    *
-   * @param {string} id The ID of the team to check
-   * @returns {bool} True if the team may have matches scheduled, false otherwise
+   * @returns {string} The CSV text
    */
-  teamMayHaveMatches (id) {
-    /* TODO Do we need to rewrite this?
-
-    assert - we only call this after calling "teamHasMatches()".  In other words, this has ?undefined return? if you definitely have matches?
-    maybe consider when we know they _don't_ have matches?
-
-    Need to be able to say STG1:GRP1:league:#
-      - if STG1:GRP1 complete then we know all league positions and all references to STG1:GRP1:* so result is defined and "teamHasMatches()" should catch it
-      - else then league:# is not defined, so we're down to "does teamID have any matches in STG1:GRP1?"  Or even "could the have any" (remember STG1:GRP1 might also have references to earlier stages)
-    */
-
-    if (this.isComplete()) {
-      // If the stage is complete then there are no "maybes"; everything is known so you should call teamHasMatches()
-      return false
-    }
-
-    // Get all unresolved references {STG:GRP:...}
-    if (this.#teamStgGrpLookup === null) {
-      this.#teamStgGrpLookup = {};
-      this.#groups.forEach(group => {
+  exportMatches () {
+    const rows = [];
+    this.#competition.getStages().forEach(stage => {
+      stage.getGroups().forEach(group => {
         group.getMatches().forEach(match => {
-          if (match instanceof GroupMatch && this.#competition.getTeam(id).getID() !== CompetitionTeam.UNKNOWN_TEAM_ID) {
-            const homeTeamParts = match.getHomeTeam().getID().substr(1).split(':', 3);
-            if (homeTeamParts.length > 2) {
-              const key = `${homeTeamParts[0]}:${homeTeamParts[1]}`;
-              if (!Object.hasOwn(this.#teamStgGrpLookup, key)) {
-                this.#teamStgGrpLookup[key] = {
-                  stage: homeTeamParts[0],
-                  group: homeTeamParts[1]
-                };
-              }
-            }
-
-            const awayTeamParts = match.getAwayTeam().getID().substr(1).split(':', 3);
-            if (awayTeamParts.length > 2) {
-              const key = `${awayTeamParts[0]}:${awayTeamParts[1]}`;
-              if (!Object.hasOwn(this.#teamStgGrpLookup, key)) {
-                this.#teamStgGrpLookup[key] = {
-                  stage: awayTeamParts[0],
-                  group: awayTeamParts[1]
-                };
-              }
-            }
-
-            if (match.getOfficials() !== null && match.getOfficials().isTeam()) {
-              const refereeTeamParts = match.getOfficials().getTeamID().substr(1).split(':', 3);
-              if (refereeTeamParts.length > 2) {
-                const key = `${refereeTeamParts[0]}:${refereeTeamParts[1]}`;
-                if (!Object.hasOwn(this.#teamStgGrpLookup, key)) {
-                  this.#teamStgGrpLookup[key] = {
-                    stage: refereeTeamParts[0],
-                    group: refereeTeamParts[1]
-                  };
-                }
-              }
-            }
+          if (!(match instanceof GroupBreak)) {
+            const values = this.#matchValues(match);
+            rows.push(this.#matchColumns.map(column => values[column]));
           }
         });
       });
-    }
-
-    // Look up each reference to see if it leads back to this team
-    const teamStgGrpLookupValues = Object.values(this.#teamStgGrpLookup);
-    for (let i = 0; i < teamStgGrpLookupValues.length; i++) {
-      const group = this.#competition.getStage(teamStgGrpLookupValues[i].stage).getGroup(teamStgGrpLookupValues[i].group);
-      if ((!group.isComplete() && group.teamHasMatches(id)) || group.teamMayHaveMatches(id)) {
-        return true
-      }
-    }
-    return false
+    });
+    return this.#toCSV(this.#matchColumns, rows)
   }
 
   /**
-   * Returns a list of match dates in this Stage.  If a team ID is given then return dates for just that team.
+   * Export the league table of every league in the competition, one line per team, in stage and group order
    *
-   * @param {string} id This must be a resolved team ID and not a reference
-   * @param {number} flags Controls what gets returned
-   *                   <ul>
-   *                     <li><code>Competition.VBC_MATCH_ALL</code> - Include all matches</li>
-   *                     <li><code>Competition.VBC_MATCH_PLAYING</code> - Include matches that a team plays in</li>
-   *                     <li><code>Competition.VBC_MATCH_OFFICIATING</code> - Include matches that a team officiates in</li>
-   *                   </ul>
-   * @returns array<string>
+   * @returns {string} The CSV text
    */
-  getMatchDates (id = null, flags = Competition$1.VBC_MATCH_PLAYING) {
-    let matchDates = [];
-    this.#groups.forEach(group => {
-      const groupMatchDates = group.getMatchDates(id, flags);
-      matchDates = matchDates.concat(groupMatchDates);
+  exportLeagueTables () {
+    const rows = [];
+    this.#competition.getStages().forEach(stage => {
+      stage.getGroups().forEach(group => {
+        if (group instanceof League) {
+          group.getLeagueTable().entries.forEach((entry, i) => {
+            const values = {
+              stage: stage.getID(),
+              group: group.getID(),
+              position: i + 1,
+              teamID: entry.getTeamID(),
+              team: entry.getTeam(),
+              played: entry.getPlayed(),
+              wins: entry.getWins(),
+              losses: entry.getLosses(),
+              draws: entry.getDraws(),
+              sf: entry.getSF(),
+              sa: entry.getSA(),
+              sd: entry.getSD(),
+              pf: entry.getPF(),
+              pa: entry.getPA(),
+              pd: entry.getPD(),
+              bp: entry.getBP(),
+              pp: entry.getPP(),
+              pts: entry.getPTS()
+            };
+            rows.push(this.#leagueTableColumns.map(column => values[column]));
+          });
+        }
+      });
     });
-    matchDates.sort();
-    return matchDates
+    return this.#toCSV(this.#leagueTableColumns, rows)
   }
 
   /**
-   * Returns a list of matches on the specified date in this Stage.  If a team ID is given then return matches for just that team.
-   * The returned list includes breaks when that break has a date value
+   * Get the value of every match column for a match
    *
-   * @param {string} date The requested date in the format YYYY-MM-DD
-   * @param {string} id This must be a resolved team ID and not a reference
-   * @param {number} flags Controls what gets returned
-   *                   <ul>
-   *                     <li><code>Competition.VBC_MATCH_ALL</code> - Include all matches</li>
-   *                     <li><code>Competition.VBC_MATCH_PLAYING</code> - Include matches that a team plays in</li>
-   *                     <li><code>Competition.VBC_MATCH_OFFICIATING</code> - Include matches that a team officiates in</li>
-   *                   </ul>
-   * @returns array<MatchInterface>
+   * @param {GroupMatch} match The match
+   * @returns {object} A map of column name to value, where null is an empty field
    */
-  getMatchesOnDate (date, id = null, flags = Competition$1.VBC_MATCH_ALL) {
-    let matches = [];
-    this.#groups.forEach(group => {
-      const groupMatches = group.getMatchesOnDate(date, id, flags);
-      matches = matches.concat(groupMatches);
-    });
-    matches.sort((a, b) => {
-      // matches may have "start" or may not
-      const aStart = a.getStart() === null ? '10:00' : a.getStart();
-      const bStart = b.getStart() === null ? '10:00' : b.getStart();
+  #matchValues (match) {
+    const group = match.getGroup();
+    const isSets = group.getMatchType() === MatchType.SETS;
+    const hasScores = match.getHomeTeamScores().length > 0;
+    const awayScores = match.getAwayTeamScores();
 
-      return `${aStart}`.localeCompare(`${bStart}`)
-    });
-    return matches
+    let officials = null;
+    if (match.hasOfficials()) {
+      const matchOfficials = match.getOfficials();
+      if (matchOfficials.isTeam()) {
+        officials = this.#competition.getTeamDisplayName(matchOfficials.getTeamID());
+      } else {
+        officials = matchOfficials.hasSecondRef() ? `${matchOfficials.getFirstRef()}, ${matchOfficials.getSecondRef()}` : matchOfficials.getFirstRef();
+      }
+    }
+
+    return {
+      stage: group.getStage().getID(),
+      group: group.getID(),
+      match: match.getID(),
+      date: match.getDate(),
+      start: match.getStart(),
+      court: match.getCourt(),
+      venue: match.getVenue(),
+      homeTeam: this.#competition.getTeamDisplayName(match.getHomeTeam().getID()),
+      awayTeam: this.#competition.getTeamDisplayName(match.getAwayTeam().getID()),
+      scores: match.getHomeTeamScores().map((score, i) => `${score}-${awayScores[i]}`).join(', '),
+      homeSets: isSets && hasScores ? match.getHomeTeamSets() : null,
+      awaySets: isSets && hasScores ? match.getAwayTeamSets() : null,
+      winner: match.isComplete() && !match.isDraw() ? this.#competition.getTeamDisplayName(match.getWinnerTeamID()) : null,
+      officials,
+      mvp: match.hasMVP() ? match.getMVP().getName() : null
+    }
   }
 
   /**
-   * This function recursively extracts team references from the team ID, including
-   * stripping out team references in a ternary statement
+   * Build the CSV text from a header and rows of values
    *
-   * @param {string} teamReference The string containing team references.
+   * @param {Array<string>} header The column names
+   * @param {Array<Array<string|number|null>>} rows The rows of values, where null is an empty field
+   * @returns {string} The CSV text
+   */
+  #toCSV (header, rows) {
+    return [header].concat(rows).map(row => row.map(value => this.#field(value)).join(this.#delimiter) + '\r\n').join('')
+  }
+
+  /**
+   * Format a single field, quoting it when it contains the delimiter, a double quote or a line break
    *
-   * @returns {Array<string>} An array containing unique team references extracted from the input string.
+   * @param {string|number|null} value The value of the field
+   * @returns {string} The field text
    */
-  #stripTeamReferences (teamReference) {
-    let references = [];
-    let lrMatches;
-    if (!teamReference.startsWith('{')) {
-      return []
-    } else if ((lrMatches = teamReference.match(/^([^=]*)==([^?]*)\?(.*)/)) !== null) {
-      references = references.concat(this.#stripTeamReferences(lrMatches[1]));
-      references = references.concat(this.#stripTeamReferences(lrMatches[2]));
-      let tfMatches;
-      if ((tfMatches = lrMatches[3].match(/^({[^}]*}):(.*)/)) !== null) {
-        references = references.concat(this.#stripTeamReferences(tfMatches[1]));
-        references = references.concat(this.#stripTeamReferences(tfMatches[2]));
+  #field (value) {
+    const text = value === null ? '' : String(value);
+    if (text.includes(this.#delimiter) || /["\r\n]/.test(text)) {
+      return `"${text.replace(/"/g, '""')}"`
+    }
+    return text
+  }
+}
+
+/**
+ * Parse CSV text as defined by RFC 4180.  Fields may be quoted, quoted fields may contain commas, newlines and doubled quotes, and
+ * lines may end in CRLF or LF.  Blank lines are skipped
+ *
+ * @param {string} text The CSV text
+ * @returns {{records: Array<{line: number, fields: Array<string>}>, error: {line: number, message: string}|null}} The records, each with
+ * the line number that the record starts on, and an error if the CSV could not be parsed
+ */
+function parseCSV (text) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let line = 1;
+  let recordLine = 1;
+  let quoteLine = 0;
+  let inQuotes = false;
+  let hasContent = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+      hasContent = true;
+      quoteLine = line;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+      hasContent = true;
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
       }
+      if (hasContent || field !== '') {
+        fields.push(field);
+        records.push({ line: recordLine, fields });
+      }
+      fields = [];
+      field = '';
+      hasContent = false;
+      line++;
+      recordLine = line;
     } else {
-      references.push(teamReference);
+      field += char;
     }
+  }
 
-    return [...new Set(references)]
+  if (inQuotes) {
+    return { records, error: { line: quoteLine, message: `Unterminated quoted field starting on line ${quoteLine}` } }
   }
+  if (hasContent || field !== '') {
+    fields.push(field);
+    records.push({ line: recordLine, fields });
+  }
+
+  return { records, error: null }
 }
 
 /**
- * The Ajv schema validator
- * @type {Ajv}
- * @private
+ * Split a field holding a list of values separated by semicolons
+ *
+ * @param {string} value The field value
+ * @returns {Array<string>} The values, with surrounding whitespace removed
  */
-let validator = null;
+function splitList (value) {
+  return value.split(';').map(item => item.trim()).filter(item => item !== '')
+}
 
 /**
- * Perform schema validation on the JSON data
- *
- * @param {object} competitionData The object representation of the parsed JSON data
+ * Imports clubs, teams, players and fixtures into a competition from CSV text, such as a spreadsheet export.  The first line of the
+ * CSV must be a header line naming the columns, in any order, and columns that are not recognised are ignored.  An empty field is
+ * treated as a missing value.  Fields that hold a list, such as a contact's roles, separate the values with semicolons.
  *
- * @throws Error An exception containing a list of schema validation errors
+ * Each line is imported on its own: when a line is invalid it is skipped and the error is recorded against the line number, and the
+ * rest of the CSV is still imported.  A line that fails leaves the competition unchanged.
  */
-async function validateJSON (competitionData) {
-  if (validator === null) {
-    const ajv = new Ajv();
-    addFormats(ajv);
-    validator = ajv.compile(n);
+class CSVImporter {
+  /**
+   * The competition to import into
+   * @type {Competition}
+   * @private
+   */
+  #competition
+
+  /**
+   * Constructs a new CSVImporter
+   *
+   * @param {Competition} competition The competition to import into
+   */
+  constructor (competition) {
+    this.#competition = competition;
   }
 
-  if (!validator(competitionData)) {
-    let errors = '';
-    validator.errors.forEach(e => {
-      errors += `[${e.schemaPath}] [${e.instancePath}] ${e.message}\n`;
+  /**
+   * Import clubs.  The columns are "id" and "name", which are required, and "notes"
+   *
+   * @param {string} csv The CSV text
+   * @returns {{imported: number, errors: Array<{line: number, message: string}>}} The number of lines imported, and an error for each line that was not
+   */
+  importClubs (csv) {
+    return this.#importRows(csv, ['id', 'name'], ['notes'], row => {
+      const club = new Club(this.#competition, row.id, row.name);
+      if (row.notes !== '') {
+        club.setNotes(row.notes);
+      }
+      this.#competition.addClub(club);
+    })
+  }
+
+  /**
+   * Import teams and their contacts.  The columns are "id" and "name", which are required, "club" (the ID of a club already in the
+   * competition), "notes", and the contact columns "contactID", "contactName", "contactRoles", "contactEmails" and "contactPhones".
+   * The contact roles are values of ContactRole, such as "secretary" or "assistantCoach".
+   *
+   * A team can have more than one contact by repeating the team on another line with the details of the next contact.  When a line
+   * names a team that already exists, only the contact on that line is imported
+   *
+   * @param {string} csv The CSV text
+   * @returns {{imported: number, errors: Array<{line: number, message: string}>}} The number of lines imported, and an error for each line that was not
+   */
+  importTeams (csv) {
+    return this.#importRows(csv, ['id', 'name'], ['club', 'notes', 'contactID', 'contactName', 'contactRoles', 'contactEmails', 'contactPhones'], row => {
+      const isNewTeam = !this.#competition.hasTeam(row.id);
+      if (!isNewTeam && row.contactID === '') {
+        throw new Error(`Team with ID "${row.id}" already exists in the competition`)
+      }
+
+      const team = isNewTeam ? new CompetitionTeam(this.#competition, row.id, row.name) : this.#competition.getTeam(row.id);
+      if (isNewTeam) {
+        if (row.club !== '' && !this.#competition.hasClub(row.club)) {
+          throw new Error(`No club with ID "${row.club}" exists`)
+        }
+        if (row.notes !== '') {
+          team.setNotes(row.notes);
+        }
+      }
+
+      if (row.contactID !== '') {
+        const contact = new Contact(team, row.contactID, []);
+        contact.setRoles(splitList(row.contactRoles));
+        if (row.contactName !== '') {
+          contact.setName(row.contactName);
+        }
+        contact.setEmails(splitList(row.contactEmails));
+        contact.setPhones(splitList(row.contactPhones));
+        team.addContact(contact);
+      }
+
+      if (isNewTeam) {
+        this.#competition.addTeam(team);
+        if (row.club !== '') {
+          team.setClubID(row.club);
+        }
+      }
+    })
+  }
+
+  /**
+   * Import players and the teams they are registered with.  The columns are "id" and "name", which are required, "number", "notes",
+   * and the registration columns "team" (the ID of a team already in the competition), "from", "until" and "teamNotes".
+   *
+   * A player's registration history is built by repeating the player on further lines, one for each team they have been registered
+   * with, in date order.  When a line names a player that already exists, only the registration on that line is imported
+   *
+   * @param {string} csv The CSV text
+   * @returns {{imported: number, errors: Array<{line: number, message: string}>}} The number of lines imported, and an error for each line that was not
+   */
+  importPlayers (csv) {
+    return this.#importRows(csv, ['id', 'name'], ['number', 'notes', 'team', 'from', 'until', 'teamNotes'], row => {
+      const isNewPlayer = !this.#competition.hasPlayer(row.id);
+      if (!isNewPlayer && row.team === '') {
+        throw new Error(`Player with ID "${row.id}" already exists in the competition`)
+      }
+
+      const player = isNewPlayer ? new Player(this.#competition, row.id, row.name) : this.#competition.getPlayer(row.id);
+      if (isNewPlayer) {
+        if (row.number !== '') {
+          if (!/^[0-9]+$/.test(row.number)) {
+            throw new Error(`Invalid player number "${row.number}": must be a whole number`)
+          }
+          player.setNumber(parseInt(row.number));
+        }
+        if (row.notes !== '') {
+          player.setNotes(row.notes);
+        }
+      }
+
+      if (row.team !== '') {
+        if (!this.#competition.hasTeam(row.team)) {
+          throw new Error(`Team with ID "${row.team}" not found in the competition`)
+        }
+        const teamEntry = new PlayerTeam(player, row.team);
+        if (row.from !== '') {
+          teamEntry.setFrom(row.from);
+        }
+        if (row.until !== '') {
+          teamEntry.setUntil(row.until);
+        }
+        if (row.teamNotes !== '') {
+          teamEntry.setNotes(row.teamNotes);
+        }
+        player.appendTeamEntry(teamEntry);
+      }
+
+      if (isNewPlayer) {
+        this.#competition.addPlayer(player);
+      }
+    })
+  }
+
+  /**
+   * Import fixtures into a group.  The columns are "id", "homeTeam" and "awayTeam", which are required, and "date", "warmup",
+   * "start", "duration", "court", "venue", "officials" (the ID of the officiating team), "referee" (the name of the first referee,
+   * when the match is not officiated by a team) and "notes".  Team IDs can be team references, such as "{L:RL:league:1}"
+   *
+   * @param {string} csv The CSV text
+   * @param {Group} group The group to add the matches to
+   * @returns {{imported: number, errors: Array<{line: number, message: string}>}} The number of lines imported, and an error for each line that was not
+   */
+  importFixtures (csv, group) {
+    return this.#importRows(csv, ['id', 'homeTeam', 'awayTeam'], ['date', 'warmup', 'start', 'duration', 'court', 'venue', 'officials', 'referee', 'notes'], row => {
+      const match = new GroupMatch$1(group, row.id);
+      this.#competition.validateTeamID(row.homeTeam, row.id, 'homeTeam');
+      this.#competition.validateTeamID(row.awayTeam, row.id, 'awayTeam');
+      match.setHomeTeam(new MatchTeam(match, row.homeTeam)).setAwayTeam(new MatchTeam(match, row.awayTeam));
+
+      if (group.getMatchType() === MatchType.CONTINUOUS) {
+        match.setComplete(false);
+      }
+      if (row.date !== '') {
+        match.setDate(row.date);
+      }
+      if (row.warmup !== '') {
+        match.setWarmup(row.warmup);
+      }
+      if (row.start !== '') {
+        match.setStart(row.start);
+      }
+      if (row.duration !== '') {
+        match.setDuration(row.duration);
+      }
+      if (row.court !== '') {
+        match.setCourt(row.court);
+      }
+      if (row.venue !== '') {
+        match.setVenue(row.venue);
+      }
+      if (row.officials !== '' && row.referee !== '') {
+        throw new Error(`Match with ID "${row.id}" cannot have both an officiating team and a referee`)
+      }
+      if (row.officials !== '') {
+        this.#competition.validateTeamID(row.officials, row.id, 'officials');
+        match.setOfficials(new MatchOfficials$1(match, row.officials));
+      }
+      if (row.referee !== '') {
+        match.setOfficials(new MatchOfficials$1(match, null, row.referee));
+      }
+      if (row.notes !== '') {
+        match.setNotes(row.notes);
+      }
+
+      // A team cannot play in two groups in the same stage, and the group cannot take the match back out once it is added
+      group.getStage().getGroups().forEach(otherGroup => {
+        if (otherGroup !== group) {
+          const otherTeamIDs = otherGroup.getTeamIDs(Competition$1.VBC_TEAMS_PLAYING);
+          const clashingIDs = [row.homeTeam, row.awayTeam].filter(teamID => otherTeamIDs.includes(teamID));
+          if (clashingIDs.length > 0) {
+            throw new Error(`Team with ID "${clashingIDs[0]}" is already playing in group {${otherGroup.getStage().getID()}:${otherGroup.getID()}}, and groups in the same stage cannot contain the same team`)
+          }
+        }
+      });
+
+      group.addMatch(match);
+    })
+  }
+
+  /**
+   * Parse the CSV and import each line in turn, collecting the errors
+   *
+   * @param {string} csv The CSV text
+   * @param {Array<string>} required The columns that must be present and have a value on every line
+   * @param {Array<string>} optional The other columns that the import understands
+   * @param {function(object): void} importRow The function to import a single line, given an object mapping each column name to its value
+   * @returns {{imported: number, errors: Array<{line: number, message: string}>}} The number of lines imported, and an error for each line that was not
+   */
+  #importRows (csv, required, optional, importRow) {
+    const result = { imported: 0, errors: [] };
+
+    const { records, error } = parseCSV(csv);
+    if (error !== null) {
+      result.errors.push(error);
+      return result
+    }
+
+    if (records.length === 0) {
+      result.errors.push({ line: 1, message: 'Missing header line' });
+      return result
+    }
+
+    const header = records[0].fields.map(name => name.trim());
+    const missing = required.filter(name => !header.includes(name));
+    if (missing.length > 0) {
+      result.errors.push({ line: records[0].line, message: `Missing required column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}` });
+      return result
+    }
+
+    records.slice(1).forEach(record => {
+      const row = {};
+      required.concat(optional).forEach(name => {
+        const index = header.indexOf(name);
+        row[name] = index === -1 ? '' : (record.fields[index] ?? '').trim();
+      });
+
+      try {
+        const empty = required.filter(name => row[name] === '');
+        if (empty.length > 0) {
+          throw new Error(`Missing value for required column${empty.length > 1 ? 's' : ''}: ${empty.join(', ')}`)
+        }
+        importRow(row);
+        result.imported++;
+      } catch (err) {
+        result.errors.push({ line: record.line, message: err.message });
+      }
     });
-    throw new Error(`Competition data failed schema validation:\n${errors}`)
+
+    return result
   }
 }
 
-class Competition {
+/**
+ * Checks the players in each team's line-up for the matches in a competition against a set of eligibility rules.
+ *
+ * A rule is a function that is given a line-up and returns the rule violations in it.  The line-up is an object with the properties:
+ * <ul>
+ *   <li>competition - the competition</li>
+ *   <li>match - the GroupMatch being played</li>
+ *   <li>matchTeam - the MatchTeam whose line-up is being checked</li>
+ *   <li>teamID - the ID of the team, or the team reference when the team is not yet known</li>
+ *   <li>players - the players in the line-up, from MatchTeam.getPlayers()</li>
+ * </ul>
+ * and each violation it returns is an object with the IDs of the players that break the rule, which may be empty when the rule is
+ * about the line-up as a whole, and a message describing the violation.  Rules for common league regulations are available from the
+ * static methods, and any other rule can be added as a function.
+ */
+class EligibilityChecker {
   /**
-   * The version of schema that the document conforms to. Defaults to 1.0.0
-   * @type {string}
+   * The competition whose matches are checked
+   * @type {Competition}
    * @private
    */
-  #version
+  #competition
 
   /**
-   * A list of key-value pairs representing metadata about the competition, where each key must be unique. This can be used for functionality such as associating a competition with a season, and searching for competitions with matching metadata
-   * @type {array}
+   * The rules to check, in the order they were added
+   * @type {Array<{name: string, check: function(object): Array<{playerIDs: Array<string>, message: string}>}>}
    * @private
    */
-  #metadata
+  #rules
 
   /**
-   * A name for the competition
-   * @type {string}
-   * @private
+   * Constructs a new EligibilityChecker with no rules
+   *
+   * @param {Competition} competition The competition whose matches are checked
    */
-  #name
+  constructor (competition) {
+    this.#competition = competition;
+    this.#rules = [];
+  }
 
   /**
-   * Free form string to add notes about the competition.  This can be used for arbitrary content that various implementations can use
-   * @type {string|null}
-   * @private
+   * Get the competition whose matches are checked
+   *
+   * @returns {Competition} The competition
    */
-  #notes
+  getCompetition () {
+    return this.#competition
+  }
 
   /**
-   *  A list of clubs that the teams are in
-   * @type {array}
-   * @private
+   * Add a rule to check
+   *
+   * @param {string} name The name of the rule, which is given in each of its violations
+   * @param {function(object): Array<{playerIDs: Array<string>, message: string}>} check The function that checks a line-up against the rule
+   * @returns {EligibilityChecker} This checker
+   * @throws {Error} If a rule with the same name has already been added
    */
-  #clubs
+  addRule (name, check) {
+    if (this.hasRule(name)) {
+      throw new Error(`Eligibility rule "${name}" already added`)
+    }
+    this.#rules.push({ name, check });
+    return this
+  }
 
   /**
-   * The list of all teams in this competition
-   * @type {array}
-   * @private
+   * Check whether a rule has been added
+   *
+   * @param {string} name The name of the rule
+   * @returns {boolean} Whether the rule has been added
    */
-  #teams
+  hasRule (name) {
+    return this.#rules.some(rule => rule.name === name)
+  }
 
   /**
-   * A list of players in the competition
-   * @type {array}
-   * @private
+   * Remove a rule
+   *
+   * @param {string} name The name of the rule
+   * @returns {EligibilityChecker} This checker
    */
-  #players
+  removeRule (name) {
+    this.#rules = this.#rules.filter(rule => rule.name !== name);
+    return this
+  }
 
   /**
-   * The stages of the competition. Stages are phases of a competition that happen in order.  There may be only one stage (e.g. for a flat league) or multiple in sequence
-   * (e.g. for a tournament with pools, then crossovers, then finals)
-   * @type {array}
-   * @private
+   * Get the names of the rules, in the order they were added
+   *
+   * @returns {Array<string>} The rule names
    */
-  #stages
+  getRuleNames () {
+    return this.#rules.map(rule => rule.name)
+  }
+
+  /**
+   * Check the line-ups for every match in the competition against the rules
+   *
+   * @returns {Array<{rule: string, stageID: string, groupID: string, matchID: string, teamID: string, playerIDs: Array<string>, message: string}>} The violations found
+   */
+  check () {
+    return this.#competition.getStages().flatMap(stage => stage.getGroups()).flatMap(group => group.getMatches())
+      .filter(match => match instanceof GroupMatch$1)
+      .flatMap(match => this.checkMatch(match))
+  }
+
+  /**
+   * Check the line-ups for a match against the rules
+   *
+   * @param {GroupMatch} match The match to check
+   * @returns {Array<{rule: string, stageID: string, groupID: string, matchID: string, teamID: string, playerIDs: Array<string>, message: string}>} The violations found
+   */
+  checkMatch (match) {
+    const ids = { stageID: match.getGroup().getStage().getID(), groupID: match.getGroup().getID(), matchID: match.getID() };
+    return [match.getHomeTeam(), match.getAwayTeam()].flatMap(matchTeam => {
+      const lineup = {
+        competition: this.#competition,
+        match,
+        matchTeam,
+        teamID: EligibilityChecker.#teamKey(this.#competition, matchTeam.getID()),
+        players: matchTeam.getPlayers()
+      };
+      return this.#rules.flatMap(rule => rule.check(lineup).map(violation => ({
+        rule: rule.name,
+        ...ids,
+        teamID: lineup.teamID,
+        playerIDs: violation.playerIDs,
+        message: violation.message
+      })))
+    })
+  }
+
+  /**
+   * A rule that a registered player may only play for one team in the competition.  A player breaks the rule in every line-up for a
+   * team other than the first team they played for, with matches taken in the order they appear in the competition.  Line-ups for
+   * teams that are not yet known are not checked, and do not count towards the first team a player played for
+   *
+   * @returns {function(object): Array<{playerIDs: Array<string>, message: string}>} The rule
+   */
+  static oneTeamPerCompetition () {
+    return lineup => {
+      if (!lineup.competition.hasTeam(lineup.teamID)) {
+        return []
+      }
+      const matches = lineup.competition.getStages().flatMap(stage => stage.getGroups()).flatMap(group => group.getMatches())
+        .filter(match => match instanceof GroupMatch$1);
+      return lineup.players.filter(player => player.getID() !== Player.UNREGISTERED_PLAYER_ID).flatMap(player => {
+        const firstTeamID = matches.flatMap(match => [match.getHomeTeam(), match.getAwayTeam()])
+          .filter(matchTeam => matchTeam.getPlayers().includes(player))
+          .map(matchTeam => EligibilityChecker.#teamKey(lineup.competition, matchTeam.getID()))
+          .find(teamID => lineup.competition.hasTeam(teamID));
+        if (firstTeamID === lineup.teamID) {
+          return []
+        }
+        return [{ playerIDs: [player.getID()], message: `Player {${player.getID()}} has already played for team "${firstTeamID}"` }]
+      })
+    }
+  }
 
   /**
-   * A Lookup table from team IDs (including references) to the team
-   * @type {object}
-   * @private
+   * A rule that a registered player must have been registered to the team they are playing for a number of days before the match,
+   * following the "from" and "until" dates of their team entries.  A team entry without a "from" date counts as being registered from
+   * the start of the competition.  Line-ups for matches without a date, or for teams that are not yet known, are not checked
+   *
+   * @param {number} days The number of days before the match that a player must be registered by
+   * @returns {function(object): Array<{playerIDs: Array<string>, message: string}>} The rule
    */
-  #teamLookup
+  static registeredDaysBefore (days) {
+    return lineup => {
+      const date = lineup.match.getDate();
+      if (date === null || !lineup.competition.hasTeam(lineup.teamID)) {
+        return []
+      }
+      return lineup.players.filter(player => player.getID() !== Player.UNREGISTERED_PLAYER_ID).flatMap(player => {
+        const registered = player.getTeamEntries().some(entry => entry.getID() === lineup.teamID &&
+          (entry.getUntil() === null || entry.getUntil() >= date) &&
+          (entry.getFrom() === null || (Date.parse(date) - Date.parse(entry.getFrom())) / 86400000 >= days));
+        if (registered) {
+          return []
+        }
+        return [{ playerIDs: [player.getID()], message: `Player {${player.getID()}} was not registered to team "${lineup.teamID}" at least ${days} days before the match` }]
+      })
+    }
+  }
 
   /**
-   * A Lookup table from player IDs to the player
-   * @type {object}
-   * @private
+   * A rule limiting the number of guest players, i.e. players without a player ID, in a line-up
+   *
+   * @param {number} max The maximum number of guest players in a line-up
+   * @returns {function(object): Array<{playerIDs: Array<string>, message: string}>} The rule
    */
-  #playerLookup
+  static maxGuestPlayers (max) {
+    return lineup => {
+      const guests = lineup.players.filter(player => player.getID() === Player.UNREGISTERED_PLAYER_ID);
+      if (guests.length <= max) {
+        return []
+      }
+      return [{ playerIDs: [], message: `Team "${lineup.teamID}" has ${guests.length} guest players but at most ${max} are allowed` }]
+    }
+  }
 
   /**
-   * A Lookup table from stage IDs to the stage
-   * @type {object}
+   * Get the ID that a team is known by, which is the resolved team ID when the team is known and the team reference otherwise
+   *
+   * @param {Competition} competition The competition
+   * @param {string} teamID The team ID or reference
+   * @returns {string} The ID the team is known by
    * @private
    */
-  #stageLookup
+  static #teamKey (competition, teamID) {
+    const team = competition.getTeam(teamID);
+    return team.getID() === CompetitionTeam.UNKNOWN_TEAM_ID ? teamID : team.getID()
+  }
+}
+
+/**
+ * Escape text so that it can be included in HTML content or in a quoted attribute value
+ *
+ * @param {string} text The text to escape
+ * @returns {string} The escaped text
+ */
+function escapeHTML (text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;')
+}
 
+/**
+ * Renders league tables, lists of matches and knockout brackets as fragments of HTML.  The output is plain strings, with no
+ * dependency on a DOM, so it can be used in Node as well as in browsers.
+ *
+ * Every element has a class name starting with a configurable prefix (by default "vbc") so that the output can be styled, e.g.
+ * "vbc-league-table" or "vbc-winner".  Tables have captions and header cells with a scope, and abbreviated column headings are
+ * wrapped in an abbr element with the full name as its title.  All text from the competition data is escaped.
+ */
+class HTMLRenderer {
   /**
-   * A Lookup table from club IDs to the club
-   * @type {object}
+   * The prefix for every class name in the output
+   * @type {string}
    * @private
    */
-  #clubLookup
+  #classPrefix
 
   /**
-   * The "unknown" team, typically for matching against
-   * @type {CompetitionTeam}
-   * @private
+   * Constructs a new HTMLRenderer
+   *
+   * @param {object} options The renderer options
+   * @param {string} [options.classPrefix='vbc'] The prefix for every class name in the output
    */
-  #unknownTeam
-
-  static VBC_MATCH_ALL_IN_GROUP = 1
-  static VBC_MATCH_ALL = 2
-  static VBC_MATCH_PLAYING = 4
-  static VBC_MATCH_OFFICIATING = 8
-
-  static VBC_TEAMS_FIXED_ID = 1
-  static VBC_TEAMS_KNOWN = 2
-  static VBC_TEAMS_MAYBE = 4
-  static VBC_TEAMS_ALL = 8
-  static VBC_TEAMS_PLAYING = 16
-  static VBC_TEAMS_OFFICIATING = 32
+  constructor (options = {}) {
+    this.#classPrefix = options.classPrefix ?? 'vbc';
+  }
 
   /**
-   * Takes in the Competition name creates an empty Competition object with that name
-   *
-   * @param {string} name The name of the competition
+   * Render a league's table, followed by a description of how positions are decided and how points are scored
    *
-   * @throws {Error} thrown when the name is invalid
+   * @param {League} league The league to render the table for
+   * @returns {string} The HTML fragment
    */
-  constructor (name) {
-    if (name.length > 1000 || name.length < 1) {
-      throw new Error('Invalid competition name: must be between 1 and 1000 characters long')
+  renderLeagueTable (league) {
+    const table = league.getLeagueTable();
+    const columns = [
+      ['P', 'Played', entry => entry.getPlayed()],
+      ['W', 'Wins', entry => entry.getWins()]
+    ];
+    if (table.hasDraws()) {
+      columns.push(['D', 'Draws', entry => entry.getDraws()]);
     }
+    columns.push(['L', 'Losses', entry => entry.getLosses()]);
+    if (table.hasSets()) {
+      columns.push(
+        ['SF', 'Sets for', entry => entry.getSF()],
+        ['SA', 'Sets against', entry => entry.getSA()],
+        ['SD', 'Sets difference', entry => entry.getSD()]
+      );
+    }
+    columns.push(
+      ['PF', 'Points for', entry => entry.getPF()],
+      ['PA', 'Points against', entry => entry.getPA()],
+      ['PD', 'Points difference', entry => entry.getPD()],
+      ['BP', 'Bonus points', entry => entry.getBP()],
+      ['PP', 'Penalty points', entry => entry.getPP()],
+      ['PTS', 'League points', entry => entry.getPTS()]
+    );
 
-    this.#name = name;
-    this.#version = '1.0.0';
-    this.#metadata = [];
-    this.#notes = null;
-    this.#clubs = [];
-    this.#teams = [];
-    this.#players = [];
-    this.#stages = [];
-    this.#teamLookup = {};
-    this.#playerLookup = {};
-    this.#stageLookup = {};
-    this.#clubLookup = {};
+    let html = `<div class="${this.#class('league')}">`;
+    html += `<table class="${this.#class('league-table')}">`;
+    html += `<caption>${escapeHTML(league.getName() ?? league.getID())}</caption>`;
+    html += '<thead><tr>';
+    html += `<th scope="col" class="${this.#class('pos')}"><abbr title="Position">Pos</abbr></th>`;
+    html += `<th scope="col" class="${this.#class('team')}">Team</th>`;
+    columns.forEach(([abbr, title]) => {
+      html += `<th scope="col" class="${this.#class(abbr.toLowerCase())}"><abbr title="${title}">${abbr}</abbr></th>`;
+    });
+    html += '</tr></thead>';
+    html += '<tbody>';
+    table.entries.forEach((entry, i) => {
+      html += '<tr>';
+      html += `<td class="${this.#class('pos')}">${i + 1}</td>`;
+      html += `<th scope="row" class="${this.#class('team')}">${escapeHTML(entry.getTeam())}</th>`;
+      columns.forEach(([abbr, , value]) => {
+        html += `<td class="${this.#class(abbr.toLowerCase())}">${value(entry)}</td>`;
+      });
+      html += '</tr>';
+    });
+    html += '</tbody>';
+    html += '</table>';
+    html += `<p class="${this.#class('league-ordering')}">${escapeHTML(table.getOrderingText())}</p>`;
+    const scoringText = table.getScoringText();
+    if (scoringText !== '') {
+      html += `<p class="${this.#class('league-scoring')}">${escapeHTML(scoringText)}</p>`;
+    }
+    html += '</div>';
 
-    this.#unknownTeam = new CompetitionTeam(this, CompetitionTeam.UNKNOWN_TEAM_ID, CompetitionTeam.UNKNOWN_TEAM_NAME);
+    return html
   }
 
   /**
-   * Loads a Competition object from competition JSON data
-   *
-   * @param {string} competitionJSON The competition JSON data
+   * Render the matches and breaks in a group as a table of fixtures and results.  Columns for match details such as the court, date
+   * or officials are only included when at least one match in the group has that detail
    *
-   * @returns {Promise<Competition>} a loaded Competition, rejects when the JSON data is invalid
+   * @param {Group} group The group to render the matches for
+   * @returns {string} The HTML fragment
    */
-  static async loadFromCompetitionJSON (competitionJSON) {
-    let competitionData;
-    try {
-      competitionData = JSON.parse(competitionJSON);
-    } catch (_) {
-      throw new Error('Document does not contain valid JSON')
+  renderMatches (group) {
+    const competition = group.getCompetition();
+    const columns = [];
+    if (group.matchesHaveDates()) {
+      columns.push(['date', 'Date', match => match.getDate()]);
     }
-
-    if (typeof competitionData.version === 'string') {
-      // This supports only version 1.0.0 (and all documents without an explicit version are assumed to be at version 1.0.0)
-      if (competitionData.version !== '1.0.0') {
-        throw new Error(`Document version ${competitionData.version} not supported`)
-      }
-    } else {
-      competitionData.version = '1.0.0';
+    if (group.matchesHaveVenues()) {
+      columns.push(['venue', 'Venue', match => match.getVenue()]);
     }
-
-    await validateJSON(competitionData);
-
-    const competition = new Competition(competitionData.name);
-    competition.setVersion(competitionData.version);
-
-    if (Array.isArray(competitionData.metadata)) {
-      competitionData.metadata.forEach(kv => {
-        if (competition.hasMetadataByKey(kv.key)) {
-          throw new Error(`Metadata with key "${kv.key}" already exists in the competition`)
+    if (group.matchesHaveCourts()) {
+      columns.push(['court', 'Court', match => match.getCourt()]);
+    }
+    if (group.matchesHaveWarmups()) {
+      columns.push(['warmup', 'Warmup', match => match.getWarmup()]);
+    }
+    if (group.matchesHaveStarts()) {
+      columns.push(['start', 'Start', match => match.getStart()]);
+    }
+    if (group.matchesHaveDurations()) {
+      columns.push(['duration', 'Duration', match => match.getDuration()]);
+    }
+    columns.push(
+      ['home', 'Home team', match => competition.getTeamDisplayName(match.getHomeTeam().getID())],
+      ['score', 'Score', match => this.#scoreText(match)],
+      ['away', 'Away team', match => competition.getTeamDisplayName(match.getAwayTeam().getID())]
+    );
+    if (group.matchesHaveOfficials()) {
+      columns.push(['officials', 'Officials', match => this.#officialsText(match)]);
+    }
+    if (group.matchesHaveManagers()) {
+      columns.push(['manager', 'Manager', match => {
+        if (!match.hasManager()) {
+          return null
         }
-        competition.setMetadataByKey(kv.key, kv.value);
-      });
+        return match.getManager().isTeam() ? competition.getTeamDisplayName(match.getManager().getTeamID()) : match.getManager().getManagerName()
+      }]);
     }
-
-    if (typeof competitionData.notes === 'string') {
-      competition.setNotes(competitionData.notes);
+    if (group.matchesHaveMVPs()) {
+      columns.push(['mvp', 'MVP', match => match.hasMVP() ? match.getMVP().getName() : null]);
     }
-
-    if (Array.isArray(competitionData.clubs)) {
-      competitionData.clubs.forEach(clubData => {
-        competition.addClub(new Club(competition, clubData.id, clubData.name).loadFromData(clubData));
-      });
+    if (group.matchesHaveNotes()) {
+      columns.push(['notes', 'Notes', match => match.getNotes()]);
     }
 
-    competitionData.teams.forEach(teamData => {
-      competition.addTeam(new CompetitionTeam(competition, teamData.id, teamData.name).loadFromData(teamData));
+    let html = `<table class="${this.#class('matches')}">`;
+    html += `<caption>${escapeHTML(group.getName() ?? group.getID())}</caption>`;
+    html += '<thead><tr>';
+    columns.forEach(([name, heading]) => {
+      html += `<th scope="col" class="${this.#class(name)}">${heading}</th>`;
     });
-
-    if (Array.isArray(competitionData.players)) {
-      competitionData.players.forEach(playerData => {
-        competition.addPlayer(new Player(competition, playerData.id, playerData.name).loadFromData(playerData));
+    html += '</tr></thead>';
+    html += '<tbody>';
+    group.getMatches().forEach(match => {
+      if (match instanceof GroupBreak) {
+        const breakText = [match.getDate(), match.getStart(), match.getName() ?? 'Break'].filter(text => text !== null).join(' ');
+        html += `<tr class="${this.#class('break')}"><td colspan="${columns.length}">${escapeHTML(breakText)}</td></tr>`;
+        return
+      }
+      const winner = match.isComplete() && !match.isDraw() ? match.getWinnerTeamID() : null;
+      html += `<tr class="${this.#class('match')}" id="${escapeHTML(`${this.#classPrefix}-${group.getStage().getID()}-${group.getID()}-${match.getID()}`)}">`;
+      columns.forEach(([name, , value]) => {
+        const classes = [this.#class(name)];
+        if ((name === 'home' && winner === match.getHomeTeam().getID()) || (name === 'away' && winner === match.getAwayTeam().getID())) {
+          classes.push(this.#class('winner'));
+        }
+        const text = value(match);
+        html += `<td class="${classes.join(' ')}">${text === null ? '' : escapeHTML(text)}</td>`;
       });
-    }
-
-    competitionData.stages.forEach(stageData => {
-      const stage = new Stage(competition, stageData.id);
-      competition.addStage(stage);
-      stage.loadFromData(stageData);
+      html += '</tr>';
     });
+    html += '</tbody>';
+    html += '</table>';
 
-    return competition
+    return html
   }
 
   /**
-   * Return the competition definition in a form suitable for serializing
+   * Render a knockout group as a bracket.  Matches are placed in rounds according to how deep they are in the chain of "winner of"
+   * and "loser of" references to other matches in the group, so the matches with known teams are in the first round.  When the
+   * knockout defines final standings, they are listed after the bracket
    *
-   * @returns {object} The competition as an object suitable for serializing into JSON
+   * @param {Knockout} knockout The knockout group to render
+   * @returns {string} The HTML fragment
    */
-  serialize () {
-    const competition = {
-      version: this.#version
+  renderKnockout (knockout) {
+    const competition = knockout.getCompetition();
+    const matches = knockout.getMatches().filter(match => !(match instanceof GroupBreak));
+    const rounds = [];
+    const depths = new Map();
+
+    const depthOf = match => {
+      if (!depths.has(match)) {
+        depths.set(match, 0);
+        const depth = [match.getHomeTeam().getID(), match.getAwayTeam().getID()].reduce((max, teamID) => {
+          const refParts = teamID.match(/^{([^:]*):([^:]*):([^:]*):(winner|loser)}$/);
+          if (refParts !== null && refParts[1] === knockout.getStage().getID() && refParts[2] === knockout.getID()) {
+            return Math.max(max, depthOf(knockout.getMatch(refParts[3])) + 1)
+          }
+          return max
+        }, 0);
+        depths.set(match, depth);
+      }
+      return depths.get(match)
     };
 
-    if (this.#metadata.length > 0) {
-      competition.metadata = this.#metadata;
+    matches.forEach(match => {
+      const depth = depthOf(match);
+      while (rounds.length <= depth) {
+        rounds.push([]);
+      }
+      rounds[depth].push(match);
+    });
+
+    let html = `<div class="${this.#class('knockout')}" role="group" aria-label="${escapeHTML(knockout.getName() ?? knockout.getID())}">`;
+    html += `<ol class="${this.#class('knockout-rounds')}">`;
+    rounds.forEach((round, i) => {
+      html += `<li class="${this.#class('knockout-round')}">`;
+      html += `<span class="${this.#class('knockout-round-name')}">Round ${i + 1}</span>`;
+      html += `<ul class="${this.#class('knockout-matches')}">`;
+      round.forEach(match => {
+        const winner = match.isComplete() && !match.isDraw() ? match.getWinnerTeamID() : null;
+        html += `<li class="${this.#class('knockout-match')}" aria-label="Match ${escapeHTML(match.getID())}">`;
+        html += `<span class="${this.#class('knockout-match-id')}">${escapeHTML(match.getID())}</span>`;
+        const [homeScore, awayScore] = this.#teamScores(match);
+        const teams = [[match.getHomeTeam().getID(), homeScore], [match.getAwayTeam().getID(), awayScore]];
+        teams.forEach(([teamID, score]) => {
+          const classes = [this.#class('knockout-team')];
+          if (winner === teamID) {
+            classes.push(this.#class('winner'));
+          }
+          html += `<span class="${classes.join(' ')}">`;
+          html += `<span class="${this.#class('team')}">${escapeHTML(competition.getTeamDisplayName(teamID))}</span>`;
+          html += `<span class="${this.#class('score')}">${score}</span>`;
+          html += '</span>';
+        });
+        html += '</li>';
+      });
+      html += '</ul>';
+      html += '</li>';
+    });
+    html += '</ol>';
+
+    const knockoutConfig = knockout.getKnockoutConfig();
+    if (knockoutConfig !== null) {
+      html += `<table class="${this.#class('knockout-standing')}">`;
+      html += '<caption>Final standing</caption>';
+      html += `<thead><tr><th scope="col" class="${this.#class('pos')}"><abbr title="Position">Pos</abbr></th><th scope="col" class="${this.#class('team')}">Team</th></tr></thead>`;
+      html += '<tbody>';
+      knockoutConfig.getStanding().forEach(standing => {
+        html += `<tr><td class="${this.#class('pos')}">${escapeHTML(standing.position)}</td><th scope="row" class="${this.#class('team')}">${escapeHTML(competition.getTeamDisplayName(standing.id))}</th></tr>`;
+      });
+      html += '</tbody>';
+      html += '</table>';
     }
+    html += '</div>';
 
-    competition.name = this.#name;
+    return html
+  }
 
-    if (this.#notes !== null) {
-      competition.notes = this.#notes;
-    }
+  /**
+   * Build a class name with the configured prefix
+   *
+   * @param {string} name The unprefixed class name
+   * @returns {string} The prefixed class name
+   */
+  #class (name) {
+    return `${this.#classPrefix}-${name}`
+  }
 
-    if (this.#clubs.length > 0) {
-      competition.clubs = [];
-      this.#clubs.forEach(club => {
-        competition.clubs.push(club.serialize());
-      });
+  /**
+   * Get the score for each team in a match.  For a match played in sets this is the number of sets won
+   *
+   * @param {GroupMatch} match The match
+   * @returns {Array<number|string>} The home and away team scores, or empty strings when the match has no scores
+   */
+  #teamScores (match) {
+    if (match.getHomeTeamScores().length === 0) {
+      return ['', '']
+    }
+    if (match.getGroup().getMatchType() === MatchType.SETS) {
+      return [match.getHomeTeamSets(), match.getAwayTeamSets()]
     }
+    return [match.getHomeTeamScores()[0], match.getAwayTeamScores()[0]]
+  }
 
-    competition.teams = [];
-    this.#teams.forEach(team => {
-      competition.teams.push(team.serialize());
-    });
+  /**
+   * Get the text describing a match's score.  For a match played in sets this is the number of sets won by each team followed by
+   * the score in each set
+   *
+   * @param {GroupMatch} match The match
+   * @returns {string|null} The score text, or null when the match has no scores
+   */
+  #scoreText (match) {
+    const [homeScore, awayScore] = this.#teamScores(match);
+    if (homeScore === '') {
+      return null
+    }
+    if (match.getGroup().getMatchType() === MatchType.SETS) {
+      const awayScores = match.getAwayTeamScores();
+      const setScores = match.getHomeTeamScores().map((score, i) => `${score}-${awayScores[i]}`).join(', ');
+      return `${homeScore} - ${awayScore} (${setScores})`
+    }
+    return `${homeScore} - ${awayScore}`
+  }
 
-    if (this.#players.length > 0) {
-      competition.players = [];
-      this.#players.forEach(player => {
-        competition.players.push(player.serialize());
-      });
+  /**
+   * Get the text describing a match's officials
+   *
+   * @param {GroupMatch} match The match
+   * @returns {string|null} The officials text, or null when the match has no officials
+   */
+  #officialsText (match) {
+    if (!match.hasOfficials()) {
+      return null
+    }
+    const officials = match.getOfficials();
+    if (officials.isTeam()) {
+      return match.getGroup().getCompetition().getTeamDisplayName(officials.getTeamID())
     }
+    return officials.hasSecondRef() ? `${officials.getFirstRef()}, ${officials.getSecondRef()}` : officials.getFirstRef()
+  }
+}
 
-    competition.stages = [];
-    this.#stages.forEach(stage => {
-      competition.stages.push(stage.serialize());
-    });
+/**
+ * Escape a value for use in an iCalendar TEXT property
+ *
+ * @param {string} text The text to escape
+ * @returns {string} The escaped text
+ */
+function escapeText (text) {
+  return text.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n')
+}
 
-    return competition
-  }
+/**
+ * Fold a content line so that no line is longer than 75 octets, as required by RFC 5545
+ *
+ * @param {string} line The content line
+ * @returns {string} The folded content line
+ */
+function foldLine (line) {
+  const encoder = new TextEncoder();
+  let folded = '';
+  let octets = 0;
+  for (const char of line) {
+    const charOctets = encoder.encode(char).length;
+    if (octets + charOctets > 75) {
+      folded += '\r\n ';
+      octets = 1;
+    }
+    folded += char;
+    octets += charOctets;
+  }
+  return folded
+}
+
+/**
+ * Format a date and a number of minutes after midnight on that date as an iCalendar local ("floating") DATE-TIME
+ *
+ * @param {string} date The date in the format YYYY-MM-DD
+ * @param {number} minutes The number of minutes after midnight, which may run into following days
+ * @returns {string} The date and time in the format YYYYMMDDTHHMMSS
+ */
+function formatDateTime (date, minutes) {
+  const [year, month, day] = date.split('-').map(part => parseInt(part));
+  const dateTime = new Date(Date.UTC(year, month - 1, day, 0, minutes));
+  return dateTime.toISOString().replace(/[-:]/g, '').substring(0, 15)
+}
 
+/**
+ * Generates iCalendar (RFC 5545) documents containing the matches in a competition, either for the whole competition, for a single
+ * team or for a single court.  Each match becomes an event with a UID built from the stage, group and match IDs, so that importing
+ * an updated calendar updates the existing events.  Times are "floating" local times, as the competition data has no time zone.
+ *
+ * An event starts at the match's warmup time, or its start time when there is no warmup, and ends after the match's duration (or a
+ * default duration when the match has none).  A match with neither a warmup nor a start time becomes an all-day event, and matches
+ * without a date are left out.  Team references that are not yet resolved are described in words, e.g. "1st in Pool A".
+ */
+class ICSExporter {
   /**
-   * Process matches for all stages in the competition
+   * The competition whose matches are being exported
+   * @type {Competition}
+   * @private
    */
-  #processMatches () {
-    this.#stages.forEach(stage => {
-      stage.getGroups().forEach(group => {
-        if (!group.isProcessed()) {
-          group.processMatches();
-        }
-      });
-    });
-  }
+  #competition
 
   /**
-   * Get the schema version for this competition, as a semver string
+   * The domain part of each event UID
+   * @type {string}
+   * @private
+   */
+  #uidDomain
+
+  /**
+   * The time that the calendar was created, used for each event's DTSTAMP
+   * @type {Date}
+   * @private
+   */
+  #timestamp
+
+  /**
+   * The length of a match when the match does not define a duration, in the format H:mm
+   * @type {string}
+   * @private
+   */
+  #defaultDuration
+
+  /**
+   * Constructs a new ICSExporter for a competition
    *
-   * @returns {string} the schema version
+   * @param {Competition} competition The competition whose matches are being exported
+   * @param {object} options The exporter options
+   * @param {string|null} [options.uidDomain=null] The domain part of each event UID, which should be unique to this competition.  Defaults to a version of the competition name
+   * @param {Date|null} [options.timestamp=null] The time to use as the creation time of the events.  Defaults to now
+   * @param {string} [options.defaultDuration='1:00'] The length of a match when the match does not define a duration, in the format H:mm
    */
-  getVersion () {
-    return this.#version
+  constructor (competition, options = {}) {
+    this.#competition = competition;
+    this.#uidDomain = options.uidDomain ?? competition.getName().toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    this.#timestamp = options.timestamp ?? new Date();
+    this.#defaultDuration = options.defaultDuration ?? '1:00';
   }
 
   /**
-   * Set the competition version
+   * Get a calendar containing every match in the competition
    *
-   * @param {string} version the version for the competition data
+   * @returns {string} The iCalendar document
+   */
+  getCompetitionCalendar () {
+    const events = [];
+    this.#competition.getStages().forEach(stage => {
+      stage.getMatches().forEach(match => {
+        if (match instanceof GroupMatch$1) {
+          events.push(this.#buildEvent(match, null));
+        }
+      });
+    });
+    return this.#buildCalendar(this.#competition.getName(), events)
+  }
+
+  /**
+   * Get a calendar containing the matches that a team is playing in or officiating
    *
-   * @returns {Competition} the competition
+   * @param {string} teamID The ID of the team
+   * @returns {string} The iCalendar document
+   * @throws {Error} If the team does not exist
    */
-  setVersion (version) {
-    this.#version = version;
-    return this
+  getTeamCalendar (teamID) {
+    if (!this.#competition.hasTeam(teamID)) {
+      throw new Error(`Team with ID ${teamID} not found in the competition`)
+    }
+
+    const events = [];
+    this.#competition.getStages().forEach(stage => {
+      stage.getMatches(teamID, Competition$1.VBC_MATCH_PLAYING | Competition$1.VBC_MATCH_OFFICIATING).forEach(match => {
+        events.push(this.#buildEvent(match, teamID));
+      });
+    });
+    return this.#buildCalendar(`${this.#competition.getName()}: ${this.#competition.getTeam(teamID).getName()}`, events)
   }
 
   /**
-   * Get the name for this competition
+   * Get a calendar containing the matches on a court
    *
-   * @returns {string} the competition name
+   * @param {string} court The name of the court
+   * @param {string|null} venue The venue the court is at, when courts at different venues share the same name
+   * @returns {string} The iCalendar document
    */
-  getName () {
-    return this.#name
+  getCourtCalendar (court, venue = null) {
+    const events = [];
+    this.#competition.getStages().forEach(stage => {
+      stage.getMatches().forEach(match => {
+        if (match instanceof GroupMatch$1 && match.getCourt() === court && (venue === null || match.getVenue() === venue)) {
+          events.push(this.#buildEvent(match, null));
+        }
+      });
+    });
+    return this.#buildCalendar(`${this.#competition.getName()}: Court ${court}`, events)
   }
 
   /**
-   * Set the competition Name
+   * Wrap a set of events in a calendar
    *
-   * @param {string} name the new name for the competition
-   *
-   * @returns {Competition} the competition
+   * @param {string} name The name of the calendar
+   * @param {Array<Array<string>|null>} events The content lines for each event, or null for matches that cannot be placed in a calendar
+   * @returns {string} The iCalendar document
    */
-  setName (name) {
-    if (name.length > 1000 || name.length < 1) {
-      throw new Error('Invalid competition name: must be between 1 and 1000 characters long')
-    }
-    this.#name = name;
-    return this
+  #buildCalendar (name, events) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//VBCompetitions//competitions-js//EN',
+      'CALSCALE:GREGORIAN',
+      `X-WR-CALNAME:${escapeText(name)}`
+    ];
+    events.forEach(event => {
+      if (event !== null) {
+        lines.push(...event);
+      }
+    });
+    lines.push('END:VCALENDAR');
+    return lines.map(line => foldLine(line)).join('\r\n') + '\r\n'
   }
 
   /**
-   * Add metadata to the competition.
+   * Build the content lines for a match's event
    *
-   * This function adds metadata to the competition using the provided key-value pair.
-   *
-   * @param {string} key The key of the metadata
-   * @param {string} value The value of the metadata
-   * @returns {Competition} Returns the current Competition instance for method chaining
-   * @throws {Error} If the key or value is invalid
+   * @param {GroupMatch} match The match
+   * @param {string|null} teamID When the calendar is for a team, the ID of that team
+   * @returns {Array<string>|null} The content lines for the event, or null when the match has no date
    */
-  setMetadataByKey (key, value) {
-    if (key.length > 100 || key.length < 1) {
-      throw new Error('Invalid metadata key: must be between 1 and 100 characters long')
+  #buildEvent (match, teamID) {
+    if (!match.hasDate()) {
+      return null
     }
 
-    if (value.length > 1000 || value.length < 1) {
-      throw new Error('Invalid metadata value: must be between 1 and 1000 characters long')
+    const group = match.getGroup();
+    const stage = group.getStage();
+    const uid = [stage.getID(), group.getID(), match.getID()].map(id => encodeURIComponent(id)).join('.');
+    const homeTeamName = this.#competition.getTeamDisplayName(match.getHomeTeam().getID());
+    const awayTeamName = this.#competition.getTeamDisplayName(match.getAwayTeam().getID());
+    const isPlaying = teamID === null ||
+      this.#competition.getTeam(match.getHomeTeam().getID()).getID() === teamID ||
+      this.#competition.getTeam(match.getAwayTeam().getID()).getID() === teamID;
+
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${uid}@${this.#uidDomain}`,
+      `DTSTAMP:${this.#timestamp.toISOString().replace(/[-:]/g, '').substring(0, 15)}Z`
+    ];
+
+    const begin = match.getWarmup() ?? match.getStart();
+    if (begin === null) {
+      lines.push(`DTSTART;VALUE=DATE:${formatDateTime(match.getDate(), 0).substring(0, 8)}`);
+      lines.push(`DTEND;VALUE=DATE:${formatDateTime(match.getDate(), 24 * 60).substring(0, 8)}`);
+    } else {
+      const end = timeToMinutes(match.getStart() ?? begin) + timeToMinutes(match.getDuration() ?? this.#defaultDuration);
+      lines.push(`DTSTART:${formatDateTime(match.getDate(), timeToMinutes(begin))}`);
+      lines.push(`DTEND:${formatDateTime(match.getDate(), end)}`);
     }
 
-    for (let i = 0; i < this.#metadata.length; i++) {
-      if (this.#metadata[i].key === key) {
-        this.#metadata[i].value = value;
-        return this
-      }
-    }
+    lines.push(`SUMMARY:${escapeText(`${isPlaying ? '' : 'Officiating: '}${homeTeamName} v ${awayTeamName}`)}`);
 
-    const kv = { key, value };
-    this.#metadata.push(kv);
-    return this
-  }
+    const location = [];
+    if (match.hasCourt()) {
+      location.push(`Court ${match.getCourt()}`);
+    }
+    if (match.hasVenue()) {
+      location.push(match.getVenue());
+    }
+    if (location.length > 0) {
+      lines.push(`LOCATION:${escapeText(location.join(', '))}`);
+    }
 
-  /**
-   * Check if the competition has metadata with the given key.
-   *
-   * This function checks if the competition has metadata with the specified key.
-   *
-   * @param {string} key The key to check
-   * @returns {bool} Returns true if the metadata value exists, false otherwise
-   */
-  hasMetadataByKey (key) {
-    for (let i = 0; i < this.#metadata.length; i++) {
-      if (this.#metadata[i].key === key) {
-        return true
+    const description = [`${stage.getName() ?? stage.getID()}, ${group.getName() ?? group.getID()}`, `Match ${match.getID()}`];
+    if (match.hasWarmup()) {
+      description.push(`Warmup: ${match.getWarmup()}`);
+    }
+    if (match.hasStart()) {
+      description.push(`Start: ${match.getStart()}`);
+    }
+    if (match.hasOfficials()) {
+      const officials = match.getOfficials();
+      if (officials.isTeam()) {
+        description.push(`Officials: ${this.#competition.getTeamDisplayName(officials.getTeamID())}`);
+      } else {
+        description.push(`Referee: ${officials.getFirstRef()}${officials.hasSecondRef() ? `, ${officials.getSecondRef()}` : ''}`);
       }
     }
-    return false
+    lines.push(`DESCRIPTION:${escapeText(description.join('\n'))}`);
+    lines.push('END:VEVENT');
+
+    return lines
   }
+}
 
+/**
+ * Estimates how a league might finish by simulating the rest of its matches many times.  Each simulation fills every incomplete match
+ * in the league with a random result, processes the league table and records the position each team finished in.  The results are
+ * generated on a copy of the competition, so the league being simulated is never changed.
+ *
+ * The results are drawn from one of these models:
+ * <ul>
+ *   <li>uniform - each team is equally likely to win, and when draws are allowed a draw is as likely as either team winning</li>
+ *   <li>strength - a team's chance of winning is weighted by its record in the league's completed matches, and when draws are allowed
+ *       the chance of a draw follows how often completed matches were drawn</li>
+ * </ul>
+ *
+ * Generated scores are always valid for the group: sets matches follow the group's SetConfig, and draws are only generated when the
+ * group allows them.
+ */
+class LeagueSimulator {
   /**
-   * Check if the competition has any metadata defined.
-   *
-   * @returns {bool} Returns true if the metadata exists, false otherwise
+   * The models that results can be drawn from
+   * @type {Array<string>}
    */
-  hasMetadata () {
-    return this.#metadata.length > 0
-  }
+  static MODELS = ['uniform', 'strength']
 
   /**
-   * Get the value of metadata with the specified key.
-   *
-   * This function retrieves the value of the metadata associated with the provided key.
-   *
-   * @param {string} key The key of the metadata
-   * @returns {string|null} Returns the value of the metadata if found, otherwise null
+   * The league to simulate
+   * @type {League}
+   * @private
    */
-  getMetadataByKey (key) {
-    for (let i = 0; i < this.#metadata.length; i++) {
-      if (this.#metadata[i].key === key) {
-        return this.#metadata[i].value
-      }
-    }
-    return null
-  }
+  #league
 
   /**
-   * Get the whole metadata array.
-   *
-   * This function retrieves the value of the metadata associated with the provided key.
-   *
-   * @returns {array|null} Returns the metadata array or null if no metadata is defined
+   * The model that results are drawn from
+   * @type {string}
+   * @private
    */
-  getMetadata () {
-    if (this.hasMetadata()) {
-      return this.#metadata
-    }
-    return null
-  }
+  #model
 
   /**
-   * Delete metadata with the specified key from the competition.
-   *
-   * This function deletes the metadata with the provided key from the competition.
-   *
-   * @param {string} key The key of the metadata to delete
-   * @returns {Competition} Returns the current Competition instance for method chaining
+   * A function returning a random number in the range [0, 1)
+   * @type {function(): number}
+   * @private
    */
-  deleteMetadataByKey (key) {
-    this.#metadata = this.#metadata.filter(el => el.key !== key);
-    return this
-  }
+  #random
 
   /**
-   * Get the notes for this competition
-   *
-   * @returns {string|null} the notes for this competition
+   * The score a continuous match's winner gets
+   * @type {number}
+   * @private
    */
-  getNotes () {
-    return this.#notes
-  }
+  #points
 
   /**
-   * Set the notes for this competition
-   *
-   * @param {string|null} notes the notes for this competition
+   * Constructs a new LeagueSimulator
    *
-   * @returns {Competition} the competition
+   * @param {League} league The league to simulate
+   * @param {object} options The simulation options
+   * @param {string} [options.model] The model that results are drawn from, one of LeagueSimulator.MODELS (default 'uniform')
+   * @param {function(): number} [options.random] A function returning a random number in the range [0, 1), e.g. a seeded generator for
+   *                                              repeatable simulations (default Math.random)
+   * @param {number} [options.points] The score a continuous match's winner gets, with the loser getting fewer (default 25)
+   * @throws {Error} If the group is not a league or an option is invalid
    */
-  setNotes (notes) {
-    if (notes.length < 1) {
-      throw new Error('Invalid competition notes: must be at least 1 character long')
+  constructor (league, options = {}) {
+    if (!(league instanceof League)) {
+      throw new Error(`Group {${league.getStage().getID()}:${league.getID()}} is not a league`)
+    }
+    this.#league = league;
+    this.#model = options.model ?? 'uniform';
+    this.#random = options.random ?? Math.random;
+    this.#points = options.points ?? 25;
+
+    if (!LeagueSimulator.MODELS.includes(this.#model)) {
+      throw new Error(`Invalid model "${this.#model}": must be one of ${LeagueSimulator.MODELS.map(model => `"${model}"`).join(', ')}`)
+    }
+    if (!Number.isInteger(this.#points) || this.#points < 1) {
+      throw new Error(`Invalid points "${this.#points}": must be a positive integer`)
     }
-    this.#notes = notes;
-    return this
   }
 
   /**
-   * Add a new team to the competition
-   *
-   * @param {CompetitionTeam} team The team to add to the competition
+   * Simulate the rest of the league's matches.  The result has the number of simulations run and, for each team in the league, how many
+   * times it finished in each position and the probability of finishing there.  The arrays are indexed by position, so index 0 is first
+   * place.
    *
-   * @throws {Error} If the input parameters are invalid or if a team with the requested ID already exists
+   * The simulation runs on a copy of the competition made with Competition.clone(), which does not need to wait for anything.  This still
+   * returns a Promise, as it did when the copy was made by reloading the competition, so that existing callers keep working and a later
+   * version can do asynchronous work here without changing the API
    *
-   * @returns {Competition} This competition
+   * @param {number} iterations The number of times to simulate the rest of the league
+   * @returns {Promise<{iterations: number, teams: object}>} The distribution of final positions, with "teams" keyed by team ID and each
+   *                                                         value an object of the form {counts: Array<number>, probabilities: Array<number>}
+   * @throws {Error} If the number of iterations is invalid
    */
-  addTeam (team) {
-    if (team.getCompetition() !== this) {
-      throw new Error('Team was initialised with a different Competition')
+  async simulate (iterations) {
+    if (!Number.isInteger(iterations) || iterations < 1) {
+      throw new Error(`Invalid iterations "${iterations}": must be a positive integer`)
     }
-    if (this.hasTeam(team.getID())) {
-      return this
+
+    const competition = this.#league.getCompetition().clone();
+    const league = competition.getStage(this.#league.getStage().getID()).getGroup(this.#league.getID());
+    const matches = league.getMatches().filter(match => match instanceof GroupMatch$1 && !match.isFriendly());
+    const remaining = matches.filter(match => !match.isComplete());
+    const strengths = this.#strengths(matches.filter(match => match.isComplete()));
+
+    const counts = {};
+    const teamCount = league.getLeagueTable().entries.length;
+    league.getLeagueTable().entries.forEach(entry => {
+      counts[entry.getTeamID()] = new Array(teamCount).fill(0);
+    });
+
+    for (let i = 0; i < iterations; i++) {
+      remaining.forEach(match => {
+        const [homeScores, awayScores] = this.#generateScores(league, this.#outcome(league, match, strengths));
+        match.setScores(homeScores, awayScores, true);
+      });
+      league.getLeagueTable().entries.forEach((entry, position) => {
+        counts[entry.getTeamID()][position]++;
+      });
     }
-    this.#teams.push(team);
-    this.#teamLookup[team.getID()] = team;
-    return this
+
+    const teams = {};
+    Object.keys(counts).forEach(teamID => {
+      teams[teamID] = {
+        counts: counts[teamID],
+        probabilities: counts[teamID].map(count => count / iterations)
+      };
+    });
+
+    return { iterations, teams }
   }
 
   /**
-   * Get the teams in this competition
+   * Work out each team's strength, and how likely a draw is, from the league's completed matches.  The strengths are only used by the
+   * "strength" model.  A team's strength is its share of wins, counting a draw as half a win, and both values are smoothed so that a
+   * team with no completed matches, or a league with no draws yet, still has a chance
    *
-   * @returns {array} The teams in this competition
+   * @param {Array<GroupMatch>} completed The completed matches in the league
+   * @returns {{teams: object, draw: number}} The strength of each team, keyed by team ID, and the probability of a draw
+   * @private
    */
-  getTeams () {
-    return this.#teams
+  #strengths (completed) {
+    const records = {};
+    const record = teamID => {
+      records[teamID] = records[teamID] ?? { won: 0, played: 0 };
+      return records[teamID]
+    };
+
+    let draws = 0;
+    completed.forEach(match => {
+      const home = record(match.getHomeTeam().getID());
+      const away = record(match.getAwayTeam().getID());
+      home.played++;
+      away.played++;
+      if (match.isDraw()) {
+        home.won += 0.5;
+        away.won += 0.5;
+        draws++;
+      } else {
+        record(match.getWinnerTeamID()).won++;
+      }
+    });
+
+    const teams = {};
+    Object.keys(records).forEach(teamID => {
+      teams[teamID] = (records[teamID].won + 1) / (records[teamID].played + 2);
+    });
+
+    return { teams, draw: (draws + 1) / (completed.length + 3) }
   }
 
   /**
-   * Gets the Team for the given team ID
+   * Pick the outcome of a match
    *
-   * @param {string} id The team ID to look up. This may be a pure ID, a reference, or a ternary
-   *
-   * @returns {CompetitionTeam} The team
+   * @param {League} league The league the match is in
+   * @param {GroupMatch} match The match to pick the outcome for
+   * @param {{teams: object, draw: number}} strengths The team strengths and the probability of a draw
+   * @returns {string} The outcome, one of "home", "away" or "draw"
+   * @private
    */
-  getTeam (id) {
-    this.#processMatches();
+  #outcome (league, match, strengths) {
+    const canDraw = league.getDrawsAllowed() && LeagueSimulator.#drawPossible(league);
+    let homeChance = 0.5;
+    let drawChance = canDraw ? 1 / 3 : 0;
 
-    if (!id.startsWith('{')) {
-      if (Object.hasOwn(this.#teamLookup, id)) {
-        return this.#teamLookup[id]
-      }
+    if (this.#model === 'strength') {
+      const homeStrength = strengths.teams[match.getHomeTeam().getID()] ?? 0.5;
+      const awayStrength = strengths.teams[match.getAwayTeam().getID()] ?? 0.5;
+      homeChance = homeStrength / (homeStrength + awayStrength);
+      drawChance = canDraw ? strengths.draw : 0;
     }
 
-    /*
-     * Check for ternaries like {teamID1}=={teamID2}?{teamIDTrue}:{teamIDFalse}
-     * Note that we only allow one level of ternary, i.e. this does not resolve:
-     *  { {ta}=={tb}?{tTrue}:{tFalse} }=={T2}?{TTrue}:{TFalse}
-     */
-    const lrMatches = id.match(/^([^=]*)==([^?]*)\?(.*)/);
-    if (lrMatches !== null) {
-      const leftTeam = this.getTeam(lrMatches[1]);
-      const rightTeam = this.getTeam(lrMatches[2]);
-      let trueTeam = null;
-
-      let tfMatches;
-      let falseTeam;
-      if ((tfMatches = lrMatches[3].match(/^({[^}]*}):(.*)/)) !== null) {
-        trueTeam = this.getTeam(tfMatches[1]);
-        falseTeam = this.getTeam(tfMatches[2]);
-      } else if ((tfMatches = lrMatches[3].match(/^([^:]*):(.*)/)) !== null) {
-        trueTeam = this.getTeam(tfMatches[1]);
-        falseTeam = this.getTeam(tfMatches[2]);
-      }
-
-      if (trueTeam !== null) {
-        return leftTeam === rightTeam ? trueTeam : falseTeam
-      }
+    const roll = this.#random();
+    if (roll < drawChance) {
+      return 'draw'
     }
+    return (roll - drawChance) < homeChance * (1 - drawChance) ? 'home' : 'away'
+  }
 
-    const teamRefParts = id.match(/^{([^:]*):([^:]*):([^:]*):([^:]*)}/);
-    if (teamRefParts !== null) {
-      try {
-        return this.getStage(teamRefParts[1]).getGroup(teamRefParts[2]).getTeam(teamRefParts[3], teamRefParts[4])
-      } catch (_) {
-        return this.#unknownTeam
+  /**
+   * Generate the scores for a match with the given outcome
+   *
+   * @param {League} league The league the match is in
+   * @param {string} outcome The outcome, one of "home", "away" or "draw"
+   * @returns {Array<Array<number>>} The home team's scores and the away team's scores
+   * @private
+   */
+  #generateScores (league, outcome) {
+    if (league.getMatchType() === MatchType.CONTINUOUS) {
+      if (outcome === 'draw') {
+        const score = 1 + this.#randomInt(this.#points);
+        return [[score], [score]]
       }
-    }
+      const loserScore = this.#randomInt(this.#points);
+      return outcome === 'home' ? [[this.#points], [loserScore]] : [[loserScore], [this.#points]]
+    }
+
+    const setConfig = league.getSetConfig();
+    let winnerSets = Math.min(setConfig.getSetsToWin(), setConfig.getMaxSets());
+    let loserSets = this.#randomInt(Math.max(Math.min(setConfig.getSetsToWin(), setConfig.getMaxSets() - setConfig.getSetsToWin() + 1), 1));
+    if (outcome === 'draw') {
+      winnerSets = setConfig.getMaxSets() / 2;
+      loserSets = winnerSets;
+    }
+
+    // The winner takes the last set, and the sets before it are shuffled between the two teams
+    const setWinners = [...new Array(winnerSets - 1).fill(true), ...new Array(loserSets).fill(false)];
+    for (let i = setWinners.length - 1; i > 0; i--) {
+      const j = this.#randomInt(i + 1)
+      ;[setWinners[i], setWinners[j]] = [setWinners[j], setWinners[i]];
+    }
+    setWinners.push(true);
+
+    const winnerScores = [];
+    const loserScores = [];
+    setWinners.forEach((winnerWonSet, setNumber) => {
+      const deciderSet = setNumber === setConfig.getMaxSets() - 1;
+      const setWinnerScore = deciderSet
+        ? Math.min(setConfig.getLastSetPointsToWin(), setConfig.getLastSetMaxPoints())
+        : Math.min(setConfig.getPointsToWin(), setConfig.getMaxPoints());
+      const setLoserScore = this.#randomInt(Math.max(setWinnerScore - setConfig.getClearPoints(), 0) + 1);
+      winnerScores.push(winnerWonSet ? setWinnerScore : setLoserScore);
+      loserScores.push(winnerWonSet ? setLoserScore : setWinnerScore);
+    });
 
-    return this.#unknownTeam
+    return outcome === 'away' ? [loserScores, winnerScores] : [winnerScores, loserScores]
   }
 
   /**
-   * Check if a team with the given ID exists in the competition
+   * Get a random integer in the range [0, max)
    *
-   * @param {string} id The ID of the team to check
+   * @param {number} max The upper bound, which is never returned
+   * @returns {number} The random integer
+   * @private
+   */
+  #randomInt (max) {
+    return Math.floor(this.#random() * max)
+  }
+
+  /**
+   * Check whether a match in the league can end in a draw.  A continuous match can always be drawn, but a sets match can only be drawn
+   * when all of its sets are played and split evenly without either team reaching the number of sets needed to win
    *
-   * @returns {bool} True if the team exists, false otherwise
+   * @param {League} league The league to check
+   * @returns {boolean} Whether a match can end in a draw
+   * @private
    */
-  hasTeam (id) {
-    return Object.hasOwn(this.#teamLookup, id)
+  static #drawPossible (league) {
+    if (league.getMatchType() === MatchType.CONTINUOUS) {
+      return true
+    }
+    const setConfig = league.getSetConfig();
+    return setConfig.getMaxSets() % 2 === 0 && setConfig.getMaxSets() / 2 < setConfig.getSetsToWin()
   }
+}
 
+/**
+ * Allocates teams to officiate the matches in a group or stage that do not yet have officials.  Each match is given the team with the
+ * fewest officiating duties so far, preferring a team that plays in the time slot just before or just after the match.  A team is
+ * never given a match that it is playing in, or a match at the same time as a match that it is playing in or officiating.
+ *
+ * Matches at the same date and start time are treated as being in the same time slot.  Matches without a start time are each treated
+ * as their own time slot, in the order they appear.
+ */
+class OfficialsAllocator {
   /**
-   * Delete a team from the competition
+   * The group or stage whose matches need officials
+   * @type {Group|Stage}
+   * @private
+   */
+  #container
+
+  /**
+   * The number of matches each team is officiating, keyed by team ID
+   * @type {object}
+   * @private
+   */
+  #dutyCounts
+
+  /**
+   * Constructs a new OfficialsAllocator
    *
-   * @param {string} id The ID of the team to delete
+   * @param {Group|Stage} container The group or stage whose matches need officials
+   */
+  constructor (container) {
+    this.#container = container;
+    this.#dutyCounts = {};
+  }
+
+  /**
+   * Allocate officials to every match that does not already have officials.  The candidate officials are the teams playing in the
+   * group or stage, and duties that are already allocated count towards a team's total
    *
-   * @returns {Competition} This competition
+   * @returns {object} The number of matches each candidate team is officiating, keyed by team ID
    */
-  deleteTeam (id) {
-    if (!this.hasTeam(id)) {
-      return this
-    }
+  allocate () {
+    const competition = this.#container.getCompetition();
+    const candidates = this.#container.getTeamIDs(Competition$1.VBC_TEAMS_PLAYING);
+    const matches = this.#container.getMatches().filter(match => match instanceof GroupMatch$1);
 
-    let teamMatches = [];
-    this.#stages.forEach(stage => {
-      const stageMatches = stage.getMatches(id, Competition.VBC_MATCH_PLAYING | Competition.VBC_MATCH_OFFICIATING);
-      teamMatches = teamMatches.concat(stageMatches);
+    // Compare teams by their resolved ID where it is known, so a team is matched however it is referenced
+    const teamKey = teamID => {
+      const team = competition.getTeam(teamID);
+      return team.getID() === CompetitionTeam.UNKNOWN_TEAM_ID ? teamID : team.getID()
+    };
+
+    const slotKeys = [];
+    const slotOfMatch = matches.map((match, i) => {
+      const key = match.hasStart() ? `${match.getDate()} ${match.getStart()}` : i;
+      if (!slotKeys.includes(key)) {
+        slotKeys.push(key);
+      }
+      return slotKeys.indexOf(key)
     });
 
-    if (teamMatches.length > 0) {
-      const collapseMatches = m => `{${m.getGroup().getStage().getID()}:${m.getGroup().getID()}:${m.getID()}}`;
-      throw new Error(`Team still has matches with IDs: ${teamMatches.map(collapseMatches).join(', ')}`)
-    }
+    const playing = slotKeys.map(() => new Set());
+    const officiating = slotKeys.map(() => new Set());
+    this.#dutyCounts = {};
+    candidates.forEach(teamID => {
+      this.#dutyCounts[teamID] = 0;
+    });
 
-    // Also remove team from any club's list
-    this.#clubs.forEach(club => {
-      club.deleteTeam(id);
+    matches.forEach((match, i) => {
+      playing[slotOfMatch[i]].add(teamKey(match.getHomeTeam().getID()));
+      playing[slotOfMatch[i]].add(teamKey(match.getAwayTeam().getID()));
+      if (match.hasOfficials() && match.getOfficials().isTeam()) {
+        officiating[slotOfMatch[i]].add(teamKey(match.getOfficials().getTeamID()));
+        const candidate = candidates.find(teamID => teamKey(teamID) === teamKey(match.getOfficials().getTeamID()));
+        if (candidate !== undefined) {
+          this.#dutyCounts[candidate]++;
+        }
+      }
     });
 
-    // Then delete the team
-    delete this.#teamLookup[id];
-    this.#teams = this.#teams.filter(team => team.getID() !== id);
+    matches.forEach((match, i) => {
+      if (match.hasOfficials()) {
+        return
+      }
+      const slot = slotOfMatch[i];
+      const available = candidates.filter(teamID => !playing[slot].has(teamKey(teamID)) && !officiating[slot].has(teamKey(teamID)));
+      if (available.length === 0) {
+        return
+      }
+
+      const isAdjacent = teamID => (slot > 0 && playing[slot - 1].has(teamKey(teamID))) ||
+        (slot < slotKeys.length - 1 && playing[slot + 1].has(teamKey(teamID)));
+      const fewestDuties = Math.min(...available.map(teamID => this.#dutyCounts[teamID]));
+      const leastBusy = available.filter(teamID => this.#dutyCounts[teamID] === fewestDuties);
+      const teamID = leastBusy.find(isAdjacent) ?? leastBusy[0];
 
-    return this
+      match.setOfficials(new MatchOfficials$1(match, teamID));
+      officiating[slot].add(teamKey(teamID));
+      this.#dutyCounts[teamID]++;
+    });
+
+    return this.getDutyCounts()
   }
 
   /**
-   * Add a player to this competition
-   *
-   * @param {Player} player The player to add to this competition
-   *
-   * @returns {Competition} This Competition instance
+   * Get the number of matches each candidate team is officiating, as calculated by the last call to allocate()
    *
-   * @throws {Error} If a player with a duplicate ID within the competition is added
+   * @returns {object} The number of matches each candidate team is officiating, keyed by team ID
    */
-  addPlayer (player) {
-    if (player.getID() !== Player.UNREGISTERED_PLAYER_ID && this.hasPlayer(player.getID())) {
-      throw new Error('players with duplicate IDs within a competition not allowed')
-    }
-
-    this.#players.push(player);
-    this.#playerLookup[player.getID()] = player;
-    return this
+  getDutyCounts () {
+    return { ...this.#dutyCounts }
   }
+}
 
+/**
+ * Aggregates player statistics across the matches in a competition: appearances, matches won, lost and drawn, sets played, MVP awards
+ * and the teams each player played for.  The matches can be limited to a stage, a group or a date range.
+ *
+ * A player appears in a match when they are in a team's list of players for the match.  Registered players are identified by their
+ * player ID, and unregistered players are grouped by name.  The sets that a player played in are taken from the team's match sheet
+ * when there is one, and otherwise a player is counted as playing in every set of the match.  The team a player played for is the
+ * team they appeared for; when that team is not yet known, a registered player's team is the one they were registered to on the date
+ * of the match, following the "from" and "until" dates of their team entries.
+ */
+class PlayerStatistics {
   /**
-   * Get the players in this competition
-   *
-   * @returns {array<Player>} The players in this competition
+   * The competition to aggregate statistics for
+   * @type {Competition}
+   * @private
    */
-  getPlayers () {
-    return this.#players
-  }
+  #competition
 
   /**
-   * Get the players in the team with the given ID
-   *
-   * @param {string} id the ID of the team to get the players for
-   *
-   * @returns {array<Player>} The players in the team with the given ID
+   * Only include matches in this stage
+   * @type {Stage|null}
+   * @private
    */
-  getPlayersInTeam (id) {
-    return this.#players.filter(player => player.getLatestTeamEntry()?.getID() === id)
-  }
+  #stage
 
   /**
-   * Returns the Player with the requested ID, or throws if the ID is not found
-   *
-   * @param {string} id The ID of the player in this competition to return
-   *
-   * @throws {Error} If a Player with the requested ID was not found
+   * Only include matches in this group
+   * @type {Group|null}
+   * @private
+   */
+  #group
+
+  /**
+   * Only include matches on or after this date
+   * @type {string|null}
+   * @private
+   */
+  #from
+
+  /**
+   * Only include matches on or before this date
+   * @type {string|null}
+   * @private
+   */
+  #until
+
+  /**
+   * Constructs a new PlayerStatistics
    *
-   * @returns {Player} The requested player for this competition
+   * @param {Competition} competition The competition to aggregate statistics for
+   * @param {object} options The filters for the matches to include
+   * @param {Stage} [options.stage] Only include matches in this stage
+   * @param {Group} [options.group] Only include matches in this group
+   * @param {string} [options.from] Only include matches on or after this date, in the format YYYY-MM-DD.  Matches without a date are
+   *                                not included when there is a date filter
+   * @param {string} [options.until] Only include matches on or before this date, in the format YYYY-MM-DD
    */
-  getPlayer (id) {
-    if (!Object.hasOwn(this.#playerLookup, id)) {
-      throw new Error(`Player with ID "${id}" not found`)
-    }
-    return this.#playerLookup[id]
+  constructor (competition, options = {}) {
+    this.#competition = competition;
+    this.#stage = options.stage ?? null;
+    this.#group = options.group ?? null;
+    this.#from = options.from ?? null;
+    this.#until = options.until ?? null;
   }
 
   /**
-   * Check if this competition has any players
+   * Get the statistics for every player that appeared in or was awarded MVP in the included matches, in the order that they first
+   * appear
    *
-   * @returns {bool} True if the competition has players, otherwise false
+   * @returns {Array<{id: string, name: string, appearances: number, won: number, lost: number, drawn: number, setsPlayed: number, mvpAwards: number, teams: Array<string>}>} The statistics for each player
    */
-  hasPlayers () {
-    return this.#players.length > 0
+  getStatistics () {
+    return [...this.#aggregate().values()]
   }
 
   /**
-   * Check if a player with the given ID exists in this competition
-   *
-   * @param {string} id The ID of the player to check
+   * Get the statistics for a player.  An unregistered player's statistics are those of every unregistered player with the same name
    *
-   * @returns {bool} True if the player exists, otherwise false
+   * @param {Player} player The player
+   * @returns {{id: string, name: string, appearances: number, won: number, lost: number, drawn: number, setsPlayed: number, mvpAwards: number, teams: Array<string>}} The player's statistics
    */
-  hasPlayer (id) {
-    return Object.hasOwn(this.#playerLookup, id)
+  getPlayerStatistics (player) {
+    return this.#aggregate().get(PlayerStatistics.#playerKey(player)) ?? PlayerStatistics.#emptyEntry(player)
   }
 
   /**
-   * Check if the team with the given ID has any players defined
-   *
-   * @param {string} id the ID of the team to check
+   * Aggregate the statistics for every player in the included matches
    *
-   * @returns {boolean} True if the team with the given ID has any players defined
+   * @returns {Map<string, object>} The statistics for each player, keyed by the player's grouping key
+   * @private
    */
-  hasPlayersInTeam (id) {
-    return this.#players.some(player => player.getLatestTeamEntry()?.getID() === id)
+  #aggregate () {
+    const statistics = new Map();
+    const entryFor = player => {
+      const key = PlayerStatistics.#playerKey(player);
+      if (!statistics.has(key)) {
+        statistics.set(key, PlayerStatistics.#emptyEntry(player));
+      }
+      return statistics.get(key)
+    };
+
+    this.#getMatches().forEach(match => {
+      [match.getHomeTeam(), match.getAwayTeam()].forEach(matchTeam => {
+        matchTeam.getPlayers().forEach(player => {
+          const entry = entryFor(player);
+          entry.appearances++;
+          if (match.isComplete()) {
+            if (match.isDraw()) {
+              entry.drawn++;
+            } else if (match.getWinnerTeamID() === matchTeam.getID()) {
+              entry.won++;
+            } else {
+              entry.lost++;
+            }
+          }
+          entry.setsPlayed += this.#countSetsPlayed(matchTeam, player);
+          const teamID = this.#getTeamID(matchTeam, player);
+          if (teamID !== null && !entry.teams.includes(teamID)) {
+            entry.teams.push(teamID);
+          }
+        });
+        if (matchTeam.getMVP() !== null) {
+          entryFor(matchTeam.getMVP()).mvpAwards++;
+        }
+      });
+      if (match.getMVP() !== null) {
+        entryFor(match.getMVP()).mvpAwards++;
+      }
+    });
+
+    return statistics
   }
 
   /**
-   * Check if the player with the given ID exists in the team with the given ID
-   *
-   * @param {string} playerID the ID of the player to check
-   * @param {string} teamID the ID of the team to check
+   * Get the matches to aggregate statistics for
    *
-   * @returns {boolean} True if the player with the given ID exists in the team with the given ID
+   * @returns {Array<GroupMatch>} The matches
+   * @private
    */
-  hasPlayerInTeam (playerID, teamID) {
-    return this.hasPlayer(playerID) && this.getPlayer(playerID).getLatestTeamEntry()?.getID() === teamID
+  #getMatches () {
+    const stages = this.#stage === null ? this.#competition.getStages() : [this.#stage];
+    return stages.flatMap(stage => stage.getGroups())
+      .filter(group => this.#group === null || group === this.#group)
+      .flatMap(group => group.getMatches())
+      .filter(match => match instanceof GroupMatch$1)
+      .filter(match => (this.#from === null && this.#until === null) || (match.getDate() !== null &&
+        (this.#from === null || match.getDate() >= this.#from) && (this.#until === null || match.getDate() <= this.#until)))
   }
 
   /**
-   * Delete a player from the competition
-   *
-   * @param {string} id The ID of the player to delete
+   * Count the sets that a player played in a match
    *
-   * @returns {Competition} This Competition instance
+   * @param {MatchTeam} matchTeam The team the player appeared for
+   * @param {Player} player The player
+   * @returns {number} The number of sets
+   * @private
    */
-  deletePlayer (id) {
-    // TODO check if this player is in any matches
-    if (!this.hasPlayer(id)) {
-      return this
+  #countSetsPlayed (matchTeam, player) {
+    const match = matchTeam.getMatch();
+    if (match.getGroup().getMatchType() === MatchType.CONTINUOUS) {
+      return 0
     }
-
-    delete this.#playerLookup[id];
-    this.#players = this.#players.filter(el => el.getID() !== id);
-    return this
+    const matchSheet = matchTeam.getMatchSheet();
+    if (matchSheet === null) {
+      return match.getHomeTeamScores().length
+    }
+    let setsPlayed = 0;
+    for (let setIndex = 0; setIndex < matchSheet.getSetCount(); setIndex++) {
+      if (matchSheet.getLineup(setIndex).includes(player) ||
+          matchSheet.getSubstitutions(setIndex).some(substitution => substitution.playerIn === player) ||
+          matchSheet.getLiberoReplacements(setIndex).some(replacement => replacement.libero === player)) {
+        setsPlayed++;
+      }
+    }
+    return setsPlayed
   }
 
   /**
-   * Add a new stage to the competition
-   *
-   * @param {Stage} stage The stage to add to the competition
-   *
-   * @throws {Error} If a stage with the requested ID already exists
+   * Get the ID of the team that a player played for in a match
    *
-   * @returns {Competition} This competition
+   * @param {MatchTeam} matchTeam The team the player appeared for
+   * @param {Player} player The player
+   * @returns {string|null} The team ID, or null when it is not known
+   * @private
    */
-  addStage (stage) {
-    if (stage.getCompetition() !== this) {
-      throw new Error('Stage was initialised with a different Competition')
+  #getTeamID (matchTeam, player) {
+    const team = this.#competition.getTeam(matchTeam.getID());
+    if (team.getID() !== CompetitionTeam.UNKNOWN_TEAM_ID) {
+      return team.getID()
     }
-    this.#stages.push(stage);
-    this.#stageLookup[stage.getID()] = stage;
-    return this
+    const date = matchTeam.getMatch().getDate();
+    if (player.getID() === Player.UNREGISTERED_PLAYER_ID || date === null) {
+      return null
+    }
+    const teamOnDate = player.getTeamOnDate(date);
+    return teamOnDate.getID() === CompetitionTeam.UNKNOWN_TEAM_ID ? null : teamOnDate.getID()
   }
 
   /**
-   * Get the stages in this competition
+   * Get the key that a player's statistics are grouped by
    *
-   * @returns array The stages in this competition
+   * @param {Player} player The player
+   * @returns {string} The key
+   * @private
    */
-  getStages () {
-    return this.#stages
+  static #playerKey (player) {
+    return player.getID() === Player.UNREGISTERED_PLAYER_ID ? `name:${player.getName()}` : `id:${player.getID()}`
   }
 
   /**
-   * Returns the Stage with the requested ID, or throws if the ID is not found
-   *
-   * @param {string} id The ID of the stage to return
+   * Get the statistics for a player with no appearances
    *
-   * @throws {Error} When no stage with the provided ID is found
-   *
-   * @returns {Stage} The requested stage
+   * @param {Player} player The player
+   * @returns {object} The statistics
+   * @private
    */
-  getStage (id) {
-    if (!Object.hasOwn(this.#stageLookup, id)) {
-      throw new Error(`Stage with ID ${id} not found`)
+  static #emptyEntry (player) {
+    return {
+      id: player.getID(),
+      name: player.getName(),
+      appearances: 0,
+      won: 0,
+      lost: 0,
+      drawn: 0,
+      setsPlayed: 0,
+      mvpAwards: 0,
+      teams: []
     }
-    return this.#stageLookup[id]
   }
+}
 
+/**
+ * A register of the sanctions given to players across a competition, which works out the players that are suspended from matches.
+ *
+ * Suspensions follow a list of rules.  Each rule gives a sanction type, a number of sanctions of that type and a number of matches, so
+ * that every time a player's total of that sanction type reaches a multiple of the number of sanctions, the player is suspended from
+ * that many of their team's following matches.  The team is the one the player was playing for when they received the sanction.
+ *
+ * Matches are in stage order and, within a stage, in date and start time order, with matches in the same slot kept in the order they
+ * appear.  A match without a date has not necessarily been played yet, so matches without a date come after the dated matches in their
+ * stage, in the order they appear.
+ */
+class SanctionRegister {
   /**
-   * Check if a stage with the given ID exists in the competition
-   *
-   * @param {string} id The ID of the stage to check
-   *
-   * @returns {bool} True if the stage exists, false otherwise
+   * The rules used when none are given: an expulsion suspends a player for one match, a disqualification suspends a player for two
+   * matches and every third penalty suspends a player for one match
+   * @type {Array<{type: string, count: number, matches: number}>}
    */
-  hasStage (id) {
-    return Object.hasOwn(this.#stageLookup, id)
-  }
+  static DEFAULT_RULES = [
+    { type: SanctionType.EXPULSION, count: 1, matches: 1 },
+    { type: SanctionType.DISQUALIFICATION, count: 1, matches: 2 },
+    { type: SanctionType.PENALTY, count: 3, matches: 1 }
+  ]
 
   /**
-   * Delete a stage from the competition
-   *
-   * @param {string} id The ID of the stage to delete
-   *
-   * @returns {Competition} This competition
+   * The competition whose sanctions are registered
+   * @type {Competition}
+   * @private
    */
-  deleteStage (id) {
-    let stageFound = false;
-    this.#stages.forEach(stage => {
-      if (stageFound) {
-        stage.getGroups().forEach(group => {
-          group.getMatches().forEach(match => {
-            let teamReferences = [];
-            teamReferences = teamReferences.concat(this.#stripTeamReferences(match.getHomeTeam().getID()));
-            teamReferences = teamReferences.concat(this.#stripTeamReferences(match.getAwayTeam().getID()));
+  #competition
 
-            const officials = match.getOfficials();
-            if (officials !== null && officials.isTeam()) {
-              teamReferences = teamReferences.concat(this.#stripTeamReferences(match.getOfficials().getTeamID()));
-            }
+  /**
+   * The rules for suspending players
+   * @type {Array<{type: string, count: number, matches: number}>}
+   * @private
+   */
+  #rules
 
-            teamReferences.forEach(reference => {
-              let parts;
-              if ((parts = reference.match(/^{([^:]*):.*}/)) !== null) {
-                if (parts[1] === id) {
-                  throw new Error(`Cannot delete stage with id "${id}" as it is referenced in match {${stage.getID()}:${group.getID()}:${match.getID()}}`)
-                }
-              }
-            });
-          });
-        });
-      } else if (stage.getID() === id) {
-        stageFound = true;
+  /**
+   * Constructs a new SanctionRegister
+   *
+   * @param {Competition} competition The competition whose sanctions are registered
+   * @param {object} options The register options
+   * @param {Array<{type: string, count: number, matches: number}>} [options.rules] The rules for suspending players (default
+   *                                                                                 SanctionRegister.DEFAULT_RULES)
+   * @throws {Error} If a rule has an invalid sanction type, or a count or number of matches that is not a positive integer
+   */
+  constructor (competition, options = {}) {
+    const rules = options.rules ?? SanctionRegister.DEFAULT_RULES;
+    rules.forEach(rule => {
+      if (!Object.values(SanctionType).includes(rule.type)) {
+        throw new Error(`Invalid suspension rule: invalid sanction type "${rule.type}"`)
+      }
+      if (!Number.isInteger(rule.count) || rule.count < 1 || !Number.isInteger(rule.matches) || rule.matches < 1) {
+        throw new Error('Invalid suspension rule: the count and the number of matches must be positive integers')
       }
     });
-
-    if (!stageFound) {
-      return this
-    }
-
-    delete this.#stageLookup[id];
-    this.#stages = this.#stages.filter(el => el.getID() !== id);
-
-    return this
+    this.#competition = competition;
+    this.#rules = rules.map(rule => ({ ...rule }));
   }
 
   /**
-   * Add a new club to the competition
+   * Get the competition whose sanctions are registered
    *
-   * @param {Club} club The club to add to the competition
+   * @returns {Competition} The competition
+   */
+  getCompetition () {
+    return this.#competition
+  }
+
+  /**
+   * Get the rules for suspending players
    *
-   * @throws {Error} If the input parameters are invalid or if a club with the requested ID already exists
+   * @returns {Array<{type: string, count: number, matches: number}>} The rules
+   */
+  getRules () {
+    return this.#rules.map(rule => ({ ...rule }))
+  }
+
+  /**
+   * Get the sanctions given to a player, in match order
    *
-   * @returns {Competition} This competition
+   * @param {Player} player The player
+   * @returns {Array<Sanction>} The player's sanctions
    */
-  addClub (club) {
-    if (club.getCompetition() !== this) {
-      throw new Error('Club was initialised with a different Competition')
-    }
-    this.#clubs.push(club);
-    this.#clubLookup[club.getID()] = club;
-    return this
+  getSanctions (player) {
+    return this.#getMatches().flatMap(match => match.getSanctions().filter(sanction => sanction.getPlayer() === player))
   }
 
   /**
-   * Get the clubs in this competition
+   * Get the number of sanctions of each type that a player has been given
    *
-   * @returns {array} The clubs in this competition
+   * @param {Player} player The player
+   * @returns {object} The number of sanctions, keyed by SanctionType value
    */
-  getClubs () {
-    return this.#clubs
+  getSanctionCounts (player) {
+    const counts = {};
+    Object.values(SanctionType).forEach(type => {
+      counts[type] = 0;
+    });
+    this.getSanctions(player).forEach(sanction => {
+      counts[sanction.getType()]++;
+    });
+    return counts
   }
 
   /**
-   * Returns the Club with the requested ID, or throws if the ID is not found
-   *
-   * @param {string} id The ID of the club to return
-   *
-   * @throws {Error} When no club with the provided ID is found
+   * Get the matches that a player is suspended from, in match order
    *
-   * @returns {Club} The requested club
+   * @param {Player} player The player
+   * @returns {Array<GroupMatch>} The matches the player is suspended from
    */
-  getClub (id) {
-    if (!Object.hasOwn(this.#clubLookup, id)) {
-      throw new Error(`Club with ID "${id}" not found`)
-    }
-    return this.#clubLookup[id]
+  getSuspensions (player) {
+    const matches = this.#getMatches();
+    const sanctions = this.getSanctions(player);
+    const suspended = new Set();
+
+    this.#rules.forEach(rule => {
+      sanctions.filter(sanction => sanction.getType() === rule.type).forEach((sanction, i) => {
+        const teamID = this.#resolveTeamID(sanction.getMatchTeam().getID());
+        if ((i + 1) % rule.count !== 0 || teamID === null) {
+          return
+        }
+        const teamMatches = matches.filter(match => this.#resolveTeamID(match.getHomeTeam().getID()) === teamID ||
+          this.#resolveTeamID(match.getAwayTeam().getID()) === teamID);
+        const matchIndex = teamMatches.indexOf(sanction.getMatchTeam().getMatch());
+        teamMatches.slice(matchIndex + 1, matchIndex + 1 + rule.matches).forEach(match => suspended.add(match));
+      });
+    });
+
+    return matches.filter(match => suspended.has(match))
   }
 
   /**
-   * Check if this competition has any clubs
+   * Check whether a player is suspended from a match
    *
-   * @returns {bool} True if the competition has clubs, otherwise false
+   * @param {Player} player The player
+   * @param {GroupMatch} match The match
+   * @returns {boolean} Whether the player is suspended from the match
    */
-  hasClubs () {
-    return this.#clubs.length > 0
+  isSuspended (player, match) {
+    return this.getSuspensions(player).includes(match)
   }
 
   /**
-   * Check if a club with the given ID exists in the competition
-   *
-   * @param {string} id The ID of the club to check
+   * Get the players that are suspended from a match
    *
-   * @returns {bool} True if the club exists, false otherwise
+   * @param {GroupMatch} match The match
+   * @returns {Array<Player>} The suspended players, in the order they are registered in the competition
    */
-  hasClub (id) {
-    return Object.hasOwn(this.#clubLookup, id)
+  getSuspendedPlayers (match) {
+    return this.#competition.getPlayers().filter(player => this.isSuspended(player, match))
   }
 
   /**
-   * Delete a club from the competition
+   * Get the matches in the competition in match order
    *
-   * @param {string} id The ID of the club to delete
-   *
-   * @returns {Competition} This competition
+   * @returns {Array<GroupMatch>} The matches
+   * @private
    */
-  deleteClub (id) {
-    if (!this.hasClub(id)) {
-      return this
-    }
-
-    const club = this.getClub(id);
-    const teamsInClub = club.getTeams();
-    if (teamsInClub.length > 0) {
-      throw new Error(`Club still contains teams with IDs: ${teamsInClub.map(t => `{${t.getID()}}`).join(', ')}`)
-    }
-
-    delete this.#clubLookup[id];
-    this.#clubs = this.#clubs.filter(club => club.getID() !== id);
-
-    return this
+  #getMatches () {
+    return this.#competition.getStages().flatMap(stage => {
+      const stageMatches = stage.getGroups().flatMap(group => group.getMatches().filter(match => match instanceof GroupMatch$1));
+      const undated = match => match.getDate() === null ? 1 : 0;
+      const slot = match => `${match.getDate() ?? ''} ${match.getStart() ?? ''}`;
+      return stageMatches.sort((a, b) => undated(a) - undated(b) || slot(a).localeCompare(slot(b)))
+    })
   }
 
   /**
-   * Validates a team ID, throwing an exception if it isn't and returning if the team ID is valid
-   *
-   * @param {string} teamID The team ID to check. This may be a team ID, a team reference, or a ternary
-   * @param {string} matchID The match that the team is a part of (for the exception message)
-   * @param {string} field The field the team is active in, e.g. "homeTeam", "officials > team" (for the exception message)
+   * Get the ID of the team that a team ID or reference resolves to
    *
-   * @throws {Error} An exception stating that the team ID is invalid
+   * @param {string} teamID The team ID or reference
+   * @returns {string|null} The resolved team ID, or null when the team is not yet known
+   * @private
    */
-  validateTeamID (teamID, matchID, field) {
-    let lrMatches;
+  #resolveTeamID (teamID) {
+    const team = this.#competition.getTeam(teamID);
+    return team.getID() === CompetitionTeam.UNKNOWN_TEAM_ID ? null : team.getID()
+  }
+}
 
-    // If it looks like a team ID
-    if (!teamID.startsWith('{')) {
-      try {
-        this.#validateTeamExists(teamID);
-      } catch (_) {
-        throw new Error(`Invalid team ID for ${field} in match with ID "${matchID}"`)
-      }
-      // If it looks like a ternary
-    } else if ((lrMatches = teamID.match(/^([^=]*)==([^?]*)\?(.*)/)) !== null) {
-      // Check the "left" part is a team reference
-      try {
-        this.#validateTeamReference(lrMatches[1]);
-      } catch (_) {
-        throw new Error(`Invalid ternary left part reference for ${field} in match with ID "${matchID}": "${lrMatches[1]}"`)
-      }
+/**
+ * Convert a number of minutes since midnight into a time in the format HH:mm
+ *
+ * @param {number} minutes The number of minutes since midnight
+ * @returns {string} The time in the format HH:mm
+ */
+function minutesToTime (minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`
+}
 
-      // Check the "right" part is a team reference
-      try {
-        this.#validateTeamReference(lrMatches[2]);
-      } catch (_) {
-        throw new Error(`Invalid ternary right part reference for ${field} in match with ID "${matchID}": "${lrMatches[2]}"`)
-      }
+/**
+ * Whether two periods of time overlap.  A period with no length is treated as lasting for one minute
+ *
+ * @param {number} aStart The start of the first period in minutes
+ * @param {number} aEnd The end of the first period in minutes
+ * @param {number} bStart The start of the second period in minutes
+ * @param {number} bEnd The end of the second period in minutes
+ * @returns {boolean} Whether the periods overlap
+ */
+function periodsOverlap (aStart, aEnd, bStart, bEnd) {
+  return aStart < Math.max(bEnd, bStart + 1) && bStart < Math.max(aEnd, aStart + 1)
+}
 
-      let tfMatches;
-      if ((tfMatches = lrMatches[3].match(/^({[^}]*}):(.*)/)) !== null) {
-        // If "true" team is a reference...
-        try {
-          this.#validateTeamReference(tfMatches[1]);
-        } catch (_) {
-          throw new Error(`Invalid ternary true team reference for ${field} in match with ID "${matchID}": "${tfMatches[1]}"`)
-        }
+/**
+ * Assigns a court, date and start time to every match that has not yet been scheduled, such that no team plays in two matches at
+ * the same time and no team is officiating while it is playing.  Matches that already have a date and start time are left as they are,
+ * and a match that already has a court or a date is only scheduled on that court or date.  Matches are not scheduled during any break
+ * in their group, and must finish by the end of play on their day.
+ */
+class Scheduler {
+  /**
+   * The courts that matches can be played on
+   * @type {Array<string>}
+   * @private
+   */
+  #courts
 
-        try {
-          if (!tfMatches[2].startsWith('{')) {
-            this.#validateTeamExists(tfMatches[2]);
-          } else {
-            this.#validateTeamReference(tfMatches[2]);
-          }
-        } catch (_) {
-          throw new Error(`Invalid ternary false team reference for ${field} in match with ID "${matchID}": "${tfMatches[2]}"`)
-        }
-      } else if ((tfMatches = lrMatches[3].match(/^([^:]*):(.*)/)) !== null) {
-        try {
-          this.#validateTeamExists(tfMatches[1]);
-        } catch (_) {
-          throw new Error(`Invalid ternary true team reference for ${field} in match with ID "${matchID}": "${tfMatches[1]}"`)
-        }
+  /**
+   * The days that matches can be played on, each with a date and the window of time in which matches can be played
+   * @type {Array<{date: string, start: string, end: string}>}
+   * @private
+   */
+  #days
 
-        try {
-          if (!tfMatches[2].startsWith('{')) {
-            this.#validateTeamExists(tfMatches[2]);
-          } else {
-            this.#validateTeamReference(tfMatches[2]);
-          }
-        } catch (_) {
-          throw new Error(`Invalid ternary false team reference for ${field} in match with ID "${matchID}": "${tfMatches[2]}"`)
-        }
-      }
-      // If it looks like an invalid team ref
-    } else if (teamID.match(/^{[^}]*$/) !== null) {
-      throw new Error(`Invalid team reference for ${field} in match with ID "${matchID}": "${teamID}"`)
-      // It must be a team reference
-    } else {
-      this.#validateTeamReference(teamID);
-    }
-  }
+  /**
+   * The length of a match slot in the format H:mm, used as the match duration when a match does not define one
+   * @type {string}
+   * @private
+   */
+  #slotLength
 
   /**
-   * Takes in an exact, resolved team ID and checks that the team exists
-   *
-   * @param {string} id The team ID to check. This must be a resolved team ID, not a team reference or a ternary
+   * Constructs a new Scheduler
    *
-   * @throws {Error} An exception if the team does not exist
+   * @param {Array<string>} courts The courts that matches can be played on
+   * @param {Array<{date: string, start: string, end: string}>} days The days that matches can be played on, with the start and end of play on each day in the format HH:mm
+   * @param {string} slotLength The length of a match slot in the format H:mm
+   * @throws {Error} If any of the courts, days or slot length are invalid
    */
-  #validateTeamExists (id) {
-    if (!this.hasTeam(id)) {
-      throw new Error(`Team with ID "${id}" does not exist`)
+  constructor (courts, days, slotLength) {
+    if (courts.length === 0) {
+      throw new Error('Invalid scheduler courts: at least one court is required')
+    }
+    if (days.length === 0) {
+      throw new Error('Invalid scheduler days: at least one day is required')
+    }
+    days.forEach(day => {
+      if (!/^[0-9]{4}-(0[1-9]|1[0-2])-(0[1-9]|[12][0-9]|3[01])$/.test(day.date)) {
+        throw new Error(`Invalid date "${day.date}": must contain a value of the form "YYYY-MM-DD"`)
+      }
+      if (!/^([01][0-9]|2[0-3]):[0-5][0-9]$/.test(day.start) || !/^([01][0-9]|2[0-3]):[0-5][0-9]$/.test(day.end) || day.start >= day.end) {
+        throw new Error(`Invalid times for ${day.date}: start and end must be of the form "HH:mm", and start must be before end`)
+      }
+    });
+    if (!/^[0-9]+:[0-5][0-9]$/.test(slotLength) || timeToMinutes(slotLength) === 0) {
+      throw new Error(`Invalid slot length "${slotLength}": must be a non-zero duration of the form "H:mm"`)
     }
+
+    this.#courts = courts;
+    this.#days = days;
+    this.#slotLength = slotLength;
   }
 
   /**
-   * Takes in a team reference and validates that it is valid.  This performs the following checks
-   * <ul>
-   *   <li>Is the reference syntax valid</li>
-   *   <li>Does the referenced Stage exist</li>
-   *   <li>Does the referenced Group exist</li>
-   *   <li>For a League position reference, is the position a valid integer</li>
-   *   <li>For a League position reference in a <em>completed</em> League, is the position in the bounds of the number of teams</li>
-   *   <li>Does the referenced Match exist</li>
-   *   <li>For a Match winner/loser, is the result reference valid</li>
-   * </ul>
-   *
-   * @param {string} teamRef The team reference to check
+   * Schedule all of the unscheduled matches in a stage, or in every stage of a competition.  Matches in other stages are taken into
+   * account when working out whether a team or court is free
    *
-   * @throws {Error} An exception if the team reference is invalid
+   * @param {Competition|Stage} target The competition or stage containing the matches to schedule
+   * @returns {{scheduled: Array<GroupMatch>, unscheduled: Array<GroupMatch>}} The matches that were scheduled, and the matches that could not be fitted into any slot
    */
-  #validateTeamReference (teamRef) {
-    let parts;
-    if ((parts = teamRef.match(/^{([^:]*):([^:]*):([^:]*):(.*)}/)) !== null) {
-      let stage;
-      let group;
-
-      try {
-        stage = this.getStage(parts[1]);
-      } catch (_) {
-        throw new Error(`Invalid Stage part: Stage with ID "${parts[1]}" does not exist`)
-      }
+  schedule (target) {
+    const competition = target instanceof Competition$1 ? target : target.getCompetition();
+    const stages = target instanceof Competition$1 ? target.getStages() : [target];
+    const slotMinutes = timeToMinutes(this.#slotLength);
 
-      try {
-        group = stage.getGroup(parts[2]);
-      } catch (_) {
-        throw new Error(`Invalid Group part: Group with ID "${parts[2]}" does not exist in stage with ID "${parts[1]}"`)
-      }
+    const bookings = [];
+    const breaks = [];
+    const toSchedule = [];
 
-      if (parts[3] === 'league') {
-        if (isNaN(parseInt(parts[4]))) {
-          throw new Error('Invalid League position: reference must be an integer')
-        }
-        if (parseInt(parts[4]) < 1) {
-          throw new Error('Invalid League position: reference must be a positive integer')
-        }
-        if (group.isComplete()) {
-          const teamsInGroup = group.getTeamIDs(Competition.VBC_TEAMS_KNOWN);
-          if (teamsInGroup.length < parseInt(parts[4])) {
-            throw new Error('Invalid League position: position is bigger than the number of teams')
+    competition.getStages().forEach(stage => {
+      stage.getGroups().forEach(group => {
+        group.getMatches().forEach(match => {
+          if (match instanceof GroupBreak) {
+            if (match.getStart() !== null) {
+              const start = timeToMinutes(match.getStart());
+              breaks.push({
+                group,
+                date: match.getDate(),
+                start,
+                end: start + (match.getDuration() === null ? 0 : timeToMinutes(match.getDuration()))
+              });
+            }
+          } else if (match.hasDate() && match.hasStart()) {
+            bookings.push(this.#makeBooking(competition, match, match.getDate(), timeToMinutes(match.getStart()), slotMinutes, match.getCourt()));
+          } else if (stages.includes(stage)) {
+            toSchedule.push(match);
           }
-        }
-      } else {
-        try {
-          group.getMatch(parts[3]);
-        } catch (_) {
-          throw new Error(`Invalid Match part in reference ${teamRef} : Match with ID "${parts[3]}" does not exist in stage:group with IDs "${parts[1]}:${parts[2]}"`)
-        }
-        if (parts[4] !== 'winner' && parts[4] !== 'loser') {
-          throw new Error(`Invalid Match result in reference ${teamRef}: reference must be one of "winner"|"loser" in stage:group:match with IDs "${parts[1]}:${parts[2]}:${parts[3]}"`)
-        }
+        });
+      });
+    });
+
+    const scheduled = [];
+    const unscheduled = [];
+
+    toSchedule.forEach(match => {
+      const slot = this.#findSlot(competition, match, bookings, breaks, slotMinutes);
+      if (slot === null) {
+        unscheduled.push(match);
+        return
       }
-    } else {
-      throw new Error(`Invalid team reference format "${teamRef}", must be "{STAGE-ID:GROUP-ID:TYPE-INDICATOR:ENTITY-INDICATOR}"`)
-    }
+      match.setDate(slot.date).setStart(minutesToTime(slot.start)).setCourt(slot.court);
+      bookings.push(slot);
+      scheduled.push(match);
+    });
+
+    return { scheduled, unscheduled }
   }
 
   /**
-   * This function recursively extracts team references from the team ID, including
-   * stripping out team references in a ternary statement
-   *
-   * @param {string} teamReference The string containing team references.
+   * Find the earliest slot that a match can be played in
    *
-   * @returns {Array<string>} An array containing unique team references extracted from the input string.
+   * @param {Competition} competition The competition the match is in
+   * @param {GroupMatch} match The match to find a slot for
+   * @param {Array<object>} bookings The courts and teams already booked
+   * @param {Array<object>} breaks The breaks in play
+   * @param {number} slotMinutes The length of a slot in minutes
+   * @returns {object|null} The booking for the match, or null if there is no free slot
    */
-  #stripTeamReferences (teamReference) {
-    let references = [];
-    let lrMatches;
-    if (!teamReference.startsWith('{')) {
-      return []
-    } else if ((lrMatches = teamReference.match(/^([^=]*)==([^?]*)\?(.*)/)) !== null) {
-      references = references.concat(this.#stripTeamReferences(lrMatches[1]));
-      references = references.concat(this.#stripTeamReferences(lrMatches[2]));
-      let tfMatches;
-      if ((tfMatches = lrMatches[3].match(/^({[^}]*}):(.*)/)) !== null) {
-        references = references.concat(this.#stripTeamReferences(tfMatches[1]));
-        references = references.concat(this.#stripTeamReferences(tfMatches[2]));
+  #findSlot (competition, match, bookings, breaks, slotMinutes) {
+    const courts = match.hasCourt() ? [match.getCourt()] : this.#courts;
+    // A match longer than a slot must still finish by the end of play
+    const minutes = Math.max(slotMinutes, match.hasDuration() ? timeToMinutes(match.getDuration()) : 0);
+
+    for (const day of this.#days) {
+      if (match.hasDate() && match.getDate() !== day.date) {
+        continue
+      }
+      for (let start = timeToMinutes(day.start); start + minutes <= timeToMinutes(day.end); start += slotMinutes) {
+        for (const court of courts) {
+          const booking = this.#makeBooking(competition, match, day.date, start, slotMinutes, court);
+          const clashes = bookings.some(other => other.date === booking.date &&
+            periodsOverlap(booking.start, booking.end, other.start, other.end) &&
+            (other.court === court || [...booking.teams].some(teamID => other.teams.has(teamID))));
+          const inBreak = breaks.some(groupBreak => groupBreak.group === match.getGroup() &&
+            (groupBreak.date === null || groupBreak.date === booking.date) &&
+            periodsOverlap(booking.start, booking.end, groupBreak.start, groupBreak.end));
+          if (!clashes && !inBreak) {
+            return booking
+          }
+        }
       }
-    } else {
-      references.push(teamReference);
     }
 
-    return [...new Set(references)]
+    return null
   }
 
   /**
-   * Check whether all stages are complete, i.e. all matches in all stages have results
-   * and the competition results can be fully calculated
+   * Create a record of the court and teams that are busy for a match
    *
-   * @returns {bool} Whether the competition is complete or not
+   * @param {Competition} competition The competition the match is in
+   * @param {GroupMatch} match The match
+   * @param {string} date The date of the match
+   * @param {number} start The start time of the match in minutes
+   * @param {number} slotMinutes The length of a slot in minutes, used when the match has no duration
+   * @param {string|null} court The court the match is on
+   * @returns {object} The booking
    */
-  isComplete () {
-    for (let i = 0; i < this.#stages.length; i++) {
-      if (!this.#stages[i].isComplete()) {
-        return false
-      }
+  #makeBooking (competition, match, date, start, slotMinutes, court) {
+    const teamIDs = [match.getHomeTeam().getID(), match.getAwayTeam().getID()];
+    if (match.hasOfficials() && match.getOfficials().isTeam()) {
+      teamIDs.push(match.getOfficials().getTeamID());
     }
 
-    return true
+    const teams = new Set(teamIDs.map(teamID => {
+      // Use the resolved team where it is known so that a team is still matched when it is referenced in different ways
+      const team = competition.getTeam(teamID);
+      return team.getID() === CompetitionTeam.UNKNOWN_TEAM_ID ? teamID : team.getID()
+    }));
+
+    return {
+      date,
+      start,
+      end: start + (match.hasDuration() ? timeToMinutes(match.getDuration()) : slotMinutes),
+      court,
+      teams
+    }
   }
 }
 
-var Competition$1 = Competition;
-
+exports.CSVExporter = CSVExporter;
+exports.CSVImporter = CSVImporter;
+exports.ChangeHistory = ChangeHistory;
+exports.ClinchStatus = ClinchStatus;
 exports.Club = Club;
 exports.Competition = Competition$1;
+exports.CompetitionChangeType = CompetitionChangeType;
+exports.CompetitionDiff = CompetitionDiff;
+exports.CompetitionEventType = CompetitionEventType;
 exports.CompetitionTeam = CompetitionTeam;
+exports.CompetitionValidationError = CompetitionValidationError;
 exports.Contact = Contact;
 exports.ContactRole = ContactRole;
 exports.Crossover = Crossover;
+exports.EligibilityChecker = EligibilityChecker;
 exports.Group = Group$1;
 exports.GroupBreak = GroupBreak;
-exports.GroupMatch = GroupMatch;
+exports.GroupMatch = GroupMatch$1;
 exports.GroupType = GroupType;
+exports.HTMLRenderer = HTMLRenderer;
+exports.ICSExporter = ICSExporter;
 exports.IfUnknown = IfUnknown;
 exports.IfUnknownBreak = IfUnknownBreak;
 exports.IfUnknownMatch = IfUnknownMatch;
@@ -9780,13 +16421,24 @@ exports.KnockoutConfig = KnockoutConfig;
 exports.League = League;
 exports.LeagueConfig = LeagueConfig;
 exports.LeagueConfigPoints = LeagueConfigPoints;
+exports.LeagueSimulator = LeagueSimulator;
 exports.LeagueTable = LeagueTable;
 exports.LeagueTableEntry = LeagueTableEntry;
 exports.MatchManager = MatchManager;
 exports.MatchOfficials = MatchOfficials$1;
+exports.MatchSheet = MatchSheet;
 exports.MatchTeam = MatchTeam;
 exports.MatchType = MatchType;
+exports.MigrationRegistry = MigrationRegistry;
+exports.OfficialsAllocator = OfficialsAllocator;
 exports.Player = Player;
+exports.PlayerStatistics = PlayerStatistics;
 exports.PlayerTeam = PlayerTeam;
+exports.RallyLog = RallyLog;
+exports.Sanction = Sanction;
+exports.SanctionRegister = SanctionRegister;
+exports.SanctionType = SanctionType;
+exports.ScheduleConflictType = ScheduleConflictType;
+exports.Scheduler = Scheduler;
 exports.SetConfig = SetConfig;
 exports.Stage = Stage;
@@ -1,13 +1,24 @@
+export { default as ChangeHistory } from './changeHistory.js'
+export { default as ClinchStatus } from './clinchStatus.js'
 export { default as Club } from './club.js'
 export { default as Competition } from './competition.js'
+export { default as CompetitionChangeType } from './competitionChangeType.js'
+export { default as CompetitionDiff } from './competitionDiff.js'
+export { default as CompetitionEventType } from './competitionEventType.js'
 export { default as CompetitionTeam } from './competitionTeam.js'
+export { default as CompetitionValidationError } from './competitionValidationError.js'
 export { default as Contact } from './contact.js'
 export { default as ContactRole } from './contactRole.js'
 export { default as Crossover } from './crossover.js'
+export { default as CSVExporter } from './csvExporter.js'
+export { default as CSVImporter } from './csvImporter.js'
+export { default as EligibilityChecker } from './eligibilityChecker.js'
 export { default as Group } from './group.js'
 export { default as GroupBreak } from './groupBreak.js'
 export { default as GroupMatch } from './groupMatch.js'
 export { default as GroupType } from './groupType.js'
+export { default as HTMLRenderer } from './htmlRenderer.js'
+export { default as ICSExporter } from './icsExporter.js'
 export { default as IfUnknown } from './ifUnknown.js'
 export { default as IfUnknownBreak } from './ifUnknownBreak.js'
 export { default as IfUnknownMatch } from './ifUnknownMatch.js'
@@ -16,13 +27,24 @@ export { default as KnockoutConfig } from './knockoutConfig.js'
 export { default as League } from './league.js'
 export { default as LeagueConfig } from './leagueConfig.js'
 export { default as LeagueConfigPoints } from './leagueConfigPoints.js'
+export { default as LeagueSimulator } from './leagueSimulator.js'
 export { default as LeagueTable } from './leagueTable.js'
 export { default as LeagueTableEntry } from './leagueTableEntry.js'
 export { default as MatchManager } from './matchManager.js'
 export { default as MatchOfficials } from './matchOfficials.js'
+export { default as MatchSheet } from './matchSheet.js'
 export { default as MatchTeam } from './matchTeam.js'
 export { default as MatchType } from './matchType.js'
+export { default as MigrationRegistry } from './migrationRegistry.js'
+export { default as OfficialsAllocator } from './officialsAllocator.js'
 export { default as Player } from './player.js'
+export { default as PlayerStatistics } from './playerStatistics.js'
 export { default as PlayerTeam } from './playerTeam.js'
+export { default as RallyLog } from './rallyLog.js'
+export { default as Sanction } from './sanction.js'
+export { default as SanctionRegister } from './sanctionRegister.js'
+export { default as SanctionType } from './sanctionType.js'
+export { default as ScheduleConflictType } from './scheduleConflictType.js'
+export { default as Scheduler } from './scheduler.js'
 export { default as SetConfig } from './setConfig.js'
 export { default as Stage } from './stage.js'
@@ -1,8 +1,13 @@
+import ClinchStatus from './clinchStatus.js'
+import CompetitionEventType from './competitionEventType.js'
 import LeagueTable from './leagueTable.js'
 import LeagueTableEntry from './leagueTableEntry.js'
 import Group from './group.js'
 import GroupBreak from './groupBreak.js'
+import GroupMatch from './groupMatch.js'
 import GroupType from './groupType.js'
+import MatchTeam from './matchTeam.js'
+import MatchType from './matchType.js'
 
 /**
  * A group within this stage of the competition. Leagues expect all teams to play each other at least once, and have a league table
@@ -29,6 +34,117 @@ class League extends Group {
     this._drawsAllowed = drawsAllowed
   }
 
+  /**
+   * Generates the matches for a round-robin league between the given teams using the circle method, adding them to this group.  When there
+   * is an odd number of teams, each round includes a GroupBreak naming the team with a bye.  Matches are given the IDs idPrefix1, idPrefix2, ...
+   * When the competition's change history is enabled, the generated matches are undone as one step
+   *
+   * @param {Array<string>} teamIDs The IDs (or references) of the teams taking part
+   * @param {object} options The generator options
+   * @param {number} [options.legs=1] The number of times each team plays each other team; home and away are swapped on alternate legs
+   * @param {boolean} [options.homeAwayBalance=true] Whether to balance the number of home and away matches for each team
+   * @param {string|null} [options.idPrefix=null] The prefix for each match ID, defaulting to the ID of this group
+   * @returns {League} This League instance
+   * @throws {Error} If there are fewer than two teams, a team appears more than once, the number of legs is invalid or a team ID is invalid
+   */
+  generateRoundRobin (teamIDs, options = {}) {
+    const legs = options.legs ?? 1
+    const homeAwayBalance = options.homeAwayBalance ?? true
+    const idPrefix = options.idPrefix ?? this._id
+
+    if (teamIDs.length < 2) {
+      throw new Error('Invalid round robin: at least two teams are required')
+    }
+    if (new Set(teamIDs).size !== teamIDs.length) {
+      throw new Error('Invalid round robin: each team must only appear once')
+    }
+    if (!Number.isInteger(legs) || legs < 1) {
+      throw new Error('Invalid round robin: legs must be a positive integer')
+    }
+
+    const rounds = League.#circleRounds(teamIDs, homeAwayBalance)
+    const matches = []
+    let matchNumber = 1
+
+    for (let leg = 0; leg < legs; leg++) {
+      rounds.forEach((round, roundIndex) => {
+        round.pairs.forEach(pair => {
+          const [homeTeamID, awayTeamID] = leg % 2 === 0 ? pair : [pair[1], pair[0]]
+          const match = new GroupMatch(this, `${idPrefix}${matchNumber++}`)
+          match.setHomeTeam(new MatchTeam(match, homeTeamID))
+          match.setAwayTeam(new MatchTeam(match, awayTeamID))
+          if (this._matchType === MatchType.CONTINUOUS) {
+            match.setComplete(false)
+          }
+          matches.push(match)
+        })
+        if (round.bye !== null) {
+          const bye = new GroupBreak(this)
+          bye.setName(`Round ${(leg * rounds.length) + roundIndex + 1} bye: ${round.bye}`)
+          matches.push(bye)
+        }
+      })
+    }
+
+    // Check every team ID before adding anything so that an invalid ID does not leave a partial set of matches
+    matches.forEach(match => {
+      if (match instanceof GroupMatch) {
+        this._competition.validateTeamID(match.getHomeTeam().getID(), match.getID(), 'homeTeam')
+        this._competition.validateTeamID(match.getAwayTeam().getID(), match.getID(), 'awayTeam')
+      }
+    })
+
+    const addMatches = () => matches.forEach(match => {
+      if (match instanceof GroupBreak) {
+        this.addBreak(match)
+      } else {
+        this.addMatch(match)
+      }
+    })
+    const history = this._competition.getHistory()
+    if (history === null) {
+      addMatches()
+    } else {
+      history.transaction(null, addMatches)
+    }
+
+    return this
+  }
+
+  /**
+   * Pairs up the teams for each round using the circle method, where the first team stays fixed and the others rotate around it.
+   * A team's home/away alternation comes from its position in the circle, with the fixed team alternating each round
+   *
+   * @param {Array<string>} teamIDs The IDs of the teams taking part
+   * @param {boolean} homeAwayBalance Whether to balance the number of home and away matches for each team
+   * @returns {Array<{pairs: Array<Array<string>>, bye: string|null}>} The pairings for each round, as [home, away], plus the team with a bye
+   */
+  static #circleRounds (teamIDs, homeAwayBalance) {
+    const circle = teamIDs.length % 2 === 0 ? [...teamIDs] : [...teamIDs, null]
+    const rounds = []
+
+    for (let round = 0; round < circle.length - 1; round++) {
+      const pairs = []
+      let bye = null
+      for (let i = 0; i < circle.length / 2; i++) {
+        let home = circle[i]
+        let away = circle[circle.length - 1 - i]
+        if (home === null || away === null) {
+          bye = home ?? away
+          continue
+        }
+        if (homeAwayBalance && i === 0 && round % 2 === 1) {
+          [home, away] = [away, home]
+        }
+        pairs.push([home, away])
+      }
+      rounds.push({ pairs, bye })
+      circle.splice(1, 0, circle.pop())
+    }
+
+    return rounds
+  }
+
   /**
    * Processes matches to update the league table.
    *
@@ -155,6 +271,7 @@ class League extends Group {
     })
 
     this.#table.entries.sort((a, b) => this.#sortLeagueTable(a, b))
+    this._competition.emit(CompetitionEventType.LEAGUE_TABLE_UPDATED, { group: this, table: this.#table })
   }
 
   /**
@@ -379,6 +496,179 @@ class League extends Group {
     return this._leagueConfig
   }
 
+  /**
+   * Work out which final positions each team in the league table can still finish in, given the matches left to play.  A team's
+   * highest and lowest possible positions come from the most and fewest league points (or wins, when the table is ordered by wins first)
+   * that each team can still get.  Teams that could finish level are left to the tie-breakers, which cannot be known until the matches
+   * are played, so a position that depends on a tie-break is undetermined rather than guaranteed or impossible.  When the table is
+   * ordered by anything else first, every position is undetermined until the league is complete.
+   *
+   * Each team's range is worked out on its own, so when two teams still have to play each other both are assumed to be able to win that
+   * match.  The positions are therefore a conservative range: a position reported as guaranteed or impossible always is, but a position
+   * reported as undetermined may already be settled by the matches the teams have in common.  Points lost by forfeiting are taken into
+   * account.  Bonus and penalty points have no limit, so once any team in the league has been given bonus points, a team with matches
+   * left to play is taken to be able to get any number of points from them, and once any team has been given penalty points, to be able
+   * to lose any number.  Until then the league is taken not to award them, and the positions only hold if it does not
+   *
+   * @returns {Array<{entry: LeagueTableEntry, highest: number, lowest: number, positions: Array<string>}>} For each entry in the league
+   *          table, in table order, the highest and lowest positions it is not ruled out of finishing in, where 1 is the top of the
+   *          table, and a ClinchStatus for finishing in each position, indexed by position so that index 0 is the top of the table
+   */
+  getClinchStatus () {
+    const entries = this.getLeagueTable().entries
+    const remaining = this._matches.filter(match => match instanceof GroupMatch && !match.isFriendly() && !match.isComplete())
+    const bounds = this.#finalValueBounds(entries, remaining)
+
+    return entries.map((entry, i) => {
+      let highest = i + 1
+      let lowest = i + 1
+      if (remaining.length > 0) {
+        const { min, max } = bounds[entry.getTeamID()]
+        const others = entries.filter(other => other !== entry).map(other => bounds[other.getTeamID()])
+        highest = 1 + others.filter(other => other.min > max).length
+        lowest = entries.length - others.filter(other => other.max < min).length
+      }
+      return {
+        entry,
+        highest,
+        lowest,
+        positions: entries.map((_, position) => League.#rangeStatus(highest, lowest, position + 1, position + 1))
+      }
+    })
+  }
+
+  /**
+   * Check whether a team is certain to finish within a range of positions, e.g. in the top two for promotion.  See getClinchStatus()
+   * for how the possible positions are worked out
+   *
+   * @param {string} teamID The ID of the team to check
+   * @param {number} from The highest position in the range, where 1 is the top of the table
+   * @param {number} to The lowest position in the range
+   * @returns {string} The ClinchStatus for the team finishing within the range
+   * @throws {Error} If the team is not in the league table, or the range is not valid
+   */
+  getClinchStatusForRange (teamID, from, to) {
+    const clinchStatus = this.getClinchStatus()
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < from || to > clinchStatus.length) {
+      throw new Error(`Invalid position range ${from} to ${to}: positions must be integers from 1 to ${clinchStatus.length}, with the first no lower than the second`)
+    }
+    const teamStatus = clinchStatus.find(status => status.entry.getTeamID() === teamID)
+    if (teamStatus === undefined) {
+      throw new Error(`Team with ID ${teamID} not found in the league table`)
+    }
+    return League.#rangeStatus(teamStatus.highest, teamStatus.lowest, from, to)
+  }
+
+  /**
+   * Work out the lowest and highest value that each team could finish with for the first ordering in the league config.  Only league
+   * points and wins can be bounded, so any other ordering gives each team an unbounded range
+   *
+   * @param {Array<LeagueTableEntry>} entries The entries in the league table
+   * @param {Array<GroupMatch>} remaining The matches that still count towards the league table but are not complete
+   * @returns {object} The range of final values, keyed by team ID, with each value of the form {min: number, max: number}
+   * @private
+   */
+  #finalValueBounds (entries, remaining) {
+    const ordering = this._leagueConfig.getOrdering()[0]
+    let perMatch = { min: -Infinity, max: Infinity }
+    if (ordering === 'PTS') {
+      perMatch = this.#matchPointsRange()
+      const matchTeams = this._matches.filter(match => match instanceof GroupMatch).flatMap(match => [match.getHomeTeam(), match.getAwayTeam()])
+      if (matchTeams.some(matchTeam => matchTeam.getBonusPoints() > 0)) {
+        perMatch.max = Infinity
+      }
+      if (matchTeams.some(matchTeam => matchTeam.getPenaltyPoints() > 0)) {
+        perMatch.min = -Infinity
+      }
+    } else if (ordering === 'WINS') {
+      perMatch = { min: 0, max: 1 }
+    }
+
+    const bounds = {}
+    entries.forEach(entry => {
+      let value = 0
+      if (ordering === 'PTS') {
+        value = entry.getPTS()
+      } else if (ordering === 'WINS') {
+        value = entry.getWins()
+      }
+      bounds[entry.getTeamID()] = { min: value, max: value }
+    })
+
+    remaining.forEach(match => {
+      [match.getHomeTeam().getID(), match.getAwayTeam().getID()].forEach(teamID => {
+        bounds[teamID].min += perMatch.min
+        bounds[teamID].max += perMatch.max
+      })
+    })
+
+    return bounds
+  }
+
+  /**
+   * Work out the fewest and most league points that a team can get from a single match, including matches ending early because they
+   * have a time limit, and a forfeit
+   *
+   * @returns {{min: number, max: number}} The fewest and most league points a team can get from a match
+   * @private
+   */
+  #matchPointsRange () {
+    const points = this._leagueConfig.getPoints()
+    const outcomes = []
+
+    if (this._matchType === MatchType.CONTINUOUS) {
+      outcomes.push(points.getWin(), points.getLose())
+      if (this._drawsAllowed) {
+        outcomes.push(0)
+      }
+    } else {
+      const setsToWin = this._sets.getSetsToWin()
+      for (let won = 0; won <= setsToWin; won++) {
+        for (let lost = 0; lost <= setsToWin; lost++) {
+          if (won + lost === 0 || won + lost > this._sets.getMaxSets() || (won === lost && !this._drawsAllowed)) {
+            continue
+          }
+          let resultPoints = 0
+          if (won - lost === 1) {
+            resultPoints = points.getWinByOne()
+          } else if (won > lost) {
+            resultPoints = points.getWin()
+          } else if (lost - won === 1) {
+            resultPoints = points.getLoseByOne()
+          } else if (lost > won) {
+            resultPoints = points.getLose()
+          }
+          outcomes.push((points.getPerSet() * won) + resultPoints)
+        }
+      }
+    }
+
+    return {
+      min: Math.min(...outcomes) + points.getPlayed() - points.getForfeit(),
+      max: Math.max(...outcomes) + points.getPlayed()
+    }
+  }
+
+  /**
+   * Get the status of a team finishing within a range of positions, given the highest and lowest positions it could finish in
+   *
+   * @param {number} highest The highest position the team could finish in
+   * @param {number} lowest The lowest position the team could finish in
+   * @param {number} from The highest position in the range
+   * @param {number} to The lowest position in the range
+   * @returns {string} The ClinchStatus for the team finishing within the range
+   * @private
+   */
+  static #rangeStatus (highest, lowest, from, to) {
+    if (highest >= from && lowest <= to) {
+      return ClinchStatus.GUARANTEED
+    }
+    if (highest > to || lowest < from) {
+      return ClinchStatus.IMPOSSIBLE
+    }
+    return ClinchStatus.UNDETERMINED
+  }
+
   /**
    * Gets the team by ID based on the type of entity.
    *
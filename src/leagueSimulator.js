@@ -0,0 +1,279 @@
+import GroupMatch from './groupMatch.js'
+import League from './league.js'
+import MatchType from './matchType.js'
+
+/**
+ * Estimates how a league might finish by simulating the rest of its matches many times.  Each simulation fills every incomplete match
+ * in the league with a random result, processes the league table and records the position each team finished in.  The results are
+ * generated on a copy of the competition, so the league being simulated is never changed.
+ *
+ * The results are drawn from one of these models:
+ * <ul>
+ *   <li>uniform - each team is equally likely to win, and when draws are allowed a draw is as likely as either team winning</li>
+ *   <li>strength - a team's chance of winning is weighted by its record in the league's completed matches, and when draws are allowed
+ *       the chance of a draw follows how often completed matches were drawn</li>
+ * </ul>
+ *
+ * Generated scores are always valid for the group: sets matches follow the group's SetConfig, and draws are only generated when the
+ * group allows them.
+ */
+class LeagueSimulator {
+  /**
+   * The models that results can be drawn from
+   * @type {Array<string>}
+   */
+  static MODELS = ['uniform', 'strength']
+
+  /**
+   * The league to simulate
+   * @type {League}
+   * @private
+   */
+  #league
+
+  /**
+   * The model that results are drawn from
+   * @type {string}
+   * @private
+   */
+  #model
+
+  /**
+   * A function returning a random number in the range [0, 1)
+   * @type {function(): number}
+   * @private
+   */
+  #random
+
+  /**
+   * The score a continuous match's winner gets
+   * @type {number}
+   * @private
+   */
+  #points
+
+  /**
+   * Constructs a new LeagueSimulator
+   *
+   * @param {League} league The league to simulate
+   * @param {object} options The simulation options
+   * @param {string} [options.model] The model that results are drawn from, one of LeagueSimulator.MODELS (default 'uniform')
+   * @param {function(): number} [options.random] A function returning a random number in the range [0, 1), e.g. a seeded generator for
+   *                                              repeatable simulations (default Math.random)
+   * @param {number} [options.points] The score a continuous match's winner gets, with the loser getting fewer (default 25)
+   * @throws {Error} If the group is not a league or an option is invalid
+   */
+  constructor (league, options = {}) {
+    if (!(league instanceof League)) {
+      throw new Error(`Group {${league.getStage().getID()}:${league.getID()}} is not a league`)
+    }
+    this.#league = league
+    this.#model = options.model ?? 'uniform'
+    this.#random = options.random ?? Math.random
+    this.#points = options.points ?? 25
+
+    if (!LeagueSimulator.MODELS.includes(this.#model)) {
+      throw new Error(`Invalid model "${this.#model}": must be one of ${LeagueSimulator.MODELS.map(model => `"${model}"`).join(', ')}`)
+    }
+    if (!Number.isInteger(this.#points) || this.#points < 1) {
+      throw new Error(`Invalid points "${this.#points}": must be a positive integer`)
+    }
+  }
+
+  /**
+   * Simulate the rest of the league's matches.  The result has the number of simulations run and, for each team in the league, how many
+   * times it finished in each position and the probability of finishing there.  The arrays are indexed by position, so index 0 is first
+   * place.
+   *
+   * The simulation runs on a copy of the competition made with Competition.clone(), which does not need to wait for anything.  This still
+   * returns a Promise, as it did when the copy was made by reloading the competition, so that existing callers keep working and a later
+   * version can do asynchronous work here without changing the API
+   *
+   * @param {number} iterations The number of times to simulate the rest of the league
+   * @returns {Promise<{iterations: number, teams: object}>} The distribution of final positions, with "teams" keyed by team ID and each
+   *                                                         value an object of the form {counts: Array<number>, probabilities: Array<number>}
+   * @throws {Error} If the number of iterations is invalid
+   */
+  async simulate (iterations) {
+    if (!Number.isInteger(iterations) || iterations < 1) {
+      throw new Error(`Invalid iterations "${iterations}": must be a positive integer`)
+    }
+
+    const competition = this.#league.getCompetition().clone()
+    const league = competition.getStage(this.#league.getStage().getID()).getGroup(this.#league.getID())
+    const matches = league.getMatches().filter(match => match instanceof GroupMatch && !match.isFriendly())
+    const remaining = matches.filter(match => !match.isComplete())
+    const strengths = this.#strengths(matches.filter(match => match.isComplete()))
+
+    const counts = {}
+    const teamCount = league.getLeagueTable().entries.length
+    league.getLeagueTable().entries.forEach(entry => {
+      counts[entry.getTeamID()] = new Array(teamCount).fill(0)
+    })
+
+    for (let i = 0; i < iterations; i++) {
+      remaining.forEach(match => {
+        const [homeScores, awayScores] = this.#generateScores(league, this.#outcome(league, match, strengths))
+        match.setScores(homeScores, awayScores, true)
+      })
+      league.getLeagueTable().entries.forEach((entry, position) => {
+        counts[entry.getTeamID()][position]++
+      })
+    }
+
+    const teams = {}
+    Object.keys(counts).forEach(teamID => {
+      teams[teamID] = {
+        counts: counts[teamID],
+        probabilities: counts[teamID].map(count => count / iterations)
+      }
+    })
+
+    return { iterations, teams }
+  }
+
+  /**
+   * Work out each team's strength, and how likely a draw is, from the league's completed matches.  The strengths are only used by the
+   * "strength" model.  A team's strength is its share of wins, counting a draw as half a win, and both values are smoothed so that a
+   * team with no completed matches, or a league with no draws yet, still has a chance
+   *
+   * @param {Array<GroupMatch>} completed The completed matches in the league
+   * @returns {{teams: object, draw: number}} The strength of each team, keyed by team ID, and the probability of a draw
+   * @private
+   */
+  #strengths (completed) {
+    const records = {}
+    const record = teamID => {
+      records[teamID] = records[teamID] ?? { won: 0, played: 0 }
+      return records[teamID]
+    }
+
+    let draws = 0
+    completed.forEach(match => {
+      const home = record(match.getHomeTeam().getID())
+      const away = record(match.getAwayTeam().getID())
+      home.played++
+      away.played++
+      if (match.isDraw()) {
+        home.won += 0.5
+        away.won += 0.5
+        draws++
+      } else {
+        record(match.getWinnerTeamID()).won++
+      }
+    })
+
+    const teams = {}
+    Object.keys(records).forEach(teamID => {
+      teams[teamID] = (records[teamID].won + 1) / (records[teamID].played + 2)
+    })
+
+    return { teams, draw: (draws + 1) / (completed.length + 3) }
+  }
+
+  /**
+   * Pick the outcome of a match
+   *
+   * @param {League} league The league the match is in
+   * @param {GroupMatch} match The match to pick the outcome for
+   * @param {{teams: object, draw: number}} strengths The team strengths and the probability of a draw
+   * @returns {string} The outcome, one of "home", "away" or "draw"
+   * @private
+   */
+  #outcome (league, match, strengths) {
+    const canDraw = league.getDrawsAllowed() && LeagueSimulator.#drawPossible(league)
+    let homeChance = 0.5
+    let drawChance = canDraw ? 1 / 3 : 0
+
+    if (this.#model === 'strength') {
+      const homeStrength = strengths.teams[match.getHomeTeam().getID()] ?? 0.5
+      const awayStrength = strengths.teams[match.getAwayTeam().getID()] ?? 0.5
+      homeChance = homeStrength / (homeStrength + awayStrength)
+      drawChance = canDraw ? strengths.draw : 0
+    }
+
+    const roll = this.#random()
+    if (roll < drawChance) {
+      return 'draw'
+    }
+    return (roll - drawChance) < homeChance * (1 - drawChance) ? 'home' : 'away'
+  }
+
+  /**
+   * Generate the scores for a match with the given outcome
+   *
+   * @param {League} league The league the match is in
+   * @param {string} outcome The outcome, one of "home", "away" or "draw"
+   * @returns {Array<Array<number>>} The home team's scores and the away team's scores
+   * @private
+   */
+  #generateScores (league, outcome) {
+    if (league.getMatchType() === MatchType.CONTINUOUS) {
+      if (outcome === 'draw') {
+        const score = 1 + this.#randomInt(this.#points)
+        return [[score], [score]]
+      }
+      const loserScore = this.#randomInt(this.#points)
+      return outcome === 'home' ? [[this.#points], [loserScore]] : [[loserScore], [this.#points]]
+    }
+
+    const setConfig = league.getSetConfig()
+    let winnerSets = Math.min(setConfig.getSetsToWin(), setConfig.getMaxSets())
+    let loserSets = this.#randomInt(Math.max(Math.min(setConfig.getSetsToWin(), setConfig.getMaxSets() - setConfig.getSetsToWin() + 1), 1))
+    if (outcome === 'draw') {
+      winnerSets = setConfig.getMaxSets() / 2
+      loserSets = winnerSets
+    }
+
+    // The winner takes the last set, and the sets before it are shuffled between the two teams
+    const setWinners = [...new Array(winnerSets - 1).fill(true), ...new Array(loserSets).fill(false)]
+    for (let i = setWinners.length - 1; i > 0; i--) {
+      const j = this.#randomInt(i + 1)
+      ;[setWinners[i], setWinners[j]] = [setWinners[j], setWinners[i]]
+    }
+    setWinners.push(true)
+
+    const winnerScores = []
+    const loserScores = []
+    setWinners.forEach((winnerWonSet, setNumber) => {
+      const deciderSet = setNumber === setConfig.getMaxSets() - 1
+      const setWinnerScore = deciderSet
+        ? Math.min(setConfig.getLastSetPointsToWin(), setConfig.getLastSetMaxPoints())
+        : Math.min(setConfig.getPointsToWin(), setConfig.getMaxPoints())
+      const setLoserScore = this.#randomInt(Math.max(setWinnerScore - setConfig.getClearPoints(), 0) + 1)
+      winnerScores.push(winnerWonSet ? setWinnerScore : setLoserScore)
+      loserScores.push(winnerWonSet ? setLoserScore : setWinnerScore)
+    })
+
+    return outcome === 'away' ? [loserScores, winnerScores] : [winnerScores, loserScores]
+  }
+
+  /**
+   * Get a random integer in the range [0, max)
+   *
+   * @param {number} max The upper bound, which is never returned
+   * @returns {number} The random integer
+   * @private
+   */
+  #randomInt (max) {
+    return Math.floor(this.#random() * max)
+  }
+
+  /**
+   * Check whether a match in the league can end in a draw.  A continuous match can always be drawn, but a sets match can only be drawn
+   * when all of its sets are played and split evenly without either team reaching the number of sets needed to win
+   *
+   * @param {League} league The league to check
+   * @returns {boolean} Whether a match can end in a draw
+   * @private
+   */
+  static #drawPossible (league) {
+    if (league.getMatchType() === MatchType.CONTINUOUS) {
+      return true
+    }
+    const setConfig = league.getSetConfig()
+    return setConfig.getMaxSets() % 2 === 0 && setConfig.getMaxSets() / 2 < setConfig.getSetsToWin()
+  }
+}
+
+export default LeagueSimulator
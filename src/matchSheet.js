@@ -0,0 +1,406 @@
+import CompetitionTeam from './competitionTeam.js'
+import MatchType from './matchType.js'
+import Player from './player.js'
+
+/**
+ * The match sheet for a team in a match with a match type of "sets".  For each set, this records the team's starting line-up, the
+ * substitutions and libero replacements made (with the score when they were made) and the timeouts taken.  The number of substitutions
+ * and timeouts in a set are limited by the group's set configuration
+ */
+class MatchSheet {
+  /**
+   * The team that this match sheet is for
+   * @type {MatchTeam}
+   * @private
+   */
+  #matchTeam
+
+  /**
+   * The line-up, substitutions, libero replacements and timeouts for each set that has been started
+   * @type {Array<{lineup: Array<Player>, substitutions: Array<{playerOut: Player, playerIn: Player, score: Array<number>}>, liberoReplacements: Array<{libero: Player, player: Player, score: Array<number>}>, timeouts: Array<{score: Array<number>}>}>}
+   * @private
+   */
+  #sets
+
+  /**
+   * Create an empty match sheet for a team
+   *
+   * @param {MatchTeam} matchTeam The team that this match sheet is for
+   * @throws {Error} If the match type is continuous
+   */
+  constructor (matchTeam) {
+    this.#matchTeam = matchTeam
+    this.#sets = []
+    if (matchTeam.getMatch().getGroup().getMatchType() !== MatchType.SETS) {
+      throw new Error(`Cannot record a match sheet for ${this.#describe()}: the match type is continuous`)
+    }
+  }
+
+  /**
+   * Load a match sheet from its serialized data.  The players are not checked against the players currently registered to the team,
+   * so that a match sheet can still be loaded after a player has moved to another team
+   *
+   * @param {MatchTeam} matchTeam The team that this match sheet is for
+   * @param {object} sheetData The serialized match sheet
+   * @returns {MatchSheet} The match sheet
+   * @throws {Error} If a player does not exist, or the match sheet breaks the limits in the group's set configuration
+   */
+  static loadFromData (matchTeam, sheetData) {
+    const matchSheet = new MatchSheet(matchTeam)
+    const competition = matchTeam.getMatch().getGroup().getCompetition()
+    const getPlayer = playerRef => competition.getPlayer(playerRef.match(/^{(.*)}$/)[1])
+
+    sheetData.sets.forEach((setData, setIndex) => {
+      matchSheet.#setLineup(setIndex, setData.lineup.map(getPlayer))
+      setData.substitutions.forEach(substitution => {
+        matchSheet.#addSubstitution(setIndex, getPlayer(substitution.playerOut), getPlayer(substitution.playerIn), substitution.score)
+      })
+      setData.liberoReplacements.forEach(replacement => {
+        matchSheet.#addLiberoReplacement(setIndex, getPlayer(replacement.libero), getPlayer(replacement.player), replacement.score)
+      })
+      setData.timeouts.forEach(timeout => {
+        matchSheet.#addTimeout(setIndex, timeout.score)
+      })
+    })
+    return matchSheet
+  }
+
+  /**
+   * Return the match sheet in a form suitable for serializing
+   *
+   * @returns {object} The serialized match sheet
+   */
+  serialize () {
+    const playerRef = player => `{${player.getID()}}`
+    return {
+      sets: this.#sets.map(set => ({
+        lineup: set.lineup.map(playerRef),
+        substitutions: set.substitutions.map(substitution => ({
+          playerOut: playerRef(substitution.playerOut),
+          playerIn: playerRef(substitution.playerIn),
+          score: [...substitution.score]
+        })),
+        liberoReplacements: set.liberoReplacements.map(replacement => ({
+          libero: playerRef(replacement.libero),
+          player: playerRef(replacement.player),
+          score: [...replacement.score]
+        })),
+        timeouts: set.timeouts.map(timeout => ({ score: [...timeout.score] }))
+      }))
+    }
+  }
+
+  /**
+   * Get the team that this match sheet is for
+   *
+   * @returns {MatchTeam} The team
+   */
+  getMatchTeam () {
+    return this.#matchTeam
+  }
+
+  /**
+   * Get the number of sets that have a line-up in this match sheet
+   *
+   * @returns {number} The number of sets
+   */
+  getSetCount () {
+    return this.#sets.length
+  }
+
+  /**
+   * Get the starting line-up for a set
+   *
+   * @param {number} setIndex The set, counting from 0
+   * @returns {Array<Player>} The players in the starting line-up
+   * @throws {Error} If the set has no line-up
+   */
+  getLineup (setIndex) {
+    return [...this.#getSet(setIndex).lineup]
+  }
+
+  /**
+   * Get the substitutions made in a set, in the order they were made
+   *
+   * @param {number} setIndex The set, counting from 0
+   * @returns {Array<{playerOut: Player, playerIn: Player, score: Array<number>}>} The substitutions
+   * @throws {Error} If the set has no line-up
+   */
+  getSubstitutions (setIndex) {
+    return this.#getSet(setIndex).substitutions.map(substitution => ({ ...substitution, score: [...substitution.score] }))
+  }
+
+  /**
+   * Get the libero replacements made in a set, in the order they were made
+   *
+   * @param {number} setIndex The set, counting from 0
+   * @returns {Array<{libero: Player, player: Player, score: Array<number>}>} The libero replacements
+   * @throws {Error} If the set has no line-up
+   */
+  getLiberoReplacements (setIndex) {
+    return this.#getSet(setIndex).liberoReplacements.map(replacement => ({ ...replacement, score: [...replacement.score] }))
+  }
+
+  /**
+   * Get the timeouts taken in a set, in the order they were taken
+   *
+   * @param {number} setIndex The set, counting from 0
+   * @returns {Array<{score: Array<number>}>} The timeouts
+   * @throws {Error} If the set has no line-up
+   */
+  getTimeouts (setIndex) {
+    return this.#getSet(setIndex).timeouts.map(timeout => ({ score: [...timeout.score] }))
+  }
+
+  /**
+   * Get the players on court in a set after all of the substitutions so far.  Libero replacements are not included
+   *
+   * @param {number} setIndex The set, counting from 0
+   * @returns {Array<Player>} The players on court, in line-up order
+   * @throws {Error} If the set has no line-up
+   */
+  getPlayersOnCourt (setIndex) {
+    const set = this.#getSet(setIndex)
+    return set.lineup.map(player => set.substitutions.reduce((onCourt, substitution) => substitution.playerOut === onCourt ? substitution.playerIn : onCourt, player))
+  }
+
+  /**
+   * Set the starting line-up for a set.  This starts the next set when the set index is the number of sets so far, otherwise it
+   * replaces the line-up of a set that has no substitutions yet
+   *
+   * @param {number} setIndex The set, counting from 0
+   * @param {Array<Player>} lineup The players in the starting line-up
+   * @returns {MatchSheet} This match sheet
+   * @throws {Error} If a player is not in the team or is listed more than once, the set cannot be started, or the set already has
+   *                 substitutions
+   */
+  setLineup (setIndex, lineup) {
+    lineup.forEach(player => this.#assertPlayerInTeam(player))
+    return this.#record(() => this.#setLineup(setIndex, lineup))
+  }
+
+  /**
+   * Record a substitution in a set
+   *
+   * @param {number} setIndex The set, counting from 0
+   * @param {Player} playerOut The player leaving the court
+   * @param {Player} playerIn The player coming on to the court
+   * @param {Array<number>} score The score when the substitution was made, as this team's score followed by the opposing team's score
+   * @returns {MatchSheet} This match sheet
+   * @throws {Error} If a player is not in the team, the player leaving is not on court, the player coming on is already on court, or
+   *                 the team has already made the maximum number of substitutions in the set
+   */
+  addSubstitution (setIndex, playerOut, playerIn, score) {
+    this.#assertPlayerInTeam(playerOut)
+    this.#assertPlayerInTeam(playerIn)
+    return this.#record(() => this.#addSubstitution(setIndex, playerOut, playerIn, score))
+  }
+
+  /**
+   * Record a libero replacement in a set.  Libero replacements do not count as substitutions
+   *
+   * @param {number} setIndex The set, counting from 0
+   * @param {Player} libero The libero
+   * @param {Player} player The player that the libero replaced
+   * @param {Array<number>} score The score when the replacement was made, as this team's score followed by the opposing team's score
+   * @returns {MatchSheet} This match sheet
+   * @throws {Error} If a player is not in the team, the replaced player is not on court, or the libero is already on court
+   */
+  addLiberoReplacement (setIndex, libero, player, score) {
+    this.#assertPlayerInTeam(libero)
+    this.#assertPlayerInTeam(player)
+    return this.#record(() => this.#addLiberoReplacement(setIndex, libero, player, score))
+  }
+
+  /**
+   * Record a timeout in a set
+   *
+   * @param {number} setIndex The set, counting from 0
+   * @param {Array<number>} score The score when the timeout was taken, as this team's score followed by the opposing team's score
+   * @returns {MatchSheet} This match sheet
+   * @throws {Error} If the team has already taken the maximum number of timeouts in the set
+   */
+  addTimeout (setIndex, score) {
+    return this.#record(() => this.#addTimeout(setIndex, score))
+  }
+
+  /**
+   * Set the starting line-up for a set, without checking the players against the team
+   *
+   * @param {number} setIndex The set, counting from 0
+   * @param {Array<Player>} lineup The players in the starting line-up
+   * @returns {MatchSheet} This match sheet
+   * @private
+   */
+  #setLineup (setIndex, lineup) {
+    const maxSets = this.#matchTeam.getMatch().getGroup().getSetConfig().getMaxSets()
+    if (setIndex > this.#sets.length || setIndex >= maxSets) {
+      throw new Error(`Invalid match sheet for ${this.#describe()}: cannot start the set at index ${setIndex}`)
+    }
+    lineup.forEach((player, i) => {
+      if (lineup.indexOf(player) !== i) {
+        throw new Error(`Invalid match sheet for ${this.#describe()}: player {${player.getID()}} is in the line-up for the set at index ${setIndex} more than once`)
+      }
+    })
+
+    if (setIndex === this.#sets.length) {
+      this.#sets.push({ lineup: [...lineup], substitutions: [], liberoReplacements: [], timeouts: [] })
+    } else if (this.#sets[setIndex].substitutions.length > 0) {
+      throw new Error(`Invalid match sheet for ${this.#describe()}: cannot change the line-up for the set at index ${setIndex} after substitutions have been made`)
+    } else {
+      this.#sets[setIndex] = { ...this.#sets[setIndex], lineup: [...lineup] }
+    }
+    return this
+  }
+
+  /**
+   * Record a substitution in a set, without checking the players against the team
+   *
+   * @param {number} setIndex The set, counting from 0
+   * @param {Player} playerOut The player leaving the court
+   * @param {Player} playerIn The player coming on to the court
+   * @param {Array<number>} score The score when the substitution was made
+   * @returns {MatchSheet} This match sheet
+   * @private
+   */
+  #addSubstitution (setIndex, playerOut, playerIn, score) {
+    const set = this.#getSet(setIndex)
+    const maxSubstitutions = this.#matchTeam.getMatch().getGroup().getSetConfig().getMaxSubstitutions()
+    if (set.substitutions.length >= maxSubstitutions) {
+      throw new Error(`Invalid match sheet for ${this.#describe()}: the team has already made ${maxSubstitutions} substitutions in the set at index ${setIndex}`)
+    }
+    this.#assertOnCourt(setIndex, playerOut, true)
+    this.#assertOnCourt(setIndex, playerIn, false)
+    this.#sets[setIndex] = { ...set, substitutions: [...set.substitutions, { playerOut, playerIn, score: [...score] }] }
+    return this
+  }
+
+  /**
+   * Record a libero replacement in a set, without checking the players against the team
+   *
+   * @param {number} setIndex The set, counting from 0
+   * @param {Player} libero The libero
+   * @param {Player} player The player that the libero replaced
+   * @param {Array<number>} score The score when the replacement was made
+   * @returns {MatchSheet} This match sheet
+   * @private
+   */
+  #addLiberoReplacement (setIndex, libero, player, score) {
+    const set = this.#getSet(setIndex)
+    this.#assertOnCourt(setIndex, libero, false)
+    this.#assertOnCourt(setIndex, player, true)
+    this.#sets[setIndex] = { ...set, liberoReplacements: [...set.liberoReplacements, { libero, player, score: [...score] }] }
+    return this
+  }
+
+  /**
+   * Record a timeout in a set
+   *
+   * @param {number} setIndex The set, counting from 0
+   * @param {Array<number>} score The score when the timeout was taken
+   * @returns {MatchSheet} This match sheet
+   * @private
+   */
+  #addTimeout (setIndex, score) {
+    const set = this.#getSet(setIndex)
+    const maxTimeouts = this.#matchTeam.getMatch().getGroup().getSetConfig().getMaxTimeouts()
+    if (set.timeouts.length >= maxTimeouts) {
+      throw new Error(`Invalid match sheet for ${this.#describe()}: the team has already taken ${maxTimeouts} timeouts in the set at index ${setIndex}`)
+    }
+    this.#sets[setIndex] = { ...set, timeouts: [...set.timeouts, { score: [...score] }] }
+    return this
+  }
+
+  /**
+   * Get a set that has a line-up
+   *
+   * @param {number} setIndex The set, counting from 0
+   * @returns {object} The set
+   * @throws {Error} If the set has no line-up
+   * @private
+   */
+  #getSet (setIndex) {
+    if (setIndex < 0 || setIndex >= this.#sets.length) {
+      throw new Error(`Invalid match sheet for ${this.#describe()}: the set at index ${setIndex} has no line-up`)
+    }
+    return this.#sets[setIndex]
+  }
+
+  /**
+   * Check whether a player is, or is not, on court in a set
+   *
+   * @param {number} setIndex The set, counting from 0
+   * @param {Player} player The player to check
+   * @param {boolean} onCourt Whether the player should be on court
+   * @throws {Error} If the player is not where they should be
+   * @private
+   */
+  #assertOnCourt (setIndex, player, onCourt) {
+    if (this.getPlayersOnCourt(setIndex).includes(player) !== onCourt) {
+      throw new Error(`Invalid match sheet for ${this.#describe()}: player {${player.getID()}} is ${onCourt ? 'not' : 'already'} on court in the set at index ${setIndex}`)
+    }
+  }
+
+  /**
+   * Check that a player is registered to this team in the competition, on the date of the match when it has one and otherwise in
+   * their most recent team entry
+   *
+   * @param {Player} player The player to check
+   * @throws {Error} If the player is not registered to the team
+   * @private
+   */
+  #assertPlayerInTeam (player) {
+    const match = this.#matchTeam.getMatch()
+    const teamID = match.getGroup().getCompetition().getTeam(this.#matchTeam.getID()).getID()
+    const registeredTeam = match.getDate() === null ? player.getCurrentTeam() : player.getTeamOnDate(match.getDate())
+    if (player.getID() === Player.UNREGISTERED_PLAYER_ID || teamID === CompetitionTeam.UNKNOWN_TEAM_ID || registeredTeam.getID() !== teamID) {
+      throw new Error(`Invalid match sheet for ${this.#describe()}: player "${player.getName()}" is not registered to the team`)
+    }
+  }
+
+  /**
+   * Describe the team and match that this match sheet is for, for error messages
+   *
+   * @returns {string} The description
+   * @private
+   */
+  #describe () {
+    const match = this.#matchTeam.getMatch()
+    return `team "${this.#matchTeam.getID()}" in match {${match.getGroup().getStage().getID()}:${match.getGroup().getID()}:${match.getID()}}`
+  }
+
+  /**
+   * Make a change to this match sheet, recording it in the competition's change history
+   *
+   * @param {function(): any} change Make the change
+   * @returns {any} The value returned by the change
+   * @private
+   */
+  #record (change) {
+    return this.#matchTeam.getMatch().getGroup().getCompetition().recordChange(() => this.#snapshot(), snapshot => this.#restore(snapshot), change)
+  }
+
+  /**
+   * Get the state of this match sheet, for the change history
+   *
+   * @returns {object} The state
+   * @private
+   */
+  #snapshot () {
+    return {
+      sets: [...this.#sets]
+    }
+  }
+
+  /**
+   * Restore this match sheet to a state from the change history
+   *
+   * @param {object} snapshot The state to restore
+   * @private
+   */
+  #restore (snapshot) {
+    this.#sets = [...snapshot.sets]
+  }
+}
+
+export default MatchSheet
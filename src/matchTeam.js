@@ -1,4 +1,6 @@
+import MatchSheet from './matchSheet.js'
 import Player from './player.js'
+import Sanction from './sanction.js'
 
 /**
  * Represents a team that plays in a match.
@@ -56,6 +58,20 @@ class MatchTeam {
    */
   #players
 
+  /**
+   * The team's line-ups, substitutions, libero replacements and timeouts in each set.
+   * @type {MatchSheet|null}
+   * @private
+   */
+  #matchSheet
+
+  /**
+   * The sanctions given to this team, its players and its team officials in this match.
+   * @type {Sanction[]}
+   * @private
+   */
+  #sanctions
+
   /**
    * The match this team is playing in.
    * @type {MatchInterface}
@@ -77,6 +93,8 @@ class MatchTeam {
     this.#penaltyPoints = 0
     this.#notes = null
     this.#players = []
+    this.#matchSheet = null
+    this.#sanctions = []
   }
 
   /**
@@ -119,6 +137,12 @@ class MatchTeam {
       })
       team.setPlayers(players)
     }
+    if (Object.hasOwn(teamData, 'matchSheet')) {
+      team.setMatchSheet(MatchSheet.loadFromData(team, teamData.matchSheet))
+    }
+    if (Object.hasOwn(teamData, 'sanctions')) {
+      teamData.sanctions.forEach(sanctionData => team.addSanction(Sanction.loadFromData(team, sanctionData)))
+    }
     return team
   }
 
@@ -157,6 +181,14 @@ class MatchTeam {
       matchTeam.players = players
     }
 
+    if (this.#matchSheet !== null) {
+      matchTeam.matchSheet = this.#matchSheet.serialize()
+    }
+
+    if (this.#sanctions.length > 0) {
+      matchTeam.sanctions = this.#sanctions.map(sanction => sanction.serialize())
+    }
+
     if (this.#notes !== null) {
       matchTeam.notes = this.#notes
     }
@@ -186,8 +218,10 @@ class MatchTeam {
    * @returns {MatchTeam} The MatchTeam instance
    */
   setForfeit (forfeit) {
-    this.#forfeit = forfeit
-    return this
+    return this.#record(() => {
+      this.#forfeit = forfeit
+      return this
+    })
   }
 
   /**
@@ -215,8 +249,10 @@ class MatchTeam {
    * @returns {MatchTeam} The MatchTeam instance
    */
   setBonusPoints (bonusPoints) {
-    this.#bonusPoints = bonusPoints
-    return this
+    return this.#record(() => {
+      this.#bonusPoints = bonusPoints
+      return this
+    })
   }
 
   /**
@@ -233,8 +269,10 @@ class MatchTeam {
    * @returns {MatchTeam} The MatchTeam instance
    */
   setPenaltyPoints (penaltyPoints) {
-    this.#penaltyPoints = penaltyPoints
-    return this
+    return this.#record(() => {
+      this.#penaltyPoints = penaltyPoints
+      return this
+    })
   }
 
   /**
@@ -251,8 +289,10 @@ class MatchTeam {
    * @returns {MatchTeam} The MatchTeam instance
    */
   setMVP (mvp) {
-    this.#mvp = mvp
-    return this
+    return this.#record(() => {
+      this.#mvp = mvp
+      return this
+    })
   }
 
   /**
@@ -269,8 +309,10 @@ class MatchTeam {
    * @returns {MatchTeam} The MatchTeam instance
    */
   setNotes (notes) {
-    this.#notes = notes
-    return this
+    return this.#record(() => {
+      this.#notes = notes
+      return this
+    })
   }
 
   /**
@@ -287,8 +329,10 @@ class MatchTeam {
    * @returns {MatchTeam} The MatchTeam instance
    */
   setPlayers (players) {
-    this.#players = players
-    return this
+    return this.#record(() => {
+      this.#players = players
+      return this
+    })
   }
 
   /**
@@ -298,6 +342,113 @@ class MatchTeam {
   getPlayers () {
     return this.#players
   }
+
+  /**
+   * Set the match sheet for the team
+   * @param {MatchSheet|null} matchSheet The match sheet for the team
+   * @returns {MatchTeam} The MatchTeam instance
+   */
+  setMatchSheet (matchSheet) {
+    return this.#record(() => {
+      this.#matchSheet = matchSheet
+      return this
+    })
+  }
+
+  /**
+   * Get the match sheet for the team
+   * @returns {MatchSheet|null} The match sheet for the team
+   */
+  getMatchSheet () {
+    return this.#matchSheet
+  }
+
+  /**
+   * Add a sanction given to the team, or to one of its players or team officials
+   * @param {Sanction} sanction The sanction to add
+   * @returns {MatchTeam} The MatchTeam instance
+   * @throws {Error} If the sanction was created for a different team
+   */
+  addSanction (sanction) {
+    if (sanction.getMatchTeam() !== this) {
+      throw new Error(`Cannot add a sanction to team "${this.#id}" in match {${this.#match.getGroup().getStage().getID()}:${this.#match.getGroup().getID()}:${this.#match.getID()}}: the sanction was created for a different team`)
+    }
+    return this.#record(() => {
+      this.#sanctions = [...this.#sanctions, sanction]
+      return this
+    })
+  }
+
+  /**
+   * Delete a sanction from the team
+   * @param {Sanction} sanction The sanction to delete
+   * @returns {MatchTeam} The MatchTeam instance
+   */
+  deleteSanction (sanction) {
+    if (!this.#sanctions.includes(sanction)) {
+      return this
+    }
+    return this.#record(() => {
+      this.#sanctions = this.#sanctions.filter(el => el !== sanction)
+      return this
+    })
+  }
+
+  /**
+   * Get the sanctions given to the team, its players and its team officials, in the order they were added
+   * @returns {Sanction[]} The sanctions
+   */
+  getSanctions () {
+    return [...this.#sanctions]
+  }
+
+  /**
+   * Make a change to this match team, recording it in the competition's change history
+   *
+   * @param {function(): any} change Make the change
+   * @returns {any} The value returned by the change
+   * @private
+   */
+  #record (change) {
+    return this.#match.getGroup().getCompetition().recordChange(() => this.#snapshot(), snapshot => this.#restore(snapshot), change)
+  }
+
+  /**
+   * Get the state of this match team, for the change history
+   *
+   * @returns {object} The state
+   * @private
+   */
+  #snapshot () {
+    return {
+      mvp: this.#mvp,
+      forfeit: this.#forfeit,
+      bonusPoints: this.#bonusPoints,
+      penaltyPoints: this.#penaltyPoints,
+      notes: this.#notes,
+      players: this.#players,
+      matchSheet: this.#matchSheet,
+      sanctions: this.#sanctions
+    }
+  }
+
+  /**
+   * Restore this match team to a state from the change history
+   *
+   * @param {object} snapshot The state to restore
+   * @private
+   */
+  #restore (snapshot) {
+    this.#mvp = snapshot.mvp
+    this.#forfeit = snapshot.forfeit
+    this.#bonusPoints = snapshot.bonusPoints
+    this.#penaltyPoints = snapshot.penaltyPoints
+    this.#notes = snapshot.notes
+    this.#players = snapshot.players
+    this.#matchSheet = snapshot.matchSheet
+    this.#sanctions = snapshot.sanctions
+    this.#match.getGroup().invalidateResults()
+  }
 }
 
 export default MatchTeam
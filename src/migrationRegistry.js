@@ -0,0 +1,157 @@
+/**
+ * A registry of migrations between versions of the competition schema.  Each migration converts a competition document from one
+ * version to the next, and optionally back again.  When a document is loaded it is upgraded step by step, through as many
+ * migrations as it takes, to the version that this library supports, and a competition can be serialized to an older version by
+ * downgrading it the same way.
+ *
+ * Competition.loadFromCompetitionJSON() uses the default registry, from MigrationRegistry.getDefault(), unless it is given another
+ */
+class MigrationRegistry {
+  /**
+   * The shared default registry
+   * @type {MigrationRegistry|null}
+   * @private
+   */
+  static #defaultRegistry = null
+
+  /**
+   * The registered migrations
+   * @type {Array<{from: string, to: string, up: function(object): object, down: function(object): object|null}>}
+   * @private
+   */
+  #migrations
+
+  /**
+   * Constructs a new, empty, MigrationRegistry
+   */
+  constructor () {
+    this.#migrations = []
+  }
+
+  /**
+   * Get the default registry, used when loading a competition without naming a registry
+   *
+   * @returns {MigrationRegistry} The default registry
+   */
+  static getDefault () {
+    if (MigrationRegistry.#defaultRegistry === null) {
+      MigrationRegistry.#defaultRegistry = new MigrationRegistry()
+    }
+    return MigrationRegistry.#defaultRegistry
+  }
+
+  /**
+   * Register a migration between two versions of the schema.  The migration functions are given the competition document as a plain
+   * object, and return the migrated document; they may modify the document they are given.  The document's "version" field is set
+   * by the registry after each migration runs
+   *
+   * @param {string} from The version that the migration upgrades from
+   * @param {string} to The version that the migration upgrades to
+   * @param {function(object): object} up The function to upgrade a document from version "from" to version "to"
+   * @param {function(object): object|null} down The function to downgrade a document from version "to" to version "from", or null if the migration cannot be reversed
+   * @returns {MigrationRegistry} This registry
+   * @throws {Error} If a version is not a semver version string, if the versions are the same, or if the migration is already registered
+   */
+  register (from, to, up, down = null) {
+    [from, to].forEach(version => {
+      if (!/^[0-9]+\.[0-9]+\.[0-9]+$/.test(version)) {
+        throw new Error(`Invalid version "${version}": must be of the form "major.minor.patch"`)
+      }
+    })
+    if (from === to) {
+      throw new Error(`Invalid migration: cannot migrate from version ${from} to itself`)
+    }
+    if (this.hasMigration(from, to)) {
+      throw new Error(`Migration from version ${from} to version ${to} already registered`)
+    }
+
+    this.#migrations.push({ from, to, up, down })
+    return this
+  }
+
+  /**
+   * Check whether a migration between two versions is registered
+   *
+   * @param {string} from The version that the migration upgrades from
+   * @param {string} to The version that the migration upgrades to
+   * @returns {boolean} Whether the migration is registered
+   */
+  hasMigration (from, to) {
+    return this.#migrations.some(migration => migration.from === from && migration.to === to)
+  }
+
+  /**
+   * Upgrade a competition document to a newer version, running each migration on the way in turn
+   *
+   * @param {object} data The competition document
+   * @param {string} version The version to upgrade the document to
+   * @returns {{data: object, applied: Array<{from: string, to: string}>}} The upgraded document, and the migrations that ran, in order
+   * @throws {Error} If there is no path of migrations from the document's version to the requested version
+   */
+  upgrade (data, version) {
+    const steps = this.#findPath(data.version, version, this.#migrations.map(migration => ({ from: migration.from, to: migration.to, run: migration.up })))
+    if (steps === null) {
+      throw new Error(`Document version ${data.version} not supported`)
+    }
+    return this.#runSteps(data, steps)
+  }
+
+  /**
+   * Downgrade a competition document to an older version, running the reverse of each migration on the way in turn
+   *
+   * @param {object} data The competition document
+   * @param {string} version The version to downgrade the document to
+   * @returns {{data: object, applied: Array<{from: string, to: string}>}} The downgraded document, and the migrations that ran, in order
+   * @throws {Error} If there is no path of reversible migrations from the document's version to the requested version
+   */
+  downgrade (data, version) {
+    const reversible = this.#migrations.filter(migration => migration.down !== null)
+    const steps = this.#findPath(data.version, version, reversible.map(migration => ({ from: migration.to, to: migration.from, run: migration.down })))
+    if (steps === null) {
+      throw new Error(`Cannot downgrade from version ${data.version} to version ${version}: no migration path`)
+    }
+    return this.#runSteps(data, steps)
+  }
+
+  /**
+   * Find the shortest path of steps from one version to another
+   *
+   * @param {string} from The version to start from
+   * @param {string} to The version to finish at
+   * @param {Array<{from: string, to: string, run: function(object): object}>} steps The steps available
+   * @returns {Array<{from: string, to: string, run: function(object): object}>|null} The steps to take, in order, or null if there is no path
+   */
+  #findPath (from, to, steps) {
+    const paths = { [from]: [] }
+    const queue = [from]
+    while (queue.length > 0) {
+      const version = queue.shift()
+      if (version === to) {
+        return paths[version]
+      }
+      steps.filter(step => step.from === version && !Object.hasOwn(paths, step.to)).forEach(step => {
+        paths[step.to] = paths[version].concat([step])
+        queue.push(step.to)
+      })
+    }
+    return null
+  }
+
+  /**
+   * Run each step on the document in turn, updating the document's version after each one
+   *
+   * @param {object} data The competition document
+   * @param {Array<{from: string, to: string, run: function(object): object}>} steps The steps to run, in order
+   * @returns {{data: object, applied: Array<{from: string, to: string}>}} The migrated document, and the steps that ran
+   */
+  #runSteps (data, steps) {
+    let migrated = data
+    steps.forEach(step => {
+      migrated = step.run(migrated)
+      migrated.version = step.to
+    })
+    return { data: migrated, applied: steps.map(step => ({ from: step.from, to: step.to })) }
+  }
+}
+
+export default MigrationRegistry
@@ -0,0 +1,118 @@
+import Competition from './competition.js'
+import CompetitionTeam from './competitionTeam.js'
+import GroupMatch from './groupMatch.js'
+import MatchOfficials from './matchOfficials.js'
+
+/**
+ * Allocates teams to officiate the matches in a group or stage that do not yet have officials.  Each match is given the team with the
+ * fewest officiating duties so far, preferring a team that plays in the time slot just before or just after the match.  A team is
+ * never given a match that it is playing in, or a match at the same time as a match that it is playing in or officiating.
+ *
+ * Matches at the same date and start time are treated as being in the same time slot.  Matches without a start time are each treated
+ * as their own time slot, in the order they appear.
+ */
+class OfficialsAllocator {
+  /**
+   * The group or stage whose matches need officials
+   * @type {Group|Stage}
+   * @private
+   */
+  #container
+
+  /**
+   * The number of matches each team is officiating, keyed by team ID
+   * @type {object}
+   * @private
+   */
+  #dutyCounts
+
+  /**
+   * Constructs a new OfficialsAllocator
+   *
+   * @param {Group|Stage} container The group or stage whose matches need officials
+   */
+  constructor (container) {
+    this.#container = container
+    this.#dutyCounts = {}
+  }
+
+  /**
+   * Allocate officials to every match that does not already have officials.  The candidate officials are the teams playing in the
+   * group or stage, and duties that are already allocated count towards a team's total
+   *
+   * @returns {object} The number of matches each candidate team is officiating, keyed by team ID
+   */
+  allocate () {
+    const competition = this.#container.getCompetition()
+    const candidates = this.#container.getTeamIDs(Competition.VBC_TEAMS_PLAYING)
+    const matches = this.#container.getMatches().filter(match => match instanceof GroupMatch)
+
+    // Compare teams by their resolved ID where it is known, so a team is matched however it is referenced
+    const teamKey = teamID => {
+      const team = competition.getTeam(teamID)
+      return team.getID() === CompetitionTeam.UNKNOWN_TEAM_ID ? teamID : team.getID()
+    }
+
+    const slotKeys = []
+    const slotOfMatch = matches.map((match, i) => {
+      const key = match.hasStart() ? `${match.getDate()} ${match.getStart()}` : i
+      if (!slotKeys.includes(key)) {
+        slotKeys.push(key)
+      }
+      return slotKeys.indexOf(key)
+    })
+
+    const playing = slotKeys.map(() => new Set())
+    const officiating = slotKeys.map(() => new Set())
+    this.#dutyCounts = {}
+    candidates.forEach(teamID => {
+      this.#dutyCounts[teamID] = 0
+    })
+
+    matches.forEach((match, i) => {
+      playing[slotOfMatch[i]].add(teamKey(match.getHomeTeam().getID()))
+      playing[slotOfMatch[i]].add(teamKey(match.getAwayTeam().getID()))
+      if (match.hasOfficials() && match.getOfficials().isTeam()) {
+        officiating[slotOfMatch[i]].add(teamKey(match.getOfficials().getTeamID()))
+        const candidate = candidates.find(teamID => teamKey(teamID) === teamKey(match.getOfficials().getTeamID()))
+        if (candidate !== undefined) {
+          this.#dutyCounts[candidate]++
+        }
+      }
+    })
+
+    matches.forEach((match, i) => {
+      if (match.hasOfficials()) {
+        return
+      }
+      const slot = slotOfMatch[i]
+      const available = candidates.filter(teamID => !playing[slot].has(teamKey(teamID)) && !officiating[slot].has(teamKey(teamID)))
+      if (available.length === 0) {
+        return
+      }
+
+      const isAdjacent = teamID => (slot > 0 && playing[slot - 1].has(teamKey(teamID))) ||
+        (slot < slotKeys.length - 1 && playing[slot + 1].has(teamKey(teamID)))
+      const fewestDuties = Math.min(...available.map(teamID => this.#dutyCounts[teamID]))
+      const leastBusy = available.filter(teamID => this.#dutyCounts[teamID] === fewestDuties)
+      const teamID = leastBusy.find(isAdjacent) ?? leastBusy[0]
+
+      match.setOfficials(new MatchOfficials(match, teamID))
+      officiating[slot].add(teamKey(teamID))
+      this.#dutyCounts[teamID]++
+    })
+
+    return this.getDutyCounts()
+  }
+
+  /**
+   * Get the number of matches each candidate team is officiating, as calculated by the last call to allocate()
+   *
+   * @returns {object} The number of matches each candidate team is officiating, keyed by team ID
+   */
+  getDutyCounts () {
+    return { ...this.#dutyCounts }
+  }
+}
+
+export default OfficialsAllocator
@@ -72,10 +72,11 @@ class Player {
 
     this.#competition = competition
     this.#id = id
-    this.setName(name)
     this.#teams = []
     this.#number = null
     this.#notes = null
+    // The name is set directly so that creating a player does not add a step to the competition's change history
+    this.#name = Player.#checkName(name)
   }
 
   /**
@@ -131,6 +132,16 @@ class Player {
     return player
   }
 
+  /**
+   * Check whether this player is structurally equal to another, i.e. whether they would serialize to the same data
+   *
+   * @param {Player} other The player to compare with
+   * @returns {boolean} Whether the players are equal
+   */
+  equals (other) {
+    return other instanceof Player && JSON.stringify(this.serialize()) === JSON.stringify(other.serialize())
+  }
+
   /**
    * Get the competition this player belongs to
    * @returns {Competition} The competition this player belongs to
@@ -164,10 +175,10 @@ class Player {
    * @throws {Error} If the name is invalid
    */
   setName (name) {
-    if (name.length > 1000 || name.length < 1) {
-      throw new Error('Invalid player name: must be between 1 and 1000 characters long')
-    }
-    this.#name = name
+    Player.#checkName(name)
+    this.#record(() => {
+      this.#name = name
+    })
   }
 
   /**
@@ -189,7 +200,9 @@ class Player {
     if (number !== null && number < 1) {
       throw new Error(`Invalid player number "${number}": must be greater than 1`)
     }
-    this.#number = number
+    this.#record(() => {
+      this.#number = number
+    })
   }
 
   /**
@@ -199,8 +212,10 @@ class Player {
    * @returns {Player} this Player
    */
   appendTeamEntry (teamEntry) {
-    this.#teams.push(teamEntry)
-    return this
+    return this.#record(() => {
+      this.#teams.push(teamEntry)
+      return this
+    })
   }
 
   /**
@@ -235,6 +250,20 @@ class Player {
     return this.#competition.getTeam(id)
   }
 
+  /**
+   * Get the CompetitionTeam that the player was registered with on a date, following the "from" and "until" dates of their team entries.
+   * A team entry without a "from" date counts as starting from the beginning of the competition, and one without an "until" date as
+   * continuing indefinitely.  Where more than one entry covers the date, the most recent entry is used
+   *
+   * @param {string} date The date, in the format YYYY-MM-DD
+   * @returns {CompetitionTeam} The CompetitionTeam that the player was registered with on the date, or the unknown team if there is none
+   */
+  getTeamOnDate (date) {
+    const teamEntry = this.#teams.findLast(entry => (entry.getFrom() === null || entry.getFrom() <= date) &&
+      (entry.getUntil() === null || entry.getUntil() >= date))
+    return this.#competition.getTeam(teamEntry === undefined ? '' : teamEntry.getID())
+  }
+
   /**
    * Check if a team entry exists with the given team ID
    *
@@ -255,8 +284,10 @@ class Player {
    * @returns {Player} this Player
    */
   spliceTeamEntries (start, count) {
-    this.#teams.splice(start, count)
-    return this
+    return this.#record(() => {
+      this.#teams.splice(start, count)
+      return this
+    })
   }
 
   /**
@@ -275,8 +306,64 @@ class Player {
    * @returns {Player} this Player
    */
   setNotes (notes) {
-    this.#notes = notes
-    return this
+    return this.#record(() => {
+      this.#notes = notes
+      return this
+    })
+  }
+
+  /**
+   * Check that a player name is valid
+   *
+   * @param {string} name The name to check
+   * @returns {string} The name
+   * @throws {Error} If the name is invalid
+   * @private
+   */
+  static #checkName (name) {
+    if (name.length > 1000 || name.length < 1) {
+      throw new Error('Invalid player name: must be between 1 and 1000 characters long')
+    }
+    return name
+  }
+
+  /**
+   * Make a change to this player, recording it in the competition's change history
+   *
+   * @param {function(): any} change Make the change
+   * @returns {any} The value returned by the change
+   * @private
+   */
+  #record (change) {
+    return this.#competition.recordChange(() => this.#snapshot(), snapshot => this.#restore(snapshot), change)
+  }
+
+  /**
+   * Get the state of this player, for the change history
+   *
+   * @returns {object} The state
+   * @private
+   */
+  #snapshot () {
+    return {
+      name: this.#name,
+      number: this.#number,
+      teams: [...this.#teams],
+      notes: this.#notes
+    }
+  }
+
+  /**
+   * Restore this player to a state from the change history
+   *
+   * @param {object} snapshot The state to restore
+   * @private
+   */
+  #restore (snapshot) {
+    this.#name = snapshot.name
+    this.#number = snapshot.number
+    this.#teams = [...snapshot.teams]
+    this.#notes = snapshot.notes
   }
 }
 
@@ -0,0 +1,237 @@
+import CompetitionTeam from './competitionTeam.js'
+import GroupMatch from './groupMatch.js'
+import MatchType from './matchType.js'
+import Player from './player.js'
+
+/**
+ * Aggregates player statistics across the matches in a competition: appearances, matches won, lost and drawn, sets played, MVP awards
+ * and the teams each player played for.  The matches can be limited to a stage, a group or a date range.
+ *
+ * A player appears in a match when they are in a team's list of players for the match.  Registered players are identified by their
+ * player ID, and unregistered players are grouped by name.  The sets that a player played in are taken from the team's match sheet
+ * when there is one, and otherwise a player is counted as playing in every set of the match.  The team a player played for is the
+ * team they appeared for; when that team is not yet known, a registered player's team is the one they were registered to on the date
+ * of the match, following the "from" and "until" dates of their team entries.
+ */
+class PlayerStatistics {
+  /**
+   * The competition to aggregate statistics for
+   * @type {Competition}
+   * @private
+   */
+  #competition
+
+  /**
+   * Only include matches in this stage
+   * @type {Stage|null}
+   * @private
+   */
+  #stage
+
+  /**
+   * Only include matches in this group
+   * @type {Group|null}
+   * @private
+   */
+  #group
+
+  /**
+   * Only include matches on or after this date
+   * @type {string|null}
+   * @private
+   */
+  #from
+
+  /**
+   * Only include matches on or before this date
+   * @type {string|null}
+   * @private
+   */
+  #until
+
+  /**
+   * Constructs a new PlayerStatistics
+   *
+   * @param {Competition} competition The competition to aggregate statistics for
+   * @param {object} options The filters for the matches to include
+   * @param {Stage} [options.stage] Only include matches in this stage
+   * @param {Group} [options.group] Only include matches in this group
+   * @param {string} [options.from] Only include matches on or after this date, in the format YYYY-MM-DD.  Matches without a date are
+   *                                not included when there is a date filter
+   * @param {string} [options.until] Only include matches on or before this date, in the format YYYY-MM-DD
+   */
+  constructor (competition, options = {}) {
+    this.#competition = competition
+    this.#stage = options.stage ?? null
+    this.#group = options.group ?? null
+    this.#from = options.from ?? null
+    this.#until = options.until ?? null
+  }
+
+  /**
+   * Get the statistics for every player that appeared in or was awarded MVP in the included matches, in the order that they first
+   * appear
+   *
+   * @returns {Array<{id: string, name: string, appearances: number, won: number, lost: number, drawn: number, setsPlayed: number, mvpAwards: number, teams: Array<string>}>} The statistics for each player
+   */
+  getStatistics () {
+    return [...this.#aggregate().values()]
+  }
+
+  /**
+   * Get the statistics for a player.  An unregistered player's statistics are those of every unregistered player with the same name
+   *
+   * @param {Player} player The player
+   * @returns {{id: string, name: string, appearances: number, won: number, lost: number, drawn: number, setsPlayed: number, mvpAwards: number, teams: Array<string>}} The player's statistics
+   */
+  getPlayerStatistics (player) {
+    return this.#aggregate().get(PlayerStatistics.#playerKey(player)) ?? PlayerStatistics.#emptyEntry(player)
+  }
+
+  /**
+   * Aggregate the statistics for every player in the included matches
+   *
+   * @returns {Map<string, object>} The statistics for each player, keyed by the player's grouping key
+   * @private
+   */
+  #aggregate () {
+    const statistics = new Map()
+    const entryFor = player => {
+      const key = PlayerStatistics.#playerKey(player)
+      if (!statistics.has(key)) {
+        statistics.set(key, PlayerStatistics.#emptyEntry(player))
+      }
+      return statistics.get(key)
+    }
+
+    this.#getMatches().forEach(match => {
+      [match.getHomeTeam(), match.getAwayTeam()].forEach(matchTeam => {
+        matchTeam.getPlayers().forEach(player => {
+          const entry = entryFor(player)
+          entry.appearances++
+          if (match.isComplete()) {
+            if (match.isDraw()) {
+              entry.drawn++
+            } else if (match.getWinnerTeamID() === matchTeam.getID()) {
+              entry.won++
+            } else {
+              entry.lost++
+            }
+          }
+          entry.setsPlayed += this.#countSetsPlayed(matchTeam, player)
+          const teamID = this.#getTeamID(matchTeam, player)
+          if (teamID !== null && !entry.teams.includes(teamID)) {
+            entry.teams.push(teamID)
+          }
+        })
+        if (matchTeam.getMVP() !== null) {
+          entryFor(matchTeam.getMVP()).mvpAwards++
+        }
+      })
+      if (match.getMVP() !== null) {
+        entryFor(match.getMVP()).mvpAwards++
+      }
+    })
+
+    return statistics
+  }
+
+  /**
+   * Get the matches to aggregate statistics for
+   *
+   * @returns {Array<GroupMatch>} The matches
+   * @private
+   */
+  #getMatches () {
+    const stages = this.#stage === null ? this.#competition.getStages() : [this.#stage]
+    return stages.flatMap(stage => stage.getGroups())
+      .filter(group => this.#group === null || group === this.#group)
+      .flatMap(group => group.getMatches())
+      .filter(match => match instanceof GroupMatch)
+      .filter(match => (this.#from === null && this.#until === null) || (match.getDate() !== null &&
+        (this.#from === null || match.getDate() >= this.#from) && (this.#until === null || match.getDate() <= this.#until)))
+  }
+
+  /**
+   * Count the sets that a player played in a match
+   *
+   * @param {MatchTeam} matchTeam The team the player appeared for
+   * @param {Player} player The player
+   * @returns {number} The number of sets
+   * @private
+   */
+  #countSetsPlayed (matchTeam, player) {
+    const match = matchTeam.getMatch()
+    if (match.getGroup().getMatchType() === MatchType.CONTINUOUS) {
+      return 0
+    }
+    const matchSheet = matchTeam.getMatchSheet()
+    if (matchSheet === null) {
+      return match.getHomeTeamScores().length
+    }
+    let setsPlayed = 0
+    for (let setIndex = 0; setIndex < matchSheet.getSetCount(); setIndex++) {
+      if (matchSheet.getLineup(setIndex).includes(player) ||
+          matchSheet.getSubstitutions(setIndex).some(substitution => substitution.playerIn === player) ||
+          matchSheet.getLiberoReplacements(setIndex).some(replacement => replacement.libero === player)) {
+        setsPlayed++
+      }
+    }
+    return setsPlayed
+  }
+
+  /**
+   * Get the ID of the team that a player played for in a match
+   *
+   * @param {MatchTeam} matchTeam The team the player appeared for
+   * @param {Player} player The player
+   * @returns {string|null} The team ID, or null when it is not known
+   * @private
+   */
+  #getTeamID (matchTeam, player) {
+    const team = this.#competition.getTeam(matchTeam.getID())
+    if (team.getID() !== CompetitionTeam.UNKNOWN_TEAM_ID) {
+      return team.getID()
+    }
+    const date = matchTeam.getMatch().getDate()
+    if (player.getID() === Player.UNREGISTERED_PLAYER_ID || date === null) {
+      return null
+    }
+    const teamOnDate = player.getTeamOnDate(date)
+    return teamOnDate.getID() === CompetitionTeam.UNKNOWN_TEAM_ID ? null : teamOnDate.getID()
+  }
+
+  /**
+   * Get the key that a player's statistics are grouped by
+   *
+   * @param {Player} player The player
+   * @returns {string} The key
+   * @private
+   */
+  static #playerKey (player) {
+    return player.getID() === Player.UNREGISTERED_PLAYER_ID ? `name:${player.getName()}` : `id:${player.getID()}`
+  }
+
+  /**
+   * Get the statistics for a player with no appearances
+   *
+   * @param {Player} player The player
+   * @returns {object} The statistics
+   * @private
+   */
+  static #emptyEntry (player) {
+    return {
+      id: player.getID(),
+      name: player.getName(),
+      appearances: 0,
+      won: 0,
+      lost: 0,
+      drawn: 0,
+      setsPlayed: 0,
+      mvpAwards: 0,
+      teams: []
+    }
+  }
+}
+
+export default PlayerStatistics
@@ -150,8 +150,10 @@ class PlayerTeam {
       throw new Error(`Invalid date "${from}": date does not exist`)
     }
 
-    this.#from = from
-    return this
+    return this.#record(() => {
+      this.#from = from
+      return this
+    })
   }
 
   /**
@@ -180,8 +182,10 @@ class PlayerTeam {
       throw new Error(`Invalid date "${until}": date does not exist`)
     }
 
-    this.#until = until
-    return this
+    return this.#record(() => {
+      this.#until = until
+      return this
+    })
   }
 
   /**
@@ -200,8 +204,47 @@ class PlayerTeam {
    * @returns {PlayerTeam} This player team entry
    */
   setNotes (notes) {
-    this.#notes = notes
-    return this
+    return this.#record(() => {
+      this.#notes = notes
+      return this
+    })
+  }
+
+  /**
+   * Make a change to this player team entry, recording it in the competition's change history
+   *
+   * @param {function(): any} change Make the change
+   * @returns {any} The value returned by the change
+   * @private
+   */
+  #record (change) {
+    return this.#player.getCompetition().recordChange(() => this.#snapshot(), snapshot => this.#restore(snapshot), change)
+  }
+
+  /**
+   * Get the state of this player team entry, for the change history
+   *
+   * @returns {object} The state
+   * @private
+   */
+  #snapshot () {
+    return {
+      from: this.#from,
+      until: this.#until,
+      notes: this.#notes
+    }
+  }
+
+  /**
+   * Restore this player team entry to a state from the change history
+   *
+   * @param {object} snapshot The state to restore
+   * @private
+   */
+  #restore (snapshot) {
+    this.#from = snapshot.from
+    this.#until = snapshot.until
+    this.#notes = snapshot.notes
   }
 }
 
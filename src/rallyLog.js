@@ -0,0 +1,282 @@
+import GroupMatch from './groupMatch.js'
+
+/**
+ * The point-by-point record of a match with a match type of "sets", for live scoring.  The set scores, the set being played and the
+ * team serving are all derived from the rallies using the group's set configuration: the team that wins a rally serves the next one,
+ * and the first serve of each set alternates between the teams
+ */
+class RallyLog {
+  static HOME = 'home'
+  static AWAY = 'away'
+
+  /**
+   * The match these rallies are in
+   * @type {GroupMatch}
+   * @private
+   */
+  #match
+
+  /**
+   * The team that served first in the first set, either "home" or "away"
+   * @type {string}
+   * @private
+   */
+  #firstServer
+
+  /**
+   * The team that won each rally, in the order they were played
+   * @type {Array<string>}
+   * @private
+   */
+  #rallies
+
+  /**
+   * The state of the match after the last rally, kept up to date as rallies are added so that adding a rally does not replay the log,
+   * or null when it needs working out again
+   * @type {{config: string, homeTeamScores: Array<number>, awayTeamScores: Array<number>, setsWon: object, setIndex: number, server: string}|null}
+   * @private
+   */
+  #state
+
+  /**
+   * Create an empty rally log for a match
+   *
+   * @param {GroupMatch} match The match these rallies are in
+   * @param {string} firstServer The team that serves first in the first set, either "home" or "away"
+   * @throws {Error} If the first server is not "home" or "away"
+   */
+  constructor (match, firstServer = RallyLog.HOME) {
+    RallyLog.#assertTeamValid(firstServer)
+    this.#match = match
+    this.#firstServer = firstServer
+    this.#rallies = []
+    this.#state = null
+  }
+
+  /**
+   * Load a rally log from its serialized data
+   *
+   * @param {GroupMatch} match The match these rallies are in
+   * @param {object} rallyData The serialized rally log
+   * @returns {RallyLog} The rally log
+   * @throws {Error} If a rally is invalid, or comes after the match is complete
+   */
+  static loadFromData (match, rallyData) {
+    const rallyLog = new RallyLog(match, rallyData.firstServer)
+    rallyData.points.forEach(team => rallyLog.addRally(team))
+    return rallyLog
+  }
+
+  /**
+   * Return the rally log in a form suitable for serializing
+   *
+   * @returns {object} The serialized rally log
+   */
+  serialize () {
+    return {
+      firstServer: this.#firstServer,
+      points: [...this.#rallies]
+    }
+  }
+
+  /**
+   * Get the match these rallies are in
+   *
+   * @returns {GroupMatch} The match
+   */
+  getMatch () {
+    return this.#match
+  }
+
+  /**
+   * Get the team that served first in the first set
+   *
+   * @returns {string} Either "home" or "away"
+   */
+  getFirstServer () {
+    return this.#firstServer
+  }
+
+  /**
+   * Get the team that won each rally, in the order they were played
+   *
+   * @returns {Array<string>} The winner of each rally, either "home" or "away"
+   */
+  getRallies () {
+    return [...this.#rallies]
+  }
+
+  /**
+   * Record the winner of the next rally
+   *
+   * @param {string} team The team that won the rally, either "home" or "away"
+   * @returns {RallyLog} This rally log
+   * @throws {Error} If the team is not "home" or "away", or the match is already complete
+   */
+  addRally (team) {
+    RallyLog.#assertTeamValid(team)
+    const setConfig = this.#match.getGroup().getSetConfig()
+    const state = this.#getState(setConfig)
+    if (RallyLog.#isComplete(state, setConfig)) {
+      throw new Error(`Cannot add a rally to match {${this.#match.getID()}}: the match is already complete`)
+    }
+    this.#rallies.push(team)
+    this.#play(state, team, setConfig)
+    return this
+  }
+
+  /**
+   * Remove the most recent rally
+   *
+   * @returns {RallyLog} This rally log
+   * @throws {Error} If there are no rallies
+   */
+  removeLastRally () {
+    if (this.#rallies.length === 0) {
+      throw new Error(`Cannot remove a rally from match {${this.#match.getID()}}: there are no rallies`)
+    }
+    this.#rallies.pop()
+    // The set scores before the last rally could be from an earlier set, so they are worked out again when next needed
+    this.#state = null
+    return this
+  }
+
+  /**
+   * Get the home team's score in each set that has been started
+   *
+   * @returns {Array<number>} The home team's set scores
+   */
+  getHomeTeamScores () {
+    return [...this.#getState(this.#match.getGroup().getSetConfig()).homeTeamScores]
+  }
+
+  /**
+   * Get the away team's score in each set that has been started
+   *
+   * @returns {Array<number>} The away team's set scores
+   */
+  getAwayTeamScores () {
+    return [...this.#getState(this.#match.getGroup().getSetConfig()).awayTeamScores]
+  }
+
+  /**
+   * Get the team that serves the next rally
+   *
+   * @returns {string|null} Either "home" or "away", or null when the match is complete
+   */
+  getServer () {
+    const setConfig = this.#match.getGroup().getSetConfig()
+    const state = this.#getState(setConfig)
+    return RallyLog.#isComplete(state, setConfig) ? null : state.server
+  }
+
+  /**
+   * Get the number of the set that the next rally is in, counting from 1
+   *
+   * @returns {number|null} The set number, or null when the match is complete
+   */
+  getSetNumber () {
+    const setConfig = this.#match.getGroup().getSetConfig()
+    const state = this.#getState(setConfig)
+    return RallyLog.#isComplete(state, setConfig) ? null : state.setIndex + 1
+  }
+
+  /**
+   * Check whether one of the teams has won enough sets to win the match
+   *
+   * @returns {boolean} Whether the match is complete
+   */
+  isComplete () {
+    const setConfig = this.#match.getGroup().getSetConfig()
+    return RallyLog.#isComplete(this.#getState(setConfig), setConfig)
+  }
+
+  /**
+   * Get the state of the match after the last rally.  The state is only worked out from all of the rallies when there is no state yet, or
+   * when the group's set configuration has changed since it was worked out
+   *
+   * @param {SetConfig} setConfig The group's set configuration
+   * @returns {{config: string, homeTeamScores: Array<number>, awayTeamScores: Array<number>, setsWon: object, setIndex: number, server: string}} The state of the match
+   * @private
+   */
+  #getState (setConfig) {
+    const config = JSON.stringify(setConfig.serialize())
+    if (this.#state === null || this.#state.config !== config) {
+      this.#state = {
+        config,
+        homeTeamScores: [],
+        awayTeamScores: [],
+        setsWon: { [RallyLog.HOME]: 0, [RallyLog.AWAY]: 0 },
+        setIndex: 0,
+        server: this.#firstServer
+      }
+      this.#rallies.forEach(team => this.#play(this.#state, team, setConfig))
+    }
+    return this.#state
+  }
+
+  /**
+   * Update the state of the match with the winner of the next rally
+   *
+   * @param {object} state The state of the match, which is updated
+   * @param {string} team The team that won the rally, either "home" or "away"
+   * @param {SetConfig} setConfig The group's set configuration
+   * @private
+   */
+  #play (state, team, setConfig) {
+    if (state.homeTeamScores.length === state.setIndex) {
+      state.homeTeamScores.push(0)
+      state.awayTeamScores.push(0)
+    }
+    if (team === RallyLog.HOME) {
+      state.homeTeamScores[state.setIndex]++
+    } else {
+      state.awayTeamScores[state.setIndex]++
+    }
+    state.server = team
+
+    if (GroupMatch.isSetComplete(state.setIndex, state.homeTeamScores[state.setIndex], state.awayTeamScores[state.setIndex], setConfig)) {
+      state.setsWon[team]++
+      state.setIndex++
+      state.server = state.setIndex % 2 === 0 ? this.#firstServer : RallyLog.#otherTeam(this.#firstServer)
+    }
+  }
+
+  /**
+   * Check whether one of the teams has won enough sets to win the match
+   *
+   * @param {object} state The state of the match
+   * @param {SetConfig} setConfig The group's set configuration
+   * @returns {boolean} Whether the match is complete
+   * @private
+   */
+  static #isComplete (state, setConfig) {
+    return state.setsWon[RallyLog.HOME] >= setConfig.getSetsToWin() || state.setsWon[RallyLog.AWAY] >= setConfig.getSetsToWin()
+  }
+
+  /**
+   * Get the team playing against the given team
+   *
+   * @param {string} team Either "home" or "away"
+   * @returns {string} The other team
+   * @private
+   */
+  static #otherTeam (team) {
+    return team === RallyLog.HOME ? RallyLog.AWAY : RallyLog.HOME
+  }
+
+  /**
+   * Check that a team is either "home" or "away"
+   *
+   * @param {string} team The team to check
+   * @throws {Error} If the team is not "home" or "away"
+   * @private
+   */
+  static #assertTeamValid (team) {
+    if (team !== RallyLog.HOME && team !== RallyLog.AWAY) {
+      throw new Error(`Invalid rally team "${team}": must be "${RallyLog.HOME}" or "${RallyLog.AWAY}"`)
+    }
+  }
+}
+
+export default RallyLog
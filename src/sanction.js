@@ -0,0 +1,213 @@
+import Player from './player.js'
+import SanctionType from './sanctionType.js'
+
+/**
+ * A sanction given to a team in a match, or to one of its players or team officials.  A sanction cannot be changed once it is created;
+ * delete it from the team and add a replacement instead
+ */
+class Sanction {
+  /**
+   * The team in the match that the sanction was given to
+   * @type {MatchTeam}
+   * @private
+   */
+  #matchTeam
+
+  /**
+   * The type of sanction, one of the SanctionType values
+   * @type {string}
+   * @private
+   */
+  #type
+
+  /**
+   * The player that the sanction was given to
+   * @type {Player|null}
+   * @private
+   */
+  #player
+
+  /**
+   * The name of the team official that the sanction was given to
+   * @type {string|null}
+   * @private
+   */
+  #official
+
+  /**
+   * The set that the sanction was given in, counting from 1
+   * @type {number|null}
+   * @private
+   */
+  #set
+
+  /**
+   * The score when the sanction was given, as the team's score followed by the opposing team's score
+   * @type {Array<number>|null}
+   * @private
+   */
+  #score
+
+  /**
+   * Free form notes about the sanction
+   * @type {string|null}
+   * @private
+   */
+  #notes
+
+  /**
+   * Create a sanction.  When neither a player nor a team official is given, the sanction is against the whole team
+   *
+   * @param {MatchTeam} matchTeam The team in the match that the sanction was given to
+   * @param {string} type The type of sanction, one of the SanctionType values
+   * @param {object} details The details of the sanction
+   * @param {Player} [details.player] The player that the sanction was given to
+   * @param {string} [details.official] The name of the team official that the sanction was given to
+   * @param {number} [details.set] The set that the sanction was given in, counting from 1
+   * @param {Array<number>} [details.score] The score when the sanction was given, as the team's score followed by the opposing team's score
+   * @param {string} [details.notes] Free form notes about the sanction
+   * @throws {Error} If the type is not a SanctionType value, or the sanction is against both a player and a team official
+   */
+  constructor (matchTeam, type, details = {}) {
+    if (!Object.values(SanctionType).includes(type)) {
+      throw new Error(`Invalid sanction type "${type}"`)
+    }
+    if (details.player !== undefined && details.official !== undefined) {
+      throw new Error('Invalid sanction: a sanction cannot be given to both a player and a team official')
+    }
+    this.#matchTeam = matchTeam
+    this.#type = type
+    this.#player = details.player ?? null
+    this.#official = details.official ?? null
+    this.#set = details.set ?? null
+    this.#score = details.score === undefined ? null : [...details.score]
+    this.#notes = details.notes ?? null
+  }
+
+  /**
+   * Load a sanction from its serialized data
+   *
+   * @param {MatchTeam} matchTeam The team in the match that the sanction was given to
+   * @param {object} sanctionData The serialized sanction
+   * @returns {Sanction} The sanction
+   */
+  static loadFromData (matchTeam, sanctionData) {
+    const details = {}
+    if (Object.hasOwn(sanctionData, 'player')) {
+      const competition = matchTeam.getMatch().getGroup().getCompetition()
+      const playerRefMatch = sanctionData.player.match(/^{(.*)}$/)
+      if (playerRefMatch !== null) {
+        details.player = competition.getPlayer(playerRefMatch[1])
+      } else {
+        details.player = new Player(competition, Player.UNREGISTERED_PLAYER_ID, sanctionData.player)
+      }
+    }
+    ['official', 'set', 'score', 'notes'].forEach(key => {
+      if (Object.hasOwn(sanctionData, key)) {
+        details[key] = sanctionData[key]
+      }
+    })
+    return new Sanction(matchTeam, sanctionData.type, details)
+  }
+
+  /**
+   * Return the sanction in a form suitable for serializing
+   *
+   * @returns {object} The serialized sanction
+   */
+  serialize () {
+    const sanction = {
+      type: this.#type
+    }
+    if (this.#player !== null) {
+      sanction.player = this.#player.getID() === Player.UNREGISTERED_PLAYER_ID ? this.#player.getName() : `{${this.#player.getID()}}`
+    }
+    if (this.#official !== null) {
+      sanction.official = this.#official
+    }
+    if (this.#set !== null) {
+      sanction.set = this.#set
+    }
+    if (this.#score !== null) {
+      sanction.score = [...this.#score]
+    }
+    if (this.#notes !== null) {
+      sanction.notes = this.#notes
+    }
+    return sanction
+  }
+
+  /**
+   * Get the team in the match that the sanction was given to
+   *
+   * @returns {MatchTeam} The team
+   */
+  getMatchTeam () {
+    return this.#matchTeam
+  }
+
+  /**
+   * Get the type of sanction
+   *
+   * @returns {string} One of the SanctionType values
+   */
+  getType () {
+    return this.#type
+  }
+
+  /**
+   * Get the player that the sanction was given to
+   *
+   * @returns {Player|null} The player, or null when the sanction is not against a player
+   */
+  getPlayer () {
+    return this.#player
+  }
+
+  /**
+   * Get the name of the team official that the sanction was given to
+   *
+   * @returns {string|null} The team official's name, or null when the sanction is not against a team official
+   */
+  getOfficial () {
+    return this.#official
+  }
+
+  /**
+   * Check whether the sanction is against the whole team rather than a player or team official
+   *
+   * @returns {boolean} Whether the sanction is against the team
+   */
+  isAgainstTeam () {
+    return this.#player === null && this.#official === null
+  }
+
+  /**
+   * Get the set that the sanction was given in
+   *
+   * @returns {number|null} The set, counting from 1, or null when it is not known
+   */
+  getSet () {
+    return this.#set
+  }
+
+  /**
+   * Get the score when the sanction was given
+   *
+   * @returns {Array<number>|null} The team's score followed by the opposing team's score, or null when it is not known
+   */
+  getScore () {
+    return this.#score === null ? null : [...this.#score]
+  }
+
+  /**
+   * Get the notes about the sanction
+   *
+   * @returns {string|null} The notes
+   */
+  getNotes () {
+    return this.#notes
+  }
+}
+
+export default Sanction
@@ -0,0 +1,186 @@
+import CompetitionTeam from './competitionTeam.js'
+import GroupMatch from './groupMatch.js'
+import SanctionType from './sanctionType.js'
+
+/**
+ * A register of the sanctions given to players across a competition, which works out the players that are suspended from matches.
+ *
+ * Suspensions follow a list of rules.  Each rule gives a sanction type, a number of sanctions of that type and a number of matches, so
+ * that every time a player's total of that sanction type reaches a multiple of the number of sanctions, the player is suspended from
+ * that many of their team's following matches.  The team is the one the player was playing for when they received the sanction.
+ *
+ * Matches are in stage order and, within a stage, in date and start time order, with matches in the same slot kept in the order they
+ * appear.  A match without a date has not necessarily been played yet, so matches without a date come after the dated matches in their
+ * stage, in the order they appear.
+ */
+class SanctionRegister {
+  /**
+   * The rules used when none are given: an expulsion suspends a player for one match, a disqualification suspends a player for two
+   * matches and every third penalty suspends a player for one match
+   * @type {Array<{type: string, count: number, matches: number}>}
+   */
+  static DEFAULT_RULES = [
+    { type: SanctionType.EXPULSION, count: 1, matches: 1 },
+    { type: SanctionType.DISQUALIFICATION, count: 1, matches: 2 },
+    { type: SanctionType.PENALTY, count: 3, matches: 1 }
+  ]
+
+  /**
+   * The competition whose sanctions are registered
+   * @type {Competition}
+   * @private
+   */
+  #competition
+
+  /**
+   * The rules for suspending players
+   * @type {Array<{type: string, count: number, matches: number}>}
+   * @private
+   */
+  #rules
+
+  /**
+   * Constructs a new SanctionRegister
+   *
+   * @param {Competition} competition The competition whose sanctions are registered
+   * @param {object} options The register options
+   * @param {Array<{type: string, count: number, matches: number}>} [options.rules] The rules for suspending players (default
+   *                                                                                 SanctionRegister.DEFAULT_RULES)
+   * @throws {Error} If a rule has an invalid sanction type, or a count or number of matches that is not a positive integer
+   */
+  constructor (competition, options = {}) {
+    const rules = options.rules ?? SanctionRegister.DEFAULT_RULES
+    rules.forEach(rule => {
+      if (!Object.values(SanctionType).includes(rule.type)) {
+        throw new Error(`Invalid suspension rule: invalid sanction type "${rule.type}"`)
+      }
+      if (!Number.isInteger(rule.count) || rule.count < 1 || !Number.isInteger(rule.matches) || rule.matches < 1) {
+        throw new Error('Invalid suspension rule: the count and the number of matches must be positive integers')
+      }
+    })
+    this.#competition = competition
+    this.#rules = rules.map(rule => ({ ...rule }))
+  }
+
+  /**
+   * Get the competition whose sanctions are registered
+   *
+   * @returns {Competition} The competition
+   */
+  getCompetition () {
+    return this.#competition
+  }
+
+  /**
+   * Get the rules for suspending players
+   *
+   * @returns {Array<{type: string, count: number, matches: number}>} The rules
+   */
+  getRules () {
+    return this.#rules.map(rule => ({ ...rule }))
+  }
+
+  /**
+   * Get the sanctions given to a player, in match order
+   *
+   * @param {Player} player The player
+   * @returns {Array<Sanction>} The player's sanctions
+   */
+  getSanctions (player) {
+    return this.#getMatches().flatMap(match => match.getSanctions().filter(sanction => sanction.getPlayer() === player))
+  }
+
+  /**
+   * Get the number of sanctions of each type that a player has been given
+   *
+   * @param {Player} player The player
+   * @returns {object} The number of sanctions, keyed by SanctionType value
+   */
+  getSanctionCounts (player) {
+    const counts = {}
+    Object.values(SanctionType).forEach(type => {
+      counts[type] = 0
+    })
+    this.getSanctions(player).forEach(sanction => {
+      counts[sanction.getType()]++
+    })
+    return counts
+  }
+
+  /**
+   * Get the matches that a player is suspended from, in match order
+   *
+   * @param {Player} player The player
+   * @returns {Array<GroupMatch>} The matches the player is suspended from
+   */
+  getSuspensions (player) {
+    const matches = this.#getMatches()
+    const sanctions = this.getSanctions(player)
+    const suspended = new Set()
+
+    this.#rules.forEach(rule => {
+      sanctions.filter(sanction => sanction.getType() === rule.type).forEach((sanction, i) => {
+        const teamID = this.#resolveTeamID(sanction.getMatchTeam().getID())
+        if ((i + 1) % rule.count !== 0 || teamID === null) {
+          return
+        }
+        const teamMatches = matches.filter(match => this.#resolveTeamID(match.getHomeTeam().getID()) === teamID ||
+          this.#resolveTeamID(match.getAwayTeam().getID()) === teamID)
+        const matchIndex = teamMatches.indexOf(sanction.getMatchTeam().getMatch())
+        teamMatches.slice(matchIndex + 1, matchIndex + 1 + rule.matches).forEach(match => suspended.add(match))
+      })
+    })
+
+    return matches.filter(match => suspended.has(match))
+  }
+
+  /**
+   * Check whether a player is suspended from a match
+   *
+   * @param {Player} player The player
+   * @param {GroupMatch} match The match
+   * @returns {boolean} Whether the player is suspended from the match
+   */
+  isSuspended (player, match) {
+    return this.getSuspensions(player).includes(match)
+  }
+
+  /**
+   * Get the players that are suspended from a match
+   *
+   * @param {GroupMatch} match The match
+   * @returns {Array<Player>} The suspended players, in the order they are registered in the competition
+   */
+  getSuspendedPlayers (match) {
+    return this.#competition.getPlayers().filter(player => this.isSuspended(player, match))
+  }
+
+  /**
+   * Get the matches in the competition in match order
+   *
+   * @returns {Array<GroupMatch>} The matches
+   * @private
+   */
+  #getMatches () {
+    return this.#competition.getStages().flatMap(stage => {
+      const stageMatches = stage.getGroups().flatMap(group => group.getMatches().filter(match => match instanceof GroupMatch))
+      const undated = match => match.getDate() === null ? 1 : 0
+      const slot = match => `${match.getDate() ?? ''} ${match.getStart() ?? ''}`
+      return stageMatches.sort((a, b) => undated(a) - undated(b) || slot(a).localeCompare(slot(b)))
+    })
+  }
+
+  /**
+   * Get the ID of the team that a team ID or reference resolves to
+   *
+   * @param {string} teamID The team ID or reference
+   * @returns {string|null} The resolved team ID, or null when the team is not yet known
+   * @private
+   */
+  #resolveTeamID (teamID) {
+    const team = this.#competition.getTeam(teamID)
+    return team.getID() === CompetitionTeam.UNKNOWN_TEAM_ID ? null : team.getID()
+  }
+}
+
+export default SanctionRegister
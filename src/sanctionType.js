@@ -0,0 +1,8 @@
+class SanctionType {
+  static WARNING = 'warning'
+  static PENALTY = 'penalty'
+  static EXPULSION = 'expulsion'
+  static DISQUALIFICATION = 'disqualification'
+}
+
+export default SanctionType
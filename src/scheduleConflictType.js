@@ -0,0 +1,8 @@
+class ScheduleConflictType {
+  static TEAM_PLAYING_TWICE = 'teamPlayingTwice'
+  static TEAM_PLAYING_AND_OFFICIATING = 'teamPlayingAndOfficiating'
+  static TEAM_OFFICIATING_TWICE = 'teamOfficiatingTwice'
+  static COURT_DOUBLE_BOOKED = 'courtDoubleBooked'
+}
+
+export default ScheduleConflictType
@@ -0,0 +1,215 @@
+import Competition from './competition.js'
+import CompetitionTeam from './competitionTeam.js'
+import GroupBreak from './groupBreak.js'
+import { timeToMinutes } from './time.js'
+
+/**
+ * Convert a number of minutes since midnight into a time in the format HH:mm
+ *
+ * @param {number} minutes The number of minutes since midnight
+ * @returns {string} The time in the format HH:mm
+ */
+function minutesToTime (minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`
+}
+
+/**
+ * Whether two periods of time overlap.  A period with no length is treated as lasting for one minute
+ *
+ * @param {number} aStart The start of the first period in minutes
+ * @param {number} aEnd The end of the first period in minutes
+ * @param {number} bStart The start of the second period in minutes
+ * @param {number} bEnd The end of the second period in minutes
+ * @returns {boolean} Whether the periods overlap
+ */
+function periodsOverlap (aStart, aEnd, bStart, bEnd) {
+  return aStart < Math.max(bEnd, bStart + 1) && bStart < Math.max(aEnd, aStart + 1)
+}
+
+/**
+ * Assigns a court, date and start time to every match that has not yet been scheduled, such that no team plays in two matches at
+ * the same time and no team is officiating while it is playing.  Matches that already have a date and start time are left as they are,
+ * and a match that already has a court or a date is only scheduled on that court or date.  Matches are not scheduled during any break
+ * in their group, and must finish by the end of play on their day.
+ */
+class Scheduler {
+  /**
+   * The courts that matches can be played on
+   * @type {Array<string>}
+   * @private
+   */
+  #courts
+
+  /**
+   * The days that matches can be played on, each with a date and the window of time in which matches can be played
+   * @type {Array<{date: string, start: string, end: string}>}
+   * @private
+   */
+  #days
+
+  /**
+   * The length of a match slot in the format H:mm, used as the match duration when a match does not define one
+   * @type {string}
+   * @private
+   */
+  #slotLength
+
+  /**
+   * Constructs a new Scheduler
+   *
+   * @param {Array<string>} courts The courts that matches can be played on
+   * @param {Array<{date: string, start: string, end: string}>} days The days that matches can be played on, with the start and end of play on each day in the format HH:mm
+   * @param {string} slotLength The length of a match slot in the format H:mm
+   * @throws {Error} If any of the courts, days or slot length are invalid
+   */
+  constructor (courts, days, slotLength) {
+    if (courts.length === 0) {
+      throw new Error('Invalid scheduler courts: at least one court is required')
+    }
+    if (days.length === 0) {
+      throw new Error('Invalid scheduler days: at least one day is required')
+    }
+    days.forEach(day => {
+      if (!/^[0-9]{4}-(0[1-9]|1[0-2])-(0[1-9]|[12][0-9]|3[01])$/.test(day.date)) {
+        throw new Error(`Invalid date "${day.date}": must contain a value of the form "YYYY-MM-DD"`)
+      }
+      if (!/^([01][0-9]|2[0-3]):[0-5][0-9]$/.test(day.start) || !/^([01][0-9]|2[0-3]):[0-5][0-9]$/.test(day.end) || day.start >= day.end) {
+        throw new Error(`Invalid times for ${day.date}: start and end must be of the form "HH:mm", and start must be before end`)
+      }
+    })
+    if (!/^[0-9]+:[0-5][0-9]$/.test(slotLength) || timeToMinutes(slotLength) === 0) {
+      throw new Error(`Invalid slot length "${slotLength}": must be a non-zero duration of the form "H:mm"`)
+    }
+
+    this.#courts = courts
+    this.#days = days
+    this.#slotLength = slotLength
+  }
+
+  /**
+   * Schedule all of the unscheduled matches in a stage, or in every stage of a competition.  Matches in other stages are taken into
+   * account when working out whether a team or court is free
+   *
+   * @param {Competition|Stage} target The competition or stage containing the matches to schedule
+   * @returns {{scheduled: Array<GroupMatch>, unscheduled: Array<GroupMatch>}} The matches that were scheduled, and the matches that could not be fitted into any slot
+   */
+  schedule (target) {
+    const competition = target instanceof Competition ? target : target.getCompetition()
+    const stages = target instanceof Competition ? target.getStages() : [target]
+    const slotMinutes = timeToMinutes(this.#slotLength)
+
+    const bookings = []
+    const breaks = []
+    const toSchedule = []
+
+    competition.getStages().forEach(stage => {
+      stage.getGroups().forEach(group => {
+        group.getMatches().forEach(match => {
+          if (match instanceof GroupBreak) {
+            if (match.getStart() !== null) {
+              const start = timeToMinutes(match.getStart())
+              breaks.push({
+                group,
+                date: match.getDate(),
+                start,
+                end: start + (match.getDuration() === null ? 0 : timeToMinutes(match.getDuration()))
+              })
+            }
+          } else if (match.hasDate() && match.hasStart()) {
+            bookings.push(this.#makeBooking(competition, match, match.getDate(), timeToMinutes(match.getStart()), slotMinutes, match.getCourt()))
+          } else if (stages.includes(stage)) {
+            toSchedule.push(match)
+          }
+        })
+      })
+    })
+
+    const scheduled = []
+    const unscheduled = []
+
+    toSchedule.forEach(match => {
+      const slot = this.#findSlot(competition, match, bookings, breaks, slotMinutes)
+      if (slot === null) {
+        unscheduled.push(match)
+        return
+      }
+      match.setDate(slot.date).setStart(minutesToTime(slot.start)).setCourt(slot.court)
+      bookings.push(slot)
+      scheduled.push(match)
+    })
+
+    return { scheduled, unscheduled }
+  }
+
+  /**
+   * Find the earliest slot that a match can be played in
+   *
+   * @param {Competition} competition The competition the match is in
+   * @param {GroupMatch} match The match to find a slot for
+   * @param {Array<object>} bookings The courts and teams already booked
+   * @param {Array<object>} breaks The breaks in play
+   * @param {number} slotMinutes The length of a slot in minutes
+   * @returns {object|null} The booking for the match, or null if there is no free slot
+   */
+  #findSlot (competition, match, bookings, breaks, slotMinutes) {
+    const courts = match.hasCourt() ? [match.getCourt()] : this.#courts
+    // A match longer than a slot must still finish by the end of play
+    const minutes = Math.max(slotMinutes, match.hasDuration() ? timeToMinutes(match.getDuration()) : 0)
+
+    for (const day of this.#days) {
+      if (match.hasDate() && match.getDate() !== day.date) {
+        continue
+      }
+      for (let start = timeToMinutes(day.start); start + minutes <= timeToMinutes(day.end); start += slotMinutes) {
+        for (const court of courts) {
+          const booking = this.#makeBooking(competition, match, day.date, start, slotMinutes, court)
+          const clashes = bookings.some(other => other.date === booking.date &&
+            periodsOverlap(booking.start, booking.end, other.start, other.end) &&
+            (other.court === court || [...booking.teams].some(teamID => other.teams.has(teamID))))
+          const inBreak = breaks.some(groupBreak => groupBreak.group === match.getGroup() &&
+            (groupBreak.date === null || groupBreak.date === booking.date) &&
+            periodsOverlap(booking.start, booking.end, groupBreak.start, groupBreak.end))
+          if (!clashes && !inBreak) {
+            return booking
+          }
+        }
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Create a record of the court and teams that are busy for a match
+   *
+   * @param {Competition} competition The competition the match is in
+   * @param {GroupMatch} match The match
+   * @param {string} date The date of the match
+   * @param {number} start The start time of the match in minutes
+   * @param {number} slotMinutes The length of a slot in minutes, used when the match has no duration
+   * @param {string|null} court The court the match is on
+   * @returns {object} The booking
+   */
+  #makeBooking (competition, match, date, start, slotMinutes, court) {
+    const teamIDs = [match.getHomeTeam().getID(), match.getAwayTeam().getID()]
+    if (match.hasOfficials() && match.getOfficials().isTeam()) {
+      teamIDs.push(match.getOfficials().getTeamID())
+    }
+
+    const teams = new Set(teamIDs.map(teamID => {
+      // Use the resolved team where it is known so that a team is still matched when it is referenced in different ways
+      const team = competition.getTeam(teamID)
+      return team.getID() === CompetitionTeam.UNKNOWN_TEAM_ID ? teamID : team.getID()
+    }))
+
+    return {
+      date,
+      start,
+      end: start + (match.hasDuration() ? timeToMinutes(match.getDuration()) : slotMinutes),
+      court,
+      teams
+    }
+  }
+}
+
+export default Scheduler
@@ -58,6 +58,20 @@ class SetConfig {
     **/
   #lastSetMaxPoints
 
+  /**
+    * The maximum number of substitutions that a team can make in a set.
+    * @var {int}
+    * @private
+    **/
+  #maxSubstitutions
+
+  /**
+    * The maximum number of timeouts that a team can take in a set.
+    * @var {int}
+    * @private
+    **/
+  #maxTimeouts
+
   /**
     * The group that this SetConfig belongs to
     * @var {Group}
@@ -77,6 +91,8 @@ class SetConfig {
     this.#lastSetPointsToWin = 15
     this.#maxPoints = 1000
     this.#lastSetMaxPoints = 1000
+    this.#maxSubstitutions = 6
+    this.#maxTimeouts = 2
     this.#group = group
   }
 
@@ -119,6 +135,14 @@ class SetConfig {
       this.setLastSetMaxPoints(setData.lastSetMaxPoints)
     }
 
+    if (Object.hasOwn(setData, 'maxSubstitutions')) {
+      this.setMaxSubstitutions(setData.maxSubstitutions)
+    }
+
+    if (Object.hasOwn(setData, 'maxTimeouts')) {
+      this.setMaxTimeouts(setData.maxTimeouts)
+    }
+
     return this
   }
 
@@ -132,12 +156,15 @@ class SetConfig {
   }
 
   /**
-   * The set configuration data in a form suitable for serializing
+   * The set configuration data in a form suitable for serializing.  The maximum substitutions and timeouts are optional additions to
+   * version 1.0.0 of the schema, so they are only included when they differ from their defaults.  A competition that does not use them
+   * therefore serializes exactly as before, and stays readable by anything that only knows the original 1.0.0 fields, which is why adding
+   * them does not need a new schema version or a migration
    *
    * @returns {Object} The serialized set configuration data
    */
   serialize () {
-    return {
+    const setConfig = {
       maxSets: this.#maxSets,
       setsToWin: this.#setsToWin,
       clearPoints: this.#clearPoints,
@@ -147,6 +174,16 @@ class SetConfig {
       maxPoints: this.#maxPoints,
       lastSetMaxPoints: this.#lastSetMaxPoints
     }
+
+    if (this.#maxSubstitutions !== 6) {
+      setConfig.maxSubstitutions = this.#maxSubstitutions
+    }
+
+    if (this.#maxTimeouts !== 2) {
+      setConfig.maxTimeouts = this.#maxTimeouts
+    }
+
+    return setConfig
   }
 
   /**
@@ -292,6 +329,42 @@ class SetConfig {
   getLastSetMaxPoints () {
     return this.#lastSetMaxPoints
   }
+
+  /**
+   * Set the maximum number of substitutions that a team can make in a set.
+   *
+   * @param {number} maxSubstitutions The maximum number of substitutions in a set
+   */
+  setMaxSubstitutions (maxSubstitutions) {
+    this.#maxSubstitutions = maxSubstitutions
+  }
+
+  /**
+   * Get the maximum number of substitutions that a team can make in a set.
+   *
+   * @returns {number} The maximum number of substitutions in a set
+   */
+  getMaxSubstitutions () {
+    return this.#maxSubstitutions
+  }
+
+  /**
+   * Set the maximum number of timeouts that a team can take in a set.
+   *
+   * @param {number} maxTimeouts The maximum number of timeouts in a set
+   */
+  setMaxTimeouts (maxTimeouts) {
+    this.#maxTimeouts = maxTimeouts
+  }
+
+  /**
+   * Get the maximum number of timeouts that a team can take in a set.
+   *
+   * @returns {number} The maximum number of timeouts in a set
+   */
+  getMaxTimeouts () {
+    return this.#maxTimeouts
+  }
 }
 
 export default SetConfig
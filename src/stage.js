@@ -1,5 +1,6 @@
 import Competition from './competition.js'
 import CompetitionTeam from './competitionTeam.js'
+import CompetitionValidationError from './competitionValidationError.js'
 import Crossover from './crossover.js'
 import GroupMatch from './groupMatch.js'
 import IfUnknown from './ifUnknown.js'
@@ -130,7 +131,7 @@ class Stage {
       this.setDescription(stageData.description)
     }
 
-    stageData.groups.forEach(groupData => {
+    stageData.groups.forEach((groupData, i) => {
       let group
       switch (groupData.type) {
         case 'crossover':
@@ -143,12 +144,20 @@ class Stage {
           group = new League(this, groupData.id, groupData.matchType === 'continuous' ? MatchType.CONTINUOUS : MatchType.SETS, groupData.drawsAllowed)
           break
       }
-      this.addGroup(group)
-      group.loadFromData(groupData)
+      try {
+        this.addGroup(group)
+        group.loadFromData(groupData)
+      } catch (err) {
+        throw CompetitionValidationError.fromError(err, `/groups/${i}`, groupData)
+      }
     })
 
     if (Object.hasOwn(stageData, 'ifUnknown')) {
-      this.setIfUnknown(new IfUnknown(this, stageData.ifUnknown.description)).loadFromData(stageData.ifUnknown)
+      try {
+        this.setIfUnknown(new IfUnknown(this, stageData.ifUnknown.description)).loadFromData(stageData.ifUnknown)
+      } catch (err) {
+        throw CompetitionValidationError.fromError(err, '/ifUnknown', stageData.ifUnknown)
+      }
     }
 
     return this
@@ -188,6 +197,16 @@ class Stage {
     return stage
   }
 
+  /**
+   * Check whether this stage is structurally equal to another, i.e. whether they would serialize to the same data
+   *
+   * @param {Stage} other The stage to compare with
+   * @returns {boolean} Whether the stages are equal
+   */
+  equals (other) {
+    return other instanceof Stage && JSON.stringify(this.serialize()) === JSON.stringify(other.serialize())
+  }
+
   /**
    * Get the competition this stage is in.
    *
@@ -220,15 +239,17 @@ class Stage {
     if (this.hasGroup(group.getID())) {
       throw new Error(`Groups in a Stage with duplicate IDs not allowed: {${this.#id}:${group.getID()}}`)
     }
-    this.#groups.push(group)
-    try {
-      this.checkMatches()
-    } catch (error) {
-      this.#groups.pop(group)
-      throw error
-    }
-    this.#groupLookup[group.getID()] = group
-    return this
+    return this.#record(() => {
+      this.#groups.push(group)
+      try {
+        this.checkMatches()
+      } catch (error) {
+        this.#groups.pop(group)
+        throw error
+      }
+      this.#groupLookup[group.getID()] = group
+      return this
+    })
   }
 
   /**
@@ -255,7 +276,9 @@ class Stage {
    * @param {string|null} name The new name for the stage
    */
   setName (name) {
-    this.#name = name
+    this.#record(() => {
+      this.#name = name
+    })
   }
 
   /**
@@ -273,7 +296,9 @@ class Stage {
    * @param {string|null} notes The notes for this stage
    */
   setNotes (notes) {
-    this.#notes = notes
+    this.#record(() => {
+      this.#notes = notes
+    })
   }
 
   /**
@@ -291,7 +316,9 @@ class Stage {
    * @param {Array<string>|null} description The description for this stage
    */
   setDescription (description) {
-    this.#description = description
+    this.#record(() => {
+      this.#description = description
+    })
   }
 
   /**
@@ -309,8 +336,10 @@ class Stage {
    * @param {IfUnknown|null} ifUnknown The IfUnknown object for this stage
    */
   setIfUnknown (ifUnknown) {
-    this.#ifUnknown = ifUnknown
-    return ifUnknown
+    return this.#record(() => {
+      this.#ifUnknown = ifUnknown
+      return ifUnknown
+    })
   }
 
   /**
@@ -483,10 +512,11 @@ class Stage {
       return this
     }
 
-    delete this.#groupLookup[id]
-    this.#groups = this.#groups.filter(el => el.getID() !== id)
-
-    return this
+    return this.#record(() => {
+      delete this.#groupLookup[id]
+      this.#groups = this.#groups.filter(el => el.getID() !== id)
+      return this
+    })
   }
 
   /**
@@ -865,6 +895,51 @@ class Stage {
 
     return [...new Set(references)]
   }
+
+  /**
+   * Make a change to this stage, recording it in the competition's change history
+   *
+   * @param {function(): any} change Make the change
+   * @returns {any} The value returned by the change
+   * @private
+   */
+  #record (change) {
+    return this.#competition.recordChange(() => this.#snapshot(), snapshot => this.#restore(snapshot), change)
+  }
+
+  /**
+   * Get the state of this stage, for the change history
+   *
+   * @returns {object} The state
+   * @private
+   */
+  #snapshot () {
+    return {
+      name: this.#name,
+      notes: this.#notes,
+      description: this.#description,
+      ifUnknown: this.#ifUnknown,
+      groups: [...this.#groups],
+      groupLookup: { ...this.#groupLookup }
+    }
+  }
+
+  /**
+   * Restore this stage to a state from the change history
+   *
+   * @param {object} snapshot The state to restore
+   * @private
+   */
+  #restore (snapshot) {
+    this.#name = snapshot.name
+    this.#notes = snapshot.notes
+    this.#description = snapshot.description
+    this.#ifUnknown = snapshot.ifUnknown
+    this.#groups = [...snapshot.groups]
+    this.#groupLookup = { ...snapshot.groupLookup }
+    this.#allMatches = null
+    this.#teamStgGrpLookup = null
+  }
 }
 
 export default Stage
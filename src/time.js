@@ -0,0 +1,11 @@
+/**
+ * Convert a time in the format H:mm or HH:mm into a number of minutes, e.g. the number of minutes since midnight for a start time, or
+ * the length of a duration
+ *
+ * @param {string} time The time to convert
+ * @returns {number} The number of minutes
+ */
+export function timeToMinutes (time) {
+  const [hours, minutes] = time.split(':')
+  return (parseInt(hours) * 60) + parseInt(minutes)
+}
@@ -0,0 +1,322 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { readFile } from 'node:fs/promises'
+import path from 'node:path'
+
+import {
+  ChangeHistory, Club, Competition, CompetitionEventType, CompetitionTeam, Contact, ContactRole, Crossover, GroupBreak, GroupMatch, IfUnknown, KnockoutConfig, League,
+  LeagueConfig, MatchManager, MatchOfficials, MatchTeam, MatchType, Player, PlayerTeam, SetConfig, Stage
+} from '../../src/index.js'
+
+async function loadCompetition () {
+  const competitionJSON = await readFile(new URL(path.join('history', 'competition.json'), import.meta.url), { encoding: 'utf8' })
+  return Competition.loadFromCompetitionJSON(competitionJSON)
+}
+
+describe('changeHistory', () => {
+  it('testChangeHistoryUndoRedo', async () => {
+    const changes = {
+      'competition name': competition => competition.setName('History Cup 2025'),
+      'competition notes': competition => competition.setNotes('Some notes'),
+      'set metadata': competition => competition.setMetadataByKey('level', '3'),
+      'delete metadata': competition => competition.deleteMetadataByKey('region'),
+      'add team': competition => competition.addTeam(new CompetitionTeam(competition, 'TM6', 'Frank VC')),
+      'delete team': competition => competition.deleteTeam('TM5'),
+      'delete team in a club': competition => competition.deleteTeam(competition.getTeam('TM5').setClubID('EMP').getID()),
+      'add player': competition => competition.addPlayer(new Player(competition, 'P6', 'Fiona Fisher')),
+      'delete player': competition => competition.deletePlayer('P5'),
+      'add stage': competition => competition.addStage(new Stage(competition, 'Z')),
+      'delete stage': competition => competition.deleteStage('Y'),
+      'add club': competition => competition.addClub(new Club(competition, 'EAS', 'Eastleigh')),
+      'delete club': competition => competition.deleteClub('EMP'),
+      'club name': competition => competition.getClub('SOU').setName('Southampton Volleyball'),
+      'club notes': competition => competition.getClub('SOU').setNotes('Some notes'),
+      'club add team': competition => competition.getClub('SOU').addTeam(competition.getTeam('TM3')),
+      'club delete team': competition => competition.getClub('SOU').deleteTeam('TM1'),
+      'team name': competition => competition.getTeam('TM1').setName('Alice Volleyball'),
+      'team notes': competition => competition.getTeam('TM1').setNotes('Some notes'),
+      'team club': competition => competition.getTeam('TM1').setClubID('NOR'),
+      'team no club': competition => competition.getTeam('TM1').setClubID(null),
+      'team add contact': competition => competition.getTeam('TM1').addContact(new Contact(competition.getTeam('TM1'), 'C2', [ContactRole.COACH])),
+      'team delete contact': competition => competition.getTeam('TM1').deleteContact('C1'),
+      'contact name': competition => competition.getTeam('TM1').getContact('C1').setName('Alice Smith'),
+      'contact add role': competition => competition.getTeam('TM1').getContact('C1').addRole(ContactRole.CAPTAIN),
+      'contact roles': competition => competition.getTeam('TM1').getContact('C1').setRoles([ContactRole.MEDIC]),
+      'contact add email': competition => competition.getTeam('TM1').getContact('C1').addEmail('alice@example.org'),
+      'contact emails': competition => competition.getTeam('TM1').getContact('C1').setEmails(['alice@example.org']),
+      'contact no emails': competition => competition.getTeam('TM1').getContact('C1').setEmails(null),
+      'contact add phone': competition => competition.getTeam('TM1').getContact('C1').addPhone('01234 098765'),
+      'contact phones': competition => competition.getTeam('TM1').getContact('C1').setPhones(['01234 098765']),
+      'contact no phones': competition => competition.getTeam('TM1').getContact('C1').setPhones(null),
+      'player name': competition => competition.getPlayer('P1').setName('Alice Smith'),
+      'player number': competition => competition.getPlayer('P1').setNumber(5),
+      'player notes': competition => competition.getPlayer('P1').setNotes('Some notes'),
+      'player append team': competition => competition.getPlayer('P1').appendTeamEntry(new PlayerTeam(competition.getPlayer('P1'), 'TM2')),
+      'player splice teams': competition => competition.getPlayer('P1').spliceTeamEntries(0, 1),
+      'player team from': competition => competition.getPlayer('P2').getLatestTeamEntry().setFrom('2024-02-01'),
+      'player team until': competition => competition.getPlayer('P2').getLatestTeamEntry().setUntil('2024-12-31'),
+      'player team notes': competition => competition.getPlayer('P2').getLatestTeamEntry().setNotes('Some notes'),
+      'stage name': competition => competition.getStage('S').setName('Pool Stage'),
+      'stage notes': competition => competition.getStage('S').setNotes('Some notes'),
+      'stage description': competition => competition.getStage('S').setDescription(['Some description']),
+      'stage if unknown': competition => competition.getStage('S').setIfUnknown(new IfUnknown(competition.getStage('S'), ['Unknown'])),
+      'stage add group': competition => competition.getStage('S').addGroup(new Crossover(competition.getStage('S'), 'B', MatchType.CONTINUOUS)),
+      'stage delete group': competition => competition.getStage('X').deleteGroup('XG'),
+      'group name': competition => competition.getStage('S').getGroup('A').setName('Group A'),
+      'group notes': competition => competition.getStage('S').getGroup('A').setNotes('Some notes'),
+      'group description': competition => competition.getStage('S').getGroup('A').setDescription(['Some description']),
+      'group knockout config': competition => {
+        const group = competition.getStage('L').getGroup('KO')
+        group.setKnockoutConfig(new KnockoutConfig(group).loadFromData({ standing: [{ position: '1st', id: '{L:KO:K1:loser}' }] }))
+      },
+      'group league config': competition => {
+        const group = competition.getStage('L').getGroup('LG')
+        group.setLeagueConfig(new LeagueConfig(group).loadFromData({ ordering: ['PTS', 'PD'], points: { win: 2 } }))
+      },
+      'group set config': competition => {
+        const group = competition.getStage('L').getGroup('KO')
+        group.setSetConfig(new SetConfig(group).loadFromData({ maxSets: 5, setsToWin: 3 }))
+      },
+      'group draws allowed': competition => competition.getStage('L').getGroup('LG').setDrawsAllowed(true),
+      'group add match': competition => {
+        const group = competition.getStage('S').getGroup('A')
+        const match = new GroupMatch(group, 'A6')
+        match.setHomeTeam(new MatchTeam(match, 'TM4')).setAwayTeam(new MatchTeam(match, 'TM1')).setCourt('2').setOfficials(new MatchOfficials(match, 'TM2')).setComplete(false)
+        group.addMatch(match)
+      },
+      'group add break': competition => competition.getStage('S').getGroup('A').addBreak(new GroupBreak(competition.getStage('S').getGroup('A')).setName('Tea')),
+      'match court': competition => competition.getStage('S').getGroup('A').getMatch('A1').setCourt('2'),
+      'match venue': competition => competition.getStage('S').getGroup('A').getMatch('A1').setVenue('Hall'),
+      'match date': competition => competition.getStage('S').getGroup('A').getMatch('A1').setDate('2025-01-01'),
+      'match warmup': competition => competition.getStage('S').getGroup('A').getMatch('A1').setWarmup('08:50'),
+      'match start': competition => competition.getStage('S').getGroup('A').getMatch('A1').setStart('09:15'),
+      'match duration': competition => competition.getStage('S').getGroup('A').getMatch('A1').setDuration('0:30'),
+      'match complete': competition => competition.getStage('S').getGroup('A').getMatch('A1').setComplete(true),
+      'match home team': competition => {
+        const match = competition.getStage('S').getGroup('A').getMatch('A1')
+        match.setHomeTeam(new MatchTeam(match, 'TM3'))
+      },
+      'match away team': competition => {
+        const match = competition.getStage('S').getGroup('A').getMatch('A1')
+        match.setAwayTeam(new MatchTeam(match, 'TM3'))
+      },
+      'match officials': competition => competition.getStage('S').getGroup('A').getMatch('A2').setOfficials(null),
+      'match mvp': competition => competition.getStage('S').getGroup('A').getMatch('A1').setMVP(competition.getPlayer('P1')),
+      'match manager': competition => {
+        const match = competition.getStage('S').getGroup('A').getMatch('A1')
+        match.setManager(new MatchManager(match, null, 'Anna Manager'))
+      },
+      'match notes': competition => competition.getStage('S').getGroup('A').getMatch('A1').setNotes('Some notes'),
+      'match friendly': competition => competition.getStage('S').getGroup('A').getMatch('A1').setFriendly(true),
+      'match scores': competition => competition.getStage('S').getGroup('A').getMatch('A1').setScores([25], [20], true),
+      'match team forfeit': competition => competition.getStage('S').getGroup('A').getMatch('A2').getAwayTeam().setForfeit(true),
+      'match team bonus points': competition => competition.getStage('S').getGroup('A').getMatch('A2').getAwayTeam().setBonusPoints(1),
+      'match team penalty points': competition => competition.getStage('S').getGroup('A').getMatch('A2').getAwayTeam().setPenaltyPoints(1),
+      'match team mvp': competition => competition.getStage('S').getGroup('A').getMatch('A2').getAwayTeam().setMVP(competition.getPlayer('P4')),
+      'match team notes': competition => competition.getStage('S').getGroup('A').getMatch('A2').getAwayTeam().setNotes('Some notes'),
+      'match team players': competition => competition.getStage('S').getGroup('A').getMatch('A2').getAwayTeam().setPlayers([competition.getPlayer('P4')]),
+      'break start': competition => competition.getStage('S').getGroup('A').getMatches()[2].setStart('10:15'),
+      'break date': competition => competition.getStage('S').getGroup('A').getMatches()[2].setDate('2025-01-01'),
+      'break duration': competition => competition.getStage('S').getGroup('A').getMatches()[2].setDuration('1:00'),
+      'break name': competition => competition.getStage('S').getGroup('A').getMatches()[2].setName('Lunch break')
+    }
+
+    for (const [name, change] of Object.entries(changes)) {
+      const competition = await loadCompetition()
+      const history = competition.enableHistory()
+      const before = competition.clone()
+
+      history.transaction(name, () => change(competition))
+      const after = competition.clone()
+      assert(!after.equals(before), name)
+
+      assert.equal(history.canUndo(), true, name)
+      assert.equal(history.undo(), name)
+      assert(competition.equals(before), name)
+      assert(competition.isComplete() === before.isComplete(), name)
+
+      assert.equal(history.redo(), name)
+      assert(competition.equals(after), name)
+    }
+  })
+
+  it('testChangeHistoryTransactions', async () => {
+    const competition = await loadCompetition()
+    assert.equal(competition.getHistory(), null)
+
+    const history = competition.enableHistory()
+    assert.equal(competition.enableHistory(), history)
+    assert.equal(competition.getHistory(), history)
+    assert.equal(history.canUndo(), false)
+    assert.equal(history.canRedo(), false)
+    assert.throws(() => history.undo(), { message: 'Nothing to undo' })
+    assert.throws(() => history.redo(), { message: 'Nothing to redo' })
+
+    const match = competition.getStage('S').getGroup('A').getMatch('A1')
+    competition.setName('History Cup 2025')
+    history.transaction('Enter result for A1', () => {
+      match.setScores([25], [20], true)
+      history.transaction('Set the court', () => match.setCourt('2'))
+    })
+    assert.deepEqual(history.getUndoNames(), ['Enter result for A1', null])
+    assert.deepEqual(history.getRedoNames(), [])
+
+    assert.equal(history.undo(), 'Enter result for A1')
+    assert.equal(match.isComplete(), false)
+    assert.equal(match.getCourt(), '1')
+    assert.equal(competition.getName(), 'History Cup 2025')
+    assert.equal(history.undo(), null)
+    assert.equal(competition.getName(), 'History Cup')
+    assert.equal(history.canUndo(), false)
+    assert.deepEqual(history.getRedoNames(), [null, 'Enter result for A1'])
+
+    assert.equal(history.redo(), null)
+    assert.deepEqual(history.getRedoNames(), ['Enter result for A1'])
+
+    // A new change forgets the changes that could be redone, but a transaction with no changes does not
+    history.transaction('Nothing', () => {})
+    assert.equal(history.canRedo(), true)
+    competition.setNotes('Some notes')
+    assert.equal(history.canRedo(), false)
+    assert.deepEqual(history.getUndoNames(), [null, null])
+
+    // A transaction that fails is rolled back
+    assert.throws(() => history.transaction('Bad result', () => {
+      match.setScores([25], [20], true)
+      match.setCourt('3')
+      match.setScores([25], [20])
+    }), { message: 'Invalid score: match type is continuous, but the match completeness is not set' })
+    assert.equal(match.isComplete(), false)
+    assert.equal(match.getCourt(), '1')
+    assert.deepEqual(history.getUndoNames(), [null, null])
+
+    // Setting the scores and the completeness together is undone in one step
+    const completeMatch = competition.getStage('S').getGroup('A').getMatch('A2')
+    completeMatch.setScores([25], [22], false)
+    assert.deepEqual(history.getUndoNames(), [null, null, null])
+    history.undo()
+    assert.deepEqual(completeMatch.getHomeTeamScores(), [25])
+    assert.deepEqual(completeMatch.getAwayTeamScores(), [20])
+    assert.equal(completeMatch.isComplete(), true)
+    history.redo()
+    assert.deepEqual(completeMatch.getAwayTeamScores(), [22])
+    assert.equal(completeMatch.isComplete(), false)
+
+    history.transaction('Undo inside a transaction', () => {
+      assert.throws(() => history.undo(), { message: 'Cannot undo or redo during a transaction' })
+      assert.throws(() => history.redo(), { message: 'Cannot undo or redo during a transaction' })
+    })
+
+    assert.equal(history.clear(), history)
+    assert.equal(history.canUndo(), false)
+    assert.equal(history.canRedo(), false)
+  })
+
+  it('testChangeHistoryNewEntities', async () => {
+    const competition = await loadCompetition()
+    const history = competition.enableHistory()
+    const group = competition.getStage('S').getGroup('A')
+
+    // Creating something that is not yet part of the competition has nothing to undo
+    const team = new CompetitionTeam(competition, 'TM6', 'Frank VC')
+    const player = new Player(competition, 'P6', 'Fiona Fisher')
+    new Club(competition, 'EAS', 'Eastleigh')
+    new Contact(competition.getTeam('TM1'), 'C2', [ContactRole.COACH, ContactRole.COACH, 'unknown'])
+    const match = new GroupMatch(group, 'A6')
+    match.setHomeTeam(new MatchTeam(match, 'TM4')).setAwayTeam(new MatchTeam(match, 'TM1')).setComplete(false)
+    new GroupBreak(group).setName('Tea')
+    assert.deepEqual(history.getUndoNames(), [])
+
+    competition.addTeam(team)
+    competition.addPlayer(player)
+    assert.deepEqual(history.getUndoNames(), [null, null])
+    history.undo()
+    assert(!competition.hasPlayer('P6'))
+    history.undo()
+    assert(!competition.hasTeam('TM6'))
+
+    // A generated round robin is undone as one step
+    const stage = new Stage(competition, 'R')
+    competition.addStage(stage)
+    const league = new League(stage, 'RL', MatchType.CONTINUOUS, true)
+    stage.addGroup(league)
+    league.setLeagueConfig(new LeagueConfig(league).loadFromData({ ordering: ['PTS'], points: {} }))
+    history.clear()
+    league.generateRoundRobin(['TM1', 'TM2', 'TM3', 'TM4'])
+    assert.equal(league.getMatches().length, 6)
+    assert.deepEqual(history.getUndoNames(), [null])
+    history.undo()
+    assert.equal(league.getMatches().length, 0)
+    history.redo()
+    assert.deepEqual(league.getMatches().map(leagueMatch => leagueMatch.getID()), ['RL1', 'RL2', 'RL3', 'RL4', 'RL5', 'RL6'])
+  })
+
+  it('testChangeHistoryEvents', async () => {
+    const competition = await loadCompetition()
+    const history = competition.enableHistory()
+    const events = []
+    Object.values(CompetitionEventType).forEach(type => competition.on(type, event => events.push(event)))
+    const plate = competition.getStage('L').getGroup('LG')
+    const match = plate.getMatch('L1')
+
+    // Undoing and redoing a result emits the events for the result it puts back
+    match.setScores([25], [20], true)
+    events.length = 0
+    history.undo()
+    assert.deepEqual(events.map(event => event.type), [CompetitionEventType.MATCH_SCORE_CHANGED, CompetitionEventType.LEAGUE_TABLE_UPDATED])
+    assert.equal(events[0].match, match)
+    assert.equal(events[1].table, plate.getLeagueTable())
+    events.length = 0
+    history.redo()
+    assert.deepEqual(events.map(event => event.type), [
+      CompetitionEventType.MATCH_SCORE_CHANGED,
+      CompetitionEventType.MATCH_COMPLETED,
+      CompetitionEventType.LEAGUE_TABLE_UPDATED,
+      CompetitionEventType.GROUP_COMPLETED
+    ])
+    assert.equal(events[3].group, plate)
+
+    events.length = 0
+    competition.getTeam('TM1').setName('Alice Volleyball')
+    events.length = 0
+    history.undo()
+    assert.deepEqual(events, [{ type: CompetitionEventType.TEAM_RENAMED, team: competition.getTeam('TM1'), previousName: 'Alice Volleyball' }])
+
+    // A team reference in a stage that an undo puts back is resolved
+    const stage = new Stage(competition, 'Z').loadFromData({
+      name: 'Final',
+      groups: [{
+        id: 'ZG',
+        name: 'Final',
+        type: 'crossover',
+        matchType: 'continuous',
+        matches: [{ id: 'Z1', type: 'match', complete: false, homeTeam: { id: '{L:KO:K1:winner}', scores: [] }, awayTeam: { id: 'TM3', scores: [] } }]
+      }]
+    })
+    competition.addStage(stage)
+    competition.getStage('L').getGroup('KO').getMatch('K1').setScores([25, 25], [20, 20])
+    competition.deleteStage('Z')
+    events.length = 0
+    history.undo()
+    assert.deepEqual(events, [{ type: CompetitionEventType.TEAM_RESOLVED, reference: '{L:KO:K1:winner}', team: competition.getTeam('TM1') }])
+  })
+
+  it('testChangeHistoryWithoutHistory', async () => {
+    const competition = await loadCompetition()
+    assert.equal(competition.recordChange(() => assert.fail('snapshot'), () => assert.fail('restore'), () => 'changed'), 'changed')
+    competition.setName('History Cup 2025')
+    assert.equal(competition.getName(), 'History Cup 2025')
+    assert.equal(competition.getHistory(), null)
+  })
+
+  it('testChangeHistoryStandalone', async () => {
+    const history = new ChangeHistory()
+    let value = 1
+    assert.equal(history.record(() => value, snapshot => { value = snapshot }, () => { value = 2; return 'done' }), 'done')
+    assert.equal(value, 2)
+    history.undo()
+    assert.equal(value, 1)
+    history.redo()
+    assert.equal(value, 2)
+  })
+})
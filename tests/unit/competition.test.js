@@ -3,7 +3,7 @@ import { describe, it } from 'node:test'
 import { readFile } from 'node:fs/promises'
 import path from 'node:path'
 
-import { Club, Competition, CompetitionTeam, GroupMatch, League, LeagueConfig, LeagueConfigPoints, MatchOfficials, MatchTeam, MatchType, Stage } from '../../src/index.js'
+import { Club, Competition, CompetitionEventType, CompetitionTeam, GroupMatch, League, LeagueConfig, LeagueConfigPoints, MatchOfficials, MatchTeam, MatchType, ScheduleConflictType, Stage } from '../../src/index.js'
 
 describe('competition', () => {
   it('testCompetitionInvalidData', async () => {
@@ -871,4 +871,365 @@ describe('competition', () => {
       message: 'Invalid metadata value: must be between 1 and 1000 characters long'
     })
   })
+  it('testCompetitionFindScheduleConflicts', async () => {
+    const competitionJSON = await readFile(new URL(path.join('competitions', 'schedule-conflicts.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+
+    assert.deepEqual(competition.findScheduleConflicts(), [
+      {
+        type: ScheduleConflictType.TEAM_PLAYING_TWICE,
+        teamIDs: ['TM1'],
+        court: null,
+        date: '2024-06-01',
+        matches: [{ stageID: 'S1', groupID: 'G1', matchID: 'M1' }, { stageID: 'S1', groupID: 'G1', matchID: 'M2' }]
+      },
+      {
+        type: ScheduleConflictType.TEAM_PLAYING_AND_OFFICIATING,
+        teamIDs: ['TM2'],
+        court: null,
+        date: '2024-06-01',
+        matches: [{ stageID: 'S1', groupID: 'G1', matchID: 'M1' }, { stageID: 'S1', groupID: 'G1', matchID: 'M3' }]
+      },
+      {
+        type: ScheduleConflictType.COURT_DOUBLE_BOOKED,
+        teamIDs: [],
+        court: '1',
+        date: '2024-06-01',
+        matches: [{ stageID: 'S1', groupID: 'G1', matchID: 'M1' }, { stageID: 'S1', groupID: 'G1', matchID: 'M3' }]
+      },
+      {
+        type: ScheduleConflictType.TEAM_OFFICIATING_TWICE,
+        teamIDs: ['TM3'],
+        court: null,
+        date: '2024-06-01',
+        matches: [{ stageID: 'S1', groupID: 'G1', matchID: 'M1' }, { stageID: 'S2', groupID: 'G2', matchID: 'F1' }]
+      },
+      {
+        type: ScheduleConflictType.TEAM_PLAYING_TWICE,
+        teamIDs: ['TM6'],
+        court: null,
+        date: '2024-06-01',
+        matches: [{ stageID: 'S1', groupID: 'G1', matchID: 'M3' }, { stageID: 'S2', groupID: 'G2', matchID: 'F1' }]
+      },
+      {
+        type: ScheduleConflictType.TEAM_PLAYING_TWICE,
+        teamIDs: ['TM3'],
+        court: null,
+        date: '2024-06-02',
+        matches: [{ stageID: 'S1', groupID: 'G1', matchID: 'M5' }, { stageID: 'S2', groupID: 'G2', matchID: 'F3' }]
+      }
+    ])
+  })
+
+  it('testCompetitionFindScheduleConflictsNone', async () => {
+    const competitionJSON = await readFile(new URL(path.join('competitions', 'competition.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+    assert.deepEqual(competition.findScheduleConflicts(), [])
+  })
+
+  it('testCompetitionGetTeamDisplayName', () => {
+    const competition = new Competition('display names')
+    competition.addTeam(new CompetitionTeam(competition, 'TA', 'Team A')).addTeam(new CompetitionTeam(competition, 'TB', 'Team B'))
+    const stage = new Stage(competition, 'S')
+    competition.addStage(stage)
+    const league = new League(stage, 'L', MatchType.CONTINUOUS, false)
+    stage.addGroup(league)
+    const leagueConfig = new LeagueConfig(league)
+    league.setLeagueConfig(leagueConfig)
+    leagueConfig.setOrdering(['PTS'])
+    leagueConfig.setPoints(new LeagueConfigPoints(leagueConfig))
+    const match = new GroupMatch(league, 'M1')
+    match.setHomeTeam(new MatchTeam(match, 'TA')).setAwayTeam(new MatchTeam(match, 'TB'))
+    league.addMatch(match)
+
+    assert.equal(competition.getTeamDisplayName('TA'), 'Team A')
+    assert.equal(competition.getTeamDisplayName('{S:L:league:1}'), '1st in L')
+    assert.equal(competition.getTeamDisplayName('{S:L:league:2}'), '2nd in L')
+    assert.equal(competition.getTeamDisplayName('{S:L:league:3}'), '3rd in L')
+    assert.equal(competition.getTeamDisplayName('{S:L:league:11}'), '11th in L')
+    assert.equal(competition.getTeamDisplayName('{S:L:league:22}'), '22nd in L')
+    assert.equal(competition.getTeamDisplayName('{S:L:M1:winner}'), 'Winner of M1')
+    assert.equal(competition.getTeamDisplayName('{S:L:M1:loser}'), 'Loser of M1')
+    assert.equal(competition.getTeamDisplayName('{S:L:league:1}=={S:L:league:2}?{S:L:M1:winner}:{S:L:league:2}'), 'Winner of M1 or 2nd in L')
+    assert.equal(competition.getTeamDisplayName('{S:L:league:1}=={S:L:league:2}?TA'), CompetitionTeam.UNKNOWN_TEAM_NAME)
+    assert.equal(competition.getTeamDisplayName('{X:L:league:1}'), CompetitionTeam.UNKNOWN_TEAM_NAME)
+    assert.equal(competition.getTeamDisplayName('{S:X:league:1}'), CompetitionTeam.UNKNOWN_TEAM_NAME)
+    assert.equal(competition.getTeamDisplayName('NO-SUCH-TEAM'), CompetitionTeam.UNKNOWN_TEAM_NAME)
+
+    league.setName('Pool A')
+    assert.equal(competition.getTeamDisplayName('{S:L:league:1}'), '1st in Pool A')
+  })
+
+  it('testCompetitionWithHypotheticalResults', async () => {
+    const competitionJSON = await readFile(new URL(path.join('competitions', 'competition-hypothetical.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+    const original = competition.serialize()
+    const leagueResult = { stage: 'L', group: 'LG', match: 'LG3', homeTeamScores: [25], awayTeamScores: [20], complete: true }
+
+    const leagueOnly = await competition.withHypotheticalResults([leagueResult])
+    assert.notEqual(leagueOnly, competition)
+    assert.deepEqual(leagueOnly.getStage('L').getGroup('LG').getLeagueTable().entries.map(entry => entry.getTeamID()), ['TM1', 'TM2', 'TM3'])
+    assert.equal(leagueOnly.getTeam('{L:LG:league:1}').getID(), 'TM1')
+    assert.equal(leagueOnly.getTeam('{F:KO:F1:winner}').getID(), CompetitionTeam.UNKNOWN_TEAM_ID)
+
+    // The away team in the final is second in the league, so the play-off is between the teams finishing first and third
+    const withFinal = await competition.withHypotheticalResults([
+      leagueResult,
+      { stage: 'F', group: 'KO', match: 'F1', homeTeamScores: [18], awayTeamScores: [25], complete: true }
+    ])
+    assert.equal(withFinal.getTeam('{F:KO:F1:winner}').getID(), 'TM2')
+    assert.equal(withFinal.getTeam('{F:KO:F1:loser}').getID(), 'TM1')
+    assert.equal(withFinal.getTeam(withFinal.getStage('P').getGroup('PO').getMatch('P1').getHomeTeam().getID()).getID(), 'TM1')
+    assert.equal(withFinal.getTeam('{L:LG:league:3}').getID(), 'TM3')
+
+    // A different league result changes who is in the final, and so who is in the play-off
+    const upset = await competition.withHypotheticalResults([
+      { stage: 'L', group: 'LG', match: 'LG3', homeTeamScores: [20], awayTeamScores: [25], complete: true },
+      { stage: 'F', group: 'KO', match: 'F1', homeTeamScores: [18], awayTeamScores: [25], complete: true }
+    ])
+    assert.deepEqual(upset.getStage('L').getGroup('LG').getLeagueTable().entries.map(entry => entry.getTeamID()), ['TM2', 'TM1', 'TM3'])
+    assert.equal(upset.getTeam('{F:KO:F1:winner}').getID(), 'TM1')
+    assert.equal(upset.getTeam(upset.getStage('P').getGroup('PO').getMatch('P1').getHomeTeam().getID()).getID(), 'TM2')
+
+    // Hypothetical results can build on each other
+    const chained = await leagueOnly.withHypotheticalResults([{ stage: 'F', group: 'KO', match: 'F1', homeTeamScores: [25], awayTeamScores: [18], complete: true }])
+    assert.equal(chained.getTeam('{F:KO:F1:winner}').getID(), 'TM1')
+    assert.equal(leagueOnly.getStage('F').getGroup('KO').getMatch('F1').isComplete(), false)
+
+    // The original competition is unaffected
+    assert.deepEqual(competition.serialize(), original)
+    assert.equal(competition.getStage('L').getGroup('LG').getMatch('LG3').isComplete(), false)
+    assert.equal(competition.getTeam('{L:LG:league:1}').getID(), CompetitionTeam.UNKNOWN_TEAM_ID)
+  })
+
+  it('testCompetitionWithHypotheticalResultsInvalid', async () => {
+    const competitionJSON = await readFile(new URL(path.join('competitions', 'competition-hypothetical.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+
+    await assert.rejects(async () => {
+      await competition.withHypotheticalResults([{ stage: 'L', group: 'LG', match: 'LG9', homeTeamScores: [25], awayTeamScores: [20], complete: true }])
+    }, {
+      message: 'Match with ID LG9 not found'
+    })
+    await assert.rejects(async () => {
+      await competition.withHypotheticalResults([{ stage: 'L', group: 'LG', match: 'LG3', homeTeamScores: [25], awayTeamScores: [25], complete: true }])
+    }, {
+      message: 'Invalid score: draws not allowed in this group'
+    })
+    await assert.rejects(async () => {
+      await competition.withHypotheticalResults([{ stage: 'L', group: 'LG', match: 'LG3', homeTeamScores: [25], awayTeamScores: [20] }])
+    }, {
+      message: 'Invalid score: match type is continuous, but the match completeness is not set'
+    })
+    assert.equal(competition.getStage('L').getGroup('LG').getMatch('LG3').isComplete(), false)
+  })
+
+  it('testCompetitionCloneAndEquals', async () => {
+    const competitionJSON = await readFile(new URL(path.join('competitions', 'competition-half-done-with-references.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+    const clone = competition.clone()
+
+    assert.notEqual(clone, competition)
+    assert(clone.equals(competition))
+    assert(competition.equals(clone))
+    assert.deepEqual(clone.serialize(), competition.serialize())
+    assert.equal(clone.getVersion(), competition.getVersion())
+    assert.deepEqual(clone.getAppliedMigrations(), competition.getAppliedMigrations())
+
+    // The clone has its own entities and lookups, which point back to the clone
+    assert.notEqual(clone.getTeam('TM1'), competition.getTeam('TM1'))
+    assert.equal(clone.getTeam('TM1').getCompetition(), clone)
+    assert.equal(clone.getStage('Divisions').getCompetition(), clone)
+    assert.equal(clone.getTeam('{Pools:Pool 1:league:1}').getID(), competition.getTeam('{Pools:Pool 1:league:1}').getID())
+    assert.equal(clone.getTeam('{Pools:Pool 1:league:1}'), clone.getTeam(competition.getTeam('{Pools:Pool 1:league:1}').getID()))
+
+    // Changing the clone does not change the original
+    clone.getStage('Divisions').getGroup('Division 1').getMatch('D1M1').setScores([25], [20], true)
+    assert.equal(competition.getStage('Divisions').getGroup('Division 1').getMatch('D1M1').isComplete(), false)
+    assert(!clone.equals(competition))
+
+    const renamed = competition.clone()
+    renamed.getTeam('TM1').setName('Renamed VC')
+    assert.equal(competition.getTeam('TM1').getName(), 'Alice VC')
+    assert(!renamed.equals(competition))
+
+    assert(!competition.equals(null))
+    assert(!competition.equals(competition.serialize()))
+    assert(new Competition('New').equals(new Competition('New').clone()))
+  })
+
+  it('testCompetitionMerge', async () => {
+    const loadMergeCompetition = async version => {
+      const competitionJSON = await readFile(new URL(path.join('competitions', `competition-merge-${version}.json`), import.meta.url), { encoding: 'utf8' })
+      return Competition.loadFromCompetitionJSON(competitionJSON)
+    }
+    const base = await loadMergeCompetition('base')
+    const ours = await loadMergeCompetition('ours')
+    const theirs = await loadMergeCompetition('theirs')
+
+    const { competition, conflicts } = await Competition.merge(base, ours, theirs)
+    assert.deepEqual(conflicts, [
+      { target: { key: 'season' }, field: null, base: null, ours: { key: 'season', value: '2025' }, theirs: { key: 'season', value: '2024' } },
+      { target: { team: 'TM5' }, field: null, base: { id: 'TM5', name: 'Erin VC' }, ours: null, theirs: { id: 'TM5', name: 'Erin VC', notes: 'Withdrawn' } },
+      {
+        target: { player: 'P2' },
+        field: null,
+        base: { id: 'P2', name: 'Bobby Bobs', teams: [{ id: 'TM2' }] },
+        ours: { id: 'P2', name: 'Bobby Bobs', teams: [{ id: 'TM2' }], number: 9 },
+        theirs: null
+      },
+      { target: { team: 'TM1' }, field: 'name', base: 'Alice VC', ours: 'Alice Volleyball', theirs: 'Alice Club' },
+      {
+        target: { stage: 'S', group: 'A', match: 'A2' },
+        field: 'result',
+        base: { complete: false, 'homeTeam.scores': [], 'awayTeam.scores': [] },
+        ours: { complete: true, 'homeTeam.scores': [25], 'awayTeam.scores': [18] },
+        theirs: { complete: true, 'homeTeam.scores': [25], 'awayTeam.scores': [19] }
+      }
+    ])
+
+    // Unresolved conflicts keep the value from "ours", and every other edit from both copies is merged
+    assert.equal(competition.getMetadataByKey('season'), '2025')
+    assert.equal(competition.getTeam('TM1').getName(), 'Alice Volleyball')
+    assert(!competition.hasTeam('TM5'))
+    assert.deepEqual(competition.getTeams().map(team => team.getID()), ['TM1', 'TM2', 'TM3', 'TM4', 'TM6'])
+    assert.equal(competition.getPlayer('P1').getNotes(), 'captain')
+    assert.deepEqual(competition.getPlayers().map(player => player.getID()), ['P1', 'P2'])
+    assert.equal(competition.getPlayer('P2').getNumber(), 9)
+    assert(!competition.hasStage('X'))
+    const pool = competition.getStage('S').getGroup('A')
+    assert.deepEqual(pool.getMatch('A1').getAwayTeam().getScores(), [20])
+    assert.deepEqual(pool.getMatch('A2').getAwayTeam().getScores(), [18])
+    assert.equal(pool.getMatch('A3').getCourt(), '1')
+    assert.equal(pool.getMatch('A3').getStart(), '10:00')
+    assert.deepEqual(pool.getMatch('A4').getAwayTeam().getScores(), [23])
+    assert.deepEqual(pool.serialize().matches[2], { type: 'break', start: '12:00', name: 'Lunch' })
+
+    // None of the competitions being merged change
+    assert(base.equals(await loadMergeCompetition('base')))
+    assert(ours.equals(await loadMergeCompetition('ours')))
+    assert(theirs.equals(await loadMergeCompetition('theirs')))
+
+    const resolved = await Competition.merge(base, ours, theirs, async conflict => conflict.theirs)
+    assert.deepEqual(resolved.conflicts, [])
+    assert.equal(resolved.competition.getMetadataByKey('season'), '2024')
+    assert.equal(resolved.competition.getTeam('TM1').getName(), 'Alice Club')
+    assert.deepEqual(resolved.competition.getTeams().map(team => team.getID()), ['TM1', 'TM2', 'TM3', 'TM4', 'TM5', 'TM6'])
+    assert.equal(resolved.competition.getTeam('TM5').getNotes(), 'Withdrawn')
+    assert(!resolved.competition.hasPlayer('P2'))
+    assert.deepEqual(resolved.competition.getStage('S').getGroup('A').getMatch('A2').getAwayTeam().getScores(), [19])
+
+    // A result is resolved as a whole, and resolving it as null keeps the result from the base
+    const baseResult = await Competition.merge(base, ours, theirs, conflict => conflict.field === 'result' ? null : undefined)
+    assert(!baseResult.competition.getStage('S').getGroup('A').getMatch('A2').isComplete())
+    assert.deepEqual(baseResult.competition.getStage('S').getGroup('A').getMatch('A2').getHomeTeam().getScores(), [])
+
+    // Only the field conflicts are resolved here, and removing the conflicting metadata leaves the competition without any
+    const partial = await Competition.merge(base, ours, theirs, conflict => conflict.field === null ? undefined : conflict.theirs)
+    assert.deepEqual(partial.conflicts.map(conflict => conflict.target), [{ key: 'season' }, { team: 'TM5' }, { player: 'P2' }])
+    const removed = await Competition.merge(base, ours, theirs, conflict => conflict.field === null ? null : conflict.ours)
+    assert(!removed.competition.hasMetadata())
+    assert(!removed.competition.hasTeam('TM5'))
+    assert.equal(removed.competition.getTeam('TM1').getName(), 'Alice Volleyball')
+
+    // Merging a copy with itself gives the same competition
+    const same = await Competition.merge(base, ours, ours)
+    assert.deepEqual(same.conflicts, [])
+    assert(same.competition.equals(ours))
+
+    // Breaks changed differently in both copies conflict, and a break stays after the match it followed
+    const editPool = async change => {
+      const competitionData = base.serialize()
+      change(competitionData.stages[0].groups[0].matches)
+      return Competition.loadFromCompetitionJSON(JSON.stringify(competitionData))
+    }
+    const renamed = await editPool(matches => { matches[2].name = 'Dinner' })
+    const withoutA2 = await editPool(matches => { matches.splice(1, 1) })
+    const poolItems = competition => competition.getStage('S').getGroup('A').serialize().matches.map(item => item.id ?? item.name)
+    const breaks = await Competition.merge(base, renamed, withoutA2)
+    assert.deepEqual(breaks.conflicts, [{
+      target: { stage: 'S', group: 'A' },
+      field: 'breaks',
+      base: [{ after: 'A2', break: { type: 'break', name: 'Lunch' } }],
+      ours: [{ after: 'A2', break: { type: 'break', name: 'Dinner' } }],
+      theirs: [{ after: 'A1', break: { type: 'break', name: 'Lunch' } }]
+    }])
+    assert.deepEqual(poolItems(breaks.competition), ['A1', 'A3', 'A4', 'Dinner'])
+    assert.deepEqual(poolItems((await Competition.merge(base, renamed, withoutA2, conflict => conflict.theirs)).competition), ['A1', 'Lunch', 'A3', 'A4'])
+    assert.deepEqual(poolItems((await Competition.merge(base, renamed, withoutA2, conflict => null)).competition), ['A1', 'A3', 'A4'])
+    assert.deepEqual(poolItems((await Competition.merge(base, base, renamed)).competition), ['A1', 'A2', 'Dinner', 'A3', 'A4'])
+
+    // Scoring a match in one copy and completing it with the same scores in the other conflicts over its completeness
+    const scored = await editPool(matches => { matches[1].homeTeam.scores = [25]; matches[1].awayTeam.scores = [20] })
+    const completed = await editPool(matches => { matches[1].homeTeam.scores = [25]; matches[1].awayTeam.scores = [20]; matches[1].complete = true })
+    assert.deepEqual((await Competition.merge(base, scored, completed)).conflicts, [{
+      target: { stage: 'S', group: 'A', match: 'A2' },
+      field: 'result',
+      base: { 'homeTeam.scores': [], 'awayTeam.scores': [], complete: false },
+      ours: { 'homeTeam.scores': [25], 'awayTeam.scores': [20], complete: false },
+      theirs: { 'homeTeam.scores': [25], 'awayTeam.scores': [20], complete: true }
+    }])
+  })
+
+  it('testCompetitionEvents', async () => {
+    const competitionJSON = await readFile(new URL(path.join('competitions', 'competition-events.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+    const events = []
+    const listener = event => events.push(event)
+    Object.values(CompetitionEventType).forEach(type => competition.on(type, listener))
+    assert(competition.hasListeners(CompetitionEventType.MATCH_COMPLETED))
+
+    const pool2 = competition.getStage('Pools').getGroup('Pool 2')
+    const match = pool2.getMatch('P2M6')
+    match.setScores([34], [28], true)
+    assert.deepEqual(events.map(event => event.type), [
+      CompetitionEventType.MATCH_SCORE_CHANGED,
+      CompetitionEventType.MATCH_COMPLETED,
+      CompetitionEventType.LEAGUE_TABLE_UPDATED,
+      CompetitionEventType.GROUP_COMPLETED,
+      CompetitionEventType.STAGE_COMPLETED,
+      CompetitionEventType.TEAM_RESOLVED,
+      CompetitionEventType.TEAM_RESOLVED,
+      CompetitionEventType.TEAM_RESOLVED,
+      CompetitionEventType.TEAM_RESOLVED
+    ])
+    assert.equal(events[0].match, match)
+    assert.equal(events[1].match, match)
+    assert.equal(events[2].group, pool2)
+    assert.equal(events[2].table, pool2.getLeagueTable())
+    assert.equal(events[3].group, pool2)
+    assert.equal(events[4].stage, competition.getStage('Pools'))
+    assert.equal(events[5].reference, '{Pools:Pool 2:league:1}')
+    assert.equal(events[5].team, competition.getTeam('TM7'))
+
+    // Changing the score of a complete match does not complete anything again
+    events.length = 0
+    match.setScores([34], [30], true)
+    assert.deepEqual(events.map(event => event.type), [CompetitionEventType.MATCH_SCORE_CHANGED, CompetitionEventType.LEAGUE_TABLE_UPDATED])
+
+    events.length = 0
+    match.setComplete(false)
+    assert.deepEqual(events.map(event => event.type), [CompetitionEventType.LEAGUE_TABLE_UPDATED])
+    match.setComplete(true)
+    assert.deepEqual(events.map(event => event.type).slice(1, 5), [
+      CompetitionEventType.MATCH_COMPLETED,
+      CompetitionEventType.LEAGUE_TABLE_UPDATED,
+      CompetitionEventType.GROUP_COMPLETED,
+      CompetitionEventType.STAGE_COMPLETED
+    ])
+
+    events.length = 0
+    competition.getTeam('TM1').setName('Team One')
+    competition.getTeam('TM1').setName('Team One')
+    assert.deepEqual(events, [{ type: CompetitionEventType.TEAM_RENAMED, team: competition.getTeam('TM1'), previousName: 'Alice VC' }])
+
+    // Events are not emitted to removed listeners, or when nothing is listening for the results
+    events.length = 0
+    Object.values(CompetitionEventType).forEach(type => competition.off(type, listener))
+    competition.off('unknownEvent', listener)
+    assert.equal(competition.hasListeners(CompetitionEventType.MATCH_COMPLETED), false)
+    competition.getStage('Divisions').getGroup('Division 1').getMatch('D1M2').setScores([25], [20], true)
+    competition.getTeam('TM1').setName('Alice VC')
+    assert.deepEqual(events, [])
+  })
 })
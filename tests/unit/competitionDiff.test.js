@@ -0,0 +1,201 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { readFile } from 'node:fs/promises'
+import path from 'node:path'
+
+import { Competition, CompetitionChangeType, CompetitionDiff } from '../../src/index.js'
+
+async function loadCompetition (file) {
+  const competitionJSON = await readFile(new URL(path.join('diff', file), import.meta.url), { encoding: 'utf8' })
+  return Competition.loadFromCompetitionJSON(competitionJSON)
+}
+
+describe('competitionDiff', () => {
+  it('testCompetitionDiffChanges', async () => {
+    const before = await loadCompetition('before.json')
+    const after = await loadCompetition('after.json')
+    const changes = new CompetitionDiff(before, after).getChanges()
+
+    assert.deepEqual(changes.map(change => change.type), [
+      CompetitionChangeType.COMPETITION_CHANGED,
+      CompetitionChangeType.METADATA_REMOVED,
+      CompetitionChangeType.METADATA_ADDED,
+      CompetitionChangeType.METADATA_CHANGED,
+      CompetitionChangeType.CLUB_ADDED,
+      CompetitionChangeType.CLUB_CHANGED,
+      CompetitionChangeType.TEAM_REMOVED,
+      CompetitionChangeType.TEAM_ADDED,
+      CompetitionChangeType.TEAM_RENAMED,
+      CompetitionChangeType.TEAM_CHANGED,
+      CompetitionChangeType.PLAYER_REMOVED,
+      CompetitionChangeType.PLAYER_ADDED,
+      CompetitionChangeType.PLAYER_MOVED_TEAM,
+      CompetitionChangeType.PLAYER_MOVED_TEAM,
+      CompetitionChangeType.PLAYER_CHANGED,
+      CompetitionChangeType.PLAYER_MOVED_TEAM,
+      CompetitionChangeType.STAGE_REMOVED,
+      CompetitionChangeType.STAGE_ADDED,
+      CompetitionChangeType.STAGE_CHANGED,
+      CompetitionChangeType.GROUP_CHANGED,
+      CompetitionChangeType.MATCH_REMOVED,
+      CompetitionChangeType.MATCH_ADDED,
+      CompetitionChangeType.MATCH_SCORE_CHANGED,
+      CompetitionChangeType.MATCH_RESCHEDULED,
+      CompetitionChangeType.MATCH_OFFICIALS_CHANGED,
+      CompetitionChangeType.MATCH_SCORE_CHANGED,
+      CompetitionChangeType.MATCH_OFFICIALS_CHANGED,
+      CompetitionChangeType.MATCH_CHANGED,
+      CompetitionChangeType.GROUP_REMOVED,
+      CompetitionChangeType.GROUP_ADDED
+    ])
+
+    assert.deepEqual(changes[0].target, {})
+    assert.deepEqual(changes[0].before, { name: 'Diff Cup', notes: null })
+    assert.deepEqual(changes[0].after, { name: 'Diff Cup 2025', notes: 'Moved to the new hall' })
+
+    const teamAdded = changes[7]
+    assert.deepEqual(teamAdded.target, { team: 'TM6' })
+    assert.equal(teamAdded.before, null)
+    assert.deepEqual(teamAdded.after, { id: 'TM6', name: 'Frank VC', club: 'EAS' })
+    assert.equal(teamAdded.index, 4)
+
+    const playerMoved = changes[12]
+    assert.deepEqual(playerMoved.target, { player: 'P1' })
+    assert.deepEqual(playerMoved.before, { teams: [{ id: 'TM1' }] })
+    assert.deepEqual(playerMoved.after, { teams: [{ id: 'TM2' }] })
+
+    const scoreChanged = changes[22]
+    assert.deepEqual(scoreChanged.target, { stage: 'S', group: 'A', match: 'A1' })
+    assert.deepEqual(scoreChanged.before, { complete: false, 'homeTeam.scores': [], 'awayTeam.scores': [] })
+    assert.deepEqual(scoreChanged.after, { complete: true, 'homeTeam.scores': [25], 'awayTeam.scores': [20] })
+
+    const rescheduled = changes[23]
+    assert.deepEqual(rescheduled.before, { court: '1', start: '09:30' })
+    assert.deepEqual(rescheduled.after, { court: '2', start: '09:45' })
+
+    // The added match's index counts the break before it
+    assert.equal(changes[21].index, 5)
+  })
+
+  it('testCompetitionDiffChangelog', async () => {
+    const before = await loadCompetition('before.json')
+    const after = await loadCompetition('after.json')
+
+    assert.equal(new CompetitionDiff(before, after).toChangelog(), [
+      'Competition changed: name from "Diff Cup" to "Diff Cup 2025", notes from none to "Moved to the new hall"',
+      'Metadata "region" removed',
+      'Metadata "level" added',
+      'Metadata "season" changed from "2024" to "2025"',
+      'Club "Eastleigh" (EAS) added',
+      'Club "Southampton Volleyball" (SOU) changed: name from "Southampton" to "Southampton Volleyball"',
+      'Team "Erin VC" (TM5) removed',
+      'Team "Frank VC" (TM6) added',
+      'Team TM1 renamed from "Alice VC" to "Alice Volleyball"',
+      'Team "Bob VC" (TM2) changed: notes from none to "New kit"',
+      'Player "Emma Emerson" (P5) removed',
+      'Player "Fiona Fisher" (P6) added',
+      'Player "Alice Alison" (P1) moved from TM1 to TM2',
+      'Player "Bobby Bobs" (P2) team entries changed',
+      'Player "Charlie Charleston" (P3) changed: number from 7 to 8',
+      'Player "Dave Davidson" (P4) moved from no team to TM3',
+      'Stage Y removed',
+      'Stage Z added',
+      'Stage S changed: name from "Pools" to "Pool Stage", description changed',
+      'Group {S:A} changed: name from "Pool A" to "Group A"',
+      'Match {S:A:A3} removed',
+      'Match {S:A:A6} added',
+      'Match {S:A:A1} score changed from no score to 25-20',
+      'Match {S:A:A2} rescheduled: court from "1" to "2", start from "09:30" to "09:45"',
+      'Match {S:A:A2} officials changed from team TM1 to Anna Ref and Ben Ref',
+      'Match {S:A:A4} result changed: complete from false to true',
+      'Match {S:A:A5} officials changed from none to Anna Ref',
+      'Match {S:A:A5} changed: notes from none to "Televised"',
+      'Group {X:XG} removed',
+      'Group {X:XH} added'
+    ].join('\n'))
+  })
+
+  it('testCompetitionDiffNoChanges', async () => {
+    const competitionJSON = await readFile(new URL(path.join('competitions', 'competition-hypothetical.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+
+    const diff = new CompetitionDiff(competition, competition.clone())
+    assert.deepEqual(diff.getChanges(), [])
+    assert.equal(diff.toChangelog(), '')
+  })
+
+  it('testCompetitionDiffApply', async () => {
+    const before = await loadCompetition('before.json')
+    const after = await loadCompetition('after.json')
+
+    const patched = await CompetitionDiff.apply(before, new CompetitionDiff(before, after).getChanges())
+    assert(patched.equals(after))
+    assert(before.equals(await loadCompetition('before.json')))
+
+    // Applying the reverse changes gets back to the original, including removing the lists that end up empty
+    const reverted = await CompetitionDiff.apply(patched, new CompetitionDiff(after, before).getChanges())
+    assert(reverted.equals(before))
+
+    const emptied = await CompetitionDiff.apply(before, [
+      { type: CompetitionChangeType.METADATA_REMOVED, target: { key: 'season' }, before: null, after: null },
+      { type: CompetitionChangeType.METADATA_REMOVED, target: { key: 'region' }, before: null, after: null }
+    ])
+    assert.equal(emptied.hasMetadata(), false)
+
+    // Adding to lists that the competition does not have yet creates them
+    const competitionJSON = await readFile(new URL(path.join('competitions', 'competition-hypothetical.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+    const additions = new CompetitionDiff(before, after).getChanges().filter(change => [
+      CompetitionChangeType.METADATA_ADDED,
+      CompetitionChangeType.CLUB_ADDED,
+      CompetitionChangeType.PLAYER_ADDED
+    ].includes(change.type))
+    const added = await CompetitionDiff.apply(competition, additions)
+    assert.equal(added.getMetadataByKey('level'), '3')
+    assert.equal(added.getClub('EAS').getName(), 'Eastleigh')
+    assert.equal(added.getPlayer('P6').getName(), 'Fiona Fisher')
+  })
+
+  it('testCompetitionDiffApplyInvalid', async () => {
+    const before = await loadCompetition('before.json')
+    const after = await loadCompetition('after.json')
+    const changes = new CompetitionDiff(before, after).getChanges()
+
+    await assert.rejects(CompetitionDiff.apply(after, changes.slice(0, 1)), {
+      message: 'Cannot apply change: competition has name "Diff Cup 2025", expected "Diff Cup"'
+    })
+    await assert.rejects(CompetitionDiff.apply(after, changes.filter(change => change.type === CompetitionChangeType.METADATA_ADDED)), {
+      message: 'Cannot apply change: metadata "level" already exists'
+    })
+    await assert.rejects(CompetitionDiff.apply(after, changes.filter(change => change.type === CompetitionChangeType.CLUB_CHANGED)), {
+      message: 'Cannot apply change: club SOU has name "Southampton Volleyball", expected "Southampton"'
+    })
+    await assert.rejects(CompetitionDiff.apply(after, changes.filter(change => change.type === CompetitionChangeType.TEAM_REMOVED)), {
+      message: 'Cannot apply change: team TM5 not found'
+    })
+    await assert.rejects(CompetitionDiff.apply(after, changes.filter(change => change.type === CompetitionChangeType.PLAYER_REMOVED)), {
+      message: 'Cannot apply change: player P5 not found'
+    })
+    await assert.rejects(CompetitionDiff.apply(after, changes.filter(change => change.type === CompetitionChangeType.STAGE_ADDED)), {
+      message: 'Cannot apply change: stage Z already exists'
+    })
+    await assert.rejects(CompetitionDiff.apply(after, changes.filter(change => change.type === CompetitionChangeType.GROUP_REMOVED)), {
+      message: 'Cannot apply change: group {X:XG} not found'
+    })
+    await assert.rejects(CompetitionDiff.apply(after, changes.filter(change => change.type === CompetitionChangeType.MATCH_REMOVED)), {
+      message: 'Cannot apply change: match {S:A:A3} not found'
+    })
+    await assert.rejects(CompetitionDiff.apply(before, [{ ...changes[22], target: { stage: 'Q', group: 'A', match: 'A1' } }]), {
+      message: 'Cannot apply change: stage Q not found'
+    })
+    await assert.rejects(CompetitionDiff.apply(before, [{ ...changes[22], target: { stage: 'S', group: 'Q', match: 'A1' } }]), {
+      message: 'Cannot apply change: group {S:Q} not found'
+    })
+    await assert.rejects(CompetitionDiff.apply(before, [{ ...changes[22], target: { stage: 'S', group: 'A', match: 'A3' } }]), {
+      message: 'Cannot apply change: match {S:A:A3} has complete true, expected false'
+    })
+    await assert.rejects(CompetitionDiff.apply(before, [{ ...changes[24], after: { officials: { team: 'TM9' } } }]), {
+      message: 'Invalid team ID for officials in match with ID "A2"'
+    })
+  })
+})
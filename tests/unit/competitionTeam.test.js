@@ -220,4 +220,16 @@ describe('competitionTeam', () => {
       message: 'Invalid team ID: must contain only ASCII printable characters excluding " : { } ? ='
     })
   })
+
+  it('testCompetitionTeamEquals', () => {
+    const competition = new Competition('test competition')
+    competition.addTeam(new CompetitionTeam(competition, 'T1', 'team 1'))
+    const clone = competition.clone()
+
+    assert(competition.getTeam('T1').equals(clone.getTeam('T1')))
+    assert(competition.getTeam('T1').equals(new CompetitionTeam(new Competition('other competition'), 'T1', 'team 1')))
+    assert(!competition.getTeam('T1').equals(new Player(competition, 'T1', 'team 1')))
+    clone.getTeam('T1').setName('team one')
+    assert(!competition.getTeam('T1').equals(clone.getTeam('T1')))
+  })
 })
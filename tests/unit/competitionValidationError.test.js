@@ -0,0 +1,172 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { readFile } from 'node:fs/promises'
+import path from 'node:path'
+
+import { Competition, CompetitionValidationError } from '../../src/index.js'
+
+function league (matches) {
+  return {
+    id: 'LG',
+    type: 'league',
+    matchType: 'continuous',
+    league: { ordering: ['PTS'], points: {} },
+    matches
+  }
+}
+
+function match (id, homeTeam, awayTeam, officials = null) {
+  const matchData = { id, type: 'match', homeTeam: { id: homeTeam, scores: [] }, awayTeam: { id: awayTeam, scores: [] }, complete: false }
+  if (officials !== null) {
+    matchData.officials = { team: officials }
+  }
+  return matchData
+}
+
+async function loadIssue (competitionData, issueCount = 1) {
+  let error = null
+  try {
+    await Competition.loadFromCompetitionJSON(JSON.stringify(competitionData))
+  } catch (err) {
+    error = err
+  }
+  assert(error instanceof CompetitionValidationError)
+  assert.equal(error.getIssues().length, issueCount)
+  return error
+}
+
+const TEAMS = [{ id: 'TM1', name: 'Alice VC' }, { id: 'TM2', name: 'Bob VC' }, { id: 'TM3', name: 'Charlie VC' }]
+
+describe('competitionValidationError', () => {
+  it('testCompetitionValidationErrorSchemaIssues', async () => {
+    const competitionJSON = await readFile(new URL(path.join('validation', 'schema-errors.json'), import.meta.url), { encoding: 'utf8' })
+    await assert.rejects(async () => {
+      await Competition.loadFromCompetitionJSON(competitionJSON)
+    },
+    err => {
+      assert(err instanceof CompetitionValidationError)
+      assert(err instanceof Error)
+      assert.equal(err.name, 'CompetitionValidationError')
+      assert.match(err.message, /^Competition data failed schema validation:\n\[#\/required\] \[\] must have required property 'name'\n/)
+
+      const issues = err.getIssues()
+      assert.equal(issues.length, 13)
+      assert.equal(err.message.split('\n').length, issues.length + 2)
+
+      assert.equal(issues[0].pointer, '')
+      assert.equal(issues[0].schemaPath, '#/required')
+      assert.equal(issues[0].suggestion, 'Add the "name" property')
+
+      assert.deepEqual(issues.slice(1).map(issue => [issue.pointer, issue.value, issue.suggestion]), [
+        ['/metadata', [], 'Use a list whose length is at least 1'],
+        ['/notes', 5, 'Use a value of type string'],
+        ['/teams/0/id', 'TM:1', 'Use a value matching the pattern ^((?![":{}?=])[\\x20-\\x7F])+$'],
+        ['/teams/0/name', '', 'Use a value whose length is at least 1'],
+        ['/teams/1/contacts/0/roles/0', 'captian', 'Did you mean "captain"?'],
+        ['/players/0', { id: 'P1', name: 'Alice', shirt: 7, number: 0, teams: [{ id: 'TM2', from: 'not-a-date', to: '2024-01-01' }] }, 'Remove the "shirt" property'],
+        ['/players/0/number', 0, 'Use a value of at least 1'],
+        ['/players/0/teams/0', { id: 'TM2', from: 'not-a-date', to: '2024-01-01' }, 'Remove the "to" property'],
+        ['/players/0/teams/0/from', 'not-a-date', 'Use a value in the "date" format'],
+        ['/stages/0/id', 'L'.repeat(101), 'Use a value whose length is at most 100'],
+        ['/stages/0/groups/0/type', 'leage', 'Did you mean "league"?'],
+        ['/stages/0/groups/0/matchType', 'rounds', 'Use one of "sets", "continuous"']
+      ])
+      assert.deepEqual(issues[5], {
+        pointer: '/teams/1/contacts/0/roles/0',
+        schemaPath: '#/properties/teams/items/properties/contacts/items/properties/roles/items/enum',
+        message: 'must be equal to one of the allowed values',
+        value: 'captian',
+        suggestion: 'Did you mean "captain"?'
+      })
+      return true
+    })
+  })
+
+  it('testCompetitionValidationErrorSchemaSuggestions', async () => {
+    const error = await loadIssue({ name: 'Suggestions', teams: [{ id: 'TM1', name: 'Alice VC', contacts: [{ id: 'C1', roles: ['Medic'] }] }], stages: [] })
+    assert.equal(error.getIssues()[0].suggestion, 'Did you mean "medic"?')
+
+    const numberError = await loadIssue({ name: 'Suggestions', teams: [{ id: 'TM1', name: 'Alice VC', contacts: [{ id: 'C1', roles: [1] }] }], stages: [] }, 2)
+    assert.deepEqual(numberError.getIssues().map(issue => [issue.pointer, issue.suggestion]), [
+      ['/teams/0/contacts/0/roles/0', 'Use a value of type string'],
+      ['/teams/0/contacts/0/roles/0', 'Use one of "secretary", "treasurer", "manager", "captain", "coach", "assistantCoach", "medic"']
+    ])
+
+    const groupData = { id: 'LG', type: 'league', matchType: 'continuous', matches: [] }
+    const conditionalError = await loadIssue({ name: 'Suggestions', teams: [], stages: [{ id: 'L', groups: [groupData] }] }, 2)
+    assert.deepEqual(conditionalError.getIssues().map(issue => [issue.pointer, issue.value, issue.suggestion]), [
+      ['/stages/0/groups/0', groupData, 'Add the "league" property'],
+      ['/stages/0/groups/0', groupData, null]
+    ])
+  })
+
+  it('testCompetitionValidationErrorDocumentIssues', async () => {
+    await assert.rejects(async () => {
+      await Competition.loadFromCompetitionJSON('{"name": ')
+    },
+    err => {
+      assert(err instanceof CompetitionValidationError)
+      assert.equal(err.message, 'Document does not contain valid JSON')
+      assert.equal(err.getIssues()[0].pointer, '')
+      assert.equal(err.getIssues()[0].schemaPath, null)
+      assert.equal(err.getIssues()[0].value, '{"name": ')
+      return true
+    })
+
+    const error = await loadIssue({ version: '0.0.1', name: 'Old', teams: [], stages: [] })
+    assert.equal(error.message, 'Document version 0.0.1 not supported')
+    assert.deepEqual(error.getIssues(), [{ pointer: '/version', schemaPath: null, message: 'Document version 0.0.1 not supported', value: '0.0.1', suggestion: null }])
+  })
+
+  it('testCompetitionValidationErrorDuplicateIDs', async () => {
+    const teamError = await loadIssue({ name: 'Duplicates', teams: [{ id: 'TM1', name: 'Alice VC' }, { id: 'TM1', name: 'Another Alice VC' }], stages: [] })
+    assert.equal(teamError.message, 'Team with ID "TM1" already exists in the competition')
+    assert.deepEqual(teamError.getIssues(), [{
+      pointer: '/teams/1',
+      schemaPath: null,
+      message: 'Team with ID "TM1" already exists in the competition',
+      value: { id: 'TM1', name: 'Another Alice VC' },
+      suggestion: null
+    }])
+    assert(teamError.cause instanceof Error)
+    assert.equal(teamError.cause.message, teamError.message)
+
+    const metadataError = await loadIssue({ name: 'Duplicates', metadata: [{ key: 'season', value: '2023' }, { key: 'season', value: '2024' }], teams: [], stages: [] })
+    assert.equal(metadataError.getIssues()[0].pointer, '/metadata/1')
+
+    const clubError = await loadIssue({ name: 'Duplicates', clubs: [{ id: 'C1', name: 'Club' }, { id: 'C1', name: 'Club' }], teams: [], stages: [] })
+    assert.equal(clubError.getIssues()[0].pointer, '/clubs/1')
+
+    const playerError = await loadIssue({ name: 'Duplicates', teams: [], players: [{ id: 'P1', name: 'Alice' }, { id: 'P2', name: 'Bob' }, { id: 'P1', name: 'Alice' }], stages: [] })
+    assert.equal(playerError.getIssues()[0].pointer, '/players/2')
+
+    const stageError = await loadIssue({ name: 'Duplicates', teams: TEAMS, stages: [{ id: 'L', groups: [league([])] }, { id: 'L', groups: [league([])] }] })
+    assert.equal(stageError.getIssues()[0].pointer, '/stages/1')
+
+    const groupError = await loadIssue({ name: 'Duplicates', teams: TEAMS, stages: [{ id: 'L', groups: [league([]), league([])] }] })
+    assert.equal(groupError.getIssues()[0].pointer, '/stages/0/groups/1')
+
+    const matchError = await loadIssue({ name: 'Duplicates', teams: TEAMS, stages: [{ id: 'L', groups: [league([match('LG1', 'TM1', 'TM2'), match('LG1', 'TM1', 'TM3')])] }] })
+    assert.equal(matchError.message, 'Group {L:LG}: matches with duplicate IDs {LG1} not allowed')
+    assert.equal(matchError.getIssues()[0].pointer, '/stages/0/groups/0/matches/1')
+    assert.deepEqual(matchError.getIssues()[0].value, match('LG1', 'TM1', 'TM3'))
+
+    const ifUnknownMatches = [
+      { id: 'F1', type: 'match', homeTeam: { id: 'Winner A', scores: [] }, awayTeam: { id: 'Winner B', scores: [] } },
+      { id: 'F1', type: 'match', homeTeam: { id: 'Loser A', scores: [] }, awayTeam: { id: 'Loser B', scores: [] } }
+    ]
+    const ifUnknownError = await loadIssue({ name: 'Duplicates', teams: TEAMS, stages: [{ id: 'L', groups: [league([])], ifUnknown: { description: ['Finals'], matches: ifUnknownMatches } }] })
+    assert.equal(ifUnknownError.getIssues()[0].pointer, '/stages/0/ifUnknown')
+  })
+
+  it('testCompetitionValidationErrorTeamReferences', async () => {
+    const referenceError = await loadIssue({ name: 'References', teams: TEAMS, stages: [{ id: 'L', groups: [league([match('LG1', 'TM1', 'TM2'), match('LG2', 'TM1', '{L:LG:LG9:winner}')])] }] })
+    assert.equal(referenceError.getIssues()[0].pointer, '/stages/0/groups/0/matches/1')
+    assert.equal(referenceError.getIssues()[0].schemaPath, null)
+
+    const officialsError = await loadIssue({ name: 'Officials', teams: TEAMS, stages: [{ id: 'L', groups: [league([match('LG1', 'TM1', 'TM2', 'TM3'), match('LG2', 'TM2', 'TM3', 'TM3')])] }] })
+    assert.equal(officialsError.message, 'Refereeing team (in match {L:LG:LG2}) cannot be the same as one of the playing teams')
+    assert.equal(officialsError.getIssues()[0].pointer, '/stages/0/groups/0/matches/1')
+    assert.deepEqual(officialsError.getIssues()[0].value.officials, { team: 'TM3' })
+  })
+})
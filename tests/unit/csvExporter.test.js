@@ -0,0 +1,141 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { readFile } from 'node:fs/promises'
+import path from 'node:path'
+
+import { Competition, CompetitionTeam, CSVExporter, GroupMatch, Knockout, League, LeagueConfig, LeagueConfigPoints, MatchOfficials, MatchTeam, MatchType, SetConfig, Stage } from '../../src/index.js'
+
+function buildCompetition () {
+  const competition = new Competition('CSV export')
+  competition.addTeam(new CompetitionTeam(competition, 'TA', 'Alice, "The Aces"'))
+    .addTeam(new CompetitionTeam(competition, 'TB', 'Bob VC'))
+    .addTeam(new CompetitionTeam(competition, 'TC', 'Charlie VC'))
+
+  const leagueStage = new Stage(competition, 'L')
+  competition.addStage(leagueStage)
+  const league = new League(leagueStage, 'LG', MatchType.CONTINUOUS, true)
+  leagueStage.addGroup(league)
+  const leagueConfig = new LeagueConfig(league)
+  league.setLeagueConfig(leagueConfig)
+  leagueConfig.setOrdering(['PTS'])
+  leagueConfig.setPoints(new LeagueConfigPoints(leagueConfig))
+
+  const drawnMatch = new GroupMatch(league, 'LG1')
+  drawnMatch.setHomeTeam(new MatchTeam(drawnMatch, 'TA')).setAwayTeam(new MatchTeam(drawnMatch, 'TB'))
+  const referees = new MatchOfficials(drawnMatch, null, 'A Ref')
+  referees.setSecondRef('B Ref')
+  drawnMatch.setOfficials(referees)
+  drawnMatch.setScores([20], [20], true)
+  league.addMatch(drawnMatch)
+
+  const finalStage = new Stage(competition, 'F')
+  competition.addStage(finalStage)
+  const knockout = new Knockout(finalStage, 'KO', MatchType.SETS)
+  knockout.setSetConfig(new SetConfig(knockout))
+  finalStage.addGroup(knockout)
+
+  const playedMatch = new GroupMatch(knockout, 'KO1')
+  playedMatch.setHomeTeam(new MatchTeam(playedMatch, 'TB')).setAwayTeam(new MatchTeam(playedMatch, 'TC')).setOfficials(new MatchOfficials(playedMatch, 'TA'))
+  playedMatch.setScores([25, 18, 15], [20, 25, 10], true)
+  knockout.addMatch(playedMatch)
+
+  const unplayedMatch = new GroupMatch(knockout, 'KO2')
+  unplayedMatch.setHomeTeam(new MatchTeam(unplayedMatch, '{L:LG:league:1}')).setAwayTeam(new MatchTeam(unplayedMatch, '{F:KO:KO1:winner}'))
+  knockout.addMatch(unplayedMatch)
+
+  return competition
+}
+
+describe('csvExporter', () => {
+  it('testCSVExporterMatches', async () => {
+    const competitionJSON = await readFile(new URL(path.join('csv', 'complete-league.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+    const csv = new CSVExporter(competition).exportMatches()
+
+    assert.deepEqual(csv.split('\r\n'), [
+      'stage,group,match,date,start,court,venue,homeTeam,awayTeam,scores,homeSets,awaySets,winner,officials,mvp',
+      'L,LG,LG1,2023-06-21,09:20,1,City Sports Centre,Team 2,Team 4,21-22,,,Team 4,Team 1,A Adams',
+      'L,LG,LG2,2023-06-21,10:20,1,City Sports Centre,Team 1,Team 3,22-24,,,Team 3,Team 2,B Betts',
+      'L,LG,LG3,2023-06-21,11:20,1,City Sports Centre,Team 2,Team 3,23-26,,,Team 3,Team 4,C Crosier',
+      'L,LG,LG4,2023-06-21,13:20,1,City Sports Centre,Team 1,Team 4,24-28,,,Team 4,Team 3,D Dodds',
+      'L,LG,LG5,2023-06-21,14:20,1,City Sports Centre,Team 3,Team 4,25-30,,,Team 4,Team 2,E Edwards',
+      'L,LG,LG6,2023-06-21,15:20,1,City Sports Centre,Team 1,Team 2,26-32,,,Team 2,Team 4,F Franks',
+      ''
+    ])
+  })
+
+  it('testCSVExporterLeagueTables', async () => {
+    const competitionJSON = await readFile(new URL(path.join('csv', 'complete-league.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+    const csv = new CSVExporter(competition).exportLeagueTables()
+
+    assert.deepEqual(csv.split('\r\n'), [
+      'stage,group,position,teamID,team,played,wins,losses,draws,sf,sa,sd,pf,pa,pd,bp,pp,pts',
+      'L,LG,1,TM4,Team 4,3,3,0,0,0,0,0,80,70,10,0,0,9',
+      'L,LG,2,TM3,Team 3,3,2,1,0,0,0,0,75,75,0,0,0,6',
+      'L,LG,3,TM2,Team 2,3,1,2,0,0,0,0,76,74,2,0,0,3',
+      'L,LG,4,TM1,Team 1,3,0,3,0,0,0,0,72,84,-12,0,0,0',
+      ''
+    ])
+  })
+
+  it('testCSVExporterQuotingAndSets', () => {
+    const exporter = new CSVExporter(buildCompetition())
+
+    assert.deepEqual(exporter.exportMatches().split('\r\n'), [
+      'stage,group,match,date,start,court,venue,homeTeam,awayTeam,scores,homeSets,awaySets,winner,officials,mvp',
+      'L,LG,LG1,,,,,"Alice, ""The Aces""",Bob VC,20-20,,,,"A Ref, B Ref",',
+      'F,KO,KO1,,,,,Bob VC,Charlie VC,"25-20, 18-25, 15-10",2,1,Bob VC,"Alice, ""The Aces""",',
+      'F,KO,KO2,,,,,"Alice, ""The Aces""",Bob VC,,,,,,',
+      ''
+    ])
+    assert.deepEqual(exporter.exportLeagueTables().split('\r\n'), [
+      'stage,group,position,teamID,team,played,wins,losses,draws,sf,sa,sd,pf,pa,pd,bp,pp,pts',
+      'L,LG,1,TA,"Alice, ""The Aces""",1,0,0,1,0,0,0,20,20,0,0,0,0',
+      'L,LG,2,TB,Bob VC,1,0,0,1,0,0,0,20,20,0,0,0,0',
+      ''
+    ])
+  })
+
+  it('testCSVExporterDelimiterAndColumns', () => {
+    const exporter = new CSVExporter(buildCompetition(), {
+      delimiter: '\t',
+      matchColumns: ['match', 'homeTeam', 'awayTeam', 'winner'],
+      leagueTableColumns: ['team', 'pts']
+    })
+
+    assert.equal(exporter.exportMatches(), 'match\thomeTeam\tawayTeam\twinner\r\nLG1\t"Alice, ""The Aces"""\tBob VC\t\r\nKO1\tBob VC\tCharlie VC\tBob VC\r\nKO2\t"Alice, ""The Aces"""\tBob VC\t\r\n')
+    assert.equal(exporter.exportLeagueTables(), 'team\tpts\r\n"Alice, ""The Aces"""\t0\r\nBob VC\t0\r\n')
+
+    const competition = buildCompetition()
+    const knockoutMatch = competition.getStage('F').getGroup('KO').getMatch('KO2')
+    knockoutMatch.setOfficials(new MatchOfficials(knockoutMatch, null, 'C Ref'))
+    const semicolonExporter = new CSVExporter(competition, { delimiter: ';', matchColumns: ['match', 'officials'] })
+    assert.equal(semicolonExporter.exportMatches(), 'match;officials\r\nLG1;A Ref, B Ref\r\nKO1;"Alice, ""The Aces"""\r\nKO2;C Ref\r\n')
+  })
+
+  it('testCSVExporterInvalidOptions', () => {
+    const competition = buildCompetition()
+
+    assert.throws(() => {
+      new CSVExporter(competition, { delimiter: '"' })
+    }, {
+      message: 'Invalid delimiter """: must be a single character other than a double quote or a line break'
+    })
+    assert.throws(() => {
+      new CSVExporter(competition, { delimiter: ', ' })
+    }, {
+      message: 'Invalid delimiter ", ": must be a single character other than a double quote or a line break'
+    })
+    assert.throws(() => {
+      new CSVExporter(competition, { matchColumns: ['match', 'score'] })
+    }, {
+      message: 'Unknown match column "score"'
+    })
+    assert.throws(() => {
+      new CSVExporter(competition, { leagueTableColumns: ['team', 'points'] })
+    }, {
+      message: 'Unknown league table column "points"'
+    })
+  })
+})
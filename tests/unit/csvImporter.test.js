@@ -0,0 +1,230 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { readFile } from 'node:fs/promises'
+import path from 'node:path'
+
+import { Competition, ContactRole, CSVImporter, GroupMatch, League, LeagueConfig, LeagueConfigPoints, MatchTeam, MatchType, SetConfig, Stage } from '../../src/index.js'
+
+async function importRegistrations () {
+  const competition = new Competition('CSV import')
+  const importer = new CSVImporter(competition)
+  importer.importClubs(await readFile(new URL(path.join('csv', 'clubs.csv'), import.meta.url), { encoding: 'utf8' }))
+  importer.importTeams(await readFile(new URL(path.join('csv', 'teams.csv'), import.meta.url), { encoding: 'utf8' }))
+  return competition
+}
+
+function addLeague (stage, id, matchType) {
+  const league = new League(stage, id, matchType, false)
+  stage.addGroup(league)
+  const leagueConfig = new LeagueConfig(league)
+  league.setLeagueConfig(leagueConfig)
+  leagueConfig.setOrdering(['PTS'])
+  leagueConfig.setPoints(new LeagueConfigPoints(leagueConfig))
+  return league
+}
+
+describe('csvImporter', () => {
+  it('testCSVImporterClubs', async () => {
+    const competition = new Competition('CSV import')
+    const result = new CSVImporter(competition).importClubs(await readFile(new URL(path.join('csv', 'clubs.csv'), import.meta.url), { encoding: 'utf8' }))
+
+    assert.deepEqual(result, {
+      imported: 2,
+      errors: [
+        { line: 6, message: 'Club with ID "CLUB1" already exists in the competition' },
+        { line: 7, message: 'Missing value for required column: id' },
+        { line: 8, message: 'Invalid club ID: must contain only ASCII printable characters excluding " : { } ? =' }
+      ]
+    })
+    assert.equal(competition.getClub('CLUB1').getName(), 'Alice Club')
+    assert.equal(competition.getClub('CLUB1').hasNotes(), false)
+    assert.equal(competition.getClub('CLUB2').getName(), 'Bob, Charlie and "Friends" Club')
+    assert.equal(competition.getClub('CLUB2').getNotes(), 'Formed in 1990\r\nafter a merger')
+    assert.equal(competition.getClubs().length, 2)
+  })
+
+  it('testCSVImporterTeams', async () => {
+    const competition = new Competition('CSV import')
+    const importer = new CSVImporter(competition)
+    importer.importClubs(await readFile(new URL(path.join('csv', 'clubs.csv'), import.meta.url), { encoding: 'utf8' }))
+    const result = importer.importTeams(await readFile(new URL(path.join('csv', 'teams.csv'), import.meta.url), { encoding: 'utf8' }))
+
+    assert.deepEqual(result, {
+      imported: 7,
+      errors: [
+        { line: 9, message: 'No club with ID "NOCLUB" exists' },
+        { line: 10, message: 'Error setting the roles due to invalid role: goalkeeper' },
+        { line: 11, message: 'Invalid contact email address: must be at least 3 characters long' },
+        { line: 12, message: 'Team with ID "TM2" already exists in the competition' },
+        { line: 13, message: 'Contact with ID "C1" already exists in the team' },
+        { line: 14, message: 'Invalid team ID: must contain only ASCII printable characters excluding " : { } ? =' },
+        { line: 15, message: 'Error setting the roles to an empty list as the Contact must have at least one role' }
+      ]
+    })
+    assert.deepEqual(competition.getTeams().map(team => team.getID()), ['TM1', 'TM2', 'TM3', 'TM4', 'TM5', 'TM6'])
+
+    const team1 = competition.getTeam('TM1')
+    assert.equal(team1.getName(), 'Alice VC')
+    assert.equal(team1.getNotes(), 'First team')
+    assert.equal(team1.getClub().getID(), 'CLUB1')
+    assert(competition.getClub('CLUB1').hasTeam('TM1'))
+    assert.deepEqual(team1.getContacts().map(contact => contact.getID()), ['C1', 'C2'])
+    assert.equal(team1.getContact('C1').getName(), 'Alice Alison')
+    assert.deepEqual(team1.getContact('C1').getRoles(), [ContactRole.SECRETARY, ContactRole.TREASURER])
+    assert.deepEqual(team1.getContact('C1').getEmails(), ['alice@example.com'])
+    assert.deepEqual(team1.getContact('C1').getPhones(), ['01234 567890'])
+    assert.deepEqual(team1.getContact('C2').getRoles(), [ContactRole.CAPTAIN])
+    assert.deepEqual(team1.getContact('C2').getEmails(), [])
+
+    assert.equal(competition.getTeam('TM2').getClub().getID(), 'CLUB2')
+    assert.equal(competition.getTeam('TM3').hasClub(), false)
+    assert.equal(competition.getTeam('TM3').hasContacts(), false)
+    assert.deepEqual(competition.getTeam('TM4').getContact('C1').getEmails(), ['dave@example.com', 'david@example.com'])
+    assert.deepEqual(competition.getTeam('TM4').getContact('C1').getPhones(), ['01234 567891', '01234 567892'])
+  })
+
+  it('testCSVImporterPlayers', async () => {
+    const competition = await importRegistrations()
+    const result = new CSVImporter(competition).importPlayers(await readFile(new URL(path.join('csv', 'players.csv'), import.meta.url), { encoding: 'utf8' }))
+
+    assert.deepEqual(result, {
+      imported: 4,
+      errors: [
+        { line: 5, message: 'Invalid player number "zero": must be a whole number' },
+        { line: 6, message: 'Invalid player number "0": must be greater than 1' },
+        { line: 7, message: 'Team with ID "NOTEAM" not found in the competition' },
+        { line: 8, message: 'Player with ID "P2" already exists in the competition' },
+        { line: 9, message: 'Invalid date "2024-02-30": date does not exist' }
+      ]
+    })
+    assert.deepEqual(competition.getPlayers().map(player => player.getID()), ['P1', 'P2', 'P7'])
+
+    const player1 = competition.getPlayer('P1')
+    assert.equal(player1.getName(), 'Alice Alison')
+    assert.equal(player1.getNumber(), 1)
+    assert.equal(player1.getNotes(), 'Setter')
+    assert.deepEqual(player1.getTeamEntries().map(entry => entry.serialize()), [
+      { id: 'TM1', from: '2023-09-01', until: '2024-01-31' },
+      { id: 'TM2', from: '2024-02-01', notes: 'Transferred mid-season' }
+    ])
+    assert.equal(player1.getCurrentTeam().getID(), 'TM2')
+
+    assert.equal(competition.getPlayer('P2').getNumber(), null)
+    assert.deepEqual(competition.getPlayer('P2').getTeamEntries().map(entry => entry.serialize()), [{ id: 'TM2' }])
+    assert.deepEqual(competition.getPlayer('P7').getTeamEntries(), [])
+  })
+
+  it('testCSVImporterFixtures', async () => {
+    const competition = await importRegistrations()
+    const stage = new Stage(competition, 'L')
+    competition.addStage(stage)
+    const league = addLeague(stage, 'LG', MatchType.CONTINUOUS)
+    const otherLeague = addLeague(stage, 'OG', MatchType.CONTINUOUS)
+    const otherMatch = new GroupMatch(otherLeague, 'OG1')
+    otherMatch.setHomeTeam(new MatchTeam(otherMatch, 'TM5')).setAwayTeam(new MatchTeam(otherMatch, 'TM6')).setComplete(false)
+    otherLeague.addMatch(otherMatch)
+
+    const result = new CSVImporter(competition).importFixtures(await readFile(new URL(path.join('csv', 'fixtures.csv'), import.meta.url), { encoding: 'utf8' }), league)
+    assert.deepEqual(result, {
+      imported: 3,
+      errors: [
+        { line: 4, message: 'Invalid team ID for awayTeam in match with ID "LG3"' },
+        { line: 5, message: 'Group {L:LG}: matches with duplicate IDs {LG1} not allowed' },
+        { line: 6, message: 'Invalid date "2024-02-31": date does not exist' },
+        { line: 7, message: 'Invalid start time "25:00": must contain a value of the form "HH:mm" using a 24 hour clock' },
+        { line: 8, message: 'Match with ID "LG6" cannot have both an officiating team and a referee' },
+        { line: 9, message: 'Invalid team ID for officials in match with ID "LG7"' },
+        { line: 11, message: 'Team with ID "TM5" is already playing in group {L:OG}, and groups in the same stage cannot contain the same team' }
+      ]
+    })
+    assert.deepEqual(league.getMatches().map(match => match.getID()), ['LG1', 'LG2', 'LG8'])
+
+    const match1 = league.getMatch('LG1')
+    assert.equal(match1.getHomeTeam().getID(), 'TM1')
+    assert.equal(match1.getAwayTeam().getID(), 'TM2')
+    assert.equal(match1.getDate(), '2024-03-02')
+    assert.equal(match1.getWarmup(), '09:50')
+    assert.equal(match1.getStart(), '10:00')
+    assert.equal(match1.getDuration(), '0:50')
+    assert.equal(match1.getCourt(), '1')
+    assert.equal(match1.getVenue(), 'City Sports Hall')
+    assert.equal(match1.getOfficials().getTeamID(), 'TM3')
+    assert.equal(match1.getNotes(), 'Opening match')
+    assert.equal(match1.getComplete(), false)
+
+    const match2 = league.getMatch('LG2')
+    assert.equal(match2.getOfficials().isTeam(), false)
+    assert.equal(match2.getOfficials().getFirstRef(), 'A Referee')
+    assert.equal(match2.hasWarmup(), false)
+    assert.equal(league.getMatch('LG8').hasOfficials(), false)
+
+    // The imported competition can be saved and reloaded
+    const reloaded = await Competition.loadFromCompetitionJSON(JSON.stringify(competition.serialize()))
+    assert.equal(reloaded.getStage('L').getGroup('LG').getMatches().length, 3)
+  })
+
+  it('testCSVImporterFixturesSets', async () => {
+    const competition = await importRegistrations()
+    const stage = new Stage(competition, 'L')
+    competition.addStage(stage)
+    const league = addLeague(stage, 'LG', MatchType.SETS)
+    league.setSetConfig(new SetConfig(league))
+
+    const result = new CSVImporter(competition).importFixtures('id,homeTeam,awayTeam\nM1,TM1,TM2\nM2,TM3,{L:LG:M1:winner}\n', league)
+    assert.deepEqual(result, { imported: 2, errors: [] })
+    assert.equal(league.getMatch('M1').getComplete(), null)
+    assert.equal(league.getMatch('M2').getAwayTeam().getID(), '{L:LG:M1:winner}')
+  })
+
+  it('testCSVImporterCSVFormat', () => {
+    const competition = new Competition('CSV import')
+    const importer = new CSVImporter(competition)
+
+    assert.deepEqual(importer.importClubs('\uFEFF name , id \r\n\r\nOne, C1 ,\rTwo,C2\n"Three",\n"Four","C4"'), {
+      imported: 3,
+      errors: [
+        { line: 5, message: 'Missing value for required column: id' }
+      ]
+    })
+    assert.equal(competition.getClub('C1').getName(), 'One')
+    assert.equal(competition.getClub('C4').getName(), 'Four')
+
+    assert.deepEqual(importer.importClubs('id,name\n"C5,Five'), {
+      imported: 0,
+      errors: [
+        { line: 2, message: 'Unterminated quoted field starting on line 2' }
+      ]
+    })
+    assert.deepEqual(importer.importClubs('id,name\n"C5","Five\nSix\n'), {
+      imported: 0,
+      errors: [
+        { line: 2, message: 'Unterminated quoted field starting on line 2' }
+      ]
+    })
+    assert.deepEqual(importer.importClubs(''), {
+      imported: 0,
+      errors: [
+        { line: 1, message: 'Missing header line' }
+      ]
+    })
+    assert.deepEqual(importer.importClubs('\n\nname\nFive'), {
+      imported: 0,
+      errors: [
+        { line: 3, message: 'Missing required column: id' }
+      ]
+    })
+    assert.deepEqual(importer.importFixtures('notes\n', null), {
+      imported: 0,
+      errors: [
+        { line: 1, message: 'Missing required columns: id, homeTeam, awayTeam' }
+      ]
+    })
+    assert.deepEqual(importer.importClubs('id,name\n,'), {
+      imported: 0,
+      errors: [
+        { line: 2, message: 'Missing value for required columns: id, name' }
+      ]
+    })
+    assert.equal(competition.getClubs().length, 3)
+  })
+})
@@ -0,0 +1,136 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { readFile } from 'node:fs/promises'
+import path from 'node:path'
+
+import { Competition, EligibilityChecker } from '../../src/index.js'
+
+async function loadCompetition (modify = null) {
+  const competitionJSON = await readFile(new URL(path.join('eligibility', 'competition.json'), import.meta.url), { encoding: 'utf8' })
+  if (modify === null) {
+    return Competition.loadFromCompetitionJSON(competitionJSON)
+  }
+  const competitionData = JSON.parse(competitionJSON)
+  modify(competitionData)
+  return Competition.loadFromCompetitionJSON(JSON.stringify(competitionData))
+}
+
+describe('eligibilityChecker', () => {
+  it('testEligibilityCheckerRules', async () => {
+    const competition = await loadCompetition()
+    const checker = new EligibilityChecker(competition)
+      .addRule('oneTeam', EligibilityChecker.oneTeamPerCompetition())
+      .addRule('registered', EligibilityChecker.registeredDaysBefore(7))
+      .addRule('guests', EligibilityChecker.maxGuestPlayers(2))
+
+    assert.equal(checker.getCompetition(), competition)
+    assert.deepEqual(checker.check(), [
+      {
+        rule: 'registered',
+        stageID: 'L',
+        groupID: 'G',
+        matchID: 'M1',
+        teamID: 'TM1',
+        playerIDs: ['P2'],
+        message: 'Player {P2} was not registered to team "TM1" at least 7 days before the match'
+      },
+      {
+        rule: 'registered',
+        stageID: 'L',
+        groupID: 'G',
+        matchID: 'M1',
+        teamID: 'TM1',
+        playerIDs: ['P4'],
+        message: 'Player {P4} was not registered to team "TM1" at least 7 days before the match'
+      },
+      {
+        rule: 'guests',
+        stageID: 'L',
+        groupID: 'G',
+        matchID: 'M1',
+        teamID: 'TM1',
+        playerIDs: [],
+        message: 'Team "TM1" has 3 guest players but at most 2 are allowed'
+      },
+      {
+        rule: 'oneTeam',
+        stageID: 'L',
+        groupID: 'G',
+        matchID: 'M2',
+        teamID: 'TM1',
+        playerIDs: ['P3'],
+        message: 'Player {P3} has already played for team "TM2"'
+      },
+      {
+        rule: 'registered',
+        stageID: 'L',
+        groupID: 'G',
+        matchID: 'M2',
+        teamID: 'TM1',
+        playerIDs: ['P3'],
+        message: 'Player {P3} was not registered to team "TM1" at least 7 days before the match'
+      }
+    ])
+
+    // P2 was registered five days before the first match
+    const lenient = new EligibilityChecker(competition).addRule('registered', EligibilityChecker.registeredDaysBefore(5))
+    assert.deepEqual(lenient.checkMatch(competition.getStage('L').getGroup('G').getMatch('M1')).map(violation => violation.playerIDs), [['P4']])
+  })
+
+  it('testEligibilityCheckerUnknownFirstTeam', async () => {
+    // P5 first plays in the final, for a team that is not yet known, and then for TM2 in the plate
+    const competition = await loadCompetition(competitionData => {
+      competitionData.players.push({ id: 'P5', name: 'Eve Evans' })
+      competitionData.stages[1].groups[0].matches[0].homeTeam.players.push('{P5}')
+      competitionData.stages.push({
+        id: 'P',
+        name: 'Plate',
+        groups: [{
+          id: 'P',
+          name: 'Plate',
+          type: 'crossover',
+          matchType: 'sets',
+          sets: { maxSets: 3, setsToWin: 2 },
+          matches: [{ id: 'P1', type: 'match', homeTeam: { id: 'TM2', scores: [], players: ['{P5}'] }, awayTeam: { id: 'TM1', scores: [] } }]
+        }]
+      })
+    })
+    const checker = new EligibilityChecker(competition).addRule('oneTeam', EligibilityChecker.oneTeamPerCompetition())
+    const plateMatch = competition.getStage('P').getGroup('P').getMatch('P1')
+    assert.deepEqual(checker.checkMatch(plateMatch), [])
+
+    // Once the final's team is known, that is the first team P5 played for
+    competition.getStage('L').getGroup('G').getMatch('M3').setScores([20, 20], [25, 25], true)
+    assert.deepEqual(checker.checkMatch(plateMatch), [
+      { rule: 'oneTeam', stageID: 'P', groupID: 'P', matchID: 'P1', teamID: 'TM2', playerIDs: ['P5'], message: 'Player {P5} has already played for team "TM3"' }
+    ])
+  })
+
+  it('testEligibilityCheckerCustomRules', async () => {
+    const competition = await loadCompetition()
+    const checker = new EligibilityChecker(competition)
+    const lineups = []
+
+    checker.addRule('minPlayers', lineup => {
+      lineups.push(lineup)
+      return lineup.players.length >= 1 ? [] : [{ playerIDs: [], message: 'No players' }]
+    })
+    assert.equal(checker.hasRule('minPlayers'), true)
+    assert.deepEqual(checker.getRuleNames(), ['minPlayers'])
+    assert.throws(() => checker.addRule('minPlayers', () => []), { message: 'Eligibility rule "minPlayers" already added' })
+
+    const finalMatch = competition.getStage('F').getGroup('F').getMatch('F1')
+    assert.deepEqual(checker.checkMatch(finalMatch), [
+      { rule: 'minPlayers', stageID: 'F', groupID: 'F', matchID: 'F1', teamID: 'TM3', playerIDs: [], message: 'No players' }
+    ])
+    assert.equal(lineups[0].competition, competition)
+    assert.equal(lineups[0].match, finalMatch)
+    assert.equal(lineups[0].matchTeam, finalMatch.getHomeTeam())
+    assert.equal(lineups[0].teamID, '{L:G:M3:winner}')
+    assert.deepEqual(lineups[0].players, [competition.getPlayer('P1')])
+
+    checker.removeRule('minPlayers')
+    assert.equal(checker.hasRule('minPlayers'), false)
+    assert.deepEqual(checker.check(), [])
+  })
+})
@@ -448,4 +448,16 @@ describe('group', () => {
       message: 'Invalid type "league" in team reference.  Cannot get league position from a non-league group'
     })
   })
+
+  it('testGroupEquals', async () => {
+    const competitionJSON = await readFile(new URL(path.join('groups', 'complete-group.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+    const group = competition.getStage('L').getGroup('LG')
+    const clonedGroup = competition.clone().getStage('L').getGroup('LG')
+
+    assert(group.equals(clonedGroup))
+    assert(!group.equals(group.getStage()))
+    clonedGroup.getMatch('LG1').setCourt('9')
+    assert(!group.equals(clonedGroup))
+  })
 })
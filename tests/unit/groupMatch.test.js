@@ -603,4 +603,16 @@ describe('groupMatch', () => {
       }
     )
   })
+
+  it('testGroupMatchEquals', async () => {
+    const competitionJSON = await readFile(new URL(path.join('matches', 'save-scores.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+    const match = competition.getStage('L').getGroup('RL').getMatches()[0]
+    const clonedMatch = competition.clone().getStage('L').getGroup('RL').getMatches()[0]
+
+    assert(match.equals(clonedMatch))
+    assert(!match.equals(match.getHomeTeam()))
+    clonedMatch.setScores([23], [19], true)
+    assert(!match.equals(clonedMatch))
+  })
 })
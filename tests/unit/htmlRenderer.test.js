@@ -0,0 +1,180 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { readFile } from 'node:fs/promises'
+import path from 'node:path'
+
+import { Competition, CompetitionTeam, GroupBreak, GroupMatch, HTMLRenderer, Knockout, League, LeagueConfig, LeagueConfigPoints, MatchOfficials, MatchTeam, MatchType, Player, SetConfig, Stage } from '../../src/index.js'
+
+describe('htmlRenderer', () => {
+  it('testHTMLRendererLeagueTable', async () => {
+    const competitionJSON = await readFile(new URL(path.join('html', 'complete-league-everything.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+    const html = new HTMLRenderer().renderLeagueTable(competition.getStage('L').getGroup('LG'))
+
+    assert(html.startsWith('<div class="vbc-league"><table class="vbc-league-table"><caption>League 1</caption><thead><tr><th scope="col" class="vbc-pos"><abbr title="Position">Pos</abbr></th><th scope="col" class="vbc-team">Team</th><th scope="col" class="vbc-p"><abbr title="Played">P</abbr></th><th scope="col" class="vbc-w"><abbr title="Wins">W</abbr></th><th scope="col" class="vbc-l"><abbr title="Losses">L</abbr></th><th scope="col" class="vbc-pf">'))
+    assert(!html.includes('vbc-d"'))
+    assert(!html.includes('vbc-sf"'))
+    assert(html.includes('<tr><td class="vbc-pos">1</td><th scope="row" class="vbc-team">Team 4</th><td class="vbc-p">3</td><td class="vbc-w">3</td><td class="vbc-l">0</td><td class="vbc-pf">80</td><td class="vbc-pa">70</td><td class="vbc-pd">10</td><td class="vbc-bp">0</td><td class="vbc-pp">0</td><td class="vbc-pts">9</td></tr>'))
+    assert(html.endsWith('</table><p class="vbc-league-ordering">Position is decided by wins, then points difference</p><p class="vbc-league-scoring">Teams win 3 points per win</p></div>'))
+  })
+
+  it('testHTMLRendererLeagueTableDrawsAndSets', async () => {
+    const competitionJSON = await readFile(new URL(path.join('html', 'incomplete-league-draws.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+    const renderer = new HTMLRenderer({ classPrefix: 'table' })
+
+    const continuous = renderer.renderLeagueTable(competition.getStage('L').getGroup('LG'))
+    assert(continuous.includes('<th scope="col" class="table-d"><abbr title="Draws">D</abbr></th>'))
+    assert(!continuous.includes('table-sf'))
+    assert(continuous.includes('<tr><td class="table-pos">3</td><th scope="row" class="table-team">Team 1</th><td class="table-p">1</td><td class="table-w">0</td><td class="table-d">1</td><td class="table-l">0</td>'))
+
+    const sets = renderer.renderLeagueTable(competition.getStage('LS').getGroup('LG'))
+    assert(sets.includes('<th scope="col" class="table-sf"><abbr title="Sets for">SF</abbr></th><th scope="col" class="table-sa"><abbr title="Sets against">SA</abbr></th><th scope="col" class="table-sd"><abbr title="Sets difference">SD</abbr></th>'))
+    assert(sets.includes('<td class="table-sf">2</td><td class="table-sa">0</td><td class="table-sd">2</td>'))
+  })
+
+  it('testHTMLRendererLeagueTableEmpty', async () => {
+    const competitionJSON = await readFile(new URL(path.join('html', 'empty.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+    const league = competition.getStage('L').getGroup('LG')
+    assert(new HTMLRenderer().renderLeagueTable(league).includes('<tbody></tbody>'))
+
+    const points = league.getLeagueConfig().getPoints()
+    points.setWin(0)
+    league.setName(null)
+    const html = new HTMLRenderer().renderLeagueTable(league)
+    assert(html.includes('<caption>LG</caption>'))
+    assert(!html.includes('vbc-league-scoring'))
+  })
+
+  it('testHTMLRendererMatches', async () => {
+    const competitionJSON = await readFile(new URL(path.join('html', 'complete-league-everything.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+    const html = new HTMLRenderer().renderMatches(competition.getStage('L').getGroup('LG'))
+
+    assert(html.startsWith('<table class="vbc-matches"><caption>League 1</caption><thead><tr><th scope="col" class="vbc-date">Date</th><th scope="col" class="vbc-venue">Venue</th><th scope="col" class="vbc-court">Court</th><th scope="col" class="vbc-warmup">Warmup</th><th scope="col" class="vbc-start">Start</th><th scope="col" class="vbc-duration">Duration</th><th scope="col" class="vbc-home">Home team</th><th scope="col" class="vbc-score">Score</th><th scope="col" class="vbc-away">Away team</th><th scope="col" class="vbc-officials">Officials</th><th scope="col" class="vbc-manager">Manager</th><th scope="col" class="vbc-mvp">MVP</th><th scope="col" class="vbc-notes">Notes</th></tr></thead>'))
+    assert(html.includes('<tr class="vbc-match" id="vbc-L-LG-LG1"><td class="vbc-date">2023-06-21</td><td class="vbc-venue">City Sports Centre</td><td class="vbc-court">1</td><td class="vbc-warmup">09:10</td><td class="vbc-start">09:20</td><td class="vbc-duration">0:20</td><td class="vbc-home">Team 2</td><td class="vbc-score">21 - 22</td><td class="vbc-away vbc-winner">Team 4</td><td class="vbc-officials">Team 1</td><td class="vbc-manager">Team 1</td><td class="vbc-mvp">A Adams</td><td class="vbc-notes">some notes</td></tr>'))
+    assert(html.includes('<tr class="vbc-break"><td colspan="13">2023-06-21 12:20 Lunch break</td></tr>'))
+    assert(html.includes('<td class="vbc-manager">Joe Bloggs</td>'))
+    assert(html.endsWith('</tr></tbody></table>'))
+  })
+
+  it('testHTMLRendererMatchesDrawsAndSets', async () => {
+    const competitionJSON = await readFile(new URL(path.join('html', 'incomplete-league-draws.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+    const renderer = new HTMLRenderer()
+
+    const continuous = renderer.renderMatches(competition.getStage('L').getGroup('LG'))
+    assert(continuous.includes('<thead><tr><th scope="col" class="vbc-court">Court</th><th scope="col" class="vbc-start">Start</th><th scope="col" class="vbc-duration">Duration</th><th scope="col" class="vbc-home">Home team</th><th scope="col" class="vbc-score">Score</th><th scope="col" class="vbc-away">Away team</th><th scope="col" class="vbc-officials">Officials</th></tr></thead>'))
+    assert(continuous.includes('<td class="vbc-home">Team 1</td><td class="vbc-score">22 - 22</td><td class="vbc-away">Team 3</td>'))
+    assert(continuous.includes('<td class="vbc-home">Team 1</td><td class="vbc-score"></td><td class="vbc-away">Team 4</td>'))
+
+    const sets = renderer.renderMatches(competition.getStage('LS').getGroup('LG'))
+    assert(sets.includes('<td class="vbc-home">Team 2</td><td class="vbc-score">0 - 2 (21-25, 21-25)</td><td class="vbc-away vbc-winner">Team 4</td><td class="vbc-officials">Team 1</td><td class="vbc-manager"></td>'))
+    assert(sets.includes('<td class="vbc-score">1 - 1 (23-26, 26-23, 8-8)</td><td class="vbc-away">Team 3</td>'))
+    assert(sets.includes('<td class="vbc-officials">A Alison</td><td class="vbc-manager"></td>'))
+    assert(sets.includes('<td class="vbc-officials">A Alison, B Bigs</td><td class="vbc-manager">Team 3</td>'))
+  })
+
+  it('testHTMLRendererMatchesBreaksOnly', async () => {
+    const competitionJSON = await readFile(new URL(path.join('html', 'break.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+    const html = new HTMLRenderer().renderMatches(competition.getStage('L').getGroup('LG'))
+
+    assert.equal(html, '<table class="vbc-matches"><caption>League 1</caption><thead><tr><th scope="col" class="vbc-home">Home team</th><th scope="col" class="vbc-score">Score</th><th scope="col" class="vbc-away">Away team</th></tr></thead><tbody><tr class="vbc-break"><td colspan="3">12:20 Lunch break</td></tr></tbody></table>')
+  })
+
+  it('testHTMLRendererMatchesEscaping', () => {
+    const competition = new Competition('escaping')
+    competition.addTeam(new CompetitionTeam(competition, 'TA', 'Ampersand & <Sons>')).addTeam(new CompetitionTeam(competition, 'TB', '"Quoted" \'Team\''))
+    const stage = new Stage(competition, 'S')
+    competition.addStage(stage)
+    const league = new League(stage, 'L', MatchType.CONTINUOUS, false)
+    stage.addGroup(league)
+    const leagueConfig = new LeagueConfig(league)
+    league.setLeagueConfig(leagueConfig)
+    leagueConfig.setOrdering(['PTS'])
+    leagueConfig.setPoints(new LeagueConfigPoints(leagueConfig))
+    const match1 = new GroupMatch(league, 'M1')
+    match1.setHomeTeam(new MatchTeam(match1, 'TA')).setAwayTeam(new MatchTeam(match1, 'TB')).setOfficials(new MatchOfficials(match1, null, 'Ref <A>')).setMVP(new Player(competition, Player.UNREGISTERED_PLAYER_ID, 'A <b>Player</b>'))
+    const match2 = new GroupMatch(league, 'M2')
+    match2.setHomeTeam(new MatchTeam(match2, 'TB')).setAwayTeam(new MatchTeam(match2, '{S:L:league:1}')).setNotes('Bring <snacks>')
+    league.addMatch(match1).addBreak(new GroupBreak(league)).addMatch(match2)
+
+    assert.equal(new HTMLRenderer().renderMatches(league), '<table class="vbc-matches"><caption>L</caption><thead><tr><th scope="col" class="vbc-home">Home team</th><th scope="col" class="vbc-score">Score</th><th scope="col" class="vbc-away">Away team</th><th scope="col" class="vbc-officials">Officials</th><th scope="col" class="vbc-mvp">MVP</th><th scope="col" class="vbc-notes">Notes</th></tr></thead><tbody>' +
+      '<tr class="vbc-match" id="vbc-S-L-M1"><td class="vbc-home">Ampersand &amp; &lt;Sons&gt;</td><td class="vbc-score"></td><td class="vbc-away">&quot;Quoted&quot; &#39;Team&#39;</td><td class="vbc-officials">Ref &lt;A&gt;</td><td class="vbc-mvp">A &lt;b&gt;Player&lt;/b&gt;</td><td class="vbc-notes"></td></tr>' +
+      '<tr class="vbc-break"><td colspan="6">Break</td></tr>' +
+      '<tr class="vbc-match" id="vbc-S-L-M2"><td class="vbc-home">&quot;Quoted&quot; &#39;Team&#39;</td><td class="vbc-score"></td><td class="vbc-away">1st in L</td><td class="vbc-officials"></td><td class="vbc-mvp"></td><td class="vbc-notes">Bring &lt;snacks&gt;</td></tr>' +
+      '</tbody></table>')
+  })
+
+  it('testHTMLRendererKnockout', async () => {
+    const competitionJSON = await readFile(new URL(path.join('html', 'complete-knockout.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+    const html = new HTMLRenderer().renderKnockout(competition.getStage('KO').getGroup('CUP'))
+
+    const rounds = html.match(/<li class="vbc-knockout-round">.*?<\/ul><\/li>/g)
+    assert.equal(rounds.length, 3)
+    assert.deepEqual(rounds.map(round => [...round.matchAll(/aria-label="Match ([^"]*)"/g)].map(match => match[1])), [
+      ['QF1', 'QF2', 'QF3', 'QF4'],
+      ['SF1', 'SF2'],
+      ['PO', 'FIN']
+    ])
+    assert(html.startsWith('<div class="vbc-knockout" role="group" aria-label="The Cup"><ol class="vbc-knockout-rounds"><li class="vbc-knockout-round"><span class="vbc-knockout-round-name">Round 1</span><ul class="vbc-knockout-matches"><li class="vbc-knockout-match" aria-label="Match QF1"><span class="vbc-knockout-match-id">QF1</span><span class="vbc-knockout-team"><span class="vbc-team">Alice VC</span><span class="vbc-score">17</span></span><span class="vbc-knockout-team vbc-winner"><span class="vbc-team">Bob VC</span><span class="vbc-score">25</span></span></li>'))
+    assert(html.includes('<span class="vbc-knockout-team"><span class="vbc-team">Frank VC</span><span class="vbc-score">21</span></span><span class="vbc-knockout-team vbc-winner"><span class="vbc-team">Grace VC</span><span class="vbc-score">25</span></span>'))
+    assert(html.endsWith('<table class="vbc-knockout-standing"><caption>Final standing</caption><thead><tr><th scope="col" class="vbc-pos"><abbr title="Position">Pos</abbr></th><th scope="col" class="vbc-team">Team</th></tr></thead><tbody><tr><td class="vbc-pos">1st</td><th scope="row" class="vbc-team">Grace VC</th></tr><tr><td class="vbc-pos">2nd</td><th scope="row" class="vbc-team">Frank VC</th></tr><tr><td class="vbc-pos">3rd</td><th scope="row" class="vbc-team">Charlie VC</th></tr><tr><td class="vbc-pos">4th</td><th scope="row" class="vbc-team">Bob VC</th></tr></tbody></table></div>'))
+  })
+
+  it('testHTMLRendererKnockoutNoStanding', async () => {
+    const competitionJSON = await readFile(new URL(path.join('html', 'complete-knockout-nostanding.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+    const html = new HTMLRenderer().renderKnockout(competition.getStage('KO').getGroup('CUP'))
+
+    assert(html.includes('<span class="vbc-knockout-round-name">Round 3</span>'))
+    assert(!html.includes('vbc-knockout-standing'))
+    assert(html.endsWith('</ol></div>'))
+  })
+
+  it('testHTMLRendererKnockoutUnresolved', () => {
+    const competition = new Competition('unresolved knockout')
+    competition.addTeam(new CompetitionTeam(competition, 'TA', 'Team A')).addTeam(new CompetitionTeam(competition, 'TB', 'Team B')).addTeam(new CompetitionTeam(competition, 'TC', 'Team C'))
+    const poolStage = new Stage(competition, 'Q')
+    competition.addStage(poolStage)
+    const pool = new League(poolStage, 'P', MatchType.SETS, false)
+    poolStage.addGroup(pool)
+    const leagueConfig = new LeagueConfig(pool)
+    pool.setLeagueConfig(leagueConfig)
+    leagueConfig.setOrdering(['PTS'])
+    leagueConfig.setPoints(new LeagueConfigPoints(leagueConfig))
+    const poolMatch = new GroupMatch(pool, 'PM1')
+    poolMatch.setHomeTeam(new MatchTeam(poolMatch, 'TA')).setAwayTeam(new MatchTeam(poolMatch, 'TB'))
+    pool.addMatch(poolMatch)
+    const stage = new Stage(competition, 'S')
+    competition.addStage(stage)
+    const knockout = new Knockout(stage, 'K', MatchType.SETS)
+    stage.addGroup(knockout)
+    knockout.setSetConfig(new SetConfig(knockout))
+
+    const semi = new GroupMatch(knockout, 'SF')
+    semi.setHomeTeam(new MatchTeam(semi, 'TA')).setAwayTeam(new MatchTeam(semi, '{Q:P:league:1}'))
+    const other = new GroupMatch(knockout, 'X')
+    other.setHomeTeam(new MatchTeam(other, '{Q:P:PM1:winner}')).setAwayTeam(new MatchTeam(other, 'TC'))
+    const final = new GroupMatch(knockout, 'F')
+    final.setHomeTeam(new MatchTeam(final, '{S:K:SF:winner}')).setAwayTeam(new MatchTeam(final, '{S:K:X:loser}'))
+    knockout.addMatch(semi).addMatch(other).addBreak(new GroupBreak(knockout)).addMatch(final)
+
+    const html = new HTMLRenderer().renderKnockout(knockout)
+    assert.equal(html, '<div class="vbc-knockout" role="group" aria-label="K"><ol class="vbc-knockout-rounds">' +
+      '<li class="vbc-knockout-round"><span class="vbc-knockout-round-name">Round 1</span><ul class="vbc-knockout-matches">' +
+      '<li class="vbc-knockout-match" aria-label="Match SF"><span class="vbc-knockout-match-id">SF</span><span class="vbc-knockout-team"><span class="vbc-team">Team A</span><span class="vbc-score"></span></span><span class="vbc-knockout-team"><span class="vbc-team">1st in P</span><span class="vbc-score"></span></span></li>' +
+      '<li class="vbc-knockout-match" aria-label="Match X"><span class="vbc-knockout-match-id">X</span><span class="vbc-knockout-team"><span class="vbc-team">Winner of PM1</span><span class="vbc-score"></span></span><span class="vbc-knockout-team"><span class="vbc-team">Team C</span><span class="vbc-score"></span></span></li>' +
+      '</ul></li>' +
+      '<li class="vbc-knockout-round"><span class="vbc-knockout-round-name">Round 2</span><ul class="vbc-knockout-matches">' +
+      '<li class="vbc-knockout-match" aria-label="Match F"><span class="vbc-knockout-match-id">F</span><span class="vbc-knockout-team"><span class="vbc-team">Winner of SF</span><span class="vbc-score"></span></span><span class="vbc-knockout-team"><span class="vbc-team">Loser of X</span><span class="vbc-score"></span></span></li>' +
+      '</ul></li></ol></div>')
+
+    semi.setScores([25, 25], [20, 20], true)
+    const scored = new HTMLRenderer().renderKnockout(knockout)
+    assert(scored.includes('<span class="vbc-knockout-team vbc-winner"><span class="vbc-team">Team A</span><span class="vbc-score">2</span></span><span class="vbc-knockout-team"><span class="vbc-team">1st in P</span><span class="vbc-score">0</span></span>'))
+  })
+})
@@ -0,0 +1,176 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { readFile } from 'node:fs/promises'
+import path from 'node:path'
+
+import { Competition, CompetitionTeam, GroupMatch, ICSExporter, Knockout, MatchOfficials, MatchTeam, MatchType, Stage } from '../../src/index.js'
+
+const TIMESTAMP = new Date(Date.UTC(2024, 0, 1))
+
+function unfold (calendar) {
+  return calendar.replace(/\r\n /g, '')
+}
+
+function getEvent (calendar, uid) {
+  const events = unfold(calendar).split('BEGIN:VEVENT\r\n').slice(1)
+  return events.find(event => event.startsWith(`UID:${uid}\r\n`)).split('\r\nEND:VEVENT')[0].split('\r\n')
+}
+
+describe('icsExporter', () => {
+  it('testICSExporterCompetitionCalendar', async () => {
+    const competitionJSON = await readFile(new URL(path.join('ics', 'competition-with-warmup-times-and-durations.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+    const calendar = new ICSExporter(competition, { timestamp: TIMESTAMP }).getCompetitionCalendar()
+
+    assert(calendar.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\nPRODID:-//VBCompetitions//competitions-js//EN\r\nCALSCALE:GREGORIAN\r\nX-WR-CALNAME:SuperLeague\r\n'))
+    assert(calendar.endsWith('END:VCALENDAR\r\n'))
+    assert.equal(calendar.match(/BEGIN:VEVENT/g).length, 28)
+    calendar.split('\r\n').forEach(line => {
+      assert(new TextEncoder().encode(line).length <= 75)
+    })
+
+    const currentCalendar = new ICSExporter(competition).getCompetitionCalendar()
+    assert.match(currentCalendar, /\r\nDTSTAMP:[0-9]{8}T[0-9]{6}Z\r\n/)
+
+    assert.deepEqual(getEvent(calendar, 'L.RL.RLM1@superleague'), [
+      'UID:L.RL.RLM1@superleague',
+      'DTSTAMP:20240101T000000Z',
+      'DTSTART:20231015T100000',
+      'DTEND:20231015T111500',
+      'SUMMARY:Alice VC v Bob VC',
+      'LOCATION:Court 5\\, Springfield Town Sports Centre',
+      'DESCRIPTION:league\\, Recreational League\\nMatch RLM1\\nWarmup: 10:00\\nOfficials: Erin VC'
+    ])
+  })
+
+  it('testICSExporterTeamCalendar', async () => {
+    const competitionJSON = await readFile(new URL(path.join('ics', 'competition-across-multiple-stages.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+    const exporter = new ICSExporter(competition, { timestamp: TIMESTAMP, uidDomain: 'example.com' })
+    const calendar = unfold(exporter.getTeamCalendar('TM1'))
+
+    assert(calendar.includes('X-WR-CALNAME:SuperLeague: Alice VC\r\n'))
+    const summaries = calendar.split('\r\n').filter(line => line.startsWith('SUMMARY:'))
+    const uids = calendar.split('\r\n').filter(line => line.startsWith('UID:'))
+    assert(uids.every(uid => uid.endsWith('@example.com')))
+    assert(summaries.some(summary => summary.startsWith('SUMMARY:Officiating: ')))
+    assert(summaries.filter(summary => !summary.startsWith('SUMMARY:Officiating: ')).every(summary => summary.includes('Alice VC')))
+    assert.equal(summaries.length, competition.getStages().reduce((count, stage) => count + stage.getMatches('TM1', Competition.VBC_MATCH_PLAYING | Competition.VBC_MATCH_OFFICIATING).length, 0))
+
+    assert.throws(() => {
+      exporter.getTeamCalendar('NO-SUCH-TEAM')
+    }, {
+      message: 'Team with ID NO-SUCH-TEAM not found in the competition'
+    })
+  })
+
+  it('testICSExporterUnresolvedTeams', async () => {
+    const competitionJSON = await readFile(new URL(path.join('ics', 'competition-across-multiple-stages.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+    const summaries = unfold(new ICSExporter(competition, { timestamp: TIMESTAMP }).getCompetitionCalendar()).split('\r\n').filter(line => line.startsWith('SUMMARY:'))
+
+    assert(summaries.includes('SUMMARY:1st in Recreational League v 4th in Recreational League'))
+  })
+
+  it('testICSExporterCourtCalendar', async () => {
+    const competitionJSON = await readFile(new URL(path.join('ics', 'competition-across-multiple-stages-split-venue.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+    const exporter = new ICSExporter(competition, { timestamp: TIMESTAMP })
+
+    const courtMatches = competition.getStages().flatMap(stage => stage.getMatches()).filter(match => match instanceof GroupMatch && match.getCourt() === '5')
+    const venues = [...new Set(courtMatches.map(match => match.getVenue()))]
+    assert(venues.length > 1)
+
+    const calendar = unfold(exporter.getCourtCalendar('5'))
+    assert(calendar.includes('X-WR-CALNAME:SuperLeague: Court 5\r\n'))
+    assert.equal(calendar.match(/BEGIN:VEVENT/g).length, courtMatches.filter(match => match.hasDate()).length)
+
+    const venueCalendar = unfold(exporter.getCourtCalendar('5', venues[0]))
+    const locations = venueCalendar.split('\r\n').filter(line => line.startsWith('LOCATION:'))
+    assert(locations.length > 0)
+    assert(locations.length < calendar.match(/BEGIN:VEVENT/g).length)
+    locations.forEach(location => {
+      assert.equal(location, `LOCATION:Court 5\\, ${venues[0].replace(/,/g, '\\,')}`)
+    })
+  })
+
+  it('testICSExporterAllDayAndMissingDates', async () => {
+    const competitionJSON = await readFile(new URL(path.join('ics', 'competition-no-times-missing-dates.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+    const calendar = new ICSExporter(competition, { timestamp: TIMESTAMP }).getCompetitionCalendar()
+
+    const matches = competition.getStages().flatMap(stage => stage.getMatches()).filter(match => match instanceof GroupMatch)
+    assert.equal(calendar.match(/BEGIN:VEVENT/g).length, matches.filter(match => match.hasDate()).length)
+    assert(matches.some(match => !match.hasDate()))
+
+    const event = getEvent(calendar, 'L.RL.RLM1@superleague')
+    assert(event.includes('DTSTART;VALUE=DATE:20231015'))
+    assert(event.includes('DTEND;VALUE=DATE:20231016'))
+  })
+
+  it('testICSExporterStartTimesOnly', async () => {
+    const competitionJSON = await readFile(new URL(path.join('ics', 'competition-with-start-times-only.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+    const match = competition.getStage('L').getGroup('RL').getMatch('RLM1')
+    assert.equal(match.hasDuration(), false)
+    assert.equal(match.hasWarmup(), false)
+
+    const defaultEvent = getEvent(new ICSExporter(competition, { timestamp: TIMESTAMP }).getCompetitionCalendar(), 'L.RL.RLM1@superleague')
+    assert(defaultEvent.includes('DTSTART:20231015T101500'))
+    assert(defaultEvent.includes('DTEND:20231015T111500'))
+
+    const event = getEvent(new ICSExporter(competition, { timestamp: TIMESTAMP, defaultDuration: '23:59' }).getCompetitionCalendar(), 'L.RL.RLM1@superleague')
+    assert(event.includes('DTSTART:20231015T101500'))
+    assert(event.includes('DTEND:20231016T101400'))
+  })
+
+  it('testICSExporterIndividualReferees', async () => {
+    const competitionJSON = await readFile(new URL(path.join('ics', 'competition-with-individual-refs.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+    const calendar = new ICSExporter(competition, { timestamp: TIMESTAMP }).getCompetitionCalendar()
+
+    assert(getEvent(calendar, 'L.RL.RLM1@superleague').includes('DESCRIPTION:league\\, Recreational League\\nMatch RLM1\\nWarmup: 10:00\\nStart: 10:15\\nReferee: J Blogs\\, A Ref'))
+    assert(getEvent(calendar, 'L.RL.RLM2@superleague').includes('DESCRIPTION:league\\, Recreational League\\nMatch RLM2\\nWarmup: 10:00\\nStart: 10:15\\nReferee: J Blogs'))
+  })
+
+  it('testICSExporterNoVenueNoOfficials', async () => {
+    const noVenueJSON = await readFile(new URL(path.join('ics', 'competition-with-no-venue.json'), import.meta.url), { encoding: 'utf8' })
+    const noVenue = await Competition.loadFromCompetitionJSON(noVenueJSON)
+    assert(getEvent(new ICSExporter(noVenue, { timestamp: TIMESTAMP }).getCompetitionCalendar(), 'L.RL.RLM1@superleague').includes('LOCATION:Court 5'))
+
+    const noOfficialsJSON = await readFile(new URL(path.join('ics', 'competition-no-officials.json'), import.meta.url), { encoding: 'utf8' })
+    const noOfficials = await Competition.loadFromCompetitionJSON(noOfficialsJSON)
+    const calendar = unfold(new ICSExporter(noOfficials, { timestamp: TIMESTAMP }).getCompetitionCalendar())
+    assert(!calendar.includes('Officials: '))
+    assert(!calendar.includes('Referee: '))
+  })
+
+  it('testICSExporterEscapingAndIDs', () => {
+    const competition = new Competition('Cup; Finals, 2024\\Test')
+    const teamA = new CompetitionTeam(competition, 'TA', 'Team A, the first team with a very long name that needs folding across lines')
+    const teamB = new CompetitionTeam(competition, 'TB', 'Team B; Ünïcödé')
+    competition.addTeam(teamA).addTeam(teamB)
+    const stage = new Stage(competition, 'S 1')
+    competition.addStage(stage)
+    const knockout = new Knockout(stage, 'K/O', MatchType.CONTINUOUS)
+    stage.addGroup(knockout)
+    const match = new GroupMatch(knockout, 'M1')
+    match.setHomeTeam(new MatchTeam(match, 'TA')).setAwayTeam(new MatchTeam(match, 'TB')).setOfficials(new MatchOfficials(match, null, 'A Ref')).setDate('2024-02-29')
+    knockout.addMatch(match)
+
+    const calendar = new ICSExporter(competition, { timestamp: TIMESTAMP }).getCompetitionCalendar()
+    calendar.split('\r\n').forEach(line => {
+      assert(new TextEncoder().encode(line).length <= 75)
+    })
+    const unfolded = unfold(calendar)
+    assert(unfolded.includes('X-WR-CALNAME:Cup\\; Finals\\, 2024\\\\Test\r\n'))
+    assert.deepEqual(getEvent(calendar, 'S%201.K%2FO.M1@cup-finals-2024-test'), [
+      'UID:S%201.K%2FO.M1@cup-finals-2024-test',
+      'DTSTAMP:20240101T000000Z',
+      'DTSTART;VALUE=DATE:20240229',
+      'DTEND;VALUE=DATE:20240301',
+      'SUMMARY:Team A\\, the first team with a very long name that needs folding across lines v Team B\\; Ünïcödé',
+      'DESCRIPTION:S 1\\, K/O\\nMatch M1\\nReferee: A Ref'
+    ])
+  })
+})
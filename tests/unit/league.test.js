@@ -3,7 +3,7 @@ import { describe, it } from 'node:test'
 import { readFile } from 'node:fs/promises'
 import path from 'node:path'
 
-import { Competition, CompetitionTeam, GroupMatch, GroupType, League, LeagueConfig, LeagueConfigPoints, LeagueTable, LeagueTableEntry, MatchOfficials, MatchTeam, MatchType, Stage } from '../../src/index.js'
+import { ClinchStatus, Competition, CompetitionTeam, GroupBreak, GroupMatch, GroupType, League, LeagueConfig, LeagueConfigPoints, LeagueTable, LeagueTableEntry, MatchOfficials, MatchTeam, MatchType, SetConfig, Stage } from '../../src/index.js'
 
 describe('league', () => {
   it('testLeague1', async () => {
@@ -1331,4 +1331,280 @@ describe('league', () => {
     const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
     assert.equal(competition.getTeam('{L:LG:LG1:foo}').getID(), CompetitionTeam.UNKNOWN_TEAM_ID)
   })
+  it('testLeagueGenerateRoundRobinEvenTeams', async () => {
+    const competition = new Competition('test competition')
+    const teamIDs = ['T1', 'T2', 'T3', 'T4', 'T5', 'T6']
+    teamIDs.forEach(id => competition.addTeam(new CompetitionTeam(competition, id, `Team ${id}`)))
+    const stage = new Stage(competition, 'S')
+    competition.addStage(stage)
+    const league = new League(stage, 'L', MatchType.SETS, false)
+    stage.addGroup(league)
+    const leagueConfig = new LeagueConfig(league)
+    league.setLeagueConfig(leagueConfig)
+    leagueConfig.setOrdering(['PTS', 'SD'])
+    leagueConfig.setPoints(new LeagueConfigPoints(leagueConfig))
+    league.setSetConfig(new SetConfig(league))
+
+    league.generateRoundRobin(teamIDs)
+
+    const matches = league.getMatches()
+    assert.equal(matches.length, 15)
+    assert.equal(matches[0].getID(), 'L1')
+    assert.equal(matches[14].getID(), 'L15')
+
+    const pairings = new Set()
+    const homeCounts = {}
+    const awayCounts = {}
+    matches.forEach(match => {
+      const home = match.getHomeTeam().getID()
+      const away = match.getAwayTeam().getID()
+      pairings.add([home, away].sort().join('-'))
+      homeCounts[home] = (homeCounts[home] ?? 0) + 1
+      awayCounts[away] = (awayCounts[away] ?? 0) + 1
+    })
+    assert.equal(pairings.size, 15)
+    teamIDs.forEach(id => {
+      assert.ok(Math.abs((homeCounts[id] ?? 0) - (awayCounts[id] ?? 0)) <= 1, `team ${id} is unbalanced`)
+    })
+
+    // each round of three matches has every team playing exactly once
+    for (let round = 0; round < 5; round++) {
+      const roundTeams = new Set()
+      matches.slice(round * 3, (round * 3) + 3).forEach(match => {
+        roundTeams.add(match.getHomeTeam().getID())
+        roundTeams.add(match.getAwayTeam().getID())
+      })
+      assert.equal(roundTeams.size, 6)
+    }
+
+    const reloaded = await Competition.loadFromCompetitionJSON(JSON.stringify(competition.serialize()))
+    assert.equal(reloaded.getStage('S').getGroup('L').getMatches().length, 15)
+  })
+
+  it('testLeagueGenerateRoundRobinOddTeamsAndLegs', async () => {
+    const competition = new Competition('test competition')
+    const teamIDs = ['T1', 'T2', 'T3', 'T4', 'T5']
+    teamIDs.forEach(id => competition.addTeam(new CompetitionTeam(competition, id, `Team ${id}`)))
+    const stage = new Stage(competition, 'S')
+    competition.addStage(stage)
+    const league = new League(stage, 'L', MatchType.CONTINUOUS, false)
+    stage.addGroup(league)
+    const leagueConfig = new LeagueConfig(league)
+    league.setLeagueConfig(leagueConfig)
+    leagueConfig.setOrdering(['PTS'])
+    leagueConfig.setPoints(new LeagueConfigPoints(leagueConfig))
+
+    league.generateRoundRobin(teamIDs, { legs: 2, idPrefix: 'M' })
+
+    const matches = league.getMatches().filter(match => match instanceof GroupMatch)
+    const breaks = league.getMatches().filter(match => match instanceof GroupBreak)
+    assert.equal(matches.length, 20)
+    assert.equal(breaks.length, 10)
+    assert.equal(matches[0].getID(), 'M1')
+    assert.equal(breaks[0].getName(), 'Round 1 bye: T1')
+    assert.equal(breaks[9].getName(), 'Round 10 bye: T3')
+
+    const byes = {}
+    breaks.forEach(groupBreak => {
+      const teamID = groupBreak.getName().split(': ')[1]
+      byes[teamID] = (byes[teamID] ?? 0) + 1
+    })
+    teamIDs.forEach(id => assert.equal(byes[id], 2))
+
+    // the second leg reverses the fixtures of the first
+    const fixtures = matches.map(match => `${match.getHomeTeam().getID()}-${match.getAwayTeam().getID()}`)
+    for (let i = 0; i < 10; i++) {
+      const [home, away] = fixtures[i].split('-')
+      assert.equal(fixtures[i + 10], `${away}-${home}`)
+    }
+
+    assert.equal(matches[0].isComplete(), false)
+    assert.equal(matches[0].getComplete(), false)
+
+    const reloaded = await Competition.loadFromCompetitionJSON(JSON.stringify(competition.serialize()))
+    assert.equal(reloaded.getStage('S').getGroup('L').getMatches().length, 30)
+  })
+
+  it('testLeagueGenerateRoundRobinNoBalance', () => {
+    const competition = new Competition('test competition')
+    const teamIDs = ['T1', 'T2', 'T3', 'T4']
+    teamIDs.forEach(id => competition.addTeam(new CompetitionTeam(competition, id, `Team ${id}`)))
+    const stage = new Stage(competition, 'S')
+    competition.addStage(stage)
+    const league = new League(stage, 'L', MatchType.SETS, false)
+    stage.addGroup(league)
+
+    league.generateRoundRobin(teamIDs, { homeAwayBalance: false })
+    const fixedTeamHomeMatches = league.getMatches().filter(match => match.getHomeTeam().getID() === 'T1')
+    assert.equal(fixedTeamHomeMatches.length, 3)
+
+    const balancedLeague = new League(stage, 'B', MatchType.SETS, false)
+    stage.addGroup(balancedLeague)
+    const balancedCompetitionTeams = ['B1', 'B2', 'B3', 'B4']
+    balancedCompetitionTeams.forEach(id => competition.addTeam(new CompetitionTeam(competition, id, `Team ${id}`)))
+    balancedLeague.generateRoundRobin(balancedCompetitionTeams)
+    assert.equal(balancedLeague.getMatches().filter(match => match.getHomeTeam().getID() === 'B1').length, 2)
+  })
+
+  it('testLeagueGenerateRoundRobinInvalid', () => {
+    const competition = new Competition('test competition')
+    competition.addTeam(new CompetitionTeam(competition, 'T1', 'Team 1'))
+    competition.addTeam(new CompetitionTeam(competition, 'T2', 'Team 2'))
+    const stage = new Stage(competition, 'S')
+    competition.addStage(stage)
+    const league = new League(stage, 'L', MatchType.SETS, false)
+    stage.addGroup(league)
+
+    assert.throws(() => {
+      league.generateRoundRobin(['T1'])
+    }, {
+      message: 'Invalid round robin: at least two teams are required'
+    })
+
+    assert.throws(() => {
+      league.generateRoundRobin(['T1', 'T2', 'T1'])
+    }, {
+      message: 'Invalid round robin: each team must only appear once'
+    })
+
+    assert.throws(() => {
+      league.generateRoundRobin(['T1', 'T2'], { legs: 0 })
+    }, {
+      message: 'Invalid round robin: legs must be a positive integer'
+    })
+
+    assert.throws(() => {
+      league.generateRoundRobin(['T1', 'T2', 'T3', 'T4'])
+    }, {
+      message: 'Invalid team ID for awayTeam in match with ID "L1"'
+    })
+    assert.equal(league.getMatches().length, 0)
+  })
+
+  it('testLeagueClinchStatusPoints', async () => {
+    const competitionJSON = await readFile(new URL(path.join('leagues', 'incomplete-league-clinch.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+    const league = competition.getStage('L').getGroup('LG')
+
+    // TM1 can no longer be caught, and TM3 can only draw level with TM2 on points, leaving second place to the tie-breakers
+    const clinchStatus = league.getClinchStatus()
+    assert.deepEqual(clinchStatus.map(status => [status.entry.getTeamID(), status.highest, status.lowest]), [
+      ['TM1', 1, 1],
+      ['TM2', 2, 3],
+      ['TM3', 2, 4],
+      ['TM4', 3, 4]
+    ])
+    assert(clinchStatus[0].entry === league.getLeagueTable().entries[0])
+    assert.deepEqual(clinchStatus[0].positions, [ClinchStatus.GUARANTEED, ClinchStatus.IMPOSSIBLE, ClinchStatus.IMPOSSIBLE, ClinchStatus.IMPOSSIBLE])
+    assert.deepEqual(clinchStatus[2].positions, [ClinchStatus.IMPOSSIBLE, ClinchStatus.UNDETERMINED, ClinchStatus.UNDETERMINED, ClinchStatus.UNDETERMINED])
+
+    assert.equal(league.getClinchStatusForRange('TM1', 1, 1), ClinchStatus.GUARANTEED)
+    assert.equal(league.getClinchStatusForRange('TM2', 1, 2), ClinchStatus.UNDETERMINED)
+    assert.equal(league.getClinchStatusForRange('TM2', 1, 3), ClinchStatus.GUARANTEED)
+    assert.equal(league.getClinchStatusForRange('TM2', 4, 4), ClinchStatus.IMPOSSIBLE)
+    assert.equal(league.getClinchStatusForRange('TM4', 1, 2), ClinchStatus.IMPOSSIBLE)
+    assert.equal(league.getClinchStatusForRange('TM4', 3, 4), ClinchStatus.GUARANTEED)
+
+    const winsLeague = competition.getStage('W').getGroup('WG')
+    assert.deepEqual(winsLeague.getClinchStatus().map(status => [status.entry.getTeamID(), status.highest, status.lowest]), [
+      ['TM1', 1, 1],
+      ['TM2', 2, 3],
+      ['TM3', 2, 4],
+      ['TM4', 3, 4]
+    ])
+
+    // The table for a league of team references covers every team, even though it is first processed while the matches are loaded
+    const referenceLeague = competition.getStage('R').getGroup('RG')
+    assert.deepEqual(referenceLeague.getClinchStatus().map(status => [status.entry.getTeamID(), status.highest, status.lowest]), [
+      ['{L:LG:league:1}', 1, 3],
+      ['{L:LG:league:2}', 2, 4],
+      ['{L:LG:league:3}', 1, 4],
+      ['{L:LG:league:4}', 1, 4]
+    ])
+
+    // Once a league gives bonus points, a team with matches left could still get any number of points, and likewise for penalty points,
+    // so TM4 is no longer ruled out of first place and TM1 is no longer sure of it
+    const anyPosition = () => league.getClinchStatus().every(status => status.highest === 1 && status.lowest === 4)
+    league.getMatch('LG3').getAwayTeam().setBonusPoints(1)
+    assert(anyPosition())
+    league.getMatch('LG3').getAwayTeam().setBonusPoints(0)
+    assert(!anyPosition())
+    league.getMatch('LG1').getAwayTeam().setPenaltyPoints(1)
+    assert(anyPosition())
+
+    // Points difference cannot be bounded, so nothing is known until the league is complete
+    const pdLeague = competition.getStage('P').getGroup('PG')
+    pdLeague.getClinchStatus().forEach(status => {
+      assert.equal(status.highest, 1)
+      assert.equal(status.lowest, 4)
+      assert(status.positions.every(position => position === ClinchStatus.UNDETERMINED))
+    })
+  })
+
+  it('testLeagueClinchStatusSets', async () => {
+    const competitionJSON = await readFile(new URL(path.join('leagues', 'incomplete-league-clinch.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+
+    // TM1 has finished its matches with more points than the others can reach, even though TM3 has a match in progress
+    const setsLeague = competition.getStage('S').getGroup('SG')
+    assert.deepEqual(setsLeague.getClinchStatus().map(status => [status.entry.getTeamID(), status.highest, status.lowest]), [
+      ['TM1', 1, 1],
+      ['TM3', 2, 3],
+      ['TM2', 2, 3]
+    ])
+
+    // With two sets a match can be split, so TM3 can still draw level with TM1
+    const drawsLeague = competition.getStage('D').getGroup('DG')
+    assert.deepEqual(drawsLeague.getClinchStatus().map(status => [status.entry.getTeamID(), status.highest, status.lowest]), [
+      ['TM1', 1, 2],
+      ['TM2', 2, 3],
+      ['TM3', 1, 3]
+    ])
+  })
+
+  it('testLeagueClinchStatusComplete', async () => {
+    const competitionJSON = await readFile(new URL(path.join('leagues', 'complete-league.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+    const league = competition.getStage('L').getGroup('LG')
+
+    league.getClinchStatus().forEach((status, i) => {
+      assert(status.entry === league.getLeagueTable().entries[i])
+      assert.equal(status.highest, i + 1)
+      assert.equal(status.lowest, i + 1)
+      assert.equal(status.positions.filter(position => position === ClinchStatus.GUARANTEED).length, 1)
+      assert.equal(status.positions[i], ClinchStatus.GUARANTEED)
+    })
+  })
+
+  it('testLeagueClinchStatusInvalid', async () => {
+    const competitionJSON = await readFile(new URL(path.join('leagues', 'incomplete-league-clinch.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+    const league = competition.getStage('L').getGroup('LG')
+
+    assert.throws(() => {
+      league.getClinchStatusForRange('TM9', 1, 2)
+    }, {
+      message: 'Team with ID TM9 not found in the league table'
+    })
+    assert.throws(() => {
+      league.getClinchStatusForRange('TM1', 0, 2)
+    }, {
+      message: 'Invalid position range 0 to 2: positions must be integers from 1 to 4, with the first no lower than the second'
+    })
+    assert.throws(() => {
+      league.getClinchStatusForRange('TM1', 3, 2)
+    }, {
+      message: 'Invalid position range 3 to 2: positions must be integers from 1 to 4, with the first no lower than the second'
+    })
+    assert.throws(() => {
+      league.getClinchStatusForRange('TM1', 1, 5)
+    }, {
+      message: 'Invalid position range 1 to 5: positions must be integers from 1 to 4, with the first no lower than the second'
+    })
+    assert.throws(() => {
+      league.getClinchStatusForRange('TM1', 1.5, 2)
+    }, {
+      message: 'Invalid position range 1.5 to 2: positions must be integers from 1 to 4, with the first no lower than the second'
+    })
+  })
 })
@@ -0,0 +1,130 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { readFile } from 'node:fs/promises'
+import path from 'node:path'
+
+import { Competition, LeagueSimulator } from '../../src/index.js'
+
+async function loadCompetition (file) {
+  const competitionJSON = await readFile(new URL(path.join('simulator', file), import.meta.url), { encoding: 'utf8' })
+  return Competition.loadFromCompetitionJSON(competitionJSON)
+}
+
+function seededRandom (seed) {
+  let state = seed
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648
+    return state / 2147483648
+  }
+}
+
+function finishingOrder (result) {
+  return Object.keys(result.teams).sort((a, b) => result.teams[a].counts.indexOf(result.iterations) - result.teams[b].counts.indexOf(result.iterations))
+}
+
+describe('leagueSimulator', () => {
+  it('testLeagueSimulatorContinuous', async () => {
+    const competition = await loadCompetition('league-continuous.json')
+    const league = competition.getStage('L').getGroup('LG')
+
+    const awayWins = await new LeagueSimulator(league, { random: () => 0.99 }).simulate(3)
+    assert.equal(awayWins.iterations, 3)
+    assert.deepEqual(awayWins.teams.TM1, { counts: [3, 0, 0, 0], probabilities: [1, 0, 0, 0] })
+    assert.deepEqual(finishingOrder(awayWins), ['TM1', 'TM4', 'TM3', 'TM2'])
+
+    const draws = await new LeagueSimulator(league, { random: () => 0 }).simulate(2)
+    assert.deepEqual(finishingOrder(draws), ['TM1', 'TM4', 'TM2', 'TM3'])
+
+    // The friendly match is never simulated, and the competition being simulated is unchanged
+    assert.equal(league.getMatch('LG4').isComplete(), false)
+    assert.equal(league.getMatch('LG7').isComplete(), false)
+    assert.deepEqual(league.getLeagueTable().entries.map(entry => entry.getPlayed()), [2, 1, 1, 2])
+  })
+
+  it('testLeagueSimulatorStrengthModel', async () => {
+    const competition = await loadCompetition('league-continuous.json')
+    const league = competition.getStage('L').getGroup('LG')
+
+    // With the same random numbers, the stronger TM4 beats TM2 in the strength model but not in the uniform model
+    const uniform = await new LeagueSimulator(league, { model: 'uniform', random: () => 0.62 }).simulate(1)
+    assert.deepEqual(finishingOrder(uniform), ['TM1', 'TM2', 'TM4', 'TM3'])
+
+    const strength = await new LeagueSimulator(league, { model: 'strength', random: () => 0.62 }).simulate(1)
+    assert.deepEqual(finishingOrder(strength), ['TM1', 'TM4', 'TM2', 'TM3'])
+  })
+
+  it('testLeagueSimulatorSets', async () => {
+    const competition = await loadCompetition('league-sets.json')
+    const league = competition.getStage('L').getGroup('LG')
+
+    const homeWins = await new LeagueSimulator(league, { random: () => 0 }).simulate(2)
+    assert.deepEqual(finishingOrder(homeWins), ['TM1', 'TM2', 'TM3'])
+
+    const awayWins = await new LeagueSimulator(league, { model: 'strength', random: () => 0.99 }).simulate(2)
+    assert.deepEqual(finishingOrder(awayWins), ['TM3', 'TM1', 'TM2'])
+
+    // Two sets can be split, so a draw is possible, with the points difference deciding the order
+    const draws = await new LeagueSimulator(competition.getStage('D').getGroup('DR'), { random: () => 0 }).simulate(1)
+    assert.deepEqual(draws.teams, {
+      TM2: { counts: [1, 0], probabilities: [1, 0] },
+      TM1: { counts: [0, 1], probabilities: [0, 1] }
+    })
+    const strengthDraws = await new LeagueSimulator(competition.getStage('D').getGroup('DR'), { model: 'strength', random: () => 0 }).simulate(1)
+    assert.deepEqual(strengthDraws, draws)
+    assert.equal(league.getMatch('LG2').isComplete(), false)
+  })
+
+  it('testLeagueSimulatorDistribution', async () => {
+    const competition = await loadCompetition('league-sets.json')
+    const league = competition.getStage('L').getGroup('LG')
+
+    const result = await new LeagueSimulator(league, { random: seededRandom(42) }).simulate(200)
+    assert.deepEqual(result, await new LeagueSimulator(league, { random: seededRandom(42) }).simulate(200))
+
+    for (const teamID of ['TM1', 'TM2', 'TM3']) {
+      assert.equal(result.teams[teamID].counts.reduce((total, count) => total + count, 0), 200)
+      assert.equal(result.teams[teamID].probabilities.reduce((total, probability) => total + probability, 0).toFixed(6), '1.000000')
+    }
+    for (let position = 0; position < 3; position++) {
+      assert.equal(Object.values(result.teams).reduce((total, team) => total + team.counts[position], 0), 200)
+    }
+    // TM2 has already lost, so can never win the league
+    assert.equal(result.teams.TM2.counts[0], 0)
+    assert(result.teams.TM1.counts[0] > 0)
+    assert(result.teams.TM3.counts[0] > 0)
+
+    const defaults = await new LeagueSimulator(league).simulate(10)
+    assert.equal(Object.values(defaults.teams).reduce((total, team) => total + team.counts[0], 0), 10)
+  })
+
+  it('testLeagueSimulatorInvalid', async () => {
+    const competition = await loadCompetition('league-sets.json')
+    const league = competition.getStage('L').getGroup('LG')
+
+    assert.throws(() => {
+      new LeagueSimulator(competition.getStage('F').getGroup('KO'))
+    }, {
+      message: 'Group {F:KO} is not a league'
+    })
+    assert.throws(() => {
+      new LeagueSimulator(league, { model: 'elo' })
+    }, {
+      message: 'Invalid model "elo": must be one of "uniform", "strength"'
+    })
+    assert.throws(() => {
+      new LeagueSimulator(league, { points: 0 })
+    }, {
+      message: 'Invalid points "0": must be a positive integer'
+    })
+    await assert.rejects(async () => {
+      await new LeagueSimulator(league).simulate(0)
+    }, {
+      message: 'Invalid iterations "0": must be a positive integer'
+    })
+    await assert.rejects(async () => {
+      await new LeagueSimulator(league).simulate(1.5)
+    }, {
+      message: 'Invalid iterations "1.5": must be a positive integer'
+    })
+  })
+})
@@ -0,0 +1,170 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { readFile } from 'node:fs/promises'
+import path from 'node:path'
+
+import { Competition, MatchSheet, Player } from '../../src/index.js'
+
+async function loadCompetition (modify = null) {
+  const competitionJSON = await readFile(new URL(path.join('matchsheet', 'competition.json'), import.meta.url), { encoding: 'utf8' })
+  if (modify === null) {
+    return Competition.loadFromCompetitionJSON(competitionJSON)
+  }
+  const competitionData = JSON.parse(competitionJSON)
+  modify(competitionData.stages[0].groups[0].matches[0].homeTeam.matchSheet.sets[0])
+  return Competition.loadFromCompetitionJSON(JSON.stringify(competitionData))
+}
+
+describe('matchSheet', () => {
+  it('testMatchSheetLoad', async () => {
+    const competition = await loadCompetition()
+    const group = competition.getStage('L').getGroup('SETS')
+    const homeTeam = group.getMatch('M1').getHomeTeam()
+    const matchSheet = homeTeam.getMatchSheet()
+    const player = id => competition.getPlayer(id)
+
+    assert(matchSheet instanceof MatchSheet)
+    assert.equal(matchSheet.getMatchTeam(), homeTeam)
+    assert.equal(group.getSetConfig().getMaxSubstitutions(), 2)
+    assert.equal(group.getSetConfig().getMaxTimeouts(), 1)
+    assert.equal(matchSheet.getSetCount(), 1)
+    assert.deepEqual(matchSheet.getLineup(0), ['A1', 'A2', 'A3', 'A4', 'A5', 'A6'].map(player))
+    assert.deepEqual(matchSheet.getSubstitutions(0), [{ playerOut: player('A1'), playerIn: player('A7'), score: [3, 2] }])
+    assert.deepEqual(matchSheet.getLiberoReplacements(0), [{ libero: player('A8'), player: player('A2'), score: [5, 5] }])
+    assert.deepEqual(matchSheet.getTimeouts(0), [{ score: [8, 10] }])
+    assert.deepEqual(matchSheet.getPlayersOnCourt(0), ['A7', 'A2', 'A3', 'A4', 'A5', 'A6'].map(player))
+
+    // A player who has since moved team is still loaded
+    assert.deepEqual(group.getMatch('M2').getAwayTeam().getMatchSheet().getLineup(0), [player('A1'), player('T1')])
+    assert.equal(group.getMatch('M1').getAwayTeam().getMatchSheet(), null)
+    assert(!Object.hasOwn(group.getMatch('M1').getAwayTeam().serialize(), 'matchSheet'))
+
+    assert.deepEqual(homeTeam.serialize().matchSheet, {
+      sets: [
+        {
+          lineup: ['{A1}', '{A2}', '{A3}', '{A4}', '{A5}', '{A6}'],
+          substitutions: [{ playerOut: '{A1}', playerIn: '{A7}', score: [3, 2] }],
+          liberoReplacements: [{ libero: '{A8}', player: '{A2}', score: [5, 5] }],
+          timeouts: [{ score: [8, 10] }]
+        }
+      ]
+    })
+    assert((await Competition.loadFromCompetitionJSON(JSON.stringify(competition.serialize()))).equals(competition))
+  })
+
+  it('testMatchSheetRecord', async () => {
+    const competition = await loadCompetition()
+    const matchTeam = competition.getStage('L').getGroup('SETS').getMatch('M2').getHomeTeam()
+    const player = id => competition.getPlayer(id)
+    const matchSheet = new MatchSheet(matchTeam)
+    matchTeam.setMatchSheet(matchSheet)
+
+    matchSheet.setLineup(0, [player('B1')])
+    matchSheet.setLineup(0, [player('B1'), player('B2')])
+    matchSheet.addSubstitution(0, player('B1'), player('T1'), [1, 0])
+    matchSheet.addSubstitution(0, player('T1'), player('B1'), [4, 6])
+    matchSheet.addTimeout(0, [4, 7])
+    matchSheet.setLineup(1, [player('T1'), player('B2')])
+    matchSheet.addLiberoReplacement(1, player('B1'), player('B2'), [0, 0])
+
+    assert.equal(matchSheet.getSetCount(), 2)
+    assert.deepEqual(matchSheet.getPlayersOnCourt(0), [player('B1'), player('B2')])
+    assert.equal(matchSheet.getSubstitutions(0).length, 2)
+    assert.deepEqual(matchSheet.getTimeouts(1), [])
+    assert.deepEqual(matchTeam.serialize().matchSheet.sets[1], {
+      lineup: ['{T1}', '{B2}'],
+      substitutions: [],
+      liberoReplacements: [{ libero: '{B1}', player: '{B2}', score: [0, 0] }],
+      timeouts: []
+    })
+
+    // The getters return copies
+    matchSheet.getSubstitutions(0)[0].score.push(99)
+    matchSheet.getLineup(0).pop()
+    assert.deepEqual(matchSheet.getSubstitutions(0)[0].score, [1, 0])
+    assert.equal(matchSheet.getLineup(0).length, 2)
+
+    matchTeam.setMatchSheet(null)
+    assert(!Object.hasOwn(matchTeam.serialize(), 'matchSheet'))
+  })
+
+  it('testMatchSheetInvalid', async () => {
+    const competition = await loadCompetition()
+    const group = competition.getStage('L').getGroup('SETS')
+    const player = id => competition.getPlayer(id)
+    const matchSheet = group.getMatch('M1').getHomeTeam().getMatchSheet()
+    const prefix = 'Invalid match sheet for team "TM1" in match {L:SETS:M1}: '
+
+    assert.throws(() => new MatchSheet(competition.getStage('C').getGroup('CONT').getMatch('C1').getHomeTeam()), {
+      message: 'Cannot record a match sheet for team "TM3" in match {C:CONT:C1}: the match type is continuous'
+    })
+
+    assert.throws(() => matchSheet.setLineup(1, [player('B1')]), { message: prefix + 'player "Ben Baker" is not registered to the team' })
+    assert.throws(() => matchSheet.setLineup(1, [new Player(competition, Player.UNREGISTERED_PLAYER_ID, 'Someone')]), {
+      message: prefix + 'player "Someone" is not registered to the team'
+    })
+    assert.throws(() => matchSheet.setLineup(1, [player('T1')]), { message: prefix + 'player "Tom Transfer" is not registered to the team' })
+
+    // Players are checked against the team they were registered to on the date of the match
+    const datedMatch = group.getMatch('M2')
+    datedMatch.setDate('2023-12-01')
+    datedMatch.getAwayTeam().getMatchSheet().setLineup(1, [player('T1')])
+    datedMatch.setDate('2024-02-01')
+    assert.throws(() => datedMatch.getAwayTeam().getMatchSheet().setLineup(1, [player('T1')]), {
+      message: 'Invalid match sheet for team "TM1" in match {L:SETS:M2}: player "Tom Transfer" is not registered to the team'
+    })
+    assert.throws(() => matchSheet.setLineup(1, [player('A1'), player('A2'), player('A1')]), {
+      message: prefix + 'player {A1} is in the line-up for the set at index 1 more than once'
+    })
+    assert.throws(() => matchSheet.setLineup(2, [player('A1')]), { message: prefix + 'cannot start the set at index 2' })
+    assert.throws(() => matchSheet.setLineup(0, [player('A1')]), {
+      message: prefix + 'cannot change the line-up for the set at index 0 after substitutions have been made'
+    })
+    assert.throws(() => matchSheet.getLineup(1), { message: prefix + 'the set at index 1 has no line-up' })
+    assert.throws(() => matchSheet.addTimeout(-1, [0, 0]), { message: prefix + 'the set at index -1 has no line-up' })
+
+    assert.throws(() => matchSheet.addSubstitution(0, player('A1'), player('A8'), [6, 6]), { message: prefix + 'player {A1} is not on court in the set at index 0' })
+    assert.throws(() => matchSheet.addSubstitution(0, player('A7'), player('A2'), [6, 6]), { message: prefix + 'player {A2} is already on court in the set at index 0' })
+    assert.throws(() => matchSheet.addLiberoReplacement(0, player('A3'), player('A4'), [6, 6]), { message: prefix + 'player {A3} is already on court in the set at index 0' })
+    assert.throws(() => matchSheet.addLiberoReplacement(0, player('A8'), player('A1'), [6, 6]), { message: prefix + 'player {A1} is not on court in the set at index 0' })
+    assert.throws(() => matchSheet.addTimeout(0, [9, 10]), { message: prefix + 'the team has already taken 1 timeouts in the set at index 0' })
+    matchSheet.addSubstitution(0, player('A7'), player('A1'), [9, 10])
+    assert.throws(() => matchSheet.addSubstitution(0, player('A2'), player('A8'), [9, 10]), { message: prefix + 'the team has already made 2 substitutions in the set at index 0' })
+
+    // A team that is not yet known has no registered players
+    const finalSheet = new MatchSheet(competition.getStage('F').getGroup('F').getMatch('F1').getHomeTeam())
+    assert.throws(() => finalSheet.setLineup(0, [player('A1')]), {
+      message: 'Invalid match sheet for team "{L:SETS:M3:winner}" in match {F:F:F1}: player "Anna Adams" is not registered to the team'
+    })
+
+    await assert.rejects(loadCompetition(set => { set.lineup.push('{X1}') }), { message: 'Player with ID "X1" not found' })
+    await assert.rejects(loadCompetition(set => { set.timeouts.push({ score: [9, 10] }) }), {
+      message: prefix + 'the team has already taken 1 timeouts in the set at index 0'
+    })
+  })
+
+  it('testMatchSheetHistory', async () => {
+    const competition = await loadCompetition()
+    const history = competition.enableHistory()
+    const matchTeam = competition.getStage('L').getGroup('SETS').getMatch('M1').getHomeTeam()
+    const matchSheet = matchTeam.getMatchSheet()
+    const player = id => competition.getPlayer(id)
+    const before = competition.clone()
+
+    matchSheet.addSubstitution(0, player('A7'), player('A1'), [10, 10])
+    assert.equal(matchSheet.getSubstitutions(0).length, 2)
+    history.undo()
+    assert.equal(matchSheet.getSubstitutions(0).length, 1)
+    assert(competition.equals(before))
+    history.redo()
+    assert.deepEqual(matchSheet.getPlayersOnCourt(0), ['A1', 'A2', 'A3', 'A4', 'A5', 'A6'].map(player))
+
+    // A change that fails is not recorded
+    assert.throws(() => matchSheet.addTimeout(0, [12, 12]))
+    assert.deepEqual(history.getUndoNames(), [null])
+
+    matchTeam.setMatchSheet(null)
+    history.undo()
+    assert.equal(matchTeam.getMatchSheet(), matchSheet)
+  })
+})
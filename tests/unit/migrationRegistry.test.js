@@ -0,0 +1,154 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { readFile } from 'node:fs/promises'
+import path from 'node:path'
+
+import { Competition, MigrationRegistry } from '../../src/index.js'
+
+function buildRegistry () {
+  const registry = new MigrationRegistry()
+  registry.register('0.9.0', '0.9.5', data => {
+    data.name = data.title
+    delete data.title
+    return data
+  }, data => {
+    data.title = data.name
+    delete data.name
+    return data
+  })
+  registry.register('0.9.5', '1.0.0', data => {
+    data.teams = data.teams.map(team => ({ id: team.id, name: team.title }))
+    return data
+  }, data => {
+    data.teams = data.teams.map(team => ({ id: team.id, title: team.name }))
+    return data
+  })
+  return registry
+}
+
+describe('migrationRegistry', () => {
+  it('testMigrationRegistryUpgradeOnLoad', async () => {
+    const competitionJSON = await readFile(new URL(path.join('migrations', 'competition-0.9.0.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON, { migrations: buildRegistry() })
+
+    assert.equal(competition.getVersion(), Competition.SCHEMA_VERSION)
+    assert.equal(competition.getName(), 'Old League')
+    assert.equal(competition.getTeam('TM1').getName(), 'Alice VC')
+    assert.equal(competition.getStage('L').getGroup('LG').getMatch('LG1').getWinnerTeamID(), 'TM1')
+    assert.deepEqual(competition.getAppliedMigrations(), [
+      { from: '0.9.0', to: '0.9.5' },
+      { from: '0.9.5', to: '1.0.0' }
+    ])
+  })
+
+  it('testMigrationRegistryNoMigrationsNeeded', async () => {
+    const competitionJSON = await readFile(new URL(path.join('migrations', 'competition-1.0.0.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON, { migrations: buildRegistry() })
+    assert.deepEqual(competition.getAppliedMigrations(), [])
+
+    const unversioned = await Competition.loadFromCompetitionJSON('{"name": "No version", "teams": [], "stages": []}')
+    assert.equal(unversioned.getVersion(), '1.0.0')
+    assert.deepEqual(unversioned.getAppliedMigrations(), [])
+    assert.deepEqual(new Competition('New').getAppliedMigrations(), [])
+  })
+
+  it('testMigrationRegistryUnsupportedVersion', async () => {
+    const competitionJSON = await readFile(new URL(path.join('migrations', 'competition-0.9.0.json'), import.meta.url), { encoding: 'utf8' })
+    await assert.rejects(async () => {
+      await Competition.loadFromCompetitionJSON(competitionJSON)
+    }, {
+      message: 'Document version 0.9.0 not supported'
+    })
+    await assert.rejects(async () => {
+      await Competition.loadFromCompetitionJSON('{"version": "0.8.0", "name": "Too old", "teams": [], "stages": []}', { migrations: buildRegistry() })
+    }, {
+      message: 'Document version 0.8.0 not supported'
+    })
+  })
+
+  it('testMigrationRegistryDowngradeOnSerialize', async () => {
+    const competitionJSON = await readFile(new URL(path.join('migrations', 'competition-0.9.0.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON, { migrations: buildRegistry() })
+
+    const current = competition.serialize()
+    assert.equal(current.version, '1.0.0')
+    assert.equal(current.name, 'Old League')
+    assert.deepEqual(competition.serialize('1.0.0'), current)
+
+    const old = competition.serialize('0.9.0')
+    assert.equal(old.version, '0.9.0')
+    assert.equal(old.title, 'Old League')
+    assert.equal(Object.hasOwn(old, 'name'), false)
+    assert.deepEqual(old.teams, [{ id: 'TM1', title: 'Alice VC' }, { id: 'TM2', title: 'Bob VC' }])
+    assert.deepEqual(old.stages, current.stages)
+
+    // Serializing to an older version leaves the competition unchanged
+    assert.deepEqual(competition.serialize(), current)
+
+    assert.throws(() => {
+      competition.serialize('0.8.0')
+    }, {
+      message: 'Cannot downgrade from version 1.0.0 to version 0.8.0: no migration path'
+    })
+    assert.throws(() => {
+      new Competition('New').serialize('0.9.0')
+    }, {
+      message: 'Cannot downgrade from version 1.0.0 to version 0.9.0: no migration path'
+    })
+  })
+
+  it('testMigrationRegistryIrreversibleMigration', () => {
+    const registry = new MigrationRegistry()
+    registry.register('0.9.0', '1.0.0', data => data)
+
+    assert.deepEqual(registry.upgrade({ version: '0.9.0' }, '1.0.0'), { data: { version: '1.0.0' }, applied: [{ from: '0.9.0', to: '1.0.0' }] })
+    assert.throws(() => {
+      registry.downgrade({ version: '1.0.0' }, '0.9.0')
+    }, {
+      message: 'Cannot downgrade from version 1.0.0 to version 0.9.0: no migration path'
+    })
+  })
+
+  it('testMigrationRegistryShortestPath', () => {
+    const registry = buildRegistry()
+    registry.register('0.9.0', '1.0.0', data => {
+      data.direct = true
+      return data
+    }, data => {
+      data.direct = false
+      return data
+    })
+
+    assert.deepEqual(registry.upgrade({ version: '0.9.0' }, '1.0.0'), { data: { version: '1.0.0', direct: true }, applied: [{ from: '0.9.0', to: '1.0.0' }] })
+    assert.deepEqual(registry.downgrade({ version: '1.0.0' }, '0.9.0'), { data: { version: '0.9.0', direct: false }, applied: [{ from: '1.0.0', to: '0.9.0' }] })
+    assert.deepEqual(registry.upgrade({ version: '0.9.5' }, '0.9.5'), { data: { version: '0.9.5' }, applied: [] })
+  })
+
+  it('testMigrationRegistryRegister', () => {
+    const registry = buildRegistry()
+    assert.equal(registry.hasMigration('0.9.0', '0.9.5'), true)
+    assert.equal(registry.hasMigration('0.9.5', '0.9.0'), false)
+    assert.equal(MigrationRegistry.getDefault(), MigrationRegistry.getDefault())
+
+    assert.throws(() => {
+      registry.register('0.9', '1.0.0', data => data)
+    }, {
+      message: 'Invalid version "0.9": must be of the form "major.minor.patch"'
+    })
+    assert.throws(() => {
+      registry.register('0.9.0', 'v1.0.0', data => data)
+    }, {
+      message: 'Invalid version "v1.0.0": must be of the form "major.minor.patch"'
+    })
+    assert.throws(() => {
+      registry.register('1.0.0', '1.0.0', data => data)
+    }, {
+      message: 'Invalid migration: cannot migrate from version 1.0.0 to itself'
+    })
+    assert.throws(() => {
+      registry.register('0.9.0', '0.9.5', data => data)
+    }, {
+      message: 'Migration from version 0.9.0 to version 0.9.5 already registered'
+    })
+  })
+})
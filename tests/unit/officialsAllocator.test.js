@@ -0,0 +1,57 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { readFile } from 'node:fs/promises'
+import path from 'node:path'
+
+import { Competition, GroupMatch, OfficialsAllocator } from '../../src/index.js'
+
+describe('officialsAllocator', () => {
+  it('testOfficialsAllocatorGroup', async () => {
+    const competitionJSON = await readFile(new URL(path.join('allocator', 'league-officials.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+    const league = competition.getStage('L').getGroup('LG')
+
+    const allocator = new OfficialsAllocator(league)
+    assert.deepEqual(allocator.getDutyCounts(), {})
+
+    const dutyCounts = allocator.allocate()
+    assert.deepEqual(dutyCounts, { TM1: 2, TM2: 1, TM3: 1, TM4: 1 })
+    assert.deepEqual(allocator.getDutyCounts(), dutyCounts)
+
+    assert.equal(league.getMatch('LG1').getOfficials().getTeamID(), 'TM3')
+    assert.equal(league.getMatch('LG2').getOfficials().getTeamID(), 'TM1')
+    assert.equal(league.getMatch('LG3').getOfficials().getTeamID(), 'TM4')
+    assert.equal(league.getMatch('LG4').getOfficials().getTeamID(), 'TM1')
+    assert.equal(league.getMatch('LG5').getOfficials().getTeamID(), 'TM2')
+    assert.equal(league.getMatch('LG6').getOfficials().isTeam(), false)
+    assert.equal(league.getMatch('LG7').getOfficials().getTeamID(), 'TM9')
+
+    const reloaded = await Competition.loadFromCompetitionJSON(JSON.stringify(competition.serialize()))
+    assert.equal(reloaded.getStage('L').getGroup('LG').getMatch('LG4').getOfficials().getTeamID(), 'TM1')
+  })
+
+  it('testOfficialsAllocatorStage', async () => {
+    const competitionJSON = await readFile(new URL(path.join('allocator', 'league-officials.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+    const stage = competition.getStage('P')
+
+    const dutyCounts = new OfficialsAllocator(stage).allocate()
+    assert.deepEqual(dutyCounts, { TM1: 1, TM2: 1, TM3: 1, TM4: 1, TM9: 1, '{L:LG:league:1}': 0 })
+
+    stage.getMatches().filter(match => match instanceof GroupMatch).forEach(match => {
+      const officialsID = match.getOfficials().getTeamID()
+      assert.notEqual(officialsID, match.getHomeTeam().getID())
+      assert.notEqual(officialsID, match.getAwayTeam().getID())
+    })
+  })
+
+  it('testOfficialsAllocatorNoCandidates', async () => {
+    const competitionJSON = await readFile(new URL(path.join('allocator', 'league-officials.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+    const group = competition.getStage('P').getGroup('A')
+
+    assert.deepEqual(new OfficialsAllocator(group).allocate(), { TM1: 0, TM2: 0 })
+    assert.equal(group.getMatch('A1').hasOfficials(), false)
+    assert.equal(group.getMatch('A2').hasOfficials(), false)
+  })
+})
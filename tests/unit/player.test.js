@@ -3,7 +3,7 @@ import { describe, it } from 'node:test'
 import { readFile } from 'node:fs/promises'
 import path from 'node:path'
 
-import { Competition, CompetitionTeam, Player } from '../../src/index.js'
+import { Competition, CompetitionTeam, Player, PlayerTeam } from '../../src/index.js'
 
 describe('player', () => {
   it('testPlayerNone', async () => {
@@ -35,6 +35,86 @@ describe('player', () => {
     assert.equal(competition.getPlayer('P8').getCurrentTeam().getID(), CompetitionTeam.UNKNOWN_TEAM_ID)
   })
 
+  it('testPlayerGetTeamOnDate', async () => {
+    const competitionJSON = await readFile(new URL(path.join('players', 'players.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+    const player1 = competition.getPlayer('P1')
+
+    assert.equal(player1.getTeamOnDate('2023-08-31').getID(), CompetitionTeam.UNKNOWN_TEAM_ID)
+    assert.equal(player1.getTeamOnDate('2023-09-01').getID(), 'TM2')
+    assert.equal(player1.getTeamOnDate('2024-01-13').getID(), 'TM2')
+    // Where two entries cover a date, the most recent one is used
+    assert.equal(player1.getTeamOnDate('2024-01-14').getID(), 'TM3')
+    assert.equal(player1.getTeamOnDate('2030-01-01').getID(), 'TM3')
+    assert.equal(competition.getPlayer('P2').getTeamOnDate('2000-01-01').getID(), 'TM3')
+    assert.equal(competition.getPlayer('P8').getTeamOnDate('2024-01-01').getID(), CompetitionTeam.UNKNOWN_TEAM_ID)
+  })
+
+  it('testPlayerTransfer', async () => {
+    const competitionJSON = await readFile(new URL(path.join('players', 'players.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+    const history = competition.enableHistory()
+    const teamEntries = id => competition.getPlayer(id).getTeamEntries().map(entry => entry.serialize())
+
+    assert.equal(competition.transferPlayer('P1', 'TM1', '2024-03-01', 'loan'), competition)
+    assert.deepEqual(teamEntries('P1'), [
+      { id: 'TM2', from: '2023-09-01', until: '2024-01-14' },
+      { id: 'TM3', from: '2024-01-14', until: '2024-02-29', notes: 'some notes' },
+      { id: 'TM1', from: '2024-03-01', notes: 'loan' }
+    ])
+    assert.equal(competition.getPlayer('P1').getTeamOnDate('2024-02-29').getID(), 'TM3')
+    assert.equal(competition.getPlayer('P1').getTeamOnDate('2024-03-01').getID(), 'TM1')
+    assert.equal(competition.getPlayer('P1').getCurrentTeam().getID(), 'TM1')
+
+    // The transfer is undone as a whole
+    assert.equal(history.getUndoNames().length, 1)
+    history.undo()
+    assert.deepEqual(teamEntries('P1'), [
+      { id: 'TM2', from: '2023-09-01', until: '2024-01-14' },
+      { id: 'TM3', from: '2024-01-14', notes: 'some notes' }
+    ])
+
+    competition.transferPlayer('P2', 'TM1', '2024-01-01')
+    assert.deepEqual(teamEntries('P2'), [{ id: 'TM3', until: '2023-12-31' }, { id: 'TM1', from: '2024-01-01' }])
+
+    competition.transferPlayer('P8', 'TM2', '2024-01-01')
+    assert.deepEqual(teamEntries('P8'), [{ id: 'TM2', from: '2024-01-01' }])
+
+    // A team entry that has already ended is left as it is
+    competition.getPlayer('P7').getLatestTeamEntry().setUntil('2024-01-31')
+    competition.transferPlayer('P7', 'TM2', '2024-02-05')
+    assert.deepEqual(teamEntries('P7'), [{ id: 'TM2', until: '2024-01-31' }, { id: 'TM2', from: '2024-02-05' }])
+  })
+
+  it('testPlayerTransferInvalid', async () => {
+    const competitionJSON = await readFile(new URL(path.join('players', 'players.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+    const prefix = 'Cannot transfer player {P1} to team '
+
+    assert.throws(() => competition.transferPlayer('NO-SUCH-PLAYER', 'TM1', '2024-03-01'), { message: 'Player with ID "NO-SUCH-PLAYER" not found' })
+    assert.throws(() => competition.transferPlayer('P1', 'TM9', '2024-03-01'), { message: 'Team with ID "TM9" not found' })
+    assert.throws(() => competition.transferPlayer('P1', 'TM1', 'Today'), { message: 'Invalid date "Today": must contain a value of the form "YYYY-MM-DD"' })
+    assert.throws(() => competition.transferPlayer('P1', 'TM1', '2024-02-30'), { message: 'Invalid date "2024-02-30": date does not exist' })
+    assert.throws(() => competition.transferPlayer('P1', 'TM3', '2024-03-01'), {
+      message: prefix + '"TM3" on 2024-03-01: the player is already registered to the team'
+    })
+    competition.transferPlayer('P8', 'TM2', '2024-01-14')
+    assert.throws(() => competition.transferPlayer('P8', 'TM1', '2024-01-10'), {
+      message: 'Cannot transfer player {P8} to team "TM1" on 2024-01-10: the player\'s registration to team "TM2" starts on 2024-01-14'
+    })
+    assert.throws(() => competition.transferPlayer('P1', 'TM1', '2023-12-01'), {
+      message: prefix + '"TM1" on 2023-12-01: the player\'s registration to team "TM2" runs until 2024-01-14'
+    })
+    assert.equal(competition.getPlayer('P1').getTeamEntries().length, 2)
+
+    // Only the latest team entry is closed by a transfer, so an earlier one without an end date would overlap the new team entry
+    competition.getPlayer('P2').appendTeamEntry(new PlayerTeam(competition.getPlayer('P2'), 'TM1').setFrom('2024-01-01'))
+    assert.throws(() => competition.transferPlayer('P2', 'TM2', '2024-03-01'), {
+      message: 'Cannot transfer player {P2} to team "TM2" on 2024-03-01: the player\'s registration to team "TM3" has no end date'
+    })
+    assert.equal(competition.getPlayer('P2').getTeamEntries().length, 2)
+  })
+
   it('testPlayerGetByIDOutOfBounds', async () => {
     const competitionJSON = await readFile(new URL(path.join('players', 'players.json'), import.meta.url), { encoding: 'utf8' })
     const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
@@ -161,4 +241,17 @@ describe('player', () => {
       message: 'Player with ID "P1" already exists in the competition'
     })
   })
+
+  it('testPlayerEquals', async () => {
+    const competitionJSON = await readFile(new URL(path.join('players', 'players.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+    const clone = competition.clone()
+
+    assert(competition.getPlayer('P1').equals(clone.getPlayer('P1')))
+    assert(!competition.getPlayer('P1').equals(clone.getPlayer('P2')))
+    assert(!competition.getPlayer('P1').equals(competition.getTeam('TM1')))
+    clone.getPlayer('P1').setNotes('senior')
+    assert(!competition.getPlayer('P1').equals(clone.getPlayer('P1')))
+    assert.equal(competition.getPlayer('P1').getNotes(), 'junior')
+  })
 })
@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { readFile } from 'node:fs/promises'
+import path from 'node:path'
+
+import { Competition, Player, PlayerStatistics } from '../../src/index.js'
+
+async function loadCompetition () {
+  const competitionJSON = await readFile(new URL(path.join('statistics', 'competition.json'), import.meta.url), { encoding: 'utf8' })
+  return Competition.loadFromCompetitionJSON(competitionJSON)
+}
+
+describe('playerStatistics', () => {
+  it('testPlayerStatistics', async () => {
+    const competition = await loadCompetition()
+    const statistics = new PlayerStatistics(competition)
+
+    assert.deepEqual(statistics.getStatistics(), [
+      { id: 'P1', name: 'Anna Adams', appearances: 4, won: 1, lost: 1, drawn: 1, setsPlayed: 5, mvpAwards: 2, teams: ['TM1'] },
+      { id: 'P2', name: 'Ben Baker', appearances: 3, won: 2, lost: 0, drawn: 0, setsPlayed: 5, mvpAwards: 0, teams: ['TM1', 'TM2'] },
+      { id: 'P3', name: 'Cat Carter', appearances: 3, won: 1, lost: 1, drawn: 0, setsPlayed: 4, mvpAwards: 0, teams: ['TM2'] },
+      { id: Player.UNREGISTERED_PLAYER_ID, name: 'Guest Gary', appearances: 3, won: 0, lost: 2, drawn: 0, setsPlayed: 5, mvpAwards: 1, teams: ['TM2', 'TM1'] },
+      { id: 'P4', name: 'Dan Dixon', appearances: 1, won: 0, lost: 0, drawn: 0, setsPlayed: 0, mvpAwards: 0, teams: [] }
+    ])
+
+    assert.equal(statistics.getPlayerStatistics(competition.getPlayer('P3')).setsPlayed, 4)
+    // Unregistered players are grouped by name
+    assert.equal(statistics.getPlayerStatistics(new Player(competition, Player.UNREGISTERED_PLAYER_ID, 'Guest Gary')).appearances, 3)
+    assert.deepEqual(statistics.getPlayerStatistics(new Player(competition, Player.UNREGISTERED_PLAYER_ID, 'Nobody')), {
+      id: Player.UNREGISTERED_PLAYER_ID, name: 'Nobody', appearances: 0, won: 0, lost: 0, drawn: 0, setsPlayed: 0, mvpAwards: 0, teams: []
+    })
+  })
+
+  it('testPlayerStatisticsFilters', async () => {
+    const competition = await loadCompetition()
+    const summary = statistics => statistics.getStatistics().map(entry => `${entry.name}:${entry.appearances}`)
+
+    const byStage = new PlayerStatistics(competition, { stage: competition.getStage('C') })
+    assert.deepEqual(summary(byStage), ['Anna Adams:1'])
+    assert.equal(byStage.getPlayerStatistics(competition.getPlayer('P1')).drawn, 1)
+    assert.equal(byStage.getPlayerStatistics(competition.getPlayer('P2')).appearances, 0)
+
+    const byGroup = new PlayerStatistics(competition, { group: competition.getStage('L').getGroup('SETS') })
+    assert.deepEqual(summary(byGroup), ['Anna Adams:3', 'Ben Baker:2', 'Cat Carter:2', 'Guest Gary:2'])
+
+    const byStageAndGroup = new PlayerStatistics(competition, { stage: competition.getStage('C'), group: competition.getStage('L').getGroup('SETS') })
+    assert.deepEqual(byStageAndGroup.getStatistics(), [])
+
+    // Matches without a date are left out when filtering by date
+    assert.deepEqual(summary(new PlayerStatistics(competition, { from: '2024-02-01' })), ['Ben Baker:2', 'Cat Carter:1', 'Anna Adams:2', 'Guest Gary:2', 'Dan Dixon:1'])
+    assert.deepEqual(summary(new PlayerStatistics(competition, { until: '2024-01-31' })), ['Anna Adams:1', 'Ben Baker:1', 'Cat Carter:1', 'Guest Gary:1'])
+    assert.deepEqual(summary(new PlayerStatistics(competition, { from: '2024-02-01', until: '2024-02-29' })), ['Ben Baker:1', 'Cat Carter:1', 'Anna Adams:1', 'Guest Gary:1'])
+  })
+})
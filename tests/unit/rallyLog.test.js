@@ -0,0 +1,184 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { readFile } from 'node:fs/promises'
+import path from 'node:path'
+
+import { Competition, RallyLog } from '../../src/index.js'
+
+async function loadCompetition (modify = null) {
+  const competitionJSON = await readFile(new URL(path.join('rallies', 'rallies.json'), import.meta.url), { encoding: 'utf8' })
+  if (modify === null) {
+    return Competition.loadFromCompetitionJSON(competitionJSON)
+  }
+  const competitionData = JSON.parse(competitionJSON)
+  modify(competitionData.stages[0].groups)
+  return Competition.loadFromCompetitionJSON(JSON.stringify(competitionData))
+}
+
+describe('rallyLog', () => {
+  it('testRallyLogLoad', async () => {
+    const competition = await loadCompetition()
+    const match = competition.getStage('L').getGroup('SETS').getMatch('S3')
+    const rallyLog = match.getRallyLog()
+
+    assert(rallyLog instanceof RallyLog)
+    assert.equal(rallyLog.getMatch(), match)
+    assert.equal(rallyLog.getFirstServer(), RallyLog.AWAY)
+    assert.deepEqual(rallyLog.getRallies(), ['home', 'home', 'home', 'home', 'home', 'away'])
+    assert.deepEqual(rallyLog.getHomeTeamScores(), [5, 0])
+    assert.deepEqual(rallyLog.getAwayTeamScores(), [0, 1])
+    assert.equal(rallyLog.getSetNumber(), 2)
+    assert.equal(rallyLog.getServer(), RallyLog.AWAY)
+    assert.equal(rallyLog.isComplete(), false)
+
+    assert.deepEqual(match.serialize().rallies, { firstServer: 'away', points: ['home', 'home', 'home', 'home', 'home', 'away'] })
+    assert(!Object.hasOwn(competition.getStage('L').getGroup('SETS').getMatch('S1').serialize(), 'rallies'))
+    assert((await Competition.loadFromCompetitionJSON(JSON.stringify(competition.serialize()))).equals(competition))
+  })
+
+  it('testRallyLogAwardPoints', async () => {
+    const competition = await loadCompetition()
+    const match = competition.getStage('L').getGroup('SETS').getMatch('S1')
+    assert.equal(match.getRallyLog(), null)
+
+    match.awardPoint(RallyLog.HOME)
+    const rallyLog = match.getRallyLog()
+    assert.equal(rallyLog.getFirstServer(), RallyLog.HOME)
+    assert.deepEqual(match.getHomeTeamScores(), [1])
+    assert.deepEqual(match.getAwayTeamScores(), [0])
+
+    for (let i = 0; i < 4; i++) {
+      match.awardPoint(RallyLog.HOME)
+    }
+    assert.deepEqual(match.getHomeTeamScores(), [5])
+    assert.equal(match.getRallyLog().getSetNumber(), 2)
+    // The first serve alternates between sets
+    assert.equal(match.getRallyLog().getServer(), RallyLog.AWAY)
+
+    for (let i = 0; i < 5; i++) {
+      match.awardPoint(RallyLog.AWAY)
+    }
+    assert.deepEqual(match.getHomeTeamScores(), [5, 0])
+    assert.deepEqual(match.getAwayTeamScores(), [0, 5])
+    assert.equal(match.getRallyLog().getSetNumber(), 3)
+    assert.equal(match.getRallyLog().getServer(), RallyLog.HOME)
+
+    match.awardPoint(RallyLog.HOME).awardPoint(RallyLog.AWAY).awardPoint(RallyLog.HOME)
+    assert.equal(match.getRallyLog().getServer(), RallyLog.HOME)
+    assert.equal(match.isComplete(), false)
+    match.awardPoint(RallyLog.HOME)
+    assert.deepEqual(match.getHomeTeamScores(), [5, 0, 3])
+    assert.deepEqual(match.getAwayTeamScores(), [0, 5, 1])
+    assert.equal(match.isComplete(), true)
+    assert.equal(match.getWinnerTeamID(), 'TM1')
+    assert.equal(match.getRallyLog().isComplete(), true)
+    assert.equal(match.getRallyLog().getServer(), null)
+    assert.equal(match.getRallyLog().getSetNumber(), null)
+
+    assert.throws(() => match.awardPoint(RallyLog.AWAY), { message: 'Cannot add a rally to match {S1}: the match is already complete' })
+
+    match.undoRally()
+    assert.deepEqual(match.getHomeTeamScores(), [5, 0, 2])
+    assert.equal(match.isComplete(), false)
+    assert.equal(match.getRallyLog().getRallies().length, 13)
+  })
+
+  it('testRallyLogSetTransitions', async () => {
+    const competition = await loadCompetition()
+    const match = competition.getStage('L').getGroup('SETS').getMatch('S2')
+    match.startRallyLog(RallyLog.AWAY)
+    assert.deepEqual(match.getRallyLog().getHomeTeamScores(), [])
+    assert.equal(match.getRallyLog().getServer(), RallyLog.AWAY)
+
+    // A set needs to be won by two clear points, up to the maximum number of points
+    for (let i = 0; i < 6; i++) {
+      match.awardPoint(RallyLog.HOME).awardPoint(RallyLog.AWAY)
+    }
+    assert.deepEqual(match.getHomeTeamScores(), [6])
+    assert.deepEqual(match.getAwayTeamScores(), [6])
+    assert.equal(match.getRallyLog().getSetNumber(), 1)
+    match.awardPoint(RallyLog.AWAY)
+    assert.deepEqual(match.getAwayTeamScores(), [7])
+    assert.equal(match.getRallyLog().getSetNumber(), 2)
+    assert.equal(match.getRallyLog().getServer(), RallyLog.HOME)
+
+    // A match with a duration has an explicit completeness
+    assert.equal(match.getComplete(), false)
+    assert.equal(match.serialize().complete, false)
+  })
+
+  it('testRallyLogInvalid', async () => {
+    const competition = await loadCompetition()
+    const s1 = competition.getStage('L').getGroup('SETS').getMatch('S1')
+    const s3 = competition.getStage('L').getGroup('SETS').getMatch('S3')
+
+    assert.throws(() => s1.awardPoint('left'), { message: 'Invalid rally team "left": must be "home" or "away"' })
+    assert.throws(() => new RallyLog(s1, 'left'), { message: 'Invalid rally team "left": must be "home" or "away"' })
+    assert.equal(s1.getRallyLog(), null)
+    assert.throws(() => s1.undoRally(), { message: 'Cannot undo a rally in match {L:SETS:S1}: the match is not being scored point by point' })
+    s1.startRallyLog()
+    assert.throws(() => s1.undoRally(), { message: 'Cannot remove a rally from match {S1}: there are no rallies' })
+    assert.throws(() => s1.startRallyLog(), { message: 'Cannot start scoring match {L:SETS:S1} point by point: the match already has scores' })
+    assert.throws(() => s3.startRallyLog(), { message: 'Cannot start scoring match {L:SETS:S3} point by point: the match already has scores' })
+    assert.throws(() => competition.getStage('L').getGroup('CONT').getMatch('C1').awardPoint(RallyLog.HOME), {
+      message: 'Cannot score match {L:CONT:C1} point by point: the match type is continuous'
+    })
+
+    // Setting the scores directly discards the rally log
+    s3.setScores([5, 5], [0, 3])
+    assert.equal(s3.getRallyLog(), null)
+    assert(!Object.hasOwn(s3.serialize(), 'rallies'))
+
+    await assert.rejects(loadCompetition(groups => { groups[0].matches[2].homeTeam.scores = [5, 1] }), {
+      message: 'Invalid rallies for match {L:SETS:S3}: the rallies do not give the set scores'
+    })
+    await assert.rejects(loadCompetition(groups => { groups[1].matches[0].rallies = { firstServer: 'home', points: [] } }), {
+      message: 'Cannot score match {L:CONT:C1} point by point: the match type is continuous'
+    })
+  })
+
+  it('testRallyLogState', async () => {
+    const competition = await loadCompetition()
+    const match = competition.getStage('L').getGroup('SETS').getMatch('S3')
+    const rallyLog = match.getRallyLog()
+
+    // Scoring a rally updates the match's rally log rather than replacing it
+    match.awardPoint(RallyLog.AWAY)
+    assert.equal(match.getRallyLog(), rallyLog)
+    match.undoRally()
+    assert.equal(match.getRallyLog(), rallyLog)
+    assert.deepEqual(rallyLog.getAwayTeamScores(), [0, 1])
+
+    // The scores returned are copies
+    rallyLog.getHomeTeamScores().push(1)
+    assert.deepEqual(rallyLog.getHomeTeamScores(), [5, 0])
+
+    // The rallies are played through again when the set configuration changes
+    match.getGroup().getSetConfig().setPointsToWin(25)
+    assert.deepEqual(rallyLog.getHomeTeamScores(), [5])
+    assert.deepEqual(rallyLog.getAwayTeamScores(), [1])
+    assert.equal(rallyLog.getSetNumber(), 1)
+    assert.equal(rallyLog.getServer(), RallyLog.AWAY)
+    rallyLog.addRally(RallyLog.HOME)
+    assert.deepEqual(rallyLog.getHomeTeamScores(), [6])
+  })
+
+  it('testRallyLogHistory', async () => {
+    const competition = await loadCompetition()
+    const history = competition.enableHistory()
+    const match = competition.getStage('L').getGroup('SETS').getMatch('S3')
+
+    match.awardPoint(RallyLog.AWAY)
+    assert.deepEqual(match.getAwayTeamScores(), [0, 2])
+    history.undo()
+    assert.deepEqual(match.getAwayTeamScores(), [0, 1])
+    assert.equal(match.getRallyLog().getRallies().length, 6)
+    history.redo()
+    assert.deepEqual(match.getAwayTeamScores(), [0, 2])
+    assert.equal(match.getRallyLog().getRallies().length, 7)
+
+    match.setScores([5], [0])
+    history.undo()
+    assert.equal(match.getRallyLog().getRallies().length, 7)
+  })
+})
@@ -0,0 +1,105 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { readFile } from 'node:fs/promises'
+import path from 'node:path'
+
+import { Competition, Player, Sanction, SanctionType } from '../../src/index.js'
+
+async function loadCompetition () {
+  const competitionJSON = await readFile(new URL(path.join('sanctions', 'competition.json'), import.meta.url), { encoding: 'utf8' })
+  return Competition.loadFromCompetitionJSON(competitionJSON)
+}
+
+describe('sanction', () => {
+  it('testSanctionLoad', async () => {
+    const competition = await loadCompetition()
+    const match = competition.getStage('L').getGroup('LG').getMatch('M1')
+    const sanctions = match.getHomeTeam().getSanctions()
+
+    assert.equal(sanctions.length, 4)
+    assert.equal(sanctions[0].getMatchTeam(), match.getHomeTeam())
+    assert.equal(sanctions[0].getType(), SanctionType.PENALTY)
+    assert.equal(sanctions[0].getPlayer(), competition.getPlayer('P1'))
+    assert.equal(sanctions[0].getOfficial(), null)
+    assert.equal(sanctions[0].getSet(), 1)
+    assert.deepEqual(sanctions[0].getScore(), [3, 4])
+    assert.equal(sanctions[0].getNotes(), null)
+    assert.equal(sanctions[0].isAgainstTeam(), false)
+
+    assert.equal(sanctions[1].getType(), SanctionType.EXPULSION)
+    assert.equal(sanctions[1].getScore(), null)
+    assert.equal(sanctions[1].getNotes(), 'Second penalty')
+
+    assert.equal(sanctions[2].getPlayer(), null)
+    assert.equal(sanctions[2].getOfficial(), 'Carl Coach')
+    assert.equal(sanctions[2].isAgainstTeam(), false)
+    assert.equal(sanctions[3].isAgainstTeam(), true)
+    assert.equal(sanctions[3].getSet(), null)
+
+    const unregistered = match.getAwayTeam().getSanctions()[1].getPlayer()
+    assert.equal(unregistered.getID(), Player.UNREGISTERED_PLAYER_ID)
+    assert.equal(unregistered.getName(), 'Sam Stand-in')
+
+    assert.deepEqual(match.getSanctions().map(sanction => sanction.getType()), ['penalty', 'expulsion', 'warning', 'warning', 'disqualification', 'warning'])
+    assert.deepEqual(competition.getStage('L').getGroup('LG').getMatch('M4').getSanctions(), [])
+    assert(!Object.hasOwn(competition.getStage('L').getGroup('LG').getMatch('M4').getHomeTeam().serialize(), 'sanctions'))
+
+    assert.deepEqual(match.getHomeTeam().serialize().sanctions, [
+      { type: 'penalty', player: '{P1}', set: 1, score: [3, 4] },
+      { type: 'expulsion', player: '{P2}', set: 2, notes: 'Second penalty' },
+      { type: 'warning', official: 'Carl Coach' },
+      { type: 'warning' }
+    ])
+    assert.deepEqual(match.getAwayTeam().serialize().sanctions[1], { type: 'warning', player: 'Sam Stand-in' })
+    assert((await Competition.loadFromCompetitionJSON(JSON.stringify(competition.serialize()))).equals(competition))
+  })
+
+  it('testSanctionAddDelete', async () => {
+    const competition = await loadCompetition()
+    const history = competition.enableHistory()
+    const matchTeam = competition.getStage('L').getGroup('LG').getMatch('M4').getAwayTeam()
+    const score = [10, 12]
+    const sanction = new Sanction(matchTeam, SanctionType.PENALTY, { player: competition.getPlayer('P2'), set: 3, score })
+
+    // The score is copied
+    score.push(1)
+    sanction.getScore().push(1)
+    assert.deepEqual(sanction.getScore(), [10, 12])
+
+    matchTeam.addSanction(sanction)
+    assert.deepEqual(matchTeam.getSanctions(), [sanction])
+    assert.deepEqual(matchTeam.serialize().sanctions, [{ type: 'penalty', player: '{P2}', set: 3, score: [10, 12] }])
+    history.undo()
+    assert.deepEqual(matchTeam.getSanctions(), [])
+    history.redo()
+    assert.deepEqual(matchTeam.getSanctions(), [sanction])
+
+    matchTeam.deleteSanction(new Sanction(matchTeam, SanctionType.WARNING))
+    assert.equal(history.getUndoNames().length, 1)
+    matchTeam.deleteSanction(sanction)
+    assert.deepEqual(matchTeam.getSanctions(), [])
+    history.undo()
+    assert.deepEqual(matchTeam.getSanctions(), [sanction])
+  })
+
+  it('testSanctionInvalid', async () => {
+    const competition = await loadCompetition()
+    const matchTeam = competition.getStage('L').getGroup('LG').getMatch('M4').getAwayTeam()
+
+    assert.throws(() => new Sanction(matchTeam, 'yellow'), { message: 'Invalid sanction type "yellow"' })
+    assert.throws(() => new Sanction(matchTeam, SanctionType.WARNING, { player: competition.getPlayer('P1'), official: 'Carl Coach' }), {
+      message: 'Invalid sanction: a sanction cannot be given to both a player and a team official'
+    })
+
+    const otherTeam = competition.getStage('L').getGroup('LG').getMatch('M5').getHomeTeam()
+    assert.throws(() => matchTeam.addSanction(new Sanction(otherTeam, SanctionType.WARNING)), {
+      message: 'Cannot add a sanction to team "TM1" in match {L:LG:M4}: the sanction was created for a different team'
+    })
+
+    const competitionData = JSON.parse(await readFile(new URL(path.join('sanctions', 'competition.json'), import.meta.url), { encoding: 'utf8' }))
+    competitionData.stages[0].groups[0].matches[0].homeTeam.sanctions.push({ type: 'warning', player: '{P1}', official: 'Carl Coach' })
+    await assert.rejects(Competition.loadFromCompetitionJSON(JSON.stringify(competitionData)), {
+      message: /\[#\/not\] \[\/stages\/0\/groups\/0\/matches\/0\/homeTeam\/sanctions\/4\] must NOT be valid/
+    })
+  })
+})
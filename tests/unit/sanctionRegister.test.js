@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { readFile } from 'node:fs/promises'
+import path from 'node:path'
+
+import { Competition, Sanction, SanctionRegister, SanctionType } from '../../src/index.js'
+
+async function loadCompetition (modify = null) {
+  const competitionJSON = await readFile(new URL(path.join('sanctions', 'competition.json'), import.meta.url), { encoding: 'utf8' })
+  if (modify === null) {
+    return Competition.loadFromCompetitionJSON(competitionJSON)
+  }
+  const competitionData = JSON.parse(competitionJSON)
+  modify(competitionData)
+  return Competition.loadFromCompetitionJSON(JSON.stringify(competitionData))
+}
+
+describe('sanctionRegister', () => {
+  it('testSanctionRegisterSanctions', async () => {
+    const competition = await loadCompetition()
+    const group = competition.getStage('L').getGroup('LG')
+    const register = new SanctionRegister(competition)
+
+    assert.equal(register.getCompetition(), competition)
+    assert.deepEqual(register.getRules(), SanctionRegister.DEFAULT_RULES)
+
+    // The sanctions are in date order, not the order the matches appear in
+    const sanctions = register.getSanctions(competition.getPlayer('P1'))
+    assert.deepEqual(sanctions.map(sanction => sanction.getMatchTeam().getMatch().getID()), ['M1', 'M2', 'M3'])
+    assert.deepEqual(register.getSanctionCounts(competition.getPlayer('P1')), { warning: 0, penalty: 3, expulsion: 0, disqualification: 0 })
+    assert.deepEqual(register.getSanctionCounts(competition.getPlayer('P3')), { warning: 0, penalty: 0, expulsion: 0, disqualification: 1 })
+    assert.deepEqual(register.getSanctions(competition.getPlayer('P4')), competition.getStage('F').getGroup('F').getMatch('F1').getSanctions())
+    assert.deepEqual(register.getSanctions(competition.getPlayer('P3')), group.getMatch('M1').getAwayTeam().getSanctions().slice(0, 1))
+  })
+
+  it('testSanctionRegisterUndatedMatches', async () => {
+    const competition = await loadCompetition(competitionData => {
+      delete competitionData.stages[0].groups[0].matches.find(match => match.id === 'M3').date
+    })
+    const register = new SanctionRegister(competition)
+
+    // A match without a date comes after the dated matches in its stage, so P1's third penalty is now in the last match TM1 plays
+    const sanctions = register.getSanctions(competition.getPlayer('P1'))
+    assert.deepEqual(sanctions.map(sanction => sanction.getMatchTeam().getMatch().getID()), ['M1', 'M2', 'M3'])
+    assert.deepEqual(register.getSuspensions(competition.getPlayer('P1')), [])
+  })
+
+  it('testSanctionRegisterSuspensions', async () => {
+    const competition = await loadCompetition()
+    const group = competition.getStage('L').getGroup('LG')
+    const register = new SanctionRegister(competition)
+    const matchIDs = matches => matches.map(match => match.getID())
+
+    // The third penalty suspends P1 from the following match
+    assert.deepEqual(matchIDs(register.getSuspensions(competition.getPlayer('P1'))), ['M4'])
+    // An expulsion suspends P2 from the next match that their team plays
+    assert.deepEqual(matchIDs(register.getSuspensions(competition.getPlayer('P2'))), ['M2'])
+    // A disqualification suspends P3 from the next two matches
+    assert.deepEqual(matchIDs(register.getSuspensions(competition.getPlayer('P3'))), ['M3', 'M4'])
+    // A sanction in a match whose team is not yet known does not suspend the player
+    assert.deepEqual(register.getSuspensions(competition.getPlayer('P4')), [])
+
+    assert.equal(register.isSuspended(competition.getPlayer('P1'), group.getMatch('M4')), true)
+    assert.equal(register.isSuspended(competition.getPlayer('P1'), group.getMatch('M5')), false)
+    assert.deepEqual(register.getSuspendedPlayers(group.getMatch('M4')), [competition.getPlayer('P1'), competition.getPlayer('P3')])
+    assert.deepEqual(register.getSuspendedPlayers(group.getMatch('M6')), [])
+
+    // The register reflects sanctions added after it was created
+    const m4 = group.getMatch('M4')
+    m4.getAwayTeam().addSanction(new Sanction(m4.getAwayTeam(), SanctionType.EXPULSION, { player: competition.getPlayer('P2') }))
+    assert.deepEqual(matchIDs(register.getSuspensions(competition.getPlayer('P2'))), ['M2', 'M5'])
+  })
+
+  it('testSanctionRegisterRules', async () => {
+    const competition = await loadCompetition()
+    const register = new SanctionRegister(competition, {
+      rules: [
+        { type: SanctionType.PENALTY, count: 2, matches: 1 },
+        { type: SanctionType.WARNING, count: 1, matches: 3 }
+      ]
+    })
+    const matchIDs = matches => matches.map(match => match.getID())
+
+    assert.deepEqual(matchIDs(register.getSuspensions(competition.getPlayer('P1'))), ['M3'])
+    assert.deepEqual(register.getSuspensions(competition.getPlayer('P2')), [])
+
+    assert.throws(() => new SanctionRegister(competition, { rules: [{ type: 'yellow', count: 1, matches: 1 }] }), {
+      message: 'Invalid suspension rule: invalid sanction type "yellow"'
+    })
+    assert.throws(() => new SanctionRegister(competition, { rules: [{ type: SanctionType.PENALTY, count: 0, matches: 1 }] }), {
+      message: 'Invalid suspension rule: the count and the number of matches must be positive integers'
+    })
+    assert.throws(() => new SanctionRegister(competition, { rules: [{ type: SanctionType.PENALTY, count: 1, matches: 1.5 }] }), {
+      message: 'Invalid suspension rule: the count and the number of matches must be positive integers'
+    })
+  })
+})
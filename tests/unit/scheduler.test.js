@@ -0,0 +1,113 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { readFile } from 'node:fs/promises'
+import path from 'node:path'
+
+import { Competition, Scheduler } from '../../src/index.js'
+
+describe('scheduler', () => {
+  it('testSchedulerStageAndCompetition', async () => {
+    const competitionJSON = await readFile(new URL(path.join('scheduler', 'unscheduled-matches.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+    const scheduler = new Scheduler(['1', '2'], [
+      { date: '2024-06-01', start: '09:00', end: '11:30' },
+      { date: '2024-06-02', start: '09:00', end: '10:00' }
+    ], '0:30')
+
+    const finalResult = scheduler.schedule(competition.getStage('F'))
+    assert.deepEqual(finalResult.scheduled.map(match => match.getID()), ['FG1'])
+    assert.deepEqual(finalResult.unscheduled, [])
+
+    const final = competition.getStage('F').getGroup('FG').getMatch('FG1')
+    assert.equal(final.getDate(), '2024-06-01')
+    assert.equal(final.getStart(), '09:30')
+    assert.equal(final.getCourt(), '1')
+    assert.equal(competition.getStage('L').getGroup('LG').getMatch('LG2').hasStart(), false)
+
+    const result = scheduler.schedule(competition)
+    assert.deepEqual(result.scheduled.map(match => match.getID()), ['LG2', 'LG3', 'LG4', 'LG5'])
+    assert.deepEqual(result.unscheduled.map(match => match.getID()), ['LG6'])
+
+    const league = competition.getStage('L').getGroup('LG')
+    const slots = ['LG1', 'LG2', 'LG3', 'LG4', 'LG5', 'LG6'].map(id => {
+      const match = league.getMatch(id)
+      return `${match.getDate()} ${match.getStart()} ${match.getCourt()}`
+    })
+    assert.deepEqual(slots, [
+      '2024-06-01 09:00 1',
+      '2024-06-01 09:30 2',
+      '2024-06-01 11:00 1',
+      '2024-06-02 09:00 2',
+      '2024-06-02 09:30 1',
+      'null null null'
+    ])
+
+    const reloaded = await Competition.loadFromCompetitionJSON(JSON.stringify(competition.serialize()))
+    assert.equal(reloaded.getStage('L').getGroup('LG').getMatch('LG3').getStart(), '11:00')
+  })
+
+  it('testSchedulerLongMatchAtEndOfDay', async () => {
+    const competitionJSON = await readFile(new URL(path.join('scheduler', 'unscheduled-matches.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+    const final = competition.getStage('F').getGroup('FG').getMatch('FG1')
+
+    // The 45 minute final can only start in the last slot of the day, at 09:30, where it would not finish before the end of play
+    const shortDay = new Scheduler(['1'], [{ date: '2024-06-01', start: '09:00', end: '10:00' }], '0:30').schedule(competition.getStage('F'))
+    assert.deepEqual(shortDay.scheduled, [])
+    assert.deepEqual(shortDay.unscheduled, [final])
+
+    const longDay = new Scheduler(['1'], [{ date: '2024-06-01', start: '09:00', end: '10:15' }], '0:30').schedule(competition.getStage('F'))
+    assert.deepEqual(longDay.scheduled, [final])
+    assert.equal(final.getStart(), '09:30')
+  })
+
+  it('testSchedulerInvalidConfig', () => {
+    assert.throws(() => {
+      new Scheduler([], [{ date: '2024-06-01', start: '09:00', end: '17:00' }], '0:30')
+    }, {
+      message: 'Invalid scheduler courts: at least one court is required'
+    })
+
+    assert.throws(() => {
+      new Scheduler(['1'], [], '0:30')
+    }, {
+      message: 'Invalid scheduler days: at least one day is required'
+    })
+
+    assert.throws(() => {
+      new Scheduler(['1'], [{ date: 'June 1st', start: '09:00', end: '17:00' }], '0:30')
+    }, {
+      message: 'Invalid date "June 1st": must contain a value of the form "YYYY-MM-DD"'
+    })
+
+    assert.throws(() => {
+      new Scheduler(['1'], [{ date: '2024-06-01', start: '9am', end: '17:00' }], '0:30')
+    }, {
+      message: 'Invalid times for 2024-06-01: start and end must be of the form "HH:mm", and start must be before end'
+    })
+
+    assert.throws(() => {
+      new Scheduler(['1'], [{ date: '2024-06-01', start: '09:00', end: '5pm' }], '0:30')
+    }, {
+      message: 'Invalid times for 2024-06-01: start and end must be of the form "HH:mm", and start must be before end'
+    })
+
+    assert.throws(() => {
+      new Scheduler(['1'], [{ date: '2024-06-01', start: '17:00', end: '09:00' }], '0:30')
+    }, {
+      message: 'Invalid times for 2024-06-01: start and end must be of the form "HH:mm", and start must be before end'
+    })
+
+    assert.throws(() => {
+      new Scheduler(['1'], [{ date: '2024-06-01', start: '09:00', end: '17:00' }], '30')
+    }, {
+      message: 'Invalid slot length "30": must be a non-zero duration of the form "H:mm"'
+    })
+
+    assert.throws(() => {
+      new Scheduler(['1'], [{ date: '2024-06-01', start: '09:00', end: '17:00' }], '0:00')
+    }, {
+      message: 'Invalid slot length "0:00": must be a non-zero duration of the form "H:mm"'
+    })
+  })
+})
@@ -9,7 +9,7 @@ describe('setConfig', () => {
         const dummyStage = new Stage(dummyCompetition, 'S')
         const dummyGroup = new Crossover(dummyStage, 'G', MatchType.SETS)
         const config = new SetConfig(dummyGroup)
-        config.loadFromData(JSON.parse('{"maxSets": 3, "setsToWin": 1, "clearPoints": 2, "minPoints": 1, "pointsToWin": 21, "lastSetPointsToWin": 12, "maxPoints": 50, "lastSetMaxPoints": 30}'))
+        config.loadFromData(JSON.parse('{"maxSets": 3, "setsToWin": 1, "clearPoints": 2, "minPoints": 1, "pointsToWin": 21, "lastSetPointsToWin": 12, "maxPoints": 50, "lastSetMaxPoints": 30, "maxSubstitutions": 12, "maxTimeouts": 1}'))
 
         assert.equal(config.getMaxSets(), 3)
         assert.equal(config.getSetsToWin(), 1)
@@ -19,6 +19,10 @@ describe('setConfig', () => {
         assert.equal(config.getLastSetPointsToWin(), 12)
         assert.equal(config.getMaxPoints(), 50)
         assert.equal(config.getLastSetMaxPoints(), 30)
+        assert.equal(config.getMaxSubstitutions(), 12)
+        assert.equal(config.getMaxTimeouts(), 1)
+        assert.equal(config.serialize().maxSubstitutions, 12)
+        assert.equal(config.serialize().maxTimeouts, 1)
     })
 
     it('testSetConfigEmpty', async () => {
@@ -37,5 +41,11 @@ describe('setConfig', () => {
         assert.equal(config.getLastSetPointsToWin(), 15)
         assert.equal(config.getMaxPoints(), 1000)
         assert.equal(config.getLastSetMaxPoints(), 1000)
+        assert.equal(config.getMaxSubstitutions(), 6)
+        assert.equal(config.getMaxTimeouts(), 2)
+        // The substitution and timeout limits are only serialized when they are not the defaults
+        assert.deepEqual(Object.keys(config.serialize()), [
+          'maxSets', 'setsToWin', 'clearPoints', 'minPoints', 'pointsToWin', 'lastSetPointsToWin', 'maxPoints', 'lastSetMaxPoints'
+        ])
     })
 })
@@ -601,4 +601,16 @@ describe('stage', () => {
 
     assert.deepEqual(matches.filter(match => match instanceof GroupMatch).map(match => match.getID()), ['LG2', 'LG4', 'LG6'])
   })
+
+  it('testStageEquals', async () => {
+    const competitionJSON = await readFile(new URL(path.join('stage', 'pools-knockout-complete.json'), import.meta.url), { encoding: 'utf8' })
+    const competition = await Competition.loadFromCompetitionJSON(competitionJSON)
+    const clone = competition.clone()
+
+    assert(competition.getStage('P').equals(clone.getStage('P')))
+    assert(!competition.getStage('P').equals(clone.getStage('D')))
+    assert(!competition.getStage('P').equals(competition.getStage('P').getGroup('A')))
+    clone.getStage('P').setName('Renamed pools')
+    assert(!competition.getStage('P').equals(clone.getStage('P')))
+  })
 })
@@ -0,0 +1,278 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+import { execFile } from 'node:child_process'
+import { copyFile, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+import { Competition } from '../../src/index.js'
+
+const BIN_DIR = fileURLToPath(new URL(path.join('..', '..', 'bin'), import.meta.url))
+const FIXTURES_DIR = fileURLToPath(new URL('vbc', import.meta.url))
+const LEAGUE = path.join(FIXTURES_DIR, 'complete-league.json')
+const KNOCKOUT = path.join(FIXTURES_DIR, 'complete-knockout.json')
+const TIMED_SETS = path.join(FIXTURES_DIR, 'timed-sets.json')
+const INVALID = path.join(FIXTURES_DIR, 'duplicate-teams.json')
+
+function run (script, args) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [path.join(BIN_DIR, script), ...args], (err, stdout, stderr) => {
+      resolve({ code: err === null ? 0 : err.code, stdout, stderr })
+    })
+  })
+}
+
+function vbc (...args) {
+  return run('vbc.js', args)
+}
+
+async function withTempDir (fn) {
+  const dir = await mkdtemp(path.join(tmpdir(), 'vbc-'))
+  try {
+    await fn(dir)
+  } finally {
+    await rm(dir, { recursive: true, force: true })
+  }
+}
+
+describe('vbc', () => {
+  it('testVBCUsage', async () => {
+    const noCommand = await vbc()
+    assert.equal(noCommand.code, 2)
+    assert.match(noCommand.stdout, /^Usage: vbc <command> \[options\]/)
+
+    const help = await vbc('help')
+    assert.equal(help.code, 0)
+    assert.match(help.stdout, /^Usage: vbc/)
+
+    const unknown = await vbc('publish')
+    assert.equal(unknown.code, 2)
+    assert.match(unknown.stderr, /^Unknown command "publish"\n\nUsage: vbc/)
+
+    const badOption = await vbc('table', '--colour', LEAGUE)
+    assert.equal(badOption.code, 2)
+    assert.match(badOption.stderr, /Unknown option '--colour'/)
+  })
+
+  it('testVBCValidate', async () => {
+    const valid = await vbc('validate', LEAGUE, KNOCKOUT)
+    assert.equal(valid.code, 0)
+    assert.equal(valid.stdout, `${LEAGUE}: valid\n${KNOCKOUT}: valid\n`)
+
+    const invalid = await vbc('validate', path.join(FIXTURES_DIR, '*.json'))
+    assert.equal(invalid.code, 1)
+    assert.equal(invalid.stdout, `${KNOCKOUT}: valid\n${LEAGUE}: valid\n${INVALID}: invalid\n  /teams/1: Team with ID "TM1" already exists in the competition\n${TIMED_SETS}: valid\n`)
+
+    const recursive = await vbc('validate', path.join(FIXTURES_DIR, '..', '**', 'complete-l?ague.json'))
+    assert.equal(recursive.code, 0)
+    assert.match(recursive.stdout, /vbc[\\/]complete-league\.json: valid\n/)
+    assert.match(recursive.stdout, /csv[\\/]complete-league\.json: valid\n/)
+
+    const usage = await vbc('validate', '--json')
+    assert.equal(usage.code, 2)
+    assert.match(usage.stderr, /^validate: no files given\n/)
+  })
+
+  it('testVBCValidateJSON', async () => {
+    const missing = path.join(FIXTURES_DIR, 'missing.json')
+    const noMatch = path.join(FIXTURES_DIR, 'missing-*.json')
+    const { code, stdout } = await vbc('validate', '--json', LEAGUE, INVALID, missing, noMatch)
+    assert.equal(code, 1)
+
+    const results = JSON.parse(stdout)
+    assert.deepEqual(results[0], { file: LEAGUE, valid: true, version: '1.0.0', issues: [] })
+    assert.deepEqual(results[1], {
+      file: INVALID,
+      valid: false,
+      message: 'Team with ID "TM1" already exists in the competition',
+      issues: [{ pointer: '/teams/1', message: 'Team with ID "TM1" already exists in the competition', suggestion: null }]
+    })
+    assert.equal(results[2].file, missing)
+    assert.equal(results[2].valid, false)
+    assert.match(results[2].message, /ENOENT/)
+    assert.deepEqual(results[3], { file: noMatch, valid: false, message: 'No files match the pattern', issues: [{ pointer: '', message: 'No files match the pattern' }] })
+  })
+
+  it('testVBCValidateSuggestions', async () => {
+    await withTempDir(async dir => {
+      const file = path.join(dir, 'competition.json')
+      await writeFile(file, '{"name": "Bad", "teams": [{"id": "TM1", "name": "Alice VC", "contacts": [{"id": "C1", "roles": ["captian"]}]}], "stages": []}')
+      const { code, stdout } = await vbc('validate', file)
+      assert.equal(code, 1)
+      assert.equal(stdout, `${file}: invalid\n  /teams/0/contacts/0/roles/0: must be equal to one of the allowed values (Did you mean "captain"?)\n`)
+    })
+  })
+
+  it('testVBCTable', async () => {
+    const { code, stdout } = await vbc('table', LEAGUE)
+    assert.equal(code, 0)
+    assert.equal(stdout, [
+      'League: League 1',
+      'Pos  Team    P  W  L  PF  PA   PD  BP  PP  PTS',
+      '  1  Team 4  3  3  0  80  70   10   0   0    9',
+      '  2  Team 3  3  2  1  75  75    0   0   0    6',
+      '  3  Team 2  3  1  2  76  74    2   0   0    3',
+      '  4  Team 1  3  0  3  72  84  -12   0   0    0',
+      ''
+    ].join('\n'))
+
+    const filtered = await vbc('table', '--stage', 'L', '--group', 'LG', LEAGUE)
+    assert.equal(filtered.stdout, stdout)
+
+    const none = await vbc('table', '--group', 'NOPE', LEAGUE)
+    assert.equal(none.code, 1)
+    assert.equal(none.stderr, 'No matching leagues found\n')
+
+    const noLeagues = await vbc('table', KNOCKOUT)
+    assert.equal(noLeagues.code, 1)
+
+    const usage = await vbc('table')
+    assert.equal(usage.code, 2)
+    assert.match(usage.stderr, /^table: expected one file\n/)
+  })
+
+  it('testVBCFixtures', async () => {
+    const { code, stdout } = await vbc('fixtures', '--team', 'TM1', LEAGUE)
+    assert.equal(code, 0)
+    assert.equal(stdout, [
+      'Date        Start  Court  Stage  Group  Match  Home    Away    Score',
+      '2023-06-21  10:20  1      L      LG     LG2    Team 1  Team 3  22-24',
+      '2023-06-21  13:20  1      L      LG     LG4    Team 1  Team 4  24-28',
+      '2023-06-21  15:20  1      L      LG     LG6    Team 1  Team 2  26-32',
+      ''
+    ].join('\n'))
+
+    const all = await vbc('fixtures', LEAGUE)
+    assert.equal(all.stdout.split('\n').length, 8)
+    assert(!all.stdout.includes('Lunch break'))
+
+    const before = await vbc('fixtures', '--until', '2023-06-20', LEAGUE)
+    assert.equal(before.stdout.split('\n').length, 2)
+    const after = await vbc('fixtures', '--from', '2023-06-21', '--until', '2023-06-21', LEAGUE)
+    assert.equal(after.stdout, all.stdout)
+    const later = await vbc('fixtures', '--from', '2023-06-22', LEAGUE)
+    assert.equal(later.stdout.split('\n').length, 2)
+
+    const undated = await vbc('fixtures', KNOCKOUT)
+    assert.match(undated.stdout, /\n {20}KO {5}CUP {4}QF1 {4}Alice VC {4}Bob VC {6}17-25\n/)
+
+    const unknown = await vbc('fixtures', '--team', 'TM9', LEAGUE)
+    assert.equal(unknown.code, 1)
+    assert.equal(unknown.stderr, 'Team with ID "TM9" not found in the competition\n')
+
+    const usage = await vbc('fixtures', LEAGUE, KNOCKOUT)
+    assert.equal(usage.code, 2)
+  })
+
+  it('testVBCResult', async () => {
+    await withTempDir(async dir => {
+      const file = path.join(dir, 'competition.json')
+      await copyFile(LEAGUE, file)
+
+      const { code, stdout } = await vbc('result', file, 'L', 'LG', 'LG1', '25', '20')
+      assert.equal(code, 0)
+      assert.equal(stdout, 'LG1: Team 2 25-20 Team 4\n')
+
+      let competition = await Competition.loadFromCompetitionJSON(await readFile(file, { encoding: 'utf8' }))
+      let match = competition.getStage('L').getGroup('LG').getMatch('LG1')
+      assert.deepEqual(match.getHomeTeamScores(), [25])
+      assert.deepEqual(match.getAwayTeamScores(), [20])
+      assert.equal(match.isComplete(), true)
+      assert.equal(competition.getStage('L').getGroup('LG').getLeagueTable().entries[0].getTeamID(), 'TM2')
+
+      const incomplete = await vbc('result', '--incomplete', file, 'L', 'LG', 'LG2', '10', '12')
+      assert.equal(incomplete.code, 0)
+      competition = await Competition.loadFromCompetitionJSON(await readFile(file, { encoding: 'utf8' }))
+      match = competition.getStage('L').getGroup('LG').getMatch('LG2')
+      assert.equal(match.isComplete(), false)
+
+      const badScore = await vbc('result', file, 'L', 'LG', 'LG1', '25', 'twenty')
+      assert.equal(badScore.code, 2)
+      assert.match(badScore.stderr, /^result: invalid score "twenty"\n/)
+
+      const unknownMatch = await vbc('result', file, 'L', 'LG', 'LG9', '25', '20')
+      assert.equal(unknownMatch.code, 1)
+      assert.equal(unknownMatch.stderr, 'Match with ID LG9 not found\n')
+
+      const usage = await vbc('result', file, 'L', 'LG', 'LG1', '25')
+      assert.equal(usage.code, 2)
+    })
+  })
+
+  it('testVBCResultTimedSets', async () => {
+    await withTempDir(async dir => {
+      const file = path.join(dir, 'competition.json')
+      await copyFile(TIMED_SETS, file)
+
+      // A sets match with a duration can end before a team has won enough sets, so its completeness comes from the command
+      const complete = await vbc('result', file, 'S', 'SG', 'S1', '25', '20')
+      assert.equal(complete.code, 0)
+      assert.equal(complete.stdout, 'S1: Alice VC 1-0 (25-20) Bob VC\n')
+
+      const incomplete = await vbc('result', '--incomplete', file, 'S', 'SG', 'S2', '25,20', '20,25')
+      assert.equal(incomplete.code, 0)
+
+      const competition = await Competition.loadFromCompetitionJSON(await readFile(file, { encoding: 'utf8' }))
+      assert.equal(competition.getStage('S').getGroup('SG').getMatch('S1').isComplete(), true)
+      assert.equal(competition.getStage('S').getGroup('SG').getMatch('S2').isComplete(), false)
+    })
+  })
+
+  it('testVBCExport', async () => {
+    const csv = await vbc('export', '--format', 'csv', LEAGUE)
+    assert.equal(csv.code, 0)
+    assert(csv.stdout.startsWith('stage,group,match,date,start,court,venue,homeTeam,awayTeam,scores,homeSets,awaySets,winner,officials,mvp\r\n'))
+
+    const tables = await vbc('export', '--format', 'csv-tables', LEAGUE)
+    assert(tables.stdout.includes('L,LG,1,TM4,Team 4,3,3,0,0,0,0,0,80,70,10,0,0,9\r\n'))
+
+    const calendar = await vbc('export', '--format', 'ics', LEAGUE)
+    assert.equal(calendar.stdout.match(/BEGIN:VEVENT/g).length, 6)
+    const teamCalendar = await vbc('export', '--format', 'ics', '--team', 'TM1', LEAGUE)
+    assert(teamCalendar.stdout.includes('X-WR-CALNAME:Four Team League: Team 1\r\n'))
+    const courtCalendar = await vbc('export', '--format', 'ics', '--court', '1', LEAGUE)
+    assert(courtCalendar.stdout.includes('X-WR-CALNAME:Four Team League: Court 1\r\n'))
+
+    const leagueHTML = await vbc('export', '--format', 'html', LEAGUE)
+    assert.match(leagueHTML.stdout, /^<div class="vbc-league">.*<\/div>\n<table class="vbc-matches">.*<\/table>\n$/)
+
+    await withTempDir(async dir => {
+      const output = path.join(dir, 'knockout.html')
+      const knockoutHTML = await vbc('export', '--format', 'html', '--output', output, KNOCKOUT)
+      assert.equal(knockoutHTML.code, 0)
+      assert.equal(knockoutHTML.stdout, '')
+      assert.match(await readFile(output, { encoding: 'utf8' }), /^<div class="vbc-knockout"/)
+    })
+
+    const unknownTeam = await vbc('export', '--format', 'ics', '--team', 'TM9', LEAGUE)
+    assert.equal(unknownTeam.code, 1)
+    assert.equal(unknownTeam.stderr, 'Team with ID TM9 not found in the competition\n')
+
+    const badFormat = await vbc('export', '--format', 'pdf', LEAGUE)
+    assert.equal(badFormat.code, 2)
+    assert.match(badFormat.stderr, /^export: --format must be one of ics, csv, csv-tables or html\n/)
+
+    const usage = await vbc('export', '--format', 'csv')
+    assert.equal(usage.code, 2)
+  })
+
+  it('testVBCValidateScript', async () => {
+    const valid = await run('vbc-validate.js', [LEAGUE])
+    assert.equal(valid.code, 0)
+    assert.equal(valid.stdout, 'File is valid\n')
+
+    const invalid = await run('vbc-validate.js', [INVALID])
+    assert.equal(invalid.code, 1)
+    assert.equal(invalid.stdout, '')
+    assert.equal(invalid.stderr, 'Errors found in file:\nCompetitionValidationError: Team with ID "TM1" already exists in the competition\n')
+
+    const missing = await run('vbc-validate.js', [path.join(FIXTURES_DIR, 'missing.json')])
+    assert.equal(missing.code, 1)
+    assert.match(missing.stderr, /ENOENT/)
+
+    const usage = await run('vbc-validate.js', [])
+    assert.equal(usage.code, 1)
+    assert.equal(usage.stdout, 'Usage: vbc-validate [competition JSON file]\n')
+  })
+})